@@ -6,6 +6,29 @@
  * Reimplements the legacy LaplacianForceModule using WebGL2 kernels located in
  * graph-laplacian-kernels/. The orchestrator builds CSR data on the CPU,
  * uploads textures, and wires kernel passes to accumulate spring forces.
+ *
+ * Without EXT_float_blend (disableFloatBlend) the shard partials are gathered
+ * per node instead of blended, and the finish pass reads the shared force
+ * target and writes target + F into a scratch texture that is then blitted back.
+ *
+ * Edges can be edited after construction (addEdges, removeEdges, setEdgeStrength).
+ * CSR rows carry slack slots, so an edit rewrites a few entries of the CPU mirrors
+ * and the next accumulate() uploads only the texels that changed, one span per texel
+ * row. A row that runs out of slack, or enough removals to waste compactThreshold of
+ * the slots, lays the CSR out afresh: the data textures are reallocated and handed
+ * to the same kernels, whose shaders stay compiled.
+ *
+ * With tau, edge weights decay on the GPU: each slot also stores the edge's
+ * lastSeen time and 1/tau of its type, the partials pass weighs it by
+ * exp(-(time - lastSeen) / tau), and the degree comes from the decayed weights.
+ * Both times reach the GPU relative to epoch, the module time of the last layout,
+ * so absolute timestamps such as Date.now() / 1000 keep their float32 precision.
+ * Every expireInterval of the module clock an expiry pass drops decaying edges
+ * whose weight fell below expireBelow.
+ *
+ * law picks the spring force between connected nodes. 'linear' is the Laplacian
+ * k * (Ax - deg * x); 'hooke' (per-edge restLength), 'fruchterman-reingold' and
+ * 'linlog' are evaluated per edge in the partials pass, as is the maxForce clamp.
  */
 
 import { KLaplacianFinish } from './k-laplacian-finish.js';
@@ -13,7 +36,21 @@ import { KLaplacianPartials } from './k-laplacian-partials.js';
 import { KLaplacianReduceBlend } from './k-laplacian-reduce-blend.js';
 
 /**
- * @typedef {{from: number, to: number, strength: number}} LaplacianEdge
+ * @typedef {{from: number, to: number, strength: number, type?: number, lastSeen?: number, restLength?: number}} LaplacianEdge
+ * type indexes tau (default 0); lastSeen defaults to the module's time when added;
+ * restLength (hooke law) defaults to the module's restLength
+ */
+
+/**
+ * @typedef {{to: number, weight: number, type: number, lastSeen: number, restLength: number}} LaplacianNeighbor
+ */
+
+/**
+ * @typedef {import('./k-laplacian-partials.js').LaplacianForceLaw} LaplacianForceLaw
+ */
+
+/**
+ * @typedef {{start: number, end: number}} DirtySpan
  */
 
 export class GraphLaplacian {
@@ -27,8 +64,35 @@ export class GraphLaplacian {
    *   k?: number,
    *   shardSize?: number,
    *   normalized?: boolean,
-   *   disableFloatBlend?: boolean
+   *   disableFloatBlend?: boolean,
+   *   slack?: number,
+   *   minSlack?: number,
+   *   compactThreshold?: number,
+   *   tau?: number | number[],
+   *   expireBelow?: number,
+   *   expireInterval?: number,
+   *   time?: number,
+   *   law?: LaplacianForceLaw,
+   *   restLength?: number,
+   *   optimalDistance?: number,
+   *   maxForce?: number
    * }} options
+   *  - normalized: pull with k * (Ax - x / deg) rather than k * (Ax - deg * x); only
+   *    for the plain 'linear' law without maxForce, other combinations throw
+   *  - slack: spare slots per CSR row as a fraction of its degree (default 0.5)
+   *  - minSlack: spare slots for every row, including nodes without edges (default 2)
+   *  - compactThreshold: fraction of all slots freed by removals that triggers
+   *    compaction (default 0.25)
+   *  - tau: decay time, or one per edge type; omit for static weights, and a type
+   *    with no finite positive tau does not decay
+   *  - expireBelow: decayed weight under which the expiry pass drops an edge (default 1e-3)
+   *  - expireInterval: module time between expiry passes (default 1)
+   *  - time: starting module time, advanced by ctx.dt on every accumulate() (default 0);
+   *    may be an absolute clock such as epoch seconds, as may edges' lastSeen
+   *  - law: 'linear' (default), 'hooke', 'fruchterman-reingold' or 'linlog'
+   *  - restLength: hooke rest length of edges that do not set their own (default 1)
+   *  - optimalDistance: fruchterman-reingold K (default 1)
+   *  - maxForce: cap on each edge's force magnitude; omit for no cap
    */
   constructor(options) {
     this.gl = options.gl;
@@ -41,186 +105,177 @@ export class GraphLaplacian {
     this.options = {
       k: options.k ?? 0.01,
       shardSize: options.shardSize ?? 64,
-      normalized: options.normalized ?? false
+      normalized: options.normalized ?? false,
+      slack: options.slack ?? 0.5,
+      minSlack: options.minSlack ?? 2,
+      compactThreshold: options.compactThreshold ?? 0.25,
+      tau: options.tau,
+      expireBelow: options.expireBelow ?? 1e-3,
+      expireInterval: options.expireInterval ?? 1,
+      /** @type {LaplacianForceLaw} */
+      law: options.law ?? 'linear',
+      restLength: options.restLength ?? 1,
+      optimalDistance: options.optimalDistance ?? 1,
+      maxForce: options.maxForce ?? Infinity
     };
 
-    this.edges = Array.from(options.edges);
+    // Per-edge forces reach the finish pass already summed, with no degree left to normalize by
+    const { normalized, law, maxForce } = this.options;
+    if (normalized && (law !== 'linear' || Number.isFinite(maxForce)))
+      throw new Error(
+        `LaplacianForceModuleKernels: normalized needs law 'linear' without maxForce, got law '${law}'${Number.isFinite(maxForce) ? ` maxForce ${maxForce}` : ''}`);
+
+    this.decayEnabled = options.tau !== undefined;
+    this.time = options.time ?? 0;
+    this.lastExpiry = this.time;
+    /** Origin of the lastSeen times in decayData, moved to the module time by every layout */
+    this.epoch = this.time;
 
     const N = this.particleCount;
-    /** @type {{to: number, weight: number}[][]} */
+    /** @type {LaplacianNeighbor[][]} */
     const adjacency = Array.from({ length: N }, () => []);
-    const degreeCount = new Float32Array(N);
-
-    for (const edge of this.edges) {
-      const { from, to, strength } = edge;
-      if (from < 0 || from >= N || to < 0 || to >= N) {
-        console.warn(`LaplacianForceModuleKernels: edge out of bounds ${from} -> ${to}`);
-        continue;
-      }
 
-      adjacency[from].push({ to, weight: strength });
-      degreeCount[from] += strength;
+    for (const edge of options.edges) {
+      if (!this._edgeInBounds(edge.from, edge.to)) continue;
+      adjacency[edge.from].push(this._neighbor(edge));
     }
 
-    const totalEntries = adjacency.reduce((sum, list) => sum + list.length, 0);
-    this.rowPtr = new Float32Array(N + 1);
-    this.colIdx = new Float32Array(totalEntries);
-    this.weight = new Float32Array(totalEntries);
-    this.deg = degreeCount;
-
-    let csrOffset = 0;
-    for (let i = 0; i < N; i++) {
-      this.rowPtr[i] = csrOffset;
-      /** @type {{to: number, weight: number}[]} */
-      const neighbors = adjacency[i];
-      for (let j = 0; j < neighbors.length; j++) {
-        const nbr = neighbors[j];
-        this.colIdx[csrOffset] = nbr.to;
-        this.weight[csrOffset] = nbr.weight;
-        csrOffset++;
-      }
-    }
-    this.rowPtr[N] = csrOffset;
-
-    if (this.options.normalized) {
-      this.degInv = new Float32Array(N);
-      for (let i = 0; i < N; i++) {
-        this.degInv[i] = this.deg[i] > 0 ? 1 / this.deg[i] : 0;
-      }
-    }
+    this._layout(adjacency);
+    this._createResources();
+  }
 
-    /** @type {{nodeId: number, start: number, len: number}[]} */
-    const shards = [];
-    const shardSize = this.options.shardSize;
+  /**
+   * Add edges. Rows with spare slots take them in place; if any row overflows, the
+   * CSR is laid out again with fresh slack. Textures update on the next accumulate().
+   * @param {Iterable<LaplacianEdge>} edges
+   */
+  addEdges(edges) {
+    /** @type {LaplacianEdge[]} */
+    const overflow = [];
 
-    for (let nodeId = 0; nodeId < this.particleCount; nodeId++) {
-      const start = this.rowPtr ? this.rowPtr[nodeId] : 0;
-      const end = this.rowPtr ? this.rowPtr[nodeId + 1] : start;
-      const degree = end - start;
-      if (degree <= 0) continue;
+    for (const edge of edges) {
+      const { from, to } = edge;
+      if (!this._edgeInBounds(from, to)) continue;
 
-      for (let offset = 0; offset < degree; offset += shardSize) {
-        const len = Math.min(shardSize, degree - offset);
-        shards.push({ nodeId, start: start + offset, len });
+      const slot = this.rowPtr[from] + this.rowLength[from];
+      if (slot >= this.rowPtr[from + 1]) {
+        overflow.push(edge);
+        continue;
       }
-    }
-
-    this.shards = shards;
-
-    const colSize = this._calculateTextureSize(this.colIdx ? this.colIdx.length : 0);
-    const weightSize = this._calculateTextureSize(this.weight ? this.weight.length : 0);
-    const shardSizeInfo = this._calculateTextureSize(this.shards ? this.shards.length : 0);
-    const degSize = this._calculateTextureSize(this.particleCount);
 
-    this.colIdxTex = createDataTexture(this.gl, colSize.width, colSize.height, this.gl.R32F, this.gl.RED, this.gl.FLOAT);
-    this.weightTex = createDataTexture(this.gl, weightSize.width, weightSize.height, this.gl.R32F, this.gl.RED, this.gl.FLOAT);
-    this.shardsTex = createDataTexture(this.gl, shardSizeInfo.width, shardSizeInfo.height, this.gl.RGBA32F, this.gl.RGBA, this.gl.FLOAT);
-    this.degTex = createDataTexture(this.gl, degSize.width, degSize.height, this.gl.R32F, this.gl.RED, this.gl.FLOAT);
-    if (this.degInv) {
-      this.degInvTex = createDataTexture(this.gl, degSize.width, degSize.height, this.gl.R32F, this.gl.RED, this.gl.FLOAT);
-    }
-
-    if (this.colIdx && this.colIdxTex) {
-      const padded = new Float32Array(colSize.width * colSize.height);
-      padded.set(this.colIdx);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.colIdxTex);
-      this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, colSize.width, colSize.height, this.gl.RED, this.gl.FLOAT, padded);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+      this._writeSlot(slot, this._neighbor(edge));
+      this.rowLength[from]++;
+      this.edgeCount++;
+      this._markDirty('slots', slot, slot + 1);
+      this._refreshRow(from);
     }
 
-    if (this.weight && this.weightTex) {
-      const padded = new Float32Array(weightSize.width * weightSize.height);
-      padded.set(this.weight);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.weightTex);
-      this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, weightSize.width, weightSize.height, this.gl.RED, this.gl.FLOAT, padded);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+    if (overflow.length) {
+      const adjacency = this._adjacency();
+      for (const edge of overflow)
+        adjacency[edge.from].push(this._neighbor(edge));
+      this._relayout(adjacency);
     }
+  }
 
-    if (this.shards && this.shardsTex) {
-      const packed = new Float32Array(shardSizeInfo.width * shardSizeInfo.height * 4);
-      for (let i = 0; i < this.shards.length; i++) {
-        const shard = this.shards[i];
-        packed[i * 4 + 0] = shard.nodeId;
-        packed[i * 4 + 1] = shard.start;
-        packed[i * 4 + 2] = shard.len;
-        packed[i * 4 + 3] = 0;
-      }
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.shardsTex);
-      this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, shardSizeInfo.width, shardSizeInfo.height, this.gl.RGBA, this.gl.FLOAT, packed);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+  /**
+   * Remove one from → to edge per entry; entries with no such edge are skipped.
+   * @param {Iterable<{from: number, to: number}>} edges
+   * @returns {number} number of edges removed
+   */
+  removeEdges(edges) {
+    let removed = 0;
+
+    for (const { from, to } of edges) {
+      const slot = this._findSlot(from, to);
+      if (slot < 0) continue;
+      this._removeSlot(from, slot);
+      removed++;
     }
 
-    if (this.deg && this.degTex) {
-      const paddedDeg = new Float32Array(degSize.width * degSize.height);
-      paddedDeg.set(this.deg);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.degTex);
-      this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, degSize.width, degSize.height, this.gl.RED, this.gl.FLOAT, paddedDeg);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
-    }
+    this._compactIfSparse(removed);
+    return removed;
+  }
 
-    if (this.degInv && this.degInvTex) {
-      const paddedInv = new Float32Array(degSize.width * degSize.height);
-      paddedInv.set(this.degInv);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.degInvTex);
-      this.gl.texSubImage2D(this.gl.TEXTURE_2D, 0, 0, 0, degSize.width, degSize.height, this.gl.RED, this.gl.FLOAT, paddedInv);
-      this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+  /**
+   * Mark edges as seen again: their decay restarts from lastSeen (default: the module's time).
+   * @param {Iterable<{from: number, to: number, lastSeen?: number}>} edges
+   * @returns {number} number of edges found
+   */
+  touchEdges(edges) {
+    let touched = 0;
+
+    for (const { from, to, lastSeen } of edges) {
+      const slot = this._findSlot(from, to);
+      if (slot < 0) continue;
+      this.decayData[slot * 2] = (lastSeen ?? this.time) - this.epoch;
+      this._markDirty('slots', slot, slot + 1);
+      touched++;
     }
 
+    return touched;
+  }
 
-    if (!this.colIdxTex || !this.weightTex || !this.shardsTex || !this.degTex)
-      throw new Error('LaplacianForceModuleKernels: textures missing');
-
-    const degSizeInfo = degSize;
+  /**
+   * Expiry pass: drop decaying edges whose weight at time fell below expireBelow.
+   * @param {number} [time] defaults to the module's time
+   * @returns {number} number of edges dropped
+   */
+  expire(time = this.time) {
+    const threshold = this.options.expireBelow;
+    const sinceEpoch = time - this.epoch;
+    let expired = 0;
+
+    for (let node = 0; node < this.particleCount; node++) {
+      // Backwards, so the row's last edge filling a hole has already been checked
+      for (let slot = this.rowPtr[node] + this.rowLength[node] - 1; slot >= this.rowPtr[node]; slot--) {
+        const invTau = this.decayData[slot * 2 + 1];
+        if (!invTau) continue;
+        const age = Math.max(0, sinceEpoch - this.decayData[slot * 2]);
+        if (Math.abs(this.weight[slot] * Math.exp(-age * invTau)) >= threshold) continue;
+        this._removeSlot(node, slot);
+        expired++;
+      }
+    }
 
-    this.partialsKernel = new KLaplacianPartials({
-      gl: this.gl,
-      inShards: this.shardsTex,
-      inColIdx: this.colIdxTex,
-      inWeight: this.weightTex,
-      inPosition: null,
-      partialsWidth: shardSizeInfo.width,
-      partialsHeight: shardSizeInfo.height,
-      shardTextureWidth: shardSizeInfo.width,
-      shardTextureHeight: shardSizeInfo.height,
-      colTextureWidth: colSize.width,
-      colTextureHeight: colSize.height,
-      positionTextureWidth: this.textureWidth,
-      positionTextureHeight: this.textureHeight,
-      shardBlockSize: this.options.shardSize
-    });
+    this.lastExpiry = time;
+    this._compactIfSparse(expired);
+    return expired;
+  }
 
-    this.reduceKernel = new KLaplacianReduceBlend({
-      gl: this.gl,
-      inPartials: this.partialsKernel.outPartials || null,
-      inShards: this.shardsTex,
-      axWidth: degSizeInfo.width,
-      axHeight: degSizeInfo.height,
-      shardTextureWidth: shardSizeInfo.width,
-      shardTextureHeight: shardSizeInfo.height,
-      shardCount: this.shards ? this.shards.length : 0
-    });
+  /**
+   * Change the strength of the first from → to edge.
+   * @param {number} from
+   * @param {number} to
+   * @param {number} strength
+   * @returns {boolean} false if there is no such edge
+   */
+  setEdgeStrength(from, to, strength) {
+    const slot = this._findSlot(from, to);
+    if (slot < 0) return false;
+
+    this.weight[slot] = strength;
+    this._markDirty('slots', slot, slot + 1);
+    this._refreshRow(from);
+    return true;
+  }
 
-    if (this.disableFloatBlend)
-      console.warn('[LaplacianForceModuleKernels] EXT_float_blend unavailable: Laplacian accumulation may be inaccurate.');
+  /**
+   * Lay the CSR out afresh from the live edges, resetting every row's slack.
+   */
+  compact() {
+    this._relayout(this._adjacency());
+  }
 
-    this.finishKernel = new KLaplacianFinish({
-      gl: this.gl,
-      inAx: this.reduceKernel.outAx || null,
-      inDeg: this.options.normalized && this.degInvTex ? this.degInvTex : this.degTex,
-      inPosition: null,
-      outForce: null,
-      outForceFramebuffer: null,
-      forceWidth: this.textureWidth,
-      forceHeight: this.textureHeight,
-      axWidth: degSizeInfo.width,
-      axHeight: degSizeInfo.height,
-      degWidth: degSizeInfo.width,
-      degHeight: degSizeInfo.height,
-      positionWidth: this.textureWidth,
-      positionHeight: this.textureHeight,
-      springK: this.options.k,
-      enableBlend: !this.disableFloatBlend
-    });
+  /**
+   * Switch to the gather reduce and read-modify-write finish; ParticleSystem calls
+   * this when the context lacks EXT_float_blend.
+   */
+  useBlendFallback() {
+    if (this.disableFloatBlend) return;
+    this.disableFloatBlend = true;
+    this._disposeResources();
+    this._createResources();
   }
 
   /**
@@ -243,14 +298,15 @@ export class GraphLaplacian {
     if (!ctx.targetForceFramebuffer)
       throw new Error('LaplacianForceModuleKernels: targetForceFramebuffer missing');
 
-    if (this.disableFloatBlend) {
-      console.warn('[LaplacianForceModuleKernels] Skipping accumulation: EXT_float_blend unavailable');
-      return;
-    }
+    if (this.decayEnabled && this.time - this.lastExpiry >= this.options.expireInterval)
+      this.expire();
+
+    this._uploadEdits();
 
     const positionTex = ctx.positionTexture;
 
     this.partialsKernel.inPosition = positionTex;
+    this.partialsKernel.time = this.time - this.epoch;
     this.partialsKernel.run();
 
     if (!this.partialsKernel.outPartials)
@@ -258,6 +314,7 @@ export class GraphLaplacian {
 
     this.reduceKernel.inPartials = this.partialsKernel.outPartials;
     this.reduceKernel.inShards = this.shardsTex;
+    this.reduceKernel.inNodeShards = this.nodeShardsTex || null;
     this.reduceKernel.run();
 
     if (!this.reduceKernel.outAx)
@@ -268,22 +325,244 @@ export class GraphLaplacian {
     this.finishKernel.inDeg = this.options.normalized && this.degInvTex
       ? this.degInvTex
       : this.degTex;
-    this.finishKernel.outForce = ctx.targetForceTexture;
-    this.finishKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
-    this.finishKernel.run();
+    if (this.disableFloatBlend && this.forceScratchTex && this.forceScratchFramebuffer) {
+      // Read-modify-write into the scratch target, then copy it over the shared target
+      this.finishKernel.inForce = ctx.targetForceTexture;
+      this.finishKernel.outForce = this.forceScratchTex;
+      this.finishKernel.outForceFramebuffer = this.forceScratchFramebuffer;
+      this.finishKernel.run();
+
+      const gl = this.gl;
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.forceScratchFramebuffer);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, ctx.targetForceFramebuffer);
+      gl.blitFramebuffer(
+        0, 0, this.textureWidth, this.textureHeight,
+        0, 0, this.textureWidth, this.textureHeight,
+        gl.COLOR_BUFFER_BIT, gl.NEAREST);
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    } else {
+      this.finishKernel.outForce = ctx.targetForceTexture;
+      this.finishKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+      this.finishKernel.run();
+    }
 
     // Clean references so dispose() can skip deleting external textures
     this.partialsKernel.inPosition = null;
     this.reduceKernel.inPartials = null;
     this.reduceKernel.inShards = null;
+    this.reduceKernel.inNodeShards = null;
+    this.finishKernel.inForce = null;
     this.finishKernel.outForce = null;
     this.finishKernel.outForceFramebuffer = null;
     this.finishKernel.inPosition = null;
     this.finishKernel.inAx = null;
     this.finishKernel.inDeg = null;
+
+    this.time += ctx.dt || 0;
   }
 
   dispose() {
+    this._disposeResources();
+  }
+
+  /**
+   * Slack-padded CSR: row i owns slots [rowPtr[i], rowPtr[i + 1]), the first
+   * rowLength[i] of them live. Shards tile each row's whole capacity and carry only
+   * the live count, so edits within the slack never change the shard layout.
+   * CPU mirrors span their whole textures, so patches can upload any span of a texel row.
+   * Rebases epoch onto the module time, rewriting every lastSeen against it.
+   * @param {LaplacianNeighbor[][]} adjacency
+   */
+  _layout(adjacency) {
+    const N = this.particleCount;
+    const { shardSize, slack, minSlack } = this.options;
+
+    this.rowPtr = new Int32Array(N + 1);
+    this.rowLength = new Int32Array(N);
+    let capacity = 0;
+    for (let i = 0; i < N; i++) {
+      this.rowPtr[i] = capacity;
+      const degree = adjacency[i].length;
+      capacity += degree + Math.max(minSlack, Math.ceil(degree * slack));
+    }
+    this.rowPtr[N] = capacity;
+    this.capacity = capacity;
+
+    this.colSize = this._calculateTextureSize(capacity);
+    this.degSize = this._calculateTextureSize(N);
+    this.epoch = this.time;
+
+    this.colIdx = new Float32Array(this.colSize.width * this.colSize.height);
+    this.weight = new Float32Array(this.colSize.width * this.colSize.height);
+    this.edgeType = new Int32Array(this.colSize.width * this.colSize.height);
+    // Per slot (lastSeen - epoch, 1/tau), the decay texture's RG
+    this.decayData = new Float32Array(this.colSize.width * this.colSize.height * 2);
+    this.restLengthData = new Float32Array(this.colSize.width * this.colSize.height);
+    this.deg = new Float32Array(this.degSize.width * this.degSize.height);
+    this.degInv = this.options.normalized ? new Float32Array(this.deg.length) : null;
+
+    this.edgeCount = 0;
+    for (let i = 0; i < N; i++) {
+      const neighbors = adjacency[i];
+      for (let j = 0; j < neighbors.length; j++)
+        this._writeSlot(this.rowPtr[i] + j, neighbors[j]);
+      this.rowLength[i] = neighbors.length;
+      this.edgeCount += neighbors.length;
+    }
+
+    this._clearDirty();
+
+    let shardCount = 0;
+    for (let i = 0; i < N; i++)
+      shardCount += Math.ceil((this.rowPtr[i + 1] - this.rowPtr[i]) / shardSize);
+    this.shardCount = shardCount;
+    this.shardTextureSize = this._calculateTextureSize(shardCount);
+
+    // Shards: (nodeId, start, live length, 0); nodeShards: (first shard, shard count) per node
+    this.shardData = new Float32Array(this.shardTextureSize.width * this.shardTextureSize.height * 4);
+    this.nodeShards = new Float32Array(this.degSize.width * this.degSize.height * 4);
+    let shard = 0;
+    for (let i = 0; i < N; i++) {
+      const start = this.rowPtr[i];
+      const rowCapacity = this.rowPtr[i + 1] - start;
+      this.nodeShards[i * 4 + 0] = shard;
+      this.nodeShards[i * 4 + 1] = Math.ceil(rowCapacity / shardSize);
+      for (let offset = 0; offset < rowCapacity; offset += shardSize) {
+        this.shardData[shard * 4 + 0] = i;
+        this.shardData[shard * 4 + 1] = start + offset;
+        shard++;
+      }
+      this._refreshRow(i);
+    }
+
+    this.removedSinceLayout = 0;
+    // The fresh textures get full uploads
+    this._clearDirty();
+  }
+
+  _createResources() {
+    const gl = this.gl;
+    const colSize = this.colSize;
+    const degSize = this.degSize;
+    const shardSizeInfo = this.shardTextureSize;
+
+    this._createTextures();
+    if (!this.colIdxTex || !this.weightTex || !this.shardsTex || !this.degTex)
+      throw new Error('LaplacianForceModuleKernels: textures missing');
+
+    if (this.disableFloatBlend) {
+      this.forceScratchTex = createDataTexture(gl, this.textureWidth, this.textureHeight, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+      this.forceScratchFramebuffer = gl.createFramebuffer();
+      if (!this.forceScratchFramebuffer) throw new Error('LaplacianForceModuleKernels: failed to create framebuffer');
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.forceScratchFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.forceScratchTex, 0);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    }
+
+    this.partialsKernel = new KLaplacianPartials({
+      gl,
+      inShards: this.shardsTex,
+      inColIdx: this.colIdxTex,
+      inWeight: this.weightTex,
+      inPosition: null,
+      inDecay: this.decayTex || null,
+      inRestLength: this.restLengthTex || null,
+      partialsWidth: shardSizeInfo.width,
+      partialsHeight: shardSizeInfo.height,
+      shardTextureWidth: shardSizeInfo.width,
+      shardTextureHeight: shardSizeInfo.height,
+      colTextureWidth: colSize.width,
+      colTextureHeight: colSize.height,
+      positionTextureWidth: this.textureWidth,
+      positionTextureHeight: this.textureHeight,
+      shardBlockSize: this.options.shardSize,
+      time: this.time - this.epoch,
+      forceLaw: this.options.law,
+      springK: this.options.k,
+      restLength: this.options.restLength,
+      optimalDistance: this.options.optimalDistance,
+      maxForce: this.options.maxForce
+    });
+
+    this.reduceKernel = new KLaplacianReduceBlend({
+      gl,
+      inPartials: this.partialsKernel.outPartials || null,
+      inShards: this.shardsTex,
+      inNodeShards: null,
+      axWidth: degSize.width,
+      axHeight: degSize.height,
+      shardTextureWidth: shardSizeInfo.width,
+      shardTextureHeight: shardSizeInfo.height,
+      shardCount: this.shardCount,
+      gather: this.disableFloatBlend
+    });
+
+    this.finishKernel = new KLaplacianFinish({
+      gl,
+      inAx: this.reduceKernel.outAx || null,
+      inDeg: this.options.normalized && this.degInvTex ? this.degInvTex : this.degTex,
+      inPosition: null,
+      inForce: null,
+      outForce: null,
+      outForceFramebuffer: null,
+      forceWidth: this.textureWidth,
+      forceHeight: this.textureHeight,
+      axWidth: degSize.width,
+      axHeight: degSize.height,
+      degWidth: degSize.width,
+      degHeight: degSize.height,
+      positionWidth: this.textureWidth,
+      positionHeight: this.textureHeight,
+      springK: this.options.k,
+      enableBlend: !this.disableFloatBlend,
+      degreeFromAx: this.decayEnabled,
+      normalized: this.options.normalized,
+      axIsForce: this.partialsKernel.perEdgeForces
+    });
+  }
+
+  /**
+   * Allocate the data textures sized by the current layout and upload their mirrors whole
+   */
+  _createTextures() {
+    const gl = this.gl;
+    const colSize = this.colSize;
+    const degSize = this.degSize;
+    const shardSizeInfo = this.shardTextureSize;
+
+    this.colIdxTex = createDataTexture(gl, colSize.width, colSize.height, gl.R32F, gl.RED, gl.FLOAT);
+    this.weightTex = createDataTexture(gl, colSize.width, colSize.height, gl.R32F, gl.RED, gl.FLOAT);
+    this.shardsTex = createDataTexture(gl, shardSizeInfo.width, shardSizeInfo.height, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+    this.degTex = createDataTexture(gl, degSize.width, degSize.height, gl.R32F, gl.RED, gl.FLOAT);
+    if (this.degInv) {
+      this.degInvTex = createDataTexture(gl, degSize.width, degSize.height, gl.R32F, gl.RED, gl.FLOAT);
+    }
+    if (this.decayEnabled) {
+      this.decayTex = createDataTexture(gl, colSize.width, colSize.height, gl.RG32F, gl.RG, gl.FLOAT);
+    }
+    if (this.options.law === 'hooke') {
+      this.restLengthTex = createDataTexture(gl, colSize.width, colSize.height, gl.R32F, gl.RED, gl.FLOAT);
+    }
+    if (this.disableFloatBlend) {
+      this.nodeShardsTex = createDataTexture(gl, degSize.width, degSize.height, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+    }
+
+    uploadRows(gl, this.colIdxTex, colSize.width, gl.RED, this.colIdx, 0, colSize.height);
+    uploadRows(gl, this.weightTex, colSize.width, gl.RED, this.weight, 0, colSize.height);
+    if (this.decayTex)
+      uploadRows(gl, this.decayTex, colSize.width, gl.RG, this.decayData, 0, colSize.height);
+    if (this.restLengthTex)
+      uploadRows(gl, this.restLengthTex, colSize.width, gl.RED, this.restLengthData, 0, colSize.height);
+    uploadRows(gl, this.shardsTex, shardSizeInfo.width, gl.RGBA, this.shardData, 0, shardSizeInfo.height);
+    uploadRows(gl, this.degTex, degSize.width, gl.RED, this.deg, 0, degSize.height);
+    if (this.degInv && this.degInvTex)
+      uploadRows(gl, this.degInvTex, degSize.width, gl.RED, this.degInv, 0, degSize.height);
+    if (this.nodeShardsTex)
+      uploadRows(gl, this.nodeShardsTex, degSize.width, gl.RGBA, this.nodeShards, 0, degSize.height);
+  }
+
+  _disposeResources() {
     const gl = this.gl;
 
     this.partialsKernel.dispose();
@@ -291,11 +570,273 @@ export class GraphLaplacian {
     this.finishKernel.dispose();
 
     // TODO: should this be deleted or left to the kernels to delete?
+    this._deleteTextures();
+    if (this.forceScratchTex) gl.deleteTexture(this.forceScratchTex);
+    if (this.forceScratchFramebuffer) gl.deleteFramebuffer(this.forceScratchFramebuffer);
+
+    this.forceScratchTex = null;
+    this.forceScratchFramebuffer = null;
+  }
+
+  _deleteTextures() {
+    const gl = this.gl;
+
     if (this.colIdxTex) gl.deleteTexture(this.colIdxTex);
     if (this.weightTex) gl.deleteTexture(this.weightTex);
     if (this.shardsTex) gl.deleteTexture(this.shardsTex);
     if (this.degTex) gl.deleteTexture(this.degTex);
     if (this.degInvTex) gl.deleteTexture(this.degInvTex);
+    if (this.decayTex) gl.deleteTexture(this.decayTex);
+    if (this.restLengthTex) gl.deleteTexture(this.restLengthTex);
+    if (this.nodeShardsTex) gl.deleteTexture(this.nodeShardsTex);
+
+    this.colIdxTex = null;
+    this.weightTex = null;
+    this.shardsTex = null;
+    this.degTex = null;
+    this.degInvTex = null;
+    this.decayTex = null;
+    this.restLengthTex = null;
+    this.nodeShardsTex = null;
+  }
+
+  /**
+   * Lay the CSR out again, keeping the kernels: only the data textures are
+   * reallocated, plus the partials output when the shard count changes its size
+   * @param {LaplacianNeighbor[][]} adjacency
+   */
+  _relayout(adjacency) {
+    const gl = this.gl;
+
+    this._deleteTextures();
+    this._layout(adjacency);
+    this._createTextures();
+
+    const colSize = this.colSize;
+    const shardSizeInfo = this.shardTextureSize;
+
+    const partials = this.partialsKernel;
+    partials.inShards = this.shardsTex;
+    partials.inColIdx = this.colIdxTex;
+    partials.inWeight = this.weightTex;
+    partials.inDecay = this.decayTex || null;
+    partials.inRestLength = this.restLengthTex || null;
+    if (partials.partialsWidth !== shardSizeInfo.width || partials.partialsHeight !== shardSizeInfo.height) {
+      if (partials.outPartials) gl.deleteTexture(partials.outPartials);
+      partials.outPartials = createDataTexture(gl, shardSizeInfo.width, shardSizeInfo.height, gl.RGBA32F, gl.RGBA, gl.FLOAT);
+      partials.partialsWidth = shardSizeInfo.width;
+      partials.partialsHeight = shardSizeInfo.height;
+    }
+    partials.shardTextureWidth = shardSizeInfo.width;
+    partials.shardTextureHeight = shardSizeInfo.height;
+    partials.colTextureWidth = colSize.width;
+    partials.colTextureHeight = colSize.height;
+
+    const reduce = this.reduceKernel;
+    reduce.inPartials = partials.outPartials;
+    reduce.inShards = this.shardsTex;
+    reduce.inNodeShards = this.nodeShardsTex || null;
+    reduce.shardTextureWidth = shardSizeInfo.width;
+    reduce.shardTextureHeight = shardSizeInfo.height;
+    reduce.shardCount = this.shardCount;
+
+    this.finishKernel.inDeg = this.options.normalized && this.degInvTex ? this.degInvTex : this.degTex;
+  }
+
+  /**
+   * Live edges per row, read back from the CSR mirrors
+   * @returns {LaplacianNeighbor[][]}
+   */
+  _adjacency() {
+    /** @type {LaplacianNeighbor[][]} */
+    const adjacency = [];
+    for (let i = 0; i < this.particleCount; i++) {
+      /** @type {LaplacianNeighbor[]} */
+      const neighbors = [];
+      for (let slot = this.rowPtr[i]; slot < this.rowPtr[i] + this.rowLength[i]; slot++) {
+        neighbors.push({
+          to: this.colIdx[slot],
+          weight: this.weight[slot],
+          type: this.edgeType[slot],
+          lastSeen: this.decayData[slot * 2] + this.epoch,
+          restLength: this.restLengthData[slot]
+        });
+      }
+      adjacency.push(neighbors);
+    }
+    return adjacency;
+  }
+
+  /**
+   * @param {LaplacianEdge} edge
+   * @returns {LaplacianNeighbor}
+   */
+  _neighbor(edge) {
+    return {
+      to: edge.to,
+      weight: edge.strength,
+      type: edge.type ?? 0,
+      lastSeen: edge.lastSeen ?? this.time,
+      restLength: edge.restLength ?? this.options.restLength
+    };
+  }
+
+  /**
+   * @param {number} slot
+   * @param {LaplacianNeighbor} neighbor
+   */
+  _writeSlot(slot, neighbor) {
+    const tau = Array.isArray(this.options.tau) ? this.options.tau[neighbor.type] : this.options.tau;
+    this.colIdx[slot] = neighbor.to;
+    this.weight[slot] = neighbor.weight;
+    this.edgeType[slot] = neighbor.type;
+    this.decayData[slot * 2 + 0] = neighbor.lastSeen - this.epoch;
+    this.decayData[slot * 2 + 1] = tau !== undefined && tau > 0 && Number.isFinite(tau) ? 1 / tau : 0;
+    this.restLengthData[slot] = neighbor.restLength;
+  }
+
+  /**
+   * Drop a live slot, keeping the row packed: the row's last live edge fills the hole
+   * @param {number} node
+   * @param {number} slot
+   */
+  _removeSlot(node, slot) {
+    const last = this.rowPtr[node] + this.rowLength[node] - 1;
+    this.colIdx[slot] = this.colIdx[last];
+    this.weight[slot] = this.weight[last];
+    this.edgeType[slot] = this.edgeType[last];
+    this.decayData[slot * 2 + 0] = this.decayData[last * 2 + 0];
+    this.decayData[slot * 2 + 1] = this.decayData[last * 2 + 1];
+    this.restLengthData[slot] = this.restLengthData[last];
+    this.colIdx[last] = 0;
+    this.weight[last] = 0;
+    this.edgeType[last] = 0;
+    this.decayData[last * 2 + 0] = 0;
+    this.decayData[last * 2 + 1] = 0;
+    this.restLengthData[last] = 0;
+    this.rowLength[node]--;
+    this.edgeCount--;
+    this.removedSinceLayout++;
+    this._markDirty('slots', slot, last + 1);
+    this._refreshRow(node);
+  }
+
+  /**
+   * @param {number} removed edges just removed
+   */
+  _compactIfSparse(removed) {
+    if (removed && this.removedSinceLayout >= this.capacity * this.options.compactThreshold)
+      this.compact();
+  }
+
+  /**
+   * Recompute a row's degree and its shards' live lengths after an edit
+   * @param {number} node
+   */
+  _refreshRow(node) {
+    const start = this.rowPtr[node];
+    let degree = 0;
+    for (let slot = start; slot < start + this.rowLength[node]; slot++)
+      degree += this.weight[slot];
+    this.deg[node] = degree;
+    if (this.degInv) this.degInv[node] = degree > 0 ? 1 / degree : 0;
+    this._markDirty('nodes', node, node + 1);
+
+    const shardSize = this.options.shardSize;
+    const firstShard = this.nodeShards[node * 4 + 0];
+    const shardCount = this.nodeShards[node * 4 + 1];
+    for (let s = 0; s < shardCount; s++) {
+      const live = Math.min(shardSize, Math.max(0, this.rowLength[node] - s * shardSize));
+      this.shardData[(firstShard + s) * 4 + 2] = live;
+    }
+    this._markDirty('shards', firstShard, firstShard + shardCount);
+  }
+
+  /**
+   * Widen the dirty span of every texel row that entries [start, end) fall in
+   * @param {'slots' | 'nodes' | 'shards'} kind
+   * @param {number} start
+   * @param {number} end
+   */
+  _markDirty(kind, start, end) {
+    const { width } = kind === 'slots' ? this.colSize : kind === 'nodes' ? this.degSize : this.shardTextureSize;
+    const spans = this.dirty[kind];
+    for (let row = Math.floor(start / width); row * width < end; row++) {
+      const spanStart = Math.max(start - row * width, 0);
+      const spanEnd = Math.min(end - row * width, width);
+      const span = spans.get(row);
+      if (span) {
+        span.start = Math.min(span.start, spanStart);
+        span.end = Math.max(span.end, spanEnd);
+      } else {
+        spans.set(row, { start: spanStart, end: spanEnd });
+      }
+    }
+  }
+
+  /**
+   * Patch each dirty span, so scattered edits upload a few texels per texel row
+   */
+  _uploadEdits() {
+    const gl = this.gl;
+    const { slots, nodes, shards } = this.dirty;
+
+    if (slots.size && this.colIdxTex && this.weightTex) {
+      const { width } = this.colSize;
+      uploadSpans(gl, this.colIdxTex, width, gl.RED, this.colIdx, slots);
+      uploadSpans(gl, this.weightTex, width, gl.RED, this.weight, slots);
+      if (this.decayTex)
+        uploadSpans(gl, this.decayTex, width, gl.RG, this.decayData, slots);
+      if (this.restLengthTex)
+        uploadSpans(gl, this.restLengthTex, width, gl.RED, this.restLengthData, slots);
+    }
+
+    if (nodes.size && this.degTex) {
+      const { width } = this.degSize;
+      uploadSpans(gl, this.degTex, width, gl.RED, this.deg, nodes);
+      if (this.degInv && this.degInvTex)
+        uploadSpans(gl, this.degInvTex, width, gl.RED, this.degInv, nodes);
+    }
+
+    if (shards.size && this.shardsTex)
+      uploadSpans(gl, this.shardsTex, this.shardTextureSize.width, gl.RGBA, this.shardData, shards);
+
+    this._clearDirty();
+  }
+
+  /**
+   * Dirty entries per kind, as a texel row → [start, end) column span map
+   */
+  _clearDirty() {
+    /** @type {{slots: Map<number, DirtySpan>, nodes: Map<number, DirtySpan>, shards: Map<number, DirtySpan>}} */
+    this.dirty = { slots: new Map(), nodes: new Map(), shards: new Map() };
+  }
+
+  /**
+   * @param {number} from
+   * @param {number} to
+   */
+  _edgeInBounds(from, to) {
+    const N = this.particleCount;
+    if (from < 0 || from >= N || to < 0 || to >= N) {
+      console.warn(`LaplacianForceModuleKernels: edge out of bounds ${from} -> ${to}`);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Slot of the first live from → to edge, or -1
+   * @param {number} from
+   * @param {number} to
+   */
+  _findSlot(from, to) {
+    if (!(from >= 0 && from < this.particleCount)) return -1;
+    const start = this.rowPtr[from];
+    for (let slot = start; slot < start + this.rowLength[from]; slot++) {
+      if (this.colIdx[slot] === to) return slot;
+    }
+    return -1;
   }
 
   /**
@@ -333,3 +874,41 @@ function createDataTexture(gl, width, height, internalFormat, format, type) {
   gl.bindTexture(gl.TEXTURE_2D, null);
   return tex;
 }
+
+/**
+ * Upload texel rows [rowStart, rowEnd) of a float texture from its full-size CPU mirror
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ * @param {number} width
+ * @param {number} format gl.RED, gl.RG or gl.RGBA
+ * @param {Float32Array} data
+ * @param {number} rowStart
+ * @param {number} rowEnd
+ */
+function uploadRows(gl, texture, width, format, data, rowStart, rowEnd) {
+  const components = format === gl.RGBA ? 4 : format === gl.RG ? 2 : 1;
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, rowStart, width, rowEnd - rowStart, format, gl.FLOAT,
+    data.subarray(rowStart * width * components, rowEnd * width * components));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * Upload each dirty span of a float texture from its full-size CPU mirror
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ * @param {number} width
+ * @param {number} format gl.RED, gl.RG or gl.RGBA
+ * @param {Float32Array} data
+ * @param {Map<number, DirtySpan>} spans texel row → columns [start, end)
+ */
+function uploadSpans(gl, texture, width, format, data, spans) {
+  const components = format === gl.RGBA ? 4 : format === gl.RG ? 2 : 1;
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  for (const [row, { start, end }] of spans) {
+    const offset = row * width;
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, start, row, end - start, 1, format, gl.FLOAT,
+      data.subarray((offset + start) * components, (offset + end) * components));
+  }
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
@@ -114,6 +114,38 @@ function computeCpuForces({ positions, edges, k = 1, normalized = false }) {
   return forces;
 }
 
+/**
+ * Per-edge spring forces: each edge pulls its source towards its target with
+ * magnitude k * strength * f(d), clamped to maxForce.
+ * @param {{
+ *   positions: Array<[number, number, number]>,
+ *   edges: Array<{from: number, to: number, strength?: number, restLength?: number}>,
+ *   k?: number,
+ *   law: 'linear' | 'hooke' | 'fruchterman-reingold' | 'linlog',
+ *   restLength?: number,
+ *   optimalDistance?: number,
+ *   maxForce?: number
+ * }} payload
+ * @returns {Array<[number, number, number]>}
+ */
+function computeCpuSpringForces({ positions, edges, k = 1, law, restLength = 1, optimalDistance = 1, maxForce = Infinity }) {
+  /** @type {Array<[number, number, number]>} */
+  const forces = positions.map(() => [0, 0, 0]);
+  for (const edge of edges) {
+    const { from, to, strength = 1 } = edge;
+    const delta = [0, 1, 2].map((axis) => positions[to][axis] - positions[from][axis]);
+    const d = Math.hypot(delta[0], delta[1], delta[2]);
+    if (d < 1e-6) continue;
+    const f = law === 'hooke' ? d - (edge.restLength ?? restLength)
+      : law === 'fruchterman-reingold' ? d * d / optimalDistance
+      : law === 'linlog' ? Math.log(1 + d)
+      : d;
+    const magnitude = Math.max(-maxForce, Math.min(maxForce, k * strength * f));
+    for (let axis = 0; axis < 3; axis++) forces[from][axis] += magnitude * delta[axis] / d;
+  }
+  return forces;
+}
+
 /**
  * @param {[number, number, number]} actual
  * @param {[number, number, number]} expected
@@ -129,12 +161,19 @@ function assertForce(actual, expected, eps, label) {
 /**
  * @param {WebGL2RenderingContext} gl
  * @param {{
- *   edges: Array<{from: number, to: number, strength?: number}>,
+ *   edges: Array<{from: number, to: number, strength?: number, type?: number, lastSeen?: number, restLength?: number}>,
  *   positions: Array<[number, number, number]>,
  *   k?: number,
  *   shardSize?: number,
  *   normalized?: boolean,
- *   disableFloatBlend?: boolean
+ *   disableFloatBlend?: boolean,
+ *   decay?: { tau?: number | number[], expireBelow?: number, expireInterval?: number, time?: number },
+ *   spring?: {
+ *     law?: import('./k-laplacian-partials.js').LaplacianForceLaw,
+ *     restLength?: number,
+ *     optimalDistance?: number,
+ *     maxForce?: number
+ *   }
  * }} options
  */
 function createLaplacianHarness(gl, {
@@ -143,7 +182,9 @@ function createLaplacianHarness(gl, {
   k = 1,
   shardSize = 64,
   normalized = false,
-  disableFloatBlend = false
+  disableFloatBlend = false,
+  decay = {},
+  spring = {}
 }) {
   const nodeCount = positions.length;
   const { width, height } = layoutTexture(nodeCount);
@@ -158,7 +199,10 @@ function createLaplacianHarness(gl, {
   const laplacianEdges = edges.map((edge) => ({
     from: edge.from,
     to: edge.to,
-    strength: edge.strength ?? 1
+    strength: edge.strength ?? 1,
+    type: edge.type,
+    lastSeen: edge.lastSeen,
+    restLength: edge.restLength
   }));
 
   const module = new GraphLaplacian({
@@ -170,7 +214,9 @@ function createLaplacianHarness(gl, {
     k,
     shardSize,
     normalized,
-    disableFloatBlend
+    disableFloatBlend,
+    ...decay,
+    ...spring
   });
 
   function clearTarget() {
@@ -539,35 +585,46 @@ test('module clears external handles after accumulate', async () => {
   resetGL();
 });
 
-test('accumulate skips when float blend disabled and retains target', async () => {
+test('float blend fallback matches CPU and adds onto target', async () => {
   const gl = getGL();
+  const spokes = 10;
+  /** @type {Array<[number, number, number]>} */
+  const positions = [[0.5, -0.25, 0]];
+  const edges = [];
+  for (let i = 0; i < spokes; i++) {
+    const angle = (i / spokes) * Math.PI * 2;
+    positions.push([Math.cos(angle), Math.sin(angle), 0.1 * i]);
+    edges.push({ from: 0, to: i + 1, strength: 1 + i * 0.1 });
+    edges.push({ from: i + 1, to: 0, strength: 1 });
+  }
+
   const harness = createLaplacianHarness(gl, {
-    edges: createTestEdges(1),
-    positions: [
-      [0, 0, 0],
-      [1, 0, 0]
-    ],
-    k: 1,
+    edges,
+    positions,
+    k: 0.3,
     shardSize: 4,
     disableFloatBlend: true
   });
 
-  const zeroForces = harness.accumulateAndRead();
-  assertForce(zeroForces[0], [0, 0, 0], EPS, 'node 0 float blend off zero');
-  assertForce(zeroForces[1], [0, 0, 0], EPS, 'node 1 float blend off zero');
+  // Hub spans three shards, gathered without blending
+  const { cpu } = compareHarnessToCpu(harness);
 
-  // Fill target with sentinel values and ensure accumulate leaves them untouched
+  // Fill target with sentinel values: forces must add onto them, w untouched
   const sentinel = new Float32Array(harness.textureWidth * harness.textureHeight * 4);
   sentinel.fill(0.1234);
   gl.bindTexture(gl.TEXTURE_2D, harness.targetTex);
   gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, harness.textureWidth, harness.textureHeight, gl.RGBA, gl.FLOAT, sentinel);
   gl.bindTexture(gl.TEXTURE_2D, null);
 
-  harness.accumulateAndRead({ clearFirst: false });
+  const added = harness.accumulateAndRead({ clearFirst: false });
+  for (let i = 0; i < cpu.length; i++) {
+    assertForce(added[i], [cpu[i][0] + 0.1234, cpu[i][1] + 0.1234, cpu[i][2] + 0.1234], EPS, `node ${i} on sentinel`);
+  }
   const pixels = readTexture(gl, harness.targetTex, harness.textureWidth, harness.textureHeight);
-  for (let i = 0; i < pixels.length; i++) {
-    assertClose(pixels[i], 0.1234, 1e-6, 'sentinel preserved');
+  for (let i = 0; i < cpu.length; i++) {
+    assertClose(pixels[i * 4 + 3], 0.1234, 1e-6, `node ${i} w preserved`);
   }
+  assert.strictEqual(harness.module.finishKernel.inForce, null, 'borrowed target released');
 
   harness.dispose();
   resetGL();
@@ -591,3 +648,353 @@ test('coincident nodes remain stable', async () => {
   harness.dispose();
   resetGL();
 });
+
+test('addEdges within row slack patches in place and matches CPU', async () => {
+  const gl = getGL();
+  const harness = createLaplacianHarness(gl, {
+    edges: [
+      { from: 0, to: 1, strength: 1 },
+      { from: 1, to: 0, strength: 1 },
+      { from: 1, to: 2, strength: 1 },
+      { from: 2, to: 1, strength: 1 }
+    ],
+    positions: [
+      [-1, 0, 0],
+      [0, 0.5, 0],
+      [1, 0, 0],
+      [0, -2, 1]
+    ],
+    k: 0.5,
+    shardSize: 2
+  });
+  compareHarnessToCpu(harness);
+
+  const { module } = harness;
+  const partialsKernel = module.partialsKernel;
+  const capacity = module.capacity;
+
+  // Node 3 had no edges: its minimum slack takes two, node 0 takes one
+  const added = [
+    { from: 3, to: 0, strength: 2 },
+    { from: 3, to: 2, strength: 0.5 },
+    { from: 0, to: 3, strength: 2 }
+  ];
+  module.addEdges(added);
+  harness.edges.push(...added);
+
+  assert.strictEqual(module.partialsKernel, partialsKernel, 'no relayout while rows have slack');
+  assert.strictEqual(module.capacity, capacity, 'capacity unchanged');
+  assert.strictEqual(module.edgeCount, 7);
+  compareHarnessToCpu(harness);
+
+  harness.dispose();
+  resetGL();
+});
+
+test('addEdges past row slack lays the CSR out again', async () => {
+  const gl = getGL();
+  const harness = createLaplacianHarness(gl, {
+    edges: createTestEdges(1),
+    positions: [
+      [0, 0, 0],
+      [1, 0, 0],
+      [0, 1, 0],
+      [0, 0, 1],
+      [1, 1, 1],
+      [-1, 0, 0]
+    ],
+    k: 0.25,
+    shardSize: 4
+  });
+  compareHarnessToCpu(harness);
+
+  const { module } = harness;
+  const capacity = module.capacity;
+
+  // Node 0 has one edge and two spare slots: four more overflow its row
+  const added = [2, 3, 4, 5].map((to) => ({ from: 0, to, strength: to * 0.5 }));
+  module.addEdges(added);
+  harness.edges.push(...added);
+
+  assert.ok(module.capacity > capacity, `capacity grows: ${capacity} -> ${module.capacity}`);
+  assert.strictEqual(module.rowLength[0], 5, 'row 0 holds all its edges');
+  compareHarnessToCpu(harness);
+
+  harness.dispose();
+  resetGL();
+});
+
+test('relayout keeps the compiled kernels, scattered edits patch per-row spans', async () => {
+  const gl = getGL();
+  const spokes = 12;
+  /** @type {Array<[number, number, number]>} */
+  const positions = [[0.2, 0.1, -0.3]];
+  const edges = [];
+  for (let i = 0; i < spokes; i++) {
+    const angle = (i / spokes) * Math.PI * 2;
+    positions.push([Math.cos(angle), Math.sin(angle), 0.05 * i]);
+    edges.push({ from: 0, to: i + 1, strength: 1 });
+    edges.push({ from: i + 1, to: 0, strength: 1 });
+  }
+
+  for (const disableFloatBlend of [false, true]) {
+    const harness = createLaplacianHarness(gl, {
+      edges: edges.map((e) => ({ ...e })),
+      positions,
+      k: 0.3,
+      shardSize: 4,
+      disableFloatBlend
+    });
+    compareHarnessToCpu(harness);
+
+    const { module } = harness;
+    const { partialsKernel, reduceKernel, finishKernel } = module;
+    const programs = [partialsKernel.program, reduceKernel.program, finishKernel.program];
+
+    // The hub row's first and last edges sit in different texel rows: one texel each
+    module.setEdgeStrength(0, 1, 3);
+    module.setEdgeStrength(0, spokes, 0.5);
+    for (const e of harness.edges) {
+      if (e.from === 0 && e.to === 1) e.strength = 3;
+      if (e.from === 0 && e.to === spokes) e.strength = 0.5;
+    }
+    const spans = [...module.dirty.slots.values()];
+    assert.strictEqual(spans.length, 2, 'two texel rows dirty');
+    for (const span of spans) assert.strictEqual(span.end - span.start, 1, `one texel per row, got ${span.start}..${span.end}`);
+    compareHarnessToCpu(harness);
+
+    // Overflowing the hub row lays out more shards, into the same kernels
+    const shardCount = module.shardCount;
+    const added = [1, 3, 5, 7, 9, 11, 12, 2].map((to) => ({ from: 0, to, strength: 0.25 }));
+    module.addEdges(added);
+    harness.edges.push(...added);
+
+    const label = disableFloatBlend ? 'gather' : 'blend';
+    assert.ok(module.shardCount > shardCount, `${label}: shards grow: ${shardCount} -> ${module.shardCount}`);
+    assert.strictEqual(module.partialsKernel, partialsKernel, `${label}: partials kernel kept`);
+    assert.strictEqual(module.reduceKernel, reduceKernel, `${label}: reduce kernel kept`);
+    assert.strictEqual(module.finishKernel, finishKernel, `${label}: finish kernel kept`);
+    assert.deepStrictEqual(
+      [partialsKernel.program, reduceKernel.program, finishKernel.program], programs, `${label}: programs not recompiled`);
+    assert.strictEqual(reduceKernel.shardCount, module.shardCount, `${label}: reduce draws every shard`);
+    compareHarnessToCpu(harness);
+
+    harness.dispose();
+  }
+
+  resetGL();
+});
+
+test('removeEdges and setEdgeStrength match CPU, removals compact', async () => {
+  const gl = getGL();
+  const spokes = 8;
+  /** @type {Array<[number, number, number]>} */
+  const positions = [[0.3, -0.2, 0.1]];
+  const edges = [];
+  for (let i = 0; i < spokes; i++) {
+    const angle = (i / spokes) * Math.PI * 2;
+    positions.push([Math.cos(angle), Math.sin(angle), 0]);
+    edges.push({ from: 0, to: i + 1, strength: 1 });
+    edges.push({ from: i + 1, to: 0, strength: 1 });
+  }
+
+  const harness = createLaplacianHarness(gl, {
+    edges,
+    positions,
+    k: 0.4,
+    shardSize: 4
+  });
+  const { module } = harness;
+  const capacity = module.capacity;
+
+  assert.strictEqual(module.setEdgeStrength(0, 3, 4), true);
+  assert.strictEqual(module.setEdgeStrength(3, 5, 1), false, 'missing edge reports false');
+  const strengthened = harness.edges.find((e) => e.from === 0 && e.to === 3);
+  if (strengthened) strengthened.strength = 4;
+
+  const removed = module.removeEdges([{ from: 0, to: 1 }, { from: 2, to: 0 }, { from: 2, to: 0 }]);
+  assert.strictEqual(removed, 2, 'duplicate removal of a missing edge is skipped');
+  harness.edges.splice(harness.edges.findIndex((e) => e.from === 0 && e.to === 1), 1);
+  harness.edges.splice(harness.edges.findIndex((e) => e.from === 2 && e.to === 0), 1);
+  compareHarnessToCpu(harness);
+
+  // Dropping the hub's spokes frees more than a quarter of the slots
+  const spokeEdges = harness.edges.filter((e) => e.from === 0);
+  module.removeEdges(spokeEdges);
+  harness.edges.splice(0, harness.edges.length, ...harness.edges.filter((e) => e.from !== 0));
+
+  assert.ok(module.capacity < capacity, `compaction shrinks capacity: ${capacity} -> ${module.capacity}`);
+  assert.strictEqual(module.removedSinceLayout, 0, 'compaction resets the removal count');
+  const { gpu } = compareHarnessToCpu(harness);
+  assert.ok(Math.abs(gpu[0][0]) < EPS && Math.abs(gpu[0][1]) < EPS, 'hub without out-edges feels nothing');
+
+  harness.dispose();
+  resetGL();
+});
+
+test('decaying edge weights match CPU and expire', async () => {
+  const gl = getGL();
+  const time = 3;
+  const tau = [2, Infinity];
+  const harness = createLaplacianHarness(gl, {
+    edges: [
+      { from: 0, to: 1, strength: 2, type: 0, lastSeen: 1 },
+      { from: 1, to: 0, strength: 2, type: 0, lastSeen: 0 },
+      { from: 1, to: 2, strength: 1, type: 1, lastSeen: 0 },
+      { from: 2, to: 0, strength: 3, type: 0, lastSeen: 3 }
+    ],
+    positions: [
+      [0, 0, 0],
+      [1, 0.5, 0],
+      [-1, 2, 1]
+    ],
+    k: 0.5,
+    shardSize: 4,
+    decay: { tau, expireBelow: 0.05, expireInterval: 100, time }
+  });
+
+  // Decayed strengths drive both Ax and the degree
+  /** @param {number} at */
+  const decayedEdges = (at) => harness.edges.map((e) => ({
+    ...e,
+    strength: e.strength * Math.exp(-Math.max(0, at - (e.lastSeen ?? 0)) / tau[e.type ?? 0])
+  }));
+  const gpu = harness.accumulateAndRead();
+  const cpu = computeCpuForces({ positions: harness.positions, edges: decayedEdges(time), k: harness.k });
+  for (let i = 0; i < cpu.length; i++) assertForce(gpu[i], cpu[i], EPS, `node ${i} at t=${time}`);
+
+  // 2·e^(-9/2) and 2·e^(-10/2) fall below 0.05, 3·e^(-7/2) and the static edge stay
+  const { module } = harness;
+  module.time = 10;
+  assert.strictEqual(module.expire(), 2, 'two edges expire');
+  assert.strictEqual(module.edgeCount, 2);
+
+  const kept = decayedEdges(10).filter((e) => e.from !== 0 && !(e.from === 1 && e.to === 0));
+  const afterExpiry = harness.accumulateAndRead();
+  const cpuAfter = computeCpuForces({ positions: harness.positions, edges: kept, k: harness.k });
+  for (let i = 0; i < cpuAfter.length; i++) assertForce(afterExpiry[i], cpuAfter[i], EPS, `node ${i} after expiry`);
+
+  // Touching restarts the decay
+  assert.strictEqual(module.touchEdges([{ from: 2, to: 0 }]), 1);
+  const touched = harness.accumulateAndRead();
+  const cpuTouched = computeCpuForces({
+    positions: harness.positions,
+    edges: kept.map((e) => (e.from === 2 ? { ...e, strength: 3 } : e)),
+    k: harness.k
+  });
+  for (let i = 0; i < cpuTouched.length; i++) assertForce(touched[i], cpuTouched[i], EPS, `node ${i} after touch`);
+
+  harness.dispose();
+  resetGL();
+});
+
+test('decay ages stay exact with epoch-sized timestamps', async () => {
+  const gl = getGL();
+  // float32 steps 128 apart around 1.7e9: absolute times on the GPU would lose every age
+  const t0 = 1.7e9;
+  const tau = 2;
+  const harness = createLaplacianHarness(gl, {
+    edges: [
+      { from: 0, to: 1, strength: 2, lastSeen: t0 + 1 },
+      { from: 1, to: 0, strength: 2, lastSeen: t0 },
+      { from: 1, to: 2, strength: 1, lastSeen: t0 + 2.5 },
+      { from: 2, to: 0, strength: 3, lastSeen: t0 + 3 }
+    ],
+    positions: [
+      [0, 0, 0],
+      [1, 0.5, 0],
+      [-1, 2, 1]
+    ],
+    k: 0.5,
+    shardSize: 4,
+    decay: { tau, expireBelow: 0.05, expireInterval: 100, time: t0 + 3 }
+  });
+  const { module } = harness;
+
+  /** @param {number} at */
+  const decayedEdges = (at) => harness.edges.map((e) => ({
+    ...e,
+    strength: e.strength * Math.exp(-Math.max(0, at - (e.lastSeen ?? 0)) / tau)
+  }));
+  /**
+   * @param {number} at
+   * @param {string} label
+   */
+  const assertDecayedAt = (at, label) => {
+    const gpu = harness.accumulateAndRead();
+    const cpu = computeCpuForces({ positions: harness.positions, edges: decayedEdges(at), k: harness.k });
+    for (let i = 0; i < cpu.length; i++) assertForce(gpu[i], cpu[i], EPS, `node ${i} ${label}`);
+  };
+
+  assertDecayedAt(t0 + 3, 'at t0+3');
+
+  // Compaction rebases the epoch onto the module time
+  module.time = t0 + 5;
+  module.compact();
+  assert.strictEqual(module.epoch, t0 + 5, 'epoch follows the layout');
+  assertDecayedAt(t0 + 5, 'after compaction');
+
+  assert.strictEqual(module.touchEdges([{ from: 1, to: 2 }]), 1);
+  const touched = harness.edges.find((e) => e.from === 1 && e.to === 2);
+  if (touched) touched.lastSeen = t0 + 5;
+  assertDecayedAt(t0 + 5, 'after touch');
+
+  // 2·e^(-9/2) and 2·e^(-10/2) fall below 0.05, e^(-5/2) and 3·e^(-7/2) stay
+  module.time = t0 + 10;
+  assert.strictEqual(module.expire(), 2, 'two edges expire');
+  harness.edges.splice(0, harness.edges.length, ...harness.edges.filter((e) => e.from !== 0 && !(e.from === 1 && e.to === 0)));
+  assertDecayedAt(t0 + 10, 'after expiry');
+
+  harness.dispose();
+  resetGL();
+});
+
+test('hooke rest lengths, spring laws and force clamp match CPU', async () => {
+  const gl = getGL();
+  const edges = [
+    { from: 0, to: 1, strength: 1, restLength: 1 },
+    { from: 1, to: 0, strength: 1, restLength: 1 },
+    { from: 1, to: 2, strength: 2 },
+    { from: 2, to: 1, strength: 2 },
+    { from: 2, to: 0, strength: 0.5, restLength: 4 }
+  ];
+  const positions = /** @type {Array<[number, number, number]>} */ ([
+    [0, 0, 0],
+    [1, 0, 0],
+    [1, 2, 1]
+  ]);
+
+  const hooke = createLaplacianHarness(gl, {
+    edges, positions, k: 0.5, shardSize: 2, spring: { law: 'hooke', restLength: 1.5 }
+  });
+  const gpu = hooke.accumulateAndRead();
+  const cpu = computeCpuSpringForces({ positions, edges: hooke.edges, k: 0.5, law: 'hooke', restLength: 1.5 });
+  for (let i = 0; i < cpu.length; i++) assertForce(gpu[i], cpu[i], EPS, `hooke node ${i}`);
+  assertForce(gpu[0], [0, 0, 0], EPS, 'node 0 has one edge, at its rest length');
+
+  // Rest lengths follow edits
+  hooke.module.addEdges([{ from: 0, to: 2, strength: 1, restLength: 2 }]);
+  const edited = hooke.accumulateAndRead();
+  const cpuEdited = computeCpuSpringForces({
+    positions, edges: [...hooke.edges, { from: 0, to: 2, strength: 1, restLength: 2 }], k: 0.5, law: 'hooke', restLength: 1.5
+  });
+  for (let i = 0; i < cpuEdited.length; i++) assertForce(edited[i], cpuEdited[i], EPS, `hooke node ${i} after addEdges`);
+  hooke.dispose();
+
+  // normalized has no degree to divide by once forces are summed per edge
+  const base = { gl, edges, particleCount: 3, textureWidth: 3, textureHeight: 1, normalized: true };
+  assert.throws(() => new GraphLaplacian({ ...base, law: 'hooke' }), /normalized needs law 'linear'/);
+  assert.throws(() => new GraphLaplacian({ ...base, maxForce: 1 }), /maxForce 1/);
+
+  for (const law of /** @type {const} */ (['fruchterman-reingold', 'linlog', 'linear'])) {
+    const harness = createLaplacianHarness(gl, {
+      edges, positions, k: 0.5, spring: { law, optimalDistance: 2, maxForce: 0.75 }
+    });
+    const forces = harness.accumulateAndRead();
+    const expected = computeCpuSpringForces({ positions, edges: harness.edges, k: 0.5, law, optimalDistance: 2, maxForce: 0.75 });
+    for (let i = 0; i < expected.length; i++) assertForce(forces[i], expected[i], EPS, `${law} node ${i}`);
+    harness.dispose();
+  }
+
+  resetGL();
+});
@@ -8,6 +8,17 @@ import { formatNumber, readLinear } from '../../gravity/diag.js';
  * Computes F_attr = k * (Ax - deg * x) and writes the result into outForce.
  * Uses additive blending by default so multiple force contributors may
  * accumulate into the same render target.
+ *
+ * Without blending, set inForce to the forces accumulated so far and point
+ * outForce at a different (ping-pong) texture: the pass then writes
+ * inForce + F_attr, keeping inForce.w.
+ *
+ * With degreeFromAx the degree is Ax.w (the summed weights of this pass, which
+ * follow decaying edge weights) instead of inDeg; normalized then uses 1 / Ax.w.
+ *
+ * With axIsForce, Ax already holds the summed per-edge spring forces (springK
+ * included, see KLaplacianPartials forceLaw) and is written through as F_attr;
+ * neither inDeg nor normalized applies.
  */
 export class KLaplacianFinish {
   /**
@@ -16,6 +27,7 @@ export class KLaplacianFinish {
    *   inAx?: WebGLTexture|null,
    *   inDeg?: WebGLTexture|null,
    *   inPosition?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   outForceFramebuffer?: WebGLFramebuffer|null,
    *   forceWidth?: number,
@@ -27,7 +39,10 @@ export class KLaplacianFinish {
    *   positionWidth?: number,
    *   positionHeight?: number,
    *   springK?: number,
-   *   enableBlend?: boolean
+   *   enableBlend?: boolean,
+   *   degreeFromAx?: boolean,
+   *   normalized?: boolean,
+   *   axIsForce?: boolean
    * }} options
    */
   constructor(options) {
@@ -40,6 +55,8 @@ export class KLaplacianFinish {
     this.inDeg = options.inDeg !== undefined ? options.inDeg : null;
     /** @type {WebGLTexture|null} */
     this.inPosition = options.inPosition !== undefined ? options.inPosition : null;
+    /** @type {WebGLTexture|null} */
+    this.inForce = options.inForce !== undefined ? options.inForce : null;
 
     this.axWidth = options.axWidth || 1;
     this.axHeight = options.axHeight || 1;
@@ -64,6 +81,9 @@ export class KLaplacianFinish {
 
     this.springK = options.springK !== undefined ? options.springK : 0.01;
     this.enableBlend = options.enableBlend !== undefined ? options.enableBlend : true;
+    this.degreeFromAx = !!options.degreeFromAx;
+    this.normalized = !!options.normalized;
+    this.axIsForce = !!options.axIsForce;
 
     /** @type {WebGLProgram|null} */
     this.program = createProgram(this.gl, fullscreenVS, finishFS);
@@ -74,10 +94,14 @@ export class KLaplacianFinish {
       /** @type {WebGLUniformLocation|null} */ uAx: this.gl.getUniformLocation(this.program, 'uAx'),
       /** @type {WebGLUniformLocation|null} */ uDeg: this.gl.getUniformLocation(this.program, 'uDeg'),
       /** @type {WebGLUniformLocation|null} */ uPos: this.gl.getUniformLocation(this.program, 'uPos'),
+      /** @type {WebGLUniformLocation|null} */ uForce: this.gl.getUniformLocation(this.program, 'uForce'),
+      /** @type {WebGLUniformLocation|null} */ uHasForce: this.gl.getUniformLocation(this.program, 'uHasForce'),
       /** @type {WebGLUniformLocation|null} */ uAxSize: this.gl.getUniformLocation(this.program, 'uAxSize'),
       /** @type {WebGLUniformLocation|null} */ uDegSize: this.gl.getUniformLocation(this.program, 'uDegSize'),
       /** @type {WebGLUniformLocation|null} */ uPosSize: this.gl.getUniformLocation(this.program, 'uPosSize'),
-      /** @type {WebGLUniformLocation|null} */ uK: this.gl.getUniformLocation(this.program, 'uK')
+      /** @type {WebGLUniformLocation|null} */ uK: this.gl.getUniformLocation(this.program, 'uK'),
+      /** @type {WebGLUniformLocation|null} */ uDegreeMode: this.gl.getUniformLocation(this.program, 'uDegreeMode'),
+      /** @type {WebGLUniformLocation|null} */ uAxIsForce: this.gl.getUniformLocation(this.program, 'uAxIsForce')
     };
   }
 
@@ -102,6 +126,11 @@ export class KLaplacianFinish {
         height: this.positionHeight, count: this.positionWidth * this.positionHeight,
         channels: ['x', 'y', 'z', 'mass'], pixels
       }),
+      previousForce: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.forceWidth,
+        height: this.forceHeight, count: this.forceWidth * this.forceHeight,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.forceWidth,
         height: this.forceHeight, count: this.forceWidth * this.forceHeight,
@@ -111,6 +140,8 @@ export class KLaplacianFinish {
       forceHeight: this.forceHeight,
       springK: this.springK,
       enableBlend: this.enableBlend,
+      degreeFromAx: this.degreeFromAx,
+      axIsForce: this.axIsForce,
       renderCount: this.renderCount
     };
 
@@ -119,14 +150,16 @@ export class KLaplacianFinish {
       Math.sqrt(value.force.fx.mean ** 2 + value.force.fy.mean ** 2 + value.force.fz.mean ** 2) : 0;
 
     value.toString = () =>
-      `KLaplacianFinish(${this.forceWidth}×${this.forceHeight}) springK=${formatNumber(this.springK)} blend=${this.enableBlend} #${this.renderCount}
+      `KLaplacianFinish(${this.forceWidth}×${this.forceHeight}) springK=${formatNumber(this.springK)} blend=${this.enableBlend}${this.axIsForce ? ' Ax=force' : this.degreeFromAx ? ` degree=${this.normalized ? '1/Ax.w' : 'Ax.w'}` : ''} #${this.renderCount}
 
 ax: ${value.ax}
 
 deg: ${value.deg}
 
 position: ${value.position}
-
+${this.inForce ? `
+previousForce: ${value.previousForce}
+` : ''}
 → force: ${value.force ? `totalForceMag=${formatNumber(totalForce)} ` : ''}${value.force}`;
 
     return value;
@@ -146,15 +179,18 @@ position: ${value.position}
     if (!this.program) throw new Error('KLaplacianFinish: program missing');
     if (!this.outForceFramebuffer) throw new Error('KLaplacianFinish: framebuffer missing');
     if (!this.outForce) throw new Error('KLaplacianFinish: outForce texture missing');
-    if (!this.inAx || !this.inDeg || !this.inPosition)
+    if (!this.inAx || (!this.inDeg && !this.degreeFromAx && !this.axIsForce) || !this.inPosition)
       throw new Error('KLaplacianFinish: required inputs missing');
+    if (this.inForce && this.inForce === this.outForce)
+      throw new Error('KLaplacianFinish: inForce and outForce must be different textures');
 
     gl.useProgram(this.program);
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.outForceFramebuffer);
     gl.viewport(0, 0, this.forceWidth, this.forceHeight);
 
-    if (this.enableBlend) {
+    // inForce already carries the earlier contributions: overwrite, never blend
+    if (this.enableBlend && !this.inForce) {
       gl.enable(gl.BLEND);
       gl.blendFunc(gl.ONE, gl.ONE);
     } else {
@@ -166,13 +202,19 @@ position: ${value.position}
     if (this.uniforms.uAx) gl.uniform1i(this.uniforms.uAx, 0);
 
     gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, this.inDeg);
+    gl.bindTexture(gl.TEXTURE_2D, this.inDeg || this.inAx);
     if (this.uniforms.uDeg) gl.uniform1i(this.uniforms.uDeg, 1);
 
     gl.activeTexture(gl.TEXTURE2);
     gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
     if (this.uniforms.uPos) gl.uniform1i(this.uniforms.uPos, 2);
 
+    // Any texture keeps the sampler valid without inForce
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce || this.inPosition);
+    if (this.uniforms.uForce) gl.uniform1i(this.uniforms.uForce, 3);
+    if (this.uniforms.uHasForce) gl.uniform1i(this.uniforms.uHasForce, this.inForce ? 1 : 0);
+
     if (this.uniforms.uAxSize)
       gl.uniform2i(this.uniforms.uAxSize, this.axWidth, this.axHeight);
     if (this.uniforms.uDegSize)
@@ -181,11 +223,19 @@ position: ${value.position}
       gl.uniform2i(this.uniforms.uPosSize, this.positionWidth, this.positionHeight);
     if (this.uniforms.uK)
       gl.uniform1f(this.uniforms.uK, this.springK);
+    if (this.uniforms.uDegreeMode)
+      gl.uniform1i(this.uniforms.uDegreeMode, !this.degreeFromAx ? 0 : this.normalized ? 2 : 1);
+    if (this.uniforms.uAxIsForce)
+      gl.uniform1i(this.uniforms.uAxIsForce, this.axIsForce ? 1 : 0);
 
     gl.bindVertexArray(this.vao);
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     gl.bindVertexArray(null);
 
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     gl.disable(gl.BLEND);
 
@@ -202,6 +252,7 @@ position: ${value.position}
     if (this.inAx) gl.deleteTexture(this.inAx);
     if (this.inDeg) gl.deleteTexture(this.inDeg);
     if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inForce) gl.deleteTexture(this.inForce);
     if (this.outForce) gl.deleteTexture(this.outForce);
 
     this.program = null;
@@ -210,6 +261,7 @@ position: ${value.position}
     this.inAx = null;
     this.inDeg = null;
     this.inPosition = null;
+    this.inForce = null;
     this.outForce = null;
   }
 }
@@ -230,11 +282,15 @@ precision highp int;
 uniform sampler2D uAx;
 uniform sampler2D uDeg;
 uniform sampler2D uPos;
+uniform sampler2D uForce;
+uniform bool uHasForce;
 
 uniform ivec2 uAxSize;
 uniform ivec2 uDegSize;
 uniform ivec2 uPosSize;
 uniform float uK;
+uniform int uDegreeMode; // 0: inDeg, 1: Ax.w, 2: 1 / Ax.w
+uniform bool uAxIsForce;
 
 out vec4 outForce;
 
@@ -247,12 +303,21 @@ void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
   int i = coord.y * uPosSize.x + coord.x;
 
-  vec3 Ax = fetch1D(uAx, uAxSize, i).xyz;
-  float deg = fetch1D(uDeg, uDegSize, i).x;
+  vec4 axw = fetch1D(uAx, uAxSize, i);
+  vec3 Ax = axw.xyz;
+  float deg = uDegreeMode == 0 ? fetch1D(uDeg, uDegSize, i).x
+    : uDegreeMode == 1 ? axw.w
+    : (axw.w > 0.0 ? 1.0 / axw.w : 0.0);
   vec3 xi = fetch1D(uPos, uPosSize, i).xyz;
 
-  vec3 F_attr = uK * (Ax - deg * xi);
-  outForce = vec4(F_attr, 0.0);
+  vec3 F_attr = uAxIsForce ? Ax : uK * (Ax - deg * xi);
+  if (uHasForce) {
+    // Read-modify-write: inForce is laid out like the force target
+    vec4 previous = texelFetch(uForce, coord, 0);
+    outForce = vec4(previous.xyz + F_attr, previous.w);
+  } else {
+    outForce = vec4(F_attr, 0.0);
+  }
 }`;
 
 /**
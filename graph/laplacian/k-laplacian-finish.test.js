@@ -164,3 +164,125 @@ test('KLaplacianFinish: run throws if inputs missing', async () => {
   kernel.dispose();
   resetGL();
 });
+
+/**
+ * Test 4: read-modify-write adds onto inForce and keeps its w.
+ */
+test('KLaplacianFinish: adds onto inForce without blending', async () => {
+  const gl = getGL();
+
+  const axTex = createVec3Texture(gl, [[2, 4, 6]]);
+  const degTex = createScalarTexture(gl, [2]);
+  const posTex = createVec3Texture(gl, [[1, 1, 1]]);
+  const prevTex = createTestTexture(gl, 1, 1, new Float32Array([10, 20, 30, -0.5]));
+
+  const kernel = new KLaplacianFinish({
+    gl,
+    inAx: axTex,
+    inDeg: degTex,
+    inPosition: posTex,
+    inForce: prevTex,
+    forceWidth: 1,
+    forceHeight: 1,
+    axWidth: 1,
+    axHeight: 1,
+    degWidth: 1,
+    degHeight: 1,
+    positionWidth: 1,
+    positionHeight: 1,
+    springK: 1,
+    enableBlend: false
+  });
+
+  kernel.run();
+
+  const snapshot = kernel.valueOf({ pixels: true });
+  const force = snapshot.force.pixels[0];
+
+  assertClose(force.fx, 10, 1e-5, `Force X should add onto inForce\n\n${kernel.toString()}`);
+  assertClose(force.fy, 22, 1e-5, 'Force Y should add onto inForce');
+  assertClose(force.fz, 34, 1e-5, 'Force Z should add onto inForce');
+  assertClose(force.unused, -0.5, 1e-6, 'w of inForce should pass through');
+
+  kernel.outForce = kernel.inForce;
+  assert.throws(() => kernel.run(), /different textures/, 'run() should refuse to read and write one texture');
+  kernel.outForce = null;
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 5: degreeFromAx takes the degree from Ax.w instead of inDeg.
+ */
+test('KLaplacianFinish: degree from Ax.w', async () => {
+  const gl = getGL();
+
+  // Ax.w = 0.5: the decayed weight sum
+  const axTex = createTestTexture(gl, 1, 1, new Float32Array([2, 4, 6, 0.5]));
+  const posTex = createVec3Texture(gl, [[2, 2, 2]]);
+
+  const kernel = new KLaplacianFinish({
+    gl,
+    inAx: axTex,
+    inDeg: null,
+    inPosition: posTex,
+    forceWidth: 1,
+    forceHeight: 1,
+    axWidth: 1,
+    axHeight: 1,
+    positionWidth: 1,
+    positionHeight: 1,
+    springK: 1,
+    enableBlend: false,
+    degreeFromAx: true
+  });
+
+  kernel.run();
+  let force = kernel.valueOf({ pixels: true }).force.pixels[0];
+  assertClose(force.fx, 2 - 0.5 * 2, 1e-5, `F = k (Ax - Ax.w x)\n\n${kernel.toString()}`);
+  assertClose(force.fz, 6 - 0.5 * 2, 1e-5, 'Force Z');
+
+  kernel.normalized = true;
+  kernel.run();
+  force = kernel.valueOf({ pixels: true }).force.pixels[0];
+  assertClose(force.fx, 2 - 2 * 2, 1e-5, `normalized uses 1 / Ax.w\n\n${kernel.toString()}`);
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 6: axIsForce writes the per-edge forces in Ax through unchanged.
+ */
+test('KLaplacianFinish: Ax as summed edge forces', async () => {
+  const gl = getGL();
+
+  const axTex = createTestTexture(gl, 1, 1, new Float32Array([0.5, -1, 0.25, 3]));
+  const posTex = createVec3Texture(gl, [[2, 2, 2]]);
+
+  const kernel = new KLaplacianFinish({
+    gl,
+    inAx: axTex,
+    inDeg: null,
+    inPosition: posTex,
+    forceWidth: 1,
+    forceHeight: 1,
+    axWidth: 1,
+    axHeight: 1,
+    positionWidth: 1,
+    positionHeight: 1,
+    springK: 10,
+    enableBlend: false,
+    axIsForce: true
+  });
+
+  kernel.run();
+  const force = kernel.valueOf({ pixels: true }).force.pixels[0];
+  assertClose(force.fx, 0.5, 1e-5, `F = Ax\n\n${kernel.toString()}`);
+  assertClose(force.fy, -1, 1e-5, 'Force Y');
+  assertClose(force.fz, 0.25, 1e-5, 'Force Z');
+
+  kernel.dispose();
+  resetGL();
+});
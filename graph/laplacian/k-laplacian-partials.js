@@ -8,7 +8,26 @@ import { formatNumber, readLinear } from '../../gravity/diag.js';
  * Implements the WebGL2 Kernel contract described in docs/8-webgl-kernels.md.
  * Runs a fullscreen pass that gathers neighbor contributions for each shard
  * into an intermediate RGBA texture: RGB = weighted position sum, A = weight sum.
+ *
+ * With inDecay (laid out like inWeight, R = lastSeen, G = 1/tau) each weight decays
+ * to weight * exp(-(time - lastSeen) / tau); 1/tau = 0 keeps the weight as is.
+ *
+ * Any forceLaw other than plain 'linear', or a finite maxForce, switches RGB to
+ * the summed per-edge forces instead, springK included: each edge pulls node i
+ * towards j with magnitude springK * w * f(d), clamped to maxForce, where d = |xj - xi| and
+ *   linear:                f = d
+ *   hooke:                 f = d - restLength (inRestLength per edge, else restLength)
+ *   fruchterman-reingold:  f = d² / optimalDistance
+ *   linlog:                f = log(1 + d)
+ */
+
+/**
+ * @typedef {'linear' | 'hooke' | 'fruchterman-reingold' | 'linlog'} LaplacianForceLaw
  */
+
+/** Shader codes of the per-edge laws; 0 is the weighted position sum */
+const FORCE_LAWS = { linear: 1, hooke: 2, 'fruchterman-reingold': 3, linlog: 4 };
+
 export class KLaplacianPartials {
   /**
    * @param {{
@@ -17,6 +36,8 @@ export class KLaplacianPartials {
    *   inColIdx?: WebGLTexture|null,
    *   inWeight?: WebGLTexture|null,
    *   inPosition?: WebGLTexture|null,
+   *   inDecay?: WebGLTexture|null,
+   *   inRestLength?: WebGLTexture|null,
    *   outPartials?: WebGLTexture|null,
    *   partialsWidth?: number,
    *   partialsHeight?: number,
@@ -26,7 +47,13 @@ export class KLaplacianPartials {
    *   colTextureHeight?: number,
    *   positionTextureWidth?: number,
    *   positionTextureHeight?: number,
-   *   shardBlockSize?: number
+   *   shardBlockSize?: number,
+   *   time?: number,
+   *   forceLaw?: LaplacianForceLaw,
+   *   springK?: number,
+   *   restLength?: number,
+   *   optimalDistance?: number,
+   *   maxForce?: number
    * }} options
    */
   constructor(options) {
@@ -41,6 +68,10 @@ export class KLaplacianPartials {
     this.inWeight = options.inWeight !== undefined ? options.inWeight : null;
     /** @type {WebGLTexture|null} */
     this.inPosition = options.inPosition !== undefined ? options.inPosition : null;
+    /** @type {WebGLTexture|null} */
+    this.inDecay = options.inDecay !== undefined ? options.inDecay : null;
+    /** @type {WebGLTexture|null} */
+    this.inRestLength = options.inRestLength !== undefined ? options.inRestLength : null;
 
     this.partialsWidth = options.partialsWidth || 1;
     this.partialsHeight = options.partialsHeight || 1;
@@ -51,6 +82,13 @@ export class KLaplacianPartials {
     this.positionTextureWidth = options.positionTextureWidth || 1;
     this.positionTextureHeight = options.positionTextureHeight || 1;
     this.shardBlockSize = options.shardBlockSize || 64;
+    this.time = options.time || 0;
+    /** @type {LaplacianForceLaw} */
+    this.forceLaw = options.forceLaw || 'linear';
+    this.springK = options.springK !== undefined ? options.springK : 0.01;
+    this.restLength = options.restLength !== undefined ? options.restLength : 1;
+    this.optimalDistance = options.optimalDistance !== undefined ? options.optimalDistance : 1;
+    this.maxForce = options.maxForce !== undefined ? options.maxForce : Infinity;
 
     const outProvided = options.outPartials || options.outPartials === null;
     /** @type {WebGLTexture|null} */
@@ -61,17 +99,8 @@ export class KLaplacianPartials {
     /** @type {WebGLFramebuffer|null} */
     this.framebuffer = /** @type {WebGLFramebuffer|null} */ (this.gl.createFramebuffer());
     if (!this.framebuffer) throw new Error('KLaplacianPartials: failed to create framebuffer');
-    if (this.outPartials) {
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-      this.gl.framebufferTexture2D(
-        this.gl.FRAMEBUFFER,
-        this.gl.COLOR_ATTACHMENT0,
-        this.gl.TEXTURE_2D,
-        this.outPartials,
-        0
-      );
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
-    }
+    // outPartials is attached on run(), so a caller can swap in a resized one
+    this._fboShadow = null;
 
     /** @type {WebGLProgram|null} */
     this.program = createProgram(this.gl, fullscreenVS, partialsFS);
@@ -83,6 +112,16 @@ export class KLaplacianPartials {
       /** @type {WebGLUniformLocation|null} */ uColIdx: this.gl.getUniformLocation(this.program, 'uColIdx'),
       /** @type {WebGLUniformLocation|null} */ uWeight: this.gl.getUniformLocation(this.program, 'uWeight'),
       /** @type {WebGLUniformLocation|null} */ uPos: this.gl.getUniformLocation(this.program, 'uPos'),
+      /** @type {WebGLUniformLocation|null} */ uDecay: this.gl.getUniformLocation(this.program, 'uDecay'),
+      /** @type {WebGLUniformLocation|null} */ uHasDecay: this.gl.getUniformLocation(this.program, 'uHasDecay'),
+      /** @type {WebGLUniformLocation|null} */ u_time: this.gl.getUniformLocation(this.program, 'u_time'),
+      /** @type {WebGLUniformLocation|null} */ uRestLength: this.gl.getUniformLocation(this.program, 'uRestLength'),
+      /** @type {WebGLUniformLocation|null} */ uHasRestLength: this.gl.getUniformLocation(this.program, 'uHasRestLength'),
+      /** @type {WebGLUniformLocation|null} */ uForceLaw: this.gl.getUniformLocation(this.program, 'uForceLaw'),
+      /** @type {WebGLUniformLocation|null} */ uSpringK: this.gl.getUniformLocation(this.program, 'uSpringK'),
+      /** @type {WebGLUniformLocation|null} */ uDefaultRestLength: this.gl.getUniformLocation(this.program, 'uDefaultRestLength'),
+      /** @type {WebGLUniformLocation|null} */ uOptimalDistance: this.gl.getUniformLocation(this.program, 'uOptimalDistance'),
+      /** @type {WebGLUniformLocation|null} */ uMaxForce: this.gl.getUniformLocation(this.program, 'uMaxForce'),
       /** @type {WebGLUniformLocation|null} */ uShardSize: this.gl.getUniformLocation(this.program, 'uShardSize'),
       /** @type {WebGLUniformLocation|null} */ uColIdxSize: this.gl.getUniformLocation(this.program, 'uColIdxSize'),
       /** @type {WebGLUniformLocation|null} */ uPosSize: this.gl.getUniformLocation(this.program, 'uPosSize'),
@@ -90,6 +129,13 @@ export class KLaplacianPartials {
     };
   }
 
+  /**
+   * Whether RGB holds summed per-edge forces rather than the weighted position sum
+   */
+  get perEdgeForces() {
+    return this.forceLaw !== 'linear' || Number.isFinite(this.maxForce);
+  }
+
   /**
    * Capture complete computational state for debugging and testing
    * @param {{pixels?: boolean}} [options] - Capture options
@@ -111,6 +157,16 @@ export class KLaplacianPartials {
         height: this.colTextureHeight, count: this.colTextureWidth * this.colTextureHeight,
         channels: ['weight', 'unused1', 'unused2', 'unused3'], pixels
       }),
+      decay: this.inDecay && readLinear({
+        gl: this.gl, texture: this.inDecay, width: this.colTextureWidth,
+        height: this.colTextureHeight, count: this.colTextureWidth * this.colTextureHeight,
+        channels: ['lastSeen', 'invTau', 'unused1', 'unused2'], pixels
+      }),
+      restLength: this.inRestLength && readLinear({
+        gl: this.gl, texture: this.inRestLength, width: this.colTextureWidth,
+        height: this.colTextureHeight, count: this.colTextureWidth * this.colTextureHeight,
+        channels: ['restLength', 'unused1', 'unused2', 'unused3'], pixels
+      }),
       position: this.inPosition && readLinear({
         gl: this.gl, texture: this.inPosition, width: this.positionTextureWidth,
         height: this.positionTextureHeight, count: this.positionTextureWidth * this.positionTextureHeight,
@@ -124,18 +180,25 @@ export class KLaplacianPartials {
       partialsWidth: this.partialsWidth,
       partialsHeight: this.partialsHeight,
       shardBlockSize: this.shardBlockSize,
+      time: this.time,
+      forceLaw: this.forceLaw,
+      perEdgeForces: this.perEdgeForces,
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KLaplacianPartials(${this.partialsWidth}×${this.partialsHeight}) shardBlock=${this.shardBlockSize} #${this.renderCount}
+      `KLaplacianPartials(${this.partialsWidth}×${this.partialsHeight}) shardBlock=${this.shardBlockSize}${this.inDecay ? ` time=${formatNumber(this.time)}` : ''}${this.perEdgeForces ? ` law=${this.forceLaw} k=${formatNumber(this.springK)}${Number.isFinite(this.maxForce) ? ` maxForce=${formatNumber(this.maxForce)}` : ''}` : ''} #${this.renderCount}
 
 shards: ${value.shards}
 
 colIdx: ${value.colIdx}
 
 weight: ${value.weight}
-
+${this.inDecay ? `
+decay: ${value.decay}
+` : ''}${this.inRestLength ? `
+restLength: ${value.restLength}
+` : ''}
 position: ${value.position}
 
 → partials: ${value.partials}`;
@@ -162,6 +225,10 @@ position: ${value.position}
     gl.useProgram(this.program);
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    if (this._fboShadow !== this.outPartials) {
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outPartials, 0);
+      this._fboShadow = this.outPartials;
+    }
     gl.viewport(0, 0, this.partialsWidth, this.partialsHeight);
 
     gl.activeTexture(gl.TEXTURE0);
@@ -180,6 +247,27 @@ position: ${value.position}
     gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
     if (this.uniforms.uPos) gl.uniform1i(this.uniforms.uPos, 3);
 
+    // Any texture keeps the sampler valid without inDecay
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, this.inDecay || this.inWeight);
+    if (this.uniforms.uDecay) gl.uniform1i(this.uniforms.uDecay, 4);
+    if (this.uniforms.uHasDecay) gl.uniform1i(this.uniforms.uHasDecay, this.inDecay ? 1 : 0);
+    if (this.uniforms.u_time) gl.uniform1f(this.uniforms.u_time, this.time);
+
+    const forceLaw = FORCE_LAWS[this.forceLaw];
+    if (!forceLaw) throw new Error(`KLaplacianPartials: unknown forceLaw '${this.forceLaw}'`);
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, this.inRestLength || this.inWeight);
+    if (this.uniforms.uRestLength) gl.uniform1i(this.uniforms.uRestLength, 5);
+    if (this.uniforms.uHasRestLength) gl.uniform1i(this.uniforms.uHasRestLength, this.inRestLength ? 1 : 0);
+    if (this.uniforms.uForceLaw) gl.uniform1i(this.uniforms.uForceLaw, this.perEdgeForces ? forceLaw : 0);
+    if (this.uniforms.uSpringK) gl.uniform1f(this.uniforms.uSpringK, this.springK);
+    if (this.uniforms.uDefaultRestLength) gl.uniform1f(this.uniforms.uDefaultRestLength, this.restLength);
+    if (this.uniforms.uOptimalDistance) gl.uniform1f(this.uniforms.uOptimalDistance, this.optimalDistance);
+    // Infinite maxForce passes as 0: no clamp
+    if (this.uniforms.uMaxForce)
+      gl.uniform1f(this.uniforms.uMaxForce, Number.isFinite(this.maxForce) ? this.maxForce : 0);
+
     if (this.uniforms.uShardSize)
       gl.uniform2i(
         this.uniforms.uShardSize,
@@ -205,6 +293,12 @@ position: ${value.position}
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     gl.bindVertexArray(null);
 
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
     this.renderCount = (this.renderCount || 0) + 1;
@@ -221,15 +315,20 @@ position: ${value.position}
     if (this.inColIdx) gl.deleteTexture(this.inColIdx);
     if (this.inWeight) gl.deleteTexture(this.inWeight);
     if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inDecay) gl.deleteTexture(this.inDecay);
+    if (this.inRestLength) gl.deleteTexture(this.inRestLength);
     if (this.outPartials) gl.deleteTexture(this.outPartials);
 
     this.program = null;
     this.vao = null;
     this.framebuffer = null;
+    this._fboShadow = null;
     this.inShards = null;
     this.inColIdx = null;
     this.inWeight = null;
     this.inPosition = null;
+    this.inDecay = null;
+    this.inRestLength = null;
     this.outPartials = null;
   }
 }
@@ -251,6 +350,18 @@ uniform sampler2D uShards;
 uniform sampler2D uColIdx;
 uniform sampler2D uWeight;
 uniform sampler2D uPos;
+uniform sampler2D uDecay;
+uniform bool uHasDecay;
+uniform float u_time;
+uniform sampler2D uRestLength;
+uniform bool uHasRestLength;
+
+// 0: weighted position sum; 1-4: per-edge forces (linear, hooke, fruchterman-reingold, linlog)
+uniform int uForceLaw;
+uniform float uSpringK;
+uniform float uDefaultRestLength;
+uniform float uOptimalDistance;
+uniform float uMaxForce;
 
 uniform ivec2 uShardSize;
 uniform ivec2 uColIdxSize;
@@ -272,7 +383,7 @@ void main() {
   int nodeId = int(shardData.x + 0.5);
   int start = int(shardData.y + 0.5);
   int len = int(shardData.z + 0.5);
-  nodeId;
+  vec3 xi = fetch1D(uPos, uPosSize, nodeId).xyz;
 
   vec3 sumx = vec3(0.0);
   float wsum = 0.0;
@@ -283,9 +394,31 @@ void main() {
     float nbrIdx = fetch1D(uColIdx, uColIdxSize, e).x;
     int nbr = int(nbrIdx + 0.5);
     float w = fetch1D(uWeight, uColIdxSize, e).x;
+    if (uHasDecay) {
+      // w = weight0 * exp(-age / tau); timestamps ahead of u_time do not grow
+      vec2 decay = fetch1D(uDecay, uColIdxSize, e).xy;
+      w *= exp(-max(u_time - decay.x, 0.0) * decay.y);
+    }
     vec3 xj = fetch1D(uPos, uPosSize, nbr).xyz;
-    sumx += w * xj;
     wsum += w;
+
+    if (uForceLaw == 0) {
+      sumx += w * xj;
+      continue;
+    }
+
+    vec3 delta = xj - xi;
+    float d = length(delta);
+    if (d < 1e-6) continue;
+
+    float f = d;
+    if (uForceLaw == 2) f = d - (uHasRestLength ? fetch1D(uRestLength, uColIdxSize, e).x : uDefaultRestLength);
+    else if (uForceLaw == 3) f = d * d / uOptimalDistance;
+    else if (uForceLaw == 4) f = log(1.0 + d);
+
+    float magnitude = uSpringK * w * f;
+    if (uMaxForce > 0.0) magnitude = clamp(magnitude, -uMaxForce, uMaxForce);
+    sumx += magnitude * delta / d;
   }
 
   outPartial = vec4(sumx, wsum);
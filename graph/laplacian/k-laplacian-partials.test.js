@@ -177,3 +177,131 @@ test('KLaplacianPartials: run throws if required inputs missing', async () => {
   resetGL();
 });
 
+
+/**
+ * Test 4: inDecay weighs each edge by exp(-(time - lastSeen) / tau).
+ */
+test('KLaplacianPartials: decays weights from u_time', async () => {
+  const gl = getGL();
+
+  const shardsTex = createShardTexture(gl, 0, 0, 3);
+  const colIdxTex = createScalarTexture(gl, [1, 2, 1]);
+  const weightTex = createScalarTexture(gl, [2, 3, 1]);
+  // (lastSeen, 1/tau): tau 2 seen at 0, no decay, seen in the future
+  const decayTex = createTestTexture(gl, 3, 1, new Float32Array([
+    0, 0.5, 0, 0,
+    1, 0, 0, 0,
+    9, 1, 0, 0
+  ]));
+  const { texture: positionsTex, width: posW, height: posH } = createPositionTexture(gl, [
+    [0, 0, 0],
+    [1, 0, 0],
+    [0, 1, 0]
+  ]);
+
+  const kernel = new KLaplacianPartials({
+    gl,
+    inShards: shardsTex,
+    inColIdx: colIdxTex,
+    inWeight: weightTex,
+    inPosition: positionsTex,
+    inDecay: decayTex,
+    partialsWidth: 1,
+    partialsHeight: 1,
+    shardTextureWidth: 1,
+    shardTextureHeight: 1,
+    colTextureWidth: 3,
+    colTextureHeight: 1,
+    positionTextureWidth: posW,
+    positionTextureHeight: posH,
+    shardBlockSize: 4,
+    time: 4
+  });
+
+  kernel.run();
+
+  const partial = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  const w0 = 2 * Math.exp(-4 / 2);
+
+  assertClose(partial.wx, w0 + 1, 1e-5, `decayed x sum\n\n${kernel.toString()}`);
+  assertClose(partial.wy, 3, 1e-5, 'edge without tau keeps its weight');
+  assertClose(partial.wSum, w0 + 3 + 1, 1e-5, 'weight sum uses decayed weights');
+
+  kernel.time = 6;
+  kernel.run();
+  const later = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  assertClose(later.wx, 2 * Math.exp(-3) + 1, 1e-5, 'weights keep decaying as time advances');
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 5: per-edge force laws sum springK * w * f(d) along each edge, clamped to maxForce.
+ */
+test('KLaplacianPartials: per-edge spring laws and force clamp', async () => {
+  const gl = getGL();
+
+  const shardsTex = createShardTexture(gl, 0, 0, 2);
+  const colIdxTex = createScalarTexture(gl, [1, 2]);
+  const weightTex = createScalarTexture(gl, [1, 2]);
+  const restLengthTex = createScalarTexture(gl, [1, 4]);
+  // Node 0 at the origin, neighbors at d = 2 along x and d = 3 along y
+  const { texture: positionsTex, width: posW, height: posH } = createPositionTexture(gl, [
+    [0, 0, 0],
+    [2, 0, 0],
+    [0, 3, 0]
+  ]);
+
+  const kernel = new KLaplacianPartials({
+    gl,
+    inShards: shardsTex,
+    inColIdx: colIdxTex,
+    inWeight: weightTex,
+    inPosition: positionsTex,
+    inRestLength: restLengthTex,
+    partialsWidth: 1,
+    partialsHeight: 1,
+    shardTextureWidth: 1,
+    shardTextureHeight: 1,
+    colTextureWidth: 2,
+    colTextureHeight: 1,
+    positionTextureWidth: posW,
+    positionTextureHeight: posH,
+    shardBlockSize: 4,
+    forceLaw: 'hooke',
+    springK: 0.5,
+    optimalDistance: 2
+  });
+
+  kernel.run();
+  let partial = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  assertClose(partial.wx, 0.5 * 1 * (2 - 1), 1e-5, `stretched edge pulls\n\n${kernel.toString()}`);
+  assertClose(partial.wy, 0.5 * 2 * (3 - 4), 1e-5, 'compressed edge pushes');
+  assertClose(partial.wSum, 3, 1e-5, 'weight sum is unchanged');
+
+  kernel.forceLaw = 'fruchterman-reingold';
+  kernel.run();
+  partial = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  assertClose(partial.wx, 0.5 * 1 * 4 / 2, 1e-5, `d²/K along x\n\n${kernel.toString()}`);
+  assertClose(partial.wy, 0.5 * 2 * 9 / 2, 1e-5, 'd²/K along y');
+
+  kernel.forceLaw = 'linlog';
+  kernel.run();
+  partial = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  assertClose(partial.wx, 0.5 * 1 * Math.log(3), 1e-5, `log(1 + d) along x\n\n${kernel.toString()}`);
+  assertClose(partial.wy, 0.5 * 2 * Math.log(4), 1e-5, 'log(1 + d) along y');
+
+  kernel.forceLaw = 'linear';
+  kernel.maxForce = 2;
+  kernel.run();
+  partial = kernel.valueOf({ pixels: true }).partials.pixels[0];
+  assertClose(partial.wx, 0.5 * 1 * 2, 1e-5, `under the clamp\n\n${kernel.toString()}`);
+  assertClose(partial.wy, 2, 1e-5, 'clamped to maxForce');
+
+  kernel.forceLaw = /** @type {*} */ ('cubic');
+  assert.throws(() => kernel.run(), /unknown forceLaw/);
+
+  kernel.dispose();
+  resetGL();
+});
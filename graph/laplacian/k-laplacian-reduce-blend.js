@@ -8,6 +8,10 @@ import { readLinear } from '../../gravity/diag.js';
  * Issues one POINTS draw where each vertex corresponds to a shard. Uses
  * additive blending into the outAx texture. Implements the kernel contract
  * from docs/8-webgl-kernels.md.
+ *
+ * With gather: true (no EXT_float_blend) it runs a fullscreen segmented reduce
+ * instead: each node's pixel sums its own contiguous run of shards, looked up
+ * in inNodeShards (R = first shard, G = shard count, laid out like outAx).
  */
 
 export class KLaplacianReduceBlend {
@@ -16,12 +20,14 @@ export class KLaplacianReduceBlend {
    *   gl: WebGL2RenderingContext,
    *   inPartials?: WebGLTexture|null,
    *   inShards?: WebGLTexture|null,
+   *   inNodeShards?: WebGLTexture|null,
    *   outAx?: WebGLTexture|null,
    *   axWidth?: number,
    *   axHeight?: number,
    *   shardTextureWidth?: number,
    *   shardTextureHeight?: number,
-   *   shardCount?: number
+   *   shardCount?: number,
+   *   gather?: boolean
    * }} options
    */
   constructor(options) {
@@ -32,12 +38,15 @@ export class KLaplacianReduceBlend {
     this.inPartials = options.inPartials !== undefined ? options.inPartials : null;
     /** @type {WebGLTexture|null} */
     this.inShards = options.inShards !== undefined ? options.inShards : null;
+    /** @type {WebGLTexture|null} */
+    this.inNodeShards = options.inNodeShards !== undefined ? options.inNodeShards : null;
 
     this.axWidth = options.axWidth || 1;
     this.axHeight = options.axHeight || 1;
     this.shardTextureWidth = options.shardTextureWidth || 1;
     this.shardTextureHeight = options.shardTextureHeight || 1;
     this.shardCount = options.shardCount || (this.shardTextureWidth * this.shardTextureHeight);
+    this.gather = !!options.gather;
 
     const outProvided = options.outAx || options.outAx === null;
     /** @type {WebGLTexture|null} */
@@ -61,7 +70,9 @@ export class KLaplacianReduceBlend {
     }
 
     /** @type {WebGLProgram|null} */
-    this.program = createProgram(this.gl, pointVS, reduceBlendFS);
+    this.program = this.gather
+      ? createProgram(this.gl, fullscreenVS, reduceGatherFS)
+      : createProgram(this.gl, pointVS, reduceBlendFS);
 
     /** @type {WebGLVertexArrayObject|null} */
     this.vao = /** @type {WebGLVertexArrayObject|null} */ (this.gl.createVertexArray());
@@ -71,18 +82,26 @@ export class KLaplacianReduceBlend {
     const buffer = /** @type {WebGLBuffer|null} */ (this.gl.createBuffer());
     if (!buffer) throw new Error('KLaplacianReduceBlend: failed to create buffer');
     this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
-    const ids = new Float32Array(this.shardCount);
-    for (let i = 0; i < this.shardCount; i++) ids[i] = i;
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, ids, this.gl.STATIC_DRAW);
-    this.gl.enableVertexAttribArray(0);
-    this.gl.vertexAttribPointer(0, 1, this.gl.FLOAT, false, 0, 0);
+    if (this.gather) {
+      // Fullscreen quad over outAx, one fragment per node
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), this.gl.STATIC_DRAW);
+      this.gl.enableVertexAttribArray(0);
+      this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    } else {
+      this.gl.bufferData(this.gl.ARRAY_BUFFER, shardIds(this.shardCount), this.gl.STATIC_DRAW);
+      this.gl.enableVertexAttribArray(0);
+      this.gl.vertexAttribPointer(0, 1, this.gl.FLOAT, false, 0, 0);
+    }
     this.gl.bindVertexArray(null);
     /** @type {WebGLBuffer|null} */
     this.buffer = buffer;
+    /** Shard ids in buffer; run() refills it when shardCount changes */
+    this._idCount = this.shardCount;
 
     this.uniforms = {
       /** @type {WebGLUniformLocation|null} */ uPartials: this.gl.getUniformLocation(this.program, 'uPartials'),
       /** @type {WebGLUniformLocation|null} */ uShards: this.gl.getUniformLocation(this.program, 'uShards'),
+      /** @type {WebGLUniformLocation|null} */ uNodeShards: this.gl.getUniformLocation(this.program, 'uNodeShards'),
       /** @type {WebGLUniformLocation|null} */ uPartialsSize: this.gl.getUniformLocation(this.program, 'uPartialsSize'),
       /** @type {WebGLUniformLocation|null} */ uShardSize: this.gl.getUniformLocation(this.program, 'uShardSize'),
       /** @type {WebGLUniformLocation|null} */ uAxSize: this.gl.getUniformLocation(this.program, 'uAxSize')
@@ -105,6 +124,11 @@ export class KLaplacianReduceBlend {
         height: this.shardTextureHeight, count: this.shardCount,
         channels: ['start', 'end', 'reserved1', 'reserved2'], pixels
       }),
+      nodeShards: this.inNodeShards && readLinear({
+        gl: this.gl, texture: this.inNodeShards, width: this.axWidth,
+        height: this.axHeight, count: this.axWidth * this.axHeight,
+        channels: ['firstShard', 'shardCount', 'unused1', 'unused2'], pixels
+      }),
       ax: this.outAx && readLinear({
         gl: this.gl, texture: this.outAx, width: this.axWidth,
         height: this.axHeight, count: this.axWidth * this.axHeight,
@@ -113,16 +137,19 @@ export class KLaplacianReduceBlend {
       axWidth: this.axWidth,
       axHeight: this.axHeight,
       shardCount: this.shardCount,
+      gather: this.gather,
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KLaplacianReduceBlend(${this.axWidth}×${this.axHeight}) shards=${this.shardCount} #${this.renderCount}
+      `KLaplacianReduceBlend(${this.axWidth}×${this.axHeight}) shards=${this.shardCount}${this.gather ? ' gather' : ''} #${this.renderCount}
 
 partials: ${value.partials}
 
 shards: ${value.shards}
-
+${this.gather ? `
+nodeShards: ${value.nodeShards}
+` : ''}
 → ax: ${value.ax}`;
 
     return value;
@@ -140,7 +167,7 @@ shards: ${value.shards}
     const gl = this.gl;
 
     if (!this.outAx) throw new Error('KLaplacianReduceBlend: outAx missing');
-    if (!this.inPartials || !this.inShards)
+    if (!this.inPartials || (this.gather ? !this.inNodeShards : !this.inShards))
       throw new Error('KLaplacianReduceBlend: inputs missing');
 
     if (!this.program) throw new Error('KLaplacianReduceBlend: program missing');
@@ -148,19 +175,25 @@ shards: ${value.shards}
 
     gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
     gl.viewport(0, 0, this.axWidth, this.axHeight);
-    gl.clearColor(0, 0, 0, 0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
 
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.ONE, gl.ONE);
+    if (this.gather) {
+      // Every node pixel is written, no clear or blending needed
+      gl.disable(gl.BLEND);
+    } else {
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    }
 
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, this.inPartials);
     if (this.uniforms.uPartials) gl.uniform1i(this.uniforms.uPartials, 0);
 
     gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, this.inShards);
+    gl.bindTexture(gl.TEXTURE_2D, this.gather ? this.inNodeShards : this.inShards);
     if (this.uniforms.uShards) gl.uniform1i(this.uniforms.uShards, 1);
+    if (this.uniforms.uNodeShards) gl.uniform1i(this.uniforms.uNodeShards, 1);
 
     if (this.uniforms.uPartialsSize)
       gl.uniform2i(this.uniforms.uPartialsSize, this.shardTextureWidth, this.shardTextureHeight);
@@ -169,8 +202,16 @@ shards: ${value.shards}
     if (this.uniforms.uAxSize)
       gl.uniform2i(this.uniforms.uAxSize, this.axWidth, this.axHeight);
 
+    if (!this.gather && this._idCount !== this.shardCount) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, shardIds(this.shardCount), gl.STATIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, null);
+      this._idCount = this.shardCount;
+    }
+
     gl.bindVertexArray(this.vao);
-    gl.drawArrays(gl.POINTS, 0, this.shardCount);
+    if (this.gather) gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    else gl.drawArrays(gl.POINTS, 0, this.shardCount);
     gl.bindVertexArray(null);
 
     gl.disable(gl.BLEND);
@@ -189,6 +230,7 @@ shards: ${value.shards}
 
     if (this.inPartials) gl.deleteTexture(this.inPartials);
     if (this.inShards) gl.deleteTexture(this.inShards);
+    if (this.inNodeShards) gl.deleteTexture(this.inNodeShards);
     if (this.outAx) gl.deleteTexture(this.outAx);
 
     this.program = null;
@@ -197,6 +239,7 @@ shards: ${value.shards}
     this.framebuffer = null;
     this.inPartials = null;
     this.inShards = null;
+    this.inNodeShards = null;
     this.outAx = null;
   }
 }
@@ -250,6 +293,41 @@ void main() {
   outColor = partial;
 }`;
 
+const fullscreenVS = `#version 300 es
+precision highp float;
+layout(location = 0) in vec2 position;
+void main() {
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const reduceGatherFS = `#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D uPartials;
+uniform sampler2D uNodeShards;
+uniform ivec2 uPartialsSize;
+
+out vec4 outColor;
+
+vec4 fetch1D(sampler2D tex, ivec2 size, int idx) {
+  ivec2 uv = ivec2(idx % size.x, idx / size.x);
+  return texelFetch(tex, uv, 0);
+}
+
+void main() {
+  // Shards of one node are contiguous: sum the node's segment
+  vec4 segment = texelFetch(uNodeShards, ivec2(gl_FragCoord.xy), 0);
+  int firstShard = int(segment.x + 0.5);
+  int shardCount = int(segment.y + 0.5);
+
+  vec4 sum = vec4(0.0);
+  for (int s = 0; s < shardCount; s++) {
+    sum += fetch1D(uPartials, uPartialsSize, firstShard + s);
+  }
+  outColor = sum;
+}`;
+
 /**
  * @param {WebGL2RenderingContext} gl
  * @param {string} vertSrc
@@ -312,3 +390,13 @@ function createRenderTexture(gl, width, height) {
   gl.bindTexture(gl.TEXTURE_2D, null);
   return texture;
 }
+
+/**
+ * Vertex ids of the blend draw, one per shard
+ * @param {number} count
+ */
+function shardIds(count) {
+  const ids = new Float32Array(count);
+  for (let i = 0; i < count; i++) ids[i] = i;
+  return ids;
+}
@@ -146,3 +146,52 @@ test('KLaplacianReduceBlend: run throws if inputs missing', async () => {
   kernel.dispose();
   resetGL();
 });
+
+/**
+ * Test 4: gather mode sums each node's shard segment without blending.
+ */
+test('KLaplacianReduceBlend: gather mode reduces shard segments per node', async () => {
+  const gl = getGL();
+
+  // Node 0 owns shards 0-1, node 1 has none, node 2 owns shard 2
+  const partialsTex = createPartialsTexture(gl, [
+    [1, 0, 0, 2],
+    [3, 4, 0, 5],
+    [0, 0, 7, 1]
+  ]);
+  const nodeShardsTex = createPartialsTexture(gl, [
+    [0, 2, 0, 0],
+    [2, 0, 0, 0],
+    [2, 1, 0, 0]
+  ]);
+
+  const kernel = new KLaplacianReduceBlend({
+    gl,
+    inPartials: partialsTex,
+    inNodeShards: nodeShardsTex,
+    axWidth: 3,
+    axHeight: 1,
+    shardTextureWidth: 3,
+    shardTextureHeight: 1,
+    shardCount: 3,
+    gather: true
+  });
+
+  kernel.run();
+
+  const snapshot = kernel.valueOf({ pixels: true });
+  const [node0, node1, node2] = snapshot.ax.pixels;
+
+  assert.deepStrictEqual([node0.ax, node0.ay, node0.az, node0.wSum], [4, 4, 0, 7],
+    `Node 0 should sum shards 0 and 1\n\n${kernel.toString()}`);
+  assert.deepStrictEqual([node1.ax, node1.ay, node1.az, node1.wSum], [0, 0, 0, 0],
+    'Node without shards should be zero');
+  assert.deepStrictEqual([node2.ax, node2.ay, node2.az, node2.wSum], [0, 0, 7, 1],
+    'Node 2 should take shard 2');
+
+  kernel.inNodeShards = null;
+  assert.throws(() => kernel.run(), /inputs missing/, 'gather mode needs inNodeShards');
+
+  kernel.dispose();
+  resetGL();
+});
@@ -0,0 +1,330 @@
+// @ts-check
+
+/**
+ * GraphRepulsion - all-pairs node repulsion for graph layout on the monopole octree.
+ *
+ * Every node carries a charge: `charge` alone, or charge * (degree + 1) when
+ * degrees are given (the ForceAtlas2 weighting, so hubs push harder and leaves
+ * settle around them). Charges replace masses in a KAggregatorMonopole /
+ * KPyramidBuild / KTraversal pass run with G = -strength, and KRepulsionApply
+ * scales the resulting field by each node's own charge:
+ *
+ *   F_i = strength * q_i * Σ_j q_j (x_i - x_j) / (|x_i - x_j|² + softening²)^1.5
+ *
+ * Unlike GravityMonopole with a negative gravityStrength, this module only adds
+ * forces into the shared target: integration stays with the ParticleSystem, so
+ * it combines with GraphLaplacian.accumulate() in the same frame.
+ *
+ * Needs EXT_float_blend: the octree aggregation scatters charges into float
+ * textures with additive blending and has no blend-free path, so
+ * useBlendFallback() throws and ParticleSystem cannot adopt it without the extension.
+ */
+
+import { KAggregatorMonopole } from '../../gravity/multipole/k-aggregator-monopole.js';
+import { KBoundsReduce } from '../../gravity/multipole/k-bounds-reduce.js';
+import { KPyramidBuild } from '../../gravity/multipole/k-pyramid-build.js';
+import { KTraversal } from '../../gravity/multipole/k-traversal.js';
+import { resolveOctreeConfig } from '../../gravity/multipole/octree-config.js';
+import { KRepulsionApply } from './k-repulsion-apply.js';
+import { KRepulsionCharge } from './k-repulsion-charge.js';
+
+export class GraphRepulsion {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   particleCount: number,
+   *   textureWidth: number,
+   *   textureHeight: number,
+   *   strength?: number,
+   *   charge?: number,
+   *   degrees?: ArrayLike<number>,
+   *   theta?: number,
+   *   softening?: number,
+   *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   boundsUpdateInterval?: number,
+   *   octree?: { gridSize?: number, slicesPerRow?: number, numLevels?: number }
+   * }} options
+   *  - strength: repulsion constant (default 0.01)
+   *  - charge: base charge of every node (default 1)
+   *  - degrees: per-node degree for ForceAtlas2 charges, e.g. GraphLaplacian.rowLength
+   *  - worldBounds: initial octree box, refit to the nodes every boundsUpdateInterval
+   *    accumulate() calls (default 90)
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    this.particleCount = options.particleCount;
+    this.textureWidth = options.textureWidth;
+    this.textureHeight = options.textureHeight;
+    if (this.particleCount > this.textureWidth * this.textureHeight)
+      throw new Error(`GraphRepulsion: particleCount ${this.particleCount} exceeds texture capacity ${this.textureWidth * this.textureHeight}`);
+
+    this.strength = options.strength ?? 0.01;
+    this.charge = options.charge ?? 1;
+    this.theta = options.theta ?? 0.5;
+    this.softening = options.softening ?? 0.1;
+    /** @type {{ min: [number, number, number], max: [number, number, number] }} */
+    this.worldBounds = options.worldBounds
+      ? { min: [...options.worldBounds.min], max: [...options.worldBounds.max] }
+      : { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    this.frameCount = 0;
+    this.boundsUpdateInterval = options.boundsUpdateInterval ?? 90;
+    this.lastBoundsUpdateFrame = -this.boundsUpdateInterval;  // Fit the first frame
+
+    const gl = this.gl;
+    const octreeConfig = resolveOctreeConfig(gl, options.octree);
+    this.numLevels = octreeConfig.numLevels;
+    this.levelConfigs = octreeConfig.levelConfigs;
+
+    // Per-node charges, the R channel laid out like the positions
+    this.charges = new Float32Array(this.textureWidth * this.textureHeight);
+    /** @type {WebGLTexture|null} */
+    this.chargeTex = createDataTexture(gl, this.textureWidth, this.textureHeight, gl.R32F, gl.RED, gl.FLOAT);
+    this.setDegrees(options.degrees);
+
+    this.chargeKernel = new KRepulsionCharge({
+      gl,
+      inPosition: null,  // set per-frame
+      inCharge: this.chargeTex,
+      textureWidth: this.textureWidth,
+      textureHeight: this.textureHeight
+    });
+
+    this.aggregatorKernel = new KAggregatorMonopole({
+      gl,
+      inPosition: null,  // charged positions, wired per-frame
+      particleCount: this.particleCount,
+      particleTextureWidth: this.textureWidth,
+      particleTextureHeight: this.textureHeight,
+      octreeSize: octreeConfig.L0Size,
+      gridSize: octreeConfig.gridSize,
+      slicesPerRow: octreeConfig.slicesPerRow,
+      worldBounds: this.worldBounds
+    });
+
+    this.pyramidKernels = [];
+    for (let i = 0; i < this.numLevels - 1; i++) {
+      this.pyramidKernels.push(new KPyramidBuild({
+        gl,
+        inA0: null,
+        inA1: null,
+        inA2: null,
+        outSize: this.levelConfigs[i + 1].size,
+        outGridSize: this.levelConfigs[i + 1].gridSize,
+        outSlicesPerRow: this.levelConfigs[i + 1].slicesPerRow,
+        inGridSize: this.levelConfigs[i].gridSize,
+        inSlicesPerRow: this.levelConfigs[i].slicesPerRow
+      }));
+    }
+
+    this.traversalKernel = new KTraversal({
+      gl,
+      inPosition: null,  // charged positions, wired per-frame
+      inLevelA0: undefined,
+      particleTextureWidth: this.textureWidth,
+      particleTextureHeight: this.textureHeight,
+      numLevels: this.numLevels,
+      levelConfigs: this.levelConfigs,
+      worldBounds: this.worldBounds,
+      theta: this.theta,
+      gravityStrength: -this.strength,
+      softening: this.softening
+    });
+
+    this.applyKernel = new KRepulsionApply({
+      gl,
+      inField: null,  // wired from traversal
+      inCharge: this.chargeTex,
+      outForce: null,
+      outForceFramebuffer: null,
+      textureWidth: this.textureWidth,
+      textureHeight: this.textureHeight
+    });
+
+    this.boundsKernel = new KBoundsReduce({
+      gl,
+      inPosition: null,  // set per-fit
+      particleTextureWidth: this.textureWidth,
+      particleTextureHeight: this.textureHeight,
+      particleCount: this.particleCount
+    });
+    this.boundsReadbackBuffer = new Float32Array(8);
+    /** @type {WebGLFramebuffer|null} */
+    this.boundsReadbackFBO = gl.createFramebuffer();
+  }
+
+  /**
+   * Weigh node charges by degree, ForceAtlas2 style: q_i = charge * (degrees[i] + 1).
+   * Pass undefined to give every node the plain charge again.
+   * @param {ArrayLike<number>} [degrees] one entry per node
+   */
+  setDegrees(degrees) {
+    if (degrees && degrees.length < this.particleCount)
+      throw new Error(`GraphRepulsion: ${degrees.length} degrees for ${this.particleCount} nodes`);
+
+    for (let i = 0; i < this.particleCount; i++)
+      this.charges[i] = this.charge * (degrees ? degrees[i] + 1 : 1);
+
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.chargeTex);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, this.textureWidth, this.textureHeight, gl.RED, gl.FLOAT, this.charges);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * ParticleSystem calls this when the context lacks EXT_float_blend; the octree
+   * aggregation cannot run without it.
+   */
+  useBlendFallback() {
+    throw new Error('GraphRepulsion: needs EXT_float_blend, the octree aggregation has no blend-free path');
+  }
+
+  /**
+   * Add repulsion forces into the shared target (ParticleSystem force module).
+   *
+   * @param {{
+   *   positionTexture: WebGLTexture,
+   *   targetForceTexture: WebGLTexture,
+   *   targetForceFramebuffer: WebGLFramebuffer,
+   *   dt?: number
+   * }} ctx
+   */
+  accumulate(ctx) {
+    if (!ctx.targetForceTexture)
+      throw new Error('GraphRepulsion: targetForceTexture missing');
+
+    if (!ctx.targetForceFramebuffer)
+      throw new Error('GraphRepulsion: targetForceFramebuffer missing');
+
+    if (this.frameCount - this.lastBoundsUpdateFrame >= this.boundsUpdateInterval) {
+      this._updateBounds(ctx.positionTexture);
+      this.lastBoundsUpdateFrame = this.frameCount;
+    }
+
+    this.chargeKernel.inPosition = ctx.positionTexture;
+    this.chargeKernel.run();
+    const charged = this.chargeKernel.outPosition;
+
+    this._buildOctree(charged);
+
+    this.traversalKernel.inPosition = charged;
+    this.traversalKernel.theta = this.theta;
+    this.traversalKernel.softening = this.softening;
+    this.traversalKernel.gravityStrength = -this.strength;
+    this.traversalKernel.run();
+
+    this.applyKernel.inField = this.traversalKernel.outForce;
+    this.applyKernel.outForce = ctx.targetForceTexture;
+    this.applyKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+    this.applyKernel.run();
+
+    // Clean references so dispose() can skip deleting external textures
+    this.chargeKernel.inPosition = null;
+    this.aggregatorKernel.inPosition = null;
+    this.traversalKernel.inPosition = null;
+    this.applyKernel.inField = null;
+    this.applyKernel.outForce = null;
+    this.applyKernel.outForceFramebuffer = null;
+
+    this.frameCount++;
+  }
+
+  /**
+   * @param {WebGLTexture | null} charged positions with charges in w
+   */
+  _buildOctree(charged) {
+    this.aggregatorKernel.inPosition = charged;
+    this.aggregatorKernel.run();
+
+    let prevOut = {
+      a0: this.aggregatorKernel.outA0,
+      a1: this.aggregatorKernel.outA1,
+      a2: this.aggregatorKernel.outA2
+    };
+    /** @type {WebGLTexture[]} */
+    const levelA0s = prevOut.a0 ? [prevOut.a0] : [];
+
+    for (const kernel of this.pyramidKernels) {
+      kernel.inA0 = prevOut.a0;
+      kernel.inA1 = prevOut.a1;
+      kernel.inA2 = prevOut.a2;
+      kernel.run();
+      prevOut = { a0: kernel.outA0, a1: kernel.outA1, a2: kernel.outA2 };
+      if (prevOut.a0) levelA0s.push(prevOut.a0);
+    }
+
+    this.traversalKernel.inLevelA0 = levelA0s;
+  }
+
+  /**
+   * Refit worldBounds (shared with the aggregator and traversal) to the nodes.
+   * The box is padded on every axis, so flat layouts keep a non-zero extent.
+   * @param {WebGLTexture} positionTexture
+   */
+  _updateBounds(positionTexture) {
+    const gl = this.gl;
+
+    this.boundsKernel.inPosition = positionTexture;
+    this.boundsKernel.run();
+    this.boundsKernel.inPosition = null;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundsReadbackFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsKernel.outBounds, 0);
+    gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, this.boundsReadbackBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const min = this.boundsReadbackBuffer.subarray(0, 3);
+    const max = this.boundsReadbackBuffer.subarray(4, 7);
+    if (![...min, ...max].every(Number.isFinite)) return;
+
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const pad = Math.max(0.05 * extent, this.softening);
+    for (let axis = 0; axis < 3; axis++) {
+      this.worldBounds.min[axis] = min[axis] - pad;
+      this.worldBounds.max[axis] = max[axis] + pad;
+    }
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    // Charges are owned here, not by the kernels
+    this.chargeKernel.inCharge = null;
+    this.applyKernel.inCharge = null;
+
+    this.chargeKernel.dispose();
+    this.aggregatorKernel.dispose();
+    this.pyramidKernels.forEach(k => k.dispose());
+    this.traversalKernel.dispose();
+    this.applyKernel.dispose();
+    this.boundsKernel.dispose();
+
+    if (this.chargeTex) gl.deleteTexture(this.chargeTex);
+    if (this.boundsReadbackFBO) gl.deleteFramebuffer(this.boundsReadbackFBO);
+
+    this.chargeTex = null;
+    this.boundsReadbackFBO = null;
+  }
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {number} internalFormat
+ * @param {number} format
+ * @param {number} type
+ */
+function createDataTexture(gl, width, height, internalFormat, format, type) {
+  const tex = gl.createTexture();
+  if (!tex) throw new Error('createDataTexture: allocation failed');
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return tex;
+}
@@ -0,0 +1,199 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, createTestTexture, getGL, readTexture, resetGL } from '../../gravity/test-utils.js';
+import { GraphLaplacian } from '../laplacian/graph-laplacian.js';
+import { GraphRepulsion } from './graph-repulsion.js';
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {Array<[number, number, number]>} positions
+ * @param {number} width
+ * @param {number} height
+ */
+function createTargets(gl, positions, width, height) {
+  const data = new Float32Array(width * height * 4);
+  positions.forEach(([x, y, z], i) => data.set([x, y, z, 1], i * 4));
+  const positionTexture = createTestTexture(gl, width, height, data);
+  const targetForceTexture = createTestTexture(gl, width, height, new Float32Array(width * height * 4));
+  const targetForceFramebuffer = gl.createFramebuffer();
+  if (!targetForceFramebuffer) throw new Error('Failed to create framebuffer');
+  gl.bindFramebuffer(gl.FRAMEBUFFER, targetForceFramebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, targetForceTexture, 0);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  return {
+    ctx: { positionTexture, targetForceTexture, targetForceFramebuffer, dt: 0.01 },
+    read() {
+      const pixels = readTexture(gl, targetForceTexture, width, height);
+      assertAllFinite(pixels, 'Force texture must contain finite values');
+      return positions.map((_, i) => [pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]]);
+    },
+    dispose() {
+      gl.deleteTexture(positionTexture);
+      gl.deleteTexture(targetForceTexture);
+      gl.deleteFramebuffer(targetForceFramebuffer);
+    }
+  };
+}
+
+/**
+ * All-pairs softened Coulomb repulsion
+ * @param {Array<[number, number, number]>} positions
+ * @param {number[]} charges
+ * @param {number} strength
+ * @param {number} softening
+ */
+function computeCpuRepulsion(positions, charges, strength, softening) {
+  return positions.map((xi, i) => {
+    const force = [0, 0, 0];
+    positions.forEach((xj, j) => {
+      if (i === j) return;
+      const delta = [xi[0] - xj[0], xi[1] - xj[1], xi[2] - xj[2]];
+      const denom = delta[0] ** 2 + delta[1] ** 2 + delta[2] ** 2 + softening ** 2;
+      const scale = strength * charges[i] * charges[j] / (denom * Math.sqrt(denom));
+      for (let axis = 0; axis < 3; axis++) force[axis] += scale * delta[axis];
+    });
+    return force;
+  });
+}
+
+test('two nodes repel with degree-weighted charges', async () => {
+  const gl = getGL();
+  /** @type {Array<[number, number, number]>} */
+  const positions = [[-0.5, 0.25, 0], [0.75, -0.25, 0.5]];
+  const targets = createTargets(gl, positions, 2, 1);
+
+  const repulsion = new GraphRepulsion({
+    gl,
+    particleCount: 2,
+    textureWidth: 2,
+    textureHeight: 1,
+    strength: 0.02,
+    softening: 0.1,
+    degrees: [3, 0],
+    octree: { gridSize: 8 }
+  });
+
+  repulsion.accumulate(targets.ctx);
+  const gpu = targets.read();
+  const cpu = computeCpuRepulsion(positions, [4, 1], 0.02, 0.1);
+  for (let i = 0; i < 2; i++) {
+    for (let axis = 0; axis < 3; axis++)
+      assertClose(gpu[i][axis], cpu[i][axis], 1e-3 * Math.abs(cpu[0][0]), `node ${i} axis ${axis}`);
+  }
+  assert.ok(gpu[0][0] < 0 && gpu[1][0] > 0, 'nodes are pushed apart');
+
+  // Plain charges again: a quarter of the force
+  repulsion.setDegrees();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, targets.ctx.targetForceFramebuffer);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  repulsion.accumulate(targets.ctx);
+  assertClose(targets.read()[0][0], cpu[0][0] / 4, 1e-3 * Math.abs(cpu[0][0]), 'unit charges');
+
+  assert.throws(() => repulsion.setDegrees([1]), /1 degrees for 2 nodes/);
+
+  repulsion.dispose();
+  targets.dispose();
+  resetGL();
+});
+
+test('flat ring repels radially and conserves momentum', async () => {
+  const gl = getGL();
+  const count = 12;
+  /** @type {Array<[number, number, number]>} */
+  const positions = Array.from({ length: count }, (_, i) => {
+    const angle = 2 * Math.PI * i / count;
+    return [1.5 * Math.cos(angle), 1.5 * Math.sin(angle), 0];
+  });
+  const targets = createTargets(gl, positions, 4, 3);
+
+  const repulsion = new GraphRepulsion({
+    gl,
+    particleCount: count,
+    textureWidth: 4,
+    textureHeight: 3,
+    strength: 0.01,
+    octree: { gridSize: 16 }
+  });
+
+  repulsion.accumulate(targets.ctx);
+  assert.ok(repulsion.worldBounds.max[2] > repulsion.worldBounds.min[2], 'flat layout keeps a z extent');
+
+  const gpu = targets.read();
+  const cpu = computeCpuRepulsion(positions, new Array(count).fill(1), 0.01, 0.1);
+  const total = [0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    const magnitude = Math.hypot(cpu[i][0], cpu[i][1]);
+    const radial = (gpu[i][0] * positions[i][0] + gpu[i][1] * positions[i][1]) / 1.5;
+    assertClose(radial, magnitude, 0.1 * magnitude, `node ${i} pushed outwards`);
+    for (let axis = 0; axis < 3; axis++) total[axis] += gpu[i][axis];
+  }
+  for (let axis = 0; axis < 3; axis++)
+    assertClose(total[axis], 0, 0.05 * Math.hypot(cpu[0][0], cpu[0][1]) * count, `net force axis ${axis}`);
+
+  repulsion.dispose();
+  targets.dispose();
+  resetGL();
+});
+
+test('adds onto GraphLaplacian forces in a shared target, Laplacian with and without float blend', async () => {
+  const gl = getGL();
+  /** @type {Array<[number, number, number]>} */
+  const positions = [[-1, 0.5, 0], [1, 0, 0]];
+  const edges = [{ from: 0, to: 1, strength: 1 }, { from: 1, to: 0, strength: 1 }];
+
+  for (const disableFloatBlend of [false, true]) {
+    const targets = createTargets(gl, positions, 2, 1);
+    const laplacian = new GraphLaplacian({
+      gl, edges, particleCount: 2, textureWidth: 2, textureHeight: 1, k: 0.5, disableFloatBlend
+    });
+    const repulsion = new GraphRepulsion({
+      gl,
+      particleCount: 2,
+      textureWidth: 2,
+      textureHeight: 1,
+      strength: 0.5,
+      degrees: laplacian.rowLength,
+      octree: { gridSize: 8 }
+    });
+
+    laplacian.accumulate(targets.ctx);
+    repulsion.accumulate(targets.ctx);
+    const gpu = targets.read();
+
+    const repelled = computeCpuRepulsion(positions, [2, 2], 0.5, 0.1);
+    const springs = [
+      [0.5 * (positions[1][0] - positions[0][0]), 0.5 * (positions[1][1] - positions[0][1]), 0],
+      [0.5 * (positions[0][0] - positions[1][0]), 0.5 * (positions[0][1] - positions[1][1]), 0]
+    ];
+    for (let i = 0; i < 2; i++) {
+      for (let axis = 0; axis < 3; axis++) {
+        assertClose(gpu[i][axis], springs[i][axis] + repelled[i][axis], 1e-3,
+          `node ${i} axis ${axis}${disableFloatBlend ? ' without float blend' : ''}`);
+      }
+    }
+
+    laplacian.dispose();
+    repulsion.dispose();
+    targets.dispose();
+  }
+
+  resetGL();
+});
+
+test('needs float blend: useBlendFallback throws', async () => {
+  const gl = getGL();
+  const repulsion = new GraphRepulsion({
+    gl, particleCount: 2, textureWidth: 2, textureHeight: 1, octree: { gridSize: 8 }
+  });
+
+  assert.throws(() => repulsion.useBlendFallback(), /needs EXT_float_blend/);
+
+  repulsion.dispose();
+  resetGL();
+});
@@ -0,0 +1,329 @@
+// @ts-check
+
+import { formatNumber, readLinear } from '../../gravity/diag.js';
+
+/**
+ * KRepulsionApply - scales the repulsion field by each node's own charge.
+ *
+ * inField is the traversal output over charged positions: the field per unit
+ * charge at every node. The pass writes F = charge * field.xyz into outForce,
+ * with additive blending by default so it adds onto the other force modules.
+ *
+ * Without blending, set inForce to the forces accumulated so far and point
+ * outForce at a different texture: the pass then writes inForce + F, keeping inForce.w.
+ */
+export class KRepulsionApply {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inField?: WebGLTexture|null,
+   *   inCharge?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   outForceFramebuffer?: WebGLFramebuffer|null,
+   *   textureWidth?: number,
+   *   textureHeight?: number,
+   *   enableBlend?: boolean
+   * }} options
+   */
+  constructor(options) {
+    /** @type {WebGL2RenderingContext} */
+    this.gl = options.gl;
+
+    /** @type {WebGLTexture|null} */
+    this.inField = options.inField !== undefined ? options.inField : null;
+    /** @type {WebGLTexture|null} */
+    this.inCharge = options.inCharge !== undefined ? options.inCharge : null;
+    /** @type {WebGLTexture|null} */
+    this.inForce = options.inForce !== undefined ? options.inForce : null;
+
+    this.textureWidth = options.textureWidth || 1;
+    this.textureHeight = options.textureHeight || 1;
+
+    const outForceProvided = options.outForce || options.outForce === null;
+    /** @type {WebGLTexture|null} */
+    this.outForce = outForceProvided
+      ? options.outForce || null
+      : createRenderTexture(this.gl, this.textureWidth, this.textureHeight);
+
+    const framebufferProvided = options.outForceFramebuffer || options.outForceFramebuffer === null;
+    /** @type {WebGLFramebuffer|null} */
+    this.outForceFramebuffer = framebufferProvided
+      ? options.outForceFramebuffer || null
+      : (this.outForce ? createFramebuffer(this.gl, this.outForce) : null);
+
+    this.enableBlend = options.enableBlend !== undefined ? options.enableBlend : true;
+
+    /** @type {WebGLProgram|null} */
+    this.program = createProgram(this.gl, fullscreenVS, applyFS);
+    /** @type {WebGLVertexArrayObject|null} */
+    this.vao = createFullscreenQuadVAO(this.gl);
+
+    this.uniforms = {
+      /** @type {WebGLUniformLocation|null} */ uField: this.gl.getUniformLocation(this.program, 'uField'),
+      /** @type {WebGLUniformLocation|null} */ uCharge: this.gl.getUniformLocation(this.program, 'uCharge'),
+      /** @type {WebGLUniformLocation|null} */ uForce: this.gl.getUniformLocation(this.program, 'uForce'),
+      /** @type {WebGLUniformLocation|null} */ uHasForce: this.gl.getUniformLocation(this.program, 'uHasForce')
+    };
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const count = this.textureWidth * this.textureHeight;
+    const value = {
+      field: this.inField && readLinear({
+        gl: this.gl, texture: this.inField, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['ex', 'ey', 'ez', 'unused'], pixels
+      }),
+      charge: this.inCharge && readLinear({
+        gl: this.gl, texture: this.inCharge, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['charge', 'unused1', 'unused2', 'unused3'], pixels
+      }),
+      previousForce: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
+      textureWidth: this.textureWidth,
+      textureHeight: this.textureHeight,
+      enableBlend: this.enableBlend,
+      renderCount: this.renderCount
+    };
+
+    const totalForce = value.force?.fx ?
+      Math.sqrt(value.force.fx.mean ** 2 + value.force.fy.mean ** 2 + value.force.fz.mean ** 2) : 0;
+
+    value.toString = () =>
+      `KRepulsionApply(${this.textureWidth}×${this.textureHeight}) blend=${this.enableBlend} #${this.renderCount}
+
+field: ${value.field}
+
+charge: ${value.charge}
+${this.inForce ? `
+previousForce: ${value.previousForce}
+` : ''}
+→ force: ${value.force ? `totalForceMag=${formatNumber(totalForce)} ` : ''}${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  run() {
+    const gl = this.gl;
+
+    if (!this.program) throw new Error('KRepulsionApply: program missing');
+    if (!this.outForceFramebuffer) throw new Error('KRepulsionApply: framebuffer missing');
+    if (!this.outForce) throw new Error('KRepulsionApply: outForce texture missing');
+    if (!this.inField || !this.inCharge)
+      throw new Error('KRepulsionApply: required inputs missing');
+    if (this.inForce && this.inForce === this.outForce)
+      throw new Error('KRepulsionApply: inForce and outForce must be different textures');
+
+    gl.useProgram(this.program);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outForceFramebuffer);
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+
+    // inForce already carries the earlier contributions: overwrite, never blend
+    if (this.enableBlend && !this.inForce) {
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    } else {
+      gl.disable(gl.BLEND);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inField);
+    if (this.uniforms.uField) gl.uniform1i(this.uniforms.uField, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inCharge);
+    if (this.uniforms.uCharge) gl.uniform1i(this.uniforms.uCharge, 1);
+
+    // Any texture keeps the sampler valid without inForce
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce || this.inField);
+    if (this.uniforms.uForce) gl.uniform1i(this.uniforms.uForce, 2);
+    if (this.uniforms.uHasForce) gl.uniform1i(this.uniforms.uHasForce, this.inForce ? 1 : 0);
+
+    gl.bindVertexArray(this.vao);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.disable(gl.BLEND);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.vao) gl.deleteVertexArray(this.vao);
+    if (this.outForceFramebuffer) gl.deleteFramebuffer(this.outForceFramebuffer);
+
+    if (this.inField) gl.deleteTexture(this.inField);
+    if (this.inCharge) gl.deleteTexture(this.inCharge);
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+
+    this.program = null;
+    this.vao = null;
+    this.outForceFramebuffer = null;
+    this.inField = null;
+    this.inCharge = null;
+    this.inForce = null;
+    this.outForce = null;
+  }
+}
+
+const fullscreenVS = `#version 300 es
+precision highp float;
+layout(location = 0) in vec2 position;
+void main() {
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const applyFS = `#version 300 es
+precision highp float;
+
+uniform sampler2D uField;
+uniform sampler2D uCharge;
+uniform sampler2D uForce;
+uniform bool uHasForce;
+
+out vec4 outForce;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec3 field = texelFetch(uField, coord, 0).xyz;
+  float charge = texelFetch(uCharge, coord, 0).r;
+
+  // Never propagate NaN into the shared target
+  vec3 F = any(isnan(field)) ? vec3(0.0) : charge * field;
+  if (uHasForce) {
+    // Read-modify-write: inForce is laid out like the force target
+    vec4 previous = texelFetch(uForce, coord, 0);
+    outForce = vec4(previous.xyz + F, previous.w);
+  } else {
+    outForce = vec4(F, 0.0);
+  }
+}`;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} vertSrc
+ * @param {string} fragSrc
+ */
+function createProgram(gl, vertSrc, fragSrc) {
+  const vs = gl.createShader(gl.VERTEX_SHADER);
+  if (!vs) throw new Error('KRepulsionApply: vertex shader allocation failed');
+  gl.shaderSource(vs, vertSrc);
+  gl.compileShader(vs);
+  if (!gl.getShaderParameter(vs, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vs) || 'unknown';
+    gl.deleteShader(vs);
+    throw new Error(`KRepulsionApply vertex shader compile failed: ${info}`);
+  }
+
+  const fs = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!fs) throw new Error('KRepulsionApply: fragment shader allocation failed');
+  gl.shaderSource(fs, fragSrc);
+  gl.compileShader(fs);
+  if (!gl.getShaderParameter(fs, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(fs) || 'unknown';
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    throw new Error(`KRepulsionApply fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('KRepulsionApply: program allocation failed');
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program) || 'unknown';
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    gl.deleteProgram(program);
+    throw new Error(`KRepulsionApply program link failed: ${info}`);
+  }
+
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  return program;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ */
+function createFullscreenQuadVAO(gl) {
+  const vao = /** @type {WebGLVertexArrayObject|null} */ (gl.createVertexArray());
+  if (!vao) throw new Error('KRepulsionApply: failed to create VAO');
+  gl.bindVertexArray(vao);
+  const buffer = /** @type {WebGLBuffer|null} */ (gl.createBuffer());
+  if (!buffer) throw new Error('KRepulsionApply: failed to create buffer');
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  const verts = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+  gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.bindVertexArray(null);
+  return vao;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ */
+function createFramebuffer(gl, texture) {
+  const fbo = /** @type {WebGLFramebuffer|null} */ (gl.createFramebuffer());
+  if (!fbo) throw new Error('KRepulsionApply: failed to create framebuffer');
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return fbo;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createRenderTexture(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('KRepulsionApply: render texture allocation failed');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
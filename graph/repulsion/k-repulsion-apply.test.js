@@ -0,0 +1,116 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertClose, createTestTexture, getGL, resetGL } from '../../gravity/test-utils.js';
+import { KRepulsionApply } from './k-repulsion-apply.js';
+
+/**
+ * Helper: create a 1D texture with given scalar values in the R channel.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[]} values
+ */
+function createScalarTexture(gl, values) {
+  const width = values.length;
+  const data = new Float32Array(width * 4);
+  for (let i = 0; i < values.length; i++) {
+    data[i * 4] = values[i];
+  }
+  return createTestTexture(gl, width, 1, data);
+}
+
+/**
+ * Test 1: kernel allocates outForce framebuffer/texture when not provided.
+ */
+test('KRepulsionApply: allocates outForce when not provided', async () => {
+  const gl = getGL();
+
+  const kernel = new KRepulsionApply({
+    gl,
+    inField: null,
+    inCharge: null,
+    textureWidth: 2,
+    textureHeight: 1
+  });
+
+  assert.ok(kernel.outForce, 'outForce texture should be created');
+  assert.ok(kernel.outForceFramebuffer, 'framebuffer should be created');
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 2: F = charge * field, blended onto the existing target.
+ */
+test('KRepulsionApply: scales the field by each charge and blends', async () => {
+  const gl = getGL();
+
+  const fieldTex = createTestTexture(gl, 2, 1, new Float32Array([
+    1, -2, 0.5, 9,
+    0, 3, -1, 9
+  ]));
+  const chargeTex = createScalarTexture(gl, [2, 0.5]);
+  const outForce = createTestTexture(gl, 2, 1, new Float32Array([
+    10, 0, 0, 7,
+    0, 10, 0, 7
+  ]));
+
+  const kernel = new KRepulsionApply({
+    gl,
+    inField: fieldTex,
+    inCharge: chargeTex,
+    outForce,
+    textureWidth: 2,
+    textureHeight: 1
+  });
+
+  kernel.run();
+
+  const force = kernel.valueOf({ pixels: true }).force.pixels;
+  assertClose(force[0].fx, 10 + 2, 1e-5, `charge 2 along x\n\n${kernel.toString()}`);
+  assertClose(force[0].fy, -4, 1e-5, 'charge 2 along y');
+  assertClose(force[0].fz, 1, 1e-5, 'charge 2 along z');
+  assertClose(force[1].fy, 10 + 1.5, 1e-5, 'charge 0.5 along y');
+  assertClose(force[1].fz, -0.5, 1e-5, 'charge 0.5 along z');
+  assertClose(force[1].unused, 7, 1e-5, 'w is left as is');
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 3: read-modify-write adds onto inForce and keeps its w.
+ */
+test('KRepulsionApply: adds onto inForce without blending', async () => {
+  const gl = getGL();
+
+  const fieldTex = createTestTexture(gl, 1, 1, new Float32Array([1, 2, 3, 0]));
+  const chargeTex = createScalarTexture(gl, [3]);
+  const previousTex = createTestTexture(gl, 1, 1, new Float32Array([-1, -1, -1, 0.25]));
+
+  const kernel = new KRepulsionApply({
+    gl,
+    inField: fieldTex,
+    inCharge: chargeTex,
+    inForce: previousTex,
+    textureWidth: 1,
+    textureHeight: 1,
+    enableBlend: false
+  });
+
+  kernel.run();
+
+  const force = kernel.valueOf({ pixels: true }).force.pixels[0];
+  assertClose(force.fx, -1 + 3, 1e-5, `previous + charge * field\n\n${kernel.toString()}`);
+  assertClose(force.fz, -1 + 9, 1e-5, 'Force Z');
+  assertClose(force.unused, 0.25, 1e-5, 'w comes from inForce');
+
+  kernel.inForce = kernel.outForce;
+  assert.throws(() => kernel.run(), /must be different textures/);
+  kernel.inForce = previousTex;
+
+  kernel.dispose();
+  resetGL();
+});
@@ -0,0 +1,281 @@
+// @ts-check
+
+import { formatNumber, readLinear } from '../../gravity/diag.js';
+
+/**
+ * KRepulsionCharge - swaps particle masses for repulsion charges.
+ *
+ * Writes (x, y, z, charge) per node, so the multipole aggregation and traversal
+ * kernels sum charges where gravity sums masses. inCharge holds the charge in R,
+ * laid out like inPosition; nodes with mass <= 0 are absent and carry no charge.
+ */
+export class KRepulsionCharge {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inCharge?: WebGLTexture|null,
+   *   outPosition?: WebGLTexture|null,
+   *   textureWidth?: number,
+   *   textureHeight?: number
+   * }} options
+   */
+  constructor(options) {
+    /** @type {WebGL2RenderingContext} */
+    this.gl = options.gl;
+
+    /** @type {WebGLTexture|null} */
+    this.inPosition = options.inPosition !== undefined ? options.inPosition : null;
+    /** @type {WebGLTexture|null} */
+    this.inCharge = options.inCharge !== undefined ? options.inCharge : null;
+
+    this.textureWidth = options.textureWidth || 1;
+    this.textureHeight = options.textureHeight || 1;
+
+    const outPositionProvided = options.outPosition || options.outPosition === null;
+    /** @type {WebGLTexture|null} */
+    this.outPosition = outPositionProvided
+      ? options.outPosition || null
+      : createRenderTexture(this.gl, this.textureWidth, this.textureHeight);
+
+    /** @type {WebGLFramebuffer|null} */
+    this.outFramebuffer = this.outPosition ? createFramebuffer(this.gl, this.outPosition) : null;
+    /** @type {WebGLTexture|null} */
+    this._fboShadow = this.outPosition;
+
+    /** @type {WebGLProgram|null} */
+    this.program = createProgram(this.gl, fullscreenVS, chargeFS);
+    /** @type {WebGLVertexArrayObject|null} */
+    this.vao = createFullscreenQuadVAO(this.gl);
+
+    this.uniforms = {
+      /** @type {WebGLUniformLocation|null} */ uPos: this.gl.getUniformLocation(this.program, 'uPos'),
+      /** @type {WebGLUniformLocation|null} */ uCharge: this.gl.getUniformLocation(this.program, 'uCharge')
+    };
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const count = this.textureWidth * this.textureHeight;
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      charge: this.inCharge && readLinear({
+        gl: this.gl, texture: this.inCharge, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['charge', 'unused1', 'unused2', 'unused3'], pixels
+      }),
+      charged: this.outPosition && readLinear({
+        gl: this.gl, texture: this.outPosition, width: this.textureWidth,
+        height: this.textureHeight, count,
+        channels: ['x', 'y', 'z', 'charge'], pixels
+      }),
+      textureWidth: this.textureWidth,
+      textureHeight: this.textureHeight,
+      renderCount: this.renderCount
+    };
+
+    const totalCharge = value.charged?.charge ? value.charged.charge.mean * count : 0;
+
+    value.toString = () =>
+      `KRepulsionCharge(${this.textureWidth}×${this.textureHeight}) #${this.renderCount}
+
+position: ${value.position}
+
+charge: ${value.charge}
+
+→ charged: ${value.charged ? `totalCharge=${formatNumber(totalCharge)} ` : ''}${value.charged}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  run() {
+    const gl = this.gl;
+
+    if (!this.program) throw new Error('KRepulsionCharge: program missing');
+    if (!this.inPosition || !this.inCharge || !this.outPosition)
+      throw new Error('KRepulsionCharge: required textures missing');
+
+    if (this._fboShadow !== this.outPosition) {
+      if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+      this.outFramebuffer = createFramebuffer(gl, this.outPosition);
+      this._fboShadow = this.outPosition;
+    }
+
+    gl.useProgram(this.program);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+    gl.disable(gl.BLEND);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.uPos) gl.uniform1i(this.uniforms.uPos, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inCharge);
+    if (this.uniforms.uCharge) gl.uniform1i(this.uniforms.uCharge, 1);
+
+    gl.bindVertexArray(this.vao);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.vao) gl.deleteVertexArray(this.vao);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inCharge) gl.deleteTexture(this.inCharge);
+    if (this.outPosition) gl.deleteTexture(this.outPosition);
+
+    this.program = null;
+    this.vao = null;
+    this.outFramebuffer = null;
+    this._fboShadow = null;
+    this.inPosition = null;
+    this.inCharge = null;
+    this.outPosition = null;
+  }
+}
+
+const fullscreenVS = `#version 300 es
+precision highp float;
+layout(location = 0) in vec2 position;
+void main() {
+  gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+const chargeFS = `#version 300 es
+precision highp float;
+
+uniform sampler2D uPos;
+uniform sampler2D uCharge;
+
+out vec4 outPosition;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec4 pos = texelFetch(uPos, coord, 0);
+  float charge = texelFetch(uCharge, coord, 0).r;
+  outPosition = vec4(pos.xyz, pos.w > 0.0 ? charge : 0.0);
+}`;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} vertSrc
+ * @param {string} fragSrc
+ */
+function createProgram(gl, vertSrc, fragSrc) {
+  const vs = gl.createShader(gl.VERTEX_SHADER);
+  if (!vs) throw new Error('KRepulsionCharge: vertex shader allocation failed');
+  gl.shaderSource(vs, vertSrc);
+  gl.compileShader(vs);
+  if (!gl.getShaderParameter(vs, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vs) || 'unknown';
+    gl.deleteShader(vs);
+    throw new Error(`KRepulsionCharge vertex shader compile failed: ${info}`);
+  }
+
+  const fs = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!fs) throw new Error('KRepulsionCharge: fragment shader allocation failed');
+  gl.shaderSource(fs, fragSrc);
+  gl.compileShader(fs);
+  if (!gl.getShaderParameter(fs, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(fs) || 'unknown';
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    throw new Error(`KRepulsionCharge fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('KRepulsionCharge: program allocation failed');
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program) || 'unknown';
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    gl.deleteProgram(program);
+    throw new Error(`KRepulsionCharge program link failed: ${info}`);
+  }
+
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  return program;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ */
+function createFullscreenQuadVAO(gl) {
+  const vao = /** @type {WebGLVertexArrayObject|null} */ (gl.createVertexArray());
+  if (!vao) throw new Error('KRepulsionCharge: failed to create VAO');
+  gl.bindVertexArray(vao);
+  const buffer = /** @type {WebGLBuffer|null} */ (gl.createBuffer());
+  if (!buffer) throw new Error('KRepulsionCharge: failed to create buffer');
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  const verts = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+  gl.bufferData(gl.ARRAY_BUFFER, verts, gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.bindVertexArray(null);
+  return vao;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {WebGLTexture} texture
+ */
+function createFramebuffer(gl, texture) {
+  const fbo = /** @type {WebGLFramebuffer|null} */ (gl.createFramebuffer());
+  if (!fbo) throw new Error('KRepulsionCharge: failed to create framebuffer');
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  return fbo;
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createRenderTexture(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('KRepulsionCharge: render texture allocation failed');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
@@ -0,0 +1,96 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertClose, createTestTexture, getGL, resetGL } from '../../gravity/test-utils.js';
+import { KRepulsionCharge } from './k-repulsion-charge.js';
+
+/**
+ * Helper: create a 1D texture with given scalar values in the R channel.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[]} values
+ */
+function createScalarTexture(gl, values) {
+  const width = values.length;
+  const data = new Float32Array(width * 4);
+  for (let i = 0; i < values.length; i++) {
+    data[i * 4] = values[i];
+  }
+  return createTestTexture(gl, width, 1, data);
+}
+
+/**
+ * Test 1: kernel allocates outPosition when not provided.
+ */
+test('KRepulsionCharge: creates outPosition when not provided', async () => {
+  const gl = getGL();
+
+  const kernel = new KRepulsionCharge({
+    gl,
+    inPosition: null,
+    inCharge: null,
+    textureWidth: 2,
+    textureHeight: 1
+  });
+
+  assert.ok(kernel.outPosition, 'outPosition texture should be created');
+  assert.ok(kernel.outFramebuffer, 'framebuffer should be created');
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 2: charges replace masses, massless nodes carry none.
+ */
+test('KRepulsionCharge: writes charges into w', async () => {
+  const gl = getGL();
+
+  const posTex = createTestTexture(gl, 3, 1, new Float32Array([
+    1, 2, 3, 5,
+    -1, 0, 0.5, 0.1,
+    4, 4, 4, 0
+  ]));
+  const chargeTex = createScalarTexture(gl, [2, 3, 7]);
+
+  const kernel = new KRepulsionCharge({
+    gl,
+    inPosition: posTex,
+    inCharge: chargeTex,
+    textureWidth: 3,
+    textureHeight: 1
+  });
+
+  kernel.run();
+
+  const charged = kernel.valueOf({ pixels: true }).charged.pixels;
+  assertClose(charged[0].x, 1, 1e-6, `position passes through\n\n${kernel.toString()}`);
+  assertClose(charged[0].z, 3, 1e-6, 'position z');
+  assertClose(charged[0].charge, 2, 1e-6, 'mass 5 replaced by charge 2');
+  assertClose(charged[1].charge, 3, 1e-6, 'mass 0.1 replaced by charge 3');
+  assertClose(charged[2].charge, 0, 1e-6, 'massless node has no charge');
+
+  kernel.dispose();
+  resetGL();
+});
+
+/**
+ * Test 3: run throws when required inputs missing.
+ */
+test('KRepulsionCharge: run throws if inputs missing', async () => {
+  const gl = getGL();
+
+  const kernel = new KRepulsionCharge({
+    gl,
+    inPosition: null,
+    inCharge: createScalarTexture(gl, [1]),
+    textureWidth: 1,
+    textureHeight: 1
+  });
+
+  assert.throws(() => kernel.run(), /required textures missing/);
+
+  kernel.dispose();
+  resetGL();
+});
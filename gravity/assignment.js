@@ -0,0 +1,80 @@
+// @ts-check
+
+/**
+ * Mass assignment schemes for the PM deposit and force-sample kernels
+ *
+ * Order p is the B-spline degree + 1: each particle spreads over p grid nodes per axis,
+ * and the window in k-space is sinc^p (KPoisson's deconvolution order).
+ * - 'NGP' (1): the node at floor(g)
+ * - 'CIC' (2): nodes floor(g) .. floor(g)+1, linear weights
+ * - 'TSC' (3): nodes round(g)-1 .. round(g)+1, quadratic weights
+ * - 'PCS' (4): nodes floor(g)-1 .. floor(g)+2, cubic weights
+ * Grid position g is in node units: node i sits at g = i.
+ */
+
+/** @typedef {'NGP' | 'CIC' | 'TSC' | 'PCS' | 'ngp' | 'cic' | 'tsc' | 'pcs'} Assignment */
+
+const ASSIGNMENT_ORDERS = { NGP: 1, CIC: 2, TSC: 3, PCS: 4 };
+
+/**
+ * Order of an assignment scheme, either case
+ * @param {string} assignment
+ * @returns {1 | 2 | 3 | 4}
+ */
+export function assignmentOrder(assignment) {
+  const key = /** @type {keyof typeof ASSIGNMENT_ORDERS} */ (String(assignment).toUpperCase());
+  if (!(key in ASSIGNMENT_ORDERS))
+    throw new Error(`Unknown assignment '${assignment}', expected NGP, CIC, TSC or PCS`);
+  return /** @type {1 | 2 | 3 | 4} */ (ASSIGNMENT_ORDERS[key]);
+}
+
+/**
+ * Node offsets from the base node covered by one particle: p³ of them
+ * @param {number} order
+ * @returns {[number, number, number][]}
+ */
+export function assignmentOffsets(order) {
+  const lo = order >= 3 ? -1 : 0;
+  const hi = lo + order - 1;
+  /** @type {[number, number, number][]} */
+  const offsets = [];
+  for (let dz = lo; dz <= hi; dz++)
+    for (let dy = lo; dy <= hi; dy++)
+      for (let dx = lo; dx <= hi; dx++)
+        offsets.push([dx, dy, dz]);
+  return offsets;
+}
+
+/**
+ * GLSL base node and 1D weights shared by deposit and force sampling, so a particle
+ * reads its force through the same window it deposited its mass with
+ */
+export const assignmentGlsl = /* glsl */`
+// Base node of the stencil; TSC centres on the nearest node, the others on the node below
+vec3 assignmentBase(vec3 gridPos, int order) {
+  return order == 3 ? floor(gridPos + 0.5) : floor(gridPos);
+}
+
+// Weight of node (base + offset) along one axis, t = gridPos - base
+float assignmentWeight1D(float t, int offset, int order) {
+  if (order == 1) return 1.0;
+  if (order == 2) return offset == 0 ? 1.0 - t : t;
+  if (order == 3) {
+    if (offset == 0) return 0.75 - t * t;
+    float s = 0.5 + float(offset) * t;
+    return 0.5 * s * s;
+  }
+  float t2 = t * t;
+  float t3 = t2 * t;
+  if (offset == -1) { float s = 1.0 - t; return s * s * s / 6.0; }
+  if (offset == 0) return (4.0 - 6.0 * t2 + 3.0 * t3) / 6.0;
+  if (offset == 1) return (1.0 + 3.0 * t + 3.0 * t2 - 3.0 * t3) / 6.0;
+  return t3 / 6.0;
+}
+
+float assignmentWeight(vec3 t, ivec3 offset, int order) {
+  return assignmentWeight1D(t.x, offset.x, order)
+    * assignmentWeight1D(t.y, offset.y, order)
+    * assignmentWeight1D(t.z, offset.z, order);
+}
+`;
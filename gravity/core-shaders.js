@@ -1,5 +1,7 @@
 // @ts-check
 
+import { wallsGlsl } from './walls.js';
+
 export const fsQuadVert = /* glsl */`#version 300 es
 precision highp float;
 
@@ -19,20 +21,26 @@ uniform sampler2D u_velocity;
 uniform vec2 u_texSize;
 uniform int u_particleCount;
 uniform float u_dt;
-
-out vec4 fragColor;
+${wallsGlsl}
+layout(location = 0) out vec4 fragColor;
+layout(location = 1) out vec4 outVelocity;  // reflected/absorbed velocity (discarded without an attachment)
 
 void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
   int idx = coord.y * int(u_texSize.x) + coord.x;
   vec4 pos = texelFetch(u_positions, coord, 0);
+  vec4 velData = texelFetch(u_velocity, coord, 0);
+  outVelocity = velData;
   if (idx >= u_particleCount) {
     fragColor = pos;
     return;
   }
-  vec3 vel = texelFetch(u_velocity, coord, 0).xyz;
+  vec3 vel = velData.xyz;
   vec3 newPos = pos.xyz + vel * u_dt;
-  fragColor = vec4(newPos, pos.w);
+  float mass = pos.w;
+  applyWalls(newPos, vel, mass);
+  fragColor = vec4(newPos, mass);
+  outVelocity = vec4(vel, velData.w);
 }`;
 
 export const velIntegrateFrag = /* glsl */`#version 300 es
@@ -0,0 +1,280 @@
+// @ts-check
+
+/**
+ * Comoving cosmology for the periodic PM systems
+ *
+ * Positions are comoving, x = r / a, and velocities are their rates v = dx/dt, so with
+ * g the force the PM pipeline solves for the comoving density contrast (the periodic
+ * solve drops k = 0, i.e. subtracts the mean density ρ̄):
+ *
+ *   dv/dt = g / a³ - 2H·v,   H(a) = H0·sqrt(Ωm/a³ + Ωk/a² + ΩΛ),   Ωk = 1 - Ωm - ΩΛ
+ *
+ * The background only matches the particles when their mean comoving density is
+ * ρ̄ = 3·H0²·Ωm / (8πG); zeldovich() gives its particles exactly that mass.
+ */
+
+/**
+ * @typedef {{
+ *   omegaMatter?: number,
+ *   omegaLambda?: number,
+ *   hubble: number,
+ *   scaleFactor?: number
+ * }} CosmologyOptions
+ */
+
+/**
+ * @typedef {{
+ *   omegaMatter: number,
+ *   omegaLambda: number,
+ *   omegaCurvature: number,
+ *   hubble: number,
+ *   scaleFactor: number
+ * }} Cosmology
+ */
+
+/**
+ * Validate cosmological parameters: Ωm (default 1), ΩΛ (default 0), H0 (required)
+ * and the starting scale factor (default 1)
+ * @param {CosmologyOptions} options
+ * @returns {Cosmology}
+ */
+export function resolveCosmology(options) {
+  const omegaMatter = options.omegaMatter ?? 1;
+  const omegaLambda = options.omegaLambda ?? 0;
+  const hubble = options.hubble;
+  const scaleFactor = options.scaleFactor ?? 1;
+
+  if (!(hubble > 0))
+    throw new Error(`Cosmology requires a positive hubble (H0), got ${hubble}`);
+  if (!(omegaMatter > 0))
+    throw new Error(`Cosmology requires a positive omegaMatter, got ${omegaMatter}`);
+  if (!(scaleFactor > 0))
+    throw new Error(`Cosmology requires a positive scaleFactor, got ${scaleFactor}`);
+
+  return { omegaMatter, omegaLambda, omegaCurvature: 1 - omegaMatter - omegaLambda, hubble, scaleFactor };
+}
+
+/**
+ * Hubble rate H(a); zero past the turnaround of a closed universe
+ * @param {Cosmology} cosmology
+ * @param {number} a
+ */
+export function hubbleRate({ omegaMatter, omegaLambda, omegaCurvature, hubble }, a) {
+  const e2 = omegaMatter / (a * a * a) + omegaCurvature / (a * a) + omegaLambda;
+  return hubble * Math.sqrt(Math.max(0, e2));
+}
+
+/**
+ * Logarithmic growth rate f = dlnD/dlna of linear perturbations, Ωm(a)^0.55
+ * @param {Cosmology} cosmology
+ * @param {number} a
+ */
+export function growthRate(cosmology, a) {
+  const h = hubbleRate(cosmology, a);
+  if (!h) return 0;
+  const omegaMatterAt = cosmology.omegaMatter * cosmology.hubble * cosmology.hubble / (a * a * a * h * h);
+  return Math.pow(omegaMatterAt, 0.55);
+}
+
+/**
+ * Scale factor after dt of cosmic time: da/dt = a·H(a), one RK4 step
+ * @param {Cosmology} cosmology
+ * @param {number} a
+ * @param {number} dt
+ */
+export function advanceScaleFactor(cosmology, a, dt) {
+  /** @param {number} x */
+  const rate = x => x * hubbleRate(cosmology, x);
+  const k1 = rate(a);
+  const k2 = rate(a + 0.5 * dt * k1);
+  const k3 = rate(a + 0.5 * dt * k2);
+  const k4 = rate(a + dt * k3);
+  return a + dt * (k1 + 2 * k2 + 2 * k3 + k4) / 6;
+}
+
+/**
+ * Integrator settings for one step of dt from scale factor a: the comoving force
+ * scale 1/a³ and Hubble drag 2H, both taken at the half step, and the new scale factor
+ * @param {Cosmology} cosmology
+ * @param {number} a
+ * @param {number} dt
+ * @returns {{ forceScale: number, hubbleDrag: number, scaleFactor: number }}
+ */
+export function comovingStep(cosmology, a, dt) {
+  const aHalf = advanceScaleFactor(cosmology, a, 0.5 * dt);
+  return {
+    forceScale: 1 / (aHalf * aHalf * aHalf),
+    hubbleDrag: 2 * hubbleRate(cosmology, aHalf),
+    scaleFactor: advanceScaleFactor(cosmology, a, dt)
+  };
+}
+
+/**
+ * Zel'dovich initial conditions: a lattice of gridSize³ particles displaced by a
+ * Gaussian random field with the linear power spectrum P(k) at the cosmology's
+ * starting scale factor.
+ *
+ * δ(k) = W(k)·sqrt(N·P(|k|) / V) for white noise W of unit variance per node, the
+ * displacement is ψ(k) = i·k·δ(k) / k² (so δ = -∇·ψ), positions q + ψ wrap into
+ * worldBounds and velocities are f·H·ψ. The k = 0 mode and the Nyquist planes are
+ * dropped. Each particle gets the mass of the mean density 3·H0²·Ωm / (8πG).
+ *
+ * @param {{
+ *   gridSize: number | [number, number, number],
+ *   worldBounds: { min: [number, number, number], max: [number, number, number] },
+ *   powerSpectrum: (k: number) => number,
+ *   cosmology: CosmologyOptions,
+ *   gravityStrength?: number,
+ *   seed?: number
+ * }} options
+ * @returns {{ x: number, y: number, z: number, vx: number, vy: number, vz: number, mass: number }[]}
+ */
+export function zeldovich({ gridSize, worldBounds, powerSpectrum, cosmology: cosmologyOptions, gravityStrength = 0.0003, seed = 1 }) {
+  const cosmology = resolveCosmology(cosmologyOptions);
+  const dims = /** @type {[number, number, number]} */ (Array.isArray(gridSize) ? [gridSize[0], gridSize[1], gridSize[2]] : [gridSize, gridSize, gridSize]);
+  for (const n of dims) {
+    if (!(n >= 2) || (n & (n - 1)) !== 0)
+      throw new Error(`zeldovich gridSize must be powers of two, got [${dims.join(', ')}]`);
+  }
+
+  const [nx, ny, nz] = dims;
+  const count = nx * ny * nz;
+  const size = [0, 1, 2].map(axis => worldBounds.max[axis] - worldBounds.min[axis]);
+  const volume = size[0] * size[1] * size[2];
+
+  // White noise of unit variance per node (Box-Muller over a Lehmer generator)
+  let state = Math.max(1, Math.floor(seed)) % 2147483647;
+  const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  const noiseRe = new Float64Array(count);
+  const noiseIm = new Float64Array(count);
+  for (let i = 0; i < count; i++)
+    noiseRe[i] = Math.sqrt(-2 * Math.log(random())) * Math.cos(2 * Math.PI * random());
+  fft3(noiseRe, noiseIm, dims, false);
+
+  // One displacement spectrum per axis
+  const psi = [0, 1, 2].map(() => ({ re: new Float64Array(count), im: new Float64Array(count) }));
+  for (let iz = 0; iz < nz; iz++) {
+    for (let iy = 0; iy < ny; iy++) {
+      for (let ix = 0; ix < nx; ix++) {
+        const index = (iz * ny + iy) * nx + ix;
+        const indices = [ix, iy, iz];
+        if (indices.every(i => i === 0) || indices.some((i, axis) => 2 * i === dims[axis])) continue;
+
+        const k = indices.map((i, axis) => 2 * Math.PI * (i <= dims[axis] / 2 ? i : i - dims[axis]) / size[axis]);
+        const k2 = k[0] * k[0] + k[1] * k[1] + k[2] * k[2];
+        const amplitude = Math.sqrt(count * Math.max(0, powerSpectrum(Math.sqrt(k2))) / volume);
+
+        // ψ = i·k·δ / k²
+        const deltaRe = noiseRe[index] * amplitude;
+        const deltaIm = noiseIm[index] * amplitude;
+        for (let axis = 0; axis < 3; axis++) {
+          psi[axis].re[index] = -deltaIm * k[axis] / k2;
+          psi[axis].im[index] = deltaRe * k[axis] / k2;
+        }
+      }
+    }
+  }
+  for (const component of psi) fft3(component.re, component.im, dims, true);
+
+  const velocityFactor = growthRate(cosmology, cosmology.scaleFactor) * hubbleRate(cosmology, cosmology.scaleFactor);
+  const mass = 3 * cosmology.hubble * cosmology.hubble * cosmology.omegaMatter * volume / (8 * Math.PI * gravityStrength * count);
+
+  const particles = [];
+  for (let iz = 0; iz < nz; iz++) {
+    for (let iy = 0; iy < ny; iy++) {
+      for (let ix = 0; ix < nx; ix++) {
+        const index = (iz * ny + iy) * nx + ix;
+        const position = [ix, iy, iz].map((i, axis) => {
+          const offset = (i + 0.5) * size[axis] / dims[axis] + psi[axis].re[index];
+          return worldBounds.min[axis] + (offset % size[axis] + size[axis]) % size[axis];
+        });
+        particles.push({
+          x: position[0], y: position[1], z: position[2],
+          vx: velocityFactor * psi[0].re[index],
+          vy: velocityFactor * psi[1].re[index],
+          vz: velocityFactor * psi[2].re[index],
+          mass
+        });
+      }
+    }
+  }
+
+  return particles;
+}
+
+/**
+ * In-place 3D FFT of an X-fastest grid, power-of-two lengths; the inverse is normalized
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {[number, number, number]} dims
+ * @param {boolean} inverse
+ */
+function fft3(re, im, dims, inverse) {
+  const [nx, ny, nz] = dims;
+  const strides = [1, nx, nx * ny];
+  for (let axis = 0; axis < 3; axis++) {
+    const n = dims[axis];
+    const stride = strides[axis];
+    const lineRe = new Float64Array(n);
+    const lineIm = new Float64Array(n);
+    const lines = (nx * ny * nz) / n;
+    for (let line = 0; line < lines; line++) {
+      // First node of the line: the other two indices, spread around this axis
+      const start = (line % stride) + Math.floor(line / stride) * stride * n;
+      for (let i = 0; i < n; i++) {
+        lineRe[i] = re[start + i * stride];
+        lineIm[i] = im[start + i * stride];
+      }
+      fft1(lineRe, lineIm, inverse);
+      for (let i = 0; i < n; i++) {
+        re[start + i * stride] = lineRe[i];
+        im[start + i * stride] = lineIm[i];
+      }
+    }
+  }
+}
+
+/**
+ * In-place radix-2 FFT of one line; the inverse divides by its length
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean} inverse
+ */
+function fft1(re, im, inverse) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = sign * 2 * Math.PI / length;
+    for (let start = 0; start < n; start += length) {
+      for (let k = 0; k < length / 2; k++) {
+        const wRe = Math.cos(angle * k);
+        const wIm = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + length / 2;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
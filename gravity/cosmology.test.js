@@ -0,0 +1,106 @@
+// @ts-check
+
+/**
+ * Comoving cosmology: Friedmann expansion and Zel'dovich initial conditions
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { advanceScaleFactor, comovingStep, growthRate, hubbleRate, resolveCosmology, zeldovich } from './cosmology.js';
+
+const worldBounds = /** @type {{ min: [number, number, number], max: [number, number, number] }} */ ({ min: [-4, -4, -4], max: [4, 4, 4] });
+
+/**
+ * Test 1: Einstein-de Sitter expansion follows a ∝ t^(2/3)
+ */
+test('cosmology: Einstein-de Sitter scale factor grows as t^(2/3)', () => {
+  const cosmology = resolveCosmology({ hubble: 0.5, scaleFactor: 0.1 });
+
+  // a = (t / t0)^(2/3) with t0 = 2 / (3·H0)
+  const t0 = 2 / (3 * cosmology.hubble);
+  const start = t0 * Math.pow(0.1, 1.5);
+  const dt = 0.01;
+  let a = cosmology.scaleFactor;
+  for (let i = 0; i < 1000; i++) a = advanceScaleFactor(cosmology, a, dt);
+
+  const expected = Math.pow((start + 1000 * dt) / t0, 2 / 3);
+  assert.ok(Math.abs(a - expected) < 1e-6 * expected, `a=${a} vs t^(2/3) law ${expected}`);
+  assert.ok(Math.abs(growthRate(cosmology, a) - 1) < 1e-12, 'Growth rate is 1 in Einstein-de Sitter');
+});
+
+/**
+ * Test 2: ΛCDM rates and the comoving step settings
+ */
+test('cosmology: flat ΛCDM Hubble rate and comoving step', () => {
+  const cosmology = resolveCosmology({ omegaMatter: 0.3, omegaLambda: 0.7, hubble: 0.1, scaleFactor: 0.5 });
+
+  assert.strictEqual(cosmology.omegaCurvature, 1 - 0.3 - 0.7);
+  assert.ok(Math.abs(hubbleRate(cosmology, 1) - 0.1) < 1e-15, 'H(1) is H0');
+  assert.ok(Math.abs(hubbleRate(cosmology, 0.5) - 0.1 * Math.sqrt(0.3 * 8 + 0.7)) < 1e-15, 'H(0.5) from Friedmann');
+  assert.ok(growthRate(cosmology, 0.5) < 1 && growthRate(cosmology, 0.5) > growthRate(cosmology, 1), 'Λ slows growth');
+
+  const { forceScale, hubbleDrag, scaleFactor } = comovingStep(cosmology, 0.5, 0.2);
+  const aHalf = advanceScaleFactor(cosmology, 0.5, 0.1);
+  assert.ok(scaleFactor > aHalf && aHalf > 0.5, `Expanding: ${scaleFactor} > ${aHalf} > 0.5`);
+  assert.ok(Math.abs(forceScale - 1 / aHalf ** 3) < 1e-12);
+  assert.ok(Math.abs(hubbleDrag - 2 * hubbleRate(cosmology, aHalf)) < 1e-15);
+
+  assert.throws(() => resolveCosmology(/** @type {*} */({ omegaMatter: 0.3 })), /positive hubble/);
+});
+
+/**
+ * Test 3: Zel'dovich lattice without power stays a lattice at rest, with the background mass
+ */
+test('cosmology: zeldovich with zero power is the unperturbed lattice', () => {
+  const G = 0.01;
+  const particles = zeldovich({ gridSize: 4, worldBounds, powerSpectrum: () => 0, cosmology: { hubble: 0.2 }, gravityStrength: G });
+
+  assert.strictEqual(particles.length, 64);
+  assert.deepStrictEqual([particles[0].x, particles[0].y, particles[0].z], [-3, -3, -3]);
+  assert.deepStrictEqual([particles[63].x, particles[63].y, particles[63].z], [3, 3, 3]);
+  for (const p of particles) assert.deepStrictEqual([p.vx, p.vy, p.vz], [0, 0, 0]);
+
+  // Mean density 3·H0²·Ωm / (8πG)
+  const totalMass = particles.reduce((sum, p) => sum + p.mass, 0);
+  const expected = 3 * 0.2 * 0.2 * 512 / (8 * Math.PI * G);
+  assert.ok(Math.abs(totalMass - expected) < 1e-9 * expected, `Total mass ${totalMass} vs ${expected}`);
+
+  assert.throws(() => zeldovich({ gridSize: 6, worldBounds, powerSpectrum: () => 0, cosmology: { hubble: 0.2 } }), /powers of two/);
+});
+
+/**
+ * Test 4: Zel'dovich displacements: linear in sqrt(P), zero mean, velocities f·H·ψ
+ */
+test('cosmology: zeldovich displacements and velocities', () => {
+  const cosmology = { omegaMatter: 0.3, omegaLambda: 0.7, hubble: 0.1, scaleFactor: 0.2 };
+  const options = { gridSize: /** @type {[number, number, number]} */ ([8, 8, 4]), worldBounds, cosmology, seed: 7 };
+  /** @param {number} k */
+  const powerSpectrum = k => 1e-3 * k * Math.exp(-k * k);
+
+  const weak = zeldovich({ ...options, powerSpectrum });
+  const strong = zeldovich({ ...options, powerSpectrum: k => 4 * powerSpectrum(k) });
+  const lattice = zeldovich({ ...options, powerSpectrum: () => 0 });
+  assert.strictEqual(weak.length, 256);
+
+  const resolved = resolveCosmology(cosmology);
+  const velocityFactor = growthRate(resolved, 0.2) * hubbleRate(resolved, 0.2);
+
+  const mean = [0, 0, 0];
+  let rms = 0;
+  for (let i = 0; i < weak.length; i++) {
+    const psi = [weak[i].x - lattice[i].x, weak[i].y - lattice[i].y, weak[i].z - lattice[i].z];
+    const psiStrong = [strong[i].x - lattice[i].x, strong[i].y - lattice[i].y, strong[i].z - lattice[i].z];
+    const velocity = [weak[i].vx, weak[i].vy, weak[i].vz];
+    for (let axis = 0; axis < 3; axis++) {
+      assert.ok(Math.abs(psiStrong[axis] - 2 * psi[axis]) < 1e-9, `Doubling the amplitude doubles ψ at ${i}`);
+      assert.ok(Math.abs(velocity[axis] - velocityFactor * psi[axis]) < 1e-12, `v = f·H·ψ at ${i}`);
+      mean[axis] += psi[axis] / weak.length;
+      rms += psi[axis] * psi[axis] / weak.length;
+    }
+  }
+
+  assert.ok(Math.sqrt(rms) > 1e-3 && Math.sqrt(rms) < 0.5, `Displacements are small but present: rms ${Math.sqrt(rms)}`);
+  for (const m of mean) assert.ok(Math.abs(m) < 1e-12, `No net displacement, got ${m}`);
+  assert.deepStrictEqual(zeldovich({ ...options, powerSpectrum }), weak, 'Same seed, same particles');
+});
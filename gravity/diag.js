@@ -157,32 +157,27 @@ function createProfile(values, windowSize = 16) {
  * Create axis profiles for 3D grid
  */
 function createAxisProfiles(pixels, gridSize, channelIndex) {
-  const profileX = [];
-  const profileY = [];
-  const profileZ = [];
+  const [Nx, Ny, Nz] = Array.isArray(gridSize) ? gridSize : [gridSize, gridSize, gridSize];
+  const sumX = new Array(Nx).fill(0);
+  const sumY = new Array(Ny).fill(0);
+  const sumZ = new Array(Nz).fill(0);
   
   // Average along each axis
-  for (let i = 0; i < gridSize; i++) {
-    let sumX = 0, sumY = 0, sumZ = 0;
-    let countX = 0, countY = 0, countZ = 0;
-    
-    for (let z = 0; z < gridSize; z++) {
-      for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
-          const val = pixels[z][y][x][channelIndex];
-          
-          if (x === i) { sumX += val; countX++; }
-          if (y === i) { sumY += val; countY++; }
-          if (z === i) { sumZ += val; countZ++; }
-        }
+  for (let z = 0; z < Nz; z++) {
+    for (let y = 0; y < Ny; y++) {
+      for (let x = 0; x < Nx; x++) {
+        const val = pixels[z][y][x][channelIndex];
+        sumX[x] += val;
+        sumY[y] += val;
+        sumZ[z] += val;
       }
     }
-    
-    profileX.push(countX > 0 ? sumX / countX : 0);
-    profileY.push(countY > 0 ? sumY / countY : 0);
-    profileZ.push(countZ > 0 ? sumZ / countZ : 0);
   }
   
+  const profileX = sumX.map(sum => sum / (Ny * Nz));
+  const profileY = sumY.map(sum => sum / (Nx * Nz));
+  const profileZ = sumZ.map(sum => sum / (Nx * Ny));
+  
   const normalize = (values) => {
     const min = Math.min(...values);
     const max = Math.max(...values);
@@ -370,7 +365,7 @@ export function readLinear({ gl, texture, width, height, count, channels = ['x',
  *   texture: WebGLTexture,
  *   width: number,
  *   height: number,
- *   gridSize: number,
+ *   gridSize: number | [number, number, number],
  *   channels?: string[],
  *   pixels?: boolean,
  *   format?: number|string
@@ -405,9 +400,10 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
   gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
   
-  // Calculate slice packing
-  const slicesPerRow = Math.ceil(width / gridSize);
-  const voxelCount = gridSize * gridSize * gridSize;
+  // Calculate slice packing (a scalar gridSize is a cube)
+  const [Nx, Ny, Nz] = Array.isArray(gridSize) ? gridSize : [gridSize, gridSize, gridSize];
+  const slicesPerRow = Math.ceil(width / Nx);
+  const voxelCount = Nx * Ny * Nz;
   
   // Read pixels
   const bytesPerPixel = formatInfo.bufferChannels * (formatInfo.type === gl.FLOAT ? 4 : 1);
@@ -426,16 +422,16 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   const numChannels = Math.min(channels.length, actualChannels);
   if (shouldCapturePixels) {
     pixels3D = [];
-    for (let z = 0; z < gridSize; z++) {
+    for (let z = 0; z < Nz; z++) {
       pixels3D[z] = [];
-      for (let y = 0; y < gridSize; y++) {
+      for (let y = 0; y < Ny; y++) {
         pixels3D[z][y] = [];
-        for (let x = 0; x < gridSize; x++) {
+        for (let x = 0; x < Nx; x++) {
           // Calculate texture coordinates for this voxel
           const sliceX = z % slicesPerRow;
           const sliceY = Math.floor(z / slicesPerRow);
-          const texX = sliceX * gridSize + x;
-          const texY = sliceY * gridSize + y;
+          const texX = sliceX * Nx + x;
+          const texY = sliceY * Ny + y;
           const texIndex = (texY * width + texX) * formatInfo.bufferChannels;
           
           const voxel = {};
@@ -474,13 +470,13 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
   for (let c = 0; c < numChannels; c++) {
     const values = [];
     
-    for (let z = 0; z < gridSize; z++) {
-      for (let y = 0; y < gridSize; y++) {
-        for (let x = 0; x < gridSize; x++) {
+    for (let z = 0; z < Nz; z++) {
+      for (let y = 0; y < Ny; y++) {
+        for (let x = 0; x < Nx; x++) {
           const sliceX = z % slicesPerRow;
           const sliceY = Math.floor(z / slicesPerRow);
-          const texX = sliceX * gridSize + x;
-          const texY = sliceY * gridSize + y;
+          const texX = sliceX * Nx + x;
+          const texY = sliceY * Ny + y;
           const texIndex = (texY * width + texX) * formatInfo.bufferChannels;
           values.push(buffer[texIndex + c]);
         }
@@ -513,7 +509,7 @@ export function readGrid3D({ gl, texture, width, height, gridSize, channels = ['
     const lines = [];
     
     // Metadata line
-    lines.push(`${result.width}x${result.height} ${result.format} grid${result.gridSize}^3=${result.voxelCount}vox slices=${result.slicesPerRow}`);
+    lines.push(`${result.width}x${result.height} ${result.format} grid${Array.isArray(gridSize) ? gridSize.join('×') : `${gridSize}^3`}=${result.voxelCount}vox slices=${result.slicesPerRow}`);
     
     // Compact channel statistics
     for (const channel of channels) {
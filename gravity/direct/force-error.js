@@ -0,0 +1,130 @@
+// @ts-check
+
+/**
+ * Force accuracy against the exact direct-summation reference
+ *
+ * Both systems accumulate their forces for the same position texture through the
+ * ForceModule contract (accumulate(ctx)), the results are read back and compared
+ * per particle: error_i = |a_i - a_ref,i| / |a_ref,i|.
+ */
+
+/**
+ * @typedef {{
+ *   gl: WebGL2RenderingContext,
+ *   positionMassTexture?: WebGLTexture | null,
+ *   velocityColorTexture?: WebGLTexture | null,
+ *   textureWidth: number,
+ *   textureHeight: number,
+ *   particleCount: number,
+ *   accumulate(ctx: import('../../particle-system.js').ForceContext): void
+ * }} ForceSystem
+ */
+
+/**
+ * @typedef {{
+ *   errors: Float32Array,
+ *   mean: number,
+ *   rms: number,
+ *   median: number,
+ *   p99: number,
+ *   max: number
+ * }} ForceErrorReport
+ */
+
+/**
+ * Per-particle relative force error of system versus reference (typically a GravityDirect
+ * with the same gravityStrength and softening), evaluated at system's current positions.
+ * Particles with zero reference force (massless, or none around) report NaN and are left out of the statistics.
+ *
+ * @param {{
+ *   system: ForceSystem,
+ *   reference: { accumulate(ctx: import('../../particle-system.js').ForceContext): void },
+ *   dt?: number
+ * }} _
+ * @returns {ForceErrorReport}
+ */
+export function relativeForceError({ system, reference, dt }) {
+  const { gl, textureWidth: width, textureHeight: height, particleCount } = system;
+  if (!system.positionMassTexture || !system.velocityColorTexture)
+    throw new Error('relativeForceError: system has no particle textures');
+
+  const forces = accumulateForces(gl, system, width, height, dt);
+  const referenceForces = accumulateForces(gl, reference, width, height, dt, system);
+
+  const errors = new Float32Array(particleCount);
+  /** @type {number[]} */
+  const finite = [];
+  for (let i = 0; i < particleCount; i++) {
+    const dx = forces[i * 4 + 0] - referenceForces[i * 4 + 0];
+    const dy = forces[i * 4 + 1] - referenceForces[i * 4 + 1];
+    const dz = forces[i * 4 + 2] - referenceForces[i * 4 + 2];
+    const refMag = Math.hypot(referenceForces[i * 4 + 0], referenceForces[i * 4 + 1], referenceForces[i * 4 + 2]);
+    errors[i] = refMag > 0 ? Math.hypot(dx, dy, dz) / refMag : NaN;
+    if (Number.isFinite(errors[i])) finite.push(errors[i]);
+  }
+
+  finite.sort((a, b) => a - b);
+  const n = finite.length;
+  let sum = 0, sumSq = 0;
+  for (const e of finite) {
+    sum += e;
+    sumSq += e * e;
+  }
+
+  return {
+    errors,
+    mean: n ? sum / n : NaN,
+    rms: n ? Math.sqrt(sumSq / n) : NaN,
+    median: n ? finite[Math.floor((n - 1) / 2)] : NaN,
+    p99: n ? finite[Math.min(n - 1, Math.ceil(0.99 * n) - 1)] : NaN,
+    max: n ? finite[n - 1] : NaN
+  };
+}
+
+/**
+ * Run one module's accumulate() into a cleared scratch force target and read it back
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ accumulate(ctx: import('../../particle-system.js').ForceContext): void }} module
+ * @param {number} width
+ * @param {number} height
+ * @param {number | undefined} dt
+ * @param {ForceSystem} [source] - system providing the positions (module itself when omitted)
+ */
+function accumulateForces(gl, module, width, height, dt, source) {
+  const particles = source || /** @type {ForceSystem} */ (module);
+
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  const framebuffer = gl.createFramebuffer();
+  if (!framebuffer) throw new Error('Failed to create framebuffer');
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+  gl.viewport(0, 0, width, height);
+  gl.clearColor(0, 0, 0, 0);
+  gl.clear(gl.COLOR_BUFFER_BIT);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  module.accumulate({
+    positionTexture: /** @type {WebGLTexture} */ (particles.positionMassTexture),
+    velocityTexture: /** @type {WebGLTexture} */ (particles.velocityColorTexture),
+    targetForceTexture: texture,
+    targetForceFramebuffer: framebuffer,
+    dt: dt !== undefined ? dt : 1 / 60
+  });
+
+  const pixels = new Float32Array(width * height * 4);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+  gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, pixels);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  gl.deleteFramebuffer(framebuffer);
+  gl.deleteTexture(texture);
+
+  return pixels;
+}
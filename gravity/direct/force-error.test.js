@@ -0,0 +1,84 @@
+// @ts-check
+
+/**
+ * relativeForceError: per-particle force accuracy against direct summation
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityMonopole } from '../multipole/gravity-monopole.js';
+import { GravityDirect } from './gravity-direct.js';
+import { relativeForceError } from './force-error.js';
+
+const width = 8;
+const height = 8;
+const G = 0.01;
+const softening = 0.05;
+
+/**
+ * Deterministic random cloud in [-2, 2]³ uploaded into a system's textures
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ positionMassTexture?: WebGLTexture | null, velocityColorTexture?: WebGLTexture | null }} system
+ */
+function uploadCloud(gl, system) {
+  const positions = new Float32Array(width * height * 4);
+  let seed = 11;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < width * height; i++) {
+    positions[i * 4 + 0] = random() * 4 - 2;
+    positions[i * 4 + 1] = random() * 4 - 2;
+    positions[i * 4 + 2] = random() * 4 - 2;
+    positions[i * 4 + 3] = 0.5 + random();
+  }
+
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+test('relativeForceError: direct against itself is exact', async () => {
+  const gl = getGL();
+
+  const system = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadCloud(gl, system);
+
+  const report = relativeForceError({ system, reference });
+
+  assert.strictEqual(report.errors.length, width * height, 'One error per particle');
+  assert.ok(report.max < 1e-5, `Identical methods should agree, max error ${report.max}`);
+
+  system.dispose();
+  reference.dispose();
+  resetGL();
+});
+
+test('relativeForceError: monopole tree error is small and finite', async () => {
+  const gl = getGL();
+
+  const system = new GravityMonopole({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+    theta: 0.3,
+    gravityStrength: G,
+    softening
+  });
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadCloud(gl, system);
+
+  const report = relativeForceError({ system, reference });
+
+  for (const e of report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}`);
+  assert.ok(report.median <= report.p99 && report.p99 <= report.max, 'Percentiles are ordered');
+  assert.ok(report.median < 0.1, `Median relative error ${report.median.toExponential(3)} at theta 0.3`);
+
+  system.dispose();
+  reference.dispose();
+  resetGL();
+});
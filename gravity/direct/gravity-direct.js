@@ -0,0 +1,377 @@
+// @ts-check
+
+/**
+ * GravityDirect - Exact O(N²) direct-summation particle system
+ *
+ * Reference method for the approximate ones: every pair is summed by KDirectForce
+ * with the same softening kernel as the tree traversals, no octree or grid involved.
+ * Shares the integrators, boundary and walls of the tree methods.
+ * Practical up to tens of thousands of particles.
+ */
+
+import { KForceAccumulate } from '../k-force-accumulate.js';
+import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
+import { KIntegratePosition } from '../multipole/k-integrate-position.js';
+import { KIntegrateVelocity } from '../multipole/k-integrate-velocity.js';
+import { integratorStages, resolveIntegrator } from '../multipole/integrator-stages.js';
+import { hasWalls, resolveWalls } from '../walls.js';
+import { KDirectForce } from './k-direct-force.js';
+
+export class GravityDirect {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   textureWidth: number,
+   *   textureHeight: number,
+   *   particleCount?: number,
+   *   positionMassTexture?: WebGLTexture,
+   *   velocityColorTexture?: WebGLTexture,
+   *   worldBounds?: { min: [number,number,number], max: [number,number,number] },
+   *   dt?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'yoshida4',
+   *   boundary?: 'open' | 'periodic',
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
+   *   pairsPerDraw?: number,
+   *   potential?: boolean
+   * }} options
+   */
+  constructor({
+    gl,
+    textureWidth,
+    textureHeight,
+    particleCount,
+    positionMassTexture,
+    velocityColorTexture,
+    worldBounds,
+    dt,
+    gravityStrength,
+    softening,
+    damping,
+    maxSpeed,
+    maxAccel,
+    integrator,
+    boundary,
+    walls,
+    restitution,
+    pairsPerDraw,
+    potential
+  }) {
+    this.gl = gl;
+
+    if (!(this.gl instanceof WebGL2RenderingContext)) {
+      throw new Error('GravityDirect requires WebGL2RenderingContext');
+    }
+
+    if (!textureWidth || !textureHeight)
+      throw new Error('GravityDirect requires textureWidth and textureHeight');
+
+    this.positionMassTexture = positionMassTexture;
+    this.velocityColorTexture = velocityColorTexture;
+
+    this.textureWidth = textureWidth;
+    this.textureHeight = textureHeight;
+    this.actualTextureSize = textureWidth * textureHeight;
+
+    // Validate or derive particleCount
+    this.particleCount = particleCount !== undefined ? particleCount : this.actualTextureSize;
+    if (this.particleCount > this.actualTextureSize)
+      throw new Error(`particleCount ${this.particleCount} exceeds texture capacity ${this.actualTextureSize}`);
+
+    // Direct summation needs no bounds; they only matter for periodic images and walls
+    this.worldBounds = worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    this.dt = dt !== undefined ? dt : 1 / 60;
+    this.gravityStrength = gravityStrength !== undefined ? gravityStrength : 0.0003;
+    this.softening = softening !== undefined ? softening : 0.2;
+    this.damping = damping !== undefined ? damping : 0.0;
+    this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
+    this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
+    this.integrator = resolveIntegrator(integrator);
+
+    // 'periodic' treats worldBounds as a fixed box: minimum-image forces, wrapped positions
+    this.boundary = boundary || 'open';
+    if (this.boundary !== 'open' && this.boundary !== 'periodic')
+      throw new Error(`Unknown boundary '${this.boundary}'`);
+
+    // Per-axis walls at worldBounds (reflect/absorb/wrap)
+    this.walls = resolveWalls(walls, this.boundary);
+    this.restitution = restitution !== undefined ? restitution : 1.0;
+
+    // Per-particle potential in the w channel of the force texture
+    this.potential = potential || false;
+
+    this.frameCount = 0;
+
+    const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
+    if (!colorBufferFloat)
+      throw new Error('EXT_color_buffer_float extension not supported');
+
+    // Without float blending the source ranges are summed by read-modify-write
+    const floatBlend = this.gl.getExtension('EXT_float_blend');
+    this.disableFloatBlend = !floatBlend;
+
+    this.forceKernel = new KDirectForce({
+      gl: this.gl,
+      inPosition: null,  // set per-frame
+      // outForce omitted - kernel will create it
+      width: this.textureWidth,
+      height: this.textureHeight,
+      particleCount: this.particleCount,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      pairsPerDraw,
+      disableFloatBlend: this.disableFloatBlend,
+      boundary: this.boundary,
+      worldBounds: this.worldBounds,
+      potential: this.potential
+    });
+
+    // The Euler kernel owns the position/velocity ping-pong textures
+    this.integrateEulerKernel = new KIntegrateEuler({
+      gl: this.gl,
+      inPosition: this.positionMassTexture,
+      inVelocity: this.velocityColorTexture,
+      inForce: null,  // wired from forceKernel
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel,
+      walls: this.walls,
+      restitution: this.restitution,
+      worldBounds: this.worldBounds
+    });
+
+    this.positionMassTexture = this.integrateEulerKernel.inPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
+
+    // Adds direct forces into an external target when used as a ParticleSystem force module
+    this.forceAccumulateKernel = new KForceAccumulate({
+      gl: this.gl,
+      inForce: null,  // wired from forceKernel
+      outForce: null,  // wired from accumulate() context
+      width: this.textureWidth,
+      height: this.textureHeight,
+      disableFloatBlend: this.disableFloatBlend
+    });
+
+    // Split kick/drift kernels for symplectic integrators. They borrow the
+    // ping-pong textures owned by integrateEulerKernel, wired per pass.
+    /** @type {KIntegrateVelocity | null} */
+    this.kickKernel = null;
+    /** @type {KIntegratePosition | null} */
+    this.driftKernel = null;
+    if (this.integrator !== 'euler') {
+      this.kickKernel = new KIntegrateVelocity({
+        gl: this.gl,
+        inVelocity: null,
+        inForce: null,
+        inPosition: null,
+        outVelocity: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        damping: 0.0,
+        maxSpeed: this.maxSpeed,
+        maxAccel: this.maxAccel
+      });
+      this.driftKernel = new KIntegratePosition({
+        gl: this.gl,
+        inPosition: null,
+        inVelocity: null,
+        outPosition: null,
+        outVelocity: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        walls: this.walls,
+        restitution: this.restitution,
+        worldBounds: this.worldBounds
+      });
+    }
+
+    // Position texture the current forces were computed from
+    /** @type {WebGLTexture | null | undefined} */
+    this._forcePosition = null;
+  }
+
+  /**
+   * Step the simulation forward one frame
+   */
+  step() {
+    if (this.integrator === 'euler') {
+      this._calculateForces();
+      this._integratePhysics();
+    } else {
+      this._integrateSymplectic();
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * Sum source ranges by ping-pong and add into the shared target by read-modify-write:
+   * no pass blends. ParticleSystem calls this when the context lacks EXT_float_blend.
+   */
+  useBlendFallback() {
+    this.disableFloatBlend = true;
+    this.forceKernel.disableFloatBlend = true;
+    this.forceAccumulateKernel.disableFloatBlend = true;
+  }
+
+  /**
+   * Accumulate direct-summation forces into an external force target (ParticleSystem force module).
+   * Forces come from ctx.positionTexture; the system's own integrator is not run.
+   * @param {import('../../particle-system.js').ForceContext} ctx
+   */
+  accumulate(ctx) {
+    const ownPosition = this.positionMassTexture;
+    this.positionMassTexture = ctx.positionTexture;
+
+    this._calculateForces();
+
+    this.forceAccumulateKernel.inForce = this.forceKernel.outForce;
+    this.forceAccumulateKernel.outForce = ctx.targetForceTexture;
+    this.forceAccumulateKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+    this.forceAccumulateKernel.run();
+
+    // Release borrowed textures so dispose() does not delete them
+    this.positionMassTexture = ownPosition;
+    this._forcePosition = null;  // forces now belong to ctx positions
+    this.forceKernel.inPosition = null;
+    this.forceAccumulateKernel.inForce = null;
+    this.forceAccumulateKernel.outForce = null;
+    this.forceAccumulateKernel.outForceFramebuffer = null;
+
+    this.frameCount++;
+  }
+
+  /**
+   * Force texture of the last force evaluation, with the potential φ per unit mass in w
+   * (φ·mass is the particle's potential energy); null unless created with potential
+   * @returns {WebGLTexture | null}
+   */
+  get potentialTexture() {
+    return this.potential ? (this.forceKernel.outForce || null) : null;
+  }
+
+  _calculateForces() {
+    this.forceKernel.inPosition = this.positionMassTexture;
+    this.forceKernel.run();
+
+    this.integrateEulerKernel.inForce = this.forceKernel.outForce;
+    this._forcePosition = this.positionMassTexture;
+  }
+
+  _integratePhysics() {
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.run();
+
+    // swap and leave updated textures in system properties
+    this.positionMassTexture = this.integrateEulerKernel.outPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.outVelocity;
+
+    this.integrateEulerKernel.outPosition = this.integrateEulerKernel.inPosition;
+    this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
+  /**
+   * Symplectic step: leapfrog KDK sub-steps weighted by integratorStages().
+   * Forces left by the previous step are reused while the position texture is unchanged.
+   */
+  _integrateSymplectic() {
+    const stages = integratorStages(/** @type {'leapfrog-kdk' | 'yoshida4'} */(this.integrator));
+
+    if (this._forcePosition !== this.positionMassTexture) this._calculateForces();
+
+    for (let i = 0; i < stages.length; i++) {
+      const h = stages[i] * this.dt;
+      this._kick(h / 2, 0);
+      this._drift(h);
+      this._calculateForces();
+      // Damping once per step, matching the Euler path
+      this._kick(h / 2, i === stages.length - 1 ? this.damping : 0);
+    }
+  }
+
+  /**
+   * Kick: velocity += force·dt into the spare velocity texture, then swap
+   * @param {number} dt
+   * @param {number} damping
+   */
+  _kick(dt, damping) {
+    const kernel = /** @type {KIntegrateVelocity} */ (this.kickKernel);
+    kernel.dt = dt;
+    kernel.damping = damping;
+    kernel.maxSpeed = this.maxSpeed;
+    kernel.maxAccel = this.maxAccel;
+    kernel.inVelocity = this.velocityColorTexture;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.inForce = this.forceKernel.outForce;
+    kernel.outVelocity = this.integrateEulerKernel.outVelocity;
+    kernel.run();
+
+    this.integrateEulerKernel.outVelocity = this.velocityColorTexture;
+    this.velocityColorTexture = kernel.outVelocity;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
+  /**
+   * Drift: position += velocity·dt into the spare position texture, then swap
+   * @param {number} dt
+   */
+  _drift(dt) {
+    const kernel = /** @type {KIntegratePosition} */ (this.driftKernel);
+    kernel.dt = dt;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.inVelocity = this.velocityColorTexture;
+    kernel.outPosition = this.integrateEulerKernel.outPosition;
+    // Walls may reflect or absorb velocities: write them to the spare velocity texture too
+    kernel.outVelocity = hasWalls(this.walls) ? this.integrateEulerKernel.outVelocity : null;
+    kernel.run();
+
+    this.integrateEulerKernel.outPosition = this.positionMassTexture;
+    this.positionMassTexture = kernel.outPosition;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+
+    if (kernel.outVelocity) {
+      this.integrateEulerKernel.outVelocity = this.velocityColorTexture;
+      this.velocityColorTexture = kernel.outVelocity;
+      this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    }
+  }
+
+  dispose() {
+    // The force kernel only borrows positions
+    this.forceKernel.inPosition = null;
+    this.forceKernel.dispose();
+    // Kick/drift kernels only borrow ping-pong textures owned by integrateEulerKernel
+    if (this.kickKernel) {
+      this.kickKernel.inVelocity = null;
+      this.kickKernel.inForce = null;
+      this.kickKernel.inPosition = null;
+      this.kickKernel.outVelocity = null;
+      this.kickKernel.dispose();
+    }
+    if (this.driftKernel) {
+      this.driftKernel.inPosition = null;
+      this.driftKernel.inVelocity = null;
+      this.driftKernel.outPosition = null;
+      this.driftKernel.outVelocity = null;
+      this.driftKernel.dispose();
+    }
+    this.integrateEulerKernel.inForce = null;
+    this.integrateEulerKernel.dispose();
+    this.forceAccumulateKernel.dispose();
+  }
+}
@@ -0,0 +1,421 @@
+// @ts-check
+
+/**
+ * KDirectForce - Exact O(N²) pairwise gravity
+ *
+ * Every particle sums the softened acceleration of every other particle, with the same
+ * Plummer kernel as the tree traversals: a = G·m·r / (|r|² + ε²)^(3/2).
+ * With potential on, the force's w holds the matching φ = -Σ G·m / sqrt(|r|² + ε²).
+ * Targets are drawn in scissored bands and sources summed in ranges [start, end), so no
+ * single draw call carries more than pairsPerDraw interactions and stalls the GPU watchdog.
+ * The first source range overwrites a band, later ranges add into it (additive blend).
+ * With disableFloatBlend (no EXT_float_blend) later ranges instead read the band's sum so
+ * far and write sum + range, ping-ponging between outForce and a scratch texture.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+export class KDirectForce {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   particleCount?: number,
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   potential?: boolean,
+   *   pairsPerDraw?: number,
+   *   disableFloatBlend?: boolean,
+   *   boundary?: 'open' | 'periodic',
+   *   worldBounds?: { min: [number,number,number], max: [number,number,number] }
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.outForce = (options.outForce || options.outForce === null)
+      ? options.outForce
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+
+    // Texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+    this.particleCount = options.particleCount !== undefined ? options.particleCount : this.width * this.height;
+
+    // Physics parameters
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+
+    // Per-particle potential φ in outForce.w (0 when off)
+    this.potential = options.potential || false;
+
+    // Upper bound on pair interactions per draw call; sets the target band and source range sizes
+    this.pairsPerDraw = options.pairsPerDraw !== undefined ? options.pairsPerDraw : (1 << 24);
+
+    // Sum source ranges by read-modify-write instead of blending into the float target
+    this.disableFloatBlend = options.disableFloatBlend || false;
+
+    // 'periodic' applies minimum-image separations across worldBounds
+    this.boundary = options.boundary || 'open';
+    this.worldBounds = options.worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    // Compile and link shader program (inline, like KPyramidBuild)
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, directForceFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_positions: this.gl.getUniformLocation(this.program, 'u_positions'),
+      u_texWidth: this.gl.getUniformLocation(this.program, 'u_texWidth'),
+      u_particleCount: this.gl.getUniformLocation(this.program, 'u_particleCount'),
+      u_sourceStart: this.gl.getUniformLocation(this.program, 'u_sourceStart'),
+      u_sourceEnd: this.gl.getUniformLocation(this.program, 'u_sourceEnd'),
+      u_partial: this.gl.getUniformLocation(this.program, 'u_partial'),
+      u_addPartial: this.gl.getUniformLocation(this.program, 'u_addPartial'),
+      u_G: this.gl.getUniformLocation(this.program, 'u_G'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening'),
+      u_potential: this.gl.getUniformLocation(this.program, 'u_potential'),
+      u_periodic: this.gl.getUniformLocation(this.program, 'u_periodic'),
+      u_worldMin: this.gl.getUniformLocation(this.program, 'u_worldMin'),
+      u_worldMax: this.gl.getUniformLocation(this.program, 'u_worldMax')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
+
+    // Ping-pong partner of outForce for the blend-free range sum, created on first need
+    /** @type {WebGLTexture | null} */
+    this.scratchForce = null;
+    /** @type {WebGLFramebuffer | null} */
+    this.scratchFramebuffer = null;
+  }
+
+  /**
+   * Sources summed per draw call: all of them while one target row fits in pairsPerDraw
+   */
+  get sourceTile() {
+    return Math.max(1, Math.min(this.particleCount, Math.floor(this.pairsPerDraw / Math.max(1, this.width))));
+  }
+
+  /**
+   * Target columns per draw call: the full row unless a single source range fills pairsPerDraw
+   */
+  get bandColumns() {
+    return Math.max(1, Math.min(this.width, Math.floor(this.pairsPerDraw / this.sourceTile)));
+  }
+
+  /**
+   * Rows of targets per draw call: each full target row costs width × sourceTile pairs
+   */
+  get bandRows() {
+    if (this.bandColumns < this.width) return 1;
+    const pairsPerRow = Math.max(1, this.width * this.sourceTile);
+    return Math.max(1, Math.min(this.height, Math.floor(this.pairsPerDraw / pairsPerRow)));
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.width,
+        height: this.height, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.width,
+        height: this.height, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', this.potential ? 'potential' : 'unused'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      particleCount: this.particleCount,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      potential: this.potential,
+      bandRows: this.bandRows,
+      bandColumns: this.bandColumns,
+      sourceTile: this.sourceTile,
+      disableFloatBlend: this.disableFloatBlend,
+      boundary: this.boundary,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KDirectForce(${this.particleCount} particles, ${this.width}×${this.height}) G=${formatNumber(this.gravityStrength)} soft=${formatNumber(this.softening)}${this.potential ? ' potential' : ''} band=${value.bandColumns}×${value.bandRows} sourceTile=${value.sourceTile}${this.disableFloatBlend ? ' no-blend' : ''} boundary=${this.boundary} #${this.renderCount}
+
+position: ${value.position}
+
+→ force: ${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.outForce) {
+      throw new Error('KDirectForce: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    // Ensure framebuffer attachments match our output
+    if (!this._fboShadow || this._fboShadow.a0 !== this.outForce) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { a0: this.outForce };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_positions) gl.uniform1i(this.uniforms.u_positions, 0);
+
+    if (this.uniforms.u_texWidth) gl.uniform1i(this.uniforms.u_texWidth, this.width);
+    if (this.uniforms.u_particleCount) gl.uniform1i(this.uniforms.u_particleCount, this.particleCount);
+    if (this.uniforms.u_G) gl.uniform1f(this.uniforms.u_G, this.gravityStrength);
+    if (this.uniforms.u_softening) gl.uniform1f(this.uniforms.u_softening, this.softening);
+    if (this.uniforms.u_potential) gl.uniform1i(this.uniforms.u_potential, this.potential ? 1 : 0);
+    if (this.uniforms.u_periodic) gl.uniform1i(this.uniforms.u_periodic, this.boundary === 'periodic' ? 1 : 0);
+    if (this.uniforms.u_worldMin) gl.uniform3f(this.uniforms.u_worldMin,
+      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    if (this.uniforms.u_worldMax) gl.uniform3f(this.uniforms.u_worldMax,
+      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+
+    const bandRows = this.bandRows;
+    const bandColumns = this.bandColumns;
+    const sourceTile = this.sourceTile;
+    const ranges = Math.ceil(this.particleCount / sourceTile);
+    const pingPong = this.disableFloatBlend && ranges > 1;
+    if (pingPong) this._ensureScratch();
+
+    // Unit 1 holds the band's partial sum; a texture that is never drawn into otherwise
+    if (this.uniforms.u_partial) gl.uniform1i(this.uniforms.u_partial, 1);
+    if (this.uniforms.u_addPartial) gl.uniform1i(this.uniforms.u_addPartial, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+
+    // One scissored draw per target band and source range; later ranges add into the band
+    gl.bindVertexArray(this.quadVAO);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.blendEquation(gl.FUNC_ADD);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    for (let y = 0; y < this.height; y += bandRows) {
+      for (let x = 0; x < this.width; x += bandColumns) {
+        gl.scissor(x, y, Math.min(bandColumns, this.width - x), Math.min(bandRows, this.height - y));
+        for (let range = 0; range < ranges; range++) {
+          const start = range * sourceTile;
+          if (pingPong) {
+            // Count back from the last range, which must land in outForce
+            const intoOut = (ranges - 1 - range) % 2 === 0;
+            gl.bindFramebuffer(gl.FRAMEBUFFER, intoOut ? this.outFramebuffer : this.scratchFramebuffer);
+            gl.bindTexture(gl.TEXTURE_2D, range === 0 ? this.inPosition : intoOut ? this.scratchForce : this.outForce);
+            if (this.uniforms.u_addPartial) gl.uniform1i(this.uniforms.u_addPartial, range > 0 ? 1 : 0);
+          } else if (range === 0) gl.disable(gl.BLEND);
+          else gl.enable(gl.BLEND);
+          if (this.uniforms.u_sourceStart) gl.uniform1i(this.uniforms.u_sourceStart, start);
+          if (this.uniforms.u_sourceEnd) gl.uniform1i(this.uniforms.u_sourceEnd, Math.min(this.particleCount, start + sourceTile));
+          gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        }
+        // No sources at all: still clear the band
+        if (this.particleCount <= 0) gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      }
+    }
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.bindVertexArray(null);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  _ensureScratch() {
+    const gl = this.gl;
+    if (this.scratchForce) return;
+
+    this.scratchForce = createTextureRGBA32F(gl, this.width, this.height);
+    this.scratchFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.scratchFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.scratchForce, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (status !== gl.FRAMEBUFFER_COMPLETE)
+      throw new Error(`KDirectForce: scratch framebuffer incomplete: ${status}`);
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+    if (this.scratchFramebuffer) gl.deleteFramebuffer(this.scratchFramebuffer);
+    if (this.scratchForce) gl.deleteTexture(this.scratchForce);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+
+    this._fboShadow = null;
+    this.scratchForce = null;
+    this.scratchFramebuffer = null;
+  }
+}
+
+const directForceFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_positions;
+uniform int u_texWidth;
+uniform int u_particleCount;
+uniform int u_sourceStart;       // source range [start, end) summed by this draw
+uniform int u_sourceEnd;
+uniform sampler2D u_partial;     // band sum of the earlier ranges (blend-free path)
+uniform bool u_addPartial;
+uniform float u_G;
+uniform float u_softening;
+uniform bool u_potential;        // write φ into w
+uniform bool u_periodic;         // minimum-image separations across the world box
+uniform vec3 u_worldMin;
+uniform vec3 u_worldMax;
+
+out vec4 outForce;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int myIndex = coord.y * u_texWidth + coord.x;
+  if (myIndex >= u_particleCount) {
+    outForce = vec4(0.0);
+    return;
+  }
+
+  vec3 myPos = texelFetch(u_positions, coord, 0).xyz;
+  vec3 extent = u_worldMax - u_worldMin;
+  float eps2 = u_softening * u_softening;
+  vec3 totalForce = vec3(0.0);
+  float potential = 0.0;
+
+  for (int j = u_sourceStart; j < u_sourceEnd; j++) {
+    if (j == myIndex) continue;
+    vec4 other = texelFetch(u_positions, ivec2(j % u_texWidth, j / u_texWidth), 0);
+    float mass = other.w;
+    if (!(mass > 0.0)) continue;
+
+    vec3 r = other.xyz - myPos;
+    if (u_periodic) r -= extent * round(r / extent);
+
+    float distSq = dot(r, r) + eps2;
+    totalForce += u_G * mass * r / (distSq * sqrt(distSq));
+    if (u_potential) potential -= u_G * mass * inversesqrt(distSq);
+  }
+
+  outForce = vec4(totalForce, potential);
+  if (u_addPartial) outForce += texelFetch(u_partial, coord, 0);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
@@ -0,0 +1,282 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KDirectForce } from './k-direct-force.js';
+
+/**
+ * CPU reference: softened pairwise accelerations
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @param {number} G
+ * @param {number} softening
+ */
+function cpuForces(positions, count, G, softening) {
+  const forces = new Float64Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (i === j || !(m > 0)) continue;
+      const dx = positions[j * 4 + 0] - positions[i * 4 + 0];
+      const dy = positions[j * 4 + 1] - positions[i * 4 + 1];
+      const dz = positions[j * 4 + 2] - positions[i * 4 + 2];
+      const d2 = dx * dx + dy * dy + dz * dz + softening * softening;
+      const inv = G * m / (d2 * Math.sqrt(d2));
+      forces[i * 3 + 0] += dx * inv;
+      forces[i * 3 + 1] += dy * inv;
+      forces[i * 3 + 2] += dz * inv;
+    }
+  }
+  return forces;
+}
+
+/**
+ * Test 1: Two bodies attract along their separation with the softened inverse square
+ */
+test('KDirectForce: two-body attraction', async () => {
+  const gl = getGL();
+
+  const width = 2;
+  const height = 1;
+  const posData = new Float32Array([
+    -0.5, 0.0, 0.0, 1.0,
+    0.5, 0.0, 0.0, 3.0
+  ]);
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KDirectForce({
+    gl,
+    inPosition: posTex,
+    width,
+    height,
+    gravityStrength: 1.0,
+    softening: 0.1
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces must be finite');
+
+  const d2 = 1.0 + 0.01;
+  const pull = 1.0 / (d2 * Math.sqrt(d2));
+  assertClose(result[0], 3.0 * pull, 1e-4, `Particle 0 pulled toward the heavier one\n\n${kernel.toString()}`);
+  assertClose(result[4], -1.0 * pull, 1e-4, `Particle 1 pulled back\n\n${kernel.toString()}`);
+  assertClose(result[1], 0.0, 1e-6, 'No transverse force');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Random cloud matches the CPU sum, with draws split into single-row bands
+ */
+test('KDirectForce: matches CPU sum across row bands', async () => {
+  const gl = getGL();
+
+  const width = 8;
+  const height = 8;
+  const count = 60;  // last texels are padding
+  const posData = new Float32Array(width * height * 4);
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < count; i++) {
+    posData[i * 4 + 0] = random() * 4 - 2;
+    posData[i * 4 + 1] = random() * 4 - 2;
+    posData[i * 4 + 2] = random() * 4 - 2;
+    posData[i * 4 + 3] = i === 5 ? 0.0 : 0.5 + random();  // one massless particle
+  }
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KDirectForce({
+    gl,
+    inPosition: posTex,
+    width,
+    height,
+    particleCount: count,
+    gravityStrength: 0.01,
+    softening: 0.05,
+    pairsPerDraw: width * count  // one row of targets per draw
+  });
+  assert.strictEqual(kernel.bandRows, 1, 'One row per band');
+
+  kernel.run();
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces must be finite');
+
+  const expected = cpuForces(posData, count, 0.01, 0.05);
+  for (let i = 0; i < count; i++) {
+    for (let k = 0; k < 3; k++) {
+      const want = expected[i * 3 + k];
+      assertClose(result[i * 4 + k], want, 1e-4 * Math.max(1, Math.abs(want)), `Particle ${i} axis ${k}`);
+    }
+  }
+  for (let i = count; i < width * height; i++) {
+    assert.strictEqual(result[i * 4 + 0], 0, `Padding texel ${i} has no force`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 3: Periodic boundary pulls through the nearest image
+ */
+test('KDirectForce: periodic minimum image', async () => {
+  const gl = getGL();
+
+  const width = 2;
+  const height = 1;
+  // 3.6 apart inside a 4-wide box: the nearest image is 0.4 away through the x faces
+  const posData = new Float32Array([
+    -1.8, 0.0, 0.0, 1.0,
+    1.8, 0.0, 0.0, 1.0
+  ]);
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KDirectForce({
+    gl,
+    inPosition: posTex,
+    width,
+    height,
+    gravityStrength: 1.0,
+    softening: 0.1,
+    boundary: 'periodic',
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  const d2 = 0.16 + 0.01;
+  const pull = 0.4 / (d2 * Math.sqrt(d2));
+  assertClose(result[0], -pull, 1e-3, `Particle 0 pulled through the -x face\n\n${kernel.toString()}`);
+  assertClose(result[4], pull, 1e-3, `Particle 1 pulled through the +x face\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 4: Potential in w: φ_i = -Σ G·m_j / sqrt(r² + ε²), zero when off
+ */
+test('KDirectForce: potential in w', async () => {
+  const gl = getGL();
+
+  const width = 4;
+  const height = 1;
+  const posData = new Float32Array([
+    -0.5, 0.0, 0.0, 1.0,
+    0.5, 0.0, 0.0, 3.0,
+    0.0, 0.8, 0.0, 2.0,
+    0.0, 0.0, 0.0, 0.0  // massless: feels the others, adds nothing
+  ]);
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KDirectForce({
+    gl,
+    inPosition: posTex,
+    width,
+    height,
+    gravityStrength: 0.5,
+    softening: 0.1,
+    potential: true
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  for (let i = 0; i < 4; i++) {
+    let expected = 0;
+    for (let j = 0; j < 4; j++) {
+      if (i === j) continue;
+      const dx = posData[j * 4] - posData[i * 4];
+      const dy = posData[j * 4 + 1] - posData[i * 4 + 1];
+      expected -= 0.5 * posData[j * 4 + 3] / Math.sqrt(dx * dx + dy * dy + 0.01);
+    }
+    assertClose(result[i * 4 + 3], expected, 1e-4, `Particle ${i} potential\n\n${kernel.toString()}`);
+  }
+
+  kernel.potential = false;
+  kernel.run();
+  const off = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  for (let i = 0; i < 4; i++) assert.strictEqual(off[i * 4 + 3], 0, `Particle ${i} w is 0 without potential`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 5: pairsPerDraw below one target row: sources are summed in ranges and added up,
+ * by blending or, without float blend, by ping-pong with an odd and an even range count
+ */
+test('KDirectForce: source ranges keep draws within pairsPerDraw', async () => {
+  const gl = getGL();
+
+  const width = 8;
+  const height = 4;
+  const count = 30;
+  const posData = new Float32Array(width * height * 4);
+  let seed = 11;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < count; i++) {
+    posData[i * 4 + 0] = random() * 4 - 2;
+    posData[i * 4 + 1] = random() * 4 - 2;
+    posData[i * 4 + 2] = random() * 4 - 2;
+    posData[i * 4 + 3] = 0.5 + random();
+  }
+  const posTex = createTestTexture(gl, width, height, posData);
+  const expected = cpuForces(posData, count, 0.01, 0.05);
+
+  for (const [pairsPerDraw, disableFloatBlend] of /** @type {const} */ ([[20, false], [20, true], [24, true]])) {
+    const label = `pairsPerDraw=${pairsPerDraw}${disableFloatBlend ? ' no-blend' : ''}`;
+    const kernel = new KDirectForce({
+      gl,
+      inPosition: posTex,
+      width,
+      height,
+      particleCount: count,
+      gravityStrength: 0.01,
+      softening: 0.05,
+      potential: true,
+      pairsPerDraw,
+      disableFloatBlend
+    });
+    assert.ok(kernel.sourceTile < count, `${label}: sources split into ranges (sourceTile=${kernel.sourceTile})`);
+    assert.ok(kernel.bandColumns * kernel.bandRows * kernel.sourceTile <= pairsPerDraw,
+      `${label}: draw within budget\n\n${kernel.toString()}`);
+
+    kernel.run();
+
+    const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+    assertAllFinite(result, 'Forces must be finite');
+
+    for (let i = 0; i < count; i++) {
+      for (let k = 0; k < 3; k++) {
+        const want = expected[i * 3 + k];
+        assertClose(result[i * 4 + k], want, 1e-4 * Math.max(1, Math.abs(want)), `${label}: particle ${i} axis ${k}`);
+      }
+      let potential = 0;
+      for (let j = 0; j < count; j++) {
+        if (i === j) continue;
+        const dx = posData[j * 4] - posData[i * 4];
+        const dy = posData[j * 4 + 1] - posData[i * 4 + 1];
+        const dz = posData[j * 4 + 2] - posData[i * 4 + 2];
+        potential -= 0.01 * posData[j * 4 + 3] / Math.sqrt(dx * dx + dy * dy + dz * dz + 0.05 * 0.05);
+      }
+      assertClose(result[i * 4 + 3], potential, 1e-4 * Math.max(1, Math.abs(potential)), `${label}: particle ${i} potential`);
+    }
+    for (let i = count; i < width * height; i++) {
+      assert.strictEqual(result[i * 4 + 0], 0, `${label}: padding texel ${i} has no force`);
+    }
+
+    kernel.inPosition = null;
+    disposeKernel(kernel);
+  }
+
+  gl.deleteTexture(posTex);
+  resetGL();
+});
@@ -0,0 +1,285 @@
+// @ts-check
+
+/**
+ * GravitySystem - uniform facade over the kernel gravity systems
+ *
+ * Wraps GravityMonopole, GravityQuadrupole, GravityMesh, GravitySpectral or GravityDirect and exposes
+ * the documented particleSystem() surface: compute(), getPositionTexture(), getColorTexture(),
+ * getPotentialTexture(), getTextureSize(), getCurrentIndex(), unload(), diagnostics(), stats() and dispose().
+ *
+ * Texture and sizing fields of the underlying system are forwarded, so code that drives
+ * the raw system (step(), positionMassTexture, textureWidth...) keeps working.
+ */
+
+import { readTextureRgba } from '../particle-system.js';
+import { KDiagnosticsReduce } from './k-diagnostics-reduce.js';
+import { GPUProfiler } from './monolithic/utils/gpu-profiler.js';
+
+/**
+ * @typedef {import('./multipole/gravity-monopole.js').GravityMonopole
+ *   | import('./multipole/gravity-quadrupole.js').GravityQuadrupole
+ *   | import('./mesh/gravity-mesh.js').GravityMesh
+ *   | import('./spectral/gravity-spectral.js').GravitySpectral
+ *   | import('./direct/gravity-direct.js').GravityDirect} GravityKernelSystem
+ */
+
+/**
+ * @typedef {{
+ *   index: number,
+ *   x: number, y: number, z: number,
+ *   vx: number, vy: number, vz: number,
+ *   mass: number
+ * }} UnloadedParticle
+ */
+
+export class GravitySystem {
+  /**
+   * @param {{
+   *   system: GravityKernelSystem,
+   *   method: 'quadrupole' | 'monopole' | 'spectral' | 'mesh' | 'direct',
+   *   colors?: Uint8Array,
+   *   enableProfiling?: boolean
+   * }} options
+   */
+  constructor({ system, method, colors, enableProfiling }) {
+    this.system = system;
+    this.method = method;
+
+    // Ping-pong parity: every step swaps position/velocity textures
+    this.currentIndex = 0;
+
+    /** @type {GPUProfiler | null} */
+    this.profiler = enableProfiling ? new GPUProfiler(this.gl) : null;
+
+    this.colorTexture = createColorTexture(this.gl, this.textureWidth, this.textureHeight, colors);
+
+    // Conserved-quantity reduction, wired to the system's textures per call
+    this.diagnosticsKernel = new KDiagnosticsReduce({
+      gl: this.gl,
+      inPosition: null,
+      inVelocity: null,
+      particleTextureWidth: this.textureWidth,
+      particleTextureHeight: this.textureHeight,
+      particleCount: this.particleCount
+    });
+  }
+
+  get gl() { return this.system.gl; }
+  get positionMassTexture() { return this.system.positionMassTexture; }
+  get velocityColorTexture() { return this.system.velocityColorTexture; }
+  get textureWidth() { return this.system.textureWidth; }
+  get textureHeight() { return this.system.textureHeight; }
+  get worldBounds() { return this.system.worldBounds; }
+  get frameCount() { return this.system.frameCount; }
+
+  /** Scale factor a of a cosmological 'mesh' or 'spectral' run, 1 otherwise */
+  get scaleFactor() { return 'scaleFactor' in this.system ? this.system.scaleFactor : 1; }
+
+  get particleCount() { return this.system.particleCount; }
+  set particleCount(value) { this.system.particleCount = value; }
+
+  /**
+   * Step simulation forward one frame
+   */
+  compute() {
+    if (this.profiler) {
+      this.profiler.update();
+      this.profiler.begin('compute');
+    }
+
+    this.system.step();
+    this.currentIndex = 1 - this.currentIndex;
+
+    if (this.profiler) this.profiler.end();
+  }
+
+  /**
+   * Alias of compute() matching the raw kernel systems
+   */
+  step() {
+    this.compute();
+  }
+
+  /**
+   * Accumulate this system's gravity into an external force target (ParticleSystem force module)
+   * @param {import('../particle-system.js').ForceContext} ctx
+   */
+  accumulate(ctx) {
+    this.system.accumulate(ctx);
+  }
+
+  /**
+   * Current positions: xyz position, w mass (RGBA32F)
+   */
+  getPositionTexture() {
+    return this.system.positionMassTexture;
+  }
+
+  /**
+   * Last force evaluation with the per-particle potential φ in w (RGBA32F, xyz force);
+   * null unless the system was created with potential
+   * @returns {WebGLTexture | null}
+   */
+  getPotentialTexture() {
+    return this.system.potentialTexture;
+  }
+
+  /**
+   * Particle colors (RGBA8), uploaded once from the particles' rgb
+   */
+  getColorTexture() {
+    return this.colorTexture;
+  }
+
+  /**
+   * @returns {{ width: number, height: number }}
+   */
+  getTextureSize() {
+    return { width: this.system.textureWidth, height: this.system.textureHeight };
+  }
+
+  /**
+   * Index of the ping-pong buffer currently holding positions (0 or 1)
+   */
+  getCurrentIndex() {
+    return this.currentIndex;
+  }
+
+  /**
+   * Read GPU state back into the caller's particle objects.
+   * Without a set mapper, x/y/z, vx/vy/vz and mass are assigned onto each particle.
+   *
+   * @template T
+   * @param {T[]} particles
+   * @param {(particle: T, data: UnloadedParticle) => void} [set]
+   * @returns {T[]}
+   */
+  unload(particles, set) {
+    const gl = this.gl;
+    const count = Math.min(particles.length, this.system.particleCount);
+    if (!count) return particles;
+
+    const targets = particles.length === count ? particles : particles.slice(0, count);
+    const positions = new Float32Array(count * 4);
+    const velocities = new Float32Array(count * 4);
+
+    readTextureRgba({
+      gl, particles: targets, texture: this.system.positionMassTexture,
+      textureWidth: this.system.textureWidth, textureHeight: this.system.textureHeight,
+      set: (_particle, data) => {
+        const base = data.index * 4;
+        positions[base + 0] = data.x;
+        positions[base + 1] = data.y;
+        positions[base + 2] = data.z;
+        positions[base + 3] = data.w;
+      }
+    });
+    readTextureRgba({
+      gl, particles: targets, texture: this.system.velocityColorTexture,
+      textureWidth: this.system.textureWidth, textureHeight: this.system.textureHeight,
+      set: (_particle, data) => {
+        const base = data.index * 4;
+        velocities[base + 0] = data.x;
+        velocities[base + 1] = data.y;
+        velocities[base + 2] = data.z;
+      }
+    });
+
+    /** @type {UnloadedParticle} */
+    const dummy = {
+      index: 0,
+      x: 0, y: 0, z: 0,
+      vx: 0, vy: 0, vz: 0,
+      mass: 0
+    };
+
+    for (let i = 0; i < count; i++) {
+      const base = i * 4;
+      dummy.index = i;
+      dummy.x = positions[base + 0];
+      dummy.y = positions[base + 1];
+      dummy.z = positions[base + 2];
+      dummy.mass = positions[base + 3];
+      dummy.vx = velocities[base + 0];
+      dummy.vy = velocities[base + 1];
+      dummy.vz = velocities[base + 2];
+
+      if (typeof set === 'function') {
+        set(particles[i], dummy);
+      } else {
+        const particle = /** @type {any} */ (particles[i]);
+        particle.x = dummy.x;
+        particle.y = dummy.y;
+        particle.z = dummy.z;
+        particle.vx = dummy.vx;
+        particle.vy = dummy.vy;
+        particle.vz = dummy.vz;
+        particle.mass = dummy.mass;
+      }
+    }
+
+    return particles;
+  }
+
+  /**
+   * Total mass, centre of mass, momentum, angular momentum (about the origin), kinetic and
+   * potential energy of the current state, reduced on the GPU and read back asynchronously.
+   * The potential energy is ½·Σ mass·φ from the last force evaluation, 0 unless the system
+   * was created with potential.
+   * @returns {Promise<import('./k-diagnostics-reduce.js').Diagnostics>}
+   */
+  diagnostics() {
+    const kernel = this.diagnosticsKernel;
+    kernel.inPosition = this.system.positionMassTexture || null;
+    kernel.inVelocity = this.system.velocityColorTexture || null;
+    kernel.inForce = this.system.potentialTexture;
+    kernel.particleCount = this.system.particleCount;
+    kernel.run();
+
+    // Release borrowed textures so dispose() does not delete them
+    kernel.inPosition = null;
+    kernel.inVelocity = null;
+    kernel.inForce = null;
+
+    return kernel.readAsync();
+  }
+
+  /**
+   * GPU timing stats, averaged per pass in milliseconds
+   * @returns {Record<string, number> | null} null unless created with enableProfiling
+   */
+  stats() {
+    if (!this.profiler || !this.profiler.enabled) return null;
+    return this.profiler.getAll();
+  }
+
+  dispose() {
+    if (this.profiler) this.profiler.dispose();
+    if (this.colorTexture) this.gl.deleteTexture(this.colorTexture);
+    this.colorTexture = null;
+    this.diagnosticsKernel.dispose();
+    this.system.dispose();
+  }
+}
+
+/**
+ * Helper: Create a RGBA8 color texture, white where no colors are provided
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array} [colors]
+ */
+function createColorTexture(gl, width, height, colors) {
+  const data = colors || new Uint8Array(width * height * 4).fill(255);
+
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create color texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
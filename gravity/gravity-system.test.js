@@ -0,0 +1,148 @@
+// @ts-check
+
+/**
+ * Tests for the GravitySystem facade returned by particleSystem():
+ * documented surface is uniform across all four methods.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { particleSystem } from './gravity.js';
+import { assertClose, getGL, readTexture, resetGL } from './test-utils.js';
+
+const methods = /** @type {const} */ (['monopole', 'quadrupole', 'mesh', 'spectral']);
+
+/**
+ * @returns {{ x: number, y: number, z: number, vx: number, vy: number, vz: number, mass: number, rgb: number }[]}
+ */
+function createParticles() {
+  return [
+    { x: -0.5, y: 0, z: 0, vx: 0, vy: 0.1, vz: 0, mass: 1, rgb: 0xff0000 },
+    { x: 0.5, y: 0, z: 0, vx: 0, vy: -0.1, vz: 0, mass: 1, rgb: 0x00ff00 },
+    { x: 0, y: 0.5, z: 0, vx: 0.1, vy: 0, vz: 0, mass: 0.5, rgb: 0x0000ff }
+  ];
+}
+
+for (const method of methods) {
+  test(`GravitySystem(${method}): documented API surface`, async () => {
+    const gl = getGL();
+    const particles = createParticles();
+
+    const physics = particleSystem({
+      gl,
+      particles,
+      method,
+      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+    });
+
+    const size = physics.getTextureSize();
+    assert.strictEqual(size.width * size.height >= particles.length, true, 'texture holds all particles');
+    assert.ok(physics.getPositionTexture(), 'position texture');
+    assert.ok(physics.getColorTexture(), 'color texture');
+    assert.strictEqual(physics.stats(), null, 'stats null without profiling');
+
+    assert.strictEqual(physics.getCurrentIndex(), 0);
+    physics.compute();
+    assert.strictEqual(physics.getCurrentIndex(), 1, 'ping-pong index flips per compute');
+    assert.strictEqual(physics.getPositionTexture(), physics.positionMassTexture, 'position texture tracks swaps');
+
+    // Default unload writes back onto the particle objects
+    const unloaded = createParticles().map(() => ({ x: NaN, y: NaN, z: NaN, vx: NaN, vy: NaN, vz: NaN, mass: NaN }));
+    const result = physics.unload(unloaded);
+    assert.strictEqual(result, unloaded, 'unload returns the same array');
+    for (let i = 0; i < particles.length; i++) {
+      assertClose(unloaded[i].mass, particles[i].mass, 1e-6, `${method} mass[${i}]`);
+      assert.ok(Math.abs(unloaded[i].x - particles[i].x) < 0.1, `${method} x[${i}] near start`);
+      assert.ok(Number.isFinite(unloaded[i].vx), `${method} vx[${i}] finite`);
+    }
+
+    // set mapper receives index and full record
+    /** @type {number[]} */
+    const seen = [];
+    physics.unload(createParticles(), (_particle, data) => { seen.push(data.index); });
+    assert.deepStrictEqual(seen, [0, 1, 2]);
+
+    physics.dispose();
+    resetGL();
+  });
+}
+
+/**
+ * Test: diagnostics() reduces the conserved quantities of the current state
+ */
+test('GravitySystem: diagnostics resolve mass, momentum and energies', async () => {
+  const gl = getGL();
+
+  const physics = particleSystem({
+    gl,
+    particles: createParticles(),
+    method: 'monopole',
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  const result = await physics.diagnostics();
+  const summary = physics.diagnosticsKernel.toString();
+
+  assertClose(result.mass, 2.5, 1e-6, `Total mass\n\n${summary}`);
+  assertClose(result.centerOfMass[0], 0, 1e-6, 'Centre of mass x');
+  assertClose(result.centerOfMass[1], 0.1, 1e-6, 'Centre of mass y');
+  assertClose(result.momentum[0], 0.05, 1e-6, 'Momentum x');
+  assertClose(result.momentum[1], 0, 1e-6, 'Momentum y');
+  assertClose(result.angularMomentum[2], -0.125, 1e-6, 'Angular momentum z');
+  assertClose(result.kineticEnergy, 0.0125, 1e-6, 'Kinetic energy');
+  assert.strictEqual(result.potentialEnergy, 0, 'No potential energy without potential');
+
+  physics.dispose();
+  resetGL();
+});
+
+/**
+ * Test: getPotentialTexture() carries φ per unit mass in w, and diagnostics() its ½·Σ mass·φ.
+ * Direct summation is the reference; the step is too short to move anyone.
+ */
+test('GravitySystem: potential texture matches direct summation', async () => {
+  const gl = getGL();
+  const particles = createParticles().map(p => ({ ...p, vx: 0, vy: 0, vz: 0 }));
+  const softening = 0.1;
+
+  const plain = particleSystem({ gl, particles, method: 'direct', worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] } });
+  plain.compute();
+  assert.strictEqual(plain.getPotentialTexture(), null, 'no potential texture without potential');
+  plain.dispose();
+
+  const physics = particleSystem({
+    gl,
+    particles,
+    method: 'direct',
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+    gravityStrength: 1,
+    softening,
+    dt: 1e-6,
+    potential: true
+  });
+  physics.compute();
+
+  const texture = physics.getPotentialTexture();
+  assert.ok(texture, 'potential texture');
+  const { width, height } = physics.getTextureSize();
+  const pixels = readTexture(gl, texture, width, height);
+
+  let energy = 0;
+  for (let i = 0; i < particles.length; i++) {
+    let phi = 0;
+    for (let j = 0; j < particles.length; j++) {
+      if (j === i) continue;
+      const dx = particles[j].x - particles[i].x, dy = particles[j].y - particles[i].y, dz = particles[j].z - particles[i].z;
+      phi -= particles[j].mass / Math.sqrt(dx * dx + dy * dy + dz * dz + softening * softening);
+    }
+    assertClose(pixels[i * 4 + 3], phi, 1e-4 * Math.abs(phi), `φ[${i}]`);
+    energy += 0.5 * particles[i].mass * phi;
+  }
+
+  const result = await physics.diagnostics();
+  assertClose(result.potentialEnergy, energy, 1e-4 * Math.abs(energy), 'Potential energy ½·Σ mass·φ');
+
+  physics.dispose();
+  resetGL();
+});
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { GravityDirect } from './direct/gravity-direct.js';
+import { GravitySystem } from './gravity-system.js';
 import { GravityMesh } from './mesh/gravity-mesh.js';
 import { GravityMonopole } from './multipole/gravity-monopole.js';
 import { GravityQuadrupole } from './multipole/gravity-quadrupole.js';
@@ -7,14 +9,15 @@ import { GravitySpectral } from './spectral/gravity-spectral.js';
 
 /**
  * Create a kernel-based particle system instance.
- * Loads CPU particle data into GPU textures and returns the underlying system without a legacy wrapper.
+ * Loads CPU particle data into GPU textures and returns a GravitySystem facade over the chosen method.
  *
  * @param {{
  *   gl: WebGL2RenderingContext,
  *   particles: {
  *     x?: number, y?: number, z?: number,
  *     vx?: number, vy?: number, vz?: number,
- *     mass?: number 
+ *     mass?: number,
+ *     rgb?: number
  *    }[],
  *   get?: (spot: any, out: {
  *     index: number,
@@ -23,8 +26,13 @@ import { GravitySpectral } from './spectral/gravity-spectral.js';
  *     mass?: number,
  *     rgb?: number
  *   }) => void,
- *   method?: 'quadrupole' | 'monopole' | 'spectral' | 'mesh',
+ *   method?: 'quadrupole' | 'monopole' | 'spectral' | 'mesh' | 'direct',
  *   theta?: number,
+ *   integrator?: 'euler' | 'leapfrog-kdk' | 'yoshida4',
+ *   timeBins?: { maxBin?: number, eta?: number },
+ *   boundary?: 'open' | 'periodic',
+ *   walls?: import('./walls.js').Walls,
+ *   restitution?: number,
  *   gravityStrength?: number,
  *   dt?: number,
  *   softening?: number,
@@ -32,15 +40,30 @@ import { GravitySpectral } from './spectral/gravity-spectral.js';
  *   maxSpeed?: number,
  *   maxAccel?: number,
  *   worldBounds?: { min: [number, number, number], max: [number, number, number] },
+ *   octree?: { gridSize?: number, slicesPerRow?: number, numLevels?: number },
+ *   nearField?: boolean,
  *   mesh?: {
- *     assignment?: 'ngp' | 'cic',
- *     gridSize?: number,
+ *     assignment?: 'ngp' | 'cic' | 'tsc' | 'pcs',
+ *     gridSize?: number | [number, number, number],
  *     slicesPerRow?: number,
  *     kCut?: number,
  *     splitSigma?: number,
- *     nearFieldRadius?: number
- *   }
+ *     nearFieldRadius?: number,
+ *     isolated?: boolean,
+ *     patches?: boolean | {
+ *       maxPatches?: number,
+ *       gridSize?: number,
+ *       threshold?: number,
+ *       margin?: number,
+ *       iterations?: number,
+ *       interval?: number
+ *     }
+ *   },
+ *   cosmology?: import('./cosmology.js').CosmologyOptions,
+ *   potential?: boolean,
+ *   enableProfiling?: boolean
  * }} options
+ * @returns {GravitySystem}
  */
 export function particleSystem(options) {
   const {
@@ -49,6 +72,11 @@ export function particleSystem(options) {
     get,
     method = 'quadrupole',
     theta,
+    integrator,
+    timeBins,
+    boundary,
+    walls,
+    restitution,
     gravityStrength = 0.0003,
     dt = 1 / 60,
     softening = 0.2,
@@ -56,7 +84,12 @@ export function particleSystem(options) {
     maxSpeed = 2.0,
     maxAccel = 1.0,
     worldBounds,
-    mesh: meshConfig
+    octree,
+    nearField,
+    mesh: meshConfig,
+    cosmology,
+    potential,
+    enableProfiling = false
   } = options;
 
   if (!(gl instanceof WebGL2RenderingContext))
@@ -65,6 +98,9 @@ export function particleSystem(options) {
   if (particles.length < 0)
     throw new Error('particleSystemKernels requires a non-empty particles array');
 
+  if (cosmology && method !== 'mesh' && method !== 'spectral')
+    throw new Error(`cosmology requires the 'mesh' or 'spectral' method, got '${method}'`);
+
   const particleData = prepareParticleData({ particles, get });
 
   let system;
@@ -86,7 +122,11 @@ export function particleSystem(options) {
         damping,
         maxSpeed,
         maxAccel,
-        mesh: meshConfig || undefined
+        walls,
+        restitution,
+        mesh: meshConfig || undefined,
+        cosmology,
+        potential
       });
 
       // Upload particle data into allocated textures
@@ -117,8 +157,46 @@ export function particleSystem(options) {
         damping,
         maxSpeed,
         maxAccel,
+        walls,
+        restitution,
         gridSize: meshConfig?.gridSize,
-        assignment: /** @type {'NGP' | 'CIC' | undefined} */ (meshConfig?.assignment?.toUpperCase())
+        assignment: /** @type {'NGP' | 'CIC' | 'TSC' | 'PCS' | undefined} */ (meshConfig?.assignment?.toUpperCase()),
+        isolated: meshConfig?.isolated,
+        patches: meshConfig?.patches,
+        cosmology,
+        potential
+      });
+
+      // Upload particle data into allocated textures
+      gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, positions);
+      gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, textureWidth, textureHeight, gl.RGBA, gl.FLOAT, velocities);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+      break;
+    }
+
+    case 'direct': {
+      const { textureWidth, textureHeight, positions, velocities } = particleData;
+      const particleCount = particles.length;
+
+      system = new GravityDirect({
+        gl,
+        textureWidth,
+        textureHeight,
+        particleCount,
+        worldBounds,
+        gravityStrength,
+        dt,
+        softening,
+        damping,
+        maxSpeed,
+        maxAccel,
+        integrator,
+        boundary,
+        walls,
+        restitution,
+        potential
       });
 
       // Upload particle data into allocated textures
@@ -147,7 +225,15 @@ export function particleSystem(options) {
         softening,
         damping,
         maxSpeed,
-        maxAccel
+        maxAccel,
+        integrator,
+        timeBins,
+        boundary,
+        walls,
+        restitution,
+        octree,
+        nearField,
+        potential
       });
 
       // Upload particle data into allocated textures
@@ -176,7 +262,15 @@ export function particleSystem(options) {
         softening,
         damping,
         maxSpeed,
-        maxAccel
+        maxAccel,
+        integrator,
+        timeBins,
+        boundary,
+        walls,
+        restitution,
+        octree,
+        nearField,
+        potential
       });
 
       // Upload particle data into allocated textures
@@ -189,8 +283,12 @@ export function particleSystem(options) {
     }
   }
 
-  // Return the system directly - it already has all the methods we added
-  return system;
+  return new GravitySystem({
+    system,
+    method,
+    colors: particleData.colors,
+    enableProfiling
+  });
 }
 
 /**
@@ -291,6 +389,7 @@ function prepareParticleData({ particles, get }) {
   const actualTextureSize = textureWidth * textureHeight;
   const positions = new Float32Array(actualTextureSize * 4);
   const velocities = new Float32Array(actualTextureSize * 4);
+  const colors = new Uint8Array(actualTextureSize * 4);
 
   const dummy = {
     index: 0,
@@ -310,6 +409,7 @@ function prepareParticleData({ particles, get }) {
     dummy.vy = spot?.vy || 0;
     dummy.vz = spot?.vz || 0;
     dummy.mass = spot?.mass || 0;
+    dummy.rgb = spot?.rgb !== undefined ? spot.rgb : 0xFFFFFF;
 
     if (typeof get === 'function') {
       get(spot, dummy);
@@ -325,7 +425,12 @@ function prepareParticleData({ particles, get }) {
     velocities[base + 1] = dummy.vy;
     velocities[base + 2] = dummy.vz;
     velocities[base + 3] = 0;
+
+    colors[base + 0] = (dummy.rgb >> 16) & 0xff;
+    colors[base + 1] = (dummy.rgb >> 8) & 0xff;
+    colors[base + 2] = dummy.rgb & 0xff;
+    colors[base + 3] = 255;
   }
 
-  return { positions, velocities, textureWidth, textureHeight };
+  return { positions, velocities, colors, textureWidth, textureHeight };
 }
@@ -0,0 +1,491 @@
+// @ts-check
+
+/**
+ * KDiagnosticsReduce - GPU reduction of the conserved quantities (8×8 tiles)
+ *
+ * Reduces particle positions, velocities and (optionally) the potential in the w
+ * channel of a force texture to a 3×1 texture of sums, the same tiled ping-pong
+ * passes as KBoundsReduce with three texels per tile:
+ *
+ *   texel 0: (Σm, Σm·x, Σm·y, Σm·z)          → total mass and centre of mass
+ *   texel 1: (Σm·vx, Σm·vy, Σm·vz, Σ½m·v²)   → linear momentum and kinetic energy
+ *   texel 2: (Σm·(r×v), Σ½m·φ)               → angular momentum about the origin and potential energy
+ *
+ * readAsync() copies the result into a pixel pack buffer and resolves once the GPU
+ * fence passes, so a frame loop can poll it without stalling on readPixels.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from './core-shaders.js';
+import { formatNumber, readLinear } from './diag.js';
+
+/**
+ * @typedef {{
+ *   mass: number,
+ *   centerOfMass: [number, number, number],
+ *   momentum: [number, number, number],
+ *   angularMomentum: [number, number, number],
+ *   kineticEnergy: number,
+ *   potentialEnergy: number,
+ *   totalEnergy: number
+ * }} Diagnostics
+ */
+
+export class KDiagnosticsReduce {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inVelocity?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
+   *   outDiagnostics?: WebGLTexture|null,
+   *   particleTextureWidth: number,
+   *   particleTextureHeight: number,
+   *   particleCount?: number
+   * }} options
+   */
+  constructor({ gl, inPosition, inVelocity, inForce, outDiagnostics, particleTextureWidth, particleTextureHeight, particleCount }) {
+    this.gl = gl;
+
+    if (!this.gl.getExtension('EXT_color_buffer_float'))
+      throw new Error('KDiagnosticsReduce: EXT_color_buffer_float not available; reduction passes cannot render to float textures');
+
+    // Resource slots - follow kernel contract
+    this.inPosition = (inPosition || inPosition === null) ? inPosition : createTextureRGBA32F(this.gl, particleTextureWidth, particleTextureHeight);
+    this.inVelocity = (inVelocity || inVelocity === null) ? inVelocity : createTextureRGBA32F(this.gl, particleTextureWidth, particleTextureHeight);
+    // Optional: potential in w, the potential energy reads 0 without it
+    this.inForce = inForce || null;
+    this.outDiagnostics = (outDiagnostics || outDiagnostics === null) ? outDiagnostics : createTextureRGBA32F(this.gl, 3, 1);
+
+    // Texture dimensions
+    this.particleTextureWidth = particleTextureWidth;
+    this.particleTextureHeight = particleTextureHeight;
+    this.particleCount = particleCount !== undefined ? particleCount : particleTextureWidth * particleTextureHeight;
+
+    this.programFirst = createProgram(this.gl, firstPassShader);
+    this.programReduce = createProgram(this.gl, reductionPassShader);
+
+    // Cache uniform locations
+    this.uniformsFirst = {
+      u_position: this.gl.getUniformLocation(this.programFirst, 'u_position'),
+      u_velocity: this.gl.getUniformLocation(this.programFirst, 'u_velocity'),
+      u_force: this.gl.getUniformLocation(this.programFirst, 'u_force'),
+      u_hasPotential: this.gl.getUniformLocation(this.programFirst, 'u_hasPotential'),
+      u_inputSize: this.gl.getUniformLocation(this.programFirst, 'u_inputSize'),
+      u_particleCount: this.gl.getUniformLocation(this.programFirst, 'u_particleCount')
+    };
+    this.uniformsReduce = {
+      u_inputTex: this.gl.getUniformLocation(this.programReduce, 'u_inputTex'),
+      u_inputSize: this.gl.getUniformLocation(this.programReduce, 'u_inputSize')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+    this.quadVBO = buffer;
+
+    // Tiles per pass (8× reduction per pass); intermediates are 3× wider, one texel per sum
+    let width = this.particleTextureWidth;
+    let height = this.particleTextureHeight;
+    /** @type {{ width: number, height: number }[]} */
+    const sizes = [];
+    do {
+      width = Math.max(1, Math.ceil(width / 8));
+      height = Math.max(1, Math.ceil(height / 8));
+      sizes.push({ width: width * 3, height });
+    } while (width > 1 || height > 1);
+    // The last pass writes outDiagnostics itself
+    sizes.pop();
+
+    // At most two intermediates, ping-ponged like KBoundsReduce
+    this.smallTexture = sizes.length >= 1 ? createTextureRGBA32F(this.gl, sizes[0].width, sizes[0].height) : null;
+    this.smallerTexture = sizes.length >= 2 ? createTextureRGBA32F(this.gl, sizes[1].width, sizes[1].height) : null;
+    this.reductionSizes = sizes;
+
+    this.outFramebuffer = this.gl.createFramebuffer();
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      velocity: this.inVelocity && readLinear({
+        gl: this.gl, texture: this.inVelocity, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['vx', 'vy', 'vz', 'w'], pixels
+      }),
+      force: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', 'potential'], pixels
+      }),
+      diagnostics: this.outDiagnostics && readLinear({
+        gl: this.gl, texture: this.outDiagnostics, width: 3, height: 1, count: 3,
+        channels: ['x', 'y', 'z', 'w'], pixels: true
+      }),
+      particleTextureWidth: this.particleTextureWidth,
+      particleTextureHeight: this.particleTextureHeight,
+      particleCount: this.particleCount,
+      reductionPasses: this.reductionSizes.length + 1,
+      renderCount: this.renderCount
+    };
+
+    const sums = value.diagnostics?.pixels;
+    value.toString = () =>
+      `KDiagnosticsReduce(${this.particleCount} particles) ${this.particleTextureWidth}×${this.particleTextureHeight} passes=${value.reductionPasses}${this.inForce ? ' potential' : ''} #${this.renderCount}
+
+position: ${value.position}
+velocity: ${value.velocity}${value.force ? `
+force: ${value.force}` : ''}
+
+→ diagnostics: ${sums && sums.length === 3 ? `mass=${formatNumber(sums[0].x)} momentum=[${[sums[1].x, sums[1].y, sums[1].z].map(formatNumber).join(',')}] angularMomentum=[${[sums[2].x, sums[2].y, sums[2].z].map(formatNumber).join(',')}] kinetic=${formatNumber(sums[1].w)} potential=${formatNumber(sums[2].w)}` : value.diagnostics}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.inVelocity || !this.outDiagnostics) {
+      throw new Error('KDiagnosticsReduce: missing required textures');
+    }
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.disable(gl.CULL_FACE);
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.colorMask(true, true, true, true);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.bindVertexArray(this.quadVAO);
+
+    const passes = this.reductionSizes.length + 1;
+    /** @type {WebGLTexture | null} */
+    let inputTex = null;
+    let inputWidth = this.particleTextureWidth;
+    let inputHeight = this.particleTextureHeight;
+
+    for (let i = 0; i < passes; i++) {
+      const last = i === passes - 1;
+      const size = last ? { width: 3, height: 1 } : this.reductionSizes[i];
+      const outputTex = last ? this.outDiagnostics : (i % 2 === 0 ? this.smallTexture : this.smallerTexture);
+
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTex, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindVertexArray(null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`KDiagnosticsReduce: framebuffer incomplete for pass ${i} (0x${status.toString(16)})`);
+      }
+      gl.viewport(0, 0, size.width, size.height);
+
+      if (i === 0) {
+        // First pass: particles → per-tile sums
+        gl.useProgram(this.programFirst);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+        gl.uniform1i(this.uniformsFirst.u_position, 0);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, this.inVelocity);
+        gl.uniform1i(this.uniformsFirst.u_velocity, 1);
+        // Any texture keeps the sampler valid without a force texture
+        gl.activeTexture(gl.TEXTURE2);
+        gl.bindTexture(gl.TEXTURE_2D, this.inForce || this.inPosition);
+        gl.uniform1i(this.uniformsFirst.u_force, 2);
+        gl.uniform1i(this.uniformsFirst.u_hasPotential, this.inForce ? 1 : 0);
+        gl.uniform2i(this.uniformsFirst.u_inputSize, inputWidth, inputHeight);
+        gl.uniform1i(this.uniformsFirst.u_particleCount, this.particleCount);
+      } else {
+        // Later passes: per-tile sums → sums of 8×8 tiles
+        gl.useProgram(this.programReduce);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, inputTex);
+        gl.uniform1i(this.uniformsReduce.u_inputTex, 0);
+        gl.uniform2i(this.uniformsReduce.u_inputSize, inputWidth, inputHeight);
+      }
+
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+      inputTex = outputTex;
+      inputWidth = size.width / 3;
+      inputHeight = size.height;
+    }
+
+    gl.bindVertexArray(null);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.useProgram(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  /**
+   * Read outDiagnostics back without stalling: the copy goes through a pixel pack
+   * buffer and resolves once its fence has passed (polled between tasks)
+   * @returns {Promise<Diagnostics>}
+   */
+  readAsync() {
+    const gl = this.gl;
+
+    if (!this.outDiagnostics) {
+      return Promise.reject(new Error('KDiagnosticsReduce: missing outDiagnostics texture'));
+    }
+
+    // One buffer per read, so overlapping reads keep their own values
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+    gl.bufferData(gl.PIXEL_PACK_BUFFER, 12 * 4, gl.STREAM_READ);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outDiagnostics, 0);
+    gl.readPixels(0, 0, 3, 1, gl.RGBA, gl.FLOAT, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    gl.flush();
+
+    return new Promise((resolve, reject) => {
+      const poll = () => {
+        const status = gl.clientWaitSync(/** @type {WebGLSync} */ (sync), 0, 0);
+        if (status === gl.TIMEOUT_EXPIRED) {
+          setTimeout(poll, 0);
+          return;
+        }
+
+        gl.deleteSync(sync);
+        if (status === gl.WAIT_FAILED) {
+          gl.deleteBuffer(buffer);
+          reject(new Error('KDiagnosticsReduce: readback fence failed'));
+          return;
+        }
+
+        const sums = new Float32Array(12);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, buffer);
+        gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, sums);
+        gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+        gl.deleteBuffer(buffer);
+        resolve(diagnosticsFromSums(sums));
+      };
+      poll();
+    });
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.programFirst) gl.deleteProgram(this.programFirst);
+    if (this.programReduce) gl.deleteProgram(this.programReduce);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.quadVBO) gl.deleteBuffer(this.quadVBO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.smallTexture) gl.deleteTexture(this.smallTexture);
+    if (this.smallerTexture) gl.deleteTexture(this.smallerTexture);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.outDiagnostics) gl.deleteTexture(this.outDiagnostics);
+
+    this.inPosition = null;
+    this.inVelocity = null;
+    this.inForce = null;
+    this.outDiagnostics = null;
+  }
+}
+
+/**
+ * Conserved quantities from the 3×1 texel sums of outDiagnostics
+ * @param {Float32Array} sums - 12 floats, RGBA of texels 0..2
+ * @returns {Diagnostics}
+ */
+export function diagnosticsFromSums(sums) {
+  const mass = sums[0];
+  const kineticEnergy = sums[7];
+  const potentialEnergy = sums[11];
+  return {
+    mass,
+    centerOfMass: mass > 0 ? [sums[1] / mass, sums[2] / mass, sums[3] / mass] : [0, 0, 0],
+    momentum: [sums[4], sums[5], sums[6]],
+    angularMomentum: [sums[8], sums[9], sums[10]],
+    kineticEnergy,
+    potentialEnergy,
+    totalEnergy: kineticEnergy + potentialEnergy
+  };
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {string} fragSource
+ */
+function createProgram(gl, fragSource) {
+  const vert = gl.createShader(gl.VERTEX_SHADER);
+  if (!vert) throw new Error('Failed to create vertex shader');
+  gl.shaderSource(vert, fsQuadVert);
+  gl.compileShader(vert);
+  if (!gl.getShaderParameter(vert, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(vert);
+    gl.deleteShader(vert);
+    throw new Error(`Vertex shader compile failed: ${info}`);
+  }
+
+  const frag = gl.createShader(gl.FRAGMENT_SHADER);
+  if (!frag) throw new Error('Failed to create fragment shader');
+  gl.shaderSource(frag, fragSource);
+  gl.compileShader(frag);
+  if (!gl.getShaderParameter(frag, gl.COMPILE_STATUS)) {
+    const info = gl.getShaderInfoLog(frag);
+    gl.deleteShader(frag);
+    throw new Error(`Fragment shader compile failed: ${info}`);
+  }
+
+  const program = gl.createProgram();
+  if (!program) throw new Error('Failed to create program');
+  gl.attachShader(program, vert);
+  gl.attachShader(program, frag);
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const info = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link failed: ${info}`);
+  }
+
+  gl.deleteShader(vert);
+  gl.deleteShader(frag);
+  return program;
+}
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
+
+/**
+ * First pass: each output tile sums the 8×8 particles it covers,
+ * texel x % 3 selecting which of the three sums it holds
+ */
+const firstPassShader = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_position;
+uniform sampler2D u_velocity;
+uniform sampler2D u_force;
+uniform bool u_hasPotential;
+uniform ivec2 u_inputSize;
+uniform int u_particleCount;
+
+out vec4 fragColor;
+
+void main() {
+  ivec2 outCoord = ivec2(gl_FragCoord.xy);
+  int slot = outCoord.x % 3;
+  ivec2 baseCoord = ivec2(outCoord.x / 3, outCoord.y) * 8;
+
+  vec4 sum = vec4(0.0);
+  for (int dy = 0; dy < 8; dy++) {
+    for (int dx = 0; dx < 8; dx++) {
+      ivec2 coord = baseCoord + ivec2(dx, dy);
+      if (coord.x >= u_inputSize.x || coord.y >= u_inputSize.y) continue;
+      if (coord.y * u_inputSize.x + coord.x >= u_particleCount) continue;
+
+      vec4 pos = texelFetch(u_position, coord, 0);
+      vec3 vel = texelFetch(u_velocity, coord, 0).xyz;
+      float mass = pos.w;
+
+      // Skip empty and invalid particles
+      if (!(mass > 0.0) || any(isnan(pos.xyz)) || any(isnan(vel))) continue;
+
+      if (slot == 0) {
+        sum += vec4(mass, mass * pos.xyz);
+      } else if (slot == 1) {
+        sum += vec4(mass * vel, 0.5 * mass * dot(vel, vel));
+      } else {
+        float phi = u_hasPotential ? texelFetch(u_force, coord, 0).w : 0.0;
+        if (isnan(phi)) phi = 0.0;
+        sum += vec4(mass * cross(pos.xyz, vel), 0.5 * mass * phi);
+      }
+    }
+  }
+
+  fragColor = sum;
+}
+`;
+
+/**
+ * Reduction pass: sums 8×8 tiles of the previous pass, slot by slot
+ */
+const reductionPassShader = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_inputTex;
+uniform ivec2 u_inputSize;  // in tiles: the texture is 3× wider
+
+out vec4 fragColor;
+
+void main() {
+  ivec2 outCoord = ivec2(gl_FragCoord.xy);
+  int slot = outCoord.x % 3;
+  ivec2 baseTile = ivec2(outCoord.x / 3, outCoord.y) * 8;
+
+  vec4 sum = vec4(0.0);
+  for (int dy = 0; dy < 8; dy++) {
+    for (int dx = 0; dx < 8; dx++) {
+      ivec2 tile = baseTile + ivec2(dx, dy);
+      if (tile.x >= u_inputSize.x || tile.y >= u_inputSize.y) continue;
+      sum += texelFetch(u_inputTex, ivec2(tile.x * 3 + slot, tile.y), 0);
+    }
+  }
+
+  fragColor = sum;
+}
+`;
@@ -0,0 +1,134 @@
+// @ts-check
+
+/**
+ * Unit tests for KDiagnosticsReduce kernel.
+ * Tests the GPU sums of mass, momentum, angular momentum and energies against the CPU.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import {
+  assertClose,
+  createTestTexture,
+  disposeKernel,
+  getGL,
+  resetGL
+} from './test-utils.js';
+import { KDiagnosticsReduce } from './k-diagnostics-reduce.js';
+
+/**
+ * Helper: deterministic particle sheet with masses, velocities and potentials
+ * @param {number} width
+ * @param {number} height
+ * @param {number} count
+ */
+function createParticleData(width, height, count) {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+  const positions = new Float32Array(width * height * 4);
+  const velocities = new Float32Array(width * height * 4);
+  const forces = new Float32Array(width * height * 4);
+  for (let i = 0; i < count; i++) {
+    positions.set([random() * 4 - 2, random() * 4 - 2, random() * 4 - 2, 0.5 + random()], i * 4);
+    velocities.set([random() - 0.5, random() - 0.5, random() - 0.5, 0], i * 4);
+    forces.set([0, 0, 0, -random()], i * 4);
+  }
+  // Texels past count hold garbage the reduction must skip
+  for (let i = count; i < width * height; i++) {
+    positions.set([100, 100, 100, 5], i * 4);
+    velocities.set([9, 9, 9, 0], i * 4);
+  }
+  return { positions, velocities, forces };
+}
+
+/**
+ * Helper: the same sums on the CPU
+ * @param {{ positions: Float32Array, velocities: Float32Array, forces: Float32Array }} data
+ * @param {number} count
+ */
+function cpuSums({ positions, velocities, forces }, count) {
+  const sums = { mass: 0, com: [0, 0, 0], momentum: [0, 0, 0], angular: [0, 0, 0], kinetic: 0, potential: 0 };
+  for (let i = 0; i < count; i++) {
+    const [x, y, z, m] = positions.subarray(i * 4, i * 4 + 4);
+    const [vx, vy, vz] = velocities.subarray(i * 4, i * 4 + 3);
+    sums.mass += m;
+    sums.com[0] += m * x; sums.com[1] += m * y; sums.com[2] += m * z;
+    sums.momentum[0] += m * vx; sums.momentum[1] += m * vy; sums.momentum[2] += m * vz;
+    sums.angular[0] += m * (y * vz - z * vy);
+    sums.angular[1] += m * (z * vx - x * vz);
+    sums.angular[2] += m * (x * vy - y * vx);
+    sums.kinetic += 0.5 * m * (vx * vx + vy * vy + vz * vz);
+    sums.potential += 0.5 * m * forces[i * 4 + 3];
+  }
+  sums.com = sums.com.map(c => c / sums.mass);
+  return sums;
+}
+
+/**
+ * Test 1: Multi-pass reduction matches the CPU sums, skipping texels past particleCount
+ */
+test('KDiagnosticsReduce: sums match the CPU over several passes', async () => {
+  const gl = getGL();
+  const width = 70, height = 9, count = 600;
+  const data = createParticleData(width, height, count);
+
+  const kernel = new KDiagnosticsReduce({
+    gl,
+    inPosition: createTestTexture(gl, width, height, data.positions),
+    inVelocity: createTestTexture(gl, width, height, data.velocities),
+    inForce: createTestTexture(gl, width, height, data.forces),
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    particleCount: count
+  });
+
+  kernel.run();
+  const result = await kernel.readAsync();
+  const expected = cpuSums(data, count);
+
+  assert.ok(kernel.reductionSizes.length >= 2, `70×9 needs the ping-pong intermediates\n\n${kernel.toString()}`);
+  assertClose(result.mass, expected.mass, 1e-3, `Total mass\n\n${kernel.toString()}`);
+  for (let axis = 0; axis < 3; axis++) {
+    assertClose(result.centerOfMass[axis], expected.com[axis], 1e-4, `Centre of mass [${axis}]`);
+    assertClose(result.momentum[axis], expected.momentum[axis], 1e-3, `Momentum [${axis}]`);
+    assertClose(result.angularMomentum[axis], expected.angular[axis], 1e-3, `Angular momentum [${axis}]`);
+  }
+  assertClose(result.kineticEnergy, expected.kinetic, 1e-3, 'Kinetic energy');
+  assertClose(result.potentialEnergy, expected.potential, 1e-3, 'Potential energy');
+  assertClose(result.totalEnergy, expected.kinetic + expected.potential, 1e-3, 'Total energy');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Single pass without a force texture: potential energy is zero
+ */
+test('KDiagnosticsReduce: no force texture reads zero potential energy', async () => {
+  const gl = getGL();
+  const width = 4, height = 2, count = 8;
+  const data = createParticleData(width, height, count);
+
+  const kernel = new KDiagnosticsReduce({
+    gl,
+    inPosition: createTestTexture(gl, width, height, data.positions),
+    inVelocity: createTestTexture(gl, width, height, data.velocities),
+    particleTextureWidth: width,
+    particleTextureHeight: height
+  });
+
+  kernel.run();
+  const result = await kernel.readAsync();
+  const expected = cpuSums(data, count);
+
+  assert.strictEqual(kernel.reductionSizes.length, 0, 'Small sheets reduce in one pass');
+  assert.strictEqual(result.potentialEnergy, 0, 'No potential without a force texture');
+  assertClose(result.kineticEnergy, expected.kinetic, 1e-5, `Kinetic energy\n\n${kernel.toString()}`);
+  assertClose(result.mass, expected.mass, 1e-5, 'Total mass');
+  assert.strictEqual(kernel.renderCount, 1, 'renderCount should track runs');
+
+  disposeKernel(kernel);
+  resetGL();
+});
@@ -0,0 +1,315 @@
+// @ts-check
+
+/**
+ * KForceAccumulate - Adds a per-particle force texture into a shared force target
+ *
+ * Fullscreen pass with additive blending (ONE, ONE), so several force modules
+ * can contribute to the same render target within one frame. The w channel
+ * (gravity's per-particle potential) is added along with the force.
+ * With disableFloatBlend (no EXT_float_blend) it reads outForce instead, writes
+ * outForce + scale * inForce into a scratch texture and blits that back over outForce.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from './core-shaders.js';
+import { formatNumber, readLinear } from './diag.js';
+
+export class KForceAccumulate {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inForce?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   outForceFramebuffer?: WebGLFramebuffer|null,
+   *   width?: number,
+   *   height?: number,
+   *   scale?: number,
+   *   disableFloatBlend?: boolean
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inForce = (options.inForce || options.inForce === null) ?
+      options.inForce :
+      createTextureRGBA32F(this.gl, this.width, this.height);
+    this.outForce = (options.outForce || options.outForce === null) ?
+      options.outForce :
+      createTextureRGBA32F(this.gl, this.width, this.height);
+
+    // External framebuffer may be supplied together with outForce (as in GraphLaplacian.accumulate);
+    // otherwise an internal one is created and attached per-run.
+    this.outForceFramebuffer = (options.outForceFramebuffer || options.outForceFramebuffer === null) ?
+      options.outForceFramebuffer :
+      null;
+    this.ownFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+
+    // Multiplier applied to the incoming force before it is added
+    this.scale = options.scale !== undefined ? options.scale : 1.0;
+
+    // Read-modify-write through a scratch texture instead of blending into outForce
+    this.disableFloatBlend = options.disableFloatBlend || false;
+    /** @type {WebGLTexture | null} */
+    this.scratchForce = null;
+    /** @type {WebGLFramebuffer | null} */
+    this.scratchFramebuffer = null;
+
+    // Create shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, forceAccumulateFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_scale: this.gl.getUniformLocation(this.program, 'u_scale'),
+      u_target: this.gl.getUniformLocation(this.program, 'u_target'),
+      u_readTarget: this.gl.getUniformLocation(this.program, 'u_readTarget')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      inForce: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['fx', 'fy', 'fz', 'potential'], pixels
+      }),
+      outForce: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['fx', 'fy', 'fz', 'potential'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      scale: this.scale,
+      disableFloatBlend: this.disableFloatBlend,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KForceAccumulate(${this.width}×${this.height}) scale=${formatNumber(this.scale)}${this.disableFloatBlend ? ' no-blend' : ''} #${this.renderCount}
+
+inForce: ${value.inForce}
+
+→ outForce (+=): ${value.outForce}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inForce || !this.outForce) {
+      throw new Error('KForceAccumulate: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    let framebuffer = this.outForceFramebuffer;
+    if (!framebuffer) {
+      // Ensure internal framebuffer attachment matches our output
+      if (this._fboShadow !== this.outForce) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.ownFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+        gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+        const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+        if (status !== gl.FRAMEBUFFER_COMPLETE) {
+          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+          throw new Error(`Framebuffer incomplete: ${status}`);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        this._fboShadow = this.outForce;
+      }
+      framebuffer = this.ownFramebuffer;
+    }
+
+    if (this.disableFloatBlend) this._ensureScratch();
+
+    // Blending adds straight into outForce; read-modify-write goes through the scratch
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.disableFloatBlend ? this.scratchFramebuffer : framebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+    if (this.disableFloatBlend) {
+      gl.disable(gl.BLEND);
+    } else {
+      // Additive blending: outForce += scale * inForce
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce);
+    if (this.uniforms.u_force) gl.uniform1i(this.uniforms.u_force, 0);
+    if (this.uniforms.u_scale) gl.uniform1f(this.uniforms.u_scale, this.scale);
+
+    // The target is only sampled while it is not the draw target
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.disableFloatBlend ? this.outForce : this.inForce);
+    if (this.uniforms.u_target) gl.uniform1i(this.uniforms.u_target, 1);
+    if (this.uniforms.u_readTarget) gl.uniform1i(this.uniforms.u_readTarget, this.disableFloatBlend ? 1 : 0);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.disable(gl.BLEND);
+
+    if (this.disableFloatBlend) {
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.scratchFramebuffer);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, framebuffer);
+      gl.blitFramebuffer(
+        0, 0, this.width, this.height,
+        0, 0, this.width, this.height,
+        gl.COLOR_BUFFER_BIT, gl.NEAREST);
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+      gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  _ensureScratch() {
+    const gl = this.gl;
+    if (this.scratchForce) return;
+
+    this.scratchForce = createTextureRGBA32F(gl, this.width, this.height);
+    this.scratchFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.scratchFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.scratchForce, 0);
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (status !== gl.FRAMEBUFFER_COMPLETE)
+      throw new Error(`KForceAccumulate: scratch framebuffer incomplete: ${status}`);
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.ownFramebuffer) gl.deleteFramebuffer(this.ownFramebuffer);
+    if (this.scratchFramebuffer) gl.deleteFramebuffer(this.scratchFramebuffer);
+    if (this.scratchForce) gl.deleteTexture(this.scratchForce);
+
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+
+    this._fboShadow = null;
+    this.scratchForce = null;
+    this.scratchFramebuffer = null;
+  }
+}
+
+const forceAccumulateFrag = /* glsl */`#version 300 es
+precision highp float;
+
+uniform sampler2D u_force;
+uniform float u_scale;
+uniform sampler2D u_target;      // outForce so far (read-modify-write path)
+uniform bool u_readTarget;
+
+out vec4 outForce;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec4 force = texelFetch(u_force, coord, 0);
+
+  // Never propagate NaN into the shared target: it would poison every other contributor
+  if (isnan(force.x) || isnan(force.y) || isnan(force.z)) force.xyz = vec3(0.0);
+  if (isnan(force.w)) force.w = 0.0;
+
+  outForce = force * u_scale;
+  if (u_readTarget) outForce += texelFetch(u_target, coord, 0);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
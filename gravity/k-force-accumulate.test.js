@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * Unit tests for KForceAccumulate kernel.
+ * Tests additive accumulation of force textures into a shared target.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import {
+  assertAllFinite,
+  assertClose,
+  createTestTexture,
+  disposeKernel,
+  getGL,
+  readTexture,
+  resetGL
+} from './test-utils.js';
+
+import { KForceAccumulate } from './k-force-accumulate.js';
+
+/**
+ * Helper: Create a texture filled with a constant force vector.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} force
+ * @returns {WebGLTexture}
+ */
+function fillForce(gl, width, height, force) {
+  const data = new Float32Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4 + 0] = force[0];
+    data[i * 4 + 1] = force[1];
+    data[i * 4 + 2] = force[2];
+    data[i * 4 + 3] = 0.0;
+  }
+  return createTestTexture(gl, width, height, data);
+}
+
+/**
+ * Test 1: Two runs into the same target sum their contributions
+ */
+test('KForceAccumulate: two sources add into one target', async () => {
+  const gl = getGL();
+  const width = 2, height = 2;
+
+  const forceA = fillForce(gl, width, height, [1.0, 2.0, 3.0]);
+  const forceB = fillForce(gl, width, height, [0.5, -1.0, 0.25]);
+  const target = createTestTexture(gl, width, height, new Float32Array(width * height * 4));
+
+  const kernel = new KForceAccumulate({
+    gl,
+    inForce: forceA,
+    outForce: target,
+    width,
+    height
+  });
+
+  kernel.run();
+  kernel.inForce = forceB;
+  kernel.run();
+
+  const pixels = readTexture(gl, target, width, height);
+  assertAllFinite(pixels, 'Accumulated force must be finite');
+
+  for (let i = 0; i < width * height; i++) {
+    assertClose(pixels[i * 4 + 0], 1.5, 1e-5, `Fx[${i}]\n\n${kernel.toString()}`);
+    assertClose(pixels[i * 4 + 1], 1.0, 1e-5, `Fy[${i}]\n\n${kernel.toString()}`);
+    assertClose(pixels[i * 4 + 2], 3.25, 1e-5, `Fz[${i}]\n\n${kernel.toString()}`);
+  }
+
+  assert.strictEqual(kernel.renderCount, 2, 'renderCount should track runs');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Scale multiplies the incoming force before it is added
+ */
+test('KForceAccumulate: scale applied to incoming force', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const force = fillForce(gl, width, height, [2.0, 4.0, -6.0]);
+  const target = fillForce(gl, width, height, [1.0, 1.0, 1.0]);
+
+  const kernel = new KForceAccumulate({
+    gl,
+    inForce: force,
+    outForce: target,
+    width,
+    height,
+    scale: 0.5
+  });
+
+  kernel.run();
+
+  const snapshot = kernel.valueOf({ pixels: false });
+  assertClose(snapshot.outForce.fx.mean, 2.0, 1e-5, `Fx = 1 + 0.5·2\n\n${kernel.toString()}`);
+  assertClose(snapshot.outForce.fy.mean, 3.0, 1e-5, `Fy = 1 + 0.5·4\n\n${kernel.toString()}`);
+  assertClose(snapshot.outForce.fz.mean, -2.0, 1e-5, `Fz = 1 - 0.5·6\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 3: Without float blend the target is read, summed through a scratch and blitted back
+ */
+test('KForceAccumulate: read-modify-write without float blend', async () => {
+  const gl = getGL();
+  const width = 3, height = 2;
+
+  const forceA = fillForce(gl, width, height, [1.0, 2.0, 3.0]);
+  const forceB = fillForce(gl, width, height, [0.5, -1.0, 0.25]);
+  const target = fillForce(gl, width, height, [-0.5, 0.5, 1.0]);
+
+  const kernel = new KForceAccumulate({
+    gl,
+    inForce: forceA,
+    outForce: target,
+    width,
+    height,
+    scale: 2,
+    disableFloatBlend: true
+  });
+
+  kernel.run();
+  kernel.inForce = forceB;
+  kernel.run();
+
+  const pixels = readTexture(gl, target, width, height);
+  assertAllFinite(pixels, 'Accumulated force must be finite');
+
+  for (let i = 0; i < width * height; i++) {
+    assertClose(pixels[i * 4 + 0], -0.5 + 2 * 1.5, 1e-5, `Fx[${i}]\n\n${kernel.toString()}`);
+    assertClose(pixels[i * 4 + 1], 0.5 + 2 * 1.0, 1e-5, `Fy[${i}]\n\n${kernel.toString()}`);
+    assertClose(pixels[i * 4 + 2], 1.0 + 2 * 3.25, 1e-5, `Fz[${i}]\n\n${kernel.toString()}`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
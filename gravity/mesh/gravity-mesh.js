@@ -5,6 +5,17 @@
  * 
  * Reimplementation using WebGL2 Kernel architecture.
  * Uses composition of small, testable kernels instead of monolithic pipeline.
+ *
+ * The mesh is periodic by default; mesh.isolated zero-pads it to twice the box and
+ * solves with a transformed Green's function (KIsolatedGreen) for open boundaries.
+ * mesh.patches nests finer grids over overdense regions (PMPatches), solved with the
+ * mesh potential as their boundary values. Their force replaces the near field, so
+ * patches turn the default split off; particles outside them keep pairs only when
+ * mesh.splitSigma is given explicitly.
+ * The cosmology option runs in comoving coordinates of an expanding periodic box,
+ * scaling the force by 1/a³ and dragging velocities by 2H (see ../cosmology.js).
+ * The potential option writes each particle's potential into the w channel of the
+ * force texture: the mesh potential sampled like the force, plus the near-field pairs.
  */
 
 import { KDeposit } from './k-deposit.js';
@@ -12,12 +23,18 @@ import { KDeposit } from './k-deposit.js';
 import { KFFT } from '../spectral/k-fft.js';
 // Reuse spectral KPoisson (non-square textures, unified options)
 import { KPoisson } from '../spectral/k-poisson.js';
+import { KIsolatedGreen } from '../spectral/k-isolated-green.js';
 import { KGradient } from './k-gradient.js';
 // Reuse spectral KForceSample (non-square textures, unified mapping)
 import { KForceSample } from '../spectral/k-force-sample.js';
+import { PMPatches } from '../spectral/pm-patches.js';
 import { KNearField } from './k-near-field.js';
+import { KCellSort } from '../multipole/k-cell-sort.js';
 import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
 import { KBoundsReduce } from '../multipole/k-bounds-reduce.js';
+import { KForceAccumulate } from '../k-force-accumulate.js';
+import { hasWalls, resolveWalls } from '../walls.js';
+import { comovingStep, resolveCosmology } from '../cosmology.js';
 
 export class GravityMesh {
   /**
@@ -35,14 +52,27 @@ export class GravityMesh {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
    *   mesh?: {
-   *     assignment?: 'ngp' | 'cic',
+   *     assignment?: 'ngp' | 'cic' | 'tsc' | 'pcs',
    *     gridSize?: number | [number, number, number],
    *     slicesPerRow?: number,
    *     kCut?: number,
    *     splitSigma?: number,
-   *     nearFieldRadius?: number
-   *   }
+   *     nearFieldRadius?: number,
+   *     isolated?: boolean,
+   *     patches?: boolean | {
+   *       maxPatches?: number,
+   *       gridSize?: number,
+   *       threshold?: number,
+   *       margin?: number,
+   *       iterations?: number,
+   *       interval?: number
+   *     }
+   *   },
+   *   cosmology?: import('../cosmology.js').CosmologyOptions,
+   *   potential?: boolean
    * }} options
    */
   constructor({
@@ -59,7 +89,11 @@ export class GravityMesh {
     damping,
     maxSpeed,
     maxAccel,
-    mesh: meshConfig
+    walls,
+    restitution,
+    mesh: meshConfig,
+    cosmology,
+    potential
   }) {
     this.gl = gl;
 
@@ -85,28 +119,60 @@ export class GravityMesh {
     this.damping = damping || 0.0;
     this.maxSpeed = maxSpeed || 2.0;
     this.maxAccel = maxAccel || 1.5;
+
+    // Comoving coordinates in an expanding periodic box: worldBounds stay fixed and wrap
+    /** @type {import('../cosmology.js').Cosmology | null} */
+    this.cosmology = cosmology ? resolveCosmology(cosmology) : null;
+    this.scaleFactor = this.cosmology ? this.cosmology.scaleFactor : 1;
+    if (this.cosmology && meshConfig?.isolated)
+      throw new Error('GravityMesh cosmology needs the periodic mesh, not isolated boundaries');
+
+    // Per-axis walls at worldBounds (reflect/absorb/wrap); any wall keeps worldBounds fixed
+    this.walls = resolveWalls(walls, this.cosmology ? 'periodic' : undefined);
+    this.restitution = restitution !== undefined ? restitution : 1.0;
+
+    // Per-particle potential in the w channel of the force texture
+    this.potential = potential || false;
     
     // Mesh configuration
     const meshOptions = meshConfig || {};
     const rawGridSize = meshOptions.gridSize || 64;
+    const kCut = meshOptions.kCut ?? 0;
+    const isolated = meshOptions.isolated || false;
     this.meshConfig = {
       assignment: meshOptions.assignment || 'ngp',
       gridSize: Array.isArray(rawGridSize) 
         ? rawGridSize 
         : [rawGridSize, rawGridSize, rawGridSize],
-      slicesPerRow: meshOptions.slicesPerRow || Math.ceil(Math.sqrt(Array.isArray(rawGridSize) ? rawGridSize[2] : rawGridSize)),
-      kCut: meshOptions.kCut ?? 0,
+      slicesPerRow: meshOptions.slicesPerRow || Math.ceil(Math.sqrt((isolated ? 2 : 1) * (Array.isArray(rawGridSize) ? rawGridSize[2] : rawGridSize))),
+      kCut,
+      // Gaussian split width; derived from nearFieldRadius unless given (or a hard kCut is used).
+      // Patches replace the near field where they refine, so they leave the split off by default:
+      // particles no patch covers then get the unsplit mesh force and no pairs. An explicit
+      // splitSigma keeps their pairs, at the price of patches relaxing from the smoothed potential
       splitSigma: meshOptions.splitSigma ?? 0,
-      nearFieldRadius: Math.max(1, Math.floor(meshOptions.nearFieldRadius ?? 2))
+      autoSplitSigma: meshOptions.splitSigma === undefined && !(kCut > 0) && !meshOptions.patches,
+      nearFieldRadius: Math.max(1, Math.floor(meshOptions.nearFieldRadius ?? 2)),
+      // Open boundaries: zero-padded to twice the grid, Green's function instead of -4πG/k²
+      isolated,
+      // Nested refinement over overdense regions (PMPatches options), or none
+      patches: meshOptions.patches ? (meshOptions.patches === true ? {} : meshOptions.patches) : null
     };
+
+    // Grid the FFT pipeline runs on: the mesh itself, or the mesh plus its padding
+    this.pmGridSize = /** @type {[number, number, number]} */ (this.meshConfig.gridSize.map(n => isolated ? 2 * n : n));
     
     this.frameCount = 0;
     
   // Grid configuration (packed 3D as non-square 2D)
   const [Nx, Ny, Nz] = this.meshConfig.gridSize;
-  this.sliceRows = Math.ceil(Nz / this.meshConfig.slicesPerRow);
-  this.gridTextureWidth = Nx * this.meshConfig.slicesPerRow;
-  this.gridTextureHeight = Ny * this.sliceRows;
+  const [Px, Py, Pz] = this.pmGridSize;
+  this.sliceRows = Math.ceil(Pz / this.meshConfig.slicesPerRow);
+  this.gridTextureWidth = Px * this.meshConfig.slicesPerRow;
+  this.gridTextureHeight = Py * this.sliceRows;
+  // Spectra of the real grids keep the Nx/2+1 non-negative X frequencies when Nx is even
+  this.halfSpectrum = Px % 2 === 0;
+  this.spectrumTextureWidth = (this.halfSpectrum ? Px / 2 + 1 : Px) * this.meshConfig.slicesPerRow;
 
     // Check WebGL2 support
     const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
@@ -128,14 +194,16 @@ export class GravityMesh {
   const gridTextureHeight = this.gridTextureHeight;
   // Spectral-style: system-owned resources for clear ownership (now non-square)
   this.massGridTexture = createTexture2D(this.gl, gridTextureWidth, gridTextureHeight, this.gl.R32F);
-  this.fftComplexTexture1 = createComplexTexture(this.gl, gridTextureWidth, gridTextureHeight);
-  this.fftComplexTexture2 = createComplexTexture(this.gl, gridTextureWidth, gridTextureHeight);
-  this.forceSpectrumXTexture = createComplexTexture(this.gl, gridTextureWidth, gridTextureHeight);
-  this.forceSpectrumYTexture = createComplexTexture(this.gl, gridTextureWidth, gridTextureHeight);
-  this.forceSpectrumZTexture = createComplexTexture(this.gl, gridTextureWidth, gridTextureHeight);
+  this.fftComplexTexture1 = createComplexTexture(this.gl, this.spectrumTextureWidth, gridTextureHeight);
+  this.fftComplexTexture2 = createComplexTexture(this.gl, this.spectrumTextureWidth, gridTextureHeight);
+  this.forceSpectrumXTexture = createComplexTexture(this.gl, this.spectrumTextureWidth, gridTextureHeight);
+  this.forceSpectrumYTexture = createComplexTexture(this.gl, this.spectrumTextureWidth, gridTextureHeight);
+  this.forceSpectrumZTexture = createComplexTexture(this.gl, this.spectrumTextureWidth, gridTextureHeight);
     this.forceGridX = createTexture2D(this.gl, gridTextureWidth, gridTextureHeight, this.gl.R32F);
     this.forceGridY = createTexture2D(this.gl, gridTextureWidth, gridTextureHeight, this.gl.R32F);
     this.forceGridZ = createTexture2D(this.gl, gridTextureWidth, gridTextureHeight, this.gl.R32F);
+    // Real-space potential for sampling; with patches their parentPotential serves instead
+    this.potentialGrid = (this.potential && !meshOptions.patches) ? createTexture2D(this.gl, gridTextureWidth, gridTextureHeight, this.gl.R32F) : null;
 
     // Create shared quad VAO
     const vao = this.gl.createVertexArray();
@@ -165,6 +233,12 @@ export class GravityMesh {
     // Per-voxel volume = worldVolume / (Nx*Ny*Nz); density = mass / cellVolume
     this.cellVolume = worldVolume / (Nx * Ny * Nz);
 
+    if (this.meshConfig.autoSplitSigma)
+      this.meshConfig.splitSigma = defaultSplitSigma(this.worldSize, this.meshConfig.gridSize, this.meshConfig.nearFieldRadius);
+
+    const gridBounds = this._gridBounds();
+    const gridWorldSize = /** @type {[number, number, number]} */ (this.worldSize.map(size => isolated ? 2 * size : size));
+
     // Create kernels inline
     // Deposit kernel
     this.depositKernel = new KDeposit({
@@ -173,12 +247,12 @@ export class GravityMesh {
       particleCount: this.particleCount,
       particleTextureWidth: this.textureWidth,
       particleTextureHeight: this.textureHeight,
-      gridSize: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+      gridSize: this.pmGridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
       textureWidth: this.gridTextureWidth,
       textureHeight: this.gridTextureHeight,
       outGrid: this.massGridTexture,
-      worldBounds: this.worldBounds,
+      worldBounds: gridBounds,
       assignment: this.meshConfig.assignment,
       disableFloatBlend: this.disableFloatBlend
     });
@@ -187,11 +261,15 @@ export class GravityMesh {
     this.fftKernel = new KFFT({
       gl: this.gl,
       // Don't bind real here; set per-run to latest massGrid
-      gridSize: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+      complexFrom: this.fftComplexTexture1,
+      complexTo: this.fftComplexTexture2,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
   // Use non-square packed texture dims
   textureWidth: this.gridTextureWidth,
   textureHeight: this.gridTextureHeight,
+      halfSpectrum: this.halfSpectrum,
+      spectrumTextureWidth: this.spectrumTextureWidth,
       inverse: false,
       // massToDensity = 1 / cellVolume
       massToDensity: 1.0 / this.cellVolume
@@ -202,18 +280,37 @@ export class GravityMesh {
       gl: this.gl,
       inDensitySpectrum: null,
       outPotentialSpectrum: null,
-      gridSize: this.meshConfig.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
-      textureWidth: this.gridTextureWidth,
+      textureWidth: this.spectrumTextureWidth,
       textureHeight: this.gridTextureHeight,
-      worldSize: /** @type {[number, number, number]} */ (this.worldSize),
+      halfSpectrum: this.halfSpectrum,
+      worldSize: gridWorldSize,
       gravitationalConstant: 4.0 * Math.PI * this.gravityStrength,
-      assignment: /** @type {'NGP'|'CIC'|'TSC'} */ (this.meshConfig.assignment.toUpperCase()),
+      assignment: /** @type {'NGP'|'CIC'|'TSC'|'PCS'} */ (this.meshConfig.assignment.toUpperCase()),
       poissonUseDiscrete: true,
       splitMode: this.meshConfig.splitSigma > 0 ? 2 : (this.meshConfig.kCut > 0 ? 1 : 0),
       kCut: this.meshConfig.kCut,
-      treePMSigma: this.meshConfig.splitSigma
+      treePMSigma: this.meshConfig.splitSigma,
+      isolated
     }));
+
+    // Real-space Green's function on the padded grid, transformed into poissonKernel.inGreenSpectrum
+    /** @type {KIsolatedGreen | null} */
+    this.greenKernel = null;
+    if (isolated) {
+      this.greenKernel = new KIsolatedGreen({
+        gl: this.gl,
+        gridSize: this.pmGridSize,
+        slicesPerRow: this.meshConfig.slicesPerRow,
+        textureWidth: this.gridTextureWidth,
+        textureHeight: this.gridTextureHeight,
+        cellSize: /** @type {[number, number, number]} */ (this.worldSize.map((size, axis) => size / this.meshConfig.gridSize[axis])),
+        gravityStrength: this.gravityStrength,
+        softening: this.softening
+      });
+      this._computeGreenSpectrum();
+    }
     
     // Gradient kernel
     this.gradientKernel = new KGradient({
@@ -222,11 +319,12 @@ export class GravityMesh {
       outForceSpectrumX: this.forceSpectrumXTexture,
       outForceSpectrumY: this.forceSpectrumYTexture,
       outForceSpectrumZ: this.forceSpectrumZTexture,
-      gridSize: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+      gridSize: this.pmGridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
-      textureWidth: this.gridTextureWidth,
+      textureWidth: this.spectrumTextureWidth,
       textureHeight: this.gridTextureHeight,
-      worldSize: /** @type {[number, number, number]} */ (this.worldSize)
+      halfSpectrum: this.halfSpectrum,
+      worldSize: gridWorldSize
     });
     
     // Note: No separate inverse kernel needed when reusing spectral KFFT.
@@ -237,40 +335,78 @@ export class GravityMesh {
       particleCount: this.particleCount,
       particleTextureWidth: this.textureWidth,
       particleTextureHeight: this.textureHeight,
-      gridSize: this.meshConfig.gridSize[0], // Note: KForceSample expects cubic grid; use first dimension
-      slicesPerRow: this.meshConfig.slicesPerRow,
-      textureWidth: this.gridTextureWidth,
-      textureHeight: this.gridTextureHeight,
-      worldBounds: this.worldBounds,
-      accumulate: false
-    });
-    
-    // Near-field kernel
-    this.nearFieldKernel = new KNearField({
-      gl: this.gl,
-      gridSize: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+      gridSize: this.pmGridSize,
       slicesPerRow: this.meshConfig.slicesPerRow,
       textureWidth: this.gridTextureWidth,
       textureHeight: this.gridTextureHeight,
-      worldBounds: this.worldBounds,
-      softening: this.softening,
-      gravityStrength: this.gravityStrength,
-      nearFieldRadius: this.meshConfig.nearFieldRadius
+      worldBounds: gridBounds,
+      assignment: this.meshConfig.assignment,
+      accumulate: false,
+      inPotentialGrid: null,  // lent per frame
+      potential: this.potential
     });
     
-    // Near-field force sampling kernel (accumulate mode)
-    this.nearFieldSampleKernel = new KForceSample({
-      gl: this.gl,
-      particleCount: this.particleCount,
-      particleTextureWidth: this.textureWidth,
-      particleTextureHeight: this.textureHeight,
-      gridSize: this.meshConfig.gridSize[0], // Note: KForceSample expects cubic grid; use first dimension
-      slicesPerRow: this.meshConfig.slicesPerRow,
-      textureWidth: this.gridTextureWidth,
-      textureHeight: this.gridTextureHeight,
-      worldBounds: this.worldBounds,
-      accumulate: true
-    });
+    // Refinement patches: finer grids over overdense regions, bounded by the mesh potential
+    /** @type {PMPatches | null} */
+    this.patches = null;
+    if (this.meshConfig.patches) {
+      this.patches = new PMPatches({
+        gl: this.gl,
+        particleCount: this.particleCount,
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        parentTextureWidth: this.gridTextureWidth,
+        parentTextureHeight: this.gridTextureHeight,
+        parentSpectrumTextureWidth: this.spectrumTextureWidth,
+        assignment: this.meshConfig.assignment,
+        disableFloatBlend: this.disableFloatBlend,
+        ...this.meshConfig.patches
+      });
+    }
+
+    // Short-range pairs complementing the Gaussian split (P³M): particles sorted into
+    // chaining cells at least nearFieldRadius mesh cells wide, then the erfc pair kernel
+    // accumulated onto the sampled mesh force. Without a split there is nothing to add.
+    this.cellSortKernel = null;
+    /** @type {KNearField | null} */
+    this.nearFieldKernel = null;
+    if (this.meshConfig.splitSigma > 0) {
+      const chainingCells = Math.min(Nx, Ny, Nz) / this.meshConfig.nearFieldRadius;
+      const cellGridSize = Math.min(256, Math.max(2, 2 ** Math.floor(Math.log2(Math.max(1, chainingCells)))));
+
+      this.cellSortKernel = new KCellSort({
+        gl: this.gl,
+        inPosition: null,
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        particleCount: this.particleCount,
+        gridSize: cellGridSize,
+        worldBounds: this.worldBounds
+      });
+
+      this.nearFieldKernel = new KNearField({
+        gl: this.gl,
+        inPosition: null,
+        inCells: this.cellSortKernel.outCells,
+        inSorted: this.cellSortKernel.outSorted,
+        outForce: this.forceSampleKernel.outForce,
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        particleCount: this.particleCount,
+        gridSize: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+        cellGridSize,
+        cellTextureWidth: this.cellSortKernel.cellTextureWidth,
+        sortTextureWidth: this.cellSortKernel.sortTextureWidth,
+        worldBounds: this.worldBounds,
+        softening: this.softening,
+        gravityStrength: this.gravityStrength,
+        nearFieldRadius: this.meshConfig.nearFieldRadius,
+        splitSigma: this.meshConfig.splitSigma,
+        boundary: isolated ? 'open' : 'periodic',
+        accumulate: true,
+        potential: this.potential
+      });
+    }
 
     // Create velocity and position integrator kernels
     this.integrateEulerKernel = new KIntegrateEuler({
@@ -282,12 +418,24 @@ export class GravityMesh {
       dt: this.dt,
       damping: this.damping,
       maxSpeed: this.maxSpeed,
-      maxAccel: this.maxAccel
+      maxAccel: this.maxAccel,
+      walls: this.walls,
+      restitution: this.restitution,
+      worldBounds: this.worldBounds
     });
 
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
+    // Adds sampled forces into an external target when used as a ParticleSystem force module
+    this.forceAccumulateKernel = new KForceAccumulate({
+      gl: this.gl,
+      inForce: null,  // wired from force sampling
+      outForce: null,  // wired from accumulate() context
+      width: this.textureWidth,
+      height: this.textureHeight
+    });
+
     // GPU bounds reduction (periodic)
     this.boundsReduce = new KBoundsReduce({
       gl: this.gl,
@@ -307,47 +455,11 @@ export class GravityMesh {
   step() {
     // 1. Deposit particles onto mesh
     this._depositMass();
+    this._detectPatches();
 
     // Periodic GPU bounds check: run KBoundsReduce every boundsInterval frames
-    if (this.boundsReduce && (this.frameCount % this.boundsInterval === 0)) {
-      const gl = this.gl;
-      this.boundsReduce.inPosition = this.positionMassTexture;
-      this.boundsReduce.particleTextureWidth = this.textureWidth;
-      this.boundsReduce.particleTextureHeight = this.textureHeight;
-      this.boundsReduce.particleCount = this.particleCount;
-      this.boundsReduce.run();
-
-      // Read back 2x1 bounds texture (min, max) using pre-allocated resources
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundsReadbackFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsReduce.outBounds, 0);
-      gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, this.boundsReadbackBuffer);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-      const newMin = [this.boundsReadbackBuffer[0], this.boundsReadbackBuffer[1], this.boundsReadbackBuffer[2]];
-      const newMax = [this.boundsReadbackBuffer[4], this.boundsReadbackBuffer[5], this.boundsReadbackBuffer[6]];
-      const marginFactor = 0.05;
-      const outMin = [0, 0, 0], outMax = [0, 0, 0];
-      for (let i = 0; i < 3; i++) {
-        const span = Math.max(1e-6, newMax[i] - newMin[i]);
-        outMin[i] = newMin[i] - marginFactor * span;
-        outMax[i] = newMax[i] + marginFactor * span;
-      }
-      this.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-
-      const newWorldSize = [outMax[0] - outMin[0], outMax[1] - outMin[1], outMax[2] - outMin[2]];
-      const [Nx, Ny, Nz] = this.meshConfig.gridSize;
-      const newCellVolume = (newWorldSize[0] * newWorldSize[1] * newWorldSize[2]) / (Nx * Ny * Nz);
-      const massToDensity = 1.0 / newCellVolume;
-      this.cellVolume = newCellVolume;
-
-      // Propagate scaling/bounds updates
-      if (this.fftKernel) this.fftKernel.massToDensity = massToDensity;
-      if (this.poissonKernel) this.poissonKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-      if (this.gradientKernel) this.gradientKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-      if (this.forceSampleKernel) this.forceSampleKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-      if (this.depositKernel) this.depositKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-      if (this.nearFieldKernel) this.nearFieldKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-      if (this.nearFieldSampleKernel) this.nearFieldSampleKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+    if (this.boundsReduce && !hasWalls(this.walls) && (this.frameCount % this.boundsInterval === 0)) {
+      this._updateBounds();
     }
     
     // 2. Compute mesh forces
@@ -358,13 +470,162 @@ export class GravityMesh {
     
     // 4. Compute near-field correction
     this._computeNearField();
+
+    // 5. Refinement patches take over the particles they cover
+    this._refinePatches();
     
-    // 5. Integrate physics
+    // 6. Integrate physics
     this._integratePhysics();
     
     this.frameCount++;
   }
 
+  /**
+   * Accumulate gravitational forces into an external force target (ParticleSystem force module).
+   * Runs the PM pipeline on ctx.positionTexture; the system's own integrator is not run.
+   * Cosmological runs accumulate the comoving force: the 1/a³ and the drag are the caller's.
+   * @param {import('../../particle-system.js').ForceContext} ctx
+   */
+  accumulate(ctx) {
+    const ownPosition = this.positionMassTexture;
+    this.positionMassTexture = ctx.positionTexture;
+
+    this._depositMass();
+    this._detectPatches();
+    if (this.boundsReduce && !hasWalls(this.walls) && (this.frameCount % this.boundsInterval === 0)) {
+      this._updateBounds();
+    }
+    this._computeMeshForces();
+    this._sampleForces();
+    this._computeNearField();
+    this._refinePatches();
+
+    this.forceAccumulateKernel.inForce = this.forceSampleKernel.outForce;
+    this.forceAccumulateKernel.outForce = ctx.targetForceTexture;
+    this.forceAccumulateKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+    this.forceAccumulateKernel.run();
+
+    // Release borrowed textures so dispose() does not delete them
+    this.positionMassTexture = ownPosition;
+    this.depositKernel.inPosition = null;
+    this.forceSampleKernel.inPosition = null;
+    if (this.cellSortKernel) this.cellSortKernel.inPosition = null;
+    if (this.nearFieldKernel) this.nearFieldKernel.inPosition = null;
+    this.boundsReduce.inPosition = null;
+    this.forceAccumulateKernel.inForce = null;
+    this.forceAccumulateKernel.outForce = null;
+    this.forceAccumulateKernel.outForceFramebuffer = null;
+
+    this.frameCount++;
+  }
+
+  /**
+   * Bounds covered by the PM grid: worldBounds, extended to twice the box when isolated
+   * @returns {{ min: [number, number, number], max: [number, number, number] }}
+   */
+  _gridBounds() {
+    const { min, max } = this.worldBounds;
+    const scale = this.meshConfig.isolated ? 2 : 1;
+    return {
+      min: [min[0], min[1], min[2]],
+      max: [min[0] + scale * (max[0] - min[0]), min[1] + scale * (max[1] - min[1]), min[2] + scale * (max[2] - min[2])]
+    };
+  }
+
+  /**
+   * Isolated mesh: write the real-space Green's function and transform it with the
+   * shared KFFT into poissonKernel.inGreenSpectrum, scaled by the cell volume so the
+   * convolution with the density spectrum sums G over node masses (see GravitySpectral).
+   */
+  _computeGreenSpectrum() {
+    if (!this.greenKernel || !this.fftKernel || !this.poissonKernel) return;
+    this.greenKernel.run();
+
+    const real = this.fftKernel.real;
+    const massToDensity = this.fftKernel.massToDensity;
+    const complexTo = this.fftKernel.complexTo;
+
+    this.fftKernel.inverse = false;
+    this.fftKernel.real = this.greenKernel.outGreen;
+    this.fftKernel.massToDensity = this.cellVolume;
+    this.fftKernel.complexTo = this.poissonKernel.inGreenSpectrum;
+    this.fftKernel.run();
+
+    this.poissonKernel.inGreenSpectrum = this.fftKernel.complexTo;
+    this.fftKernel.complexTo = complexTo;
+    this.fftKernel.real = real;
+    this.fftKernel.massToDensity = massToDensity;
+  }
+
+  /**
+   * Recompute world bounds via KBoundsReduce readback and propagate
+   * the new bounds and grid scaling to all PM kernels.
+   */
+  _updateBounds() {
+    const gl = this.gl;
+    this.boundsReduce.inPosition = this.positionMassTexture;
+    this.boundsReduce.particleTextureWidth = this.textureWidth;
+    this.boundsReduce.particleTextureHeight = this.textureHeight;
+    this.boundsReduce.particleCount = this.particleCount;
+    this.boundsReduce.run();
+
+    // Read back 2x1 bounds texture (min, max) using pre-allocated resources
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundsReadbackFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsReduce.outBounds, 0);
+    gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, this.boundsReadbackBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const newMin = [this.boundsReadbackBuffer[0], this.boundsReadbackBuffer[1], this.boundsReadbackBuffer[2]];
+    const newMax = [this.boundsReadbackBuffer[4], this.boundsReadbackBuffer[5], this.boundsReadbackBuffer[6]];
+    const marginFactor = 0.05;
+    const outMin = [0, 0, 0], outMax = [0, 0, 0];
+    for (let i = 0; i < 3; i++) {
+      const span = Math.max(1e-6, newMax[i] - newMin[i]);
+      outMin[i] = newMin[i] - marginFactor * span;
+      outMax[i] = newMax[i] + marginFactor * span;
+    }
+    this.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+
+    const newWorldSize = [outMax[0] - outMin[0], outMax[1] - outMin[1], outMax[2] - outMin[2]];
+    const [Nx, Ny, Nz] = this.meshConfig.gridSize;
+    const newCellVolume = (newWorldSize[0] * newWorldSize[1] * newWorldSize[2]) / (Nx * Ny * Nz);
+    const massToDensity = 1.0 / newCellVolume;
+    this.cellVolume = newCellVolume;
+
+    // Propagate scaling/bounds updates (the FFT pipeline spans the padding when isolated)
+    const gridBounds = this._gridBounds();
+    const gridWorldSize = /** @type {[number,number,number]} */ (newWorldSize.map(size => this.meshConfig.isolated ? 2 * size : size));
+    if (this.fftKernel) this.fftKernel.massToDensity = massToDensity;
+    if (this.poissonKernel) this.poissonKernel.worldSize = gridWorldSize;
+    if (this.gradientKernel) this.gradientKernel.worldSize = gridWorldSize;
+    if (this.forceSampleKernel) this.forceSampleKernel.worldBounds = gridBounds;
+    if (this.depositKernel) this.depositKernel.worldBounds = gridBounds;
+    if (this.cellSortKernel) this.cellSortKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+    if (this.nearFieldKernel) this.nearFieldKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+
+    // A derived split follows the mesh cell size, on both sides of the split
+    if (this.meshConfig.autoSplitSigma) {
+      this.meshConfig.splitSigma = defaultSplitSigma(newWorldSize, this.meshConfig.gridSize, this.meshConfig.nearFieldRadius);
+      if (this.poissonKernel) this.poissonKernel.treePMSigma = this.meshConfig.splitSigma;
+      if (this.nearFieldKernel) this.nearFieldKernel.splitSigma = this.meshConfig.splitSigma;
+    }
+
+    // The Green's function depends on the cell size: transform it again
+    if (this.greenKernel) {
+      this.greenKernel.cellSize = /** @type {[number,number,number]} */ (newWorldSize.map((size, axis) => size / this.meshConfig.gridSize[axis]));
+      this._computeGreenSpectrum();
+    }
+  }
+
+  /**
+   * Force texture of the last force evaluation, with the potential φ per unit mass in w
+   * (φ·mass is the particle's potential energy); null unless created with potential
+   * @returns {WebGLTexture | null}
+   */
+  get potentialTexture() {
+    return this.potential ? (this.forceSampleKernel.outForce || null) : null;
+  }
+
   /**
    * Expose particle texture size for external modules (e.g., graph forces)
    * @returns {{ width: number, height: number }}
@@ -384,10 +645,17 @@ export class GravityMesh {
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       worldSize: [...this.worldSize],
       gridSize: [...this.meshConfig.gridSize],
+      isolated: this.meshConfig.isolated,
+      potential: this.potential,
+      patches: this.patches && this.patches.valueOf({ pixels }),
+      cosmology: this.cosmology,
+      scaleFactor: this.scaleFactor,
       slicesPerRow: this.meshConfig.slicesPerRow,
       textureWidth: this.gridTextureWidth,
       textureHeight: this.gridTextureHeight,
       cellVolume: this.cellVolume,
+      splitSigma: this.meshConfig.splitSigma,
+      nearFieldRadius: this.meshConfig.nearFieldRadius,
       massToDensity: this.fftKernel ? this.fftKernel.massToDensity : (1 / this.cellVolume),
       particleTexture: { width: this.textureWidth, height: this.textureHeight, count: this.particleCount },
       resources: {
@@ -405,16 +673,19 @@ export class GravityMesh {
       kernels: {
         deposit: this.depositKernel && this.depositKernel.renderCount,
         poisson: this.poissonKernel && this.poissonKernel.renderCount,
+        green: this.greenKernel && this.greenKernel.renderCount,
         gradient: this.gradientKernel && this.gradientKernel.renderCount,
+        cellSort: this.cellSortKernel && this.cellSortKernel.renderCount,
         nearField: this.nearFieldKernel && this.nearFieldKernel.renderCount,
         forceSample: this.forceSampleKernel && this.forceSampleKernel.renderCount
       }
     };
 
     value.toString = () =>
-`GravityMesh(grid=${value.gridSize[0]}×${value.gridSize[1]}×${value.gridSize[2]}, packed=${value.textureWidth}×${value.textureHeight}) frames=${value.frameCount}
+`GravityMesh(grid=${value.gridSize[0]}×${value.gridSize[1]}×${value.gridSize[2]}${value.isolated ? ' isolated' : ''}${value.potential ? ' potential' : ''}${value.cosmology ? ` a=${value.scaleFactor.toFixed(4)}` : ''}, packed=${value.textureWidth}×${value.textureHeight}) frames=${value.frameCount}
 bounds=[${value.worldBounds.min}]→[${value.worldBounds.max}] worldSize=[${value.worldSize}] cellVolume=${value.cellVolume.toExponential()} massToDensity=${value.massToDensity.toExponential()}
-resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resources.forceGridX},${value.resources.forceGridY},${value.resources.forceGridZ}] spectra=[${value.resources.forceSpectrumXTexture},${value.resources.forceSpectrumYTexture},${value.resources.forceSpectrumZTexture}]`;
+split: σ=${value.splitSigma} nearFieldRadius=${value.nearFieldRadius} cells${this.nearFieldKernel ? '' : ' (no near field)'}
+${value.patches ? `${value.patches}\n` : ''}resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resources.forceGridX},${value.resources.forceGridY},${value.resources.forceGridZ}] spectra=[${value.resources.forceSpectrumXTexture},${value.resources.forceSpectrumYTexture},${value.resources.forceSpectrumZTexture}]`;
 
     return value;
   }
@@ -468,6 +739,24 @@ resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resou
     // Inverse FFT for each force component: force spectra -> force grids
     this.fftKernel.inverse = true;
 
+    // Patches need the potential itself in real space for their boundaries, and so does
+    // the potential option: the gradient is done with the spectrum, and the patches lend
+    // a scratch spectrum for the transform (or Poisson's spent density spectrum serves)
+    if (this.patches || this.potential) {
+      this.fftKernel.complexFrom = this.gradientKernel.inPotentialSpectrum;
+      this.gradientKernel.inPotentialSpectrum = null;
+      this.fftKernel.complexTo = this.patches ? this.patches.scratchSpectrum : this.poissonKernel.inDensitySpectrum;
+      if (this.patches) this.patches.scratchSpectrum = null;
+      this.fftKernel.real = /** @type {WebGLTexture} */ (this.patches ? this.patches.parentPotential : this.potentialGrid);
+      this.fftKernel.run();
+      // Both are scratch now: one back to its lender, one where the gradient left it
+      if (this.patches) this.patches.scratchSpectrum = this.fftKernel.complexTo;
+      else this.poissonKernel.inDensitySpectrum = this.fftKernel.complexTo;
+      this.gradientKernel.inPotentialSpectrum = this.fftKernel.complexFrom;
+      this.fftKernel.complexFrom = null;
+      this.fftKernel.complexTo = null;
+    }
+
     // X component
     this.fftKernel.complexFrom = this.gradientKernel.outForceSpectrumX;
     this.gradientKernel.outForceSpectrumX = null;
@@ -513,29 +802,76 @@ resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resou
     this.forceSampleKernel.inForceGridX = this.forceGridX;
     this.forceSampleKernel.inForceGridY = this.forceGridY;
     this.forceSampleKernel.inForceGridZ = this.forceGridZ;
+    if (this.potential) this.forceSampleKernel.inPotentialGrid = this.patches ? this.patches.parentPotential : this.potentialGrid;
     this.forceSampleKernel.run();
+    this.forceSampleKernel.inPotentialGrid = null;
   }
   
   _computeNearField() {
-    if (!this.nearFieldKernel || !this.nearFieldSampleKernel) {
-      throw new Error('Near-field kernels missing');
-    }
+    // Unsplit mesh (splitSigma 0): the PM force is already the whole force
+    if (!this.cellSortKernel || !this.nearFieldKernel) return;
     if (!this.positionMassTexture) throw new Error('Position textures missing');
-    
-    // Compute near-field correction per voxel
-    this.nearFieldKernel.inMassGrid = this.depositKernel.outGrid;
+
+    // Sort particles into chaining cells
+    this.cellSortKernel.inPosition = this.positionMassTexture;
+    this.cellSortKernel.run();
+
+    // Short-range pairs, added onto the sampled mesh force
+    this.nearFieldKernel.inPosition = this.positionMassTexture;
+    this.nearFieldKernel.outForce = this.forceSampleKernel.outForce;
     this.nearFieldKernel.run();
-    
-    // Sample near-field forces and accumulate
-  this.nearFieldSampleKernel.inPosition = this.positionMassTexture;
-    this.nearFieldSampleKernel.inForceGridX = this.nearFieldKernel.outForceX;
-    this.nearFieldSampleKernel.inForceGridY = this.nearFieldKernel.outForceY;
-    this.nearFieldSampleKernel.inForceGridZ = this.nearFieldKernel.outForceZ;
-    this.nearFieldSampleKernel.outForce = this.forceSampleKernel.outForce;
-    this.nearFieldSampleKernel.run();
+  }
+  
+  /**
+   * Every patches.interval frames: place refinement patches over the overdense
+   * regions of the freshly deposited mass grid
+   */
+  _detectPatches() {
+    if (!this.patches || this.frameCount % this.patches.interval !== 0) return;
+    this.patches.detect({
+      massGrid: /** @type {WebGLTexture} */ (this.depositKernel.outGrid),
+      parent: this._patchParent(),
+      region: /** @type {[number, number, number]} */ (this.meshConfig.gridSize),
+      periodic: !this.meshConfig.isolated
+    });
+  }
+
+  /**
+   * Solve the refinement patches and let them replace the sampled mesh (and near-field)
+   * force of the particles they cover
+   */
+  _refinePatches() {
+    if (!this.patches) return;
+    if (!this.positionMassTexture) throw new Error('Position textures missing');
+
+    this.forceSampleKernel.outForce = this.patches.refine({
+      inPosition: this.positionMassTexture,
+      force: /** @type {WebGLTexture} */ (this.forceSampleKernel.outForce),
+      parent: this._patchParent(),
+      gravitationalConstant: 4.0 * Math.PI * this.gravityStrength
+    });
+  }
+
+  /**
+   * Geometry of the grid the patches take their boundary potential from
+   * @returns {import('../spectral/pm-patches.js').ParentGrid}
+   */
+  _patchParent() {
+    return {
+      gridSize: this.pmGridSize,
+      slicesPerRow: this.meshConfig.slicesPerRow,
+      bounds: this._gridBounds()
+    };
   }
   
   _integratePhysics() {
+    // Comoving force scale and Hubble drag at the half step
+    const expansion = this.cosmology && comovingStep(this.cosmology, this.scaleFactor, this.dt);
+    if (expansion) {
+      this.integrateEulerKernel.forceScale = expansion.forceScale;
+      this.integrateEulerKernel.hubbleDrag = expansion.hubbleDrag;
+    }
+
     // allow external inputs
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
     this.integrateEulerKernel.inPosition = this.positionMassTexture;
@@ -550,6 +886,8 @@ resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resou
     this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
     this.integrateEulerKernel.inPosition = this.positionMassTexture;
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+
+    if (expansion) this.scaleFactor = expansion.scaleFactor;
   }
   
 
@@ -561,11 +899,24 @@ resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resou
     if (this.depositKernel) this.depositKernel.dispose();
   if (this.fftKernel) this.fftKernel.dispose();
     if (this.poissonKernel) this.poissonKernel.dispose();
+    if (this.greenKernel) this.greenKernel.dispose();
     if (this.gradientKernel) this.gradientKernel.dispose();
     if (this.forceSampleKernel) this.forceSampleKernel.dispose();
-    if (this.nearFieldKernel) this.nearFieldKernel.dispose();
-    if (this.nearFieldSampleKernel) this.nearFieldSampleKernel.dispose();
+    if (this.patches) this.patches.dispose();
+    if (this.nearFieldKernel) {
+      // Cell lists belong to the sort, outForce to the force sampler
+      this.nearFieldKernel.inPosition = null;
+      this.nearFieldKernel.inCells = null;
+      this.nearFieldKernel.inSorted = null;
+      this.nearFieldKernel.outForce = null;
+      this.nearFieldKernel.dispose();
+    }
+    if (this.cellSortKernel) {
+      this.cellSortKernel.inPosition = null;
+      this.cellSortKernel.dispose();
+    }
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.forceAccumulateKernel) this.forceAccumulateKernel.dispose();
   if (this.boundsReduce) this.boundsReduce.dispose();
   if (this.boundsReadbackFBO) gl.deleteFramebuffer(this.boundsReadbackFBO);
     
@@ -585,6 +936,7 @@ resources: massGrid=${value.resources.massGridTexture} forceGrids=[${value.resou
     if (this.forceGridZ) {
       gl.deleteTexture(this.forceGridZ);
     }
+    if (this.potentialGrid) gl.deleteTexture(this.potentialGrid);
     
     if (this.quadVAO) {
       gl.deleteVertexArray(this.quadVAO);
@@ -638,3 +990,15 @@ function createComplexTexture(gl, width, height) {
   
   return texture;
 }
+
+/**
+ * Split width for a cutoff of nearFieldRadius mesh cells: GADGET's TreePM cuts at
+ * 4.5 r_s, where its exp(-k² r_s²) filter is KPoisson's exp(-k²σ²/2) with σ = √2 r_s
+ * @param {number[]} worldSize
+ * @param {number[]} gridSize
+ * @param {number} nearFieldRadius
+ */
+function defaultSplitSigma(worldSize, gridSize, nearFieldRadius) {
+  const cell = Math.min(worldSize[0] / gridSize[0], worldSize[1] / gridSize[1], worldSize[2] / gridSize[2]);
+  return Math.SQRT2 * nearFieldRadius * cell / 4.5;
+}
@@ -3,24 +3,15 @@
 /**
  * KDeposit - Deposits particle mass onto mesh grid
  * 
- * Aggregates particles into 3D grid using NGP or CIC mass assignment.
+ * Aggregates particles into 3D grid using NGP, CIC, TSC or PCS mass assignment:
+ * one additive pass per stencil node (1, 8, 27 or 64), see ../assignment.js.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import depositVertSrc from './shaders/deposit.vert.js';
 import depositFragSrc from './shaders/deposit.frag.js';
 import { readLinear, readGrid3D, formatNumber } from '../diag.js';
-
-const CIC_OFFSETS = [
-  [0, 0, 0],
-  [1, 0, 0],
-  [0, 1, 0],
-  [1, 1, 0],
-  [0, 0, 1],
-  [1, 0, 1],
-  [0, 1, 1],
-  [1, 1, 1]
-];
+import { assignmentOffsets, assignmentOrder } from '../assignment.js';
 
 export class KDeposit {
   /**
@@ -37,7 +28,7 @@ export class KDeposit {
    *   textureWidth?: number,
    *   textureHeight?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   assignment?: 'ngp' | 'cic',
+   *   assignment?: 'ngp' | 'cic' | 'tsc' | 'pcs',
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -71,8 +62,9 @@ export class KDeposit {
       max: [4, 4, 4]
     };
 
-    // Assignment method
+    // Assignment method (validated here, order resolved per run)
     this.assignment = options.assignment || 'ngp';
+    assignmentOrder(this.assignment);
 
     // Float blend flag
     this.disableFloatBlend = options.disableFloatBlend || false;
@@ -248,11 +240,11 @@ position: ${value.position}
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'), this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_particleSize'), 1.0);
 
-    const assignmentValue = this.assignment === 'cic' ? 1 : 0;
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_assignment'), assignmentValue);
+    const order = assignmentOrder(this.assignment);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_order'), order);
 
     const offsetLoc = gl.getUniformLocation(this.program, 'u_offset');
-    const offsets = assignmentValue === 1 ? CIC_OFFSETS : [[0, 0, 0]];
+    const offsets = assignmentOffsets(order);
 
     gl.bindVertexArray(this.particleVAO);
     for (const offset of offsets) {
@@ -572,3 +572,89 @@ test('KDeposit.diagnostic: out-of-bounds particle handling', async () => {
   gl.deleteTexture(posTex);
   resetGL();
 });
+
+/**
+ * CPU reference: 1D B-spline weight of node (base + offset), t = gridPos - base
+ * @param {number} t
+ * @param {number} offset
+ * @param {number} order
+ */
+function splineWeight1D(t, offset, order) {
+  if (order === 3) return offset === 0 ? 0.75 - t * t : 0.5 * (0.5 + offset * t) ** 2;
+  if (offset === -1) return (1 - t) ** 3 / 6;
+  if (offset === 0) return (4 - 6 * t * t + 3 * t ** 3) / 6;
+  if (offset === 1) return (1 + 3 * t + 3 * t * t - 3 * t ** 3) / 6;
+  return t ** 3 / 6;
+}
+
+/**
+ * Test 5: TSC and PCS spread one particle over 27 and 64 nodes, wrapping periodically
+ */
+test('KDeposit: TSC and PCS weights match the CPU reference', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+
+  // Grid position (2.3, 0.8, 3.45): the stencils wrap across the y and z faces
+  const posData = new Float32Array([0.3, -1.2, 1.45, 2.0]);
+  const posTex = createTestTexture(gl, 1, 1, posData);
+  const gridPos = [2.3, 0.8, 3.45];
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({
+    min: [-2, -2, -2],
+    max: [2, 2, 2]
+  });
+
+  for (const [assignment, order] of /** @type {const} */ ([['tsc', 3], ['pcs', 4]])) {
+    const kernel = new KDeposit({
+      gl,
+      inPosition: posTex,
+      particleCount: 1,
+      particleTextureWidth: 1,
+      particleTextureHeight: 1,
+      gridSize,
+      slicesPerRow,
+      worldBounds,
+      assignment
+    });
+
+    kernel.run();
+
+    if (!kernel.outGrid) throw new Error('kernel.outGrid is null');
+    const outData = readTexture(gl, kernel.outGrid, textureSize, textureSize);
+
+    const expected = new Float32Array(gridSize ** 3);
+    const base = gridPos.map(g => order === 3 ? Math.floor(g + 0.5) : Math.floor(g));
+    const t = gridPos.map((g, axis) => g - base[axis]);
+    const hi = order === 3 ? 1 : 2;
+    for (let dz = -1; dz <= hi; dz++)
+      for (let dy = -1; dy <= hi; dy++)
+        for (let dx = -1; dx <= hi; dx++) {
+          const [vx, vy, vz] = [dx, dy, dz].map((d, axis) => (base[axis] + d + gridSize) % gridSize);
+          expected[(vz * gridSize + vy) * gridSize + vx] += 2.0 *
+            splineWeight1D(t[0], dx, order) * splineWeight1D(t[1], dy, order) * splineWeight1D(t[2], dz, order);
+        }
+
+    let totalMass = 0;
+    for (let vz = 0; vz < gridSize; vz++)
+      for (let vy = 0; vy < gridSize; vy++)
+        for (let vx = 0; vx < gridSize; vx++) {
+          const [mass] = readVoxel(outData, vx, vy, vz, gridSize, slicesPerRow);
+          totalMass += mass;
+          assertClose(mass, expected[(vz * gridSize + vy) * gridSize + vx], 1e-5,
+            `${assignment} voxel (${vx}, ${vy}, ${vz})\n\n${kernel.toString()}`);
+        }
+    assertClose(totalMass, 2.0, 1e-4, `${assignment} conserves mass (got ${totalMass})`);
+
+    kernel.inPosition = null;
+    disposeKernel(kernel);
+  }
+
+  assert.throws(() => new KDeposit({ gl, particleCount: 1, gridSize, assignment: /** @type {any} */ ('spline') }),
+    /Unknown assignment/);
+
+  gl.deleteTexture(posTex);
+  resetGL();
+});
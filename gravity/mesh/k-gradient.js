@@ -4,6 +4,7 @@
  * KGradient - Computes force spectra from potential spectrum
  * 
  * Calculates gradient in Fourier space to obtain force components (Fx, Fy, Fz).
+ * halfSpectrum: spectra hold only the Nx/2+1 non-negative X frequencies (KFFT halfSpectrum).
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
@@ -26,6 +27,7 @@ export class KGradient {
    *   textureSize?: number,
    *   textureWidth?: number,
    *   textureHeight?: number,
+   *   halfSpectrum?: boolean,
    *   worldSize?: [number,number,number]
    * }} options
    */
@@ -39,7 +41,10 @@ export class KGradient {
       : [rawGridSize, rawGridSize, rawGridSize];
     const [Nx, Ny, Nz] = this.gridSize;
     this.slicesPerRow = options.slicesPerRow || Math.ceil(Math.sqrt(Nz));
-    this.textureWidth = options.textureWidth || options.textureSize || (Nx * this.slicesPerRow);
+    this.halfSpectrum = options.halfSpectrum || false;
+    // Nodes along X in the spectrum layout
+    this.spectrumWidth = this.halfSpectrum ? Math.floor(Nx / 2) + 1 : Nx;
+    this.textureWidth = options.textureWidth || options.textureSize || (this.spectrumWidth * this.slicesPerRow);
     this.textureHeight = options.textureHeight || options.textureSize || (Ny * Math.ceil(Nz / this.slicesPerRow));
     this.textureSize = /** @deprecated */ (typeof options.textureSize === 'number' ? options.textureSize : this.textureWidth);
     
@@ -163,12 +168,13 @@ export class KGradient {
       textureSize: this.textureSize,
       textureWidth: this.textureWidth,
       textureHeight: this.textureHeight,
+      halfSpectrum: this.halfSpectrum,
       worldSize: [...this.worldSize],
       renderCount: this.renderCount
     };
     
     value.toString = () =>
-`KGradient(${this.gridSize[0]}×${this.gridSize[1]}×${this.gridSize[2]} grid) texture=${this.textureWidth}×${this.textureHeight} worldSize=[${this.worldSize}] #${this.renderCount}
+`KGradient(${this.gridSize[0]}×${this.gridSize[1]}×${this.gridSize[2]} grid) texture=${this.textureWidth}×${this.textureHeight}${this.halfSpectrum ? ' half-spectrum' : ''} worldSize=[${this.worldSize}] #${this.renderCount}
 
 potentialSpectrum: ${value.potentialSpectrum}
 
@@ -220,6 +226,7 @@ potentialSpectrum: ${value.potentialSpectrum}
     
     // Set uniforms
     gl.uniform3i(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_spectrumWidth'), this.spectrumWidth);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     // Provide packed texture dimensions for non-square support
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
@@ -1,66 +1,108 @@
 // @ts-check
 
 /**
- * KNearField - Computes near-field corrections
- * 
- * Computes real-space near-field forces to correct mesh approximation errors.
+ * KNearField - Short-range particle-particle forces for the TreePM/P³M split
+ *
+ * The mesh carries the long-range part of gravity: KPoisson filters the potential with
+ * exp(-k²σ²/2), which in real space is every mass smeared into a Gaussian of width σ.
+ * This kernel adds the complementary short-range part between real particles:
+ *
+ *   a = G m r / (r² + ε²)^1.5 · [erfc(x) + 2x/√π · exp(-x²)],  x = r / (√2 σ)
+ *
+ * summed over every particle within nearFieldRadius mesh cells. Neighbours are found
+ * through the cell table and Morton-sorted list built by KCellSort (multipole): the
+ * chaining cells should be at least the cutoff wide, so the sphere stays inside the
+ * 27 cells around a particle; narrower cells widen the walk up to MAX_REACH per axis.
+ * With splitSigma 0 the pairs are plain softened Newton inside the cutoff.
+ * With accumulate set, results are added into outForce (the sampled mesh force).
+ * With potential on, w holds the short-range -G·m·erfc(x) / sqrt(r² + ε²), less the
+ * sqrt(2/π)·G·m/σ self-term the mesh adds by pairing a particle with its own Gaussian.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
-import { formatNumber, readGrid3D, readLinear } from '../diag.js';
+import { formatNumber, readLinear } from '../diag.js';
+import { cellKeyGlsl } from '../multipole/k-cell-sort.js';
 
 export class KNearField {
   /**
    * @param {{
    *   gl: WebGL2RenderingContext,
-   *   inMassGrid?: WebGLTexture|null,
-   *   outForceX?: WebGLTexture|null,
-   *   outForceY?: WebGLTexture|null,
-   *   outForceZ?: WebGLTexture|null,
-   *   quadVAO?: WebGLVertexArrayObject|null,
+   *   inPosition?: WebGLTexture|null,
+   *   inCells?: WebGLTexture|null,
+   *   inSorted?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   particleTextureWidth?: number,
+   *   particleTextureHeight?: number,
+   *   particleCount?: number,
    *   gridSize?: number | [number, number, number],
-   *   slicesPerRow?: number,
-   *   textureSize?: number,
-   *   textureWidth?: number,
-   *   textureHeight?: number,
+   *   cellGridSize?: number,
+   *   cellTextureWidth?: number,
+   *   sortTextureWidth?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
    *   softening?: number,
    *   gravityStrength?: number,
-   *   nearFieldRadius?: number
+   *   nearFieldRadius?: number,
+   *   splitSigma?: number,
+   *   boundary?: 'open' | 'periodic',
+   *   accumulate?: boolean,
+   *   potential?: boolean
    * }} options
    */
   constructor(options) {
     this.gl = options.gl;
 
-    // Grid configuration (process gridSize early for texture creation)
+    // Particle texture dimensions
+    this.particleTextureWidth = options.particleTextureWidth || 0;
+    this.particleTextureHeight = options.particleTextureHeight || 0;
+    this.particleCount = options.particleCount !== undefined
+      ? options.particleCount
+      : this.particleTextureWidth * this.particleTextureHeight;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, this.particleTextureWidth, this.particleTextureHeight);
+    // Cell table and sorted list come from KCellSort
+    this.inCells = (options.inCells || options.inCells === null) ? options.inCells : null;
+    this.inSorted = (options.inSorted || options.inSorted === null) ? options.inSorted : null;
+    this.outForce = (options.outForce || options.outForce === null)
+      ? options.outForce
+      : createTextureRGBA32F(this.gl, this.particleTextureWidth, this.particleTextureHeight);
+
+    // Mesh grid: the cutoff is nearFieldRadius of its cells
     const rawGridSize = options.gridSize || 64;
-    this.gridSize = Array.isArray(rawGridSize) 
-      ? rawGridSize 
+    this.gridSize = Array.isArray(rawGridSize)
+      ? rawGridSize
       : [rawGridSize, rawGridSize, rawGridSize];
-    const [Nx, Ny, Nz] = this.gridSize;
-    this.slicesPerRow = options.slicesPerRow || Math.ceil(Math.sqrt(Nz));
-    this.textureWidth = options.textureWidth || options.textureSize || (Nx * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (Ny * Math.ceil(Nz / this.slicesPerRow));
-    this.textureSize = /** @deprecated */ (typeof options.textureSize === 'number' ? options.textureSize : this.textureWidth);
-
-    // Resource slots
-    this.inMassGrid = (options.inMassGrid || options.inMassGrid === null) ? options.inMassGrid : createGridTexture(this.gl, this.textureWidth, this.textureHeight);
-    this.outForceX = (options.outForceX || options.outForceX === null) ? options.outForceX : createGridTexture(this.gl, this.textureWidth, this.textureHeight);
-    this.outForceY = (options.outForceY || options.outForceY === null) ? options.outForceY : createGridTexture(this.gl, this.textureWidth, this.textureHeight);
-    this.outForceZ = (options.outForceZ || options.outForceZ === null) ? options.outForceZ : createGridTexture(this.gl, this.textureWidth, this.textureHeight);
-    this.quadVAO = (options.quadVAO || options.quadVAO === null) ? options.quadVAO : createQuadVAO(this.gl);
-
-    // World bounds
+
+    // Chaining grid and layout of the KCellSort outputs (defaults match KCellSort)
+    this.cellGridSize = options.cellGridSize || 16;
+    const cellBits = Math.log2(this.cellGridSize * this.cellGridSize * this.cellGridSize);
+    this.cellTextureWidth = options.cellTextureWidth || (1 << Math.ceil(cellBits / 2));
+    const sortBits = Math.ceil(Math.log2(Math.max(1, this.particleCount)));
+    this.sortTextureWidth = options.sortTextureWidth || (1 << Math.ceil(sortBits / 2));
+
     this.worldBounds = options.worldBounds || {
       min: [-4, -4, -4],
       max: [4, 4, 4]
     };
 
     // Physics parameters
-    this.softening = options.softening || 0.15;
-    this.gravityStrength = options.gravityStrength || 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.15;
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
     this.nearFieldRadius = options.nearFieldRadius || 2;
+    // Width of the Gaussian split (world units), same as KPoisson's treePMSigma
+    this.splitSigma = options.splitSigma || 0;
+
+    // The mesh is periodic: wrap the neighbourhood and use minimum-image separations
+    this.boundary = options.boundary || 'periodic';
+
+    // Add into outForce (additive blend) instead of overwriting it
+    this.accumulate = options.accumulate || false;
+
+    // Per-particle potential φ in outForce.w (0 when off)
+    this.potential = options.potential || false;
 
     // Compile and link shader program
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -97,48 +139,45 @@ export class KNearField {
     this.gl.deleteShader(vert);
     this.gl.deleteShader(frag);
 
-    // Create FBOs for three output textures
-    this.framebufferX = this.gl.createFramebuffer();
-    this.framebufferY = this.gl.createFramebuffer();
-    this.framebufferZ = this.gl.createFramebuffer();
-    if (!this.framebufferX || !this.framebufferY || !this.framebufferZ) {
-      throw new Error('Failed to create framebuffers');
-    }
-  }
-
-  _createForceTexture() {
-    const gl = this.gl;
-    const texture = gl.createTexture();
-    if (!texture) throw new Error('Failed to create texture');
-
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, this.textureSize, this.textureSize, 0, gl.RED, gl.FLOAT, null);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-
-    return texture;
-  }
-
-  _createQuadVAO() {
-    const gl = this.gl;
-    const vao = gl.createVertexArray();
-    if (!vao) throw new Error('Failed to create VAO');
-
-    gl.bindVertexArray(vao);
-    const buffer = gl.createBuffer();
-    if (!buffer) throw new Error('Failed to create buffer');
-
-    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-    const quadData = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-    gl.bufferData(gl.ARRAY_BUFFER, quadData, gl.STATIC_DRAW);
-    gl.enableVertexAttribArray(0);
-    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
-    gl.bindVertexArray(null);
+    // Cache uniform locations
+    this.uniforms = {
+      u_positions: this.gl.getUniformLocation(this.program, 'u_positions'),
+      u_cells: this.gl.getUniformLocation(this.program, 'u_cells'),
+      u_sorted: this.gl.getUniformLocation(this.program, 'u_sorted'),
+      u_useBoundsTexture: this.gl.getUniformLocation(this.program, 'u_useBoundsTexture'),
+      u_particleTexWidth: this.gl.getUniformLocation(this.program, 'u_particleTexWidth'),
+      u_particleCount: this.gl.getUniformLocation(this.program, 'u_particleCount'),
+      u_cellWidth: this.gl.getUniformLocation(this.program, 'u_cellWidth'),
+      u_sortWidth: this.gl.getUniformLocation(this.program, 'u_sortWidth'),
+      u_gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+      u_meshSize: this.gl.getUniformLocation(this.program, 'u_meshSize'),
+      u_worldMin: this.gl.getUniformLocation(this.program, 'u_worldMin'),
+      u_worldMax: this.gl.getUniformLocation(this.program, 'u_worldMax'),
+      u_G: this.gl.getUniformLocation(this.program, 'u_G'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening'),
+      u_potential: this.gl.getUniformLocation(this.program, 'u_potential'),
+      u_nearFieldRadius: this.gl.getUniformLocation(this.program, 'u_nearFieldRadius'),
+      u_splitSigma: this.gl.getUniformLocation(this.program, 'u_splitSigma'),
+      u_periodic: this.gl.getUniformLocation(this.program, 'u_periodic')
+    };
 
-    return vao;
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
   }
 
   /**
@@ -147,45 +186,36 @@ export class KNearField {
    */
   valueOf({ pixels } = {}) {
     const value = {
-      massGrid: this.inMassGrid && readGrid3D({
-        gl: this.gl, texture: this.inMassGrid, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize[0],
-        channels: ['mass'], pixels, format: this.gl.R32F
-      }),
-      forceX: this.outForceX && readGrid3D({
-        gl: this.gl, texture: this.outForceX, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize[0],
-        channels: ['fx'], pixels, format: this.gl.R32F
-      }),
-      forceY: this.outForceY && readGrid3D({
-        gl: this.gl, texture: this.outForceY, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize[0],
-        channels: ['fy'], pixels, format: this.gl.R32F
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
       }),
-      forceZ: this.outForceZ && readGrid3D({
-        gl: this.gl, texture: this.outForceZ, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize[0],
-        channels: ['fz'], pixels, format: this.gl.R32F
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', this.potential ? 'potential' : 'w'], pixels
       }),
+      particleCount: this.particleCount,
       gridSize: [...this.gridSize],
-      slicesPerRow: this.slicesPerRow,
-      textureWidth: this.textureWidth,
-      textureHeight: this.textureHeight,
+      cellGridSize: this.cellGridSize,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       softening: this.softening,
       gravityStrength: this.gravityStrength,
       nearFieldRadius: this.nearFieldRadius,
+      splitSigma: this.splitSigma,
+      boundary: this.boundary,
+      accumulate: this.accumulate,
+      potential: this.potential,
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KNearField(grid=${this.gridSize[0]}×${this.gridSize[1]}×${this.gridSize[2]}) texture=${this.textureWidth}×${this.textureHeight} soft=${formatNumber(this.softening)} G=${formatNumber(this.gravityStrength)} r=${this.nearFieldRadius} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KNearField(${this.particleCount} particles, mesh=${this.gridSize[0]}×${this.gridSize[1]}×${this.gridSize[2]}, ${this.cellGridSize}³ cells) soft=${formatNumber(this.softening)} G=${formatNumber(this.gravityStrength)} r=${this.nearFieldRadius} σ=${formatNumber(this.splitSigma)} boundary=${this.boundary}${this.accumulate ? ' accumulate' : ''}${this.potential ? ' potential' : ''} cells=${this.inCells ? 'bound' : 'none'} sorted=${this.inSorted ? 'bound' : 'none'} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
-massGrid: ${value.massGrid}
+position: ${value.position}
 
-→ forceX: ${value.forceX}
-→ forceY: ${value.forceY}
-→ forceZ: ${value.forceZ}`;
+→ force: ${value.force}`;
 
     return value;
   }
@@ -198,82 +228,92 @@ massGrid: ${value.massGrid}
     return this.valueOf().toString();
   }
 
+  /**
+   * Run the kernel (synchronous)
+   */
   run() {
     const gl = this.gl;
 
-    if (!this.inMassGrid) {
-      throw new Error('KNearField: inMassGrid texture not set');
+    if (!this.inPosition || !this.inCells || !this.inSorted) {
+      throw new Error('KNearField: inPosition, inCells and inSorted textures must be set');
     }
-    if (!this.outForceX || !this.outForceY || !this.outForceZ) {
-      throw new Error('KNearField: output force textures not set');
+    if (!this.outForce) {
+      throw new Error('KNearField: outForce texture not set');
     }
 
-    // Save GL state
-    const prevFB = gl.getParameter(gl.FRAMEBUFFER_BINDING);
-    const prevVP = gl.getParameter(gl.VIEWPORT);
-    const prevProg = gl.getParameter(gl.CURRENT_PROGRAM);
-    const prevVAO = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
-    const prevBlend = gl.getParameter(gl.BLEND);
-    const prevDepthTest = gl.getParameter(gl.DEPTH_TEST);
-
-  gl.viewport(0, 0, this.textureWidth, this.textureHeight);
-    gl.disable(gl.BLEND);
-    gl.disable(gl.DEPTH_TEST);
-
     gl.useProgram(this.program);
 
-    // Bind input texture
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, this.inMassGrid);
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_massGrid'), 0);
-
-    // Set uniforms
-    gl.uniform3i(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'), this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
-    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'), this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gravityStrength'), this.gravityStrength);
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_nearFieldRadius'), this.nearFieldRadius);
+    // Ensure framebuffer attachments match our output
+    if (!this._fboShadow || this._fboShadow.a0 !== this.outForce) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-    gl.bindVertexArray(this.quadVAO);
+      this._fboShadow = { a0: this.outForce };
+    }
 
-    // Render to X component
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferX);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForceX, 0);
-    gl.clearColor(0, 0, 0, 0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_component'), 0);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.particleTextureWidth, this.particleTextureHeight);
 
-    // Render to Y component
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferY);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForceY, 0);
-    gl.clearColor(0, 0, 0, 0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_component'), 1);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+    if (this.accumulate) {
+      gl.enable(gl.BLEND);
+      gl.blendEquation(gl.FUNC_ADD);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    } else {
+      gl.disable(gl.BLEND);
+    }
 
-    // Render to Z component
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferZ);
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForceZ, 0);
-    gl.clearColor(0, 0, 0, 0);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_component'), 2);
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_positions) gl.uniform1i(this.uniforms.u_positions, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inCells);
+    if (this.uniforms.u_cells) gl.uniform1i(this.uniforms.u_cells, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inSorted);
+    if (this.uniforms.u_sorted) gl.uniform1i(this.uniforms.u_sorted, 2);
+
+    // Mesh bounds are plain uniforms; the bounds texture path is the quadrupole's
+    if (this.uniforms.u_useBoundsTexture) gl.uniform1i(this.uniforms.u_useBoundsTexture, 0);
+    if (this.uniforms.u_particleTexWidth) gl.uniform1i(this.uniforms.u_particleTexWidth, this.particleTextureWidth);
+    if (this.uniforms.u_particleCount) gl.uniform1i(this.uniforms.u_particleCount, this.particleCount);
+    if (this.uniforms.u_cellWidth) gl.uniform1i(this.uniforms.u_cellWidth, this.cellTextureWidth);
+    if (this.uniforms.u_sortWidth) gl.uniform1i(this.uniforms.u_sortWidth, this.sortTextureWidth);
+    if (this.uniforms.u_gridSize) gl.uniform1i(this.uniforms.u_gridSize, this.cellGridSize);
+    if (this.uniforms.u_meshSize) gl.uniform3f(this.uniforms.u_meshSize, this.gridSize[0], this.gridSize[1], this.gridSize[2]);
+    if (this.uniforms.u_worldMin) gl.uniform3f(this.uniforms.u_worldMin,
+      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    if (this.uniforms.u_worldMax) gl.uniform3f(this.uniforms.u_worldMax,
+      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    if (this.uniforms.u_G) gl.uniform1f(this.uniforms.u_G, this.gravityStrength);
+    if (this.uniforms.u_softening) gl.uniform1f(this.uniforms.u_softening, this.softening);
+    if (this.uniforms.u_potential) gl.uniform1i(this.uniforms.u_potential, this.potential ? 1 : 0);
+    if (this.uniforms.u_nearFieldRadius) gl.uniform1f(this.uniforms.u_nearFieldRadius, this.nearFieldRadius);
+    if (this.uniforms.u_splitSigma) gl.uniform1f(this.uniforms.u_splitSigma, this.splitSigma);
+    if (this.uniforms.u_periodic) gl.uniform1i(this.uniforms.u_periodic, this.boundary === 'periodic' ? 1 : 0);
 
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     gl.bindVertexArray(null);
 
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    if (this.accumulate) gl.disable(gl.BLEND);
 
-    // Restore GL state
-    gl.bindFramebuffer(gl.FRAMEBUFFER, prevFB);
-    gl.viewport(prevVP[0], prevVP[1], prevVP[2], prevVP[3]);
-    gl.useProgram(prevProg);
-    gl.bindVertexArray(prevVAO);
-    if (prevBlend) gl.enable(gl.BLEND);
-    if (prevDepthTest) gl.enable(gl.DEPTH_TEST);
+    for (let unit = 2; unit >= 0; unit--) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.useProgram(null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
     this.renderCount = (this.renderCount || 0) + 1;
   }
@@ -281,205 +321,143 @@ massGrid: ${value.massGrid}
   dispose() {
     const gl = this.gl;
 
-    if (this.program) {
-      gl.deleteProgram(this.program);
-    }
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
 
-    if (this.framebufferX) gl.deleteFramebuffer(this.framebufferX);
-    if (this.framebufferY) gl.deleteFramebuffer(this.framebufferY);
-    if (this.framebufferZ) gl.deleteFramebuffer(this.framebufferZ);
-  // Avoid assigning nulls for @ts-check compatibility
-
-    if (this.outForceX) gl.deleteTexture(this.outForceX);
-    if (this.outForceY) gl.deleteTexture(this.outForceY);
-    if (this.outForceZ) gl.deleteTexture(this.outForceZ);
-    this.outForceX = null;
-    this.outForceY = null;
-    this.outForceZ = null;
-
-    if (this.quadVAO) {
-      gl.deleteVertexArray(this.quadVAO);
-      this.quadVAO = null;
-    }
-  }
-}
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inCells) gl.deleteTexture(this.inCells);
+    if (this.inSorted) gl.deleteTexture(this.inSorted);
+    if (this.outForce) gl.deleteTexture(this.outForce);
 
-/**
- * Helper: Create a grid texture (R32F for mass/force)
- * @param {WebGL2RenderingContext} gl
- * @param {number} width
- * @param {number} [height]
- */
-function createGridTexture(gl, width, height) {
-  const texture = gl.createTexture();
-  if (!texture) throw new Error('Failed to create texture');
-  gl.bindTexture(gl.TEXTURE_2D, texture);
-  const w = width;
-  const h = (height === undefined) ? width : height;
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, w, h, 0, gl.RED, gl.FLOAT, null);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-  gl.bindTexture(gl.TEXTURE_2D, null);
-  return texture;
-}
-
-/**
- * Helper: Create a fullscreen quad VAO
- * @param {WebGL2RenderingContext} gl
- */
-function createQuadVAO(gl) {
-  const vao = gl.createVertexArray();
-  if (!vao) throw new Error('Failed to create VAO');
-  gl.bindVertexArray(vao);
-  const buffer = gl.createBuffer();
-  if (!buffer) throw new Error('Failed to create buffer');
-  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-  const quadVertices = new Float32Array([
-    -1, -1, 1, -1, -1, 1, 1, 1
-  ]);
-  gl.bufferData(gl.ARRAY_BUFFER, quadVertices, gl.STATIC_DRAW);
-  gl.enableVertexAttribArray(0);
-  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
-  gl.bindVertexArray(null);
-  return vao;
+    this._fboShadow = null;
+  }
 }
 
 const nearFieldFrag = /* glsl */`#version 300 es
 precision highp float;
 precision highp int;
 
-out vec4 outColor;
-
-uniform sampler2D u_massGrid;
-uniform ivec3 u_gridSize;
-uniform float u_slicesPerRow;
-uniform vec3 u_worldMin;
-uniform vec3 u_worldMax;
+uniform sampler2D u_positions;
+uniform sampler2D u_cells;       // (start, count) per Morton key
+uniform sampler2D u_sorted;      // (key, particle index) per sorted slot
+uniform int u_particleTexWidth;
+uniform int u_particleCount;
+uniform int u_cellWidth;
+uniform int u_sortWidth;
+uniform vec3 u_meshSize;         // mesh cells per axis
+uniform float u_G;
 uniform float u_softening;
-uniform float u_gravityStrength;
-uniform int u_nearFieldRadius;
-uniform int u_component;
-
-const int MAX_RADIUS = 4;
-
-int wrapIndexInt(int value, int size) {
-  int m = value % size;
-  return m < 0 ? m + size : m;
-}
-
-vec3 minimumImage(vec3 delta, vec3 extent) {
-  return delta - extent * floor(delta / extent + 0.5);
-}
-
-ivec2 voxelToTexel(ivec3 voxel, ivec3 gridSize, int slicesPerRow) {
-  int sliceRow = voxel.z / slicesPerRow;
-  int sliceCol = voxel.z - sliceRow * slicesPerRow;
-  int texX = sliceCol * gridSize.x + voxel.x;
-  int texY = sliceRow * gridSize.y + voxel.y;
-  return ivec2(texX, texY);
-}
-
-vec3 voxelCenterWorld(ivec3 voxel, vec3 worldMin, vec3 worldMax, ivec3 gridSize) {
-  vec3 extent = max(worldMax - worldMin, vec3(1e-6));
-  return worldMin + (vec3(voxel) + vec3(0.5)) / vec3(gridSize) * extent;
+uniform float u_nearFieldRadius; // cutoff in mesh cells
+uniform float u_splitSigma;      // Gaussian split width, 0 = unsplit
+uniform bool u_potential;        // write φ into w
+uniform bool u_periodic;         // wrapped neighbourhood, minimum-image separations
+${cellKeyGlsl}
+out vec4 outForce;
+
+const int MAX_REACH = 4;
+
+// Abramowitz & Stegun 7.1.26, |error| < 1.5e-7 for x >= 0
+float erfcApprox(float x) {
+  float t = 1.0 / (1.0 + 0.3275911 * x);
+  float poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return poly * exp(-x * x);
 }
 
 void main() {
-  ivec3 N = u_gridSize;
-  int slicesPerRow = int(u_slicesPerRow + 0.5);
-
-  if (N.x <= 0 || N.y <= 0 || N.z <= 0 || slicesPerRow <= 0) {
-    outColor = vec4(0.0);
-    return;
-  }
-
-  int radius = u_nearFieldRadius;
-  if (radius <= 0) {
-    outColor = vec4(0.0);
-    return;
-  }
-  if (radius > MAX_RADIUS) {
-    radius = MAX_RADIUS;
-  }
-
-  ivec2 texel = ivec2(floor(gl_FragCoord.xy - vec2(0.5)));
-
-  if (texel.x < 0 || texel.y < 0) {
-    outColor = vec4(0.0);
-    return;
-  }
-
-  int sliceCol = texel.x / N.x;
-  int sliceRow = texel.y / N.y;
-  int iz = sliceRow * slicesPerRow + sliceCol;
-  if (iz < 0 || iz >= N.z) {
-    outColor = vec4(0.0);
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int myIndex = coord.y * u_particleTexWidth + coord.x;
+  if (myIndex >= u_particleCount) {
+    outForce = vec4(0.0);
     return;
   }
 
-  int ix = texel.x - sliceCol * N.x;
-  int iy = texel.y - sliceRow * N.y;
-  if (ix < 0 || ix >= N.x || iy < 0 || iy >= N.y) {
-    outColor = vec4(0.0);
+  vec4 me = texelFetch(u_positions, coord, 0);
+  if (!(me.w > 0.0) || any(isnan(me.xyz))) {
+    outForce = vec4(0.0);
     return;
   }
 
-  ivec3 baseVoxel = ivec3(ix, iy, iz);
-
-  ivec2 baseTexel = voxelToTexel(baseVoxel, N, slicesPerRow);
-  vec4 baseCell = texelFetch(u_massGrid, baseTexel, 0);
-  float baseMass = baseCell.a;
-  vec3 baseCOM = baseMass > 0.0 ? baseCell.rgb / baseMass : voxelCenterWorld(baseVoxel, u_worldMin, u_worldMax, N);
-
-  vec3 extent = max(u_worldMax - u_worldMin, vec3(1e-6));
-  vec3 total = vec3(0.0);
-
-  for (int dz = -MAX_RADIUS; dz <= MAX_RADIUS; ++dz) {
-    if (abs(dz) > radius) continue;
-    for (int dy = -MAX_RADIUS; dy <= MAX_RADIUS; ++dy) {
-      if (abs(dy) > radius) continue;
-      for (int dx = -MAX_RADIUS; dx <= MAX_RADIUS; ++dx) {
-        if (abs(dx) > radius) continue;
-
-        ivec3 neighbor = baseVoxel + ivec3(dx, dy, dz);
-        neighbor.x = wrapIndexInt(neighbor.x, N.x);
-        neighbor.y = wrapIndexInt(neighbor.y, N.y);
-        neighbor.z = wrapIndexInt(neighbor.z, N.z);
-
-        ivec2 neighborTexel = voxelToTexel(neighbor, N, slicesPerRow);
-        vec4 cell = texelFetch(u_massGrid, neighborTexel, 0);
-        float mass = cell.a;
-        if (mass <= 0.0) {
-          continue;
-        }
-
-        vec3 neighborCOM = cell.rgb / mass;
-        vec3 delta = minimumImage(neighborCOM - baseCOM, extent);
-        float dist2 = dot(delta, delta);
-        if (dist2 <= 1e-12) {
-          continue;
+  vec3 worldMin, worldMax;
+  cellWorldBox(worldMin, worldMax);
+  vec3 extent = worldMax - worldMin;
+  vec3 meshCell = extent / u_meshSize;
+  float rCut = u_nearFieldRadius * min(meshCell.x, min(meshCell.y, meshCell.z));
+  float rCut2 = rCut * rCut;
+
+  // Chaining cells to walk per axis; a periodic walk visits each wrapped cell once
+  ivec3 reach = min(ivec3(ceil(rCut * float(u_gridSize) / extent)), ivec3(MAX_REACH));
+  ivec3 hi = u_periodic ? min(reach, ivec3(u_gridSize - 1) - reach) : reach;
+
+  ivec3 myVoxel = cellVoxel(me.xyz, worldMin, worldMax);
+  float eps2 = u_softening * u_softening;
+  float invSqrt2Sigma = u_splitSigma > 0.0 ? 0.70710678 / u_splitSigma : 0.0;
+  vec3 totalForce = vec3(0.0);
+
+  // The mesh potential pairs me with my own Gaussian: -G·m·sqrt(2/π)/σ, taken back here
+  float potential = u_G * me.w * 1.12837917 * invSqrt2Sigma;
+
+  for (int dz = -MAX_REACH; dz <= MAX_REACH; dz++) {
+    if (dz < -reach.z || dz > hi.z) continue;
+    for (int dy = -MAX_REACH; dy <= MAX_REACH; dy++) {
+      if (dy < -reach.y || dy > hi.y) continue;
+      for (int dx = -MAX_REACH; dx <= MAX_REACH; dx++) {
+        if (dx < -reach.x || dx > hi.x) continue;
+
+        ivec3 voxel = myVoxel + ivec3(dx, dy, dz);
+        if (u_periodic) voxel = (voxel + MAX_REACH * u_gridSize) % u_gridSize;
+        if (any(lessThan(voxel, ivec3(0))) || any(greaterThanEqual(voxel, ivec3(u_gridSize)))) continue;
+
+        vec4 cell = texelFetch(u_cells, linearToTexel(mortonKey(voxel), u_cellWidth), 0);
+        int start = int(cell.x);
+        int count = int(cell.y);
+
+        for (int s = start; s < start + count; s++) {
+          int j = int(texelFetch(u_sorted, linearToTexel(s, u_sortWidth), 0).y);
+          if (j == myIndex) continue;
+
+          vec4 other = texelFetch(u_positions, linearToTexel(j, u_particleTexWidth), 0);
+          vec3 r = other.xyz - me.xyz;
+          if (u_periodic) r -= extent * round(r / extent);
+
+          float r2 = dot(r, r);
+          if (r2 > rCut2) continue;
+
+          // Short-range share of the force: what the mesh's Gaussian filter leaves out
+          float split = 1.0;
+          float potentialSplit = 1.0;
+          if (invSqrt2Sigma > 0.0) {
+            float x = sqrt(r2) * invSqrt2Sigma;
+            potentialSplit = erfcApprox(x);
+            split = potentialSplit + 1.12837917 * x * exp(-x * x);
+          }
+
+          float distSq = r2 + eps2;
+          totalForce += u_G * other.w * split * r / (distSq * sqrt(distSq));
+          potential -= u_G * other.w * potentialSplit * inversesqrt(distSq);
         }
-
-        float softened = dist2 + u_softening * u_softening;
-        float invDist = inversesqrt(softened);
-        float invDist3 = invDist * invDist * invDist;
-        vec3 accel = -u_gravityStrength * mass * delta * invDist3;
-        total += accel;
       }
     }
   }
 
-  float componentValue = 0.0;
-  if (u_component == 0) {
-    componentValue = total.x;
-  } else if (u_component == 1) {
-    componentValue = total.y;
-  } else {
-    componentValue = total.z;
-  }
+  outForce = vec4(totalForce, u_potential ? potential : 0.0);
+}`;
 
-  outColor = vec4(componentValue, 0.0, 0.0, 0.0);
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
 }
-`;
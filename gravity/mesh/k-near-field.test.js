@@ -3,594 +3,400 @@
 import { test } from 'node:test';
 import assert from 'node:assert';
 import { KNearField } from './k-near-field.js';
+import { KCellSort } from '../multipole/k-cell-sort.js';
 import { getGL, createTestTexture, readTexture, assertClose, assertAllFinite, disposeKernel, resetGL } from '../test-utils.js';
 
 /**
- * Helper: create mass grid texture with known values
- * @param {WebGL2RenderingContext} gl
- * @param {number} gridSize
- * @param {number} slicesPerRow
- * @param {(x: number, y: number, z: number) => number} massFunc
+ * Helper: erfc, Abramowitz & Stegun 7.1.26 (same as the shader)
+ * @param {number} x
+ */
+function erfc(x) {
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return poly * Math.exp(-x * x);
+}
+
+/**
+ * CPU reference: short-range pair accelerations within the cutoff sphere
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @param {{ G: number, softening: number, rCut: number, splitSigma: number, extent?: number[] }} _
  */
-function createMassGrid(gl, gridSize, slicesPerRow, massFunc) {
-  const textureSize = gridSize * slicesPerRow;
-  const data = new Float32Array(textureSize * textureSize * 4);
-  
-  for (let vz = 0; vz < gridSize; vz++) {
-    const sliceRow = Math.floor(vz / slicesPerRow);
-    const sliceCol = vz % slicesPerRow;
-    
-    for (let vy = 0; vy < gridSize; vy++) {
-      for (let vx = 0; vx < gridSize; vx++) {
-        const texelX = sliceCol * gridSize + vx;
-        const texelY = sliceRow * gridSize + vy;
-        const idx = (texelY * textureSize + texelX) * 4;
-        
-        const mass = massFunc(vx, vy, vz);
-        // Store mass in alpha channel
-        data[idx + 0] = 0.0;
-        data[idx + 1] = 0.0;
-        data[idx + 2] = 0.0;
-        data[idx + 3] = mass;
+function cpuNearField(positions, count, { G, softening, rCut, splitSigma, extent }) {
+  const forces = new Float64Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    if (!(positions[i * 4 + 3] > 0)) continue;
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (i === j || !(m > 0)) continue;
+      const r = [0, 1, 2].map(axis => {
+        let d = positions[j * 4 + axis] - positions[i * 4 + axis];
+        if (extent) d -= extent[axis] * Math.round(d / extent[axis]);
+        return d;
+      });
+      const r2 = r[0] * r[0] + r[1] * r[1] + r[2] * r[2];
+      if (r2 > rCut * rCut) continue;
+      let split = 1;
+      if (splitSigma > 0) {
+        const x = Math.sqrt(r2) / (Math.SQRT2 * splitSigma);
+        split = erfc(x) + 2 / Math.sqrt(Math.PI) * x * Math.exp(-x * x);
       }
+      const d2 = r2 + softening * softening;
+      const inv = G * m * split / (d2 * Math.sqrt(d2));
+      forces[i * 3 + 0] += r[0] * inv;
+      forces[i * 3 + 1] += r[1] * inv;
+      forces[i * 3 + 2] += r[2] * inv;
     }
   }
-  
-  return createTestTexture(gl, textureSize, textureSize, data);
+  return forces;
 }
 
 /**
- * Helper: read voxel from 3D grid
- * @param {Float32Array} textureData
- * @param {number} vx
- * @param {number} vy
- * @param {number} vz
- * @param {number} gridSize
- * @param {number} slicesPerRow
+ * CPU reference: short-range potential within the cutoff sphere, plus the
+ * G·m·sqrt(2/π)/σ that takes back each particle's pairing with its own Gaussian
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @param {{ G: number, softening: number, rCut: number, splitSigma: number }} _
  */
-function readVoxel(textureData, vx, vy, vz, gridSize, slicesPerRow) {
-  const textureSize = gridSize * slicesPerRow;
-  const sliceRow = Math.floor(vz / slicesPerRow);
-  const sliceCol = vz % slicesPerRow;
-  const texelX = sliceCol * gridSize + vx;
-  const texelY = sliceRow * gridSize + vy;
-  const idx = (texelY * textureSize + texelX) * 4;
-  
-  return [
-    textureData[idx + 0],
-    textureData[idx + 1],
-    textureData[idx + 2],
-    textureData[idx + 3]
-  ];
+function cpuNearFieldPotential(positions, count, { G, softening, rCut, splitSigma }) {
+  const potentials = new Float64Array(count);
+  for (let i = 0; i < count; i++) {
+    if (!(positions[i * 4 + 3] > 0)) continue;
+    potentials[i] = G * positions[i * 4 + 3] * Math.sqrt(2 / Math.PI) / splitSigma;
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (i === j || !(m > 0)) continue;
+      const r = [0, 1, 2].map(axis => positions[j * 4 + axis] - positions[i * 4 + axis]);
+      const r2 = r[0] * r[0] + r[1] * r[1] + r[2] * r[2];
+      if (r2 > rCut * rCut) continue;
+      const x = Math.sqrt(r2) / (Math.SQRT2 * splitSigma);
+      potentials[i] -= G * m * erfc(x) / Math.sqrt(r2 + softening * softening);
+    }
+  }
+  return potentials;
 }
 
 /**
- * Test 1: Output texture creation
+ * Helper: sort positions into chaining cells and run the near field over them
+ * @param {WebGL2RenderingContext} gl
+ * @param {{
+ *   posData: Float32Array, width: number, height: number,
+ *   bounds: { min: [number, number, number], max: [number, number, number] },
+ *   gridSize: number, cellGridSize: number, nearFieldRadius: number, splitSigma?: number,
+ *   boundary?: 'open' | 'periodic', outForce?: WebGLTexture, accumulate?: boolean, potential?: boolean
+ * }} _
  */
-test('KNearField: creates output textures when not provided', async () => {
-  const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => 1.0);
-  
-  const kernel = new KNearField({
+function runNearField(gl, { posData, width, height, bounds, gridSize, cellGridSize, nearFieldRadius, splitSigma, boundary, outForce, accumulate, potential }) {
+  const posTex = createTestTexture(gl, width, height, posData);
+  const sort = new KCellSort({
     gl,
-    inMassGrid: massGrid,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
+    inPosition: posTex,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    gridSize: cellGridSize,
+    worldBounds: bounds
   });
-  
-  assert.ok(kernel.outForceX, 'Output X force texture created (textureSize=' + textureSize + ', gridSize=' + gridSize + ', slicesPerRow=' + slicesPerRow + ')');
-  assert.ok(kernel.outForceY, 'Output Y force texture created (textureSize=' + textureSize + ', gridSize=' + gridSize + ', slicesPerRow=' + slicesPerRow + ')');
-  assert.ok(kernel.outForceZ, 'Output Z force texture created (textureSize=' + textureSize + ', gridSize=' + gridSize + ', slicesPerRow=' + slicesPerRow + ')');
-  
-  kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  
-  assert.ok(snapshot.forceX, `Near-field force X should be finite\n\n${kernel.toString()}`);
-  assert.ok(snapshot.forceY, `Near-field force Y should be finite\n\n${kernel.toString()}`);
-  assert.ok(snapshot.forceZ, `Near-field force Z should be finite\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
-  resetGL();
-});
+  sort.run();
 
-/**
- * Test 2: Empty mass grid produces zero forces
- */
-test('KNearField: empty mass grid produces zero forces', async () => {
-  const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  // Create grid with zero mass everywhere
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => 0.0);
-  
   const kernel = new KNearField({
     gl,
-    inMassGrid: massGrid,
+    inPosition: posTex,
+    inCells: sort.outCells,
+    inSorted: sort.outSorted,
+    outForce,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
     gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
+    cellGridSize,
+    cellTextureWidth: sort.cellTextureWidth,
+    sortTextureWidth: sort.sortTextureWidth,
+    worldBounds: bounds,
+    gravityStrength: 1.0,
+    softening: 0.05,
+    nearFieldRadius,
+    splitSigma,
+    boundary,
+    accumulate,
+    potential
   });
-  
   kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  
-  // Check that forces are very small (near zero)
-  assertClose(snapshot.forceX.fx.mean, 0.0, 0.001, 
-    `Force X should be near zero\n\n${kernel.toString()}`);
-  assertClose(snapshot.forceY.fy.mean, 0.0, 0.001, 
-    `Force Y should be near zero\n\n${kernel.toString()}`);
-  assertClose(snapshot.forceZ.fz.mean, 0.0, 0.001, 
-    `Force Z should be near zero\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
-  resetGL();
-});
+
+  return { sort, kernel };
+}
 
 /**
- * Test 3: Single mass produces radial force pattern
+ * Helper: release borrowed slots, then dispose both kernels
+ * @param {KNearField} kernel
+ * @param {KCellSort} sort
  */
-test('KNearField: single mass produces radial forces', async () => {
-  const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  // Place single mass at center voxel (2,2,2)
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    return (x === 2 && y === 2 && z === 2) ? 1.0 : 0.0;
-  });
-  
-  const kernel = new KNearField({
-    gl,
-    inMassGrid: massGrid,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
-  });
-  
-  kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  
-  // Check that forces are non-zero (radial pattern)
-  assert.ok(snapshot.forceX.nonzero > 0, 
-    `Should have non-zero forces in radial pattern\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
+function disposeNearField(kernel, sort) {
+  kernel.inPosition = null;
+  kernel.inCells = null;
+  kernel.inSorted = null;
   disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
-  resetGL();
-});
+  disposeKernel(sort);
+}
 
 /**
- * Test 4: Different near-field radii
+ * Helper: deterministic random cloud inside [-1.9, 1.9]³
+ * @param {number} count
+ * @param {number} seed
  */
-test('KNearField: works with different near-field radii', async () => {
-  const gl = getGL();
-  
-  const gridSize = 8;
-  const slicesPerRow = 3;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    return (x === 4 && y === 4 && z === 4) ? 1.0 : 0.0;
-  });
-  
-  for (const nearFieldRadius of [1, 2, 3, 4]) {
-    const kernel = new KNearField({
-      gl,
-      inMassGrid: massGrid,
-      gridSize,
-      slicesPerRow,
-      textureSize,
-      worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
-      softening: 0.15,
-      gravityStrength: 0.0003,
-      nearFieldRadius
-    });
-    
-    kernel.run();
-    
-    const snapshot = kernel.valueOf({ pixels: false });
-    assert.ok(snapshot.forceX, 
-      `Near-field forces should be finite for radius=${nearFieldRadius}\n\n${kernel.toString()}`);
-    
-    kernel.inMassGrid = null;
-    disposeKernel(kernel);
+function randomCloud(count, seed) {
+  const posData = new Float32Array(count * 4);
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < count; i++) {
+    posData[i * 4 + 0] = 3.8 * random() - 1.9;
+    posData[i * 4 + 1] = 3.8 * random() - 1.9;
+    posData[i * 4 + 2] = 3.8 * random() - 1.9;
+    posData[i * 4 + 3] = 0.5 + random();
   }
-  
-  gl.deleteTexture(massGrid);
-  resetGL();
-});
+  return posData;
+}
+
+const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
 
 /**
- * Test 5: Different softening parameters
+ * Test 1: Unsplit pairs match plain softened Newton inside the cutoff
  */
-test('KNearField: handles different softening values', async () => {
+test('KNearField: unsplit pairs match CPU inside the cutoff sphere', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    return (x === 2 && y === 2 && z === 2) ? 1.0 : 0.0;
+
+  const width = 8;
+  const height = 8;
+  const count = width * height;
+  const posData = randomCloud(count, 4242);
+
+  // 16³ mesh over [-2, 2]³: cutoff 2 cells = 0.5, chaining cells of exactly that width
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, bounds, gridSize: 16, cellGridSize: 8, nearFieldRadius: 2, boundary: 'open'
   });
-  
-  for (const softening of [0.01, 0.1, 0.5, 1.0]) {
-    const kernel = new KNearField({
-      gl,
-      inMassGrid: massGrid,
-      gridSize,
-      slicesPerRow,
-      textureSize,
-      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-      softening,
-      gravityStrength: 0.0003,
-      nearFieldRadius: 2
-    });
-    
-    kernel.run();
-    
-    const snapshot = kernel.valueOf({ pixels: false });
-    assert.ok(snapshot.forceX, 
-      `Forces should be finite for softening=${softening}\n\n${kernel.toString()}`);
-    
-    kernel.inMassGrid = null;
-    disposeKernel(kernel);
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces must be finite');
+
+  const expected = cpuNearField(posData, count, { G: 1.0, softening: 0.05, rCut: 0.5, splitSigma: 0 });
+  for (let i = 0; i < count; i++) {
+    const scale = Math.max(1, Math.hypot(expected[i * 3], expected[i * 3 + 1], expected[i * 3 + 2]));
+    for (let axis = 0; axis < 3; axis++) {
+      assertClose(result[i * 4 + axis], expected[i * 3 + axis], 1e-3 * scale,
+        `Particle ${i} axis ${axis}\n\n${kernel.toString()}`);
+    }
   }
-  
-  gl.deleteTexture(massGrid);
+
+  disposeNearField(kernel, sort);
   resetGL();
 });
 
 /**
- * Test 6: Different gravity strengths
+ * Test 2: The Gaussian split leaves the erfc share of the pull
  */
-test('KNearField: scales forces with gravity strength', async () => {
+test('KNearField: split pair follows the erfc kernel', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    return (x === 2 && y === 2 && z === 2) ? 1.0 : 0.0;
+
+  const width = 2;
+  const height = 1;
+  const posData = new Float32Array([
+    -0.15, 0.0, 0.0, 1.0,
+    0.15, 0.0, 0.0, 1.0
+  ]);
+  const splitSigma = 0.2;
+
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, bounds, gridSize: 16, cellGridSize: 8, nearFieldRadius: 3, splitSigma
   });
-  
-  const gravityStrengths = [0.0001, 0.0003, 0.001];
-  const results = [];
-  
-  for (const G of gravityStrengths) {
-    const kernel = new KNearField({
-      gl,
-      inMassGrid: massGrid,
-      gridSize,
-      slicesPerRow,
-      textureSize,
-      worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-      softening: 0.15,
-      gravityStrength: G,
-      nearFieldRadius: 2
-    });
-    
-    kernel.run();
-    
-    const snapshot = kernel.valueOf({ pixels: false });
-    results.push(Math.abs(snapshot.forceX.fx.mean));
-    
-    kernel.inMassGrid = null;
-    disposeKernel(kernel);
-  }
-  
-  // Check that forces scale approximately with gravity strength
-  assert.ok(results[1] > results[0], 
-    `Higher G should produce larger forces (F[G2]=${results[1]} > F[G1]=${results[0]})`);
-  assert.ok(results[2] > results[1], 
-    `Even higher G should produce even larger forces (F[G3]=${results[2]} > F[G2]=${results[1]})`);
-  
-  gl.deleteTexture(massGrid);
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  const x = 0.3 / (Math.SQRT2 * splitSigma);
+  const split = erfc(x) + 2 / Math.sqrt(Math.PI) * x * Math.exp(-x * x);
+  const d2 = 0.09 + 0.05 * 0.05;
+  const newton = 0.3 / (d2 * Math.sqrt(d2));
+
+  assert.ok(split > 0.1 && split < 0.9, `Separation sits inside the split: ${split}`);
+  assertClose(result[0], newton * split, 1e-3 * newton, `Particle 0 gets the short-range share\n\n${kernel.toString()}`);
+  assertClose(result[4], -newton * split, 1e-3 * newton, 'Particle 1 pulled back equally');
+  assertClose(result[1], 0, 1e-6, 'No sideways force');
+
+  disposeNearField(kernel, sort);
   resetGL();
 });
 
 /**
- * Test 7: Multiple masses in grid
+ * Test 3: Pairs beyond nearFieldRadius mesh cells are left to the mesh
  */
-test('KNearField: handles multiple masses', async () => {
+test('KNearField: nothing beyond the cutoff', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  // Place masses at two corners
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    if (x === 0 && y === 0 && z === 0) return 1.0;
-    if (x === 3 && y === 3 && z === 3) return 1.0;
-    return 0.0;
-  });
-  
-  const kernel = new KNearField({
-    gl,
-    inMassGrid: massGrid,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
-  });
-  
-  kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  
-  assert.ok(snapshot.forceX, `Forces should be finite with multiple masses\n\n${kernel.toString()}`);
-  assert.ok(snapshot.forceY, `Forces should be finite with multiple masses\n\n${kernel.toString()}`);
-  assert.ok(snapshot.forceZ, `Forces should be finite with multiple masses\n\n${kernel.toString()}`);
-  
-  // Check that forces exist
-  assert.ok(snapshot.forceX.nonzero > 0, 
-    `Forces should exist near mass locations\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
+
+  const width = 2;
+  const height = 1;
+  // 0.6 apart: inside 3 cells of a 16³ mesh over [-2, 2]³ (0.75), outside 2 (0.5)
+  const posData = new Float32Array([
+    -0.3, 0.1, 0.1, 1.0,
+    0.3, 0.1, 0.1, 1.0
+  ]);
+
+  const near = runNearField(gl, { posData, width, height, bounds, gridSize: 16, cellGridSize: 4, nearFieldRadius: 3 });
+  const inside = readTexture(gl, /** @type {WebGLTexture} */(near.kernel.outForce), width, height);
+  assert.ok(inside[0] > 0, `Within 3 cells the pair attracts: ${inside[0]}\n\n${near.kernel.toString()}`);
+  disposeNearField(near.kernel, near.sort);
+
+  const far = runNearField(gl, { posData, width, height, bounds, gridSize: 16, cellGridSize: 4, nearFieldRadius: 2 });
+  const outside = readTexture(gl, /** @type {WebGLTexture} */(far.kernel.outForce), width, height);
+  assert.strictEqual(outside[0], 0, `Beyond 2 cells the pair is the mesh's\n\n${far.kernel.toString()}`);
+  assert.strictEqual(outside[4], 0, 'Same for the other particle');
+  disposeNearField(far.kernel, far.sort);
+
   resetGL();
 });
 
 /**
- * Test 8: External texture provision
+ * Test 4: Chaining cells narrower than the cutoff widen the walk, same result
  */
-test('KNearField: uses provided output textures', async () => {
+test('KNearField: narrow chaining cells give the same forces', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => 1.0);
-  
-  // Create external output textures
-  const outX = gl.createTexture();
-  const outY = gl.createTexture();
-  const outZ = gl.createTexture();
-  
-  for (const tex of [outX, outY, outZ]) {
-    gl.bindTexture(gl.TEXTURE_2D, tex);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, textureSize, textureSize, 0, gl.RED, gl.FLOAT, null);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+  const width = 8;
+  const height = 8;
+  const count = width * height;
+  const posData = randomCloud(count, 777);
+  const common = { posData, width, height, bounds, gridSize: 16, nearFieldRadius: 3, splitSigma: 0.25 };
+
+  const wide = runNearField(gl, { ...common, cellGridSize: 4 });
+  const narrow = runNearField(gl, { ...common, cellGridSize: 16 });
+
+  const a = readTexture(gl, /** @type {WebGLTexture} */(wide.kernel.outForce), width, height);
+  const b = readTexture(gl, /** @type {WebGLTexture} */(narrow.kernel.outForce), width, height);
+  const expected = cpuNearField(posData, count, { G: 1.0, softening: 0.05, rCut: 0.75, splitSigma: 0.25, extent: [4, 4, 4] });
+
+  for (let i = 0; i < count; i++) {
+    const scale = Math.max(1, Math.hypot(expected[i * 3], expected[i * 3 + 1], expected[i * 3 + 2]));
+    for (let axis = 0; axis < 3; axis++) {
+      assertClose(a[i * 4 + axis], expected[i * 3 + axis], 1e-3 * scale,
+        `Wide cells, particle ${i} axis ${axis}\n\n${wide.kernel.toString()}`);
+      assertClose(b[i * 4 + axis], expected[i * 3 + axis], 1e-3 * scale,
+        `Narrow cells, particle ${i} axis ${axis}\n\n${narrow.kernel.toString()}`);
+    }
   }
-  gl.bindTexture(gl.TEXTURE_2D, null);
-  
-  const kernel = new KNearField({
-    gl,
-    inMassGrid: massGrid,
-    outForceX: outX,
-    outForceY: outY,
-    outForceZ: outZ,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
-  });
-  
-  assert.strictEqual(kernel.outForceX, outX, 'Uses provided X texture');
-  assert.strictEqual(kernel.outForceY, outY, 'Uses provided Y texture');
-  assert.strictEqual(kernel.outForceZ, outZ, 'Uses provided Z texture');
-  
-  kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  assert.ok(snapshot.forceX, 
-    `External texture should be written successfully\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
-  gl.deleteTexture(outX);
-  gl.deleteTexture(outY);
-  gl.deleteTexture(outZ);
+
+  disposeNearField(wide.kernel, wide.sort);
+  disposeNearField(narrow.kernel, narrow.sort);
   resetGL();
 });
 
 /**
- * Test 9: Error handling - missing input
+ * Test 5: Periodic neighbourhood wraps, and the pull goes through the box face
  */
-test('KNearField: throws error when input not set', async () => {
+test('KNearField: periodic neighbours across the box face', async () => {
   const gl = getGL();
-  
-  const kernel = new KNearField({
-    gl,
-    inMassGrid: null,
-    gridSize: 4,
-    slicesPerRow: 2,
-    textureSize: 8,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
+
+  const width = 2;
+  const height = 1;
+  const posData = new Float32Array([
+    -1.9, 0.1, 0.1, 1.0,
+    1.9, 0.1, 0.1, 1.0
+  ]);
+
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, bounds, gridSize: 16, cellGridSize: 8, nearFieldRadius: 2, boundary: 'periodic'
   });
-  
-  assert.throws(() => {
-    kernel.run();
-  }, /inMassGrid texture not set/, 'Throws error when input not set');
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  const d2 = 0.04 + 0.05 * 0.05;
+  const pull = 0.2 / (d2 * Math.sqrt(d2));
+  assertClose(result[0], -pull, 1e-3 * pull, `Particle 0 pulled through the -x face\n\n${kernel.toString()}`);
+  assertClose(result[4], pull, 1e-3 * pull, 'Particle 1 pulled through the +x face');
+
+  disposeNearField(kernel, sort);
   resetGL();
 });
 
 /**
- * Test 10: QuadVAO sharing
+ * Test 6: Accumulate mode adds onto the sampled mesh force
  */
-test('KNearField: accepts external quadVAO', async () => {
+test('KNearField: accumulate adds into outForce', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  // Create external quad VAO
-  const quadVAO = gl.createVertexArray();
-  gl.bindVertexArray(quadVAO);
-  const buffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-  const quadData = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-  gl.bufferData(gl.ARRAY_BUFFER, quadData, gl.STATIC_DRAW);
-  gl.enableVertexAttribArray(0);
-  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
-  gl.bindVertexArray(null);
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => 1.0);
-  
-  const kernel = new KNearField({
-    gl,
-    inMassGrid: massGrid,
-    quadVAO,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
+
+  const width = 2;
+  const height = 1;
+  const posData = new Float32Array([
+    -0.1, 0.0, 0.0, 1.0,
+    0.1, 0.0, 0.0, 1.0
+  ]);
+  const forceTex = createTestTexture(gl, width, height, new Float32Array([
+    0.0, 1.0, 0.0, 0.0,
+    0.0, -1.0, 0.0, 0.0
+  ]));
+
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, bounds, gridSize: 16, cellGridSize: 8, nearFieldRadius: 2, outForce: forceTex, accumulate: true
   });
-  
-  assert.strictEqual(kernel.quadVAO, quadVAO, 'Uses provided quadVAO');
-  
-  kernel.run();
-  
-  const snapshot = kernel.valueOf({ pixels: false });
-  assert.ok(snapshot.forceX, 
-    `Should work with external quadVAO\n\n${kernel.toString()}`);
-  
-  kernel.inMassGrid = null;
-  disposeKernel(kernel);
-  gl.deleteTexture(massGrid);
-  gl.deleteVertexArray(quadVAO);
-  gl.deleteBuffer(buffer);
+
+  const result = readTexture(gl, forceTex, width, height);
+  const d2 = 0.04 + 0.05 * 0.05;
+  const pull = 0.2 / (d2 * Math.sqrt(d2));
+  assertClose(result[0], pull, 1e-3 * pull, `Particle 0 pulled toward particle 1\n\n${kernel.toString()}`);
+  assertClose(result[1], 1.0, 1e-6, 'Existing y force kept');
+  assertClose(result[4], -pull, 1e-3 * pull, 'Particle 1 pulled back');
+  assertClose(result[5], -1.0, 1e-6, 'Existing y force kept');
+
+  disposeNearField(kernel, sort);
   resetGL();
 });
 
 /**
- * Test 11: Disposal cleans up resources
+ * Test 7: Error handling - missing cell lists
  */
-test('KNearField: dispose cleans up owned resources', async () => {
+test('KNearField: throws error when cell lists not set', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => 1.0);
-  
+
   const kernel = new KNearField({
     gl,
-    inMassGrid: massGrid,
-    gridSize,
-    slicesPerRow,
-    textureSize,
-    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
-    softening: 0.15,
-    gravityStrength: 0.0003,
-    nearFieldRadius: 2
+    particleTextureWidth: 2,
+    particleTextureHeight: 1,
+    gridSize: 16,
+    worldBounds: bounds
   });
-  
-  kernel.run();
-  
-  const outX = kernel.outForceX;
-  const outY = kernel.outForceY;
-  const outZ = kernel.outForceZ;
-  
-  kernel.dispose();
-  
-  // Textures should be deleted
-  assert.ok(!gl.isTexture(outX), 'Output X texture disposed (isTexture=' + gl.isTexture(outX) + ')');
-  assert.ok(!gl.isTexture(outY), 'Output Y texture disposed (isTexture=' + gl.isTexture(outY) + ')');
-  assert.ok(!gl.isTexture(outZ), 'Output Z texture disposed (isTexture=' + gl.isTexture(outZ) + ')');
-  
-  gl.deleteTexture(massGrid);
+
+  assert.throws(() => {
+    kernel.run();
+  }, /inCells and inSorted textures must be set/, 'Throws error when cell lists not set');
+
+  disposeKernel(kernel);
   resetGL();
 });
 
 /**
- * Test 12: Different world bounds
+ * Test 8: Potential against direct summation: erfc-weighted pairs inside the cutoff,
+ * cell mates included, and the Gaussian self-term filled back in
  */
-test('KNearField: handles different world bounds', async () => {
+test('KNearField: potential matches direct summation with the self-term', async () => {
   const gl = getGL();
-  
-  const gridSize = 4;
-  const slicesPerRow = 2;
-  const textureSize = gridSize * slicesPerRow;
-  
-  const massGrid = createMassGrid(gl, gridSize, slicesPerRow, (x, y, z) => {
-    return (x === 2 && y === 2 && z === 2) ? 1.0 : 0.0;
+
+  const width = 8;
+  const height = 8;
+  const count = width * height;
+  const posData = randomCloud(count, 777);
+  // Two bodies in one chaining cell, closer than σ
+  posData.set([0.1, 0.1, 0.1, 1.0, 0.15, 0.12, 0.08, 2.0], 0);
+  const splitSigma = 0.2;
+
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, bounds, gridSize: 16, cellGridSize: 8, nearFieldRadius: 2, splitSigma, potential: true
   });
-  
-  const worldBounds = /** @type {{min: [number,number,number], max: [number,number,number]}[]} */ ([
-    { min: [-1, -1, -1], max: [1, 1, 1] },
-    { min: [-4, -4, -4], max: [4, 4, 4] },
-    { min: [-10, -5, -8], max: [10, 5, 8] }  // Non-uniform
-  ]);
-  
-  for (const bounds of worldBounds) {
-    const kernel = new KNearField({
-      gl,
-      inMassGrid: massGrid,
-      gridSize,
-      slicesPerRow,
-      textureSize,
-      worldBounds: bounds,
-      softening: 0.15,
-      gravityStrength: 0.0003,
-      nearFieldRadius: 2
-    });
-    
-    kernel.run();
-    
-    const outDataX = readTexture(gl, kernel.outForceX, textureSize, textureSize);
-    assertAllFinite(outDataX, `Forces finite for bounds=[${bounds.min}] to [${bounds.max}]`);
-    
-    kernel.inMassGrid = null;
-    disposeKernel(kernel);
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces and potential must be finite');
+
+  const expected = cpuNearFieldPotential(posData, count, { G: 1.0, softening: 0.05, rCut: 0.5, splitSigma });
+  for (let i = 0; i < count; i++) {
+    assertClose(result[i * 4 + 3], expected[i], 1e-4 * Math.max(1, Math.abs(expected[i])),
+      `Particle ${i} potential\n\n${kernel.toString()}`);
   }
-  
-  gl.deleteTexture(massGrid);
+
+  // Alone, particle 0 would sit at exactly +G·m·sqrt(2/π)/σ
+  const self = Math.sqrt(2 / Math.PI) / splitSigma;
+  assert.ok(result[3] < self, `Cell mate deepens particle 0's potential: ${result[3]} vs ${self}`);
+
+  disposeNearField(kernel, sort);
   resetGL();
 });
@@ -0,0 +1,71 @@
+// @ts-check
+
+/**
+ * Isolated boundaries for the mesh system: the zero-padded solve matches direct
+ * summation for bodies near opposite faces, where the periodic mesh sees their images.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityDirect } from '../direct/gravity-direct.js';
+import { relativeForceError } from '../direct/force-error.js';
+import { GravityMesh } from './gravity-mesh.js';
+
+const width = 2;
+const height = 2;
+const G = 0.01;
+const softening = 0.05;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {boolean} isolated
+ */
+function measure(gl, isolated) {
+  const system = new GravityMesh({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    // Walls keep worldBounds fixed at an 8-wide box
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    walls: { x: 'reflect', y: 'reflect', z: 'reflect' },
+    gravityStrength: G,
+    softening,
+    mesh: { gridSize: 16, assignment: 'tsc', isolated }
+  });
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+
+  // Two pairs hugging the x faces, far beyond the near-field cutoff from each other
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array([
+    -3.6, 0.0, 0.0, 1.0,
+    -3.6, 2.0, 0.0, 1.0,
+    3.6, 0.0, 0.5, 1.0,
+    3.6, 2.0, 0.5, 1.0
+  ]));
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  const report = relativeForceError({ system, reference });
+  const summary = system.toString();
+
+  system.dispose();
+  reference.dispose();
+  return { report, summary };
+}
+
+test('mesh.isolated: zero-padded solve matches direct summation', async () => {
+  const gl = getGL();
+
+  const isolated = measure(gl, true);
+  const periodic = measure(gl, false);
+
+  for (const e of isolated.report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}\n\n${isolated.summary}`);
+  assert.ok(isolated.report.max < 0.15, `Max relative error ${isolated.report.max.toExponential(3)} with isolated boundaries\n\n${isolated.summary}`);
+  assert.ok(periodic.report.median > 3 * isolated.report.median,
+    `Periodic images cost accuracy: periodic ${periodic.report.median.toExponential(3)}, isolated ${isolated.report.median.toExponential(3)}`);
+
+  resetGL();
+});
@@ -0,0 +1,111 @@
+// @ts-check
+
+/**
+ * Particle-level near field for the mesh system: a cluster far below the mesh cell size
+ * resolves its members through the short-range pairs, and the error against direct
+ * summation shrinks as nearFieldRadius moves more of the force off the mesh.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityDirect } from '../direct/gravity-direct.js';
+import { relativeForceError } from '../direct/force-error.js';
+import { GravityMesh } from './gravity-mesh.js';
+
+const width = 3;
+const height = 3;
+const G = 0.01;
+const softening = 0.01;
+
+/**
+ * Eight bodies jittered around the corners of a 0.1 cube (a fifth of a 16³ mesh cell
+ * over [-4, 4]³), plus one distant body
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ positionMassTexture?: WebGLTexture | null, velocityColorTexture?: WebGLTexture | null }} system
+ */
+function uploadCluster(gl, system) {
+  const positions = new Float32Array(width * height * 4);
+  let seed = 11;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < 8; i++) {
+    positions[i * 4 + 0] = 0.1 * (i & 1) + 0.01 * random();
+    positions[i * 4 + 1] = 0.1 * ((i >> 1) & 1) + 0.01 * random();
+    positions[i * 4 + 2] = 0.1 * ((i >> 2) & 1) + 0.01 * random();
+    positions[i * 4 + 3] = 1.0;
+  }
+  positions.set([-2, -2, -2, 1.0], 8 * 4);
+
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ nearFieldRadius?: number, splitSigma?: number }} mesh
+ */
+function createSystem(gl, mesh) {
+  return new GravityMesh({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    // Walls keep worldBounds fixed, so the mesh cell size is known
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    walls: { x: 'reflect', y: 'reflect', z: 'reflect' },
+    gravityStrength: G,
+    softening,
+    mesh: { gridSize: 16, assignment: 'cic', ...mesh }
+  });
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ nearFieldRadius?: number, splitSigma?: number }} mesh
+ */
+function measure(gl, mesh) {
+  const system = createSystem(gl, mesh);
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadCluster(gl, system);
+
+  const report = relativeForceError({ system, reference });
+  const summary = system.toString();
+
+  system.dispose();
+  reference.dispose();
+  return { report, summary };
+}
+
+test('mesh.near-field: sub-cell cluster converges with nearFieldRadius', async () => {
+  const gl = getGL();
+
+  const radii = [1, 3];
+  const reports = radii.map(nearFieldRadius => measure(gl, { nearFieldRadius }));
+
+  for (const { report, summary } of reports) {
+    for (const e of report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}\n\n${summary}`);
+  }
+
+  const [r1, r3] = reports.map(({ report }) => report);
+  assert.ok(r3.median < r1.median,
+    `Median error falls with the radius: r=1 ${r1.median.toExponential(3)}, r=3 ${r3.median.toExponential(3)}`);
+  assert.ok(r3.max < 0.05, `Max relative error ${r3.max.toExponential(3)} at r=3\n\n${reports[1].summary}`);
+
+  resetGL();
+});
+
+test('mesh.near-field: unsplit mesh cannot resolve the cluster', async () => {
+  const gl = getGL();
+
+  const system = createSystem(gl, { splitSigma: 0 });
+  assert.strictEqual(system.nearFieldKernel, null, 'No near field without a split');
+  system.dispose();
+
+  const { report } = measure(gl, { splitSigma: 0 });
+  assert.ok(report.median > 0.5, `Median relative error ${report.median.toExponential(3)}: cluster members smeared into one cell`);
+
+  resetGL();
+});
@@ -0,0 +1,98 @@
+// @ts-check
+
+/**
+ * Refinement patches for the mesh system: a clump about one mesh cell across is
+ * smeared by the 16³ mesh, and a patch over it brings the members' forces much
+ * closer to direct summation.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityDirect } from '../direct/gravity-direct.js';
+import { relativeForceError } from '../direct/force-error.js';
+import { GravityMesh } from './gravity-mesh.js';
+
+const width = 6;
+const height = 6;
+const clumpCount = 24;
+const G = 0.01;
+const softening = 0.05;
+
+/**
+ * Clump bodies within 0.4 of (1, 0.5, -0.5) (a 16³ mesh cell over [-4, 4]³ is 0.5 wide),
+ * the rest scattered over the box
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ positionMassTexture?: WebGLTexture | null, velocityColorTexture?: WebGLTexture | null }} system
+ */
+function uploadClump(gl, system) {
+  const positions = new Float32Array(width * height * 4);
+  let seed = 29;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < width * height; i++) {
+    const spread = i < clumpCount ? 0.4 : 3.5;
+    const centre = i < clumpCount ? [1, 0.5, -0.5] : [0, 0, 0];
+    for (let axis = 0; axis < 3; axis++)
+      positions[i * 4 + axis] = centre[axis] + spread * (2 * random() - 1);
+    positions[i * 4 + 3] = 1.0;
+  }
+
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {boolean} patches
+ */
+function measure(gl, patches) {
+  const system = new GravityMesh({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    // Walls keep worldBounds fixed, so the mesh cell size is known
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    walls: { x: 'reflect', y: 'reflect', z: 'reflect' },
+    gravityStrength: G,
+    softening,
+    mesh: { gridSize: 16, assignment: 'cic', isolated: true, splitSigma: 0, patches }
+  });
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadClump(gl, system);
+
+  // Patches come from an asynchronous mass grid readback: the first evaluation starts it,
+  // the next one places the patches once the GPU has caught up
+  if (patches) {
+    relativeForceError({ system, reference });
+    gl.finish();
+  }
+
+  const report = relativeForceError({ system, reference });
+  const regions = system.patches ? system.patches.regions.length : 0;
+  const summary = system.toString();
+
+  system.dispose();
+  reference.dispose();
+
+  const clump = Array.from(report.errors.subarray(0, clumpCount)).sort((a, b) => a - b);
+  return { report, clumpMedian: clump[clump.length >> 1], regions, summary };
+}
+
+test('mesh.patches: patch over a dense clump sharpens its forces', async () => {
+  const gl = getGL();
+
+  const coarse = measure(gl, false);
+  const refined = measure(gl, true);
+
+  for (const e of refined.report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}\n\n${refined.summary}`);
+  assert.strictEqual(coarse.regions, 0);
+  assert.strictEqual(refined.regions, 1, `One patch over the clump\n\n${refined.summary}`);
+  assert.ok(refined.clumpMedian < 0.5 * coarse.clumpMedian,
+    `Clump median error: mesh ${coarse.clumpMedian.toExponential(3)}, with patch ${refined.clumpMedian.toExponential(3)}\n\n${refined.summary}`);
+
+  resetGL();
+});
@@ -1,5 +1,7 @@
 // @ts-check
 
+import { assignmentGlsl } from '../../assignment.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 precision highp int;
@@ -13,15 +15,14 @@ uniform float u_slicesPerRow;
 uniform vec3 u_worldMin;
 uniform vec3 u_worldMax;
 uniform float u_particleSize;
-uniform int u_assignment; // 0 = NGP, 1 = CIC
-uniform vec3 u_offset;    // CIC corner offset
+uniform int u_order;      // 1 = NGP, 2 = CIC, 3 = TSC, 4 = PCS
+uniform vec3 u_offset;    // stencil node offset from the base node
 
 out float v_mass;
-out vec3 v_worldPos;
-out vec3 v_frac;
+out float v_weight;
 
 const float EPS = 1e-6;
-
+${assignmentGlsl}
 vec3 wrapToDomain(vec3 pos, vec3 minBound, vec3 maxBound) {
   vec3 extent = max(maxBound - minBound, vec3(EPS));
   vec3 norm = (pos - minBound) / extent;
@@ -48,13 +49,9 @@ void main() {
   vec3 extent = max(u_worldMax - u_worldMin, vec3(EPS));
   vec3 norm = (worldPos - u_worldMin) / extent;
   vec3 gridPos = norm * vec3(u_gridSize);
-  vec3 baseVoxel = floor(gridPos);
-  vec3 frac = gridPos - baseVoxel;
+  vec3 baseVoxel = assignmentBase(gridPos, u_order);
 
-  vec3 targetVoxel = baseVoxel;
-  if (u_assignment == 1) {
-    targetVoxel += u_offset;
-  }
+  vec3 targetVoxel = baseVoxel + u_offset;
 
   targetVoxel.x = wrapIndex(targetVoxel.x, float(u_gridSize.x));
   targetVoxel.y = wrapIndex(targetVoxel.y, float(u_gridSize.y));
@@ -72,8 +69,7 @@ void main() {
   vec2 ndc = vec2(((texel.x + 0.5) / u_textureSize.x), ((texel.y + 0.5) / u_textureSize.y)) * 2.0 - 1.0;
 
   v_mass = mass;
-  v_worldPos = worldPos;
-  v_frac = frac;
+  v_weight = assignmentWeight(gridPos - baseVoxel, ivec3(u_offset), u_order);
 
   gl_Position = vec4(ndc, 0.0, 1.0);
   gl_PointSize = u_particleSize;
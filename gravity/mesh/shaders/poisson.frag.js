@@ -24,7 +24,7 @@ uniform vec3 u_worldSize;              // Physical size per axis of simulation b
 uniform int u_splitMode;               // 0 = none, 1 = hard cutoff, 2 = Gaussian
 uniform float u_kCut;                  // Cutoff wavenumber (rad / unit length)
 uniform float u_gaussianSigma;         // Sigma for Gaussian split (length)
-uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC
+uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC, 4 = PCS
 uniform int u_useDiscrete;             // 1 = use discrete Laplacian eigenvalue
 
 const float PI = 3.14159265359;
@@ -8,11 +8,21 @@
  * Extends monopole with quadrupole moments (A1, A2) for higher accuracy.
  */
 
+import { KForceAccumulate } from '../k-force-accumulate.js';
+import { hasWalls, resolveWalls } from '../walls.js';
+import { integratorStages, resolveIntegrator } from './integrator-stages.js';
 import { KAggregatorQuadrupole } from './k-aggregator-quadrupole.js';
 import { KBoundsReduce } from './k-bounds-reduce.js';
+import { KCellSort } from './k-cell-sort.js';
 import { KIntegrateEuler } from './k-integrate-euler.js';
+import { KIntegratePosition } from './k-integrate-position.js';
+import { KIntegrateVelocity } from './k-integrate-velocity.js';
+import { KKickBins } from './k-kick-bins.js';
+import { KNearFieldPairs } from './k-near-field-pairs.js';
 import { KPyramidBuild } from './k-pyramid-build.js';
+import { KTimeBins } from './k-time-bins.js';
 import { KTraversalQuadrupole } from './k-traversal-quadrupole.js';
+import { octreeTextureDimensions, resolveOctreeConfig } from './octree-config.js';
 
 export class GravityQuadrupole {
   /**
@@ -31,7 +41,17 @@ export class GravityQuadrupole {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
-   *   useOccupancyMasks?: boolean
+   *   useOccupancyMasks?: boolean,
+   *   integrator?: 'euler' | 'leapfrog-kdk' | 'yoshida4',
+   *   timeBins?: { maxBin?: number, eta?: number },
+   *   boundary?: 'open' | 'periodic',
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
+   *   numLevels?: number,
+   *   octreeGridSize?: number,
+   *   octree?: { gridSize?: number, slicesPerRow?: number, numLevels?: number },
+   *   nearField?: boolean,
+   *   potential?: boolean
    * }} options
    */
   constructor({
@@ -49,7 +69,17 @@ export class GravityQuadrupole {
     damping,
     maxSpeed,
     maxAccel,
-    useOccupancyMasks
+    useOccupancyMasks,
+    integrator,
+    timeBins,
+    boundary,
+    walls,
+    restitution,
+    numLevels,
+    octreeGridSize,
+    octree,
+    nearField,
+    potential
   }) {
     this.gl = gl;
 
@@ -77,21 +107,51 @@ export class GravityQuadrupole {
     this.damping = damping !== undefined ? damping : 0.0;
     this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
     this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
+    // Block timesteps are built on leapfrog KDK half-kicks
+    this.integrator = resolveIntegrator(integrator || (timeBins ? 'leapfrog-kdk' : undefined));
+    if (timeBins && this.integrator !== 'leapfrog-kdk')
+      throw new Error(`timeBins requires the 'leapfrog-kdk' integrator, got '${this.integrator}'`);
+    this.timeBins = timeBins ? {
+      maxBin: timeBins.maxBin !== undefined ? timeBins.maxBin : 4,
+      eta: timeBins.eta !== undefined ? timeBins.eta : 0.025
+    } : null;
+
+    // 'periodic' treats worldBounds as a fixed box: minimum-image forces, wrapped positions
+    this.boundary = boundary || 'open';
+    if (this.boundary !== 'open' && this.boundary !== 'periodic')
+      throw new Error(`Unknown boundary '${this.boundary}'`);
+
+    // Per-axis walls at worldBounds (reflect/absorb/wrap); any wall keeps worldBounds fixed
+    this.walls = resolveWalls(walls, this.boundary);
+    this.restitution = restitution !== undefined ? restitution : 1.0;
     this.useOccupancyMasks = useOccupancyMasks !== undefined ? useOccupancyMasks : false;
 
+    // Exact particle-particle forces over the 27 L0 voxels around each particle
+    // instead of their voxel moments
+    this.nearField = nearField || false;
+
+    // Per-particle potential in the w channel of the force texture
+    this.potential = potential || false;
+
     this.frameCount = 0;
 
     // Bounds update scheduling
     this.boundsUpdateInterval = 90;  // Update bounds every 90 frames (1.5 seconds at 60fps)
     this.lastBoundsUpdateFrame = -this.boundsUpdateInterval;  // Force initial update
 
-    // Octree configuration
-    // CRITICAL: Limited to 4 levels due to WebGL2 texture unit constraint (16 max)
-    // Each level needs 3 samplers (A0, A1, A2), so 4 levels = 12 units (safe margin)
-    this.numLevels = 4;
-    this.octreeGridSize = 64;
-    this.octreeSlicesPerRow = 8;
-    this.L0Size = this.octreeGridSize * this.octreeSlicesPerRow;
+    // Octree configuration: L0 grid, slice tiling and depth, validated against MAX_TEXTURE_SIZE.
+    // Traversal reads every level through the three texture arrays (A0, A1, A2),
+    // so depth is bounded by the grid (down to 1 voxel), not by texture units.
+    // Top-level numLevels/octreeGridSize are shorthands for octree.numLevels/octree.gridSize.
+    const octreeConfig = resolveOctreeConfig(this.gl, {
+      gridSize: octreeGridSize,
+      numLevels,
+      ...octree
+    });
+    this.numLevels = octreeConfig.numLevels;
+    this.octreeGridSize = octreeConfig.gridSize;
+    this.octreeSlicesPerRow = octreeConfig.slicesPerRow;
+    this.L0Size = octreeConfig.L0Size;
 
     // Check WebGL2 support
     const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
@@ -111,27 +171,17 @@ export class GravityQuadrupole {
     /** @type {WebGLTexture|null} */ this.levelTextureArrayA1 = null;
     /** @type {WebGLTexture|null} */ this.levelTextureArrayA2 = null;
 
-    // Prepare levelConfigs (sizes for each pyramid level)
-    this.levelConfigs = [];
-    let currentSize = this.L0Size;
-    let currentGridSize = this.octreeGridSize;
-    let currentSlicesPerRow = this.octreeSlicesPerRow;
-    for (let i = 0; i < this.numLevels; i++) {
-      this.levelConfigs.push({
-        size: currentSize,
-        gridSize: currentGridSize,
-        slicesPerRow: currentSlicesPerRow
-      });
-
-      currentGridSize = Math.max(1, Math.floor(currentGridSize / 2));
-      currentSlicesPerRow = Math.max(1, Math.floor(currentSlicesPerRow / 2));
-      currentSize = currentGridSize * currentSlicesPerRow;
-    }
+    // Per-level layouts (sizes for each pyramid level)
+    this.levelConfigs = octreeConfig.levelConfigs;
 
     // Create texture arrays for all pyramid levels (A0, A1, A2)
     // Each layer has its own size from levelConfigs. We allocate with the max size
     // to ensure all layers fit, but we must copy only the appropriate region per layer.
-    const maxSize = this.L0Size; // Maximum size for array allocation
+    // Deeper levels can be taller than wide once slicesPerRow collapses to 1, so take the max over all levels.
+    const maxSize = this.levelConfigs.reduce((max, { gridSize, slicesPerRow }) => {
+      const { width, height } = octreeTextureDimensions(gridSize, slicesPerRow);
+      return Math.max(max, width, height);
+    }, 0);
 
     // Create A0 array (monopole moments: Σ(m·x), Σ(m·y), Σ(m·z), Σm)
     this.levelTextureArrayA0 = gl.createTexture();
@@ -213,9 +263,50 @@ export class GravityQuadrupole {
       theta: this.theta,
       gravityStrength: this.gravityStrength,
       softening: this.softening,
-      useOccupancyMasks: this.useOccupancyMasks
+      useOccupancyMasks: this.useOccupancyMasks,
+      boundary: this.boundary,
+      nearField: this.nearField,
+      potential: this.potential
     });
 
+    // Near field: particles sorted by L0 voxel, then summed pairwise into the traversal output
+    /** @type {KCellSort | null} */
+    this.cellSortKernel = null;
+    /** @type {KNearFieldPairs | null} */
+    this.nearFieldKernel = null;
+    if (this.nearField) {
+      this.cellSortKernel = new KCellSort({
+        gl: this.gl,
+        inPosition: null,  // set per-frame
+        inBounds: null,  // set per-frame once bounds are on the GPU
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        particleCount: this.particleCount,
+        gridSize: this.octreeGridSize,
+        worldBounds: this.worldBounds
+      });
+      this.nearFieldKernel = new KNearFieldPairs({
+        gl: this.gl,
+        inPosition: null,  // set per-frame
+        inCells: this.cellSortKernel.outCells,
+        inSorted: this.cellSortKernel.outSorted,
+        inBounds: null,  // set per-frame, same as the sort
+        outForce: this.traversalKernel.outForce,
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        particleCount: this.particleCount,
+        gridSize: this.octreeGridSize,
+        cellTextureWidth: this.cellSortKernel.cellTextureWidth,
+        sortTextureWidth: this.cellSortKernel.sortTextureWidth,
+        worldBounds: this.worldBounds,
+        gravityStrength: this.gravityStrength,
+        softening: this.softening,
+        boundary: this.boundary,
+        accumulate: true,
+        potential: this.potential
+      });
+    }
+
     // Create integrator kernel. This kernel will accept external ping-pong
     // textures (positions/velocities) each frame and write to targets.
     this.integrateEulerKernel = new KIntegrateEuler({
@@ -228,13 +319,99 @@ export class GravityQuadrupole {
       dt: this.dt,
       damping: this.damping,
       maxSpeed: this.maxSpeed,
-      maxAccel: this.maxAccel
+      maxAccel: this.maxAccel,
+      walls: this.walls,
+      restitution: this.restitution,
+      worldBounds: this.worldBounds
     });
 
     // Adopt textures created by the kernel if none were provided
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
+    // Adds traversal forces into an external target when used as a ParticleSystem force module
+    this.forceAccumulateKernel = new KForceAccumulate({
+      gl: this.gl,
+      inForce: null,  // wired from traversal
+      outForce: null,  // wired from accumulate() context
+      width: this.textureWidth,
+      height: this.textureHeight
+    });
+
+    // Split kick/drift kernels for symplectic integrators. They borrow the
+    // ping-pong textures owned by integrateEulerKernel, wired per pass.
+    /** @type {KIntegrateVelocity | null} */
+    this.kickKernel = null;
+    /** @type {KIntegratePosition | null} */
+    this.driftKernel = null;
+    if (this.integrator !== 'euler') {
+      this.kickKernel = new KIntegrateVelocity({
+        gl: this.gl,
+        inVelocity: null,
+        inForce: null,
+        inPosition: null,
+        outVelocity: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        damping: 0.0,
+        maxSpeed: this.maxSpeed,
+        maxAccel: this.maxAccel
+      });
+      this.driftKernel = new KIntegratePosition({
+        gl: this.gl,
+        inPosition: null,
+        inVelocity: null,
+        outPosition: null,
+        outVelocity: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        walls: this.walls,
+        restitution: this.restitution,
+        worldBounds: this.worldBounds
+      });
+    }
+
+    // Block timestep kernels: bin assignment owns the bins ping-pong,
+    // the bin-masked kick borrows textures per pass like kickKernel.
+    /** @type {KTimeBins | null} */
+    this.timeBinsKernel = null;
+    /** @type {KKickBins | null} */
+    this.kickBinsKernel = null;
+    if (this.timeBins) {
+      this.timeBinsKernel = new KTimeBins({
+        gl: this.gl,
+        inForce: null,
+        inPosition: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        eta: this.timeBins.eta,
+        softening: this.softening,
+        maxBin: this.timeBins.maxBin
+      });
+      this.kickBinsKernel = new KKickBins({
+        gl: this.gl,
+        inVelocity: null,
+        inForce: null,
+        inPosition: null,
+        inBins: null,
+        outVelocity: null,
+        width: this.textureWidth,
+        height: this.textureHeight,
+        dt: this.dt,
+        damping: this.damping,
+        maxSpeed: this.maxSpeed,
+        maxAccel: this.maxAccel,
+        maxBin: this.timeBins.maxBin
+      });
+    }
+
+    // Position texture the current traversal forces were computed from
+    /** @type {WebGLTexture | null | undefined} */
+    this._forcePosition = null;
+
     // Create bounds reduction kernel for GPU-resident dynamic bounds updates
     this.boundsKernel = new KBoundsReduce({
       gl: this.gl,
@@ -251,31 +428,86 @@ export class GravityQuadrupole {
   step() {
     // 0. Update world bounds (scheduled every N frames)
     const framesSinceLastUpdate = this.frameCount - this.lastBoundsUpdateFrame;
-    if (framesSinceLastUpdate >= this.boundsUpdateInterval) {
+    if (!hasWalls(this.walls) && framesSinceLastUpdate >= this.boundsUpdateInterval) {
       this._updateBounds();
       this.lastBoundsUpdateFrame = this.frameCount;
     }
 
-    // 1. Build octree
-    this._buildOctree();
+    if (this.integrator === 'euler') {
+      // 1. Build octree
+      this._buildOctree();
+
+      // 2. Calculate forces
+      this._calculateForces();
+
+      // 3. Integrate physics
+      this._integratePhysics();
+    } else if (this.timeBins) {
+      // 1-3. Block timesteps: kick only the active bins at each substep
+      this._integrateBlockSteps();
+    } else {
+      // 1-3. Kick/drift stages, rebuilding the octree after every drift
+      this._integrateSymplectic();
+    }
 
-    // 2. Calculate forces
+    this.frameCount++;
+  }
+
+  /**
+   * Accumulate gravitational forces into an external force target (ParticleSystem force module).
+   * Builds the octree from ctx.positionTexture; the system's own integrator is not run.
+   * @param {import('../../particle-system.js').ForceContext} ctx
+   */
+  accumulate(ctx) {
+    const ownPosition = this.positionMassTexture;
+    this.positionMassTexture = ctx.positionTexture;
+
+    const framesSinceLastUpdate = this.frameCount - this.lastBoundsUpdateFrame;
+    if (!hasWalls(this.walls) && framesSinceLastUpdate >= this.boundsUpdateInterval) {
+      this._updateBounds();
+      this.lastBoundsUpdateFrame = this.frameCount;
+    }
+
+    this._buildOctree();
     this._calculateForces();
 
-    // 3. Integrate physics
-    this._integratePhysics();
+    this.forceAccumulateKernel.inForce = this.traversalKernel.outForce;
+    this.forceAccumulateKernel.outForce = ctx.targetForceTexture;
+    this.forceAccumulateKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+    this.forceAccumulateKernel.run();
+
+    // Release borrowed textures so dispose() does not delete them
+    this.positionMassTexture = ownPosition;
+    this._forcePosition = null;  // traversal forces now belong to ctx positions
+    this.aggregatorKernel.inPosition = null;
+    this.traversalKernel.inPosition = null;
+    if (this.cellSortKernel) this.cellSortKernel.inPosition = null;
+    if (this.nearFieldKernel) this.nearFieldKernel.inPosition = null;
+    this.boundsKernel.inPosition = null;
+    this.forceAccumulateKernel.inForce = null;
+    this.forceAccumulateKernel.outForce = null;
+    this.forceAccumulateKernel.outForceFramebuffer = null;
 
     this.frameCount++;
   }
 
+  /**
+   * Force texture of the last force evaluation, with the potential φ per unit mass in w
+   * (φ·mass is the particle's potential energy); null unless created with potential
+   * @returns {WebGLTexture | null}
+   */
+  get potentialTexture() {
+    return this.potential ? (this.traversalKernel.outForce || null) : null;
+  }
+
   _buildOctree() {
     // Aggregate particles into L0
     if (!this.aggregatorKernel) throw new Error('Aggregator kernel missing');
     if (!this.positionMassTexture) throw new Error('Position texture missing');
 
     this.aggregatorKernel.inPosition = this.positionMassTexture;
-    // Wire bounds texture if available (after first bounds update)
-    if (this.boundsKernel?.outBounds) {
+    // Wire bounds texture if available (after first bounds update); a walled box stays fixed
+    if (!hasWalls(this.walls) && this.boundsKernel?.outBounds) {
       this.aggregatorKernel.inBounds = this.boundsKernel.outBounds;
     }
     this.aggregatorKernel.run();
@@ -316,11 +548,7 @@ export class GravityQuadrupole {
 
     // Compute the actual texture dimensions used by the kernel
     // based on gridSize and slicesPerRow (NOT the flattened size)
-    const gridSize = config.gridSize;
-    const slicesPerRow = config.slicesPerRow;
-    const width = gridSize * slicesPerRow;
-    const sliceRows = Math.ceil(gridSize / slicesPerRow);
-    const height = gridSize * sliceRows;
+    const { width, height } = octreeTextureDimensions(config.gridSize, config.slicesPerRow);
 
     // Bind the kernel's output framebuffer for reading (explicit READ target)
     gl.bindFramebuffer(gl.READ_FRAMEBUFFER, kernel.outFramebuffer);
@@ -374,8 +602,8 @@ export class GravityQuadrupole {
     this.traversalKernel.inLevelsA1 = this.levelTextureArrayA1;
     this.traversalKernel.inLevelsA2 = this.levelTextureArrayA2;
 
-    // Wire bounds texture if available (after first bounds update)
-    if (this.boundsKernel?.outBounds) {
+    // Wire bounds texture if available (after first bounds update); a walled box stays fixed
+    if (!hasWalls(this.walls) && this.boundsKernel?.outBounds) {
       this.traversalKernel.inBounds = this.boundsKernel.outBounds;
     }
 
@@ -386,10 +614,37 @@ export class GravityQuadrupole {
 
     this.traversalKernel.run();
 
+    if (this.nearFieldKernel) this._calculateNearField();
+
     // Wire traversal result into velocity integrator
     if (this.integrateEulerKernel) {
       this.integrateEulerKernel.inForce = this.traversalKernel.outForce || null;
     }
+
+    this._forcePosition = this.positionMassTexture;
+  }
+
+  /**
+   * Sort particles by L0 voxel and add the exact near-field pairs into the traversal forces.
+   * Both kernels voxelize over the same bounds the traversal used.
+   */
+  _calculateNearField() {
+    const sort = /** @type {KCellSort} */ (this.cellSortKernel);
+    const near = /** @type {KNearFieldPairs} */ (this.nearFieldKernel);
+    const bounds = this.traversalKernel.inBounds || null;
+
+    sort.inPosition = this.positionMassTexture;
+    sort.inBounds = bounds;
+    sort.run();
+
+    near.inPosition = this.positionMassTexture;
+    near.inBounds = bounds;
+    near.inCells = sort.outCells;
+    near.inSorted = sort.outSorted;
+    near.outForce = this.traversalKernel.outForce;
+    near.gravityStrength = this.gravityStrength;
+    near.softening = this.softening;
+    near.run();
   }
 
   _integratePhysics() {
@@ -407,6 +662,177 @@ export class GravityQuadrupole {
     this.integrateEulerKernel.inPosition = this.positionMassTexture;
     this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
   }
+  /**
+   * Symplectic step: leapfrog KDK sub-steps weighted by integratorStages().
+   * Forces left by the previous step are reused while the position texture is unchanged,
+   * so 'leapfrog-kdk' costs one octree build per step and 'yoshida4' three.
+   */
+  _integrateSymplectic() {
+    const stages = integratorStages(/** @type {'leapfrog-kdk' | 'yoshida4'} */(this.integrator));
+
+    if (this._forcePosition !== this.positionMassTexture) {
+      this._buildOctree();
+      this._calculateForces();
+    }
+
+    for (let i = 0; i < stages.length; i++) {
+      const h = stages[i] * this.dt;
+      this._kick(h / 2, 0);
+      this._drift(h);
+      this._buildOctree();
+      this._calculateForces();
+      // Damping once per step, matching the Euler path
+      this._kick(h / 2, i === stages.length - 1 ? this.damping : 0);
+    }
+  }
+
+  /**
+   * Kick: velocity += force·dt into the spare velocity texture, then swap
+   * @param {number} dt
+   * @param {number} damping
+   */
+  _kick(dt, damping) {
+    const kernel = /** @type {KIntegrateVelocity} */ (this.kickKernel);
+    kernel.dt = dt;
+    kernel.damping = damping;
+    kernel.maxSpeed = this.maxSpeed;
+    kernel.maxAccel = this.maxAccel;
+    kernel.inVelocity = this.velocityColorTexture;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.inForce = this.traversalKernel.outForce;
+    kernel.outVelocity = this.integrateEulerKernel.outVelocity;
+    kernel.run();
+
+    this.integrateEulerKernel.outVelocity = this.velocityColorTexture;
+    this.velocityColorTexture = kernel.outVelocity;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
+  /**
+   * Drift: position += velocity·dt into the spare position texture, then swap
+   * @param {number} dt
+   */
+  _drift(dt) {
+    const kernel = /** @type {KIntegratePosition} */ (this.driftKernel);
+    kernel.dt = dt;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.inVelocity = this.velocityColorTexture;
+    kernel.outPosition = this.integrateEulerKernel.outPosition;
+    // Walls may reflect or absorb velocities: write them to the spare velocity texture too
+    kernel.outVelocity = hasWalls(this.walls) ? this.integrateEulerKernel.outVelocity : null;
+    kernel.run();
+
+    this.integrateEulerKernel.outPosition = this.positionMassTexture;
+    this.positionMassTexture = kernel.outPosition;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+
+    if (kernel.outVelocity) {
+      this.integrateEulerKernel.outVelocity = this.velocityColorTexture;
+      this.velocityColorTexture = kernel.outVelocity;
+      this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    }
+  }
+
+  /**
+   * Block timestep: the frame dt is split into 2^maxBin substeps and every particle
+   * runs leapfrog KDK with its own step dt / 2^bin, kicked only at its block boundaries.
+   * All particles drift every substep and the octree is rebuilt from every position, since
+   * inactive particles still attract; the traversal and near field then only evaluate
+   * particles whose bin is synchronized at that substep, and the rest keep their last force.
+   * The final substep synchronizes every bin, so the frame ends with a full evaluation.
+   */
+  _integrateBlockSteps() {
+    const timeBins = /** @type {{ maxBin: number, eta: number }} */ (this.timeBins);
+    const substeps = 1 << timeBins.maxBin;
+    const h = this.dt / substeps;
+
+    if (this._forcePosition !== this.positionMassTexture) {
+      this._buildOctree();
+      this._calculateForces();
+    }
+
+    // Opening half-kicks for everyone at the start of the frame
+    this._assignTimeBins(0);
+    this._kickBins(0);
+
+    for (let s = 1; s <= substeps; s++) {
+      this._drift(h);
+      this._buildOctree();
+      this._maskBins(s);
+      this._calculateForces();
+      this._maskBins(null);
+
+      // Closing half-kicks for bins whose step ends here (old bins)
+      this._kickBins(s);
+
+      if (s < substeps) {
+        // Re-bin the synchronized particles and open their next step
+        this._assignTimeBins(s);
+        this._kickBins(s);
+      }
+    }
+  }
+
+  /**
+   * Restrict the next force evaluation to particles synchronized at sync point s,
+   * or lift the restriction with null
+   * @param {number | null} sync
+   */
+  _maskBins(sync) {
+    const timeBins = /** @type {{ maxBin: number, eta: number }} */ (this.timeBins);
+    const bins = sync === null ? null : /** @type {KTimeBins} */ (this.timeBinsKernel).inBins;
+    for (const kernel of [this.traversalKernel, this.nearFieldKernel]) {
+      if (!kernel) continue;
+      kernel.inBins = bins;
+      kernel.maxBin = timeBins.maxBin;
+      kernel.sync = sync || 0;
+    }
+  }
+
+  /**
+   * Assign time bins for particles synchronized at sync point s, then swap the bins ping-pong
+   * @param {number} sync
+   */
+  _assignTimeBins(sync) {
+    const kernel = /** @type {KTimeBins} */ (this.timeBinsKernel);
+    kernel.dt = this.dt;
+    kernel.softening = this.softening;
+    kernel.sync = sync;
+    kernel.inForce = this.traversalKernel.outForce;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.run();
+
+    const bins = kernel.outBins;
+    kernel.outBins = kernel.inBins;
+    kernel.inBins = bins;
+
+    kernel.inForce = null;
+    kernel.inPosition = null;
+  }
+
+  /**
+   * Bin-masked half-kick at sync point s into the spare velocity texture, then swap
+   * @param {number} sync
+   */
+  _kickBins(sync) {
+    const kernel = /** @type {KKickBins} */ (this.kickBinsKernel);
+    kernel.dt = this.dt;
+    kernel.damping = this.damping;
+    kernel.maxSpeed = this.maxSpeed;
+    kernel.maxAccel = this.maxAccel;
+    kernel.sync = sync;
+    kernel.inVelocity = this.velocityColorTexture;
+    kernel.inPosition = this.positionMassTexture;
+    kernel.inForce = this.traversalKernel.outForce;
+    kernel.inBins = /** @type {KTimeBins} */ (this.timeBinsKernel).inBins;
+    kernel.outVelocity = this.integrateEulerKernel.outVelocity;
+    kernel.run();
+
+    this.integrateEulerKernel.outVelocity = this.velocityColorTexture;
+    this.velocityColorTexture = kernel.outVelocity;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
 
   /**
    * Update world bounds from GPU reduction (Phase 1 complete)
@@ -432,7 +858,46 @@ export class GravityQuadrupole {
     if (this.aggregatorKernel) this.aggregatorKernel.dispose();
     if (this.pyramidKernels) this.pyramidKernels.forEach(k => k.dispose());
     if (this.traversalKernel) this.traversalKernel.dispose();
+    // Near field borrows positions, bounds, the sort outputs and the traversal force texture
+    if (this.nearFieldKernel) {
+      this.nearFieldKernel.inPosition = null;
+      this.nearFieldKernel.inCells = null;
+      this.nearFieldKernel.inSorted = null;
+      this.nearFieldKernel.inBounds = null;
+      this.nearFieldKernel.outForce = null;
+      this.nearFieldKernel.dispose();
+    }
+    if (this.cellSortKernel) {
+      this.cellSortKernel.inPosition = null;
+      this.cellSortKernel.inBounds = null;
+      this.cellSortKernel.dispose();
+    }
+    // Kick/drift kernels only borrow ping-pong textures owned by integrateEulerKernel
+    if (this.kickKernel) {
+      this.kickKernel.inVelocity = null;
+      this.kickKernel.inForce = null;
+      this.kickKernel.inPosition = null;
+      this.kickKernel.outVelocity = null;
+      this.kickKernel.dispose();
+    }
+    if (this.driftKernel) {
+      this.driftKernel.inPosition = null;
+      this.driftKernel.inVelocity = null;
+      this.driftKernel.outPosition = null;
+      this.driftKernel.outVelocity = null;
+      this.driftKernel.dispose();
+    }
+    if (this.kickBinsKernel) {
+      this.kickBinsKernel.inVelocity = null;
+      this.kickBinsKernel.inForce = null;
+      this.kickBinsKernel.inPosition = null;
+      this.kickBinsKernel.inBins = null;
+      this.kickBinsKernel.outVelocity = null;
+      this.kickBinsKernel.dispose();
+    }
+    if (this.timeBinsKernel) this.timeBinsKernel.dispose();
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.forceAccumulateKernel) this.forceAccumulateKernel.dispose();
     if (this.boundsKernel) this.boundsKernel.dispose();
 
     // Clean up texture arrays
@@ -0,0 +1,42 @@
+// @ts-check
+
+/**
+ * Integrator schedules for the tree methods (GravityMonopole, GravityQuadrupole).
+ *
+ * 'euler' is the single-pass semi-implicit Euler of KIntegrateEuler.
+ * Symplectic schedules are lists of leapfrog sub-step weights: each weight w runs
+ * kick(w·dt/2) → drift(w·dt) → force → kick(w·dt/2) with KIntegrateVelocity/KIntegratePosition.
+ * 'yoshida4' is Yoshida's (1990) triple-jump composition of leapfrog, 4th order.
+ */
+
+const cbrt2 = Math.cbrt(2);
+const yoshidaW1 = 1 / (2 - cbrt2);
+const yoshidaW0 = -cbrt2 / (2 - cbrt2);
+
+/** @typedef {'euler' | 'leapfrog-kdk' | 'yoshida4'} IntegratorName */
+
+/** @type {Record<Exclude<IntegratorName, 'euler'>, number[]>} */
+const stageWeights = {
+  'leapfrog-kdk': [1],
+  'yoshida4': [yoshidaW1, yoshidaW0, yoshidaW1]
+};
+
+/**
+ * Validate an integrator option, defaulting to 'euler'
+ * @param {string | undefined} integrator
+ * @returns {IntegratorName}
+ */
+export function resolveIntegrator(integrator) {
+  if (integrator === undefined) return 'euler';
+  if (integrator === 'euler' || integrator === 'leapfrog-kdk' || integrator === 'yoshida4') return integrator;
+  throw new Error(`Unknown integrator '${integrator}', expected 'euler', 'leapfrog-kdk' or 'yoshida4'`);
+}
+
+/**
+ * Leapfrog sub-step weights for a symplectic integrator (they sum to 1)
+ * @param {Exclude<IntegratorName, 'euler'>} integrator
+ * @returns {number[]}
+ */
+export function integratorStages(integrator) {
+  return stageWeights[integrator];
+}
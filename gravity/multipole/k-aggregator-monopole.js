@@ -244,6 +244,7 @@ A2 (quadrupole xz,yz): ${value.a2}`;
     const u_worldMax = gl.getUniformLocation(this.program, 'u_worldMax');
     const u_gridSize = gl.getUniformLocation(this.program, 'u_gridSize');
     const u_slicesPerRow = gl.getUniformLocation(this.program, 'u_slicesPerRow');
+    const u_octreeSize = gl.getUniformLocation(this.program, 'u_octreeSize');
 
     gl.uniform2f(u_texSize, this.particleTextureWidth, this.particleTextureHeight);
     gl.uniform3f(u_worldMin,
@@ -252,6 +253,7 @@ A2 (quadrupole xz,yz): ${value.a2}`;
       this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(u_gridSize, this.gridSize);
     gl.uniform1f(u_slicesPerRow, this.slicesPerRow);
+    gl.uniform1f(u_octreeSize, this.octreeSize);
 
     // Draw particles as points
     gl.bindVertexArray(this.particleVAO);
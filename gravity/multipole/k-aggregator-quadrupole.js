@@ -272,10 +272,12 @@ Occupancy: ${value.occupancy}`;
     const u_texSize = gl.getUniformLocation(this.program, 'u_texSize');
     const u_gridSize = gl.getUniformLocation(this.program, 'u_gridSize');
     const u_slicesPerRow = gl.getUniformLocation(this.program, 'u_slicesPerRow');
+    const u_octreeSize = gl.getUniformLocation(this.program, 'u_octreeSize');
 
     gl.uniform2f(u_texSize, this.particleTextureWidth, this.particleTextureHeight);
     gl.uniform1f(u_gridSize, this.gridSize);
     gl.uniform1f(u_slicesPerRow, this.slicesPerRow);
+    gl.uniform1f(u_octreeSize, this.octreeSize);
 
     // Draw particles as points
     gl.bindVertexArray(this.particleVAO);
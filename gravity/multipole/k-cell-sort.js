@@ -0,0 +1,561 @@
+// @ts-check
+
+/**
+ * KCellSort - Particles sorted by L0 voxel in Morton order
+ *
+ * Builds the per-voxel particle lists the exact near field walks (KNearFieldPairs):
+ * 1. Key: every particle gets the Morton (Z-order) key of its L0 voxel; padding and
+ *    massless particles get the sentinel key gridSize³ and sort behind every cell.
+ * 2. Count: keys are scattered as points with additive blending into the cell table.
+ * 3. Scan: Hillis-Steele prefix sum over the cell table, the last pass writing
+ *    (start, count) per cell, i.e. each cell's range in the sorted list.
+ * 4. Order: WebGL2 has no atomics to hand out slots inside a cell, so the (key, index)
+ *    pairs are put in Morton order by a bitonic sort; slots [start, start + count)
+ *    of the sorted list then hold exactly the particles of that cell, by index.
+ *
+ * Voxelization matches the traversals: per-axis world extent, clamped to the grid,
+ * optionally from the GPU bounds texture with the quadrupole traversal's margin.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+/**
+ * Voxelization and Morton key shared by KCellSort and KNearFieldPairs.
+ * Expects u_worldMin/u_worldMax, u_gridSize and the optional u_bounds texture.
+ */
+export const cellKeyGlsl = /* glsl */`
+uniform vec3 u_worldMin;
+uniform vec3 u_worldMax;
+uniform int u_gridSize;          // L0 voxels per axis
+uniform sampler2D u_bounds;      // 2×1 texture: texel 0 = min bounds, texel 1 = max bounds
+uniform bool u_useBoundsTexture; // true if bounds texture available
+
+// World box the octree was aggregated over (same margin as KTraversalQuadrupole)
+void cellWorldBox(out vec3 worldMin, out vec3 worldMax) {
+  if (u_useBoundsTexture) {
+    worldMin = texelFetch(u_bounds, ivec2(0, 0), 0).xyz - vec3(0.1);
+    worldMax = texelFetch(u_bounds, ivec2(1, 0), 0).xyz + vec3(0.1);
+  } else {
+    worldMin = u_worldMin;
+    worldMax = u_worldMax;
+  }
+}
+
+// L0 voxel of a position, clamped into the grid like the traversals' own voxel
+ivec3 cellVoxel(vec3 pos, vec3 worldMin, vec3 worldMax) {
+  float g = float(u_gridSize);
+  vec3 norm = clamp((pos - worldMin) / (worldMax - worldMin), vec3(0.0), vec3(1.0 - 1.0 / g));
+  return ivec3(floor(norm * g));
+}
+
+// Morton key: bit b of x, y, z lands at 3b, 3b+1, 3b+2 (up to 8 bits per axis)
+int mortonKey(ivec3 voxel) {
+  int key = 0;
+  for (int b = 0; b < 8; b++) {
+    int bit = 1 << b;
+    key |= ((voxel.x & bit) << (2 * b)) | ((voxel.y & bit) << (2 * b + 1)) | ((voxel.z & bit) << (2 * b + 2));
+  }
+  return key;
+}
+
+ivec2 linearToTexel(int index, int width) {
+  return ivec2(index % width, index / width);
+}
+`;
+
+export class KCellSort {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
+   *   outCells?: WebGLTexture|null,
+   *   outSorted?: WebGLTexture|null,
+   *   particleTextureWidth?: number,
+   *   particleTextureHeight?: number,
+   *   particleCount?: number,
+   *   gridSize?: number,
+   *   worldBounds?: {min: [number,number,number], max: [number,number,number]}
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Particle texture dimensions
+    this.particleTextureWidth = options.particleTextureWidth || 0;
+    this.particleTextureHeight = options.particleTextureHeight || 0;
+    this.particleCount = options.particleCount !== undefined
+      ? options.particleCount
+      : this.particleTextureWidth * this.particleTextureHeight;
+
+    // L0 grid: keys and slots are stored as floats, exact below 2^24
+    this.gridSize = options.gridSize || 64;
+    if (this.gridSize < 2 || this.gridSize > 256 || (this.gridSize & (this.gridSize - 1)) !== 0)
+      throw new Error(`KCellSort: gridSize must be a power of two in 2..256, got ${this.gridSize}`);
+    this.cellCount = this.gridSize * this.gridSize * this.gridSize;
+
+    // Cell table: one texel per Morton key, power-of-two rectangle
+    const cellBits = Math.log2(this.cellCount);
+    this.cellTextureWidth = 1 << Math.ceil(cellBits / 2);
+    this.cellTextureHeight = this.cellCount / this.cellTextureWidth;
+
+    // Sorted list: particle count padded to a power of two for the bitonic network
+    this.sortSize = 1 << Math.ceil(Math.log2(Math.max(1, this.particleCount)));
+    const sortBits = Math.log2(this.sortSize);
+    this.sortTextureWidth = 1 << Math.ceil(sortBits / 2);
+    this.sortTextureHeight = this.sortSize / this.sortTextureWidth;
+
+    this.worldBounds = options.worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, this.particleTextureWidth, this.particleTextureHeight);
+    this.inBounds = (options.inBounds || options.inBounds === null)
+      ? options.inBounds
+      : null;
+
+    // outCells: (start, count) per Morton key; outSorted: (key, particle index) per slot
+    this.outCells = (options.outCells || options.outCells === null)
+      ? options.outCells
+      : createTextureRGBA32F(this.gl, this.cellTextureWidth, this.cellTextureHeight);
+    this.outSorted = (options.outSorted || options.outSorted === null)
+      ? options.outSorted
+      : createTextureRGBA32F(this.gl, this.sortTextureWidth, this.sortTextureHeight);
+
+    // Ping-pong partners for the scan and sort passes (always owned)
+    this.cellScratch = createTextureRGBA32F(this.gl, this.cellTextureWidth, this.cellTextureHeight);
+    this.sortScratch = createTextureRGBA32F(this.gl, this.sortTextureWidth, this.sortTextureHeight);
+
+    this.keyProgram = this._compileProgram(fsQuadVert, keyFrag);
+    this.countProgram = this._compileProgram(countVert, countFrag);
+    this.scanProgram = this._compileProgram(fsQuadVert, scanFrag);
+    this.bitonicProgram = this._compileProgram(fsQuadVert, bitonicFrag);
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Count pass draws one point per key slot (uses gl_VertexID, no attributes)
+    const pointVAO = this.gl.createVertexArray();
+    if (!pointVAO) throw new Error('Failed to create VAO');
+    this.pointVAO = pointVAO;
+
+    // Single framebuffer, re-attached for every pass
+    this.outFramebuffer = this.gl.createFramebuffer();
+  }
+
+  /**
+   * Compile a shader program
+   * @private
+   * @param {string} vertSource
+   * @param {string} fragSource
+   */
+  _compileProgram(vertSource, fragSource) {
+    const gl = this.gl;
+
+    const vert = gl.createShader(gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    gl.shaderSource(vert, vertSource);
+    gl.compileShader(vert);
+    if (!gl.getShaderParameter(vert, gl.COMPILE_STATUS)) {
+      const info = gl.getShaderInfoLog(vert);
+      gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = gl.createShader(gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    gl.shaderSource(frag, fragSource);
+    gl.compileShader(frag);
+    if (!gl.getShaderParameter(frag, gl.COMPILE_STATUS)) {
+      const info = gl.getShaderInfoLog(frag);
+      gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    const program = gl.createProgram();
+    if (!program) throw new Error('Failed to create program');
+    gl.attachShader(program, vert);
+    gl.attachShader(program, frag);
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      const info = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    gl.deleteShader(vert);
+    gl.deleteShader(frag);
+
+    return program;
+  }
+
+  /**
+   * Number of prefix-sum passes over the cell table
+   */
+  get scanPasses() {
+    return Math.log2(this.cellCount);
+  }
+
+  /**
+   * Number of compare-exchange passes of the bitonic network
+   */
+  get sortPasses() {
+    const bits = Math.log2(this.sortSize);
+    return bits * (bits + 1) / 2;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      cells: this.outCells && readLinear({
+        gl: this.gl, texture: this.outCells, width: this.cellTextureWidth,
+        height: this.cellTextureHeight, count: this.cellCount,
+        channels: ['start', 'count'], pixels
+      }),
+      sorted: this.outSorted && readLinear({
+        gl: this.gl, texture: this.outSorted, width: this.sortTextureWidth,
+        height: this.sortTextureHeight, count: this.particleCount,
+        channels: ['key', 'index'], pixels
+      }),
+      particleCount: this.particleCount,
+      gridSize: this.gridSize,
+      sortSize: this.sortSize,
+      scanPasses: this.scanPasses,
+      sortPasses: this.sortPasses,
+      worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KCellSort(${this.particleCount} particles → ${this.gridSize}³ cells) sort=${this.sortTextureWidth}×${this.sortTextureHeight} cells=${this.cellTextureWidth}×${this.cellTextureHeight} passes=${value.scanPasses}+${value.sortPasses} bounds=${this.inBounds ? 'texture' : `[${this.worldBounds.min.map(formatNumber)}]to[${this.worldBounds.max.map(formatNumber)}]`} #${this.renderCount}
+
+position: ${value.position}
+
+→ cells: ${value.cells}
+
+→ sorted: ${value.sorted}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.outCells || !this.outSorted) {
+      throw new Error('KCellSort: missing required textures');
+    }
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    // Ping-pong targets are picked by parity so the last pass of each stage lands in the output slot
+    const sortPasses = this.sortPasses;
+    const sortTarget = (/** @type {number} */ pass) =>
+      (sortPasses - 1 - pass) % 2 === 0 ? this.outSorted : this.sortScratch;
+    const scanPasses = this.scanPasses;
+    const scanTarget = (/** @type {number} */ pass) =>
+      (scanPasses - 1 - pass) % 2 === 0 ? this.outCells : this.cellScratch;
+
+    // 1. Keys: (Morton key, particle index) per slot
+    const keys = sortTarget(-1);
+    gl.disable(gl.BLEND);
+    gl.useProgram(this.keyProgram);
+    this._bindTarget(keys, this.sortTextureWidth, this.sortTextureHeight);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_positions'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_particleTexWidth'), this.particleTextureWidth);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_particleCount'), this.particleCount);
+    gl.uniform1i(gl.getUniformLocation(this.keyProgram, 'u_sortWidth'), this.sortTextureWidth);
+    this._setCellKeyUniforms(this.keyProgram);
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    // 2. Count: additive point scatter of every key into its cell
+    const counts = scanTarget(-1);
+    gl.useProgram(this.countProgram);
+    this._bindTarget(counts, this.cellTextureWidth, this.cellTextureHeight);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.enable(gl.BLEND);
+    gl.blendEquation(gl.FUNC_ADD);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, keys);
+    gl.uniform1i(gl.getUniformLocation(this.countProgram, 'u_keys'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.countProgram, 'u_sortWidth'), this.sortTextureWidth);
+    gl.uniform1i(gl.getUniformLocation(this.countProgram, 'u_cellWidth'), this.cellTextureWidth);
+    gl.uniform1i(gl.getUniformLocation(this.countProgram, 'u_cellCount'), this.cellCount);
+    gl.uniform2f(gl.getUniformLocation(this.countProgram, 'u_cellTexSize'), this.cellTextureWidth, this.cellTextureHeight);
+    gl.bindVertexArray(this.pointVAO);
+    gl.drawArrays(gl.POINTS, 0, this.particleCount);
+    gl.disable(gl.BLEND);
+
+    // 3. Scan: inclusive sums, the last pass writing (start, count)
+    gl.useProgram(this.scanProgram);
+    gl.uniform1i(gl.getUniformLocation(this.scanProgram, 'u_cells'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.scanProgram, 'u_cellWidth'), this.cellTextureWidth);
+    gl.bindVertexArray(this.quadVAO);
+    let source = counts;
+    for (let pass = 0; pass < scanPasses; pass++) {
+      const target = scanTarget(pass);
+      this._bindTarget(target, this.cellTextureWidth, this.cellTextureHeight);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, source);
+      gl.uniform1i(gl.getUniformLocation(this.scanProgram, 'u_offset'), 1 << pass);
+      gl.uniform1i(gl.getUniformLocation(this.scanProgram, 'u_final'), pass === scanPasses - 1 ? 1 : 0);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      source = target;
+    }
+
+    // 4. Order: bitonic network over the padded (key, index) list
+    gl.useProgram(this.bitonicProgram);
+    gl.uniform1i(gl.getUniformLocation(this.bitonicProgram, 'u_keys'), 0);
+    gl.uniform1i(gl.getUniformLocation(this.bitonicProgram, 'u_sortWidth'), this.sortTextureWidth);
+    source = keys;
+    let pass = 0;
+    for (let stage = 2; stage <= this.sortSize; stage <<= 1) {
+      for (let stride = stage >> 1; stride > 0; stride >>= 1) {
+        const target = sortTarget(pass);
+        this._bindTarget(target, this.sortTextureWidth, this.sortTextureHeight);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, source);
+        gl.uniform1i(gl.getUniformLocation(this.bitonicProgram, 'u_stage'), stage);
+        gl.uniform1i(gl.getUniformLocation(this.bitonicProgram, 'u_stride'), stride);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+        source = target;
+        pass++;
+      }
+    }
+
+    gl.bindVertexArray(null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.useProgram(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  /**
+   * Attach a target to the framebuffer and size the viewport to it
+   * @private
+   * @param {WebGLTexture | null} texture
+   * @param {number} width
+   * @param {number} height
+   */
+  _bindTarget(texture, width, height) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.viewport(0, 0, width, height);
+  }
+
+  /**
+   * Voxelization uniforms of cellKeyGlsl (positions on unit 0, bounds on unit 1)
+   * @private
+   * @param {WebGLProgram} program
+   */
+  _setCellKeyUniforms(program) {
+    const gl = this.gl;
+    gl.uniform3f(gl.getUniformLocation(program, 'u_worldMin'),
+      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    gl.uniform3f(gl.getUniformLocation(program, 'u_worldMax'),
+      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_gridSize'), this.gridSize);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBounds || null);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_bounds'), 1);
+    gl.uniform1i(gl.getUniformLocation(program, 'u_useBoundsTexture'), this.inBounds ? 1 : 0);
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.keyProgram) gl.deleteProgram(this.keyProgram);
+    if (this.countProgram) gl.deleteProgram(this.countProgram);
+    if (this.scanProgram) gl.deleteProgram(this.scanProgram);
+    if (this.bitonicProgram) gl.deleteProgram(this.bitonicProgram);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.pointVAO) gl.deleteVertexArray(this.pointVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
+    if (this.outCells) gl.deleteTexture(this.outCells);
+    if (this.outSorted) gl.deleteTexture(this.outSorted);
+    if (this.cellScratch) gl.deleteTexture(this.cellScratch);
+    if (this.sortScratch) gl.deleteTexture(this.sortScratch);
+  }
+}
+
+const keyFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_positions;
+uniform int u_particleTexWidth;
+uniform int u_particleCount;
+uniform int u_sortWidth;
+${cellKeyGlsl}
+out vec4 outKey;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int slot = coord.y * u_sortWidth + coord.x;
+
+  // Padding and massless/NaN particles sort behind every cell
+  float key = float(u_gridSize * u_gridSize * u_gridSize);
+  if (slot < u_particleCount) {
+    vec4 p = texelFetch(u_positions, linearToTexel(slot, u_particleTexWidth), 0);
+    if (p.w > 0.0 && !any(isnan(p.xyz))) {
+      vec3 worldMin, worldMax;
+      cellWorldBox(worldMin, worldMax);
+      key = float(mortonKey(cellVoxel(p.xyz, worldMin, worldMax)));
+    }
+  }
+
+  outKey = vec4(key, float(slot), 0.0, 0.0);
+}`;
+
+const countVert = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_keys;
+uniform int u_sortWidth;
+uniform int u_cellWidth;
+uniform int u_cellCount;
+uniform vec2 u_cellTexSize;
+
+void main() {
+  int slot = gl_VertexID;
+  int cell = int(texelFetch(u_keys, ivec2(slot % u_sortWidth, slot / u_sortWidth), 0).x);
+  if (cell >= u_cellCount) {
+    // Sentinel key: cull
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 0.0;
+    return;
+  }
+
+  vec2 texel = vec2(cell % u_cellWidth, cell / u_cellWidth) + 0.5;
+  gl_Position = vec4(texel / u_cellTexSize * 2.0 - 1.0, 0.0, 1.0);
+  gl_PointSize = 1.0;
+}`;
+
+const countFrag = /* glsl */`#version 300 es
+precision highp float;
+
+out vec4 outCount;
+
+void main() {
+  // R: running sum for the scan, G: the cell's own count
+  outCount = vec4(1.0, 1.0, 0.0, 0.0);
+}`;
+
+const scanFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_cells;
+uniform int u_cellWidth;
+uniform int u_offset;
+uniform bool u_final;
+
+out vec4 outCells;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int cell = coord.y * u_cellWidth + coord.x;
+
+  vec4 mine = texelFetch(u_cells, coord, 0);
+  float sum = mine.r;
+  if (cell >= u_offset) {
+    int other = cell - u_offset;
+    sum += texelFetch(u_cells, ivec2(other % u_cellWidth, other / u_cellWidth), 0).r;
+  }
+
+  // Inclusive sum minus own count is the cell's first slot in the sorted list
+  outCells = u_final ? vec4(sum - mine.g, mine.g, 0.0, 0.0) : vec4(sum, mine.g, 0.0, 0.0);
+}`;
+
+const bitonicFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_keys;
+uniform int u_sortWidth;
+uniform int u_stage;    // size of the bitonic sequences being merged
+uniform int u_stride;   // compare distance within the merge
+
+out vec4 outKey;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int slot = coord.y * u_sortWidth + coord.x;
+  int partner = slot ^ u_stride;
+
+  vec4 mine = texelFetch(u_keys, coord, 0);
+  vec4 other = texelFetch(u_keys, ivec2(partner % u_sortWidth, partner / u_sortWidth), 0);
+
+  // (key, index) pairs are unique: a strict order, which keeps each cell's list in index order
+  bool otherLess = other.x < mine.x || (other.x == mine.x && other.y < mine.y);
+  bool ascending = (slot & u_stage) == 0;
+  bool keepMin = (slot < partner) == ascending;
+
+  outKey = (keepMin == otherLess) ? other : mine;
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
@@ -0,0 +1,144 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KCellSort } from './k-cell-sort.js';
+
+/**
+ * CPU reference: Morton key of the voxel holding each particle, gridSize³ for massless ones
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @param {number} gridSize
+ * @param {{ min: number[], max: number[] }} bounds
+ */
+function cpuKeys(positions, count, gridSize, bounds) {
+  const keys = [];
+  for (let i = 0; i < count; i++) {
+    if (!(positions[i * 4 + 3] > 0)) {
+      keys.push(gridSize ** 3);
+      continue;
+    }
+    const voxel = [0, 1, 2].map(axis => {
+      const norm = (positions[i * 4 + axis] - bounds.min[axis]) / (bounds.max[axis] - bounds.min[axis]);
+      return Math.floor(Math.min(Math.max(norm, 0), 1 - 1 / gridSize) * gridSize);
+    });
+    let key = 0;
+    for (let b = 0; b < 8; b++) {
+      key |= ((voxel[0] >> b) & 1) << (3 * b);
+      key |= ((voxel[1] >> b) & 1) << (3 * b + 1);
+      key |= ((voxel[2] >> b) & 1) << (3 * b + 2);
+    }
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Test 1: Known voxels come out in Morton order with matching cell ranges
+ */
+test('KCellSort: Morton order and cell ranges for known voxels', async () => {
+  const gl = getGL();
+
+  // 4³ grid over [-2, 2]³: unit voxels
+  const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
+  const width = 3;
+  const height = 2;
+  const posData = new Float32Array([
+    1.5, 1.5, 1.5, 1.0,    // voxel (3,3,3) → key 63
+    -1.5, -1.5, -1.5, 1.0, // voxel (0,0,0) → key 0
+    -0.5, -1.5, -1.5, 1.0, // voxel (1,0,0) → key 1
+    -1.2, -1.8, -1.1, 2.0, // voxel (0,0,0) → key 0
+    0.0, 0.0, 0.0, 0.0,    // massless: left out
+    -1.5, -0.5, -1.5, 1.0  // voxel (0,1,0) → key 2
+  ]);
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KCellSort({
+    gl,
+    inPosition: posTex,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    gridSize: 4,
+    worldBounds: bounds
+  });
+
+  assert.strictEqual(kernel.sortSize, 8, 'Six particles pad to eight slots');
+
+  kernel.run();
+
+  const sorted = readTexture(gl, /** @type {WebGLTexture} */(kernel.outSorted), kernel.sortTextureWidth, kernel.sortTextureHeight);
+  const order = [0, 1, 2, 3, 4].map(s => sorted[s * 4 + 1]);
+  assert.deepStrictEqual(order, [1, 3, 2, 5, 0], `Particles in Morton order, ties by index\n\n${kernel.toString()}`);
+  assert.strictEqual(sorted[5 * 4 + 0], 64, 'Massless particle sorts behind every cell');
+
+  const cells = readTexture(gl, /** @type {WebGLTexture} */(kernel.outCells), kernel.cellTextureWidth, kernel.cellTextureHeight);
+  assert.deepStrictEqual([cells[0], cells[1]], [0, 2], 'Key 0: slots 0..1');
+  assert.deepStrictEqual([cells[4], cells[5]], [2, 1], 'Key 1: slot 2');
+  assert.deepStrictEqual([cells[8], cells[9]], [3, 1], 'Key 2: slot 3');
+  assert.deepStrictEqual([cells[63 * 4], cells[63 * 4 + 1]], [4, 1], 'Key 63: slot 4');
+  assert.deepStrictEqual([cells[3 * 4], cells[3 * 4 + 1]], [4, 0], 'Empty key: start at the next slot, no particles');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Random cloud matches a CPU counting sort
+ */
+test('KCellSort: matches CPU counting sort on a random cloud', async () => {
+  const gl = getGL();
+
+  const bounds = { min: /** @type {[number, number, number]} */([-4, -4, -4]), max: /** @type {[number, number, number]} */([4, 4, 4]) };
+  const gridSize = 8;
+  const width = 10;
+  const height = 10;
+  const count = width * height;
+
+  // Deterministic pseudo-random cloud, denser towards the centre
+  const posData = new Float32Array(count * 4);
+  let seed = 12345;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < count; i++) {
+    const r = 3.9 * random() * random();
+    posData[i * 4 + 0] = r * (2 * random() - 1);
+    posData[i * 4 + 1] = r * (2 * random() - 1);
+    posData[i * 4 + 2] = r * (2 * random() - 1);
+    posData[i * 4 + 3] = 0.5 + random();
+  }
+  const posTex = createTestTexture(gl, width, height, posData);
+
+  const kernel = new KCellSort({
+    gl,
+    inPosition: posTex,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    gridSize,
+    worldBounds: bounds
+  });
+
+  kernel.run();
+
+  const keys = cpuKeys(posData, count, gridSize, bounds);
+  const expectedOrder = keys.map((key, index) => ({ key, index }))
+    .sort((a, b) => a.key - b.key || a.index - b.index);
+
+  const sorted = readTexture(gl, /** @type {WebGLTexture} */(kernel.outSorted), kernel.sortTextureWidth, kernel.sortTextureHeight);
+  for (let s = 0; s < count; s++) {
+    assert.strictEqual(sorted[s * 4 + 1], expectedOrder[s].index, `Slot ${s} holds particle ${expectedOrder[s].index}\n\n${kernel.toString()}`);
+    assert.strictEqual(sorted[s * 4 + 0], expectedOrder[s].key, `Slot ${s} key`);
+  }
+
+  const cells = readTexture(gl, /** @type {WebGLTexture} */(kernel.outCells), kernel.cellTextureWidth, kernel.cellTextureHeight);
+  let start = 0;
+  for (let key = 0; key < gridSize ** 3; key++) {
+    const n = keys.filter(k => k === key).length;
+    assert.strictEqual(cells[key * 4 + 0], start, `Cell ${key} start`);
+    assert.strictEqual(cells[key * 4 + 1], n, `Cell ${key} count`);
+    start += n;
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
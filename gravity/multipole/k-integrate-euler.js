@@ -6,12 +6,17 @@
  * Single-pass integration using MRT (Multiple Render Targets):
  * - Updates velocities from forces (kick)
  * - Updates positions from new velocities (drift)
+ *
+ * Comoving PM runs (see ../cosmology.js) scale the force by forceScale (1/a³) and
+ * drag velocities by exp(-hubbleDrag·t) across the kick, integrated exactly for a
+ * force held over the step.
  * 
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { resolveWalls, wallCodes, wallsGlsl } from '../walls.js';
 
 export class KIntegrateEuler {
   /**
@@ -27,7 +32,13 @@ export class KIntegrateEuler {
    *   dt?: number,
    *   damping?: number,
    *   maxSpeed?: number,
-   *   maxAccel?: number
+   *   maxAccel?: number,
+   *   forceScale?: number,
+   *   hubbleDrag?: number,
+   *   boundary?: 'open' | 'periodic',
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
+   *   worldBounds?: { min: [number,number,number], max: [number,number,number] }
    * }} options
    */
   constructor(options) {
@@ -60,6 +71,16 @@ export class KIntegrateEuler {
     this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 2.0;
     this.maxAccel = options.maxAccel !== undefined ? options.maxAccel : 1.0;
 
+    // Comoving coordinates: force multiplier and Hubble drag rate (2H), 1 and 0 otherwise
+    this.forceScale = options.forceScale !== undefined ? options.forceScale : 1.0;
+    this.hubbleDrag = options.hubbleDrag !== undefined ? options.hubbleDrag : 0.0;
+
+    // Walls at worldBounds, per axis; 'periodic' boundary wraps every axis
+    this.boundary = options.boundary || 'open';
+    this.walls = resolveWalls(options.walls, this.boundary);
+    this.restitution = options.restitution !== undefined ? options.restitution : 1.0;
+    this.worldBounds = options.worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
     // Create shader program
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
     if (!vert) throw new Error('Failed to create vertex shader');
@@ -104,7 +125,14 @@ export class KIntegrateEuler {
       u_dt: this.gl.getUniformLocation(this.program, 'u_dt'),
       u_damping: this.gl.getUniformLocation(this.program, 'u_damping'),
       u_maxSpeed: this.gl.getUniformLocation(this.program, 'u_maxSpeed'),
-      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel')
+      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel'),
+      u_forceScale: this.gl.getUniformLocation(this.program, 'u_forceScale'),
+      u_velocityDecay: this.gl.getUniformLocation(this.program, 'u_velocityDecay'),
+      u_kickTime: this.gl.getUniformLocation(this.program, 'u_kickTime'),
+      u_walls: this.gl.getUniformLocation(this.program, 'u_walls'),
+      u_restitution: this.gl.getUniformLocation(this.program, 'u_restitution'),
+      u_worldMin: this.gl.getUniformLocation(this.program, 'u_worldMin'),
+      u_worldMax: this.gl.getUniformLocation(this.program, 'u_worldMax')
     };
 
     // Create quad VAO
@@ -164,6 +192,10 @@ export class KIntegrateEuler {
       damping: this.damping,
       maxSpeed: this.maxSpeed,
       maxAccel: this.maxAccel,
+      forceScale: this.forceScale,
+      hubbleDrag: this.hubbleDrag,
+      walls: this.walls,
+      restitution: this.restitution,
       renderCount: this.renderCount
     };
 
@@ -180,7 +212,7 @@ export class KIntegrateEuler {
       ) : 0;
 
     value.toString = () =>
-      `KIntegratePhysics(${this.width}×${this.height}) dt=${formatNumber(this.dt)} damping=${formatNumber(this.damping)} maxSpeed=${formatNumber(this.maxSpeed)} maxAccel=${formatNumber(this.maxAccel)} #${this.renderCount}
+      `KIntegratePhysics(${this.width}×${this.height}) dt=${formatNumber(this.dt)} damping=${formatNumber(this.damping)} maxSpeed=${formatNumber(this.maxSpeed)} maxAccel=${formatNumber(this.maxAccel)}${this.hubbleDrag || this.forceScale !== 1 ? ` forceScale=${formatNumber(this.forceScale)} hubbleDrag=${formatNumber(this.hubbleDrag)}` : ''} walls=${this.walls.x}/${this.walls.y}/${this.walls.z} restitution=${formatNumber(this.restitution)} #${this.renderCount}
 
 position: ${value.inPosition}
 
@@ -279,6 +311,29 @@ force: ${value.inForce}
     if (this.uniforms.u_maxAccel) {
       gl.uniform1f(this.uniforms.u_maxAccel, this.maxAccel);
     }
+    if (this.uniforms.u_forceScale) {
+      gl.uniform1f(this.uniforms.u_forceScale, this.forceScale);
+    }
+    // Drag over the step: v·e^(-γ·dt) + a·(1 - e^(-γ·dt))/γ, evaluated in double precision
+    const dragStep = this.hubbleDrag * this.dt;
+    if (this.uniforms.u_velocityDecay) {
+      gl.uniform1f(this.uniforms.u_velocityDecay, Math.exp(-dragStep));
+    }
+    if (this.uniforms.u_kickTime) {
+      gl.uniform1f(this.uniforms.u_kickTime, dragStep ? -Math.expm1(-dragStep) / this.hubbleDrag : this.dt);
+    }
+    if (this.uniforms.u_walls) {
+      gl.uniform3iv(this.uniforms.u_walls, wallCodes(this.walls));
+    }
+    if (this.uniforms.u_restitution) {
+      gl.uniform1f(this.uniforms.u_restitution, this.restitution);
+    }
+    if (this.uniforms.u_worldMin) {
+      gl.uniform3f(this.uniforms.u_worldMin, this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    }
+    if (this.uniforms.u_worldMax) {
+      gl.uniform3f(this.uniforms.u_worldMax, this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    }
 
     // Draw
     gl.bindVertexArray(this.quadVAO);
@@ -331,7 +386,10 @@ uniform float u_dt;
 uniform float u_damping;
 uniform float u_maxSpeed;
 uniform float u_maxAccel;
-
+uniform float u_forceScale;     // 1/a³ in comoving runs
+uniform float u_velocityDecay;  // exp(-hubbleDrag·dt)
+uniform float u_kickTime;       // (1 - u_velocityDecay) / hubbleDrag, or dt without drag
+${wallsGlsl}
 layout(location = 0) out vec4 outPosition;
 layout(location = 1) out vec4 outVelocity;
 
@@ -352,7 +410,7 @@ void main() {
   }
   
   // Kick: update velocity from force
-  vec3 force = texelFetch(u_force, coord, 0).xyz;
+  vec3 force = texelFetch(u_force, coord, 0).xyz * u_forceScale;
   
   // Skip if force has NaN
   if (isnan(force.x) || isnan(force.y) || isnan(force.z)) {
@@ -367,8 +425,8 @@ void main() {
     force = force / fmag * u_maxAccel;
   }
   
-  // Integrate velocity with force
-  vec3 newVel = vel.xyz + force * u_dt;
+  // Integrate velocity with force (and Hubble drag)
+  vec3 newVel = vel.xyz * u_velocityDecay + force * u_kickTime;
   
   // Apply damping
   newVel = newVel * (1.0 - u_damping);
@@ -381,6 +439,9 @@ void main() {
   
   // Drift: update position with NEW velocity (correct Euler integration)
   vec3 newPos = pos.xyz + newVel * u_dt;
+
+  // Walls: reflect, absorb or wrap particles leaving worldBounds
+  applyWalls(newPos, newVel, mass);
   
   // Output both updates
   outPosition = vec4(newPos, mass);           // Preserve mass
@@ -3,12 +3,14 @@
 /**
  * IntegratePositionKernel - Updates particle positions from velocities
  * 
- * Performs position += velocity * dt (drift step).
+ * Performs position += velocity * dt (drift step), then applies per-axis walls.
+ * Reflect/absorb update velocities too, written to outVelocity when that slot is set.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { resolveWalls, wallCodes } from '../walls.js';
 import posIntegrateFrag from './shaders/pos_integrate.frag.js';
 
 export class KIntegratePosition {
@@ -18,9 +20,14 @@ export class KIntegratePosition {
    *   inPosition?: WebGLTexture|null,
    *   inVelocity?: WebGLTexture|null,
    *   outPosition?: WebGLTexture|null,
+   *   outVelocity?: WebGLTexture|null,
    *   width?: number,
    *   height?: number,
-   *   dt?: number
+   *   dt?: number,
+   *   boundary?: 'open' | 'periodic',
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
+   *   worldBounds?: { min: [number,number,number], max: [number,number,number] }
    * }} options
    */
   constructor(options) {
@@ -36,6 +43,9 @@ export class KIntegratePosition {
     this.outPosition = (options.outPosition || options.outPosition === null)
       ? options.outPosition
       : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.outVelocity = (options.outVelocity || options.outVelocity === null)
+      ? options.outVelocity
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
 
     // Texture dimensions
     this.width = options.width || 0;
@@ -44,6 +54,12 @@ export class KIntegratePosition {
     // Physics parameters
     this.dt = options.dt !== undefined ? options.dt : (1 / 60);
 
+    // Walls at worldBounds, per axis; 'periodic' boundary wraps every axis
+    this.boundary = options.boundary || 'open';
+    this.walls = resolveWalls(options.walls, this.boundary);
+    this.restitution = options.restitution !== undefined ? options.restitution : 1.0;
+    this.worldBounds = options.worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
     // Create shader program
     // Compile and link shader program (inline, like KPyramidBuild)
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -96,7 +112,7 @@ export class KIntegratePosition {
     // Create an internal framebuffer (configured per-run). Keep a small
     // shadow of attachments so run() can rebind only when they change.
     this.outFramebuffer = this.gl.createFramebuffer();
-    /** @type {{ a0: WebGLTexture } | null} */
+    /** @type {{ a0: WebGLTexture, a1: WebGLTexture | null } | null} */
     this._fboShadow = null;
   }
 
@@ -121,9 +137,16 @@ export class KIntegratePosition {
         height: this.height, count: this.width * this.height,
         channels: ['x', 'y', 'z', 'mass'], pixels
       }),
+      outVelocity: this.outVelocity && readLinear({
+        gl: this.gl, texture: this.outVelocity, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['vx', 'vy', 'vz', 'unused'], pixels
+      }),
       width: this.width,
       height: this.height,
       dt: this.dt,
+      walls: this.walls,
+      restitution: this.restitution,
       renderCount: this.renderCount
     };
 
@@ -136,7 +159,7 @@ export class KIntegratePosition {
       ) : 0;
 
     value.toString = () =>
-      `KIntegratePosition(${this.width}×${this.height}) dt=${formatNumber(this.dt)} #${this.renderCount}
+      `KIntegratePosition(${this.width}×${this.height}) dt=${formatNumber(this.dt)} walls=${this.walls.x}/${this.walls.y}/${this.walls.z} restitution=${formatNumber(this.restitution)} #${this.renderCount}
 
 position: ${value.position}
 
@@ -196,11 +219,13 @@ velocity: ${value.velocity}
 
     gl.useProgram(this.program);
 
-    // Ensure framebuffer attachments match our current output
-    if (this._fboShadow?.a0 !== this.outPosition) {
+    // Ensure framebuffer attachments match our current outputs (velocity is optional)
+    const outVelocity = this.outVelocity || null;
+    if (this._fboShadow?.a0 !== this.outPosition || this._fboShadow?.a1 !== outVelocity) {
       gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
       gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outPosition, 0);
-      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, outVelocity, 0);
+      gl.drawBuffers(outVelocity ? [gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1] : [gl.COLOR_ATTACHMENT0]);
       const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
       if (status !== gl.FRAMEBUFFER_COMPLETE) {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
@@ -208,7 +233,7 @@ velocity: ${value.velocity}
       }
       gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
-      this._fboShadow = { a0: this.outPosition };
+      this._fboShadow = { a0: this.outPosition, a1: outVelocity };
     }
 
     // Bind output framebuffer
@@ -234,6 +259,12 @@ velocity: ${value.velocity}
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_texSize'), this.width, this.height);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_dt'), this.dt);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_particleCount'), this.width * this.height);
+    gl.uniform3iv(gl.getUniformLocation(this.program, 'u_walls'), wallCodes(this.walls));
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_restitution'), this.restitution);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
+      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
+      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
 
     // Draw
     gl.bindVertexArray(this.quadVAO);
@@ -262,6 +293,7 @@ velocity: ${value.velocity}
     if (this.inPosition) gl.deleteTexture(this.inPosition);
     if (this.inVelocity) gl.deleteTexture(this.inVelocity);
     if (this.outPosition) gl.deleteTexture(this.outPosition);
+    if (this.outVelocity) gl.deleteTexture(this.outVelocity);
 
     this._fboShadow = null;
   }
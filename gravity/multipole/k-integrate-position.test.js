@@ -354,3 +354,163 @@ test('KIntegratePosition: large particle count', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test: Periodic boundary wraps positions back into the world box
+ */
+test('KIntegratePosition: periodic wrap', async () => {
+  const gl = getGL();
+
+  const width = 2;
+  const height = 1;
+
+  const posData = new Float32Array([
+    1.9, 0.0, -1.9, 1.0,
+    -1.9, 1.0, 0.0, 1.0
+  ]);
+  const velData = new Float32Array([
+    1.0, 0.0, -1.0, 0.0,
+    -1.0, 0.0, 0.0, 0.0
+  ]);
+
+  const posTex = createTestTexture(gl, width, height, posData);
+  const velTex = createTestTexture(gl, width, height, velData);
+  const outTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KIntegratePosition({
+    gl,
+    inPosition: posTex,
+    inVelocity: velTex,
+    outPosition: outTex,
+    width,
+    height,
+    dt: 0.2,
+    boundary: 'periodic',
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outTex, width, height);
+  assertAllFinite(result, 'Positions must be finite');
+
+  // 1.9 + 0.2 = 2.1 → -1.9; -1.9 - 0.2 = -2.1 → 1.9
+  assertClose(result[0], -1.9, 1e-5, `Particle 0 x wraps through +x face\n\n${kernel.toString()}`);
+  assertClose(result[2], 1.9, 1e-5, `Particle 0 z wraps through -z face\n\n${kernel.toString()}`);
+  assertClose(result[4], 1.9, 1e-5, `Particle 1 x wraps through -x face\n\n${kernel.toString()}`);
+  assertClose(result[5], 1.0, 1e-5, `Particle 1 y unchanged inside the box\n\n${kernel.toString()}`);
+  assert.strictEqual(result[3], 1.0, 'Mass preserved');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test: Reflect walls mirror the overshoot and bounce the normal velocity
+ */
+test('KIntegratePosition: reflect walls with restitution', async () => {
+  const gl = getGL();
+
+  const width = 2;
+  const height = 1;
+
+  const posData = new Float32Array([
+    1.9, 0.0, 0.0, 1.0,
+    0.0, -1.9, 0.0, 1.0
+  ]);
+  const velData = new Float32Array([
+    1.0, 0.5, 0.0, 0.0,
+    0.0, -1.0, 0.0, 0.0
+  ]);
+
+  const posTex = createTestTexture(gl, width, height, posData);
+  const velTex = createTestTexture(gl, width, height, velData);
+  const outTex = createTestTexture(gl, width, height, null);
+  const outVelTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KIntegratePosition({
+    gl,
+    inPosition: posTex,
+    inVelocity: velTex,
+    outPosition: outTex,
+    outVelocity: outVelTex,
+    width,
+    height,
+    dt: 0.2,
+    walls: { x: 'reflect', y: 'reflect' },
+    restitution: 0.5,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  kernel.run();
+
+  const pos = readTexture(gl, outTex, width, height);
+  const vel = readTexture(gl, outVelTex, width, height);
+  assertAllFinite(pos, 'Positions must be finite');
+  assertAllFinite(vel, 'Velocities must be finite');
+
+  // 1.9 + 0.2 = 2.1 → overshoot 0.1 * 0.5 mirrored to 1.95
+  assertClose(pos[0], 1.95, 1e-5, `Particle 0 x reflects off +x wall\n\n${kernel.toString()}`);
+  assertClose(vel[0], -0.5, 1e-5, `Particle 0 vx reversed and scaled\n\n${kernel.toString()}`);
+  assertClose(vel[1], 0.5, 1e-5, `Particle 0 vy tangential unchanged\n\n${kernel.toString()}`);
+  assertClose(pos[5], -1.95, 1e-5, `Particle 1 y reflects off -y wall\n\n${kernel.toString()}`);
+  assertClose(vel[5], 0.5, 1e-5, `Particle 1 vy reversed and scaled\n\n${kernel.toString()}`);
+  assert.strictEqual(pos[3], 1.0, 'Mass preserved');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test: Absorb walls zero the mass and park the particle on the wall
+ */
+test('KIntegratePosition: absorb walls', async () => {
+  const gl = getGL();
+
+  const width = 2;
+  const height = 1;
+
+  const posData = new Float32Array([
+    0.0, 0.0, 1.9, 2.0,
+    0.0, 0.0, 0.0, 3.0
+  ]);
+  const velData = new Float32Array([
+    0.5, 0.0, 1.0, 0.0,
+    0.0, 0.0, 1.0, 0.0
+  ]);
+
+  const posTex = createTestTexture(gl, width, height, posData);
+  const velTex = createTestTexture(gl, width, height, velData);
+  const outTex = createTestTexture(gl, width, height, null);
+  const outVelTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KIntegratePosition({
+    gl,
+    inPosition: posTex,
+    inVelocity: velTex,
+    outPosition: outTex,
+    outVelocity: outVelTex,
+    width,
+    height,
+    dt: 0.2,
+    walls: { z: 'absorb' },
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+
+  kernel.run();
+
+  const pos = readTexture(gl, outTex, width, height);
+  const vel = readTexture(gl, outVelTex, width, height);
+  assertAllFinite(pos, 'Positions must be finite');
+
+  assert.strictEqual(pos[3], 0, `Particle 0 absorbed: mass zeroed\n\n${kernel.toString()}`);
+  assertClose(pos[2], 2.0, 1e-5, `Particle 0 parked on the +z wall\n\n${kernel.toString()}`);
+  assert.strictEqual(vel[0], 0, 'Particle 0 stopped');
+  assert.strictEqual(vel[2], 0, 'Particle 0 stopped');
+  assert.strictEqual(pos[7], 3.0, 'Particle 1 inside the box keeps its mass');
+  assertClose(pos[6], 0.2, 1e-5, 'Particle 1 moves freely');
+  assertClose(vel[6], 1.0, 1e-5, 'Particle 1 velocity copied through');
+
+  disposeKernel(kernel);
+  resetGL();
+});
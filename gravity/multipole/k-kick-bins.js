@@ -0,0 +1,368 @@
+// @ts-check
+
+/**
+ * KKickBins - Half-kick for particles whose time bin is active at a sync point
+ *
+ * A particle in bin b (step dt / 2^b) is active when the sync point, counted in finest
+ * substeps of dt / 2^maxBin, is a multiple of 2^(maxBin - b). Active particles get
+ * velocity += force · (dt / 2^b) / 2; inactive ones pass through unchanged.
+ * Damping is spread over the half-kicks so each full dt damps by (1 - damping).
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+export class KKickBins {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inVelocity?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
+   *   inPosition?: WebGLTexture|null,
+   *   inBins?: WebGLTexture|null,
+   *   outVelocity?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   dt?: number,
+   *   damping?: number,
+   *   maxSpeed?: number,
+   *   maxAccel?: number,
+   *   maxBin?: number,
+   *   sync?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inVelocity = (options.inVelocity || options.inVelocity === null)
+      ? options.inVelocity
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.inForce = (options.inForce || options.inForce === null)
+      ? options.inForce
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.inBins = (options.inBins || options.inBins === null)
+      ? options.inBins
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.outVelocity = (options.outVelocity || options.outVelocity === null)
+      ? options.outVelocity
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+
+    // Texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Physics parameters
+    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
+    this.damping = options.damping !== undefined ? options.damping : 0.0;
+    this.maxSpeed = options.maxSpeed !== undefined ? options.maxSpeed : 2.0;
+    this.maxAccel = options.maxAccel !== undefined ? options.maxAccel : 1.0;
+    this.maxBin = options.maxBin !== undefined ? options.maxBin : 4;
+    this.sync = options.sync !== undefined ? options.sync : 0;
+
+    // Compile and link shader program (inline, like KPyramidBuild)
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, kickBinsFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_velocity: this.gl.getUniformLocation(this.program, 'u_velocity'),
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_position: this.gl.getUniformLocation(this.program, 'u_position'),
+      u_bins: this.gl.getUniformLocation(this.program, 'u_bins'),
+      u_dt: this.gl.getUniformLocation(this.program, 'u_dt'),
+      u_damping: this.gl.getUniformLocation(this.program, 'u_damping'),
+      u_maxSpeed: this.gl.getUniformLocation(this.program, 'u_maxSpeed'),
+      u_maxAccel: this.gl.getUniformLocation(this.program, 'u_maxAccel'),
+      u_maxBin: this.gl.getUniformLocation(this.program, 'u_maxBin'),
+      u_sync: this.gl.getUniformLocation(this.program, 'u_sync')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      velocity: this.inVelocity && readLinear({
+        gl: this.gl, texture: this.inVelocity, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['vx', 'vy', 'vz', 'unused'], pixels
+      }),
+      force: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
+      bins: this.inBins && readLinear({
+        gl: this.gl, texture: this.inBins, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['bin', 'dt', 'unused1', 'unused2'], pixels
+      }),
+      outVelocity: this.outVelocity && readLinear({
+        gl: this.gl, texture: this.outVelocity, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['vx', 'vy', 'vz', 'unused'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel,
+      maxBin: this.maxBin,
+      sync: this.sync,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KKickBins(${this.width}×${this.height}) dt=${formatNumber(this.dt)} damping=${formatNumber(this.damping)} maxSpeed=${formatNumber(this.maxSpeed)} maxAccel=${formatNumber(this.maxAccel)} maxBin=${this.maxBin} sync=${this.sync} #${this.renderCount}
+
+velocity: ${value.velocity}
+
+force: ${value.force}
+
+bins: ${value.bins}
+
+→ outVelocity: ${value.outVelocity}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inVelocity || !this.inForce || !this.inPosition || !this.inBins || !this.outVelocity) {
+      throw new Error('KKickBins: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    // Ensure framebuffer attachments match our output
+    if (!this._fboShadow || this._fboShadow.a0 !== this.outVelocity) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outVelocity, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { a0: this.outVelocity };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inVelocity);
+    if (this.uniforms.u_velocity) gl.uniform1i(this.uniforms.u_velocity, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce);
+    if (this.uniforms.u_force) gl.uniform1i(this.uniforms.u_force, 1);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_position) gl.uniform1i(this.uniforms.u_position, 2);
+
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBins);
+    if (this.uniforms.u_bins) gl.uniform1i(this.uniforms.u_bins, 3);
+
+    if (this.uniforms.u_dt) gl.uniform1f(this.uniforms.u_dt, this.dt);
+    if (this.uniforms.u_damping) gl.uniform1f(this.uniforms.u_damping, this.damping);
+    if (this.uniforms.u_maxSpeed) gl.uniform1f(this.uniforms.u_maxSpeed, this.maxSpeed);
+    if (this.uniforms.u_maxAccel) gl.uniform1f(this.uniforms.u_maxAccel, this.maxAccel);
+    if (this.uniforms.u_maxBin) gl.uniform1i(this.uniforms.u_maxBin, this.maxBin);
+    if (this.uniforms.u_sync) gl.uniform1i(this.uniforms.u_sync, this.sync);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inVelocity) gl.deleteTexture(this.inVelocity);
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inBins) gl.deleteTexture(this.inBins);
+    if (this.outVelocity) gl.deleteTexture(this.outVelocity);
+
+    this._fboShadow = null;
+  }
+}
+
+const kickBinsFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_velocity;
+uniform sampler2D u_force;
+uniform sampler2D u_position;
+uniform sampler2D u_bins;
+uniform float u_dt;
+uniform float u_damping;
+uniform float u_maxSpeed;
+uniform float u_maxAccel;
+uniform int u_maxBin;
+uniform int u_sync;
+
+out vec4 fragColor;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec4 vel = texelFetch(u_velocity, coord, 0);
+  vec4 pos = texelFetch(u_position, coord, 0);
+
+  // Skip particles with NaN in position/velocity or invalid mass
+  float mass = pos.w;
+  if (isnan(pos.x) || isnan(pos.y) || isnan(pos.z) || isnan(vel.x) || isnan(vel.y) || isnan(vel.z) ||
+      isnan(mass) || mass <= 0.0) {
+    fragColor = vel;
+    return;
+  }
+
+  // Only particles starting or ending their step at this sync point are kicked
+  int bin = clamp(int(texelFetch(u_bins, coord, 0).x + 0.5), 0, u_maxBin);
+  if (u_sync % (1 << (u_maxBin - bin)) != 0) {
+    fragColor = vel;
+    return;
+  }
+
+  vec3 force = texelFetch(u_force, coord, 0).xyz;
+  if (isnan(force.x) || isnan(force.y) || isnan(force.z)) {
+    fragColor = vel;
+    return;
+  }
+
+  // Clamp force to maxAccel
+  float fmag = length(force);
+  if (fmag > u_maxAccel) {
+    force = force / fmag * u_maxAccel;
+  }
+
+  float halfStep = 0.5 * u_dt / float(1 << bin);
+  vec3 newVel = vel.xyz + force * halfStep;
+
+  // Damping per half-kick, compounding to (1 - damping) over a full dt
+  newVel = newVel * pow(1.0 - u_damping, halfStep / u_dt);
+
+  // Clamp speed to maxSpeed
+  float vmag = length(newVel);
+  if (vmag > u_maxSpeed) {
+    newVel = newVel / vmag * u_maxSpeed;
+  }
+
+  fragColor = vec4(newVel, vel.w);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
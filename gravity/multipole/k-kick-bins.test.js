@@ -0,0 +1,122 @@
+// @ts-check
+
+/**
+ * Unit tests for KKickBins kernel.
+ * Tests that only bins active at the sync point receive a half-kick of their own step length.
+ */
+
+import { test } from 'node:test';
+
+import {
+  assertAllFinite,
+  assertClose,
+  createTestTexture,
+  disposeKernel,
+  getGL,
+  readTexture,
+  resetGL
+} from '../test-utils.js';
+
+import { KKickBins } from './k-kick-bins.js';
+
+/**
+ * Helper: One texel per particle with the given x-components, other channels set to w.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[]} xs
+ * @param {number} w
+ */
+function createRowTexture(gl, xs, w) {
+  const data = new Float32Array(xs.length * 4);
+  for (let i = 0; i < xs.length; i++) {
+    data[i * 4 + 0] = xs[i];
+    data[i * 4 + 3] = w;
+  }
+  return createTestTexture(gl, xs.length, 1, data);
+}
+
+/**
+ * Test 1: Active bins only
+ * maxBin 3, sync 2: bins 2 and 3 are at a block boundary, bins 0 and 1 are mid-step.
+ * dt = 0.8, force 1: bin 2 gains 0.5·0.8/4 = 0.1, bin 3 gains 0.05.
+ */
+test('KKickBins: kicks only active bins', async () => {
+  const gl = getGL();
+  const width = 4, height = 1;
+
+  const velTex = createRowTexture(gl, [0, 0, 0, 0], 0);
+  const forceTex = createRowTexture(gl, [1, 1, 1, 1], 0);
+  const posTex = createRowTexture(gl, [0, 0, 0, 0], 1);
+  const binsTex = createRowTexture(gl, [0, 1, 2, 3], 0);
+  const outVelTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KKickBins({
+    gl,
+    inVelocity: velTex,
+    inForce: forceTex,
+    inPosition: posTex,
+    inBins: binsTex,
+    outVelocity: outVelTex,
+    width,
+    height,
+    dt: 0.8,
+    damping: 0.0,
+    maxSpeed: 10.0,
+    maxAccel: 10.0,
+    maxBin: 3,
+    sync: 2
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outVelTex, width, height);
+  assertAllFinite(result, 'Velocities must be finite');
+  const expected = [0, 0, 0.1, 0.05];
+  for (let i = 0; i < width; i++) {
+    assertClose(result[i * 4 + 0], expected[i], 1e-6, `Particle ${i} vx\n\n${kernel.toString()}`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Sync 0 kicks every bin
+ * Start of the frame: every bin opens its step with a half-kick of dt / 2^(bin+1).
+ */
+test('KKickBins: every bin active at sync 0', async () => {
+  const gl = getGL();
+  const width = 4, height = 1;
+
+  const velTex = createRowTexture(gl, [0, 0, 0, 0], 0);
+  const forceTex = createRowTexture(gl, [1, 1, 1, 1], 0);
+  const posTex = createRowTexture(gl, [0, 0, 0, 0], 1);
+  const binsTex = createRowTexture(gl, [0, 1, 2, 3], 0);
+  const outVelTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KKickBins({
+    gl,
+    inVelocity: velTex,
+    inForce: forceTex,
+    inPosition: posTex,
+    inBins: binsTex,
+    outVelocity: outVelTex,
+    width,
+    height,
+    dt: 0.8,
+    damping: 0.0,
+    maxSpeed: 10.0,
+    maxAccel: 10.0,
+    maxBin: 3,
+    sync: 0
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outVelTex, width, height);
+  for (let i = 0; i < width; i++) {
+    assertClose(result[i * 4 + 0], 0.4 / (1 << i), 1e-6, `Particle ${i} vx\n\n${kernel.toString()}`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
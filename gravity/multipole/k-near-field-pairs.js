@@ -0,0 +1,431 @@
+// @ts-check
+
+/**
+ * KNearFieldPairs - Exact particle-particle forces over the L0 near field
+ *
+ * Every particle walks the 27 L0 voxels around its own (wrapped when periodic) and sums
+ * the softened acceleration of each particle listed there, using the cell table and the
+ * Morton-sorted list built by KCellSort. The traversals skip those same voxels when
+ * their nearField flag is set, so this pass replaces the voxel-COM contribution at L0.
+ * With accumulate set, results are added into outForce (the traversal's output).
+ * With potential on, w holds the pairs' -Σ G·m / sqrt(r² + ε²), added to the traversal's.
+ * With inBins set, particles whose time bin is not synchronized at sync are skipped, as in
+ * the traversals.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+import { cellKeyGlsl } from './k-cell-sort.js';
+
+export class KNearFieldPairs {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inCells?: WebGLTexture|null,
+   *   inSorted?: WebGLTexture|null,
+   *   inBounds?: WebGLTexture|null,
+   *   inBins?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   particleTextureWidth?: number,
+   *   particleTextureHeight?: number,
+   *   particleCount?: number,
+   *   gridSize?: number,
+   *   cellTextureWidth?: number,
+   *   sortTextureWidth?: number,
+   *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
+   *   gravityStrength?: number,
+   *   softening?: number,
+   *   boundary?: 'open' | 'periodic',
+   *   accumulate?: boolean,
+   *   potential?: boolean,
+   *   maxBin?: number,
+   *   sync?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Particle texture dimensions
+    this.particleTextureWidth = options.particleTextureWidth || 0;
+    this.particleTextureHeight = options.particleTextureHeight || 0;
+    this.particleCount = options.particleCount !== undefined
+      ? options.particleCount
+      : this.particleTextureWidth * this.particleTextureHeight;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, this.particleTextureWidth, this.particleTextureHeight);
+    // Cell table and sorted list come from KCellSort
+    this.inCells = (options.inCells || options.inCells === null) ? options.inCells : null;
+    this.inSorted = (options.inSorted || options.inSorted === null) ? options.inSorted : null;
+    this.inBounds = (options.inBounds || options.inBounds === null) ? options.inBounds : null;
+    // Optional time bins (KTimeBins layout): mask out particles not synchronized at sync
+    this.inBins = options.inBins !== undefined ? options.inBins : null;
+    this.outForce = (options.outForce || options.outForce === null)
+      ? options.outForce
+      : createTextureRGBA32F(this.gl, this.particleTextureWidth, this.particleTextureHeight);
+
+    // Layout of the KCellSort outputs (defaults match KCellSort for the same grid and count)
+    this.gridSize = options.gridSize || 64;
+    const cellBits = Math.log2(this.gridSize * this.gridSize * this.gridSize);
+    this.cellTextureWidth = options.cellTextureWidth || (1 << Math.ceil(cellBits / 2));
+    const sortBits = Math.ceil(Math.log2(Math.max(1, this.particleCount)));
+    this.sortTextureWidth = options.sortTextureWidth || (1 << Math.ceil(sortBits / 2));
+
+    this.worldBounds = options.worldBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    // Physics parameters
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+
+    // 'periodic' wraps the neighbourhood and applies minimum-image separations
+    this.boundary = options.boundary || 'open';
+
+    // Add into outForce (additive blend) instead of overwriting it
+    this.accumulate = options.accumulate || false;
+
+    // Per-particle potential φ in outForce.w (0 when off)
+    this.potential = options.potential || false;
+
+    // Sync point in finest substeps (dt / 2^maxBin), as in KKickBins
+    this.maxBin = options.maxBin !== undefined ? options.maxBin : 0;
+    this.sync = options.sync !== undefined ? options.sync : 0;
+
+    // Compile and link shader program (inline, like KPyramidBuild)
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, nearFieldPairsFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_positions: this.gl.getUniformLocation(this.program, 'u_positions'),
+      u_cells: this.gl.getUniformLocation(this.program, 'u_cells'),
+      u_sorted: this.gl.getUniformLocation(this.program, 'u_sorted'),
+      u_bounds: this.gl.getUniformLocation(this.program, 'u_bounds'),
+      u_useBoundsTexture: this.gl.getUniformLocation(this.program, 'u_useBoundsTexture'),
+      u_particleTexWidth: this.gl.getUniformLocation(this.program, 'u_particleTexWidth'),
+      u_particleCount: this.gl.getUniformLocation(this.program, 'u_particleCount'),
+      u_cellWidth: this.gl.getUniformLocation(this.program, 'u_cellWidth'),
+      u_sortWidth: this.gl.getUniformLocation(this.program, 'u_sortWidth'),
+      u_gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+      u_worldMin: this.gl.getUniformLocation(this.program, 'u_worldMin'),
+      u_worldMax: this.gl.getUniformLocation(this.program, 'u_worldMax'),
+      u_G: this.gl.getUniformLocation(this.program, 'u_G'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening'),
+      u_potential: this.gl.getUniformLocation(this.program, 'u_potential'),
+      u_periodic: this.gl.getUniformLocation(this.program, 'u_periodic'),
+      u_bins: this.gl.getUniformLocation(this.program, 'u_bins'),
+      u_hasBins: this.gl.getUniformLocation(this.program, 'u_hasBins'),
+      u_maxBin: this.gl.getUniformLocation(this.program, 'u_maxBin'),
+      u_sync: this.gl.getUniformLocation(this.program, 'u_sync')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', this.potential ? 'potential' : 'w'], pixels
+      }),
+      particleCount: this.particleCount,
+      gridSize: this.gridSize,
+      gravityStrength: this.gravityStrength,
+      softening: this.softening,
+      boundary: this.boundary,
+      accumulate: this.accumulate,
+      potential: this.potential,
+      maxBin: this.maxBin,
+      sync: this.sync,
+      worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KNearFieldPairs(${this.particleCount} particles, ${this.gridSize}³ cells) G=${formatNumber(this.gravityStrength)} soft=${formatNumber(this.softening)} boundary=${this.boundary}${this.accumulate ? ' accumulate' : ''}${this.potential ? ' potential' : ''}${this.inBins ? ` sync=${this.sync}/${1 << this.maxBin}` : ''} cells=${this.inCells ? 'bound' : 'none'} sorted=${this.inSorted ? 'bound' : 'none'} #${this.renderCount}
+
+position: ${value.position}
+
+→ force: ${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.inCells || !this.inSorted || !this.outForce) {
+      throw new Error('KNearFieldPairs: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    // Ensure framebuffer attachments match our output
+    if (!this._fboShadow || this._fboShadow.a0 !== this.outForce) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { a0: this.outForce };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.particleTextureWidth, this.particleTextureHeight);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+    if (this.accumulate) {
+      gl.enable(gl.BLEND);
+      gl.blendEquation(gl.FUNC_ADD);
+      gl.blendFunc(gl.ONE, gl.ONE);
+    } else {
+      gl.disable(gl.BLEND);
+    }
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_positions) gl.uniform1i(this.uniforms.u_positions, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBounds || null);
+    if (this.uniforms.u_bounds) gl.uniform1i(this.uniforms.u_bounds, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inCells);
+    if (this.uniforms.u_cells) gl.uniform1i(this.uniforms.u_cells, 2);
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, this.inSorted);
+    if (this.uniforms.u_sorted) gl.uniform1i(this.uniforms.u_sorted, 3);
+    // Any texture keeps the sampler valid without inBins
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBins || this.inPosition);
+    if (this.uniforms.u_bins) gl.uniform1i(this.uniforms.u_bins, 4);
+
+    if (this.uniforms.u_useBoundsTexture) gl.uniform1i(this.uniforms.u_useBoundsTexture, this.inBounds ? 1 : 0);
+    if (this.uniforms.u_particleTexWidth) gl.uniform1i(this.uniforms.u_particleTexWidth, this.particleTextureWidth);
+    if (this.uniforms.u_particleCount) gl.uniform1i(this.uniforms.u_particleCount, this.particleCount);
+    if (this.uniforms.u_cellWidth) gl.uniform1i(this.uniforms.u_cellWidth, this.cellTextureWidth);
+    if (this.uniforms.u_sortWidth) gl.uniform1i(this.uniforms.u_sortWidth, this.sortTextureWidth);
+    if (this.uniforms.u_gridSize) gl.uniform1i(this.uniforms.u_gridSize, this.gridSize);
+    if (this.uniforms.u_worldMin) gl.uniform3f(this.uniforms.u_worldMin,
+      this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
+    if (this.uniforms.u_worldMax) gl.uniform3f(this.uniforms.u_worldMax,
+      this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    if (this.uniforms.u_G) gl.uniform1f(this.uniforms.u_G, this.gravityStrength);
+    if (this.uniforms.u_softening) gl.uniform1f(this.uniforms.u_softening, this.softening);
+    if (this.uniforms.u_potential) gl.uniform1i(this.uniforms.u_potential, this.potential ? 1 : 0);
+    if (this.uniforms.u_periodic) gl.uniform1i(this.uniforms.u_periodic, this.boundary === 'periodic' ? 1 : 0);
+    if (this.uniforms.u_hasBins) gl.uniform1i(this.uniforms.u_hasBins, this.inBins ? 1 : 0);
+    if (this.uniforms.u_maxBin) gl.uniform1i(this.uniforms.u_maxBin, this.maxBin);
+    if (this.uniforms.u_sync) gl.uniform1i(this.uniforms.u_sync, this.sync);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    if (this.accumulate) gl.disable(gl.BLEND);
+
+    for (let unit = 4; unit >= 0; unit--) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.useProgram(null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inCells) gl.deleteTexture(this.inCells);
+    if (this.inSorted) gl.deleteTexture(this.inSorted);
+    if (this.inBounds) gl.deleteTexture(this.inBounds);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+
+    this._fboShadow = null;
+  }
+}
+
+const nearFieldPairsFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_positions;
+uniform sampler2D u_cells;       // (start, count) per Morton key
+uniform sampler2D u_sorted;      // (key, particle index) per sorted slot
+uniform int u_particleTexWidth;
+uniform int u_particleCount;
+uniform int u_cellWidth;
+uniform int u_sortWidth;
+uniform float u_G;
+uniform float u_softening;
+uniform bool u_potential;        // write φ into w
+uniform bool u_periodic;         // wrapped neighbourhood, minimum-image separations
+uniform sampler2D u_bins;        // time bins (KTimeBins) when u_hasBins
+uniform bool u_hasBins;
+uniform int u_maxBin;
+uniform int u_sync;              // sync point in finest substeps
+${cellKeyGlsl}
+out vec4 outForce;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  int myIndex = coord.y * u_particleTexWidth + coord.x;
+  if (myIndex >= u_particleCount) {
+    outForce = vec4(0.0);
+    return;
+  }
+
+  // Block timesteps: particles between their block boundaries keep their last force
+  if (u_hasBins) {
+    int bin = clamp(int(texelFetch(u_bins, coord, 0).x + 0.5), 0, u_maxBin);
+    if (u_sync % (1 << (u_maxBin - bin)) != 0) discard;
+  }
+
+  vec4 me = texelFetch(u_positions, coord, 0);
+  if (!(me.w > 0.0) || any(isnan(me.xyz))) {
+    outForce = vec4(0.0);
+    return;
+  }
+
+  vec3 worldMin, worldMax;
+  cellWorldBox(worldMin, worldMax);
+  vec3 extent = worldMax - worldMin;
+  ivec3 myVoxel = cellVoxel(me.xyz, worldMin, worldMax);
+  float eps2 = u_softening * u_softening;
+  vec3 totalForce = vec3(0.0);
+  float potential = 0.0;
+
+  // On a 2-voxel periodic grid offsets -1 and +1 are the same voxel: visit it once
+  int endD = u_periodic ? min(1, u_gridSize - 2) : 1;
+  for (int dz = -1; dz <= endD; dz++) {
+    for (int dy = -1; dy <= endD; dy++) {
+      for (int dx = -1; dx <= endD; dx++) {
+        ivec3 voxel = myVoxel + ivec3(dx, dy, dz);
+        if (u_periodic) voxel = (voxel + u_gridSize) % u_gridSize;
+        if (any(lessThan(voxel, ivec3(0))) || any(greaterThanEqual(voxel, ivec3(u_gridSize)))) continue;
+
+        vec4 cell = texelFetch(u_cells, linearToTexel(mortonKey(voxel), u_cellWidth), 0);
+        int start = int(cell.x);
+        int count = int(cell.y);
+
+        for (int s = start; s < start + count; s++) {
+          int j = int(texelFetch(u_sorted, linearToTexel(s, u_sortWidth), 0).y);
+          if (j == myIndex) continue;
+
+          vec4 other = texelFetch(u_positions, linearToTexel(j, u_particleTexWidth), 0);
+          vec3 r = other.xyz - me.xyz;
+          if (u_periodic) r -= extent * round(r / extent);
+
+          float distSq = dot(r, r) + eps2;
+          totalForce += u_G * other.w * r / (distSq * sqrt(distSq));
+          if (u_potential) potential -= u_G * other.w * inversesqrt(distSq);
+        }
+      }
+    }
+  }
+
+  outForce = vec4(totalForce, potential);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
@@ -0,0 +1,261 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KCellSort } from './k-cell-sort.js';
+import { KNearFieldPairs } from './k-near-field-pairs.js';
+
+/**
+ * CPU reference: softened pair accelerations and potential (fx, fy, fz, φ per particle)
+ * from particles within one L0 voxel per axis, never from the particle itself
+ * @param {Float32Array} positions
+ * @param {number} count
+ * @param {number} gridSize
+ * @param {{ min: number[], max: number[] }} bounds
+ * @param {number} G
+ * @param {number} softening
+ * @param {boolean} periodic
+ */
+function cpuNearField(positions, count, gridSize, bounds, G, softening, periodic) {
+  const extent = [0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis]);
+  const voxels = [];
+  for (let i = 0; i < count; i++) {
+    voxels.push([0, 1, 2].map(axis => {
+      const norm = (positions[i * 4 + axis] - bounds.min[axis]) / extent[axis];
+      return Math.floor(Math.min(Math.max(norm, 0), 1 - 1 / gridSize) * gridSize);
+    }));
+  }
+
+  const forces = new Float64Array(count * 4);
+  for (let i = 0; i < count; i++) {
+    for (let j = 0; j < count; j++) {
+      const m = positions[j * 4 + 3];
+      if (i === j || !(m > 0)) continue;
+      const near = [0, 1, 2].every(axis => {
+        let d = voxels[j][axis] - voxels[i][axis];
+        if (periodic) d -= gridSize * Math.round(d / gridSize);
+        return Math.abs(d) <= 1;
+      });
+      if (!near) continue;
+      const r = [0, 1, 2].map(axis => {
+        let d = positions[j * 4 + axis] - positions[i * 4 + axis];
+        if (periodic) d -= extent[axis] * Math.round(d / extent[axis]);
+        return d;
+      });
+      const d2 = r[0] * r[0] + r[1] * r[1] + r[2] * r[2] + softening * softening;
+      const inv = G * m / (d2 * Math.sqrt(d2));
+      forces[i * 4 + 0] += r[0] * inv;
+      forces[i * 4 + 1] += r[1] * inv;
+      forces[i * 4 + 2] += r[2] * inv;
+      forces[i * 4 + 3] -= G * m / Math.sqrt(d2);
+    }
+  }
+  return forces;
+}
+
+/**
+ * Sort positions and run the near field over them
+ * @param {WebGL2RenderingContext} gl
+ * @param {{
+ *   posData: Float32Array, width: number, height: number, gridSize: number,
+ *   bounds: { min: [number, number, number], max: [number, number, number] },
+ *   boundary?: 'open' | 'periodic', outForce?: WebGLTexture, accumulate?: boolean, potential?: boolean
+ * }} _
+ */
+function runNearField(gl, { posData, width, height, gridSize, bounds, boundary, outForce, accumulate, potential }) {
+  const posTex = createTestTexture(gl, width, height, posData);
+  const sort = new KCellSort({
+    gl,
+    inPosition: posTex,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    gridSize,
+    worldBounds: bounds
+  });
+  sort.run();
+
+  const kernel = new KNearFieldPairs({
+    gl,
+    inPosition: posTex,
+    inCells: sort.outCells,
+    inSorted: sort.outSorted,
+    outForce,
+    particleTextureWidth: width,
+    particleTextureHeight: height,
+    gridSize,
+    cellTextureWidth: sort.cellTextureWidth,
+    sortTextureWidth: sort.sortTextureWidth,
+    worldBounds: bounds,
+    gravityStrength: 1.0,
+    softening: 0.05,
+    boundary,
+    accumulate,
+    potential
+  });
+  kernel.run();
+
+  return { sort, kernel };
+}
+
+/**
+ * Test 1: Random cloud matches the CPU sum restricted to neighbouring voxels
+ */
+test('KNearFieldPairs: matches CPU pairs over the 27-voxel neighbourhood', async () => {
+  const gl = getGL();
+
+  const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
+  const gridSize = 8;
+  const width = 8;
+  const height = 8;
+  const count = width * height;
+
+  const posData = new Float32Array(count * 4);
+  let seed = 4242;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < count; i++) {
+    posData[i * 4 + 0] = 3.8 * random() - 1.9;
+    posData[i * 4 + 1] = 3.8 * random() - 1.9;
+    posData[i * 4 + 2] = 3.8 * random() - 1.9;
+    posData[i * 4 + 3] = 0.5 + random();
+  }
+
+  const { sort, kernel } = runNearField(gl, { posData, width, height, gridSize, bounds });
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces must be finite');
+
+  const expected = cpuNearField(posData, count, gridSize, bounds, 1.0, 0.05, false);
+  for (let i = 0; i < count; i++) {
+    const scale = Math.max(1, Math.hypot(expected[i * 4], expected[i * 4 + 1], expected[i * 4 + 2]));
+    for (let axis = 0; axis < 3; axis++) {
+      assertClose(result[i * 4 + axis], expected[i * 4 + axis], 1e-3 * scale,
+        `Particle ${i} axis ${axis}\n\n${kernel.toString()}`);
+    }
+  }
+
+  kernel.inPosition = null;
+  kernel.inCells = null;
+  kernel.inSorted = null;
+  disposeKernel(kernel);
+  disposeKernel(sort);
+  resetGL();
+});
+
+/**
+ * Test 2: Accumulate mode adds onto forces already in the target
+ */
+test('KNearFieldPairs: accumulate adds into outForce', async () => {
+  const gl = getGL();
+
+  const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
+  const width = 2;
+  const height = 1;
+  const posData = new Float32Array([
+    -0.25, 0.0, 0.0, 1.0,
+    0.25, 0.0, 0.0, 1.0
+  ]);
+  const forceTex = createTestTexture(gl, width, height, new Float32Array([
+    0.0, 1.0, 0.0, 0.0,
+    0.0, -1.0, 0.0, 0.0
+  ]));
+
+  const { sort, kernel } = runNearField(gl, {
+    posData, width, height, gridSize: 4, bounds, outForce: forceTex, accumulate: true
+  });
+
+  const result = readTexture(gl, forceTex, width, height);
+  const d2 = 0.25 + 0.05 * 0.05;
+  const pull = 0.5 / (d2 * Math.sqrt(d2));
+  assertClose(result[0], pull, 1e-3 * pull, `Particle 0 pulled toward particle 1\n\n${kernel.toString()}`);
+  assertClose(result[1], 1.0, 1e-6, 'Existing y force kept');
+  assertClose(result[4], -pull, 1e-3 * pull, 'Particle 1 pulled back');
+  assertClose(result[5], -1.0, 1e-6, 'Existing y force kept');
+
+  kernel.inPosition = null;
+  kernel.inCells = null;
+  kernel.inSorted = null;
+  disposeKernel(kernel);
+  disposeKernel(sort);
+  resetGL();
+});
+
+/**
+ * Test 3: Periodic neighbourhood wraps, and the pull goes through the box face
+ */
+test('KNearFieldPairs: periodic neighbours across the box face', async () => {
+  const gl = getGL();
+
+  const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
+  const width = 2;
+  const height = 1;
+  // First and last voxel along x: neighbours only through the periodic face
+  const posData = new Float32Array([
+    -1.9, 0.1, 0.1, 1.0,
+    1.9, 0.1, 0.1, 1.0
+  ]);
+
+  const { sort, kernel } = runNearField(gl, { posData, width, height, gridSize: 8, bounds, boundary: 'periodic' });
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  const d2 = 0.04 + 0.05 * 0.05;
+  const pull = 0.2 / (d2 * Math.sqrt(d2));
+  assert.ok(result[0] < 0, `Particle 0 pulled through the -x face: ${result[0]}\n\n${kernel.toString()}`);
+  assertClose(result[0], -pull, 1e-3 * pull, 'Minimum-image separation');
+  assertClose(result[4], pull, 1e-3 * pull, 'Particle 1 pulled through the +x face');
+
+  kernel.inPosition = null;
+  kernel.inCells = null;
+  kernel.inSorted = null;
+  disposeKernel(kernel);
+  disposeKernel(sort);
+  resetGL();
+});
+
+/**
+ * Test 4: Potential against direct summation over the neighbourhood, with particles
+ * sharing an L0 voxel (each skips itself, never its voxel mates) and one out of reach
+ */
+test('KNearFieldPairs: potential matches direct summation', async () => {
+  const gl = getGL();
+
+  const bounds = { min: /** @type {[number, number, number]} */([-2, -2, -2]), max: /** @type {[number, number, number]} */([2, 2, 2]) };
+  const gridSize = 4;
+  const width = 4;
+  const height = 1;
+  const count = width * height;
+  // 0 and 1 share voxel (2,2,2), 2 is its neighbour (1,2,2), 3 is beyond reach in (0,0,0)
+  const posData = new Float32Array([
+    0.2, 0.3, 0.25, 1.0,
+    0.7, 0.6, 0.8, 2.0,
+    -0.4, 0.5, 0.5, 1.5,
+    -1.5, -1.5, -1.5, 1.0
+  ]);
+
+  const { sort, kernel } = runNearField(gl, { posData, width, height, gridSize, bounds, potential: true });
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */(kernel.outForce), width, height);
+  assertAllFinite(result, 'Forces and potential must be finite');
+
+  const expected = cpuNearField(posData, count, gridSize, bounds, 1.0, 0.05, false);
+  for (let i = 0; i < count; i++) {
+    const phi = expected[i * 4 + 3];
+    assertClose(result[i * 4 + 3], phi, 1e-4 * Math.max(1, Math.abs(phi)),
+      `Particle ${i} potential\n\n${kernel.toString()}`);
+  }
+  // The shared voxel is summed pairwise: particle 0 feels 1 and 2, at their own distances
+  const pair = (/** @type {number} */ j) => {
+    const r = [0, 1, 2].map(axis => posData[j * 4 + axis] - posData[axis]);
+    return posData[j * 4 + 3] / Math.sqrt(r[0] * r[0] + r[1] * r[1] + r[2] * r[2] + 0.05 * 0.05);
+  };
+  assertClose(result[3], -(pair(1) + pair(2)), 1e-4 * (pair(1) + pair(2)), 'Particle 0: voxel mate and neighbour');
+  assertClose(result[15], 0, 1e-6, 'Particle 3 has nobody within reach');
+
+  kernel.inPosition = null;
+  kernel.inCells = null;
+  kernel.inSorted = null;
+  disposeKernel(kernel);
+  disposeKernel(sort);
+  resetGL();
+});
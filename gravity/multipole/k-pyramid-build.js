@@ -2,6 +2,7 @@
 
 import { fsQuadVert } from '../core-shaders.js';
 import { readGrid3D } from '../diag.js';
+import { octreeTextureDimensions } from './octree-config.js';
 import reductionFrag from './shaders/reduction.frag.js';
 
 /**
@@ -44,14 +45,14 @@ export class KPyramidBuild {
     this.outGridSize = outGridSize;
     this.outSlicesPerRow = outSlicesPerRow;
 
-    const { width: outWidth, height: outHeight } = textureDimensions(this.outGridSize, this.outSlicesPerRow);
+    const { width: outWidth, height: outHeight } = octreeTextureDimensions(this.outGridSize, this.outSlicesPerRow);
     this.outTextureWidth = outWidth;
     this.outTextureHeight = outHeight;
 
     // Input level dimensions (required - no guessing via doubling formula)
     this.inGridSize = inGridSize;
     this.inSlicesPerRow = inSlicesPerRow;
-    const { width: inWidth, height: inHeight } = textureDimensions(this.inGridSize, this.inSlicesPerRow);
+    const { width: inWidth, height: inHeight } = octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow);
 
     this.inA0 = (inA0 || inA0 === null) ? inA0 : createTextureRGBA32F(this.gl, inWidth, inHeight);
     this.inA1 = (inA1 || inA1 === null) ? inA1 : createTextureRGBA32F(this.gl, inWidth, inHeight);
@@ -125,18 +126,18 @@ export class KPyramidBuild {
   valueOf({ pixels } = {}) {
     const value = {
       inA0: this.inA0 && readGrid3D({
-        gl: this.gl, texture: this.inA0, width: textureDimensions(this.inGridSize, this.inSlicesPerRow).width,
-        height: textureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
+        gl: this.gl, texture: this.inA0, width: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).width,
+        height: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
         channels: ['cx', 'cy', 'cz', 'mass'], pixels
       }),
       inA1: this.inA1 && readGrid3D({
-        gl: this.gl, texture: this.inA1, width: textureDimensions(this.inGridSize, this.inSlicesPerRow).width,
-        height: textureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
+        gl: this.gl, texture: this.inA1, width: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).width,
+        height: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
         channels: ['xx', 'yy', 'zz', 'xy'], pixels
       }),
       inA2: this.inA2 && readGrid3D({
-        gl: this.gl, texture: this.inA2, width: textureDimensions(this.inGridSize, this.inSlicesPerRow).width,
-        height: textureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
+        gl: this.gl, texture: this.inA2, width: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).width,
+        height: octreeTextureDimensions(this.inGridSize, this.inSlicesPerRow).height, gridSize: this.inGridSize,
         channels: ['xz', 'yz', 'unused1', 'unused2'], pixels
       }),
       outA0: this.outA0 && readGrid3D({
@@ -296,17 +297,6 @@ inA2: ${value.inA2}
   }
 }
 
-/**
- * @param {number} gridSize
- * @param {number} slicesPerRow
- */
-function textureDimensions(gridSize, slicesPerRow) {
-  const width = gridSize * slicesPerRow;
-  const sliceRows = Math.ceil(gridSize / slicesPerRow);
-  const height = gridSize * sliceRows;
-  return { width, height };
-}
-
 /**
  * @param {WebGL2RenderingContext} gl
  * @param {number} width
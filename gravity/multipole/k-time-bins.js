@@ -0,0 +1,330 @@
+// @ts-check
+
+/**
+ * KTimeBins - Assigns each particle a power-of-two time bin
+ *
+ * Bin b means a step of dt / 2^b. The wanted step follows the softening criterion
+ * dt_i = sqrt(2·eta·softening / |a|), rounded down to the next power-of-two fraction of dt.
+ * Bins only change for particles synchronized at the current sync point, and a longer
+ * step may only start where its block boundary aligns with that point.
+ * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
+ */
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readLinear } from '../diag.js';
+
+export class KTimeBins {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inForce?: WebGLTexture|null,
+   *   inPosition?: WebGLTexture|null,
+   *   inBins?: WebGLTexture|null,
+   *   outBins?: WebGLTexture|null,
+   *   width?: number,
+   *   height?: number,
+   *   dt?: number,
+   *   eta?: number,
+   *   softening?: number,
+   *   maxBin?: number,
+   *   sync?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Resource slots - follow kernel contract: (truthy || === null) ? use : create
+    this.inForce = (options.inForce || options.inForce === null)
+      ? options.inForce
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.inPosition = (options.inPosition || options.inPosition === null)
+      ? options.inPosition
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.inBins = (options.inBins || options.inBins === null)
+      ? options.inBins
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+    this.outBins = (options.outBins || options.outBins === null)
+      ? options.outBins
+      : createTextureRGBA32F(this.gl, options.width || 0, options.height || 0);
+
+    // Texture dimensions
+    this.width = options.width || 0;
+    this.height = options.height || 0;
+
+    // Timestep parameters
+    this.dt = options.dt !== undefined ? options.dt : (1 / 60);
+    this.eta = options.eta !== undefined ? options.eta : 0.025;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+    this.maxBin = options.maxBin !== undefined ? options.maxBin : 4;
+    // Sync point, counted in finest substeps (dt / 2^maxBin) since the start of the step
+    this.sync = options.sync !== undefined ? options.sync : 0;
+
+    // Compile and link shader program (inline, like KPyramidBuild)
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, timeBinsFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    this.program = this.gl.createProgram();
+    if (!this.program) throw new Error('Failed to create program');
+    this.gl.attachShader(this.program, vert);
+    this.gl.attachShader(this.program, frag);
+    this.gl.linkProgram(this.program);
+    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(this.program);
+      this.gl.deleteProgram(this.program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_position: this.gl.getUniformLocation(this.program, 'u_position'),
+      u_bins: this.gl.getUniformLocation(this.program, 'u_bins'),
+      u_dt: this.gl.getUniformLocation(this.program, 'u_dt'),
+      u_eta: this.gl.getUniformLocation(this.program, 'u_eta'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening'),
+      u_maxBin: this.gl.getUniformLocation(this.program, 'u_maxBin'),
+      u_sync: this.gl.getUniformLocation(this.program, 'u_sync')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create an internal framebuffer (configured per-run)
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {{ a0: WebGLTexture } | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      force: this.inForce && readLinear({
+        gl: this.gl, texture: this.inForce, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+      }),
+      bins: this.inBins && readLinear({
+        gl: this.gl, texture: this.inBins, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['bin', 'dt', 'unused1', 'unused2'], pixels
+      }),
+      outBins: this.outBins && readLinear({
+        gl: this.gl, texture: this.outBins, width: this.width,
+        height: this.height, count: this.width * this.height,
+        channels: ['bin', 'dt', 'unused1', 'unused2'], pixels
+      }),
+      width: this.width,
+      height: this.height,
+      dt: this.dt,
+      eta: this.eta,
+      softening: this.softening,
+      maxBin: this.maxBin,
+      sync: this.sync,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KTimeBins(${this.width}×${this.height}) dt=${formatNumber(this.dt)} eta=${formatNumber(this.eta)} softening=${formatNumber(this.softening)} maxBin=${this.maxBin} sync=${this.sync} #${this.renderCount}
+
+force: ${value.force}
+
+bins: ${value.bins}
+
+→ outBins: ${value.outBins}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inForce || !this.inPosition || !this.inBins || !this.outBins) {
+      throw new Error('KTimeBins: missing required textures');
+    }
+
+    gl.useProgram(this.program);
+
+    // Ensure framebuffer attachments match our output
+    if (!this._fboShadow || this._fboShadow.a0 !== this.outBins) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outBins, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+      this._fboShadow = { a0: this.outBins };
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.width, this.height);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    gl.disable(gl.SCISSOR_TEST);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce);
+    if (this.uniforms.u_force) gl.uniform1i(this.uniforms.u_force, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_position) gl.uniform1i(this.uniforms.u_position, 1);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBins);
+    if (this.uniforms.u_bins) gl.uniform1i(this.uniforms.u_bins, 2);
+
+    if (this.uniforms.u_dt) gl.uniform1f(this.uniforms.u_dt, this.dt);
+    if (this.uniforms.u_eta) gl.uniform1f(this.uniforms.u_eta, this.eta);
+    if (this.uniforms.u_softening) gl.uniform1f(this.uniforms.u_softening, this.softening);
+    if (this.uniforms.u_maxBin) gl.uniform1i(this.uniforms.u_maxBin, this.maxBin);
+    if (this.uniforms.u_sync) gl.uniform1i(this.uniforms.u_sync, this.sync);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inBins) gl.deleteTexture(this.inBins);
+    if (this.outBins) gl.deleteTexture(this.outBins);
+
+    this._fboShadow = null;
+  }
+}
+
+const timeBinsFrag = /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+uniform sampler2D u_force;
+uniform sampler2D u_position;
+uniform sampler2D u_bins;
+uniform float u_dt;
+uniform float u_eta;
+uniform float u_softening;
+uniform int u_maxBin;
+uniform int u_sync;
+
+// x: bin, y: step length dt / 2^bin
+out vec4 outBins;
+
+void main() {
+  ivec2 coord = ivec2(gl_FragCoord.xy);
+  vec4 bins = texelFetch(u_bins, coord, 0);
+  int oldBin = clamp(int(bins.x + 0.5), 0, u_maxBin);
+
+  // Particles in the middle of their step keep their bin
+  if (u_sync % (1 << (u_maxBin - oldBin)) != 0) {
+    outBins = bins;
+    return;
+  }
+
+  vec4 pos = texelFetch(u_position, coord, 0);
+  float mass = pos.w;
+  if (isnan(pos.x) || isnan(pos.y) || isnan(pos.z) || isnan(mass) || mass <= 0.0) {
+    outBins = vec4(0.0, u_dt, 0.0, 0.0);
+    return;
+  }
+
+  vec3 force = texelFetch(u_force, coord, 0).xyz;
+  float amag = length(force);
+
+  int bin = 0;
+  if (!isnan(amag) && amag > 0.0) {
+    float dtWanted = sqrt(2.0 * u_eta * u_softening / amag);
+    bin = clamp(int(ceil(log2(u_dt / dtWanted))), 0, u_maxBin);
+  }
+
+  // A longer step may only start where its block boundary aligns with this sync point
+  while (bin < u_maxBin && u_sync % (1 << (u_maxBin - bin)) != 0) bin++;
+
+  outBins = vec4(float(bin), u_dt / float(1 << bin), 0.0, 0.0);
+}`;
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
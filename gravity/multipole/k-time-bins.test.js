@@ -0,0 +1,117 @@
+// @ts-check
+
+/**
+ * Unit tests for KTimeBins kernel.
+ * Tests bin assignment from acceleration and alignment of bins to sync points.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import {
+  assertClose,
+  createTestTexture,
+  disposeKernel,
+  getGL,
+  readTexture,
+  resetGL
+} from '../test-utils.js';
+
+import { KTimeBins } from './k-time-bins.js';
+
+/**
+ * Helper: One texel per particle with the given x-components, other channels set to w.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[]} xs
+ * @param {number} w
+ */
+function createRowTexture(gl, xs, w) {
+  const data = new Float32Array(xs.length * 4);
+  for (let i = 0; i < xs.length; i++) {
+    data[i * 4 + 0] = xs[i];
+    data[i * 4 + 3] = w;
+  }
+  return createTestTexture(gl, xs.length, 1, data);
+}
+
+/**
+ * Test 1: Stronger acceleration lands in finer bins
+ * With eta·softening = 0.005, dt_wanted = sqrt(0.01 / |a|).
+ * dt = 0.1: |a| = 0.5 → bin 0, 3 → bin 1, 10 → bin 2, 100 → clamped to maxBin 3.
+ */
+test('KTimeBins: bins from acceleration at sync 0', async () => {
+  const gl = getGL();
+  const width = 4, height = 1;
+
+  const forceTex = createRowTexture(gl, [0.5, 3, 10, 100], 0);
+  const posTex = createRowTexture(gl, [0, 0, 0, 0], 1);
+  const binsTex = createRowTexture(gl, [0, 0, 0, 0], 0);
+  const outBinsTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KTimeBins({
+    gl,
+    inForce: forceTex,
+    inPosition: posTex,
+    inBins: binsTex,
+    outBins: outBinsTex,
+    width,
+    height,
+    dt: 0.1,
+    eta: 0.025,
+    softening: 0.2,
+    maxBin: 3,
+    sync: 0
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outBinsTex, width, height);
+  const expected = [0, 1, 2, 3];
+  for (let i = 0; i < width; i++) {
+    assert.strictEqual(result[i * 4 + 0], expected[i], `Particle ${i} bin\n\n${kernel.toString()}`);
+    assertClose(result[i * 4 + 1], 0.1 / (1 << expected[i]), 1e-6, `Particle ${i} step length`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Only synchronized particles are re-binned, and only onto aligned bins
+ * maxBin 3, sync 2: bin 1 (period 4) is mid-step and keeps its bin.
+ * A synchronized particle wanting bin 0 is refined to bin 2 (period 2 divides 2).
+ */
+test('KTimeBins: sync alignment', async () => {
+  const gl = getGL();
+  const width = 3, height = 1;
+
+  const forceTex = createRowTexture(gl, [0.5, 0.5, 100], 0);
+  const posTex = createRowTexture(gl, [0, 0, 0], 1);
+  const binsTex = createRowTexture(gl, [1, 3, 3], 0);
+  const outBinsTex = createTestTexture(gl, width, height, null);
+
+  const kernel = new KTimeBins({
+    gl,
+    inForce: forceTex,
+    inPosition: posTex,
+    inBins: binsTex,
+    outBins: outBinsTex,
+    width,
+    height,
+    dt: 0.1,
+    eta: 0.025,
+    softening: 0.2,
+    maxBin: 3,
+    sync: 2
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outBinsTex, width, height);
+  assert.strictEqual(result[0], 1, `Mid-step particle keeps its bin\n\n${kernel.toString()}`);
+  assert.strictEqual(result[4], 2, `Weak force refined to the coarsest aligned bin\n\n${kernel.toString()}`);
+  assert.strictEqual(result[8], 3, `Strong force stays in the finest bin\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
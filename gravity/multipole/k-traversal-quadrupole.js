@@ -4,11 +4,16 @@
  * TraversalQuadrupoleKernel - Quadrupole Barnes-Hut tree traversal
  * 
  * Traverses the octree hierarchy to compute gravitational forces using quadrupole approximation.
+ * With potential on, outForce.w holds φ = -G·[M/r + (3·r·Q·r/r² - tr Q) / (2r³)] summed over
+ * the same nodes, Q the second moments about each node's centre of mass.
+ * With inBins set (block timesteps), only particles whose bin is synchronized at sync are
+ * evaluated; the texels of the others are left untouched.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { MAX_OCTREE_LEVELS } from './octree-config.js';
 
 export class KTraversalQuadrupole {
   /**
@@ -20,6 +25,7 @@ export class KTraversalQuadrupole {
    *   inLevelsA1?: WebGLTexture|null,
    *   inLevelsA2?: WebGLTexture|null,
    *   inOccupancy?: WebGLTexture|null,
+   *   inBins?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   particleTextureWidth?: number,
    *   particleTextureHeight?: number,
@@ -29,7 +35,12 @@ export class KTraversalQuadrupole {
    *   theta?: number,
    *   gravityStrength?: number,
    *   softening?: number,
-   *   useOccupancyMasks?: boolean
+   *   useOccupancyMasks?: boolean,
+   *   boundary?: 'open' | 'periodic',
+   *   nearField?: boolean,
+   *   potential?: boolean,
+   *   maxBin?: number,
+   *   sync?: number
    * }} options
    */
   constructor(options) {
@@ -53,6 +64,9 @@ export class KTraversalQuadrupole {
       ? options.inOccupancy
       : null;
 
+    // Optional time bins (KTimeBins layout): mask out particles not synchronized at sync
+    this.inBins = options.inBins !== undefined ? options.inBins : null;
+
     this.outForce = (options.outForce || options.outForce === null)
       ? options.outForce
       : createTextureRGBA32F(this.gl, options.particleTextureWidth || 0, options.particleTextureHeight || 0);
@@ -63,7 +77,7 @@ export class KTraversalQuadrupole {
 
     // Octree configuration
     this.numLevels = options.numLevels || 4;
-    if (this.numLevels > 4) throw new Error('KTraversalQuadrupole: numLevels cannot exceed 4 due to texture unit limits');
+    if (this.numLevels > MAX_OCTREE_LEVELS) throw new Error(`KTraversalQuadrupole: numLevels cannot exceed ${MAX_OCTREE_LEVELS} (level uniform array size)`);
     this.levelConfigs = options.levelConfigs || [];
 
     // World bounds
@@ -77,6 +91,17 @@ export class KTraversalQuadrupole {
     this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
     this.softening = options.softening !== undefined ? options.softening : 0.2;
     this.useOccupancyMasks = options.useOccupancyMasks !== undefined ? options.useOccupancyMasks : false;
+    // 'periodic' applies minimum-image separations across worldBounds
+    this.boundary = options.boundary || 'open';
+    // nearField leaves the 27 L0 voxels around each particle to KNearFieldPairs
+    this.nearField = options.nearField || false;
+
+    // Per-particle potential φ in outForce.w (0 when off)
+    this.potential = options.potential || false;
+
+    // Sync point in finest substeps (dt / 2^maxBin), as in KKickBins
+    this.maxBin = options.maxBin !== undefined ? options.maxBin : 0;
+    this.sync = options.sync !== undefined ? options.sync : 0;
 
     // Create shader program with quadrupole shader
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -219,7 +244,7 @@ export class KTraversalQuadrupole {
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
         height: this.particleTextureHeight, count: this.particleTextureWidth * this.particleTextureHeight,
-        channels: ['fx', 'fy', 'fz', 'w'], pixels
+        channels: ['fx', 'fy', 'fz', this.potential ? 'potential' : 'w'], pixels
       }),
       bounds: this.inBounds && readLinear({
         gl: this.gl, texture: this.inBounds, width: 2, height: 1, count: 2,
@@ -236,6 +261,11 @@ export class KTraversalQuadrupole {
       softening: this.softening,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       useOccupancyMasks: this.useOccupancyMasks,
+      boundary: this.boundary,
+      nearField: this.nearField,
+      potential: this.potential,
+      maxBin: this.maxBin,
+      sync: this.sync,
       renderCount: this.renderCount
     };
 
@@ -250,7 +280,7 @@ export class KTraversalQuadrupole {
     const formatLevels = (arr) => arr.map(l => l ? l.toString() : 'null').join('\n  ');
 
     value.toString = () =>
-      `KTraversalQuadrupole(${this.particleTextureWidth}×${this.particleTextureHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} occupancy=${this.useOccupancyMasks} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KTraversalQuadrupole(${this.particleTextureWidth}×${this.particleTextureHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} occupancy=${this.useOccupancyMasks} boundary=${this.boundary}${this.nearField ? ' nearField' : ''}${this.potential ? ' potential' : ''}${this.inBins ? ` sync=${this.sync}/${1 << this.maxBin}` : ''} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
@@ -397,6 +427,17 @@ levelTextureArrayA2 (quadrupole xz,yz):
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_softening'), this.softening);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_numLevels'), this.numLevels);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_periodic'), this.boundary === 'periodic' ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_nearField'), this.nearField ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_potential'), this.potential ? 1 : 0);
+
+    // Bind time bins (texture unit 24); any texture keeps the sampler valid without inBins
+    gl.activeTexture(gl.TEXTURE24);
+    gl.bindTexture(gl.TEXTURE_2D, this.inBins || this.inPosition);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_bins'), 24);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_hasBins'), this.inBins ? 1 : 0);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_maxBin'), this.maxBin);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_sync'), this.sync);
 
     // Draw
     gl.bindVertexArray(this.quadVAO);
@@ -421,6 +462,9 @@ levelTextureArrayA2 (quadrupole xz,yz):
       gl.activeTexture(gl.TEXTURE23);
       gl.bindTexture(gl.TEXTURE_2D, null);
     }
+    gl.activeTexture(gl.TEXTURE24);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
     gl.useProgram(null);
 
     // Unbind
@@ -449,7 +493,7 @@ levelTextureArrayA2 (quadrupole xz,yz):
  * @param {boolean} useOccupancy
  */
 function buildTraversalQuadrupoleShader(levelCount, useOccupancy = false) {
-  const maxL = Math.max(1, Math.min(levelCount | 0, 4));
+  const maxL = Math.max(1, Math.min(levelCount | 0, MAX_OCTREE_LEVELS));
 
   const occupancyDecl = useOccupancy ? 'uniform sampler2D u_occupancy;' : '';
 
@@ -467,15 +511,22 @@ uniform bool u_useBoundsTexture; // true if bounds texture available
 
 uniform float u_theta;
 uniform int u_numLevels;
-uniform float u_cellSizes[8];
-uniform float u_gridSizes[8];
-uniform float u_slicesPerRow[8];
+uniform float u_cellSizes[${MAX_OCTREE_LEVELS}];
+uniform float u_gridSizes[${MAX_OCTREE_LEVELS}];
+uniform float u_slicesPerRow[${MAX_OCTREE_LEVELS}];
 uniform vec2 u_texSize;
 uniform int u_particleCount;
 uniform vec3 u_worldMin;
 uniform vec3 u_worldMax;
 uniform float u_softening;
 uniform float u_G;
+uniform bool u_periodic;         // minimum-image wrapping across the world box
+uniform bool u_nearField;        // 27 L0 voxels around my own are summed per particle by KNearFieldPairs
+uniform bool u_potential;        // write the potential of the same terms into w
+uniform sampler2D u_bins;        // time bins (KTimeBins) when u_hasBins
+uniform bool u_hasBins;
+uniform int u_maxBin;
+uniform int u_sync;              // sync point in finest substeps
 
 out vec4 fragColor;`;
 
@@ -498,6 +549,11 @@ ivec2 voxelToTexel(ivec3 voxelCoord, float gridSize, float slicesPerRow) {
   return ivec2(texelX, texelY);
 }
 
+// Wrap a voxel index into [0, gridSize); valid for components >= -gridSize
+ivec3 wrapVoxel(ivec3 voxel, int gridSize) {
+  return (voxel + gridSize) % gridSize;
+}
+
 // Sample from texture arrays using layer index
 vec4 sampleLevelA0(int level, ivec2 coord) {
   return texelFetch(u_levelsA0, ivec3(coord, level), 0);
@@ -541,9 +597,16 @@ void main() {
     return;
   }
 
+  // Block timesteps: particles between their block boundaries keep their last force
+  if (u_hasBins) {
+    int bin = clamp(int(texelFetch(u_bins, coord, 0).x + 0.5), 0, u_maxBin);
+    if (u_sync % (1 << (u_maxBin - bin)) != 0) discard;
+  }
+
   vec2 myUV = (vec2(coord) + 0.5) / u_texSize;
   vec3 myPos = texture(u_particlePositions, myUV).xyz;
   vec3 totalForce = vec3(0.0);
+  float totalPotential = 0.0;
 
   // Get world bounds from texture or uniforms
   vec3 worldMin, worldMax;
@@ -588,12 +651,30 @@ void main() {
     int endX = min(int(gridSize) - 1, myVoxel.x + nb);
     int endY = min(int(gridSize) - 1, myVoxel.y + nb);
     int endZ = min(int(gridSize) - 1, myVoxel.z + nb);
+
+    // Periodic: unclamped window around myVoxel, visiting each voxel through its nearest image.
+    // A window as wide as the grid becomes one full period centred on myVoxel.
+    if (u_periodic) {
+      int g = int(gridSize);
+      bool fullPeriod = isCoarsestLevel || 2 * nb + 1 >= g;
+      int lo = fullPeriod ? -(g / 2) : -nb;
+      int hi = fullPeriod ? g - 1 - g / 2 : nb;
+      startX = myVoxel.x + lo;
+      startY = myVoxel.y + lo;
+      startZ = myVoxel.z + lo;
+      endX = myVoxel.x + hi;
+      endY = myVoxel.y + hi;
+      endZ = myVoxel.z + hi;
+    }
     
     for (int vz = startZ; vz <= endZ; vz++) {
       for (int vy = startY; vy <= endY; vy++) {
         for (int vx = startX; vx <= endX; vx++) {
+          // testVoxel is the (possibly out-of-box) image, cellVoxel the stored cell
           ivec3 testVoxel = ivec3(vx, vy, vz);
-          ivec2 texCoord = voxelToTexel(testVoxel, gridSize, slicesPerRow);
+          ivec3 cellVoxel = u_periodic ? wrapVoxel(testVoxel, int(gridSize)) : testVoxel;
+          vec3 imageShift = vec3(testVoxel - cellVoxel) / gridSize * worldExtent;
+          ivec2 texCoord = voxelToTexel(cellVoxel, gridSize, slicesPerRow);
           ${occupancyCheckCode}
           vec4 a0 = sampleLevelA0(level, texCoord);
           float mass = a0.w;
@@ -602,6 +683,9 @@ void main() {
           // Skip own voxel
           bool isMyVoxel = (testVoxel.x == myVoxel.x && testVoxel.y == myVoxel.y && testVoxel.z == myVoxel.z);
           if (isMyVoxel) continue;
+
+          // L0 near field is exact particle-particle (KNearFieldPairs)
+          if (u_nearField && level == 0 && all(lessThanEqual(abs(testVoxel - myVoxel), ivec3(1)))) continue;
           
           // Compute geometric distances to voxel
           float distNear = distToNearestPoint(myPos, testVoxel, worldMin, cellSize);
@@ -635,17 +719,17 @@ void main() {
             
             // Compute child voxel bounds: children are at testVoxel*2 + {0,1} per axis
             // Clamp offsets to valid range before loop to avoid runtime branching
-            int minCx = (testVoxel.x * 2 < 0) ? (0 - testVoxel.x * 2) : 0;
-            int maxCx = (testVoxel.x * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - testVoxel.x * 2 - 1) : 1;
-            int minCy = (testVoxel.y * 2 < 0) ? (0 - testVoxel.y * 2) : 0;
-            int maxCy = (testVoxel.y * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - testVoxel.y * 2 - 1) : 1;
-            int minCz = (testVoxel.z * 2 < 0) ? (0 - testVoxel.z * 2) : 0;
-            int maxCz = (testVoxel.z * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - testVoxel.z * 2 - 1) : 1;
+            int minCx = (cellVoxel.x * 2 < 0) ? (0 - cellVoxel.x * 2) : 0;
+            int maxCx = (cellVoxel.x * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - cellVoxel.x * 2 - 1) : 1;
+            int minCy = (cellVoxel.y * 2 < 0) ? (0 - cellVoxel.y * 2) : 0;
+            int maxCy = (cellVoxel.y * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - cellVoxel.y * 2 - 1) : 1;
+            int minCz = (cellVoxel.z * 2 < 0) ? (0 - cellVoxel.z * 2) : 0;
+            int maxCz = (cellVoxel.z * 2 + 1 >= int(finerGridSize)) ? (int(finerGridSize) - cellVoxel.z * 2 - 1) : 1;
             
             for (int cz = minCz; cz <= maxCz; cz++) {
               for (int cy = minCy; cy <= maxCy; cy++) {
                 for (int cx = minCx; cx <= maxCx; cx++) {
-                  ivec3 childVoxel = testVoxel * 2 + ivec3(cx, cy, cz);
+                  ivec3 childVoxel = cellVoxel * 2 + ivec3(cx, cy, cz);
                   
                   ivec2 childTexCoord = voxelToTexel(childVoxel, finerGridSize, finerSlicesPerRow);
                   vec4 childA0 = sampleLevelA0(level - 1, childTexCoord);
@@ -679,13 +763,14 @@ void main() {
             }
           }
           
-          // Apply force
-          vec3 r = myPos - com;
+          // Apply force (moments stay about the stored COM; only the separation uses the image)
+          vec3 r = myPos - (com + imageShift);
           float dist = length(r);
           float distSq = dist * dist + eps * eps;
           float distCubed = distSq * sqrt(distSq);
           vec3 monopoleForce = -u_G * mass * r / distCubed;
           totalForce += monopoleForce;
+          totalPotential -= u_G * mass / sqrt(distSq);
           
           // Add quadrupole correction (except at finest level where it's negligible)
           if (level > 0) {
@@ -703,12 +788,17 @@ void main() {
             quadForce.y += u_G * (qxy * r.x + qyy * r.y + qyz * r.z) / dist5;
             quadForce.z += u_G * (qxz * r.x + qyz * r.y + qzz * r.z) / dist5;
             totalForce += quadForce * 2.5;
+
+            float rQr = r.x * (qxx * r.x + qxy * r.y + qxz * r.z) +
+                        r.y * (qxy * r.x + qyy * r.y + qyz * r.z) +
+                        r.z * (qxz * r.x + qyz * r.y + qzz * r.z);
+            totalPotential -= 0.5 * u_G * (3.0 * rQr / dist5 - trace / distCubed);
           }
         }
       }
     }
   }
-  fragColor = vec4(totalForce, 0.0);
+  fragColor = vec4(totalForce, u_potential ? totalPotential : 0.0);
 }`;
 
   return samplerDecl + '\n' + body;
@@ -479,3 +479,89 @@ test('KTraversalQuadrupole: zero mass particle', async () => {
   disposeKernel(aggregator);
   resetGL();
 });
+
+/**
+ * Test 6: Quadrupole potential against direct summation
+ * One L1 node holds a lopsided cluster; a particle well outside takes it whole, so
+ * the expansion's rQr and trace terms must close most of the monopole's gap.
+ */
+test('KTraversalQuadrupole: potential of a far node matches direct summation', async () => {
+  const gl = getGL();
+
+  const particleTextureWidth = 1;
+  const particleTextureHeight = 1;
+
+  const me = [-3.5, -3.0, 1.0];
+  const posTex = createTestTexture(gl, particleTextureWidth, particleTextureHeight, new Float32Array([...me, 1.0]));
+
+  // Cluster inside L1 voxel (1,1,1) = [0,4]³
+  const cluster = [
+    [1.4, 2.0, 2.0, 1.0],
+    [2.6, 1.6, 2.3, 1.0],
+    [2.0, 2.5, 1.6, 2.0]
+  ];
+  const a0 = [0, 0, 0, 0], a1 = [0, 0, 0, 0], a2 = [0, 0, 0, 0];
+  for (const [x, y, z, m] of cluster) {
+    a0[0] += m * x; a0[1] += m * y; a0[2] += m * z; a0[3] += m;
+    a1[0] += m * x * x; a1[1] += m * y * y; a1[2] += m * z * z; a1[3] += m * x * y;
+    a2[0] += m * x * z; a2[1] += m * y * z;
+  }
+
+  const gridSize0 = 4;
+  const slicesPerRow0 = 2;
+  const octreeSize0 = gridSize0 * slicesPerRow0;
+
+  const gridSize1 = 2;
+  const slicesPerRow1 = 1;
+  const octreeSize1 = gridSize1 * slicesPerRow1;
+
+  const levelConfigs = [
+    { size: octreeSize0, gridSize: gridSize0, slicesPerRow: slicesPerRow0 },
+    { size: octreeSize1, gridSize: gridSize1, slicesPerRow: slicesPerRow1 }
+  ];
+
+  // L0 stays empty: the L1 node is the only source
+  /** @param {number[]} moments */
+  const level1 = moments => fillVoxelTexture(gl, gridSize1, slicesPerRow1, (x, y, z) =>
+    (x === 1 && y === 1 && z === 1) ? /** @type {[number, number, number, number]} */ (moments) : [0, 0, 0, 0]);
+  const empty = () => fillVoxelTexture(gl, gridSize0, slicesPerRow0, () => [0, 0, 0, 0]);
+
+  const outForce = createTestTexture(gl, particleTextureWidth, particleTextureHeight, null);
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-4, -4, -4], max: [4, 4, 4] });
+
+  const kernel = new KTraversalQuadrupole({
+    gl,
+    inPosition: posTex,
+    inLevelsA0: createTextureArrayFromLevels(gl, [empty(), level1(a0)], octreeSize0),
+    inLevelsA1: createTextureArrayFromLevels(gl, [empty(), level1(a1)], octreeSize0),
+    inLevelsA2: createTextureArrayFromLevels(gl, [empty(), level1(a2)], octreeSize0),
+    outForce,
+    particleTextureWidth,
+    particleTextureHeight,
+    numLevels: 2,
+    levelConfigs,
+    worldBounds,
+    theta: 0.3,
+    gravityStrength: 1.0,
+    softening: 1e-3,
+    potential: true
+  });
+
+  kernel.run();
+
+  const potential = readTexture(gl, outForce, particleTextureWidth, particleTextureHeight)[3];
+
+  let direct = 0;
+  for (const [x, y, z, m] of cluster)
+    direct -= m / Math.hypot(x - me[0], y - me[1], z - me[2]);
+  const mass = a0[3];
+  const monopole = -mass / Math.hypot(me[0] - a0[0] / mass, me[1] - a0[1] / mass, me[2] - a0[2] / mass);
+
+  // The monopole alone misses by ~5e-4; the quadrupole brings it under 2e-4
+  assert.ok(Math.abs(monopole - direct) > 4e-4, `monopole gap ${monopole - direct}`);
+  assertClose(potential, direct, 2e-4, `Quadrupole potential\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
@@ -4,11 +4,16 @@
  * TraversalKernel - Monopole Barnes-Hut tree traversal
  * 
  * Traverses the octree hierarchy to compute gravitational forces using monopole approximation.
+ * With potential on, outForce.w holds φ = -Σ G·M / sqrt(d² + ε²) over the same nodes;
+ * my own L0 voxel enters without my mass and moment, so it holds only the others.
+ * With inBins set (block timesteps), only particles whose bin is synchronized at sync are
+ * evaluated; the texels of the others are left untouched.
  * Follows the WebGL2 Kernel contract from docs/8-webgl-kernels.md.
  */
 
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
+import { MAX_OCTREE_LEVELS } from './octree-config.js';
 import traversalFrag from './shaders/traversal.frag.js';
 
 export class KTraversal {
@@ -17,6 +22,7 @@ export class KTraversal {
    *   gl: WebGL2RenderingContext,
    *   inPosition?: WebGLTexture|null,
    *   inLevelA0?: WebGLTexture[],
+   *   inBins?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   particleTextureWidth?: number,
    *   particleTextureHeight?: number,
@@ -25,13 +31,19 @@ export class KTraversal {
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
    *   theta?: number,
    *   gravityStrength?: number,
-   *   softening?: number
+   *   softening?: number,
+   *   boundary?: 'open' | 'periodic',
+   *   nearField?: boolean,
+   *   potential?: boolean,
+   *   maxBin?: number,
+   *   sync?: number
    * }} params
    */
   constructor({
     gl,
     inPosition,
     inLevelA0,
+    inBins,
     outForce,
     particleTextureWidth = 0,
     particleTextureHeight = 0,
@@ -40,7 +52,12 @@ export class KTraversal {
     worldBounds = { min: [-4, -4, 0], max: [4, 4, 2] },
     theta = 0.5,
     gravityStrength = 0.0003,
-    softening = 0.2
+    softening = 0.2,
+    boundary = 'open',
+    nearField = false,
+    potential = false,
+    maxBin = 0,
+    sync = 0
   }) {
     this.gl = gl;
 
@@ -57,6 +74,9 @@ export class KTraversal {
       ? inLevelA0
       : [];
 
+    // Optional time bins (KTimeBins layout): mask out particles not synchronized at sync
+    this.inBins = inBins !== undefined ? inBins : null;
+
     // Allocate outForce if not provided (truthy) or explicitly null
     this.outForce = (outForce || outForce === null)
       ? outForce
@@ -64,6 +84,7 @@ export class KTraversal {
 
     // Octree configuration
     this.numLevels = numLevels;
+    if (this.numLevels > MAX_OCTREE_LEVELS) throw new Error(`KTraversal: numLevels cannot exceed ${MAX_OCTREE_LEVELS} (one sampler per level)`);
     this.levelConfigs = levelConfigs;
 
     // World bounds
@@ -74,6 +95,19 @@ export class KTraversal {
     this.gravityStrength = gravityStrength;
     this.softening = softening;
 
+    // 'periodic' applies minimum-image separations across worldBounds
+    this.boundary = boundary;
+
+    // nearField leaves the 27 L0 voxels around each particle to KNearFieldPairs
+    this.nearField = nearField;
+
+    // Per-particle potential φ in outForce.w (0 when off)
+    this.potential = potential;
+
+    // Sync point in finest substeps (dt / 2^maxBin), as in KKickBins
+    this.maxBin = maxBin;
+    this.sync = sync;
+
     // Create shader program
     // Compile and link shader program (inline, like KPyramidBuild)
     const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
@@ -144,7 +178,7 @@ export class KTraversal {
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
         height: this.particleTextureHeight, count: this.particleTextureWidth * this.particleTextureHeight,
-        channels: ['fx', 'fy', 'fz', 'w'], pixels: true
+        channels: ['fx', 'fy', 'fz', this.potential ? 'potential' : 'w'], pixels: true
       }),
       levels: this.inLevelA0 && this.inLevelA0.map((tex, i) => tex && (() => {
         const { gridSize = 1, slicesPerRow = 1, size = 0 } = this.levelConfigs[i] || {};
@@ -167,6 +201,11 @@ export class KTraversal {
       theta: this.theta,
       gravityStrength: this.gravityStrength,
       softening: this.softening,
+      boundary: this.boundary,
+      nearField: this.nearField,
+      potential: this.potential,
+      maxBin: this.maxBin,
+      sync: this.sync,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       totalForce: 0,
       renderCount: this.renderCount
@@ -185,7 +224,7 @@ export class KTraversal {
     }
 
     value.toString = () =>
-      `KTraversal(${this.particleTextureWidth}×${this.particleTextureHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KTraversal(${this.particleTextureWidth}×${this.particleTextureHeight}) theta=${this.theta} G=${this.gravityStrength} soft=${this.softening} levels=${this.numLevels} boundary=${this.boundary}${this.nearField ? ' nearField' : ''}${this.potential ? ' potential' : ''}${this.inBins ? ` sync=${this.sync}/${1 << this.maxBin}` : ''} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
@@ -291,6 +330,18 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
     this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_G'), this.gravityStrength);
     this.gl.uniform1f(this.gl.getUniformLocation(this.program, 'u_softening'), this.softening);
     this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_numLevels'), this.numLevels);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_periodic'), this.boundary === 'periodic' ? 1 : 0);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_nearField'), this.nearField ? 1 : 0);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_potential'), this.potential ? 1 : 0);
+
+    // Any texture keeps the sampler valid without inBins
+    const binsUnit = 1 + MAX_OCTREE_LEVELS;
+    this.gl.activeTexture(this.gl.TEXTURE0 + binsUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, this.inBins || this.inPosition);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_bins'), binsUnit);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_hasBins'), this.inBins ? 1 : 0);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_maxBin'), this.maxBin);
+    this.gl.uniform1i(this.gl.getUniformLocation(this.program, 'u_sync'), this.sync);
 
     // Draw
     this.gl.bindVertexArray(this.quadVAO);
@@ -307,6 +358,8 @@ ${!value.levels ? 'L:none' : value.levels.map(l => `L${l.level}:\n${l.toString()
       this.gl.activeTexture(unit);
       this.gl.bindTexture(this.gl.TEXTURE_2D, null);
     }
+    this.gl.activeTexture(this.gl.TEXTURE0 + binsUnit);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
     this.gl.activeTexture(this.gl.TEXTURE0);
     this.gl.bindTexture(this.gl.TEXTURE_2D, null);
     this.gl.useProgram(null);
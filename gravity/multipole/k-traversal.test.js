@@ -579,3 +579,271 @@ test('KTraversal: multi-level octree', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test: Periodic boundary - attraction across the box edge via the minimum image
+ */
+test('KTraversal: periodic minimum image', async () => {
+  const gl = getGL();
+
+  const particleCount = 2;
+  const particleTextureWidth = 2;
+  const particleTextureHeight = 1;
+
+  // Near opposite faces: 3.6 apart inside the box, 0.4 apart across the periodic edge
+  const posData = new Float32Array([
+    -1.8, 0.0, 0.0, 1.0,
+    1.8, 0.0, 0.0, 1.0
+  ]);
+  const posTex = createTestTexture(gl, particleTextureWidth, particleTextureHeight, posData);
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const octreeSize = gridSize * slicesPerRow;
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-2, -2, -2], max: [2, 2, 2] });
+
+  const aggregator = new KAggregatorMonopole({
+    gl,
+    inPosition: posTex,
+    particleCount,
+    particleTextureWidth,
+    particleTextureHeight,
+    octreeSize,
+    gridSize,
+    slicesPerRow,
+    worldBounds,
+    disableFloatBlend: true
+  });
+
+  aggregator.run();
+
+  const outForce = createTestTexture(gl, particleTextureWidth, particleTextureHeight, null);
+
+  const kernel = new KTraversal({
+    gl,
+    inPosition: posTex,
+    inLevelA0: [aggregator.outA0],
+    outForce,
+    particleTextureWidth,
+    particleTextureHeight,
+    numLevels: 1,
+    levelConfigs: [{ size: gridSize * gridSize * gridSize, gridSize, slicesPerRow }],
+    worldBounds,
+    theta: 0.5,
+    gravityStrength: 1.0,
+    softening: 0.1,
+    boundary: 'periodic'
+  });
+
+  kernel.run();
+
+  const snapshot = kernel.valueOf({ pixels: true });
+
+  // Particle 0 is pulled through the -x face, particle 1 through the +x face
+  assert.ok(snapshot.force?.pixels?.[0]?.fx < 0,
+    `Force on particle 0 should be in -x direction (Fx0=${snapshot.force?.pixels?.[0]?.fx})\n\n${kernel.toString()}`);
+  assert.ok(snapshot.force?.pixels?.[1]?.fx > 0,
+    `Force on particle 1 should be in +x direction (Fx1=${snapshot.force?.pixels?.[1]?.fx})\n\n${kernel.toString()}`);
+  assertClose(Math.abs(snapshot.force?.pixels?.[0]?.fx || 0), Math.abs(snapshot.force?.pixels?.[1]?.fx || 0), 1e-2,
+    `Forces should have equal magnitude\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  disposeKernel(aggregator);
+  resetGL();
+});
+
+/**
+ * Test 8: Time bins mask - only particles synchronized at the sync point are evaluated
+ * maxBin 3, sync 2: bins 2 and 3 end a step, bins 0 and 1 are mid-step and keep their texels.
+ */
+test('KTraversal: time bins evaluate only synchronized particles', async () => {
+  const gl = getGL();
+
+  const particleCount = 4;
+  const particleTextureWidth = 4;
+  const particleTextureHeight = 1;
+
+  const posData = new Float32Array([
+    -1.0, 0.0, 0.0, 1.0,
+    1.0, 0.0, 0.0, 1.0,
+    0.0, -1.0, 0.0, 1.0,
+    0.0, 1.0, 0.0, 1.0
+  ]);
+  const posTex = createTestTexture(gl, particleTextureWidth, particleTextureHeight, posData);
+
+  const binsData = new Float32Array(particleCount * 4);
+  [0, 1, 2, 3].forEach((bin, i) => { binsData[i * 4] = bin; });
+  const binsTex = createTestTexture(gl, particleTextureWidth, particleTextureHeight, binsData);
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const octreeSize = gridSize * slicesPerRow;
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-2, -2, -2], max: [2, 2, 2] });
+
+  const aggregator = new KAggregatorMonopole({
+    gl,
+    inPosition: posTex,
+    particleCount,
+    particleTextureWidth,
+    particleTextureHeight,
+    octreeSize,
+    gridSize,
+    slicesPerRow,
+    worldBounds,
+    disableFloatBlend: true
+  });
+
+  aggregator.run();
+
+  // Sentinel marks texels the traversal did not write
+  const sentinel = 123;
+  const outForce = createTestTexture(gl, particleTextureWidth, particleTextureHeight,
+    new Float32Array(particleCount * 4).fill(sentinel));
+
+  const kernel = new KTraversal({
+    gl,
+    inPosition: posTex,
+    inLevelA0: [aggregator.outA0],
+    inBins: binsTex,
+    outForce,
+    particleTextureWidth,
+    particleTextureHeight,
+    numLevels: 1,
+    levelConfigs: [{ size: gridSize * gridSize * gridSize, gridSize, slicesPerRow }],
+    worldBounds,
+    theta: 0.5,
+    gravityStrength: 1.0,
+    softening: 0.1,
+    maxBin: 3,
+    sync: 2
+  });
+
+  kernel.run();
+
+  let snapshot = kernel.valueOf({ pixels: true });
+  const pixels = snapshot.force?.pixels || [];
+  const written = pixels.map((p, i) => p.fx !== sentinel ? i : -1).filter(i => i >= 0);
+  assert.deepStrictEqual(written, [2, 3],
+    `Only bins 2 and 3 evaluated at sync 2 (written=${written})\n\n${kernel.toString()}`);
+  assert.ok(pixels[2].fy > 0 && pixels[3].fy < 0,
+    `Evaluated particles pulled together\n\n${kernel.toString()}`);
+
+  // Sync 8 ends every step: all particles evaluated
+  kernel.sync = 8;
+  kernel.run();
+  snapshot = kernel.valueOf({ pixels: true });
+  const untouched = (snapshot.force?.pixels || []).filter(p => p.fx === sentinel).length;
+  assert.strictEqual(untouched, 0, `All bins evaluated at sync 8\n\n${kernel.toString()}`);
+
+  kernel.inBins = null;
+  gl.deleteTexture(binsTex);
+  disposeKernel(kernel);
+  disposeKernel(aggregator);
+  resetGL();
+});
+
+/**
+ * Test 9: Potential against direct summation, two particles sharing an L0 voxel.
+ * Every node is within s/θ, so the near-field pass does all the work: the shared
+ * voxel less my own mass and moment is exactly the other particle, and the lone
+ * third particle is its own voxel. The third one sees the pair's centre of mass.
+ */
+test('KTraversal: potential matches direct summation with a shared L0 voxel', async () => {
+  const gl = getGL();
+
+  const particleCount = 3;
+  const particleTextureWidth = 3;
+  const particleTextureHeight = 1;
+
+  // A and B share voxel (2,2,2) of the 4³ grid, C sits alone in (1,2,2)
+  const particles = [
+    [0.2, 0.3, 0.25, 1.0],
+    [0.7, 0.6, 0.8, 2.0],
+    [-0.4, 0.5, 0.5, 1.5]
+  ];
+  const posTex = createTestTexture(gl, particleTextureWidth, particleTextureHeight, new Float32Array(particles.flat()));
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const octreeSize = gridSize * slicesPerRow;
+  const softening = 0.1;
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-2, -2, -2], max: [2, 2, 2] });
+
+  const aggregator = new KAggregatorMonopole({
+    gl,
+    inPosition: posTex,
+    particleCount,
+    particleTextureWidth,
+    particleTextureHeight,
+    octreeSize,
+    gridSize,
+    slicesPerRow,
+    worldBounds,
+    disableFloatBlend: true
+  });
+
+  aggregator.run();
+
+  const outForce = createTestTexture(gl, particleTextureWidth, particleTextureHeight, null);
+
+  const kernel = new KTraversal({
+    gl,
+    inPosition: posTex,
+    inLevelA0: [aggregator.outA0],
+    outForce,
+    particleTextureWidth,
+    particleTextureHeight,
+    numLevels: 1,
+    levelConfigs: [{ size: gridSize * gridSize * gridSize, gridSize, slicesPerRow }],
+    worldBounds,
+    theta: 0.5,
+    gravityStrength: 1.0,
+    softening,
+    potential: true
+  });
+
+  kernel.run();
+
+  const pixels = kernel.valueOf({ pixels: true }).force?.pixels || [];
+
+  /**
+   * Softened pull and potential of the given sources at particle i
+   * @param {number} i
+   * @param {number[][]} sources
+   */
+  const direct = (i, sources) => {
+    const [xi, yi, zi] = particles[i];
+    let fx = 0, fy = 0, fz = 0, phi = 0;
+    for (const [x, y, z, m] of sources) {
+      const dx = x - xi, dy = y - yi, dz = z - zi;
+      const denom = dx * dx + dy * dy + dz * dz + softening * softening;
+      const inv = 1 / (denom * Math.sqrt(denom));
+      fx += m * dx * inv; fy += m * dy * inv; fz += m * dz * inv;
+      phi -= m / Math.sqrt(denom);
+    }
+    return { fx, fy, fz, phi };
+  };
+
+  // A and B: exact pairs with everyone else, no self term
+  for (const i of [0, 1]) {
+    const expected = direct(i, particles.filter((_, j) => j !== i));
+    const tolerance = 1e-4 * Math.abs(expected.phi);
+    assertClose(pixels[i].potential, expected.phi, tolerance, `φ[${i}]\n\n${kernel.toString()}`);
+    assertClose(pixels[i].fx, expected.fx, 1e-3 * Math.abs(expected.fx) + 1e-5, `fx[${i}]`);
+    assertClose(pixels[i].fy, expected.fy, 1e-3 * Math.abs(expected.fy) + 1e-5, `fy[${i}]`);
+    assertClose(pixels[i].fz, expected.fz, 1e-3 * Math.abs(expected.fz) + 1e-5, `fz[${i}]`);
+  }
+
+  // C: the pair through its voxel's centre of mass
+  const pairMass = particles[0][3] + particles[1][3];
+  const pairCom = [0, 1, 2].map(axis => (particles[0][axis] * particles[0][3] + particles[1][axis] * particles[1][3]) / pairMass);
+  const expectedC = direct(2, [[pairCom[0], pairCom[1], pairCom[2], pairMass]]);
+  assertClose(pixels[2].potential, expectedC.phi, 1e-4 * Math.abs(expectedC.phi), `φ[2]\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  disposeKernel(aggregator);
+  resetGL();
+});
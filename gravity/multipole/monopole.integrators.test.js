@@ -0,0 +1,194 @@
+// @ts-check
+
+/**
+ * Integrator option for tree methods: symplectic schedules must track
+ * the energy of a bound two-body orbit better than semi-implicit Euler.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, getGL, readTexture, resetGL } from '../test-utils.js';
+import { GravityMonopole } from './gravity-monopole.js';
+import { GravityQuadrupole } from './gravity-quadrupole.js';
+
+const G = 0.01;
+const softening = 0.01;
+const separation = 1.0;
+
+/**
+ * Two equal masses on a circular orbit, tilted so the bounds span all three axes.
+ * @returns {{ positions: Float32Array, velocities: Float32Array }}
+ */
+function createBinary() {
+  const axis = [1 / Math.sqrt(3), 1 / Math.sqrt(3), 1 / Math.sqrt(3)];
+  const perp = [1 / Math.sqrt(2), -1 / Math.sqrt(2), 0];
+
+  const r2 = separation * separation + softening * softening;
+  const accel = G * separation / (r2 * Math.sqrt(r2));
+  const speed = Math.sqrt(accel * separation / 2);
+
+  const positions = new Float32Array(2 * 4);
+  const velocities = new Float32Array(2 * 4);
+  for (let i = 0; i < 2; i++) {
+    const sign = i === 0 ? -1 : 1;
+    for (let k = 0; k < 3; k++) {
+      positions[i * 4 + k] = sign * axis[k] * separation / 2;
+      velocities[i * 4 + k] = sign * perp[k] * speed;
+    }
+    positions[i * 4 + 3] = 1.0;
+  }
+  return { positions, velocities };
+}
+
+/**
+ * @param {Float32Array} positions
+ * @param {Float32Array} velocities
+ */
+function totalEnergy(positions, velocities) {
+  let KE = 0;
+  for (let i = 0; i < 2; i++) {
+    const m = positions[i * 4 + 3];
+    const vx = velocities[i * 4 + 0], vy = velocities[i * 4 + 1], vz = velocities[i * 4 + 2];
+    KE += 0.5 * m * (vx * vx + vy * vy + vz * vz);
+  }
+  const dx = positions[4] - positions[0];
+  const dy = positions[5] - positions[1];
+  const dz = positions[6] - positions[2];
+  const r = Math.sqrt(dx * dx + dy * dy + dz * dz + softening * softening);
+  const PE = -G * positions[3] * positions[7] / r;
+  return KE + PE;
+}
+
+/**
+ * Run the binary for a number of steps and return relative energy error
+ * @param {typeof GravityMonopole | typeof GravityQuadrupole} System
+ * @param {'euler' | 'leapfrog-kdk' | 'yoshida4'} integrator
+ * @param {number} steps
+ */
+function runBinary(System, integrator, steps) {
+  const gl = getGL();
+  const { positions, velocities } = createBinary();
+
+  const system = new System({
+    gl,
+    textureWidth: 2,
+    textureHeight: 1,
+    particleCount: 2,
+    worldBounds: { min: [-1, -1, -1], max: [1, 1, 1] },
+    theta: 0.0,
+    dt: 0.5,
+    gravityStrength: G,
+    softening,
+    damping: 0.0,
+    maxSpeed: 100,
+    maxAccel: 100,
+    integrator
+  });
+
+  gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, velocities);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  const initialE = totalEnergy(positions, velocities);
+
+  for (let i = 0; i < steps; i++) system.step();
+
+  const finalPos = readTexture(gl, /** @type {WebGLTexture} */(system.positionMassTexture), 2, 1);
+  const finalVel = readTexture(gl, /** @type {WebGLTexture} */(system.velocityColorTexture), 2, 1);
+  assertAllFinite(finalPos, `${integrator} positions finite`);
+  assertAllFinite(finalVel, `${integrator} velocities finite`);
+
+  const relError = Math.abs((totalEnergy(finalPos, finalVel) - initialE) / initialE);
+
+  system.dispose();
+  resetGL();
+
+  return relError;
+}
+
+test('monopole.integrators: leapfrog-kdk conserves energy better than euler', async () => {
+  const eulerError = runBinary(GravityMonopole, 'euler', 120);
+  const kdkError = runBinary(GravityMonopole, 'leapfrog-kdk', 120);
+
+  assert.ok(kdkError < eulerError,
+    `leapfrog-kdk energy error ${kdkError.toExponential(3)} should be below euler ${eulerError.toExponential(3)}`);
+});
+
+test('monopole.integrators: yoshida4 conserves energy at least as well as leapfrog-kdk', async () => {
+  const kdkError = runBinary(GravityMonopole, 'leapfrog-kdk', 120);
+  const yoshidaError = runBinary(GravityMonopole, 'yoshida4', 120);
+
+  assert.ok(yoshidaError <= kdkError * 1.5 + 1e-5,
+    `yoshida4 energy error ${yoshidaError.toExponential(3)} vs leapfrog-kdk ${kdkError.toExponential(3)}`);
+});
+
+test('quadrupole.integrators: leapfrog-kdk conserves energy better than euler', async () => {
+  const eulerError = runBinary(GravityQuadrupole, 'euler', 120);
+  const kdkError = runBinary(GravityQuadrupole, 'leapfrog-kdk', 120);
+
+  assert.ok(kdkError < eulerError,
+    `leapfrog-kdk energy error ${kdkError.toExponential(3)} should be below euler ${eulerError.toExponential(3)}`);
+});
+
+test('monopole.integrators: unknown integrator rejected', async () => {
+  const gl = getGL();
+  assert.throws(() => new GravityMonopole({
+    gl,
+    textureWidth: 2,
+    textureHeight: 1,
+    integrator: /** @type {any} */ ('rk4')
+  }), /Unknown integrator/);
+  resetGL();
+});
+
+test('monopole.integrators: time bins walk the tree once per substep, masked to active bins', async () => {
+  for (const System of [GravityMonopole, GravityQuadrupole]) {
+    const gl = getGL();
+    const { positions, velocities } = createBinary();
+
+    const system = new System({
+      gl,
+      textureWidth: 2,
+      textureHeight: 1,
+      particleCount: 2,
+      worldBounds: { min: [-1, -1, -1], max: [1, 1, 1] },
+      theta: 0.0,
+      dt: 0.5,
+      gravityStrength: G,
+      softening,
+      maxSpeed: 100,
+      maxAccel: 100,
+      timeBins: { maxBin: 2 }
+    });
+
+    gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, positions);
+    gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, velocities);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    const traversal = /** @type {{ renderCount?: number, inBins: WebGLTexture | null }} */ (system.traversalKernel);
+
+    // First frame: one full evaluation to open the steps, then one walk per substep
+    system.step();
+    assert.strictEqual(traversal.renderCount, 1 + 4, `${System.name}: first frame walks`);
+
+    // Later frames reuse the closing forces: exactly 2^maxBin walks
+    system.step();
+    assert.strictEqual(traversal.renderCount, 1 + 4 + 4, `${System.name}: second frame walks`);
+    assert.strictEqual(traversal.inBins, null, `${System.name}: bins mask lifted after the frame`);
+
+    const finalPos = readTexture(gl, /** @type {WebGLTexture} */(system.positionMassTexture), 2, 1);
+    const finalVel = readTexture(gl, /** @type {WebGLTexture} */(system.velocityColorTexture), 2, 1);
+    assertAllFinite(finalPos, `${System.name} positions finite`);
+    assertAllFinite(finalVel, `${System.name} velocities finite`);
+    const relError = Math.abs((totalEnergy(finalPos, finalVel) - totalEnergy(positions, velocities)) / totalEnergy(positions, velocities));
+    assert.ok(relError < 1e-2, `${System.name}: energy error ${relError.toExponential(3)}`);
+
+    system.dispose();
+    resetGL();
+  }
+});
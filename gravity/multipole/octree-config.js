@@ -0,0 +1,78 @@
+// @ts-check
+
+/**
+ * Octree layout shared by the multipole systems
+ *
+ * L0 is a gridSize³ voxel grid stored as Z-slices tiled slicesPerRow across a 2D texture.
+ * Each coarser level halves gridSize and slicesPerRow down to numLevels levels.
+ */
+
+/** Cap on octree depth: size of the per-level uniform arrays in both traversal shaders */
+export const MAX_OCTREE_LEVELS = 8;
+
+/**
+ * @typedef {{ size: number, gridSize: number, slicesPerRow: number }} OctreeLevelConfig
+ */
+
+/**
+ * Validate octree options against MAX_TEXTURE_SIZE and derive per-level layouts.
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ gridSize?: number, slicesPerRow?: number, numLevels?: number }} [octree]
+ * @returns {{
+ *   gridSize: number,
+ *   slicesPerRow: number,
+ *   numLevels: number,
+ *   L0Size: number,
+ *   levelConfigs: OctreeLevelConfig[]
+ * }}
+ */
+export function resolveOctreeConfig(gl, octree) {
+  const gridSize = octree && octree.gridSize !== undefined ? octree.gridSize : 64;
+  if (!(gridSize >= 2) || (gridSize & (gridSize - 1)) !== 0)
+    throw new Error(`octree gridSize must be a power of two >= 2, got ${gridSize}`);
+
+  const slicesPerRow = octree && octree.slicesPerRow !== undefined ? octree.slicesPerRow : Math.ceil(Math.sqrt(gridSize));
+  if (!(slicesPerRow >= 1 && slicesPerRow <= gridSize) || (slicesPerRow | 0) !== slicesPerRow)
+    throw new Error(`octree slicesPerRow must be an integer in 1..${gridSize}, got ${slicesPerRow}`);
+
+  const maxLevels = Math.min(Math.log2(gridSize) + 1, MAX_OCTREE_LEVELS);
+  const numLevels = octree && octree.numLevels !== undefined ? octree.numLevels : maxLevels;
+  if (!(numLevels >= 1 && numLevels <= maxLevels) || (numLevels | 0) !== numLevels)
+    throw new Error(`octree numLevels must be an integer in 1..${maxLevels} for gridSize ${gridSize}, got ${numLevels}`);
+
+  // L0 is allocated square, so the longer side of the slice tiling must fit
+  const { width, height } = octreeTextureDimensions(gridSize, slicesPerRow);
+  const L0Size = Math.max(width, height);
+  const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+  if (L0Size > maxTextureSize)
+    throw new Error(`octree L0 texture ${width}×${height} (gridSize ${gridSize}, slicesPerRow ${slicesPerRow}) exceeds MAX_TEXTURE_SIZE ${maxTextureSize}`);
+
+  /** @type {OctreeLevelConfig[]} */
+  const levelConfigs = [];
+  let currentGridSize = gridSize;
+  let currentSlicesPerRow = slicesPerRow;
+  for (let i = 0; i < numLevels; i++) {
+    levelConfigs.push({
+      size: currentGridSize * currentSlicesPerRow,
+      gridSize: currentGridSize,
+      slicesPerRow: currentSlicesPerRow
+    });
+
+    currentGridSize = Math.max(1, Math.floor(currentGridSize / 2));
+    currentSlicesPerRow = Math.max(1, Math.floor(currentSlicesPerRow / 2));
+  }
+
+  return { gridSize, slicesPerRow, numLevels, L0Size, levelConfigs };
+}
+
+/**
+ * Texture dimensions of one level: slicesPerRow slices across, as many rows as the slices need
+ * @param {number} gridSize
+ * @param {number} slicesPerRow
+ */
+export function octreeTextureDimensions(gridSize, slicesPerRow) {
+  const width = gridSize * slicesPerRow;
+  const sliceRows = Math.ceil(gridSize / slicesPerRow);
+  const height = gridSize * sliceRows;
+  return { width, height };
+}
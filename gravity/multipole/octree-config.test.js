@@ -0,0 +1,74 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { MAX_OCTREE_LEVELS, octreeTextureDimensions, resolveOctreeConfig } from './octree-config.js';
+
+/**
+ * Test 1: Defaults reproduce the 64³ grid tiled 8×8 down to a single voxel
+ */
+test('resolveOctreeConfig: defaults', async () => {
+  const gl = getGL();
+
+  const config = resolveOctreeConfig(gl);
+
+  assert.strictEqual(config.gridSize, 64);
+  assert.strictEqual(config.slicesPerRow, 8);
+  assert.strictEqual(config.numLevels, 7);
+  assert.strictEqual(config.L0Size, 512);
+  assert.deepStrictEqual(config.levelConfigs.map(c => c.gridSize), [64, 32, 16, 8, 4, 2, 1]);
+  assert.deepStrictEqual(config.levelConfigs.map(c => c.slicesPerRow), [8, 4, 2, 1, 1, 1, 1]);
+
+  resetGL();
+});
+
+/**
+ * Test 2: Small grid, explicit slice layout and depth
+ */
+test('resolveOctreeConfig: custom gridSize, slicesPerRow and numLevels', async () => {
+  const gl = getGL();
+
+  const config = resolveOctreeConfig(gl, { gridSize: 16, slicesPerRow: 2, numLevels: 3 });
+
+  // 16 slices, 2 per row → 32 wide, 8 rows of 16 tall; L0 is allocated square on the long side
+  assert.deepStrictEqual(octreeTextureDimensions(16, 2), { width: 32, height: 128 });
+  assert.strictEqual(config.L0Size, 128);
+  assert.deepStrictEqual(config.levelConfigs, [
+    { size: 32, gridSize: 16, slicesPerRow: 2 },
+    { size: 8, gridSize: 8, slicesPerRow: 1 },
+    { size: 4, gridSize: 4, slicesPerRow: 1 }
+  ]);
+
+  resetGL();
+});
+
+/**
+ * Test 3: Depth is capped by the grid and by the traversal uniform arrays
+ */
+test('resolveOctreeConfig: numLevels limits', async () => {
+  const gl = getGL();
+
+  assert.strictEqual(resolveOctreeConfig(gl, { gridSize: 8 }).numLevels, 4);
+  assert.strictEqual(resolveOctreeConfig(gl, { gridSize: 128 }).numLevels, MAX_OCTREE_LEVELS);
+  assert.throws(() => resolveOctreeConfig(gl, { gridSize: 8, numLevels: 5 }), /numLevels must be an integer in 1\.\.4/);
+  assert.throws(() => resolveOctreeConfig(gl, { numLevels: 0 }), /numLevels/);
+
+  resetGL();
+});
+
+/**
+ * Test 4: Invalid layouts and grids too large for MAX_TEXTURE_SIZE are rejected
+ */
+test('resolveOctreeConfig: validation', async () => {
+  const gl = getGL();
+  const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+  assert.throws(() => resolveOctreeConfig(gl, { gridSize: 48 }), /gridSize must be a power of two/);
+  assert.throws(() => resolveOctreeConfig(gl, { gridSize: 16, slicesPerRow: 0 }), /slicesPerRow must be an integer in 1\.\.16/);
+  assert.throws(() => resolveOctreeConfig(gl, { gridSize: 16, slicesPerRow: 1.5 }), /slicesPerRow/);
+  assert.throws(() => resolveOctreeConfig(gl, { gridSize: maxTextureSize, slicesPerRow: 2 }), /exceeds MAX_TEXTURE_SIZE/);
+
+  resetGL();
+});
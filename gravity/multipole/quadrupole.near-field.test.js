@@ -0,0 +1,102 @@
+// @ts-check
+
+/**
+ * Exact near field for the quadrupole system: a cluster packed into one L0 voxel
+ * feels its members individually instead of skipping its own voxel.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityDirect } from '../direct/gravity-direct.js';
+import { relativeForceError } from '../direct/force-error.js';
+import { GravityQuadrupole } from './gravity-quadrupole.js';
+
+const width = 3;
+const height = 3;
+const G = 0.01;
+const softening = 0.01;
+
+/**
+ * Eight bodies jittered around the corners of a 0.1 cube inside voxel (8, 8, 8) of a
+ * 16³ grid over [-4, 4]³, plus one distant body
+ * @param {WebGL2RenderingContext} gl
+ * @param {{ positionMassTexture?: WebGLTexture | null, velocityColorTexture?: WebGLTexture | null }} system
+ */
+function uploadCluster(gl, system) {
+  const positions = new Float32Array(width * height * 4);
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let i = 0; i < 8; i++) {
+    positions[i * 4 + 0] = 0.2 + 0.1 * (i & 1) + 0.01 * random();
+    positions[i * 4 + 1] = 0.2 + 0.1 * ((i >> 1) & 1) + 0.01 * random();
+    positions[i * 4 + 2] = 0.2 + 0.1 * ((i >> 2) & 1) + 0.01 * random();
+    positions[i * 4 + 3] = 1.0;
+  }
+  positions.set([-3, -3, -3, 1.0], 8 * 4);
+
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {boolean} nearField
+ */
+function createSystem(gl, nearField) {
+  return new GravityQuadrupole({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    // Walls keep worldBounds fixed, so the cluster stays inside one known voxel
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    walls: { x: 'reflect', y: 'reflect', z: 'reflect' },
+    octree: { gridSize: 16 },
+    theta: 0.5,
+    gravityStrength: G,
+    softening,
+    nearField
+  });
+}
+
+test('quadrupole.near-field: cluster inside one voxel matches direct summation', async () => {
+  const gl = getGL();
+
+  const system = createSystem(gl, true);
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadCluster(gl, system);
+
+  assert.ok(system.cellSortKernel && system.nearFieldKernel, 'Near-field kernels created');
+  assert.strictEqual(system.traversalKernel.nearField, true, 'Traversal leaves L0 neighbours to the near field');
+
+  const report = relativeForceError({ system, reference });
+
+  for (const e of report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}`);
+  assert.ok(report.max < 0.01, `Max relative error ${report.max.toExponential(3)} with the exact near field`);
+
+  system.dispose();
+  reference.dispose();
+  resetGL();
+});
+
+test('quadrupole.near-field: without it the cluster misses its own voxel', async () => {
+  const gl = getGL();
+
+  const system = createSystem(gl, false);
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+  uploadCluster(gl, system);
+
+  assert.strictEqual(system.cellSortKernel, null, 'No near-field kernels by default');
+
+  const report = relativeForceError({ system, reference });
+
+  assert.ok(report.median > 0.5, `Median relative error ${report.median.toExponential(3)}: members of one voxel do not see each other`);
+
+  system.dispose();
+  reference.dispose();
+  resetGL();
+});
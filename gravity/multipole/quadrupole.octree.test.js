@@ -0,0 +1,102 @@
+// @ts-check
+
+/**
+ * Octree depth for the quadrupole system: every level is read through the
+ * A0/A1/A2 texture arrays, so the pyramid can go all the way down to 1 voxel.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, getGL, readTexture, resetGL } from '../test-utils.js';
+import { GravityQuadrupole } from './gravity-quadrupole.js';
+
+test('quadrupole.octree: defaults to the full 7-level pyramid', async () => {
+  const gl = getGL();
+
+  const system = new GravityQuadrupole({ gl, textureWidth: 2, textureHeight: 1 });
+
+  assert.strictEqual(system.numLevels, 7, 'Default depth matches monopole');
+  assert.strictEqual(system.levelConfigs.length, 7, 'One config per level');
+  assert.deepStrictEqual(
+    system.levelConfigs.map(c => c.gridSize),
+    [64, 32, 16, 8, 4, 2, 1],
+    'Grid halves down to a single voxel');
+  assert.strictEqual(system.traversalKernel.numLevels, 7, 'Traversal reads all levels');
+
+  system.dispose();
+  resetGL();
+});
+
+test('quadrupole.octree: numLevels and octreeGridSize options', async () => {
+  const gl = getGL();
+
+  const system = new GravityQuadrupole({
+    gl,
+    textureWidth: 2,
+    textureHeight: 1,
+    octreeGridSize: 32,
+    numLevels: 5
+  });
+
+  assert.deepStrictEqual(system.levelConfigs.map(c => c.gridSize), [32, 16, 8, 4, 2]);
+  assert.strictEqual(system.pyramidKernels.length, 4, 'One reduction per level transition');
+
+  system.dispose();
+
+  assert.throws(() => new GravityQuadrupole({
+    gl, textureWidth: 2, textureHeight: 1, octreeGridSize: 32, numLevels: 7
+  }), /numLevels must be an integer in 1\.\.6/);
+  assert.throws(() => new GravityQuadrupole({
+    gl, textureWidth: 2, textureHeight: 1, octreeGridSize: 48
+  }), /gridSize must be a power of two/);
+
+  resetGL();
+});
+
+test('quadrupole.octree: deep pyramid attracts a widely separated pair', async () => {
+  const gl = getGL();
+
+  // Opposite corners of a wide box: only the coarse levels see both particles
+  const positions = new Float32Array([
+    -90, -90, -90, 1.0,
+    90, 90, 90, 1.0
+  ]);
+  const velocities = new Float32Array(8);
+
+  const system = new GravityQuadrupole({
+    gl,
+    textureWidth: 2,
+    textureHeight: 1,
+    particleCount: 2,
+    worldBounds: { min: [-100, -100, -100], max: [100, 100, 100] },
+    theta: 0.5,
+    dt: 1.0,
+    gravityStrength: 1.0,
+    softening: 0.1,
+    maxSpeed: 100,
+    maxAccel: 100
+  });
+
+  gl.bindTexture(gl.TEXTURE_2D, system.positionMassTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, system.velocityColorTexture);
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, 2, 1, gl.RGBA, gl.FLOAT, velocities);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  system.step();
+
+  const vel = readTexture(gl, /** @type {WebGLTexture} */(system.velocityColorTexture), 2, 1);
+  assertAllFinite(vel, 'Velocities finite');
+
+  // |a| = G m / r² with r = 180√3
+  const expected = 1.0 / (3 * 180 * 180);
+  const speed0 = Math.hypot(vel[0], vel[1], vel[2]);
+  assert.ok(vel[0] > 0 && vel[1] > 0 && vel[2] > 0, `Particle 0 pulled toward particle 1: [${vel.slice(0, 3)}]`);
+  assert.ok(vel[4] < 0 && vel[5] < 0 && vel[6] < 0, `Particle 1 pulled toward particle 0: [${vel.slice(4, 7)}]`);
+  assert.ok(Math.abs(speed0 - expected) < expected * 0.1,
+    `Far-field magnitude ${speed0.toExponential(3)} should match ${expected.toExponential(3)}`);
+
+  system.dispose();
+  resetGL();
+});
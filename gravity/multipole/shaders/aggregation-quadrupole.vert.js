@@ -11,6 +11,7 @@ uniform vec3 u_worldMin;         // XYZ world min (fallback when no bounds textu
 uniform vec3 u_worldMax;         // XYZ world max (fallback when no bounds texture)
 uniform float u_gridSize;        // octree grid size (e.g., 64)
 uniform float u_slicesPerRow;    // slices per row (e.g., 8 for 8x8 grid)
+uniform float u_octreeSize;      // side of the square L0 target (>= gridSize × slicesPerRow)
 uniform bool u_useBoundsTexture; // true if bounds texture available, false for uniform fallback
 
 out vec4 v_particleA0;
@@ -82,7 +83,7 @@ void main() {
   voxelCoord = clamp(voxelCoord, vec3(0.0), vec3(u_gridSize - 1.0));
   
   // Convert 3D voxel to 2D texture coordinate
-  float textureSize = u_gridSize * u_slicesPerRow;
+  float textureSize = u_octreeSize;
   vec2 texelPos = voxelToTexel(voxelCoord, u_gridSize, u_slicesPerRow);
   vec2 texelCenter = (texelPos + 0.5) / textureSize;
   vec2 clip = texelCenter * 2.0 - 1.0;
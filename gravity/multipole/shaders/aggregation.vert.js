@@ -9,6 +9,7 @@ uniform vec3 u_worldMin;         // XYZ world min
 uniform vec3 u_worldMax;         // XYZ world max
 uniform float u_gridSize;        // octree grid size (e.g., 64)
 uniform float u_slicesPerRow;    // slices per row (e.g., 8 for 8x8 grid)
+uniform float u_octreeSize;      // side of the square L0 target (>= gridSize × slicesPerRow)
 
 out vec4 v_particleA0;
 out vec4 v_particleA1;
@@ -66,7 +67,7 @@ void main() {
   voxelCoord = clamp(voxelCoord, vec3(0.0), vec3(u_gridSize - 1.0));
   
   // Convert 3D voxel to 2D texture coordinate
-  float textureSize = u_gridSize * u_slicesPerRow;
+  float textureSize = u_octreeSize;
   vec2 texelPos = voxelToTexel(voxelCoord, u_gridSize, u_slicesPerRow);
   vec2 texelCenter = (texelPos + 0.5) / textureSize;
   vec2 clip = texelCenter * 2.0 - 1.0;
@@ -1,3 +1,5 @@
+import { wallsGlsl } from '../../walls.js';
+
 export default `#version 300 es
 precision highp float;
 
@@ -6,13 +8,16 @@ uniform sampler2D u_velocity;
 uniform vec2 u_texSize;
 uniform int u_particleCount;
 uniform float u_dt;
-
-out vec4 fragColor;
+${wallsGlsl}
+layout(location = 0) out vec4 fragColor;
+layout(location = 1) out vec4 outVelocity;  // reflected/absorbed velocity (discarded without an attachment)
 
 void main() {
   ivec2 coord = ivec2(gl_FragCoord.xy);
   int idx = coord.y * int(u_texSize.x) + coord.x;
   vec4 pos = texelFetch(u_positions, coord, 0);
+  vec4 velData = texelFetch(u_velocity, coord, 0);
+  outVelocity = velData;
   if (idx >= u_particleCount) {
     fragColor = pos;
     return;
@@ -25,7 +30,7 @@ void main() {
     return;
   }
   
-  vec3 vel = texelFetch(u_velocity, coord, 0).xyz;
+  vec3 vel = velData.xyz;
   
   // Skip if velocity has NaN
   if (isnan(vel.x) || isnan(vel.y) || isnan(vel.z)) {
@@ -34,5 +39,10 @@ void main() {
   }
   
   vec3 newPos = pos.xyz + vel * u_dt;
-  fragColor = vec4(newPos, pos.w);
+
+  // Walls: reflect, absorb or wrap particles leaving worldBounds
+  applyWalls(newPos, vel, mass);
+
+  fragColor = vec4(newPos, mass);
+  outVelocity = vec4(vel, velData.w);
 }`;
@@ -23,9 +23,26 @@ uniform vec3 u_worldMin;
 uniform vec3 u_worldMax;
 uniform float u_softening;
 uniform float u_G;
+uniform bool u_periodic;              // minimum-image wrapping across worldMin..worldMax
+uniform bool u_nearField;             // 27 L0 voxels around my own are summed per particle by KNearFieldPairs
+uniform bool u_potential;             // write the potential of the same terms into w
+uniform sampler2D u_bins;             // time bins (KTimeBins) when u_hasBins
+uniform bool u_hasBins;
+uniform int u_maxBin;
+uniform int u_sync;                   // sync point in finest substeps
 
 out vec4 fragColor;
 
+// Minimum-image separation: nearest periodic copy when u_periodic, unchanged otherwise
+vec3 minImage(vec3 delta, vec3 extent) {
+  return u_periodic ? delta - extent * round(delta / extent) : delta;
+}
+
+// Wrap a voxel index into [0, gridSize); valid for components >= -gridSize
+ivec3 wrapVoxel(ivec3 voxel, int gridSize) {
+  return (voxel + gridSize) % gridSize;
+}
+
 vec4 sampleLevel(int level, ivec2 coord) {
   if (level == 0) { return texelFetch(u_quadtreeLevel0, coord, 0); }
   else if (level == 1) { return texelFetch(u_quadtreeLevel1, coord, 0); }
@@ -64,6 +81,12 @@ void main() {
     return;
   }
 
+  // Block timesteps: particles between their block boundaries keep their last force
+  if (u_hasBins) {
+    int bin = clamp(int(texelFetch(u_bins, coord, 0).x + 0.5), 0, u_maxBin);
+    if (u_sync % (1 << (u_maxBin - bin)) != 0) discard;
+  }
+
   vec2 myUV = (vec2(coord) + 0.5) / u_texSize;
   vec4 myData = texture(u_particlePositions, myUV);
   vec3 myPos = myData.xyz;
@@ -76,6 +99,7 @@ void main() {
   }
   
   vec3 totalForce = vec3(0.0);
+  float totalPotential = 0.0;
 
   vec3 worldExtent = u_worldMax - u_worldMin;
   float eps = max(u_softening, 1e-6);
@@ -103,7 +127,7 @@ void main() {
       }
       
       com = com / max(massSum, 1e-6);
-      vec3 delta = com - myPos;
+      vec3 delta = minImage(com - myPos, worldExtent);
       float d = length(delta);
       float s = cellSize;
       // Always use root-level approximation if any mass exists (no theta check needed for root)
@@ -114,6 +138,7 @@ void main() {
         float denom = dSq + softSq;
         float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
         totalForce += delta * massSum * inv;
+        totalPotential -= massSum * inversesqrt(denom);
       }
       continue;
     }
@@ -132,20 +157,30 @@ void main() {
     int startDx = isCoarsestLevel ? 0 : -1;
     int startDy = isCoarsestLevel ? 0 : -1;
     int startDz = isCoarsestLevel ? 0 : -1;
-    int endDx = isCoarsestLevel ? int(gridSize) - 1 : min(1, int(gridSize) - 1);
-    int endDy = isCoarsestLevel ? int(gridSize) - 1 : min(1, int(gridSize) - 1);
-    int endDz = isCoarsestLevel ? int(gridSize) - 1 : min(1, int(gridSize) - 1);
+    // Periodic neighbourhoods wrap around; on a 2-voxel grid offsets -1 and +1 are the same voxel
+    int endD = u_periodic ? min(1, int(gridSize) - 2) : min(1, int(gridSize) - 1);
+    int endDx = isCoarsestLevel ? int(gridSize) - 1 : endD;
+    int endDy = isCoarsestLevel ? int(gridSize) - 1 : endD;
+    int endDz = isCoarsestLevel ? int(gridSize) - 1 : endD;
     
     for (int vz = startDz; vz <= endDz; vz++) {
       for (int vy = startDy; vy <= endDy; vy++) {
         for (int vx = startDx; vx <= endDx; vx++) {
           ivec3 neighborVoxel = isCoarsestLevel ? ivec3(vx, vy, vz) : (myVoxel + ivec3(vx, vy, vz));
+          if (u_periodic) neighborVoxel = wrapVoxel(neighborVoxel, int(gridSize));
           
           // Bounds check
           if (neighborVoxel.x < 0 || neighborVoxel.y < 0 || neighborVoxel.z < 0 ||
               neighborVoxel.x >= int(gridSize) || neighborVoxel.y >= int(gridSize) || neighborVoxel.z >= int(gridSize)) {
             continue;
           }
+
+          // L0 near field is exact particle-particle (KNearFieldPairs)
+          if (u_nearField && level == 0) {
+            ivec3 offset = neighborVoxel - myVoxel;
+            if (u_periodic) offset = wrapVoxel(offset + int(gridSize) / 2, int(gridSize)) - int(gridSize) / 2;
+            if (all(lessThanEqual(abs(offset), ivec3(1)))) continue;
+          }
           
           ivec2 texCoord = voxelToTexel(neighborVoxel, gridSize, slicesPerRow);
           vec4 nodeData = sampleLevel(level, texCoord);
@@ -159,7 +194,7 @@ void main() {
           
           // Sub-voxel COM for smoother force field
           vec3 com = nodeData.rgb / max(m, 1e-6);
-          vec3 delta = com - myPos;
+          vec3 delta = minImage(com - myPos, worldExtent);
           float d = length(delta);
           float s = cellSize;
           
@@ -185,15 +220,15 @@ void main() {
           float denom = dSq + softSq;
           float inv = 1.0 / (denom * sqrt(denom)); // 1 / (d² + eps²)^1.5
           totalForce += delta * m * inv;
+          totalPotential -= m * inversesqrt(denom);
         }
       }
     }
   }
 
-  // The far-field forces have been accumulated. The near-field (direct particle-particle)
-  // forces are handled by summing up all particles within the L0 neighborhood.
-  // This is a simplification and can be replaced by a dedicated near-field kernel.
-  {
+  // The far-field forces have been accumulated. The near field is approximated here by
+  // the L0 neighborhood's voxel COMs, unless u_nearField hands it to KNearFieldPairs.
+  if (!u_nearField) {
     float gridSize = u_gridSizes[0];
     float slicesPerRow = u_slicesPerRow[0];
     vec3 norm = (myPos - u_worldMin) / worldExtent;
@@ -201,10 +236,12 @@ void main() {
     ivec3 myL0Voxel = ivec3(floor(norm * gridSize));
     
     const int R0 = 1; // 3x3x3 neighborhood
-    for (int dz = -R0; dz <= R0; dz++) {
-      for (int dy = -R0; dy <= R0; dy++) {
-        for (int dx = -R0; dx <= R0; dx++) {
+    int endR0 = u_periodic ? min(R0, int(gridSize) - 2) : R0;
+    for (int dz = -R0; dz <= endR0; dz++) {
+      for (int dy = -R0; dy <= endR0; dy++) {
+        for (int dx = -R0; dx <= endR0; dx++) {
           ivec3 neighborVoxel = myL0Voxel + ivec3(dx, dy, dz);
+          if (u_periodic) neighborVoxel = wrapVoxel(neighborVoxel, int(gridSize));
           
           if (neighborVoxel.x < 0 || neighborVoxel.y < 0 || neighborVoxel.z < 0 ||
               neighborVoxel.x >= int(gridSize) || neighborVoxel.y >= int(gridSize) || neighborVoxel.z >= int(gridSize)) {
@@ -213,16 +250,19 @@ void main() {
           
           ivec2 texCoord = voxelToTexel(neighborVoxel, gridSize, slicesPerRow);
           vec4 nodeData = sampleLevel(0, texCoord); // Always sample L0 for near field
+
+          // My own voxel aggregates me too: take my mass and moment out, leaving the others
+          if (all(equal(neighborVoxel, myL0Voxel))) nodeData -= vec4(myPos * myMass, myMass);
           float m = nodeData.a;
           
-          // Skip invalid nodes: NaN mass or non-positive mass
+          // Skip invalid nodes: NaN mass or non-positive mass (also a voxel I had to myself)
           if (isnan(m) || m <= 0.0) { continue; }
           
           // Skip if COM has NaN
           if (isnan(nodeData.x) || isnan(nodeData.y) || isnan(nodeData.z)) { continue; }
 
           vec3 com = nodeData.rgb / max(m, 1e-6);
-          vec3 delta = com - myPos;
+          vec3 delta = minImage(com - myPos, worldExtent);
           float d = length(delta);
 
           // No theta check for near-field, always compute force directly.
@@ -231,12 +271,12 @@ void main() {
           float denom = dSq + softSq;
           float inv = 1.0 / (denom * sqrt(denom));
           totalForce += delta * m * inv;
+          totalPotential -= m * inversesqrt(denom);
         }
       }
     }
   }
 
-  float hasForce = length(totalForce) > 0.0 ? 1.0 : 0.0;
-  fragColor = vec4(u_G * totalForce, hasForce);
+  fragColor = vec4(u_G * totalForce, u_potential ? u_G * totalPotential : 0.0);
 }
 `;
@@ -13,15 +13,47 @@
  * 4. Compute gradient (KGradient)
  * 5. Inverse FFT (KFFT inverse, 3 axes)
  * 6. Sample forces at particles (KForceSample)
+ *
+ * Isolated mode (isolated: true) zero-pads the grid to 2N over twice the box and
+ * replaces the periodic Poisson kernel by a Green's function (KIsolatedGreen)
+ * transformed once per box geometry, so the system feels no periodic images.
+ *
+ * gridSize may be a number (cube) or [Nx, Ny, Nz], each factoring into 2, 3 and 5
+ * (KFFT's mixed-radix passes): a thin disc can use 128×8×128 instead of 128³.
+ *
+ * The density and forces are real, so with an even X length every spectrum keeps
+ * only its Nx/2+1 non-negative X frequencies (KFFT halfSpectrum), halving the
+ * complex textures and the FFT passes.
+ *
+ * Refinement patches (patches option) nest finer grids over overdense regions
+ * (PMPatches): the potential is also transformed back to real space to bound them,
+ * and particles inside a patch take its force instead of step 6's.
+ *
+ * Cosmological runs (cosmology option) treat positions as comoving in a periodic box:
+ * the scale factor advances with every step, and the integrator scales the force by
+ * 1/a³ and drags velocities by 2H (see ../cosmology.js).
+ *
+ * With the potential option the potential spectrum is also transformed back to real
+ * space and sampled into the w channel of the force texture (potentialTexture). It is
+ * the smoothed PM potential, and periodic grids measure it from the mean density.
+ * Each particle's own cloud would dig a well under it as deep as G·m·√(2/π)/σ, with σ
+ * the split width widened by the sampling window; that depth follows the cell size
+ * whenever the bounds grow, so KForceSample fills it back in (selfPotential).
  */
 
 import { KBoundsReduce } from '../multipole/k-bounds-reduce.js';
 import { KIntegrateEuler } from '../multipole/k-integrate-euler.js';
+import { KForceAccumulate } from '../k-force-accumulate.js';
+import { comovingStep, resolveCosmology } from '../cosmology.js';
+import { assignmentOrder } from '../assignment.js';
+import { hasWalls, resolveWalls } from '../walls.js';
 import { KDeposit } from './k-deposit.js';
 import { KFFT } from './k-fft.js';
 import { KForceSample } from './k-force-sample.js';
 import { KGradient } from './k-gradient.js';
+import { KIsolatedGreen } from './k-isolated-green.js';
 import { KPoisson } from './k-poisson.js';
+import { PMPatches } from './pm-patches.js';
 
 export class GravitySpectral {
   /**
@@ -39,8 +71,21 @@ export class GravitySpectral {
    *   damping?: number,
    *   maxSpeed?: number,
    *   maxAccel?: number,
-   *   gridSize?: number,
-   *   assignment?: 'NGP'|'CIC'
+   *   walls?: import('../walls.js').Walls,
+   *   restitution?: number,
+   *   gridSize?: number | [number, number, number],
+   *   assignment?: 'NGP'|'CIC'|'TSC'|'PCS',
+   *   isolated?: boolean,
+   *   patches?: boolean | {
+   *     maxPatches?: number,
+   *     gridSize?: number,
+   *     threshold?: number,
+   *     margin?: number,
+   *     iterations?: number,
+   *     interval?: number
+   *   },
+   *   cosmology?: import('../cosmology.js').CosmologyOptions,
+   *   potential?: boolean
    * }} options
    */
   constructor({
@@ -57,8 +102,14 @@ export class GravitySpectral {
     damping,
     maxSpeed,
     maxAccel,
+    walls,
+    restitution,
     gridSize,
-    assignment
+    assignment,
+    isolated,
+    patches,
+    cosmology,
+    potential
   }) {
     this.gl = gl;
 
@@ -91,24 +142,49 @@ export class GravitySpectral {
     this.damping = damping || 0.0;
     this.maxSpeed = maxSpeed || 2.0;
     this.maxAccel = maxAccel || 1.0;
-    this.gridSize = gridSize || 64;
+
+    // Comoving coordinates in an expanding periodic box: worldBounds stay fixed and wrap
+    /** @type {import('../cosmology.js').Cosmology | null} */
+    this.cosmology = cosmology ? resolveCosmology(cosmology) : null;
+    this.scaleFactor = this.cosmology ? this.cosmology.scaleFactor : 1;
+    if (this.cosmology && isolated)
+      throw new Error('GravitySpectral cosmology needs the periodic grid, not isolated boundaries');
+
+    // Per-axis walls at worldBounds (reflect/absorb/wrap); any wall keeps worldBounds fixed
+    this.walls = resolveWalls(walls, this.cosmology ? 'periodic' : undefined);
+    this.restitution = restitution !== undefined ? restitution : 1.0;
+    const cells = gridSize || 64;
+    /** @type {[number, number, number]} */
+    this.gridSize = Array.isArray(cells) ? [cells[0], cells[1], cells[2]] : [cells, cells, cells];
     this.assignment = assignment || 'CIC';
 
+    // Per-particle potential in the w channel of the force texture
+    this.potential = potential || false;
+
+    // Open boundaries: particles occupy the low octant of a grid padded to 2N
+    // spanning twice the box, the rest stays empty
+    this.isolated = isolated || false;
+    this.pmGridSize = /** @type {[number, number, number]} */ (this.gridSize.map(n => this.isolated ? 2 * n : n));
+
     this.frameCount = 0;
 
     // PM grid configuration
-    this.slicesPerRow = Math.ceil(Math.sqrt(this.gridSize));
+    const [Px, Py, Pz] = this.pmGridSize;
+    this.slicesPerRow = Math.min(Pz, Math.ceil(Math.sqrt(Pz * Py / Px)));
 
     // For spectral method, we pack 3D grid into 2D texture using Z-slice layout.
-    // Mathematical property: when slicesPerRow = ceil(sqrt(gridSize)):
-    //   sliceRows = ceil(gridSize / slicesPerRow) ≈ ceil(sqrt(gridSize)) ≈ slicesPerRow
-    // Therefore textures naturally work out square:
-    //   textureWidth = gridSize × slicesPerRow
-    //   textureHeight = gridSize × sliceRows ≈ gridSize × slicesPerRow
+    // Mathematical property: when slicesPerRow = ceil(sqrt(Nz·Ny / Nx)):
+    //   textureWidth = Nx × slicesPerRow ≈ sqrt(Nx·Ny·Nz)
+    //   textureHeight = Ny × ceil(Nz / slicesPerRow) ≈ sqrt(Nx·Ny·Nz)
+    // Therefore textures naturally work out square (for a cube, slicesPerRow = ceil(sqrt(N))).
     // This is intentional - the formula ensures efficient square texture packing.
-    this.textureWidth3D = this.gridSize * this.slicesPerRow;
-    this.sliceRows3D = Math.ceil(this.gridSize / this.slicesPerRow);
-    this.textureHeight3D = this.gridSize * this.sliceRows3D;
+    this.textureWidth3D = Px * this.slicesPerRow;
+    this.sliceRows3D = Math.ceil(Pz / this.slicesPerRow);
+    this.textureHeight3D = Py * this.sliceRows3D;
+
+    // Spectra of the real grids: the Nx/2+1 non-negative X frequencies when Nx is even
+    this.halfSpectrum = Px % 2 === 0;
+    this.spectrumTextureWidth3D = (this.halfSpectrum ? Px / 2 + 1 : Px) * this.slicesPerRow;
 
     // Check WebGL2 support
     this.gl.getExtension('EXT_color_buffer_float');
@@ -125,16 +201,20 @@ export class GravitySpectral {
     ];
     const fourPiG = 4 * Math.PI * this.gravityStrength;
 
-    // Compute mass-to-density scaling: ΔV = (Lx·Ly·Lz) / N³
-    // massToDensity = 1 / ΔV = N³ / (Lx·Ly·Lz)
+    // Region covered by the PM grid: the box itself, or the box plus its padding
+    const gridBounds = this._gridBounds();
+    const gridWorldSize = /** @type {[number, number, number]} */ (worldSize.map(size => this.isolated ? 2 * size : size));
+
+    // Compute mass-to-density scaling: ΔV = (Lx·Ly·Lz) / (Nx·Ny·Nz)
+    // massToDensity = 1 / ΔV = (Nx·Ny·Nz) / (Lx·Ly·Lz)
     const voxelVolume = (worldSize[0] * worldSize[1] * worldSize[2]) /
-      (this.gridSize * this.gridSize * this.gridSize);
+      (this.gridSize[0] * this.gridSize[1] * this.gridSize[2]);
     const massToDensity = 1.0 / voxelVolume;
 
     // Create shared texture objects to wire kernels together
     // These prevent auto-creation of textures inside kernels
-    // Textures are square: (gridSize×slicesPerRow) × (gridSize×sliceRows)
-    // where sliceRows ≈ slicesPerRow due to sqrt formula
+    // Textures are near-square: (Nx×slicesPerRow) × (Ny×sliceRows)
+    // with slicesPerRow chosen above
 
     this.integrateEulerKernel = new KIntegrateEuler({
       gl: this.gl,
@@ -146,23 +226,35 @@ export class GravitySpectral {
       dt: this.dt,
       damping: this.damping,
       maxSpeed: this.maxSpeed,
-      maxAccel: this.maxAccel
+      maxAccel: this.maxAccel,
+      walls: this.walls,
+      restitution: this.restitution,
+      worldBounds: this.worldBounds
     });
 
     this.positionMassTexture = this.integrateEulerKernel.inPosition;
     this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
 
+    // Adds sampled forces into an external target when used as a ParticleSystem force module
+    this.forceAccumulateKernel = new KForceAccumulate({
+      gl: this.gl,
+      inForce: null,  // wired from force sampling
+      outForce: null,  // wired from accumulate() context
+      width: this.textureWidth,
+      height: this.textureHeight
+    });
+
     this.depositKernel = new KDeposit({
       gl: this.gl,
       inPosition: this.positionMassTexture,
       particleCount: this.particleCount,
       particleTextureWidth: this.textureWidth,
       particleTextureHeight: this.textureHeight,
-      gridSize: this.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth3D,
       textureHeight: this.textureHeight3D,
-      worldBounds: /** @type {any} */ (this.worldBounds),
+      worldBounds: gridBounds,
       assignment: this.assignment,
       disableFloatBlend: this.disableFloatBlend
     });
@@ -170,10 +262,12 @@ export class GravitySpectral {
     this.fftKernel = new KFFT({
       gl: this.gl,
       real: null, // will be set to outMassGrid
-      gridSize: this.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth3D,
       textureHeight: this.textureHeight3D,
+      halfSpectrum: this.halfSpectrum,
+      spectrumTextureWidth: this.spectrumTextureWidth3D,
       inverse: false,
       massToDensity: massToDensity
     });
@@ -186,25 +280,45 @@ export class GravitySpectral {
       gl: this.gl,
       inDensitySpectrum: null,
       outPotentialSpectrum: null,
-      gridSize: this.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.slicesPerRow,
-      textureWidth: this.textureWidth3D,
+      textureWidth: this.spectrumTextureWidth3D,
       textureHeight: this.textureHeight3D,
+      halfSpectrum: this.halfSpectrum,
       gravitationalConstant: fourPiG,
-      worldSize: /** @type {[number, number, number]} */ (worldSize),
+      worldSize: gridWorldSize,
       assignment: this.assignment,
       treePMSigma: gaussianSigma,
-      splitMode: 2 // enable Gaussian low-pass by default
+      splitMode: 2, // enable Gaussian low-pass by default
+      isolated: this.isolated
     });
 
+    // Real-space Green's function on the padded grid, transformed into poissonKernel.inGreenSpectrum
+    /** @type {KIsolatedGreen | null} */
+    this.greenKernel = null;
+    if (this.isolated) {
+      this.greenKernel = new KIsolatedGreen({
+        gl: this.gl,
+        gridSize: this.pmGridSize,
+        slicesPerRow: this.slicesPerRow,
+        textureWidth: this.textureWidth3D,
+        textureHeight: this.textureHeight3D,
+        cellSize: /** @type {[number, number, number]} */ (worldSize.map((size, axis) => size / this.gridSize[axis])),
+        gravityStrength: this.gravityStrength,
+        softening: this.softening
+      });
+      this._computeGreenSpectrum();
+    }
+
     this.gradientKernel = new KGradient({
       gl: this.gl,
       inPotentialSpectrum: null,
-      gridSize: this.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.slicesPerRow,
-      textureWidth: this.textureWidth3D,
+      textureWidth: this.spectrumTextureWidth3D,
       textureHeight: this.textureHeight3D,
-      worldSize: /** @type {[number, number, number]} */ (worldSize)
+      halfSpectrum: this.halfSpectrum,
+      worldSize: gridWorldSize
     });
 
     // Note: We reuse the single fftKernel for inverse transforms by toggling the inverse flag
@@ -216,13 +330,36 @@ export class GravitySpectral {
       particleCount: this.particleCount,
       particleTextureWidth: this.textureWidth,
       particleTextureHeight: this.textureHeight,
-      gridSize: this.gridSize,
+      gridSize: this.pmGridSize,
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth3D,
       textureHeight: this.textureHeight3D,
-      worldBounds: /** @type {any} */ (this.worldBounds)
+      worldBounds: gridBounds,
+      assignment: this.assignment,
+      potential: this.potential,
+      selfPotential: this._selfPotential(worldSize),
+      // With patches the potential grid is lent from PMPatches.parentPotential
+      ...(patches ? { inPotentialGrid: null } : {})
     });
 
+    // Refinement patches: finer grids over overdense regions, bounded by the PM potential
+    /** @type {PMPatches | null} */
+    this.patches = null;
+    if (patches) {
+      this.patches = new PMPatches({
+        gl: this.gl,
+        particleCount: this.particleCount,
+        particleTextureWidth: this.textureWidth,
+        particleTextureHeight: this.textureHeight,
+        parentTextureWidth: this.textureWidth3D,
+        parentTextureHeight: this.textureHeight3D,
+        parentSpectrumTextureWidth: this.spectrumTextureWidth3D,
+        assignment: this.assignment,
+        disableFloatBlend: this.disableFloatBlend,
+        ...(patches === true ? {} : patches)
+      });
+    }
+
     // GPU bounds reduction kernel (cloned and reused locally)
     this.boundsReduce = new KBoundsReduce({
       gl: this.gl,
@@ -238,6 +375,19 @@ export class GravitySpectral {
     // Create reusable resources for bounds readback (hot path - no alloc/dealloc per frame)
     this.boundsReadbackBuffer = new Float32Array(8);
     this.boundsReadbackFBO = this.gl.createFramebuffer();
+
+    // Force texture written by the last _computeForces (step() swaps it into the integrator)
+    /** @type {WebGLTexture | null | undefined} */
+    this._forceTexture = null;
+  }
+
+  /**
+   * Force texture of the last force evaluation, with the potential φ per unit mass in w
+   * (φ·mass is the particle's potential energy); null unless created with potential
+   * @returns {WebGLTexture | null}
+   */
+  get potentialTexture() {
+    return this.potential ? (this._forceTexture || null) : null;
   }
 
   /**
@@ -246,6 +396,73 @@ export class GravitySpectral {
   step() {
     this.frameCount++;
 
+    // Steps 1-6: PM/FFT pipeline → forceSampleKernel.outForce
+    this._computeForces();
+
+    // Comoving force scale and Hubble drag at the half step
+    const expansion = this.cosmology && comovingStep(this.cosmology, this.scaleFactor, this.dt);
+    if (expansion) {
+      this.integrateEulerKernel.forceScale = expansion.forceScale;
+      this.integrateEulerKernel.hubbleDrag = expansion.hubbleDrag;
+    }
+
+    // allow external inputs
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inForce = this.forceSampleKernel.outForce;
+    this.integrateEulerKernel.run();
+
+    if (expansion) this.scaleFactor = expansion.scaleFactor;
+
+    // swap and leave updated textures in system properties
+    this.positionMassTexture = this.integrateEulerKernel.outPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.outVelocity;
+
+    this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
+    this.integrateEulerKernel.outPosition = this.integrateEulerKernel.inPosition;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+
+    // Swap force textures for next frame
+    const temp = this.integrateEulerKernel.inForce;
+    this.integrateEulerKernel.inForce = this.forceSampleKernel.outForce;
+    this.forceSampleKernel.outForce = temp;
+  }
+
+  /**
+   * Accumulate gravitational forces into an external force target (ParticleSystem force module).
+   * Runs the PM pipeline on ctx.positionTexture; the system's own integrator is not run.
+   * Cosmological runs accumulate the comoving force: the 1/a³ and the drag are the caller's.
+   * @param {import('../../particle-system.js').ForceContext} ctx
+   */
+  accumulate(ctx) {
+    this.frameCount++;
+
+    const ownPosition = this.positionMassTexture;
+    this.positionMassTexture = ctx.positionTexture;
+
+    this._computeForces();
+
+    this.forceAccumulateKernel.inForce = this.forceSampleKernel.outForce;
+    this.forceAccumulateKernel.outForce = ctx.targetForceTexture;
+    this.forceAccumulateKernel.outForceFramebuffer = ctx.targetForceFramebuffer;
+    this.forceAccumulateKernel.run();
+
+    // Release borrowed textures so dispose() does not delete them
+    this.positionMassTexture = ownPosition;
+    this.depositKernel.inPosition = null;
+    this.forceSampleKernel.inPosition = null;
+    this.boundsReduce.inPosition = null;
+    this.forceAccumulateKernel.inForce = null;
+    this.forceAccumulateKernel.outForce = null;
+    this.forceAccumulateKernel.outForceFramebuffer = null;
+  }
+
+  /**
+   * Deposit, FFT, Poisson, gradient, inverse FFT and sampling:
+   * leaves per-particle forces in forceSampleKernel.outForce.
+   */
+  _computeForces() {
     // Set current position for deposit and force sample
     this.depositKernel.inPosition = this.positionMassTexture;
     this.forceSampleKernel.inPosition = this.positionMassTexture;
@@ -253,45 +470,20 @@ export class GravitySpectral {
     // Run PM/FFT pipeline
     this.depositKernel.run();           // Step 1: Deposit particles to grid
 
-    // Periodic GPU bounds check: run KBoundsReduce every boundsInterval frames
-    if (this.boundsReduce && (this.frameCount % this.boundsInterval === 0)) {
-      this.boundsReduce.inPosition = this.positionMassTexture;
-      this.boundsReduce.particleTextureWidth = this.textureWidth;
-      this.boundsReduce.particleTextureHeight = this.textureHeight;
-      this.boundsReduce.particleCount = this.particleCount;
-      this.boundsReduce.run();
-
-      // Read back 2x1 bounds texture (min, max) using pre-allocated resources
-      const gl = this.gl;
-      gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundsReadbackFBO);
-      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsReduce.outBounds, 0);
-      gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, this.boundsReadbackBuffer);
-      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-      const newMin = [this.boundsReadbackBuffer[0], this.boundsReadbackBuffer[1], this.boundsReadbackBuffer[2]];
-      const newMax = [this.boundsReadbackBuffer[4], this.boundsReadbackBuffer[5], this.boundsReadbackBuffer[6]];
-
-      // Add small margin to avoid thrashing
-      const marginFactor = 0.05;
-      const outMin = [0, 0, 0], outMax = [0, 0, 0];
-      for (let i = 0; i < 3; i++) {
-        const span = Math.max(1e-6, newMax[i] - newMin[i]);
-        outMin[i] = newMin[i] - marginFactor * span;
-        outMax[i] = newMax[i] + marginFactor * span;
-      }
-      this.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-
-      const newWorldSize = [outMax[0] - outMin[0], outMax[1] - outMin[1], outMax[2] - outMin[2]];
-      const voxelVolume = (newWorldSize[0] * newWorldSize[1] * newWorldSize[2]) / (this.gridSize * this.gridSize * this.gridSize);
-      const massToDensity = 1.0 / voxelVolume;
-
-      if (this.fftKernel) this.fftKernel.massToDensity = massToDensity;
-      if (this.poissonKernel) this.poissonKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-      if (this.gradientKernel) this.gradientKernel.worldSize = /** @type {[number,number,number]} */ (newWorldSize);
-      if (this.forceSampleKernel) this.forceSampleKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
-      if (this.depositKernel) this.depositKernel.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+    // Place refinement patches on the fresh mass grid (frameCount is already advanced)
+    if (this.patches && (this.frameCount - 1) % this.patches.interval === 0) {
+      this.patches.detect({
+        massGrid: /** @type {WebGLTexture} */ (this.depositKernel.outMassGrid),
+        parent: this._patchParent(),
+        region: this.gridSize,
+        periodic: !this.isolated
+      });
     }
 
+    // Periodic GPU bounds check: run KBoundsReduce every boundsInterval frames
+    if (this.boundsReduce && !hasWalls(this.walls) && (this.frameCount % this.boundsInterval === 0)) {
+      this._updateBounds();
+    }
 
     /**
     
@@ -374,6 +566,24 @@ export class GravitySpectral {
 
     this.fftKernel.inverse = true;
 
+    // Patches or potential only: the potential itself back to real space, for the patch
+    // boundaries and for sampling. Gradient is done with its input; the patches lend their
+    // scratch spectrum, or Poisson's spent density spectrum serves as scratch, and both
+    // go back to their owners afterwards.
+    if (this.patches || this.potential) {
+      const scratch = this.patches ? this.patches.scratchSpectrum : this.poissonKernel.inDensitySpectrum;
+      this.fftKernel.complexFrom = this.gradientKernel.inPotentialSpectrum;
+      this.gradientKernel.inPotentialSpectrum = null;
+      this.fftKernel.complexTo = scratch;
+      this.fftKernel.real = /** @type {WebGLTexture} */ (this.patches ? this.patches.parentPotential : this.forceSampleKernel.inPotentialGrid);
+      this.fftKernel.run();
+      if (this.patches) this.patches.scratchSpectrum = this.fftKernel.complexTo;
+      else this.poissonKernel.inDensitySpectrum = this.fftKernel.complexTo;
+      this.gradientKernel.inPotentialSpectrum = this.fftKernel.complexFrom;
+      this.fftKernel.complexFrom = null;
+      this.fftKernel.complexTo = null;
+    }
+
     //  Inverse FFT/X: gradient's forceSpectrumX, plus gradient's inPotentialSpectrum that's now scratch → real
     this.fftKernel.complexFrom = this.gradientKernel.outForceSpectrumX;
     this.gradientKernel.outForceSpectrumX = null;
@@ -412,28 +622,141 @@ export class GravitySpectral {
     this.poissonKernel.inDensitySpectrum = null;
 
 
-    // Sampling forces
+    // Sampling forces (and the potential, borrowed from the patches when they hold it)
+    if (this.potential && this.patches) this.forceSampleKernel.inPotentialGrid = this.patches.parentPotential;
     this.forceSampleKernel.run();
+    if (this.potential && this.patches) this.forceSampleKernel.inPotentialGrid = null;
+
+    // Particles inside a patch take the finer grid's force
+    if (this.patches) {
+      this.forceSampleKernel.outForce = this.patches.refine({
+        inPosition: /** @type {WebGLTexture} */ (this.positionMassTexture),
+        force: /** @type {WebGLTexture} */ (this.forceSampleKernel.outForce),
+        parent: this._patchParent(),
+        gravitationalConstant: 4 * Math.PI * this.gravityStrength
+      });
+    }
 
-    // allow external inputs
-    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
-    this.integrateEulerKernel.inPosition = this.positionMassTexture;
-    this.integrateEulerKernel.inForce = this.forceSampleKernel.outForce;
-    this.integrateEulerKernel.run();
+    this._forceTexture = this.forceSampleKernel.outForce;
+  }
 
-    // swap and leave updated textures in system properties
-    this.positionMassTexture = this.integrateEulerKernel.outPosition;
-    this.velocityColorTexture = this.integrateEulerKernel.outVelocity;
+  /**
+   * Geometry of the grid the patches take their boundary potential from
+   * @returns {import('./pm-patches.js').ParentGrid}
+   */
+  _patchParent() {
+    return {
+      gridSize: this.pmGridSize,
+      slicesPerRow: this.slicesPerRow,
+      bounds: this._gridBounds()
+    };
+  }
 
-    this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
-    this.integrateEulerKernel.outPosition = this.integrateEulerKernel.inPosition;
-    this.integrateEulerKernel.inPosition = this.positionMassTexture;
-    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  /**
+   * Bounds covered by the PM grid: worldBounds, extended to twice the box when isolated
+   * @returns {{ min: [number, number, number], max: [number, number, number] }}
+   */
+  _gridBounds() {
+    const { min, max } = this.worldBounds;
+    const scale = this.isolated ? 2 : 1;
+    return {
+      min: [min[0], min[1], min[2]],
+      max: [min[0] + scale * (max[0] - min[0]), min[1] + scale * (max[1] - min[1]), min[2] + scale * (max[2] - min[2])]
+    };
+  }
 
-    // Swap force textures for next frame
-    const temp = this.integrateEulerKernel.inForce;
-    this.integrateEulerKernel.inForce = this.forceSampleKernel.outForce;
-    this.forceSampleKernel.outForce = temp;
+  /**
+   * Depth per unit mass of the well a particle's own cloud digs in the sampled potential:
+   * the split Gaussian widened by the net window (deposit, deconvolution and sampling
+   * leave one B-spline of order p, at least CIC; variance p·h²/12 per axis), taken as a
+   * Gaussian of the mean variance, G·√(2/π)/σ
+   * @param {number[]} worldSize - box size, unpadded
+   */
+  _selfPotential(worldSize) {
+    const order = Math.max(assignmentOrder(this.assignment), 2);
+    const cellSq = worldSize.reduce((sum, size, axis) => sum + (size / this.gridSize[axis]) ** 2, 0) / 3;
+    const sigma = this.poissonKernel ? this.poissonKernel.treePMSigma : 0;
+    return this.gravityStrength * Math.sqrt(2 / Math.PI / (sigma * sigma + order * cellSq / 12));
+  }
+
+  /**
+   * Isolated mode: write the real-space Green's function and transform it with the
+   * shared KFFT into poissonKernel.inGreenSpectrum. Scaled by the cell volume: the
+   * convolution runs on density, so G·ΔV ∗ ρ sums G over the node masses.
+   */
+  _computeGreenSpectrum() {
+    if (!this.greenKernel) return;
+    this.greenKernel.run();
+
+    const real = this.fftKernel.real;
+    const massToDensity = this.fftKernel.massToDensity;
+    const complexTo = this.fftKernel.complexTo;
+
+    // Transform into the Green's spectrum slot; KFFT ping-pongs it with complexFrom
+    this.fftKernel.inverse = false;
+    this.fftKernel.real = this.greenKernel.outGreen;
+    this.fftKernel.massToDensity = 1 / massToDensity;
+    this.fftKernel.complexTo = this.poissonKernel.inGreenSpectrum;
+    this.fftKernel.run();
+
+    this.poissonKernel.inGreenSpectrum = this.fftKernel.complexTo;
+    this.fftKernel.complexTo = complexTo;
+    this.fftKernel.real = real;
+    this.fftKernel.massToDensity = massToDensity;
+  }
+
+  /**
+   * Recompute world bounds via KBoundsReduce readback and propagate
+   * the new bounds and grid scaling to the PM kernels.
+   */
+  _updateBounds() {
+    this.boundsReduce.inPosition = this.positionMassTexture;
+    this.boundsReduce.particleTextureWidth = this.textureWidth;
+    this.boundsReduce.particleTextureHeight = this.textureHeight;
+    this.boundsReduce.particleCount = this.particleCount;
+    this.boundsReduce.run();
+
+    // Read back 2x1 bounds texture (min, max) using pre-allocated resources
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.boundsReadbackFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.boundsReduce.outBounds, 0);
+    gl.readPixels(0, 0, 2, 1, gl.RGBA, gl.FLOAT, this.boundsReadbackBuffer);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const newMin = [this.boundsReadbackBuffer[0], this.boundsReadbackBuffer[1], this.boundsReadbackBuffer[2]];
+    const newMax = [this.boundsReadbackBuffer[4], this.boundsReadbackBuffer[5], this.boundsReadbackBuffer[6]];
+
+    // Add small margin to avoid thrashing
+    const marginFactor = 0.05;
+    const outMin = [0, 0, 0], outMax = [0, 0, 0];
+    for (let i = 0; i < 3; i++) {
+      const span = Math.max(1e-6, newMax[i] - newMin[i]);
+      outMin[i] = newMin[i] - marginFactor * span;
+      outMax[i] = newMax[i] + marginFactor * span;
+    }
+    this.worldBounds = { min: /** @type {[number,number,number]} */(outMin), max: /** @type {[number,number,number]} */(outMax) };
+
+    const newWorldSize = [outMax[0] - outMin[0], outMax[1] - outMin[1], outMax[2] - outMin[2]];
+    const voxelVolume = (newWorldSize[0] * newWorldSize[1] * newWorldSize[2]) / (this.gridSize[0] * this.gridSize[1] * this.gridSize[2]);
+    const massToDensity = 1.0 / voxelVolume;
+
+    const gridBounds = this._gridBounds();
+    const gridWorldSize = /** @type {[number,number,number]} */ (newWorldSize.map(size => this.isolated ? 2 * size : size));
+
+    if (this.fftKernel) this.fftKernel.massToDensity = massToDensity;
+    if (this.poissonKernel) this.poissonKernel.worldSize = gridWorldSize;
+    if (this.gradientKernel) this.gradientKernel.worldSize = gridWorldSize;
+    if (this.forceSampleKernel) {
+      this.forceSampleKernel.worldBounds = gridBounds;
+      this.forceSampleKernel.selfPotential = this._selfPotential(newWorldSize);
+    }
+    if (this.depositKernel) this.depositKernel.worldBounds = gridBounds;
+
+    // The Green's function depends on the cell size: transform it again
+    if (this.greenKernel) {
+      this.greenKernel.cellSize = /** @type {[number,number,number]} */ (newWorldSize.map((size, axis) => size / this.gridSize[axis]));
+      this._computeGreenSpectrum();
+    }
   }
 
   /**
@@ -445,7 +768,12 @@ export class GravitySpectral {
     const snapshot = {
       frameCount: this.frameCount,
       particleCount: this.particleCount,
-      gridSize: this.gridSize,
+      gridSize: [...this.gridSize],
+      isolated: this.isolated,
+      potential: this.potential,
+      patches: this.patches ? this.patches.valueOf(options) : null,
+      cosmology: this.cosmology,
+      scaleFactor: this.scaleFactor,
       dt: this.dt,
       gravityStrength: this.gravityStrength,
       softening: this.softening,
@@ -455,6 +783,7 @@ export class GravitySpectral {
       deposit: this.depositKernel ? this.depositKernel.valueOf(options) : null,
       fft: this.fftKernel ? this.fftKernel.valueOf(options) : null,
       poisson: this.poissonKernel ? this.poissonKernel.valueOf(options) : null,
+      green: this.greenKernel ? this.greenKernel.valueOf(options) : null,
       gradient: this.gradientKernel ? this.gradientKernel.valueOf(options) : null,
       forceSample: this.forceSampleKernel ? this.forceSampleKernel.valueOf(options) : null,
       integrate: this.integrateEulerKernel ? this.integrateEulerKernel.valueOf(options) : null,
@@ -472,14 +801,16 @@ export class GravitySpectral {
    * @returns {string}
    */
   _formatSnapshot(snapshot) {
-    let output = `\nParticleSystemSpectralKernels(${snapshot.particleCount}p grid=${snapshot.gridSize}³) frame=${snapshot.frameCount}\n`;
+    let output = `\nParticleSystemSpectralKernels(${snapshot.particleCount}p grid=${snapshot.gridSize.join('×')}${snapshot.isolated ? ' isolated' : ''}${snapshot.potential ? ' potential' : ''}${snapshot.cosmology ? ` a=${snapshot.scaleFactor.toFixed(4)}` : ''}) frame=${snapshot.frameCount}\n`;
     output += `  dt=${snapshot.dt.toExponential(2)} G=${snapshot.gravityStrength.toExponential(2)} soft=${snapshot.softening.toFixed(2)} damp=${snapshot.damping.toFixed(2)}\n`;
 
     if (snapshot.deposit) output += '\n' + snapshot.deposit.toString().replace(/^/gm, '  ');
     if (snapshot.poisson) output += '\n' + snapshot.poisson.toString().replace(/^/gm, '  ');
+    if (snapshot.green) output += '\n' + snapshot.green.toString().replace(/^/gm, '  ');
     if (snapshot.gradient) output += '\n' + snapshot.gradient.toString().replace(/^/gm, '  ');
     if (snapshot.fft) output += '\n' + snapshot.fft.toString().replace(/^/gm, '  ');
     if (snapshot.forceSample) output += '\n' + snapshot.forceSample.toString().replace(/^/gm, '  ');
+    if (snapshot.patches) output += '\n' + snapshot.patches.toString().replace(/^/gm, '  ');
     if (snapshot.integrate) output += '\n' + snapshot.integrate.toString().replace(/^/gm, '  ');
 
     return output;
@@ -498,9 +829,12 @@ export class GravitySpectral {
     if (this.depositKernel) this.depositKernel.dispose();
     if (this.fftKernel) this.fftKernel.dispose();
     if (this.poissonKernel) this.poissonKernel.dispose();
+    if (this.greenKernel) this.greenKernel.dispose();
     if (this.gradientKernel) this.gradientKernel.dispose();
     if (this.forceSampleKernel) this.forceSampleKernel.dispose();
+    if (this.patches) this.patches.dispose();
     if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.forceAccumulateKernel) this.forceAccumulateKernel.dispose();
     if (this.boundsReduce) this.boundsReduce.dispose();
     if (this.boundsReadbackFBO) this.gl.deleteFramebuffer(this.boundsReadbackFBO);
   }
@@ -10,6 +10,7 @@
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
 import pmDepositFragSrc from './shaders/pm-deposit.frag.js';
 import pmDepositVertSrc from './shaders/pm-deposit.vert.js';
+import { assignmentOffsets, assignmentOrder } from '../assignment.js';
 
 export class KDeposit {
   /**
@@ -20,13 +21,14 @@ export class KDeposit {
    *   particleCount?: number,
    *   particleTextureWidth?: number,
    *   particleTextureHeight?: number,
-   *   gridSize?: number,
+   *   gridSize?: number | [number, number, number],
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
   *   textureHeight?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   assignment?: 'NGP'|'CIC',
+   *   assignment?: 'NGP'|'CIC'|'TSC'|'PCS',
+   *   clip?: boolean,
    *   disableFloatBlend?: boolean
    * }} options
    */
@@ -37,22 +39,23 @@ export class KDeposit {
     this.inPosition = (options.inPosition || options.inPosition === null)
       ? options.inPosition
       : createTextureRGBA32F(this.gl, options.particleTextureWidth || 0, options.particleTextureHeight || 0);
-    this.outMassGrid = (options.outMassGrid || options.outMassGrid === null)
-      ? options.outMassGrid
-      : createTextureR32F(this.gl, options.textureSize || 64, options.textureSize || 64);
 
     // Particle configuration
     this.particleCount = options.particleCount || 0;
     this.particleTextureWidth = options.particleTextureWidth || 0;
     this.particleTextureHeight = options.particleTextureHeight || 0;
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Grid configuration: a scalar gridSize is a cube
+    this.gridSize = Array.isArray(options.gridSize) ? options.gridSize : [options.gridSize || 64, options.gridSize || 64, options.gridSize || 64];
     this.slicesPerRow = options.slicesPerRow || 8;
+    const [Nx, Ny, Nz] = this.gridSize;
     // 2D packed texture dimensions (may be non-square)
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    this.textureWidth = options.textureWidth || options.textureSize || (Nx * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (Ny * Math.ceil(Nz / this.slicesPerRow));
     this.textureSize = this.textureWidth; // legacy fallback
+    this.outMassGrid = (options.outMassGrid || options.outMassGrid === null)
+      ? options.outMassGrid
+      : createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
 
     // World bounds
     this.worldBounds = options.worldBounds || {
@@ -60,8 +63,12 @@ export class KDeposit {
       max: [2, 2, 2]
     };
 
-    // Assignment method: NGP (0) or CIC (1)
+    // Assignment method: NGP, CIC, TSC or PCS (see ../assignment.js)
     this.assignment = options.assignment || 'CIC';
+    assignmentOrder(this.assignment);
+
+    // Clip: drop particles outside worldBounds instead of clamping them onto the edge nodes
+    this.clip = options.clip || false;
 
     // Float blend flag
     this.disableFloatBlend = options.disableFloatBlend || false;
@@ -135,28 +142,29 @@ export class KDeposit {
         channels: ['x', 'y', 'z', 'mass'], pixels, format: this.gl.RGBA32F
       }),
       massGrid: this.outMassGrid && readGrid3D({
-        gl: this.gl, texture: this.outMassGrid, width: this.textureSize,
-        height: this.textureSize, gridSize: this.gridSize,
+        gl: this.gl, texture: this.outMassGrid, width: this.textureWidth,
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
         channels: ['mass'], pixels, format: this.gl.R32F
       }),
       particleCount: this.particleCount,
       particleTextureWidth: this.particleTextureWidth,
       particleTextureHeight: this.particleTextureHeight,
-      gridSize: this.gridSize,
+      gridSize: [...this.gridSize],
       slicesPerRow: this.slicesPerRow,
       textureSize: this.textureSize,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
       assignment: this.assignment,
+      clip: this.clip,
       disableFloatBlend: this.disableFloatBlend,
       renderCount: this.renderCount
     };
 
     // Compute total mass deposited
     const totalMass = value.massGrid?.mass?.mean ?
-      value.massGrid.mass.mean * this.gridSize * this.gridSize * this.gridSize : value.massGrid?.mass?.mean;
+      value.massGrid.mass.mean * this.gridSize[0] * this.gridSize[1] * this.gridSize[2] : value.massGrid?.mass?.mean;
 
     value.toString = () =>
-      `KDeposit(${this.particleCount} particles→${this.gridSize}³ grid) assignment=${this.assignment} texture=${this.textureSize}×${this.textureSize} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
+      `KDeposit(${this.particleCount} particles→${this.gridSize.join('×')} grid) assignment=${this.assignment}${this.clip ? ' clip' : ''} texture=${this.textureWidth}×${this.textureHeight} #${this.renderCount} bounds=[${this.worldBounds.min}]to[${this.worldBounds.max}]
 
 position: ${value.position}
 
@@ -234,33 +242,23 @@ massGrid: ${value.massGrid ? `totalMass=${formatNumber(totalMass)} ` : ''}${valu
       this.particleTextureWidth, this.particleTextureHeight);
     // Packed 3D grid texture size (width, height)
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
+    gl.uniform3i(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
       this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
       this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_particleSize'), 1.0);
 
-    const assignmentMode = this.assignment === 'NGP' ? 0 : 1;
-    gl.uniform1i(gl.getUniformLocation(this.program, 'u_assignment'), assignmentMode);
+    const order = assignmentOrder(this.assignment);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_order'), order);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_clip'), this.clip ? 1 : 0);
 
-    // Draw particles
+    // Draw particles: one pass per stencil node (NGP 1, CIC 8, TSC 27, PCS 64)
     gl.bindVertexArray(this.particleVAO);
-    if (assignmentMode === 1) {
-      // CIC: render 8 times with corner offsets
-      const offsets = [
-        [0, 0, 0], [1, 0, 0], [0, 1, 0], [1, 1, 0],
-        [0, 0, 1], [1, 0, 1], [0, 1, 1], [1, 1, 1]
-      ];
-      const offsetLoc = gl.getUniformLocation(this.program, 'u_cellOffset');
-      for (const offset of offsets) {
-        gl.uniform3f(offsetLoc, offset[0], offset[1], offset[2]);
-        gl.drawArrays(gl.POINTS, 0, this.particleCount);
-      }
-    } else {
-      // NGP: single pass
-      gl.uniform3f(gl.getUniformLocation(this.program, 'u_cellOffset'), 0, 0, 0);
+    const offsetLoc = gl.getUniformLocation(this.program, 'u_cellOffset');
+    for (const offset of assignmentOffsets(order)) {
+      gl.uniform3f(offsetLoc, offset[0], offset[1], offset[2]);
       gl.drawArrays(gl.POINTS, 0, this.particleCount);
     }
     gl.bindVertexArray(null);
@@ -239,3 +239,136 @@ test('KDeposit: CIC assignment', async () => {
   gl.deleteTexture(posTex);
   gl.deleteTexture(outMassGrid);
 });
+
+/**
+ * Test 4: TSC and PCS deposit 27 and 64 weighted nodes; weights are products of
+ * 1D quadratic/cubic B-splines, checked on the x axis line through the particle
+ */
+test('KDeposit: TSC and PCS assignment', async () => {
+  const gl = getGL();
+
+  const gridSize = 8;
+  const slicesPerRow = 4;
+  const textureSize = gridSize * slicesPerRow;
+
+  // Grid position (3.3, 4.0, 4.0): on a node in y and z, off-node in x
+  const posData = new Float32Array([-0.7, 0.0, 0.0, 1.0]);
+  const posTex = createTestTexture(gl, 1, 1, posData);
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({
+    min: [-4, -4, -4],
+    max: [4, 4, 4]
+  });
+
+  // 1D weights along x for nodes 2..5, and the weight of the node itself along y and z
+  const cases = /** @type {const} */ ([
+    ['TSC', { 2: 0.5 * 0.2 * 0.2, 3: 0.75 - 0.3 * 0.3, 4: 0.5 * 0.8 * 0.8, 5: 0 }, 0.75],
+    ['PCS', { 2: 0.7 ** 3 / 6, 3: (4 - 6 * 0.09 + 3 * 0.027) / 6, 4: (1 + 0.9 + 0.27 - 0.081) / 6, 5: 0.027 / 6 }, 4 / 6]
+  ]);
+
+  for (const [assignment, weightsX, centerWeight] of cases) {
+    const outMassGrid = createTestTexture(gl, textureSize, textureSize, null);
+
+    const kernel = new KDeposit({
+      gl,
+      inPosition: posTex,
+      outMassGrid,
+      particleCount: 1,
+      particleTextureWidth: 1,
+      particleTextureHeight: 1,
+      gridSize,
+      slicesPerRow,
+      textureSize,
+      worldBounds,
+      assignment
+    });
+
+    kernel.run();
+
+    const outData = readTexture(gl, outMassGrid, textureSize, textureSize);
+    assertAllFinite(outData, `${assignment} output should be finite`);
+
+    let totalMass = 0;
+    for (let i = 0; i < outData.length; i += 4) totalMass += outData[i];
+    assertClose(totalMass, 1.0, 1e-4, `${assignment} conserves mass (got ${totalMass})\n\n${kernel.toString()}`);
+
+    for (const [vx, weight] of Object.entries(weightsX)) {
+      const [mass] = readVoxel(outData, Number(vx), 4, 4, gridSize, slicesPerRow);
+      assertClose(mass, weight * centerWeight * centerWeight, 1e-5,
+        `${assignment} voxel (${vx}, 4, 4)\n\n${kernel.toString()}`);
+    }
+
+    kernel.inPosition = null;
+    kernel.outMassGrid = null;
+    disposeKernel(kernel);
+    gl.deleteTexture(outMassGrid);
+  }
+
+  gl.deleteTexture(posTex);
+  resetGL();
+});
+
+/**
+ * Test 5: Clipped deposit (refinement patches) drops particles outside the bounds,
+ * while the default clamps them onto the edge nodes
+ */
+test('KDeposit: clip drops particles outside worldBounds', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+
+  // One particle inside on node (1, 1, 1), one far outside along +x
+  const posData = new Float32Array([
+    -1.0, -1.0, -1.0, 2.0,
+    9.0, -1.0, -1.0, 5.0
+  ]);
+  const posTex = createTestTexture(gl, 2, 1, posData);
+
+  const worldBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({
+    min: [-2, -2, -2],
+    max: [2, 2, 2]
+  });
+
+  for (const clip of [false, true]) {
+    const outMassGrid = createTestTexture(gl, textureSize, textureSize, null);
+
+    const kernel = new KDeposit({
+      gl,
+      inPosition: posTex,
+      outMassGrid,
+      particleCount: 2,
+      particleTextureWidth: 2,
+      particleTextureHeight: 1,
+      gridSize,
+      slicesPerRow,
+      textureSize,
+      worldBounds,
+      assignment: 'NGP',
+      clip
+    });
+
+    kernel.run();
+
+    const outData = readTexture(gl, outMassGrid, textureSize, textureSize);
+    assertAllFinite(outData, 'Output should be finite');
+
+    let totalMass = 0;
+    for (let i = 0; i < outData.length; i += 4) totalMass += outData[i];
+    assertClose(totalMass, clip ? 2.0 : 7.0, 1e-5, `clip=${clip} total mass\n\n${kernel.toString()}`);
+
+    const [inside] = readVoxel(outData, 1, 1, 1, gridSize, slicesPerRow);
+    assertClose(inside, 2.0, 1e-5, `clip=${clip} inside particle`);
+    const [edge] = readVoxel(outData, 3, 1, 1, gridSize, slicesPerRow);
+    assertClose(edge, clip ? 0 : 5.0, 1e-5, `clip=${clip} edge node`);
+
+    kernel.inPosition = null;
+    kernel.outMassGrid = null;
+    disposeKernel(kernel);
+    gl.deleteTexture(outMassGrid);
+  }
+
+  gl.deleteTexture(posTex);
+  resetGL();
+});
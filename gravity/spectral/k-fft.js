@@ -3,6 +3,20 @@
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
 import fftFrag from './shaders/fft.frag.js';
+import fftHermitianFrag from './shaders/fft-hermitian.frag.js';
+
+/**
+ * One draw of a transform: a Stockham pass along an axis, or a half-spectrum stage
+ * @typedef {{
+ *   program: WebGLProgram,
+ *   axis?: number,
+ *   radix?: number,
+ *   stride?: number,
+ *   length?: number,
+ *   fromReal?: boolean,
+ *   toReal?: boolean
+ * }} FFTPass
+ */
 
 /**
  * KFFT - 3D FFT Transform Kernel
@@ -10,6 +24,18 @@ import fftFrag from './shaders/fft.frag.js';
  * Implements forward and inverse 3D FFT for PM method.
  * Follows the WebGL2 Kernel contract, adapted for complex FFT operations.
  *
+ * Mixed-radix Stockham passes (radix 2, 3, 4, 5) run axis by axis, so each axis
+ * may have its own length, e.g. 128×8×128 for a thin disc, as long as it factors
+ * into 2, 3 and 5 (48, 60, 96, 120 ...).
+ *
+ * REAL INPUT (halfSpectrum):
+ * The density and force grids are real, so their spectra are Hermitian. With
+ * halfSpectrum, complexFrom/complexTo hold only the Nx/2+1 non-negative X
+ * frequencies over [Nx/2+1, Ny, Nz] (spectrumTextureWidth wide): two reals pack into
+ * each complex value, X runs at Nx/2, and an untangle pass splits the result (see
+ * fft-hermitian.frag.js). Spectra take half the memory and the passes half the texels.
+ * Nx must be even.
+ *
  * LEAN ARCHITECTURE:
  * - Uses exactly 3 textures: real (R32F), complexFrom (RG32F), complexTo (RG32F)
  * - 3 shader program variants baked from single generator
@@ -17,13 +43,15 @@ import fftFrag from './shaders/fft.frag.js';
  *
  * NORMALIZATION CONVENTION:
  * - Forward: F̂(k) = Σ f(x)·exp(-2πikx)           [unnormalized]
- * - Inverse: f(x) = Σ F̂(k)·exp(2πikx)           [unnormalized]
+ * - Inverse: f(x) = (1/(Nx·Ny·Nz))·Σ F̂(k)·exp(2πikx)   [normalized: roundtrip recovers f]
  *
  * @property {WebGL2RenderingContext} gl
  * @property {number[]} gridSize
  * @property {number} slicesPerRow
  * @property {number} textureWidth
  * @property {number} textureHeight
+ * @property {boolean} halfSpectrum
+ * @property {number} spectrumTextureWidth
  * @property {WebGLTexture | null} real
  * @property {WebGLTexture | null} complexFrom
  * @property {WebGLTexture | null} inPosition
@@ -33,6 +61,7 @@ import fftFrag from './shaders/fft.frag.js';
  * @property {WebGLProgram} fftProgramRealToComplex
  * @property {WebGLProgram} fftProgramComplexToReal
  * @property {WebGLProgram} fftProgramComplexToComplex
+ * @property {{ pack: WebGLProgram, untangle: WebGLProgram, tangle: WebGLProgram, unpack: WebGLProgram } | null} hermitianPrograms
  * @property {WebGLVertexArrayObject} quadVAO
  * @property {WebGLFramebuffer} framebufferFrom
  * @property {WebGLFramebuffer} framebufferTo
@@ -50,6 +79,10 @@ export class KFFT {
   textureWidth;
   /** @type {number} */
   textureHeight;
+  /** @type {boolean} */
+  halfSpectrum;
+  /** @type {number} */
+  spectrumTextureWidth;
   /** @type {WebGLTexture | null} */
   real;
   /** @type {WebGLTexture | null} */
@@ -68,6 +101,8 @@ export class KFFT {
   fftProgramComplexToReal;
   /** @type {WebGLProgram} */
   fftProgramComplexToComplex;
+  /** @type {{ pack: WebGLProgram, untangle: WebGLProgram, tangle: WebGLProgram, unpack: WebGLProgram } | null} */
+  hermitianPrograms;
   /** @type {WebGLVertexArrayObject} */
   quadVAO;
   /** @type {WebGLFramebuffer} */
@@ -89,6 +124,8 @@ export class KFFT {
    *   slicesPerRow?: number,
    *   textureWidth?: number,
    *   textureHeight?: number,
+   *   halfSpectrum?: boolean,
+   *   spectrumTextureWidth?: number,
    *   inverse?: boolean,
    *   massToDensity?: number
    * }} options
@@ -102,19 +139,28 @@ export class KFFT {
     
     // Support non-square packed textures: accept textureWidth/textureHeight
     const [Nx, Ny, Nz] = this.gridSize;
+    if (this.gridSize.some(n => !fftRadices(n)))
+      throw new Error(`KFFT grid dimensions must factor into 2, 3 and 5. Got [${this.gridSize.join(', ')}]`);
     this.textureWidth = options.textureWidth || (Nx * this.slicesPerRow);
     this.textureHeight = options.textureHeight || (Ny * Math.ceil(Nz / this.slicesPerRow));
 
+    // Real input: complex textures hold the Nx/2+1 non-negative X frequencies only
+    this.halfSpectrum = options.halfSpectrum || false;
+    if (this.halfSpectrum && Nx % 2)
+      throw new Error(`KFFT halfSpectrum needs an even X length. Got [${this.gridSize.join(', ')}]`);
+    this.spectrumTextureWidth = options.spectrumTextureWidth ||
+      (this.halfSpectrum ? (Nx / 2 + 1) * this.slicesPerRow : this.textureWidth);
+
     // Lean texture architecture: exactly 3 textures (use provided or create with real dims)
     this.real = options.real || createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
     const complexFromTexture = (options.complexFrom || options.complexFrom === null) ?
         options.complexFrom :
-        createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
+        createComplexTexture(this.gl, this.spectrumTextureWidth, this.textureHeight);
     this.complexFrom = complexFromTexture;
     this.inPosition = complexFromTexture;
     this.complexTo = (options.complexTo || options.complexTo === null) ?
       options.complexTo :
-      createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
+      createComplexTexture(this.gl, this.spectrumTextureWidth, this.textureHeight);
 
     // FFT direction
     this.inverse = options.inverse || false;
@@ -126,6 +172,12 @@ export class KFFT {
     this.fftProgramRealToComplex = this._compileProgram(fftFrag({ collapsed: 'from' }));
     this.fftProgramComplexToReal = this._compileProgram(fftFrag({ collapsed: 'to' }));
     this.fftProgramComplexToComplex = this._compileProgram(fftFrag());
+    this.hermitianPrograms = this.halfSpectrum ? {
+      pack: this._compileProgram(fftHermitianFrag({ stage: 'pack' })),
+      untangle: this._compileProgram(fftHermitianFrag({ stage: 'untangle' })),
+      tangle: this._compileProgram(fftHermitianFrag({ stage: 'tangle' })),
+      unpack: this._compileProgram(fftHermitianFrag({ stage: 'unpack' }))
+    } : null;
 
     // Create quad VAO
     const quadVAO = this.gl.createVertexArray();
@@ -201,27 +253,28 @@ export class KFFT {
     const value = {
       real: this.real && readGrid3D({
         gl: this.gl, texture: this.real, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize[0],
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
         channels: ['real'], pixels, format: this.gl.R32F
       }),
       complexFrom: this.complexFrom && readLinear({
-        gl: this.gl, texture: this.complexFrom, width: this.textureWidth,
-        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
+        gl: this.gl, texture: this.complexFrom, width: this.spectrumTextureWidth,
+        height: this.textureHeight, count: this.spectrumTextureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
       complexTo: this.complexTo && readLinear({
-        gl: this.gl, texture: this.complexTo, width: this.textureWidth,
-        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
+        gl: this.gl, texture: this.complexTo, width: this.spectrumTextureWidth,
+        height: this.textureHeight, count: this.spectrumTextureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
       gridSize: this.gridSize,
       slicesPerRow: this.slicesPerRow,
+      halfSpectrum: this.halfSpectrum,
       inverse: this.inverse,
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KFFT(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight} slices=${this.slicesPerRow} inverse=${this.inverse} #${this.renderCount}
+      `KFFT(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight} slices=${this.slicesPerRow}${this.halfSpectrum ? ` half-spectrum=${this.spectrumTextureWidth}×${this.textureHeight}` : ''} inverse=${this.inverse} #${this.renderCount}
 
 real: ${value.real}
 
@@ -257,80 +310,102 @@ complexFrom: ${value.complexFrom}
 
     const gl = this.gl;
     const [Nx, Ny, Nz] = this.gridSize;
-    const numStages = [Math.log2(Nx), Math.log2(Ny), Math.log2(Nz)];
-    if (numStages.some(s => !Number.isInteger(s))) {
-      throw new Error(`KFFT grid dimensions must be powers of 2. Got [${this.gridSize.join(', ')}]`);
+
+    // Stockham passes: each axis in turn, radices in any order, the stride growing by the radix.
+    // A half spectrum transforms X at Nx/2, between the pack and untangle stages.
+    const lengths = this.halfSpectrum ? [Nx / 2, Ny, Nz] : [Nx, Ny, Nz];
+    /** @param {number} axis */
+    const axisPasses = axis => {
+      const radices = fftRadices(lengths[axis]);
+      if (!radices)
+        throw new Error(`KFFT grid dimensions must factor into 2, 3 and 5. Got [${this.gridSize.join(', ')}]`);
+      /** @type {FFTPass[]} */
+      const axisList = [];
+      let stride = 1;
+      for (const radix of radices) {
+        axisList.push({ program: this.fftProgramComplexToComplex, axis, radix, stride, length: lengths[axis] });
+        stride *= radix;
+      }
+      return axisList;
+    };
+
+    /** @type {FFTPass[]} */
+    let passes;
+    if (this.halfSpectrum) {
+      if (!this.hermitianPrograms) throw new Error('KFFT halfSpectrum: missing pack/untangle programs');
+      const { pack, untangle, tangle, unpack } = this.hermitianPrograms;
+      // The inverse finishes Z and Y before tangling X back into packed reals
+      passes = this.inverse ?
+        [...axisPasses(2), ...axisPasses(1), { program: tangle }, ...axisPasses(0), { program: unpack, toReal: true }] :
+        [{ program: pack, fromReal: true }, ...axisPasses(0), { program: untangle }, ...axisPasses(1), ...axisPasses(2)];
+    } else {
+      passes = [...axisPasses(0), ...axisPasses(1), ...axisPasses(2)];
+      if (!passes.length)
+        throw new Error(`KFFT needs at least one axis longer than 1. Got [${this.gridSize.join(', ')}]`);
+      if (this.inverse)
+        passes[passes.length - 1] = { ...passes[passes.length - 1], program: this.fftProgramComplexToReal, toReal: true };
+      else
+        passes[0] = { ...passes[0], program: this.fftProgramRealToComplex, fromReal: true };
     }
 
-    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+    // Complex passes cover the spectrum layout, a half spectrum's only Nx/2+1 wide
+    const spectrumGrid = this.halfSpectrum ? [Nx / 2 + 1, Ny, Nz] : this.gridSize;
+
     gl.disable(gl.BLEND);
     gl.disable(gl.DEPTH_TEST);
 
-    // Perform FFT along each axis (X, Y, Z)
-    for (let axis = 0; axis < 3; axis++) {
-      for (let stage = 0; stage < numStages[axis]; stage++) {
-        const isFirstStage = (axis === 0 && stage === 0);
-        const isLastStage = (axis === 2 && stage === numStages[2] - 1);
-
-        // Select shader program
-        let program;
-        if (!this.inverse && isFirstStage) {
-          program = this.fftProgramRealToComplex;
-        } else if (this.inverse && isLastStage) {
-          program = this.fftProgramComplexToReal;
-        } else {
-          program = this.fftProgramComplexToComplex;
-        }
-
-        gl.useProgram(program);
-
-        // Set common uniforms
-        gl.uniform3iv(gl.getUniformLocation(program, 'u_gridSize'), this.gridSize);
-        gl.uniform1f(gl.getUniformLocation(program, 'u_slicesPerRow'), this.slicesPerRow);
-        // Provide packed 3D texture dimensions
-        gl.uniform2f(gl.getUniformLocation(program, 'u_textureSize'), this.textureWidth, this.textureHeight);
+    for (let pass = 0; pass < passes.length; pass++) {
+      const { program, axis, radix, stride, length, fromReal, toReal } = passes[pass];
+      const isLastStage = pass === passes.length - 1;
+
+      gl.useProgram(program);
+      gl.viewport(0, 0, toReal ? this.textureWidth : this.spectrumTextureWidth, this.textureHeight);
+
+      // Set common uniforms
+      gl.uniform1i(gl.getUniformLocation(program, 'u_slicesPerRow'), this.slicesPerRow);
+      if (axis !== undefined) {
+        gl.uniform3iv(gl.getUniformLocation(program, 'u_gridSize'), spectrumGrid);
         gl.uniform1i(gl.getUniformLocation(program, 'u_inverse'), this.inverse ? 1 : 0);
         gl.uniform1i(gl.getUniformLocation(program, 'u_axis'), axis);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_stage'), stage);
-        gl.uniform1i(gl.getUniformLocation(program, 'u_debugMode'), 0);
-
-        // Set textures and framebuffer
-        if (!this.inverse && isFirstStage) {
-          // First forward stage: read from real, write to complexTo
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.real);
-          gl.uniform1i(gl.getUniformLocation(program, 'u_realInput'), 0);
-          gl.uniform1f(gl.getUniformLocation(program, 'u_massToDensity'), this.massToDensity);
-
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferTo);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.complexTo, 0);
-        } else if (this.inverse && isLastStage) {
-          // Last inverse stage: read from complexFrom, write to real
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.complexFrom);
-          gl.uniform1i(gl.getUniformLocation(program, 'u_spectrum'), 0);
-
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferReal);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.real, 0);
-        } else {
-          // Middle stages: ping-pong between complexFrom and complexTo
-          gl.activeTexture(gl.TEXTURE0);
-          gl.bindTexture(gl.TEXTURE_2D, this.complexFrom);
-          gl.uniform1i(gl.getUniformLocation(program, 'u_spectrum'), 0);
-
-          gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferTo);
-          gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.complexTo, 0);
-        }
-
-        gl.bindVertexArray(this.quadVAO);
-        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-        gl.bindVertexArray(null);
-
-        if (!isLastStage) {
-          const complexSwap = this.complexFrom;
-          this.complexFrom = this.complexTo;
-          this.complexTo = complexSwap;
-        }
+        gl.uniform1i(gl.getUniformLocation(program, 'u_radix'), /** @type {number} */ (radix));
+        gl.uniform1i(gl.getUniformLocation(program, 'u_stride'), /** @type {number} */ (stride));
+        gl.uniform1i(gl.getUniformLocation(program, 'u_length'), /** @type {number} */ (length));
+      } else {
+        // Pack/untangle stages index the real grid
+        gl.uniform3iv(gl.getUniformLocation(program, 'u_gridSize'), this.gridSize);
+      }
+
+      // Set textures and framebuffer
+      gl.activeTexture(gl.TEXTURE0);
+      if (fromReal) {
+        // First forward stage: read from real, write to complexTo
+        gl.bindTexture(gl.TEXTURE_2D, this.real);
+        gl.uniform1i(gl.getUniformLocation(program, axis === undefined ? 'u_input' : 'u_realInput'), 0);
+        gl.uniform1f(gl.getUniformLocation(program, 'u_massToDensity'), this.massToDensity);
+      } else {
+        // Middle stages and the last inverse stage read complexFrom
+        gl.bindTexture(gl.TEXTURE_2D, this.complexFrom);
+        gl.uniform1i(gl.getUniformLocation(program, axis === undefined ? 'u_input' : 'u_spectrum'), 0);
+      }
+
+      if (toReal) {
+        // Last inverse stage: write to real
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferReal);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.real, 0);
+      } else {
+        // Ping-pong between complexFrom and complexTo
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebufferTo);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.complexTo, 0);
+      }
+
+      gl.bindVertexArray(this.quadVAO);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      gl.bindVertexArray(null);
+
+      if (!isLastStage) {
+        const complexSwap = this.complexFrom;
+        this.complexFrom = this.complexTo;
+        this.complexTo = complexSwap;
       }
     }
 
@@ -345,6 +420,10 @@ complexFrom: ${value.complexFrom}
     if (this.fftProgramRealToComplex) gl.deleteProgram(this.fftProgramRealToComplex);
     if (this.fftProgramComplexToReal) gl.deleteProgram(this.fftProgramComplexToReal);
     if (this.fftProgramComplexToComplex) gl.deleteProgram(this.fftProgramComplexToComplex);
+    if (this.hermitianPrograms) {
+      for (const program of Object.values(this.hermitianPrograms)) gl.deleteProgram(program);
+      this.hermitianPrograms = null;
+    }
     if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
     if (this.framebufferFrom) gl.deleteFramebuffer(this.framebufferFrom);
     if (this.framebufferTo) gl.deleteFramebuffer(this.framebufferTo);
@@ -408,3 +487,21 @@ function createComplexTexture(gl, width, height) {
   gl.bindTexture(gl.TEXTURE_2D, null);
   return texture;
 }
+
+/**
+ * Helper: Stockham radices for an axis of length n, radix-4 passes first, then 2, 3 and 5;
+ * null when n has another prime factor
+ * @param {number} n
+ * @returns {number[] | null}
+ */
+function fftRadices(n) {
+  if (!(n >= 1) || !Number.isInteger(n)) return null;
+  const radices = [];
+  for (const radix of [4, 2, 3, 5]) {
+    while (n % radix === 0) {
+      radices.push(radix);
+      n /= radix;
+    }
+  }
+  return n === 1 ? radices : null;
+}
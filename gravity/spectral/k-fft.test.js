@@ -3,7 +3,7 @@
 import assert from 'node:assert';
 import { test } from 'node:test';
 
-import { assertClose, createTestTexture, disposeKernel, getGL, resetGL } from '../test-utils.js';
+import { assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
 import { KFFT } from './k-fft.js';
 
 /**
@@ -556,3 +556,193 @@ test('KFFT: same input produces consistent output across instances', async () =>
   disposeKernel(kernel2);
   resetGL();
 });
+
+/**
+ * Helper: packed R-channel grid for a non-cubic [Nx, Ny, Nz] grid
+ * @param {WebGL2RenderingContext} gl
+ * @param {[number, number, number]} gridSize
+ * @param {number} slicesPerRow
+ * @param {(x: number, y: number, z: number) => number} valueFunc
+ */
+function fillBoxTexture(gl, gridSize, slicesPerRow, valueFunc) {
+  const [Nx, Ny, Nz] = gridSize;
+  const width = Nx * slicesPerRow;
+  const height = Ny * Math.ceil(Nz / slicesPerRow);
+  const data = new Float32Array(width * height * 4);
+  for (let z = 0; z < Nz; z++)
+    for (let y = 0; y < Ny; y++)
+      for (let x = 0; x < Nx; x++)
+        data[(((Math.floor(z / slicesPerRow) * Ny + y) * width) + (z % slicesPerRow) * Nx + x) * 4] = valueFunc(x, y, z);
+  return { texture: createTestTexture(gl, width, height, data), width, height };
+}
+
+/**
+ * Test 11: Mixed-radix, non-cubic forward transform matches a direct DFT
+ */
+test('KFFT: 6×4×5 forward transform matches direct DFT', async () => {
+  const gl = getGL();
+
+  const gridSize = /** @type {[number, number, number]} */ ([6, 4, 5]);
+  const [Nx, Ny, Nz] = gridSize;
+  const slicesPerRow = 2;
+  const f = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    Math.sin(1.3 * x + 0.7 * y * y) + 0.25 * z - 0.1 * x * z;
+  const input = fillBoxTexture(gl, gridSize, slicesPerRow, f);
+
+  const kernel = new KFFT({ gl, real: input.texture, gridSize, slicesPerRow, inverse: false });
+  kernel.run();
+  const spectrum = readTexture(gl, /** @type {WebGLTexture} */ (kernel.complexTo), input.width, input.height);
+
+  for (const [kx, ky, kz] of [[0, 0, 0], [1, 0, 0], [0, 1, 0], [0, 0, 1], [5, 3, 4], [2, 1, 3], [3, 2, 2]]) {
+    let re = 0, im = 0;
+    for (let z = 0; z < Nz; z++)
+      for (let y = 0; y < Ny; y++)
+        for (let x = 0; x < Nx; x++) {
+          const angle = -2 * Math.PI * (kx * x / Nx + ky * y / Ny + kz * z / Nz);
+          re += f(x, y, z) * Math.cos(angle);
+          im += f(x, y, z) * Math.sin(angle);
+        }
+    const index = (((Math.floor(kz / slicesPerRow) * Ny + ky) * input.width) + (kz % slicesPerRow) * Nx + kx) * 4;
+    assertClose(spectrum[index], re, 1e-3 * Nx * Ny * Nz, `Re F(${kx}, ${ky}, ${kz})\n\n${kernel}`);
+    assertClose(spectrum[index + 1], im, 1e-3 * Nx * Ny * Nz, `Im F(${kx}, ${ky}, ${kz})`);
+  }
+
+  kernel.real = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(input.texture);
+  resetGL();
+});
+
+/**
+ * Test 12: Anisotropic roundtrip (radix 4, 3 and 5 axes) recovers the input
+ */
+test('KFFT: 16×3×10 roundtrip recovers the field', async () => {
+  const gl = getGL();
+
+  const gridSize = /** @type {[number, number, number]} */ ([16, 3, 10]);
+  const [Nx, Ny, Nz] = gridSize;
+  const slicesPerRow = 3;
+  const f = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    Math.cos(0.4 * x * y) + 0.05 * (z - 4) * (z - 4) + (x === 7 && z === 9 ? 2 : 0);
+  const input = fillBoxTexture(gl, gridSize, slicesPerRow, f);
+  const output = fillBoxTexture(gl, gridSize, slicesPerRow, () => 0);
+
+  const kernel = new KFFT({ gl, real: input.texture, gridSize, slicesPerRow, inverse: false });
+  kernel.run();
+
+  const spectrum = kernel.complexTo;
+  kernel.complexTo = kernel.complexFrom;
+  kernel.complexFrom = spectrum;
+  kernel.real = output.texture;
+  kernel.inverse = true;
+  kernel.run();
+
+  const result = readTexture(gl, output.texture, output.width, output.height);
+  for (let z = 0; z < Nz; z++)
+    for (let y = 0; y < Ny; y++)
+      for (let x = 0; x < Nx; x++) {
+        const index = (((Math.floor(z / slicesPerRow) * Ny + y) * output.width) + (z % slicesPerRow) * Nx + x) * 4;
+        assertClose(result[index], f(x, y, z), 1e-4, `Voxel (${x}, ${y}, ${z})\n\n${kernel}`);
+      }
+
+  kernel.real = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(input.texture);
+  gl.deleteTexture(output.texture);
+  resetGL();
+});
+
+/**
+ * Test 13: Axis lengths with prime factors past 5 are rejected up front
+ */
+test('KFFT: rejects grid sizes outside 2, 3, 5', async () => {
+  const gl = getGL();
+
+  assert.throws(() => new KFFT({ gl, gridSize: [16, 7, 16], slicesPerRow: 4 }), /must factor into 2, 3 and 5/);
+  assert.throws(() => new KFFT({ gl, gridSize: 22, slicesPerRow: 5 }), /must factor into 2, 3 and 5/);
+
+  resetGL();
+});
+
+/**
+ * Test 14: Half spectrum holds the Nx/2+1 non-negative X frequencies of the full transform
+ */
+test('KFFT: half-spectrum forward matches direct DFT', async () => {
+  const gl = getGL();
+
+  const gridSize = /** @type {[number, number, number]} */ ([12, 4, 5]);
+  const [Nx, Ny, Nz] = gridSize;
+  const slicesPerRow = 2;
+  const f = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    Math.cos(0.9 * x - 0.4 * z) + 0.3 * y * y - (x === 3 && y === 1 ? 1.5 : 0);
+  const input = fillBoxTexture(gl, gridSize, slicesPerRow, f);
+
+  const kernel = new KFFT({ gl, real: input.texture, gridSize, slicesPerRow, halfSpectrum: true, inverse: false });
+  assert.strictEqual(kernel.spectrumTextureWidth, (Nx / 2 + 1) * slicesPerRow);
+  kernel.run();
+  const spectrum = readTexture(gl, /** @type {WebGLTexture} */ (kernel.complexTo), kernel.spectrumTextureWidth, kernel.textureHeight);
+
+  for (let kz = 0; kz < Nz; kz++)
+    for (let ky = 0; ky < Ny; ky++)
+      for (let kx = 0; kx <= Nx / 2; kx++) {
+        let re = 0, im = 0;
+        for (let z = 0; z < Nz; z++)
+          for (let y = 0; y < Ny; y++)
+            for (let x = 0; x < Nx; x++) {
+              const angle = -2 * Math.PI * (kx * x / Nx + ky * y / Ny + kz * z / Nz);
+              re += f(x, y, z) * Math.cos(angle);
+              im += f(x, y, z) * Math.sin(angle);
+            }
+        const texelX = (kz % slicesPerRow) * (Nx / 2 + 1) + kx;
+        const texelY = Math.floor(kz / slicesPerRow) * Ny + ky;
+        const index = (texelY * kernel.spectrumTextureWidth + texelX) * 4;
+        assertClose(spectrum[index], re, 1e-3 * Nx * Ny * Nz, `Re F(${kx}, ${ky}, ${kz})\n\n${kernel}`);
+        assertClose(spectrum[index + 1], im, 1e-3 * Nx * Ny * Nz, `Im F(${kx}, ${ky}, ${kz})`);
+      }
+
+  kernel.real = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(input.texture);
+  resetGL();
+});
+
+/**
+ * Test 15: Half-spectrum roundtrip recovers the real field; odd X lengths are rejected
+ */
+test('KFFT: half-spectrum roundtrip recovers the field', async () => {
+  const gl = getGL();
+
+  const gridSize = /** @type {[number, number, number]} */ ([20, 6, 4]);
+  const [Nx, Ny, Nz] = gridSize;
+  const slicesPerRow = 2;
+  const f = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    Math.sin(0.3 * x * (z + 1)) + 0.1 * y - (x === 19 && y === 5 && z === 3 ? 4 : 0);
+  const input = fillBoxTexture(gl, gridSize, slicesPerRow, f);
+  const output = fillBoxTexture(gl, gridSize, slicesPerRow, () => 0);
+
+  const kernel = new KFFT({ gl, real: input.texture, gridSize, slicesPerRow, halfSpectrum: true, inverse: false });
+  kernel.run();
+
+  const spectrum = kernel.complexTo;
+  kernel.complexTo = kernel.complexFrom;
+  kernel.complexFrom = spectrum;
+  kernel.real = output.texture;
+  kernel.inverse = true;
+  kernel.run();
+
+  const result = readTexture(gl, output.texture, output.width, output.height);
+  for (let z = 0; z < Nz; z++)
+    for (let y = 0; y < Ny; y++)
+      for (let x = 0; x < Nx; x++) {
+        const index = (((Math.floor(z / slicesPerRow) * Ny + y) * output.width) + (z % slicesPerRow) * Nx + x) * 4;
+        assertClose(result[index], f(x, y, z), 1e-4, `Voxel (${x}, ${y}, ${z})\n\n${kernel}`);
+      }
+
+  assert.throws(() => new KFFT({ gl, gridSize: [15, 4, 4], slicesPerRow: 2, halfSpectrum: true }), /even X length/);
+
+  kernel.real = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(input.texture);
+  gl.deleteTexture(output.texture);
+  resetGL();
+});
@@ -3,13 +3,18 @@
 /**
  * KForceSample - Samples force field at particle positions
  * 
- * Samples forces from PM grids at particle positions using trilinear interpolation.
+ * Samples forces from PM grids at particle positions using trilinear interpolation,
+ * or the TSC/PCS window matching the deposit (assignment option).
+ * With potential on, the real-space potential grid is sampled with the same window
+ * into the force's w channel (zero otherwise), plus selfPotential·mass to take out
+ * the well of the particle's own smoothed cloud.
  * Follows the WebGL2 Kernel contract.
  */
 
 import { formatNumber, readGrid3D, readLinear } from '../diag.js';
 import forceSampleFrag from './shaders/force-sample.frag.js';
 import forceSampleVert from './shaders/force-sample.vert.js';
+import { assignmentOrder } from '../assignment.js';
 
 export class KForceSample {
   /**
@@ -19,17 +24,21 @@ export class KForceSample {
    *   inForceGridX?: WebGLTexture|null,
    *   inForceGridY?: WebGLTexture|null,
    *   inForceGridZ?: WebGLTexture|null,
+   *   inPotentialGrid?: WebGLTexture|null,
    *   outForce?: WebGLTexture|null,
    *   particleCount?: number,
    *   particleTextureWidth?: number,
    *   particleTextureHeight?: number,
-   *   gridSize?: number,
+   *   gridSize?: number | [number, number, number],
    *   slicesPerRow?: number,
   *   textureSize?: number,
   *   textureWidth?: number,
   *   textureHeight?: number,
    *   worldBounds?: {min: [number,number,number], max: [number,number,number]},
-   *   accumulate?: boolean
+   *   assignment?: import('../assignment.js').Assignment,
+   *   accumulate?: boolean,
+   *   potential?: boolean,
+   *   selfPotential?: number
    * }} options
    */
   constructor(options) {
@@ -37,9 +46,6 @@ export class KForceSample {
 
     // Resource slots
     this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : createTextureRGBA32F(this.gl, options.particleTextureWidth || 1, options.particleTextureHeight || 1);
-    this.inForceGridX = (options.inForceGridX || options.inForceGridX === null) ? options.inForceGridX : createComplexTexture(this.gl, options.gridSize || 64);
-    this.inForceGridY = (options.inForceGridY || options.inForceGridY === null) ? options.inForceGridY : createComplexTexture(this.gl, options.gridSize || 64);
-    this.inForceGridZ = (options.inForceGridZ || options.inForceGridZ === null) ? options.inForceGridZ : createComplexTexture(this.gl, options.gridSize || 64);
     this.outForce = (options.outForce || options.outForce === null) ? options.outForce : createTextureRGBA32F(this.gl, options.particleTextureWidth || 1, options.particleTextureHeight || 1);
 
     // Particle configuration
@@ -47,11 +53,21 @@ export class KForceSample {
     this.particleTextureWidth = options.particleTextureWidth || 0;
     this.particleTextureHeight = options.particleTextureHeight || 0;
 
-    // Grid configuration
-    this.gridSize = options.gridSize || 64;
+    // Grid configuration: a scalar gridSize is a cube
+    this.gridSize = Array.isArray(options.gridSize) ? options.gridSize : [options.gridSize || 64, options.gridSize || 64, options.gridSize || 64];
     this.slicesPerRow = options.slicesPerRow || 8;
-    this.textureWidth = options.textureWidth || options.textureSize || (this.gridSize * this.slicesPerRow);
-    this.textureHeight = options.textureHeight || options.textureSize || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+    const [Nx, Ny, Nz] = this.gridSize;
+    this.textureWidth = options.textureWidth || options.textureSize || (Nx * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || options.textureSize || (Ny * Math.ceil(Nz / this.slicesPerRow));
+    this.inForceGridX = (options.inForceGridX || options.inForceGridX === null) ? options.inForceGridX : createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
+    this.inForceGridY = (options.inForceGridY || options.inForceGridY === null) ? options.inForceGridY : createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
+    this.inForceGridZ = (options.inForceGridZ || options.inForceGridZ === null) ? options.inForceGridZ : createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
+
+    // Potential in w: φ sampled from inPotentialGrid
+    this.potential = options.potential || false;
+    this.inPotentialGrid = (options.inPotentialGrid || options.inPotentialGrid === null) ? options.inPotentialGrid : (this.potential ? createComplexTexture(this.gl, this.textureWidth, this.textureHeight) : null);
+    // Depth per unit mass of the well each particle digs in the grid potential itself
+    this.selfPotential = options.selfPotential || 0;
 
     // World bounds
     this.worldBounds = options.worldBounds || {
@@ -59,6 +75,10 @@ export class KForceSample {
       max: [2, 2, 2]
     };
 
+    // Interpolation window: NGP and CIC sample trilinearly, TSC and PCS with their own stencil
+    this.assignment = options.assignment || 'CIC';
+    assignmentOrder(this.assignment);
+
     // Accumulate flag
     this.accumulate = options.accumulate || false;
 
@@ -131,31 +151,39 @@ export class KForceSample {
       }),
       forceGridX: this.inForceGridX && readGrid3D({
         gl: this.gl, texture: this.inForceGridX, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize,
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
         channels: ['fx'], pixels, format: this.gl.R32F
       }),
       forceGridY: this.inForceGridY && readGrid3D({
         gl: this.gl, texture: this.inForceGridY, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize,
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
         channels: ['fy'], pixels, format: this.gl.R32F
       }),
       forceGridZ: this.inForceGridZ && readGrid3D({
         gl: this.gl, texture: this.inForceGridZ, width: this.textureWidth,
-        height: this.textureHeight, gridSize: this.gridSize,
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
         channels: ['fz'], pixels, format: this.gl.R32F
       }),
+      potentialGrid: this.potential && this.inPotentialGrid ? readGrid3D({
+        gl: this.gl, texture: this.inPotentialGrid, width: this.textureWidth,
+        height: this.textureHeight, gridSize: /** @type {[number, number, number]} */ (this.gridSize),
+        channels: ['phi'], pixels, format: this.gl.R32F
+      }) : null,
       force: this.outForce && readLinear({
         gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
         height: this.particleTextureHeight, count: this.particleCount,
-        channels: ['fx', 'fy', 'fz', 'unused'], pixels
+        channels: ['fx', 'fy', 'fz', 'potential'], pixels
       }),
       particleCount: this.particleCount,
       particleTextureWidth: this.particleTextureWidth,
       particleTextureHeight: this.particleTextureHeight,
-      gridSize: this.gridSize,
+      gridSize: [...this.gridSize],
       slicesPerRow: this.slicesPerRow,
       worldBounds: { min: [...this.worldBounds.min], max: [...this.worldBounds.max] },
+      assignment: this.assignment,
       accumulate: this.accumulate,
+      potential: this.potential,
+      selfPotential: this.selfPotential,
       renderCount: this.renderCount
     };
 
@@ -163,12 +191,13 @@ export class KForceSample {
     const maxForce = (value.force && value.force.r) ? Math.sqrt(value.force.r.max ** 2 + value.force.g.max ** 2 + value.force.b.max ** 2) : 0;
 
     value.toString = () =>
-`KForceSample(«${this.label}») #${this.renderCount}
+`KForceSample(«${this.label}») assignment=${this.assignment}${this.potential ? ` potential${this.selfPotential ? ` self=${formatNumber(this.selfPotential)}` : ''}` : ''} #${this.renderCount}
 position: ${value.position}
 
 forceGridX: ${value.forceGridX}
 forceGridY: ${value.forceGridY}
-forceGridZ: ${value.forceGridZ}
+forceGridZ: ${value.forceGridZ}${value.potentialGrid ? `
+potentialGrid: ${value.potentialGrid}` : ''}
 
 → force: ${value.force ? `totalForceMag=${formatNumber(totalForce)} ` : ''}${value.force}`;
 
@@ -193,6 +222,9 @@ forceGridZ: ${value.forceGridZ}
     if (!this.inPosition || !this.inForceGridX || !this.inForceGridY || !this.inForceGridZ || !this.outForce) {
       throw new Error('KForceSample: missing required textures');
     }
+    if (this.potential && !this.inPotentialGrid) {
+      throw new Error('KForceSample: potential requires inPotentialGrid');
+    }
 
     gl.useProgram(this.program);
 
@@ -245,6 +277,13 @@ forceGridZ: ${value.forceGridZ}
     gl.bindTexture(gl.TEXTURE_2D, this.inForceGridZ);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_forceGridZ'), 3);
 
+    // Potential grid (any texture keeps the sampler valid when potential is off)
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, this.potential ? this.inPotentialGrid : this.inForceGridX);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_potentialGrid'), 4);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_potential'), this.potential ? 1 : 0);
+    gl.uniform1f(gl.getUniformLocation(this.program, 'u_selfPotential'), this.selfPotential);
+
     // Set uniforms
     // Particle texture size for vertex fetch
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_particleTextureSize'),
@@ -252,12 +291,13 @@ forceGridZ: ${value.forceGridZ}
     // Packed 3D grid texture size for voxel->texcoord mapping
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'),
       this.textureWidth, this.textureHeight);
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform3f(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize[0], this.gridSize[1], this.gridSize[2]);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMin'),
       this.worldBounds.min[0], this.worldBounds.min[1], this.worldBounds.min[2]);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldMax'),
       this.worldBounds.max[0], this.worldBounds.max[1], this.worldBounds.max[2]);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_order'), assignmentOrder(this.assignment));
 
     // Draw particles
     gl.bindVertexArray(this.particleVAO);
@@ -266,6 +306,8 @@ forceGridZ: ${value.forceGridZ}
 
     // Cleanup
     gl.disable(gl.BLEND);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE3);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE2);
@@ -294,12 +336,14 @@ forceGridZ: ${value.forceGridZ}
     if (this.inForceGridX) gl.deleteTexture(this.inForceGridX);
     if (this.inForceGridY) gl.deleteTexture(this.inForceGridY);
     if (this.inForceGridZ) gl.deleteTexture(this.inForceGridZ);
+    if (this.inPotentialGrid) gl.deleteTexture(this.inPotentialGrid);
     if (this.outForce) gl.deleteTexture(this.outForce);
 
     this.inPosition = null;
     this.inForceGridX = null;
     this.inForceGridY = null;
     this.inForceGridZ = null;
+    this.inPotentialGrid = null;
     this.outForce = null;
     this._fboShadow = null;
   }
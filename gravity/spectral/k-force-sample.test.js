@@ -541,3 +541,181 @@ test('KForceSample: output format is correct (RGBA with padding)', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test 11: TSC and PCS sample through the deposit window
+ * B-spline windows reproduce linear fields exactly and add their variance
+ * (1/4 cell² for TSC, 1/3 for PCS) to a quadratic one.
+ */
+test('KForceSample: TSC and PCS stencils match the B-spline moments', async () => {
+  const gl = getGL();
+
+  const gridSize = 8;
+  const slicesPerRow = 4;
+  const numParticles = 4;
+
+  const forceX = createForceTexture(gl, gridSize, slicesPerRow, (x, y, z) => x * x);
+  const forceY = createForceTexture(gl, gridSize, slicesPerRow, (x, y, z) => 0.1 * y);
+  const forceZ = createForceTexture(gl, gridSize, slicesPerRow, () => 1.0);
+
+  // Interior positions, so neither stencil reaches past the grid edge
+  /** @type {[number, number, number][]} */
+  const positions = [[0.25, 0.3, 0.5], [0.33, 0.41, 0.52], [0.48, 0.6, 0.44], [0.59, 0.27, 0.35]];
+  const inPosition = createParticleTexture(gl, numParticles, (i) => positions[i]);
+
+  for (const [assignment, variance] of /** @type {const} */ ([['TSC', 1 / 4], ['PCS', 1 / 3]])) {
+    const outForce = createTestTexture(gl, 1024, 1, null);
+
+    const kernel = new KForceSample({
+      gl,
+      inForceGridX: forceX,
+      inForceGridY: forceY,
+      inForceGridZ: forceZ,
+      inPosition,
+      outForce,
+      particleCount: numParticles,
+      particleTextureWidth: 1024,
+      particleTextureHeight: 1,
+      gridSize,
+      slicesPerRow,
+      worldBounds: { min: [0, 0, 0], max: [1, 1, 1] },
+      assignment
+    });
+
+    kernel.run();
+
+    const result = readTexture(gl, outForce, 1024, 1);
+    for (let i = 0; i < numParticles; i++) {
+      const gx = positions[i][0] * gridSize;
+      const gy = positions[i][1] * gridSize;
+      assertClose(result[i * 4 + 0], gx * gx + variance, 1e-3,
+        `${assignment} particle ${i}: quadratic field\n\n${kernel.toString()}`);
+      assertClose(result[i * 4 + 1], 0.1 * gy, 1e-4,
+        `${assignment} particle ${i}: linear field\n\n${kernel.toString()}`);
+      assertClose(result[i * 4 + 2], 1.0, 1e-4,
+        `${assignment} particle ${i}: weights sum to one\n\n${kernel.toString()}`);
+    }
+
+    kernel.inForceGridX = null;
+    kernel.inForceGridY = null;
+    kernel.inForceGridZ = null;
+    kernel.inPosition = null;
+    disposeKernel(kernel);
+  }
+
+  gl.deleteTexture(forceX);
+  gl.deleteTexture(forceY);
+  gl.deleteTexture(forceZ);
+  gl.deleteTexture(inPosition);
+  resetGL();
+});
+
+/**
+ * Test 12: Potential grid sampled into w, zero with potential off
+ */
+test('KForceSample: samples the potential grid into w', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const numParticles = 4;
+
+  const forceX = createForceTexture(gl, gridSize, slicesPerRow, () => 1.0);
+  const forceY = createForceTexture(gl, gridSize, slicesPerRow, () => 0.0);
+  const forceZ = createForceTexture(gl, gridSize, slicesPerRow, () => 0.0);
+  // Linear in x: trilinear interpolation reproduces it exactly inside the grid
+  const potentialGrid = createForceTexture(gl, gridSize, slicesPerRow, (x) => -2.0 + 0.5 * x);
+
+  const positions = [[0.2, 0.5, 0.5], [0.3, 0.4, 0.5], [0.45, 0.5, 0.6], [0.6, 0.5, 0.5]];
+  const inPosition = createParticleTexture(gl, numParticles, (i) => /** @type {[number, number, number]} */ (positions[i]));
+  const outForce = createTestTexture(gl, 1024, 1, null);
+
+  const kernel = new KForceSample({
+    gl,
+    inForceGridX: forceX,
+    inForceGridY: forceY,
+    inForceGridZ: forceZ,
+    inPotentialGrid: potentialGrid,
+    inPosition,
+    outForce,
+    particleCount: numParticles,
+    particleTextureWidth: 1024,
+    particleTextureHeight: 1,
+    gridSize,
+    slicesPerRow,
+    worldBounds: { min: [0, 0, 0], max: [1, 1, 1] },
+    potential: true
+  });
+
+  kernel.run();
+
+  let result = readTexture(gl, outForce, 1024, 1);
+  assertAllFinite(result, 'Sampled force and potential must be finite');
+  for (let i = 0; i < numParticles; i++) {
+    const gx = positions[i][0] * gridSize;
+    assertClose(result[i * 4 + 0], 1.0, 1e-5, `Particle ${i} fx\n\n${kernel.toString()}`);
+    assertClose(result[i * 4 + 3], -2.0 + 0.5 * gx, 1e-5, `Particle ${i} potential\n\n${kernel.toString()}`);
+  }
+
+  kernel.potential = false;
+  kernel.run();
+
+  result = readTexture(gl, outForce, 1024, 1);
+  for (let i = 0; i < numParticles; i++) {
+    assert.strictEqual(result[i * 4 + 3], 0, `Particle ${i} w is zero with potential off`);
+  }
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 13: selfPotential fills each particle's own well back in, in proportion to its mass
+ */
+test('KForceSample: selfPotential adds back selfPotential·mass', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const numParticles = 3;
+
+  const forceX = createForceTexture(gl, gridSize, slicesPerRow, () => 0.0);
+  const forceY = createForceTexture(gl, gridSize, slicesPerRow, () => 0.0);
+  const forceZ = createForceTexture(gl, gridSize, slicesPerRow, () => 0.0);
+  const potentialGrid = createForceTexture(gl, gridSize, slicesPerRow, () => -5.0);
+
+  const masses = [1.0, 0.5, 2.0];
+  const inPosition = createTestTexture(gl, numParticles, 1, new Float32Array([
+    0.3, 0.4, 0.5, masses[0],
+    0.5, 0.5, 0.5, masses[1],
+    0.6, 0.3, 0.4, masses[2]
+  ]));
+  const outForce = createTestTexture(gl, numParticles, 1, null);
+
+  const kernel = new KForceSample({
+    gl,
+    inForceGridX: forceX,
+    inForceGridY: forceY,
+    inForceGridZ: forceZ,
+    inPotentialGrid: potentialGrid,
+    inPosition,
+    outForce,
+    particleCount: numParticles,
+    particleTextureWidth: numParticles,
+    particleTextureHeight: 1,
+    gridSize,
+    slicesPerRow,
+    worldBounds: { min: [0, 0, 0], max: [1, 1, 1] },
+    potential: true,
+    selfPotential: 1.5
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outForce, numParticles, 1);
+  for (let i = 0; i < numParticles; i++)
+    assertClose(result[i * 4 + 3], -5.0 + 1.5 * masses[i], 1e-5, `Particle ${i} potential\n\n${kernel.toString()}`);
+
+  disposeKernel(kernel);
+  resetGL();
+});
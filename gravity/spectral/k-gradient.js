@@ -9,6 +9,8 @@ import gradientFrag from './shaders/gradient.frag.js';
  * 
  * Computes gradient: F = -∇φ → F(k) = -i·k·φ(k)
  * Generates three force spectrum textures (Fx, Fy, Fz)
+ * With halfSpectrum, potential and force spectra hold only the Nx/2+1
+ * non-negative X frequencies (KFFT halfSpectrum).
  * Follows the WebGL2 Kernel contract.
  */
 export class KGradient {
@@ -23,6 +25,7 @@ export class KGradient {
    *   slicesPerRow?: number,
    *   textureWidth?: number,
    *   textureHeight?: number,
+   *   halfSpectrum?: boolean,
    *   worldSize?: [number, number, number]
    * }} options
    */
@@ -33,7 +36,10 @@ export class KGradient {
     this.gridSize = Array.isArray(options.gridSize) ? options.gridSize : [options.gridSize || 64, options.gridSize || 64, options.gridSize || 64];
     this.slicesPerRow = options.slicesPerRow || 8;
     const [Nx, Ny, Nz] = this.gridSize;
-    this.textureWidth = options.textureWidth || (Nx * this.slicesPerRow);
+    this.halfSpectrum = options.halfSpectrum || false;
+    // Nodes along X in the spectrum layout
+    this.spectrumWidth = this.halfSpectrum ? Math.floor(Nx / 2) + 1 : Nx;
+    this.textureWidth = options.textureWidth || (this.spectrumWidth * this.slicesPerRow);
     this.textureHeight = options.textureHeight || (Ny * Math.ceil(Nz / this.slicesPerRow));
 
     // Resource slots
@@ -135,12 +141,13 @@ export class KGradient {
       slicesPerRow: this.slicesPerRow,
       textureWidth: this.textureWidth,
       textureHeight: this.textureHeight,
+      halfSpectrum: this.halfSpectrum,
       worldSize: [...this.worldSize],
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KGradient(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight} worldSize=[${this.worldSize}] #${this.renderCount}
+      `KGradient(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight}${this.halfSpectrum ? ' half-spectrum' : ''} worldSize=[${this.worldSize}] #${this.renderCount}
 
 potentialSpectrum: ${value.potentialSpectrum}
 
@@ -217,6 +224,7 @@ potentialSpectrum: ${value.potentialSpectrum}
 
     // Set common uniforms
     gl.uniform3iv(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_spectrumWidth'), this.spectrumWidth);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     // Provide packed 3D texture dims
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
@@ -565,3 +565,47 @@ test('KGradient: remains stable with small input magnitudes', async () => {
   disposeKernel(kernel);
   resetGL();
 });
+
+/**
+ * Test 11: F(k) = -i·k·φ(k) on a half spectrum: columns are the non-negative X
+ * frequencies, and the Nyquist mode of the differentiated axis is dropped
+ */
+test('KGradient: half spectrum gives -i·k·φ per column', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const spectrumWidth = gridSize / 2 + 1;
+  const width = spectrumWidth * slicesPerRow;
+  const height = gridSize * 2;
+  const worldSize = /** @type {[number, number, number]} */ ([2, 2, 2]);
+
+  // φ(1, 0, 0) = 0.5 + 0.25i, φ(2, 0, 0) = 1 + i (X Nyquist), φ(1, 3, 0) = -1
+  const data = new Float32Array(width * height * 4);
+  data[(0 * width + 1) * 4] = 0.5;
+  data[(0 * width + 1) * 4 + 1] = 0.25;
+  data[(0 * width + 2) * 4] = 1;
+  data[(0 * width + 2) * 4 + 1] = 1;
+  data[(3 * width + 1) * 4] = -1;
+  const inPotential = createTestTexture(gl, width, height, data);
+
+  const kernel = new KGradient({ gl, inPotentialSpectrum: inPotential, gridSize, slicesPerRow, halfSpectrum: true, worldSize });
+  assert.strictEqual(kernel.textureWidth, width);
+  kernel.run();
+
+  const k1 = 2 * Math.PI / worldSize[0];
+  const forceX = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForceSpectrumX), width, height);
+  const forceY = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForceSpectrumY), width, height);
+  assertClose(forceX[(0 * width + 1) * 4], 0.25 * k1, 1e-5, `Re Fx(1, 0, 0)\n\n${kernel}`);
+  assertClose(forceX[(0 * width + 1) * 4 + 1], -0.5 * k1, 1e-5, 'Im Fx(1, 0, 0)');
+  assertClose(forceX[(0 * width + 2) * 4], 0, 1e-6, 'Re Fx at the X Nyquist');
+  assertClose(forceX[(0 * width + 2) * 4 + 1], 0, 1e-6, 'Im Fx at the X Nyquist');
+  // ky = 3 wraps to -1
+  assertClose(forceY[(3 * width + 1) * 4], 0, 1e-6, 'Re Fy(1, -1, 0)');
+  assertClose(forceY[(3 * width + 1) * 4 + 1], -k1, 1e-5, 'Im Fy(1, -1, 0)');
+
+  kernel.inPotentialSpectrum = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(inPotential);
+  resetGL();
+});
@@ -0,0 +1,234 @@
+// @ts-check
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readGrid3D } from '../diag.js';
+import isolatedGreenFrag from './shaders/isolated-green.frag.js';
+
+/**
+ * KIsolatedGreen - Real-space Green's function for isolated boundaries
+ *
+ * Fills the zero-padded (2N per axis) grid with the softened point-mass potential
+ * -G / sqrt(r² + ε²) at minimum-image offsets (Hockney & Eastwood). KFFT transforms it
+ * once per grid geometry, and KPoisson multiplies the density spectrum by the result
+ * instead of the periodic -4πG / k². The softening never drops below half a cell,
+ * so the self-node term stays finite.
+ * Follows the WebGL2 Kernel contract.
+ */
+export class KIsolatedGreen {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   outGreen?: WebGLTexture|null,
+   *   gridSize?: number | [number, number, number],
+   *   slicesPerRow?: number,
+   *   textureWidth?: number,
+   *   textureHeight?: number,
+   *   cellSize?: [number, number, number],
+   *   gravityStrength?: number,
+   *   softening?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Padded grid configuration
+    this.gridSize = Array.isArray(options.gridSize) ? options.gridSize : [options.gridSize || 128, options.gridSize || 128, options.gridSize || 128];
+    this.slicesPerRow = options.slicesPerRow || Math.ceil(Math.sqrt(this.gridSize[2]));
+    const [Nx, Ny, Nz] = this.gridSize;
+    this.textureWidth = options.textureWidth || (Nx * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || (Ny * Math.ceil(Nz / this.slicesPerRow));
+
+    // Resource slots
+    this.outGreen = (options.outGreen || options.outGreen === null) ? options.outGreen : createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
+
+    // Physical parameters
+    this.cellSize = options.cellSize || [1, 1, 1];
+    this.gravityStrength = options.gravityStrength !== undefined ? options.gravityStrength : 0.0003;
+    this.softening = options.softening !== undefined ? options.softening : 0.2;
+
+    // Compile and link shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info || 'no error log'}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, isolatedGreenFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    const program = this.gl.createProgram();
+    if (!program) throw new Error('Failed to create program');
+    this.gl.attachShader(program, vert);
+    this.gl.attachShader(program, frag);
+    this.gl.linkProgram(program);
+    if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(program);
+      this.gl.deleteProgram(program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+    this.program = program;
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+      u_slicesPerRow: this.gl.getUniformLocation(this.program, 'u_slicesPerRow'),
+      u_cellSize: this.gl.getUniformLocation(this.program, 'u_cellSize'),
+      u_gravityStrength: this.gl.getUniformLocation(this.program, 'u_gravityStrength'),
+      u_softening: this.gl.getUniformLocation(this.program, 'u_softening')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create framebuffer
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Softening actually applied: at least half the smallest cell
+   */
+  get effectiveSoftening() {
+    return Math.max(this.softening, 0.5 * Math.min(this.cellSize[0], this.cellSize[1], this.cellSize[2]));
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      green: this.outGreen && readGrid3D({
+        gl: this.gl, texture: this.outGreen, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize[0],
+        channels: ['green'], pixels, format: this.gl.R32F
+      }),
+      gridSize: this.gridSize,
+      slicesPerRow: this.slicesPerRow,
+      cellSize: [...this.cellSize],
+      gravityStrength: this.gravityStrength,
+      softening: this.effectiveSoftening,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KIsolatedGreen(${this.gridSize.join('x')} padded grid) texture=${this.textureWidth}×${this.textureHeight} cell=[${this.cellSize.map(formatNumber)}] G=${formatNumber(this.gravityStrength)} ε=${formatNumber(this.effectiveSoftening)} #${this.renderCount}
+
+→ green: ${value.green}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.outGreen) throw new Error('KIsolatedGreen: missing outGreen texture');
+
+    gl.useProgram(this.program);
+
+    // Configure framebuffer if needed
+    if (this._fboShadow !== this.outGreen) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outGreen, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      this._fboShadow = this.outGreen;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.colorMask(true, true, true, true);
+
+    if (this.uniforms.u_gridSize) gl.uniform3iv(this.uniforms.u_gridSize, this.gridSize);
+    if (this.uniforms.u_slicesPerRow) gl.uniform1i(this.uniforms.u_slicesPerRow, this.slicesPerRow);
+    if (this.uniforms.u_cellSize) gl.uniform3f(this.uniforms.u_cellSize, this.cellSize[0], this.cellSize[1], this.cellSize[2]);
+    if (this.uniforms.u_gravityStrength) gl.uniform1f(this.uniforms.u_gravityStrength, this.gravityStrength);
+    if (this.uniforms.u_softening) gl.uniform1f(this.uniforms.u_softening, this.effectiveSoftening);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.useProgram(null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.outGreen) {
+      gl.deleteTexture(this.outGreen);
+      this.outGreen = null;
+    }
+    this._fboShadow = null;
+  }
+}
+
+/**
+ * Helper: Create an R32F single-channel texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureR32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
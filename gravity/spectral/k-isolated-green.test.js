@@ -0,0 +1,109 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KIsolatedGreen } from './k-isolated-green.js';
+
+/**
+ * CPU reference: softened potential at the minimum-image offset of node (x, y, z)
+ * @param {number[]} voxel
+ * @param {number} gridSize
+ * @param {number[]} cellSize
+ * @param {number} G
+ * @param {number} softening
+ */
+function greenReference(voxel, gridSize, cellSize, G, softening) {
+  let r2 = 0;
+  for (let axis = 0; axis < 3; axis++) {
+    const offset = voxel[axis] <= gridSize / 2 ? voxel[axis] : voxel[axis] - gridSize;
+    r2 += (offset * cellSize[axis]) ** 2;
+  }
+  return -G / Math.sqrt(r2 + softening * softening);
+}
+
+/**
+ * Test 1: Every node of the padded grid matches the CPU reference
+ * Minimum image makes the function symmetric: node N-1 is one cell behind the origin.
+ */
+test('KIsolatedGreen: softened -G/r at minimum-image offsets', async () => {
+  const gl = getGL();
+
+  const gridSize = 8;
+  const slicesPerRow = 3;
+  const textureWidth = gridSize * slicesPerRow;
+  const textureHeight = gridSize * Math.ceil(gridSize / slicesPerRow);
+  /** @type {[number, number, number]} */
+  const cellSize = [0.5, 0.5, 1.0];
+  const G = 0.01;
+  const softening = 0.3;
+
+  const kernel = new KIsolatedGreen({
+    gl,
+    gridSize,
+    slicesPerRow,
+    cellSize,
+    gravityStrength: G,
+    softening
+  });
+
+  kernel.run();
+
+  if (!kernel.outGreen) throw new Error('kernel.outGreen is null');
+  const result = readTexture(gl, kernel.outGreen, textureWidth, textureHeight);
+  assertAllFinite(result, 'Green function should be finite');
+
+  for (let z = 0; z < gridSize; z++) {
+    for (let y = 0; y < gridSize; y++) {
+      for (let x = 0; x < gridSize; x++) {
+        const texelX = (z % slicesPerRow) * gridSize + x;
+        const texelY = Math.floor(z / slicesPerRow) * gridSize + y;
+        const value = result[(texelY * textureWidth + texelX) * 4];
+        const expected = greenReference([x, y, z], gridSize, cellSize, G, softening);
+        assertClose(value, expected, Math.abs(expected) * 1e-5,
+          `Node (${x}, ${y}, ${z})\n\n${kernel.toString()}`);
+      }
+    }
+  }
+
+  // The unused ninth slice stays empty
+  const spare = result[((2 * gridSize) * textureWidth + 2 * gridSize) * 4];
+  assert.strictEqual(spare, 0, 'Texels past the last slice are zero');
+
+  disposeKernel(kernel);
+  resetGL();
+});
+
+/**
+ * Test 2: Softening below half a cell is raised, keeping the self-node finite
+ */
+test('KIsolatedGreen: softening floor of half a cell', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureWidth = gridSize * slicesPerRow;
+  const G = 0.5;
+
+  const kernel = new KIsolatedGreen({
+    gl,
+    gridSize,
+    slicesPerRow,
+    cellSize: [0.4, 0.8, 0.8],
+    gravityStrength: G,
+    softening: 0
+  });
+
+  kernel.run();
+
+  assert.strictEqual(kernel.effectiveSoftening, 0.2, 'Half of the smallest cell');
+
+  if (!kernel.outGreen) throw new Error('kernel.outGreen is null');
+  const result = readTexture(gl, kernel.outGreen, textureWidth, textureWidth);
+  assertClose(result[0], -G / 0.2, 1e-4, `Self-node value\n\n${kernel.toString()}`);
+  assertClose(result[4], -G / Math.sqrt(0.4 * 0.4 + 0.2 * 0.2), 1e-4, 'Neighbour along x');
+
+  disposeKernel(kernel);
+  resetGL();
+});
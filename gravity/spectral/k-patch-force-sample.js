@@ -0,0 +1,274 @@
+// @ts-check
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readGrid3D, readLinear } from '../diag.js';
+import patchForceSampleFrag from './shaders/patch-force-sample.frag.js';
+
+/**
+ * KPatchForceSample - Replaces coarse forces by refinement patch forces
+ *
+ * Fullscreen pass over the particle sheet: particles the patch covers take the
+ * finite-difference gradient of the patch potential (KPatchRelax), everyone else
+ * copies inForce through. Chaining one pass per patch leaves each particle with the
+ * force of the finest grid around it.
+ * Follows the WebGL2 Kernel contract.
+ */
+export class KPatchForceSample {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inPosition?: WebGLTexture|null,
+   *   inForce?: WebGLTexture|null,
+   *   inPotential?: WebGLTexture|null,
+   *   outForce?: WebGLTexture|null,
+   *   particleCount?: number,
+   *   particleTextureWidth?: number,
+   *   particleTextureHeight?: number,
+   *   gridSize?: number,
+   *   slicesPerRow?: number,
+   *   textureWidth?: number,
+   *   textureHeight?: number,
+   *   patchBounds?: { min: [number, number, number], max: [number, number, number] }
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Particle configuration
+    this.particleCount = options.particleCount || 0;
+    this.particleTextureWidth = options.particleTextureWidth || 0;
+    this.particleTextureHeight = options.particleTextureHeight || 0;
+
+    // Patch grid configuration
+    this.gridSize = options.gridSize || 32;
+    this.slicesPerRow = options.slicesPerRow || Math.ceil(Math.sqrt(this.gridSize));
+    this.textureWidth = options.textureWidth || (this.gridSize * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+
+    // Resource slots
+    this.inPosition = (options.inPosition || options.inPosition === null) ? options.inPosition : createTextureRGBA32F(this.gl, this.particleTextureWidth || 1, this.particleTextureHeight || 1);
+    this.inForce = (options.inForce || options.inForce === null) ? options.inForce : createTextureRGBA32F(this.gl, this.particleTextureWidth || 1, this.particleTextureHeight || 1);
+    this.inPotential = (options.inPotential || options.inPotential === null) ? options.inPotential : null;
+    this.outForce = (options.outForce || options.outForce === null) ? options.outForce : createTextureRGBA32F(this.gl, this.particleTextureWidth || 1, this.particleTextureHeight || 1);
+
+    // Patch region: node i sits at min + i * (max - min) / gridSize
+    this.patchBounds = options.patchBounds || { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    // Compile and link shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info || 'no error log'}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, patchForceSampleFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    const program = this.gl.createProgram();
+    if (!program) throw new Error('Failed to create program');
+    this.gl.attachShader(program, vert);
+    this.gl.attachShader(program, frag);
+    this.gl.linkProgram(program);
+    if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(program);
+      this.gl.deleteProgram(program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+    this.program = program;
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_positions: this.gl.getUniformLocation(this.program, 'u_positions'),
+      u_force: this.gl.getUniformLocation(this.program, 'u_force'),
+      u_potential: this.gl.getUniformLocation(this.program, 'u_potential'),
+      u_gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+      u_slicesPerRow: this.gl.getUniformLocation(this.program, 'u_slicesPerRow'),
+      u_patchMin: this.gl.getUniformLocation(this.program, 'u_patchMin'),
+      u_cellSize: this.gl.getUniformLocation(this.program, 'u_cellSize')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create framebuffer
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      position: this.inPosition && readLinear({
+        gl: this.gl, texture: this.inPosition, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['x', 'y', 'z', 'mass'], pixels
+      }),
+      potential: this.inPotential && readGrid3D({
+        gl: this.gl, texture: this.inPotential, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize,
+        channels: ['phi'], pixels, format: this.gl.R32F
+      }),
+      force: this.outForce && readLinear({
+        gl: this.gl, texture: this.outForce, width: this.particleTextureWidth,
+        height: this.particleTextureHeight, count: this.particleCount,
+        channels: ['fx', 'fy', 'fz', 'w'], pixels
+      }),
+      particleCount: this.particleCount,
+      gridSize: this.gridSize,
+      slicesPerRow: this.slicesPerRow,
+      patchBounds: { min: [...this.patchBounds.min], max: [...this.patchBounds.max] },
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KPatchForceSample(${this.particleCount} particles, ${this.gridSize}³ patch) bounds=[${this.patchBounds.min.map(formatNumber)}]→[${this.patchBounds.max.map(formatNumber)}] #${this.renderCount}
+
+position: ${value.position}
+
+potential: ${value.potential}
+
+→ force: ${value.force}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run the kernel (synchronous)
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inPosition || !this.inForce || !this.inPotential || !this.outForce)
+      throw new Error('KPatchForceSample: missing required textures');
+
+    gl.useProgram(this.program);
+
+    // Configure framebuffer if needed
+    if (this._fboShadow !== this.outForce) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outForce, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      this._fboShadow = this.outForce;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.particleTextureWidth, this.particleTextureHeight);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPosition);
+    if (this.uniforms.u_positions) gl.uniform1i(this.uniforms.u_positions, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inForce);
+    if (this.uniforms.u_force) gl.uniform1i(this.uniforms.u_force, 1);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPotential);
+    if (this.uniforms.u_potential) gl.uniform1i(this.uniforms.u_potential, 2);
+
+    const { min, max } = this.patchBounds;
+    if (this.uniforms.u_gridSize) gl.uniform1i(this.uniforms.u_gridSize, this.gridSize);
+    if (this.uniforms.u_slicesPerRow) gl.uniform1i(this.uniforms.u_slicesPerRow, this.slicesPerRow);
+    if (this.uniforms.u_patchMin) gl.uniform3f(this.uniforms.u_patchMin, min[0], min[1], min[2]);
+    if (this.uniforms.u_cellSize) gl.uniform3f(this.uniforms.u_cellSize,
+      (max[0] - min[0]) / this.gridSize, (max[1] - min[1]) / this.gridSize, (max[2] - min[2]) / this.gridSize);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    for (const unit of [gl.TEXTURE0, gl.TEXTURE1, gl.TEXTURE2]) {
+      gl.activeTexture(unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.useProgram(null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inPosition) gl.deleteTexture(this.inPosition);
+    if (this.inForce) gl.deleteTexture(this.inForce);
+    if (this.inPotential) gl.deleteTexture(this.inPotential);
+    if (this.outForce) gl.deleteTexture(this.outForce);
+
+    this.inPosition = null;
+    this.inForce = null;
+    this.inPotential = null;
+    this.outForce = null;
+    this._fboShadow = null;
+  }
+}
+
+/**
+ * Helper: Create a RGBA32F texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureRGBA32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
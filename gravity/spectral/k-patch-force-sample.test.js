@@ -0,0 +1,90 @@
+// @ts-check
+
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KPatchForceSample } from './k-patch-force-sample.js';
+
+/**
+ * Test 1: A linear patch potential gives the constant force -∇φ to covered particles;
+ * particles outside the patch, or within one cell of its edge, keep the incoming force
+ */
+test('KPatchForceSample: linear potential inside, passthrough outside', async () => {
+  const gl = getGL();
+
+  const gridSize = 8;
+  const slicesPerRow = 3;
+  const textureWidth = gridSize * slicesPerRow;
+  const textureHeight = gridSize * Math.ceil(gridSize / slicesPerRow);
+  const patchBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [0, 0, 0], max: [2, 2, 2] });
+  const cell = 2 / gridSize;
+
+  // φ = 0.5x - 1.5y + 2z
+  const gradient = [0.5, -1.5, 2];
+  const potentialData = new Float32Array(textureWidth * textureHeight * 4);
+  for (let z = 0; z < gridSize; z++)
+    for (let y = 0; y < gridSize; y++)
+      for (let x = 0; x < gridSize; x++) {
+        const texelX = (z % slicesPerRow) * gridSize + x;
+        const texelY = Math.floor(z / slicesPerRow) * gridSize + y;
+        potentialData[(texelY * textureWidth + texelX) * 4] =
+          gradient[0] * x * cell + gradient[1] * y * cell + gradient[2] * z * cell;
+      }
+  const potential = createTestTexture(gl, textureWidth, textureHeight, potentialData);
+
+  const positions = [
+    [1.0, 1.0, 1.0],      // centre: covered
+    [0.3, 1.2, 1.4],      // first covered cell on x
+    [0.2, 1.0, 1.0],      // inside the patch but too close to the edge
+    [1.0, 1.0, 1.6],      // past the last full stencil on z
+    [3.0, -1.0, 0.5]      // outside
+  ];
+  const covered = [true, true, false, false, false];
+
+  const particleCount = positions.length;
+  const particleTextureWidth = particleCount;
+  const particleTextureHeight = 1;
+  const positionData = new Float32Array(particleCount * 4);
+  const forceData = new Float32Array(particleCount * 4);
+  positions.forEach((p, i) => {
+    positionData.set([p[0], p[1], p[2], 1], i * 4);
+    forceData.set([10 + i, 20 + i, 30 + i, 0.5 * i], i * 4);
+  });
+  const inPosition = createTestTexture(gl, particleTextureWidth, particleTextureHeight, positionData);
+  const inForce = createTestTexture(gl, particleTextureWidth, particleTextureHeight, forceData);
+
+  const kernel = new KPatchForceSample({
+    gl,
+    inPosition,
+    inForce,
+    inPotential: potential,
+    particleCount,
+    particleTextureWidth,
+    particleTextureHeight,
+    gridSize,
+    slicesPerRow,
+    patchBounds
+  });
+
+  kernel.run();
+  const result = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outForce), particleTextureWidth, particleTextureHeight);
+  assertAllFinite(result, 'Forces should be finite');
+
+  for (let i = 0; i < particleCount; i++) {
+    for (let axis = 0; axis < 3; axis++) {
+      const expected = covered[i] ? -gradient[axis] : forceData[i * 4 + axis];
+      assertClose(result[i * 4 + axis], expected, 1e-4,
+        `Particle ${i} axis ${axis}\n\n${kernel.toString()}`);
+    }
+    assertClose(result[i * 4 + 3], forceData[i * 4 + 3], 1e-6, `Particle ${i} w passes through`);
+  }
+
+  kernel.inPosition = null;
+  kernel.inForce = null;
+  kernel.inPotential = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(inPosition);
+  gl.deleteTexture(inForce);
+  gl.deleteTexture(potential);
+  resetGL();
+});
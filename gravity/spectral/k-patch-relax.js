@@ -0,0 +1,319 @@
+// @ts-check
+
+import { fsQuadVert } from '../core-shaders.js';
+import { formatNumber, readGrid3D } from '../diag.js';
+import patchRelaxFrag from './shaders/patch-relax.frag.js';
+
+/**
+ * KPatchRelax - Poisson relaxation on a refinement patch
+ *
+ * One damped Jacobi sweep of ∇²φ = 4πG(ρ - ρ̄) over a cubic patch of nodes, with the
+ * boundary nodes pinned to the parent PM potential (Dirichlet). Without inPotential the
+ * sweep instead starts every node from the parent potential; the caller ping-pongs
+ * inPotential/outPotential for the remaining sweeps. The parent already carries the
+ * long wavelengths, so the sweeps only have to resolve structure below its cell size.
+ * Follows the WebGL2 Kernel contract.
+ */
+export class KPatchRelax {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   inMassGrid?: WebGLTexture|null,
+   *   inParentPotential?: WebGLTexture|null,
+   *   inPotential?: WebGLTexture|null,
+   *   outPotential?: WebGLTexture|null,
+   *   gridSize?: number,
+   *   slicesPerRow?: number,
+   *   textureWidth?: number,
+   *   textureHeight?: number,
+   *   patchBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   parentGridSize?: [number, number, number],
+   *   parentSlicesPerRow?: number,
+   *   parentBounds?: { min: [number, number, number], max: [number, number, number] },
+   *   gravitationalConstant?: number,
+   *   massToDensity?: number,
+   *   backgroundDensity?: number,
+   *   omega?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    // Patch grid configuration
+    this.gridSize = options.gridSize || 32;
+    this.slicesPerRow = options.slicesPerRow || Math.ceil(Math.sqrt(this.gridSize));
+    this.textureWidth = options.textureWidth || (this.gridSize * this.slicesPerRow);
+    this.textureHeight = options.textureHeight || (this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow));
+
+    // Resource slots
+    this.inMassGrid = (options.inMassGrid || options.inMassGrid === null) ? options.inMassGrid : createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
+    this.inParentPotential = (options.inParentPotential || options.inParentPotential === null) ? options.inParentPotential : null;
+    this.inPotential = (options.inPotential || options.inPotential === null) ? options.inPotential : null;
+    this.outPotential = (options.outPotential || options.outPotential === null) ? options.outPotential : createTextureR32F(this.gl, this.textureWidth, this.textureHeight);
+
+    // Patch region: node i sits at min + i * (max - min) / gridSize
+    this.patchBounds = options.patchBounds || { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    // Parent grid the boundary values come from (node i at min + i * (max - min) / N)
+    this.parentGridSize = options.parentGridSize || [64, 64, 64];
+    this.parentSlicesPerRow = options.parentSlicesPerRow || Math.ceil(Math.sqrt(this.parentGridSize[2]));
+    this.parentBounds = options.parentBounds || { min: [-4, -4, -4], max: [4, 4, 4] };
+
+    // Physical parameters
+    this.gravitationalConstant = options.gravitationalConstant !== undefined ? options.gravitationalConstant : 4 * Math.PI * 0.0003;
+    this.massToDensity = options.massToDensity !== undefined ? options.massToDensity : 1;
+    this.backgroundDensity = options.backgroundDensity || 0;
+    // 6/7 damps the highest 3D frequencies best; undamped Jacobi leaves the checkerboard mode alive
+    this.omega = options.omega !== undefined ? options.omega : 6 / 7;
+
+    // Compile and link shader program
+    const vert = this.gl.createShader(this.gl.VERTEX_SHADER);
+    if (!vert) throw new Error('Failed to create vertex shader');
+    this.gl.shaderSource(vert, fsQuadVert);
+    this.gl.compileShader(vert);
+    if (!this.gl.getShaderParameter(vert, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(vert);
+      this.gl.deleteShader(vert);
+      throw new Error(`Vertex shader compile failed: ${info || 'no error log'}`);
+    }
+
+    const frag = this.gl.createShader(this.gl.FRAGMENT_SHADER);
+    if (!frag) throw new Error('Failed to create fragment shader');
+    this.gl.shaderSource(frag, patchRelaxFrag);
+    this.gl.compileShader(frag);
+    if (!this.gl.getShaderParameter(frag, this.gl.COMPILE_STATUS)) {
+      const info = this.gl.getShaderInfoLog(frag);
+      this.gl.deleteShader(frag);
+      throw new Error(`Fragment shader compile failed: ${info}`);
+    }
+
+    const program = this.gl.createProgram();
+    if (!program) throw new Error('Failed to create program');
+    this.gl.attachShader(program, vert);
+    this.gl.attachShader(program, frag);
+    this.gl.linkProgram(program);
+    if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+      const info = this.gl.getProgramInfoLog(program);
+      this.gl.deleteProgram(program);
+      throw new Error(`Program link failed: ${info}`);
+    }
+
+    this.gl.deleteShader(vert);
+    this.gl.deleteShader(frag);
+    this.program = program;
+
+    // Cache uniform locations
+    this.uniforms = {
+      u_massGrid: this.gl.getUniformLocation(this.program, 'u_massGrid'),
+      u_potential: this.gl.getUniformLocation(this.program, 'u_potential'),
+      u_parentPotential: this.gl.getUniformLocation(this.program, 'u_parentPotential'),
+      u_gridSize: this.gl.getUniformLocation(this.program, 'u_gridSize'),
+      u_slicesPerRow: this.gl.getUniformLocation(this.program, 'u_slicesPerRow'),
+      u_patchMin: this.gl.getUniformLocation(this.program, 'u_patchMin'),
+      u_cellSize: this.gl.getUniformLocation(this.program, 'u_cellSize'),
+      u_parentGridSize: this.gl.getUniformLocation(this.program, 'u_parentGridSize'),
+      u_parentSlicesPerRow: this.gl.getUniformLocation(this.program, 'u_parentSlicesPerRow'),
+      u_parentMin: this.gl.getUniformLocation(this.program, 'u_parentMin'),
+      u_parentCellSize: this.gl.getUniformLocation(this.program, 'u_parentCellSize'),
+      u_gravitationalConstant: this.gl.getUniformLocation(this.program, 'u_gravitationalConstant'),
+      u_massToDensity: this.gl.getUniformLocation(this.program, 'u_massToDensity'),
+      u_backgroundDensity: this.gl.getUniformLocation(this.program, 'u_backgroundDensity'),
+      u_omega: this.gl.getUniformLocation(this.program, 'u_omega'),
+      u_init: this.gl.getUniformLocation(this.program, 'u_init')
+    };
+
+    // Create quad VAO
+    const quadVAO = this.gl.createVertexArray();
+    if (!quadVAO) throw new Error('Failed to create VAO');
+    this.gl.bindVertexArray(quadVAO);
+    const buffer = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, buffer);
+    const quadVertices = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, quadVertices, this.gl.STATIC_DRAW);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindVertexArray(null);
+    this.quadVAO = quadVAO;
+
+    // Create framebuffer
+    this.outFramebuffer = this.gl.createFramebuffer();
+    /** @type {WebGLTexture | null} */
+    this._fboShadow = null;
+  }
+
+  /**
+   * Patch node spacing per axis
+   * @returns {[number, number, number]}
+   */
+  get cellSize() {
+    const { min, max } = this.patchBounds;
+    return [
+      (max[0] - min[0]) / this.gridSize,
+      (max[1] - min[1]) / this.gridSize,
+      (max[2] - min[2]) / this.gridSize
+    ];
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf({ pixels } = {}) {
+    const value = {
+      massGrid: this.inMassGrid && readGrid3D({
+        gl: this.gl, texture: this.inMassGrid, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize,
+        channels: ['mass'], pixels, format: this.gl.R32F
+      }),
+      potential: this.outPotential && readGrid3D({
+        gl: this.gl, texture: this.outPotential, width: this.textureWidth,
+        height: this.textureHeight, gridSize: this.gridSize,
+        channels: ['phi'], pixels, format: this.gl.R32F
+      }),
+      gridSize: this.gridSize,
+      slicesPerRow: this.slicesPerRow,
+      patchBounds: { min: [...this.patchBounds.min], max: [...this.patchBounds.max] },
+      parentGridSize: [...this.parentGridSize],
+      parentBounds: { min: [...this.parentBounds.min], max: [...this.parentBounds.max] },
+      gravitationalConstant: this.gravitationalConstant,
+      massToDensity: this.massToDensity,
+      backgroundDensity: this.backgroundDensity,
+      omega: this.omega,
+      renderCount: this.renderCount
+    };
+
+    value.toString = () =>
+      `KPatchRelax(${this.gridSize}³ patch) texture=${this.textureWidth}×${this.textureHeight} bounds=[${this.patchBounds.min.map(formatNumber)}]→[${this.patchBounds.max.map(formatNumber)}] parent=${this.parentGridSize.join('x')} 4πG=${formatNumber(this.gravitationalConstant)} ρ̄=${formatNumber(this.backgroundDensity)} ω=${formatNumber(this.omega)} #${this.renderCount}
+
+mass: ${value.massGrid}
+
+→ potential: ${value.potential}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation of kernel state
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  /**
+   * Run one sweep (synchronous); without inPotential, initialise from the parent
+   */
+  run() {
+    const gl = this.gl;
+
+    if (!this.inMassGrid || !this.inParentPotential || !this.outPotential)
+      throw new Error('KPatchRelax: missing required textures');
+
+    gl.useProgram(this.program);
+
+    // Configure framebuffer if needed
+    if (this._fboShadow !== this.outPotential) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.outPotential, 0);
+      gl.drawBuffers([gl.COLOR_ATTACHMENT0]);
+      const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+      if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        throw new Error(`Framebuffer incomplete: ${status}`);
+      }
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      this._fboShadow = this.outPotential;
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.outFramebuffer);
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    gl.colorMask(true, true, true, true);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.inMassGrid);
+    if (this.uniforms.u_massGrid) gl.uniform1i(this.uniforms.u_massGrid, 0);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.inPotential);
+    if (this.uniforms.u_potential) gl.uniform1i(this.uniforms.u_potential, 1);
+
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this.inParentPotential);
+    if (this.uniforms.u_parentPotential) gl.uniform1i(this.uniforms.u_parentPotential, 2);
+
+    const cellSize = this.cellSize;
+    const parentMin = this.parentBounds.min;
+    const parentMax = this.parentBounds.max;
+    const [Px, Py, Pz] = this.parentGridSize;
+
+    if (this.uniforms.u_gridSize) gl.uniform1i(this.uniforms.u_gridSize, this.gridSize);
+    if (this.uniforms.u_slicesPerRow) gl.uniform1i(this.uniforms.u_slicesPerRow, this.slicesPerRow);
+    if (this.uniforms.u_patchMin) gl.uniform3f(this.uniforms.u_patchMin, this.patchBounds.min[0], this.patchBounds.min[1], this.patchBounds.min[2]);
+    if (this.uniforms.u_cellSize) gl.uniform3f(this.uniforms.u_cellSize, cellSize[0], cellSize[1], cellSize[2]);
+    if (this.uniforms.u_parentGridSize) gl.uniform3i(this.uniforms.u_parentGridSize, Px, Py, Pz);
+    if (this.uniforms.u_parentSlicesPerRow) gl.uniform1i(this.uniforms.u_parentSlicesPerRow, this.parentSlicesPerRow);
+    if (this.uniforms.u_parentMin) gl.uniform3f(this.uniforms.u_parentMin, parentMin[0], parentMin[1], parentMin[2]);
+    if (this.uniforms.u_parentCellSize) gl.uniform3f(this.uniforms.u_parentCellSize,
+      (parentMax[0] - parentMin[0]) / Px, (parentMax[1] - parentMin[1]) / Py, (parentMax[2] - parentMin[2]) / Pz);
+    if (this.uniforms.u_gravitationalConstant) gl.uniform1f(this.uniforms.u_gravitationalConstant, this.gravitationalConstant);
+    if (this.uniforms.u_massToDensity) gl.uniform1f(this.uniforms.u_massToDensity, this.massToDensity);
+    if (this.uniforms.u_backgroundDensity) gl.uniform1f(this.uniforms.u_backgroundDensity, this.backgroundDensity);
+    if (this.uniforms.u_omega) gl.uniform1f(this.uniforms.u_omega, this.omega);
+    if (this.uniforms.u_init) gl.uniform1i(this.uniforms.u_init, this.inPotential ? 0 : 1);
+
+    gl.bindVertexArray(this.quadVAO);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.bindVertexArray(null);
+
+    for (const unit of [gl.TEXTURE0, gl.TEXTURE1, gl.TEXTURE2]) {
+      gl.activeTexture(unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.useProgram(null);
+
+    this.renderCount = (this.renderCount || 0) + 1;
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    if (this.program) gl.deleteProgram(this.program);
+    if (this.quadVAO) gl.deleteVertexArray(this.quadVAO);
+    if (this.outFramebuffer) gl.deleteFramebuffer(this.outFramebuffer);
+
+    if (this.inMassGrid) gl.deleteTexture(this.inMassGrid);
+    if (this.inParentPotential) gl.deleteTexture(this.inParentPotential);
+    if (this.inPotential) gl.deleteTexture(this.inPotential);
+    if (this.outPotential) gl.deleteTexture(this.outPotential);
+
+    this.inMassGrid = null;
+    this.inParentPotential = null;
+    this.inPotential = null;
+    this.outPotential = null;
+    this._fboShadow = null;
+  }
+}
+
+/**
+ * Helper: Create an R32F single-channel texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ */
+function createTextureR32F(gl, width, height) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32F, width, height, 0, gl.RED, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
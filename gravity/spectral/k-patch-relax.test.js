@@ -0,0 +1,187 @@
+// @ts-check
+
+import { test } from 'node:test';
+
+import { assertAllFinite, assertClose, createTestTexture, disposeKernel, getGL, readTexture, resetGL } from '../test-utils.js';
+import { KPatchRelax } from './k-patch-relax.js';
+
+/**
+ * Helper: packed Z-slice grid texture (RGBA, value in R)
+ * @param {WebGL2RenderingContext} gl
+ * @param {number[]} gridSize
+ * @param {number} slicesPerRow
+ * @param {(x: number, y: number, z: number) => number} valueFunc
+ */
+function fillGrid(gl, gridSize, slicesPerRow, valueFunc) {
+  const [Nx, Ny, Nz] = gridSize;
+  const width = Nx * slicesPerRow;
+  const height = Ny * Math.ceil(Nz / slicesPerRow);
+  const data = new Float32Array(width * height * 4);
+  for (let z = 0; z < Nz; z++)
+    for (let y = 0; y < Ny; y++)
+      for (let x = 0; x < Nx; x++) {
+        const texelX = (z % slicesPerRow) * Nx + x;
+        const texelY = Math.floor(z / slicesPerRow) * Ny + y;
+        data[(texelY * width + texelX) * 4] = valueFunc(x, y, z);
+      }
+  return { texture: createTestTexture(gl, width, height, data), data, width, height };
+}
+
+/**
+ * Helper: value of node (x, y, z) in a packed readback
+ * @param {Float32Array} data
+ * @param {number} gridSize
+ * @param {number} slicesPerRow
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ */
+function nodeValue(data, gridSize, slicesPerRow, x, y, z) {
+  const width = gridSize * slicesPerRow;
+  const texelX = (z % slicesPerRow) * gridSize + x;
+  const texelY = Math.floor(z / slicesPerRow) * gridSize + y;
+  return data[(texelY * width + texelX) * 4];
+}
+
+/**
+ * Test 1: A linear parent potential is harmonic: the starting guess interpolates it
+ * exactly, and sweeps without mass leave it unchanged
+ */
+test('KPatchRelax: linear parent potential is a fixed point', async () => {
+  const gl = getGL();
+
+  const parentGridSize = /** @type {[number, number, number]} */ ([8, 8, 8]);
+  const parentSlicesPerRow = 3;
+  const parentBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-4, -4, -4], max: [4, 4, 4] });
+  const linear = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) => 0.3 * x - 0.2 * y + 0.1 * z + 1;
+  const parent = fillGrid(gl, parentGridSize, parentSlicesPerRow, (x, y, z) => linear(x - 4, y - 4, z - 4));
+
+  const gridSize = 8;
+  const slicesPerRow = 3;
+  const patch = fillGrid(gl, [gridSize, gridSize, gridSize], slicesPerRow, () => 0);
+  const patchBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [-1.5, -1, -0.5], max: [0.5, 1, 1.5] });
+
+  const kernel = new KPatchRelax({
+    gl,
+    inMassGrid: patch.texture,
+    inParentPotential: parent.texture,
+    inPotential: null,
+    gridSize,
+    slicesPerRow,
+    patchBounds,
+    parentGridSize,
+    parentSlicesPerRow,
+    parentBounds,
+    gravitationalConstant: 4 * Math.PI
+  });
+
+  kernel.run();
+  if (!kernel.outPotential) throw new Error('kernel.outPotential is null');
+  const first = kernel.outPotential;
+  const initial = readTexture(gl, first, patch.width, patch.height);
+  assertAllFinite(initial, 'Initial potential should be finite');
+
+  // Three more sweeps, ping-ponging with a second grid
+  let spare = createTestTexture(gl, patch.width, patch.height, null);
+  for (let sweep = 0; sweep < 3; sweep++) {
+    kernel.inPotential = kernel.outPotential;
+    kernel.outPotential = spare;
+    kernel.run();
+    spare = /** @type {WebGLTexture} */ (kernel.inPotential);
+  }
+  const swept = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPotential), patch.width, patch.height);
+
+  const h = kernel.cellSize;
+  for (let z = 0; z < gridSize; z++)
+    for (let y = 0; y < gridSize; y++)
+      for (let x = 0; x < gridSize; x++) {
+        const expected = linear(patchBounds.min[0] + x * h[0], patchBounds.min[1] + y * h[1], patchBounds.min[2] + z * h[2]);
+        assertClose(nodeValue(initial, gridSize, slicesPerRow, x, y, z), expected, 1e-5,
+          `Initial node (${x}, ${y}, ${z})\n\n${kernel.toString()}`);
+        assertClose(nodeValue(swept, gridSize, slicesPerRow, x, y, z), expected, 1e-4,
+          `Swept node (${x}, ${y}, ${z})`);
+      }
+
+  kernel.inMassGrid = null;
+  kernel.inParentPotential = null;
+  kernel.inPotential = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(spare);
+  gl.deleteTexture(patch.texture);
+  gl.deleteTexture(parent.texture);
+  resetGL();
+});
+
+/**
+ * Test 2: One sweep matches the damped Jacobi update on the CPU, mass source and
+ * periodic background included; boundary nodes stay pinned to the parent
+ */
+test('KPatchRelax: single sweep against CPU Jacobi', async () => {
+  const gl = getGL();
+
+  const parentGridSize = /** @type {[number, number, number]} */ ([4, 4, 4]);
+  const parentSlicesPerRow = 2;
+  const parent = fillGrid(gl, parentGridSize, parentSlicesPerRow, () => -0.5);
+  const parentBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [0, 0, 0], max: [4, 4, 4] });
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const patchBounds = /** @type {{min: [number, number, number], max: [number, number, number]}} */ ({ min: [1, 1, 1], max: [2, 3, 3] });
+  const mass = fillGrid(gl, [gridSize, gridSize, gridSize], slicesPerRow, (x, y, z) => (x === 1 && y === 2 && z === 1) ? 0.25 : 0);
+  const start = fillGrid(gl, [gridSize, gridSize, gridSize], slicesPerRow, (x, y, z) => 0.01 * (x + 2 * y + 3 * z) - 0.5);
+
+  const G4pi = 2.0;
+  const massToDensity = 1 / (0.25 * 0.5 * 0.5);
+  const background = 0.1;
+  const omega = 0.8;
+
+  const kernel = new KPatchRelax({
+    gl,
+    inMassGrid: mass.texture,
+    inParentPotential: parent.texture,
+    inPotential: start.texture,
+    gridSize,
+    slicesPerRow,
+    patchBounds,
+    parentGridSize,
+    parentSlicesPerRow,
+    parentBounds,
+    gravitationalConstant: G4pi,
+    massToDensity,
+    backgroundDensity: background,
+    omega
+  });
+
+  kernel.run();
+  const result = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPotential), mass.width, mass.height);
+  assertAllFinite(result, 'Swept potential should be finite');
+
+  const [hx, hy, hz] = kernel.cellSize;
+  const phi = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) => nodeValue(start.data, gridSize, slicesPerRow, x, y, z);
+  for (let z = 0; z < gridSize; z++)
+    for (let y = 0; y < gridSize; y++)
+      for (let x = 0; x < gridSize; x++) {
+        const boundary = [x, y, z].some(i => i === 0 || i === gridSize - 1);
+        let expected = -0.5;
+        if (!boundary) {
+          const neighbours =
+            (phi(x + 1, y, z) + phi(x - 1, y, z)) / (hx * hx) +
+            (phi(x, y + 1, z) + phi(x, y - 1, z)) / (hy * hy) +
+            (phi(x, y, z + 1) + phi(x, y, z - 1)) / (hz * hz);
+          const density = nodeValue(mass.data, gridSize, slicesPerRow, x, y, z) * massToDensity - background;
+          const jacobi = (neighbours - G4pi * density) / (2 * (1 / (hx * hx) + 1 / (hy * hy) + 1 / (hz * hz)));
+          expected = (1 - omega) * phi(x, y, z) + omega * jacobi;
+        }
+        assertClose(nodeValue(result, gridSize, slicesPerRow, x, y, z), expected, 1e-4 * Math.max(1, Math.abs(expected)),
+          `Node (${x}, ${y}, ${z})\n\n${kernel.toString()}`);
+      }
+
+  kernel.inMassGrid = null;
+  kernel.inParentPotential = null;
+  kernel.inPotential = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(start.texture);
+  gl.deleteTexture(mass.texture);
+  gl.deleteTexture(parent.texture);
+  resetGL();
+});
@@ -3,11 +3,16 @@
 import { fsQuadVert } from '../core-shaders.js';
 import { formatNumber, readLinear } from '../diag.js';
 import poissonFrag from './shaders/poisson.frag.js';
+import { assignmentOrder } from '../assignment.js';
 
 /**
  * KPoisson - Poisson solver in Fourier space
  * 
  * Solves Poisson equation: ∇²φ = 4πGρ → φ(k) = -4πGρ(k) / k²
+ * Isolated mode multiplies by a transformed real-space Green's function instead
+ * (inGreenSpectrum, see KIsolatedGreen), on a grid zero-padded to twice the box.
+ * With halfSpectrum, all spectra hold only the Nx/2+1 non-negative X frequencies
+ * (KFFT halfSpectrum), laid out over [Nx/2+1, Ny, Nz].
  * Follows the WebGL2 Kernel contract.
  */
 export class KPoisson {
@@ -16,17 +21,20 @@ export class KPoisson {
    *  gl: WebGL2RenderingContext,
    *  inDensitySpectrum?: WebGLTexture|null,
    *  outPotentialSpectrum?: WebGLTexture|null,
+   *  inGreenSpectrum?: WebGLTexture|null,
    *  gridSize?: number | [number, number, number],
    *  slicesPerRow?: number,
    *  textureWidth?: number,
    *  textureHeight?: number,
+   *  halfSpectrum?: boolean,
    *  gravitationalConstant?: number,
    *  worldSize?: [number, number, number],
-   *  assignment?: 'NGP'|'CIC'|'TSC',
+   *  assignment?: 'NGP'|'CIC'|'TSC'|'PCS',
    *  poissonUseDiscrete?: boolean,
    *  treePMSigma?: number,
    *  splitMode?: 0 | 1 | 2,
-   *  kCut?: number
+   *  kCut?: number,
+   *  isolated?: boolean
    * }} options
    */
   constructor(options) {
@@ -36,13 +44,20 @@ export class KPoisson {
     this.gridSize = Array.isArray(options.gridSize) ? options.gridSize : [options.gridSize || 64, options.gridSize || 64, options.gridSize || 64];
     this.slicesPerRow = options.slicesPerRow || 8;
     const [Nx, Ny, Nz] = this.gridSize;
-    this.textureWidth = options.textureWidth || (Nx * this.slicesPerRow);
+    this.halfSpectrum = options.halfSpectrum || false;
+    // Nodes along X in the spectrum layout
+    this.spectrumWidth = this.halfSpectrum ? Math.floor(Nx / 2) + 1 : Nx;
+    this.textureWidth = options.textureWidth || (this.spectrumWidth * this.slicesPerRow);
     this.textureHeight = options.textureHeight || (Ny * Math.ceil(Nz / this.slicesPerRow));
 
     // Resource slots
     this.inDensitySpectrum = (options.inDensitySpectrum || options.inDensitySpectrum === null) ? options.inDensitySpectrum : createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
     this.outPotentialSpectrum = (options.outPotentialSpectrum || options.outPotentialSpectrum === null) ? options.outPotentialSpectrum : createComplexTexture(this.gl, this.textureWidth, this.textureHeight);
 
+    // Isolated boundaries: the Green's function spectrum replaces -4πG / k²
+    this.isolated = options.isolated || false;
+    this.inGreenSpectrum = (options.inGreenSpectrum || options.inGreenSpectrum === null) ? options.inGreenSpectrum : (this.isolated ? createComplexTexture(this.gl, this.textureWidth, this.textureHeight) : null);
+
     // Physical parameters
     this.gravitationalConstant = options.gravitationalConstant !== undefined ? options.gravitationalConstant : (4.0 * Math.PI * 0.0003);
     this.worldSize = options.worldSize || [100.0, 100.0, 100.0];
@@ -121,6 +136,11 @@ export class KPoisson {
         height: this.textureHeight, count: this.textureWidth * this.textureHeight,
         channels: ['real', 'imag'], pixels, format: this.gl.RG32F
       }),
+      greenSpectrum: this.isolated && this.inGreenSpectrum ? readLinear({
+        gl: this.gl, texture: this.inGreenSpectrum, width: this.textureWidth,
+        height: this.textureHeight, count: this.textureWidth * this.textureHeight,
+        channels: ['real', 'imag'], pixels, format: this.gl.RG32F
+      }) : null,
       potentialSpectrum: this.outPotentialSpectrum && readLinear({
         gl: this.gl, texture: this.outPotentialSpectrum, width: this.textureWidth,
         height: this.textureHeight, count: this.textureWidth * this.textureHeight,
@@ -133,14 +153,18 @@ export class KPoisson {
       assignment: this.assignment,
       poissonUseDiscrete: this.poissonUseDiscrete,
       treePMSigma: this.treePMSigma,
+      isolated: this.isolated,
+      halfSpectrum: this.halfSpectrum,
       renderCount: this.renderCount
     };
 
     value.toString = () =>
-      `KPoisson(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment} #${this.renderCount}
+      `KPoisson(${this.gridSize.join('x')} grid) texture=${this.textureWidth}×${this.textureHeight} G=${formatNumber(this.gravitationalConstant)} assignment=${this.assignment}${this.isolated ? ' isolated' : ''}${this.halfSpectrum ? ' half-spectrum' : ''} #${this.renderCount}
 
 densitySpectrum: ${value.densitySpectrum}
-
+${value.greenSpectrum ? `
+greenSpectrum: ${value.greenSpectrum}
+` : ''}
 → potentialSpectrum: ${value.potentialSpectrum}`;
 
     return value;
@@ -162,6 +186,7 @@ densitySpectrum: ${value.densitySpectrum}
 
     if (!this.inDensitySpectrum) throw new Error('KPoisson: missing inDensitySpectrum texture');
     if (!this.outPotentialSpectrum) throw new Error('KPoisson: missing outPotentialSpectrum texture');
+    if (this.isolated && !this.inGreenSpectrum) throw new Error('KPoisson: isolated mode needs inGreenSpectrum texture');
 
     gl.useProgram(this.program);
 
@@ -193,21 +218,25 @@ densitySpectrum: ${value.densitySpectrum}
     gl.bindTexture(gl.TEXTURE_2D, this.inDensitySpectrum);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_densitySpectrum'), 0);
 
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_isolated'), this.isolated ? 1 : 0);
+    if (this.isolated) {
+      gl.activeTexture(gl.TEXTURE1);
+      gl.bindTexture(gl.TEXTURE_2D, this.inGreenSpectrum);
+      gl.uniform1i(gl.getUniformLocation(this.program, 'u_greenSpectrum'), 1);
+    }
+
     // Set uniforms
     gl.uniform3iv(gl.getUniformLocation(this.program, 'u_gridSize'), this.gridSize);
+    gl.uniform1i(gl.getUniformLocation(this.program, 'u_spectrumWidth'), this.spectrumWidth);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_slicesPerRow'), this.slicesPerRow);
     // Provide packed 3D texture dims
     gl.uniform2f(gl.getUniformLocation(this.program, 'u_textureSize'), this.textureWidth, this.textureHeight);
     gl.uniform1f(gl.getUniformLocation(this.program, 'u_gravitationalConstant'), this.gravitationalConstant);
-    const worldVolume = this.worldSize[0] * this.worldSize[1] * this.worldSize[2];
-    gl.uniform1f(gl.getUniformLocation(this.program, 'u_worldVolume'), worldVolume);
     gl.uniform3f(gl.getUniformLocation(this.program, 'u_worldSize'),
       this.worldSize[0], this.worldSize[1], this.worldSize[2]);
 
-    // Deconvolution order based on assignment
-    let deconvolveOrder = 2; // CIC default
-    if (this.assignment === 'TSC') deconvolveOrder = 3;
-    if (this.assignment === 'NGP') deconvolveOrder = 1;
+    // Deconvolution order based on assignment (NGP 1, CIC 2, TSC 3, PCS 4)
+    const deconvolveOrder = assignmentOrder(this.assignment);
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_deconvolveOrder'), deconvolveOrder);
 
     gl.uniform1i(gl.getUniformLocation(this.program, 'u_useDiscrete'), this.poissonUseDiscrete ? 1 : 0);
@@ -224,6 +253,8 @@ densitySpectrum: ${value.densitySpectrum}
 
     // Cleanup
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.useProgram(null);
@@ -246,6 +277,10 @@ densitySpectrum: ${value.densitySpectrum}
       gl.deleteTexture(this.outPotentialSpectrum);
       this.outPotentialSpectrum = null;
     }
+    if (this.inGreenSpectrum) {
+      gl.deleteTexture(this.inGreenSpectrum);
+      this.inGreenSpectrum = null;
+    }
     this._fboShadow = null;
   }
 }
@@ -195,3 +195,105 @@ test('KPoisson: multiple frequencies', async () => {
   gl.deleteTexture(inDensitySpectrum);
   gl.deleteTexture(outPotentialSpectrum);
 });
+
+/**
+ * Test 4: Isolated mode multiplies by the Green's function spectrum
+ * Unlike the periodic solve, the k=0 mode survives: open boundaries have a mean field.
+ */
+test('KPoisson: isolated mode uses the Green spectrum, including k=0', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const textureSize = gridSize * slicesPerRow;
+
+  const inDensitySpectrum = createComplexTexture(gl, textureSize, (x, y) => (x === 0 && y === 0) ? [3.0, 1.0] : [0.0, 0.0]);
+  const inGreenSpectrum = createComplexTexture(gl, textureSize, () => [-2.0, 0.5]);
+  const outPotentialSpectrum = createComplexTexture(gl, textureSize, () => [0, 0]);
+
+  const kernel = new KPoisson({
+    gl,
+    inDensitySpectrum,
+    outPotentialSpectrum,
+    inGreenSpectrum,
+    gridSize,
+    slicesPerRow,
+    worldSize: [4.0, 4.0, 4.0],
+    isolated: true
+  });
+
+  kernel.run();
+
+  const result = readTexture(gl, outPotentialSpectrum, textureSize, textureSize);
+  assertAllFinite(result, 'All potential values should be finite');
+
+  // (3 + i)·(-2 + 0.5i) = -6.5 - 0.5i
+  assertClose(result[0], -6.5, 1e-5, `DC real part\n\n${kernel.toString()}`);
+  assertClose(result[1], -0.5, 1e-5, `DC imaginary part\n\n${kernel.toString()}`);
+  assertClose(result[4], 0.0, 1e-6, 'Empty modes stay empty');
+
+  // Isolated mode cannot run without its Green's function
+  kernel.inGreenSpectrum = null;
+  assert.throws(() => kernel.run(), /inGreenSpectrum/);
+
+  kernel.inDensitySpectrum = null;
+  kernel.outPotentialSpectrum = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(inDensitySpectrum);
+  gl.deleteTexture(inGreenSpectrum);
+  gl.deleteTexture(outPotentialSpectrum);
+});
+
+/**
+ * Test 5: Half spectrum (Nx/2+1 columns per slice): -4πG·ρ/k² with deconvolution,
+ * X wave index from the column, Y and Z wrapped as usual
+ */
+test('KPoisson: half-spectrum layout', async () => {
+  const gl = getGL();
+
+  const gridSize = 4;
+  const slicesPerRow = 2;
+  const width = (gridSize / 2 + 1) * slicesPerRow;
+  const height = gridSize * 2;
+  const G4pi = 2.0;
+  const L = 4.0;
+
+  // ρ(1, 0, 0) = 1 at texel (1, 0); ρ(2, 1, 3) = 2 - i at texel (3 + 2, 4 + 1)
+  const data = new Float32Array(width * height * 4);
+  data[(0 * width + 1) * 4] = 1;
+  data[(5 * width + 5) * 4] = 2;
+  data[(5 * width + 5) * 4 + 1] = -1;
+  const inDensitySpectrum = createTestTexture(gl, width, height, data);
+
+  const kernel = new KPoisson({
+    gl,
+    inDensitySpectrum,
+    gridSize,
+    slicesPerRow,
+    halfSpectrum: true,
+    gravitationalConstant: G4pi,
+    worldSize: [L, L, L],
+    assignment: 'CIC'
+  });
+  assert.strictEqual(kernel.textureWidth, width);
+  kernel.run();
+
+  const result = readTexture(gl, /** @type {WebGLTexture} */ (kernel.outPotentialSpectrum), width, height);
+  assertAllFinite(result, 'All potential values should be finite');
+
+  const sinc = (/** @type {number} */ x) => x === 0 ? 1 : Math.sin(x) / x;
+  /** @param {number[]} kg */
+  const green = kg => {
+    const k2 = kg.reduce((sum, k) => sum + (2 * Math.PI * k / L) ** 2, 0);
+    const window = kg.reduce((product, k) => product * sinc(Math.PI * k / gridSize) ** 2, 1);
+    return -G4pi / k2 / window;
+  };
+
+  assertClose(result[(0 * width + 1) * 4], green([1, 0, 0]), 1e-4, `φ(1, 0, 0)\n\n${kernel}`);
+  assertClose(result[(5 * width + 5) * 4], 2 * green([2, 1, -1]), 1e-4, 'Re φ(2, 1, 3)');
+  assertClose(result[(5 * width + 5) * 4 + 1], -green([2, 1, -1]), 1e-4, 'Im φ(2, 1, 3)');
+
+  kernel.inDensitySpectrum = null;
+  disposeKernel(kernel);
+  gl.deleteTexture(inDensitySpectrum);
+});
@@ -0,0 +1,481 @@
+// @ts-check
+
+/**
+ * PMPatches - Nested refinement patches over a PM grid
+ *
+ * Every `interval` frames the parent mass grid is read back and its overdense
+ * regions (nodes above `threshold` times the mean) are boxed into cubic patches of
+ * `gridSize`³ finer nodes. The readback copies the mass channel into a pixel pack buffer
+ * behind a fence, and refine() places the patches once the fence has passed, usually a
+ * frame later, so detection never stalls on readPixels. Each frame, per patch: a clipped KDeposit, KPatchRelax
+ * sweeps from the parent potential with the parent supplying the boundary values,
+ * and a KPatchForceSample pass that swaps in the patch force for the particles it covers.
+ *
+ * The owning system transforms its potential spectrum back into `parentPotential`
+ * (borrowing `scratchSpectrum` as the inverse FFT's scratch), then calls refine().
+ * One level of patches; patches never overlap.
+ */
+
+import { KDeposit } from './k-deposit.js';
+import { KPatchForceSample } from './k-patch-force-sample.js';
+import { KPatchRelax } from './k-patch-relax.js';
+
+/**
+ * @typedef {{
+ *   lo: [number, number, number],
+ *   side: number
+ * }} PatchRegion
+ */
+
+/**
+ * @typedef {{
+ *   gridSize: [number, number, number],
+ *   slicesPerRow: number,
+ *   bounds: { min: [number, number, number], max: [number, number, number] }
+ * }} ParentGrid
+ */
+
+export class PMPatches {
+  /**
+   * @param {{
+   *   gl: WebGL2RenderingContext,
+   *   particleCount: number,
+   *   particleTextureWidth: number,
+   *   particleTextureHeight: number,
+   *   parentTextureWidth: number,
+   *   parentTextureHeight: number,
+   *   parentSpectrumTextureWidth?: number,
+   *   assignment?: import('../assignment.js').Assignment,
+   *   disableFloatBlend?: boolean,
+   *   maxPatches?: number,
+   *   gridSize?: number,
+   *   threshold?: number,
+   *   margin?: number,
+   *   iterations?: number,
+   *   interval?: number
+   * }} options
+   */
+  constructor(options) {
+    this.gl = options.gl;
+
+    this.maxPatches = options.maxPatches || 2;
+    this.gridSize = options.gridSize || 32;
+    this.threshold = options.threshold || 8;
+    this.margin = options.margin ?? 2;
+    this.iterations = options.iterations ?? 64;
+    this.interval = options.interval || 30;
+
+    this.slicesPerRow = Math.ceil(Math.sqrt(this.gridSize));
+    this.textureWidth = this.gridSize * this.slicesPerRow;
+    this.textureHeight = this.gridSize * Math.ceil(this.gridSize / this.slicesPerRow);
+
+    // Parent potential in real space, and the complex scratch its inverse FFT borrows
+    this.parentTextureWidth = options.parentTextureWidth;
+    this.parentTextureHeight = options.parentTextureHeight;
+    // Narrower when the parent keeps half spectra (KFFT halfSpectrum)
+    this.parentSpectrumTextureWidth = options.parentSpectrumTextureWidth || this.parentTextureWidth;
+    /** @type {WebGLTexture | null} */
+    this.parentPotential = createTexture(this.gl, this.parentTextureWidth, this.parentTextureHeight, this.gl.R32F, this.gl.RED);
+    /** @type {WebGLTexture | null} */
+    this.scratchSpectrum = createTexture(this.gl, this.parentSpectrumTextureWidth, this.parentTextureHeight, this.gl.RG32F, this.gl.RG);
+
+    // Mass grid readback for detection (pre-allocated, sized for RGBA when R alone is not readable)
+    this.readbackBuffer = new Float32Array(this.parentTextureWidth * this.parentTextureHeight * 4);
+    this.readbackFBO = this.gl.createFramebuffer();
+    this.readbackPBO = this.gl.createBuffer();
+    this.gl.bindBuffer(this.gl.PIXEL_PACK_BUFFER, this.readbackPBO);
+    this.gl.bufferData(this.gl.PIXEL_PACK_BUFFER, this.readbackBuffer.byteLength, this.gl.STREAM_READ);
+    this.gl.bindBuffer(this.gl.PIXEL_PACK_BUFFER, null);
+    /** @type {{ sync: WebGLSync, channels: number, parent: ParentGrid, region: [number, number, number], periodic: boolean } | null} */
+    this.pendingRead = null;
+
+    /** @type {(PatchRegion & { bounds: { min: [number, number, number], max: [number, number, number] } })[]} */
+    this.regions = [];
+    // Mean density a periodic parent subtracts from its source; the patches subtract it too
+    this.backgroundDensity = 0;
+
+    /** @type {{ deposit: KDeposit, relax: KPatchRelax, sample: KPatchForceSample, spare: WebGLTexture | null }[]} */
+    this.slots = [];
+    for (let i = 0; i < this.maxPatches; i++) {
+      const deposit = new KDeposit({
+        gl: this.gl,
+        inPosition: null,
+        outMassGrid: createTexture(this.gl, this.textureWidth, this.textureHeight, this.gl.R32F, this.gl.RED),
+        particleCount: options.particleCount,
+        particleTextureWidth: options.particleTextureWidth,
+        particleTextureHeight: options.particleTextureHeight,
+        gridSize: this.gridSize,
+        slicesPerRow: this.slicesPerRow,
+        textureWidth: this.textureWidth,
+        textureHeight: this.textureHeight,
+        assignment: /** @type {'NGP'|'CIC'|'TSC'|'PCS'} */ ((options.assignment || 'CIC').toUpperCase()),
+        clip: true,
+        disableFloatBlend: options.disableFloatBlend
+      });
+
+      const relax = new KPatchRelax({
+        gl: this.gl,
+        inMassGrid: null,
+        inParentPotential: null,
+        inPotential: null,
+        gridSize: this.gridSize,
+        slicesPerRow: this.slicesPerRow,
+        textureWidth: this.textureWidth,
+        textureHeight: this.textureHeight
+      });
+
+      const sample = new KPatchForceSample({
+        gl: this.gl,
+        inPosition: null,
+        inForce: null,
+        inPotential: null,
+        particleCount: options.particleCount,
+        particleTextureWidth: options.particleTextureWidth,
+        particleTextureHeight: options.particleTextureHeight,
+        gridSize: this.gridSize,
+        slicesPerRow: this.slicesPerRow,
+        textureWidth: this.textureWidth,
+        textureHeight: this.textureHeight
+      });
+
+      // Second potential grid for the Jacobi ping-pong
+      const spare = createTexture(this.gl, this.textureWidth, this.textureHeight, this.gl.R32F, this.gl.RED);
+      this.slots.push({ deposit, relax, sample, spare });
+    }
+  }
+
+  /**
+   * Start reading back the parent mass grid; refine() places patches over its overdense
+   * regions once the read lands. Skipped while an earlier read is still in flight.
+   * @param {{
+   *   massGrid: WebGLTexture,
+   *   parent: ParentGrid,
+   *   region: [number, number, number],
+   *   periodic: boolean
+   * }} _ - region: nodes holding particles (the unpadded grid)
+   */
+  detect({ massGrid, parent, region, periodic }) {
+    if (this.pendingRead) return;
+
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.readbackFBO);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, massGrid, 0);
+    // Only the mass (R) where the implementation reads single channels, RGBA otherwise
+    const red = gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_FORMAT) === gl.RED &&
+      gl.getParameter(gl.IMPLEMENTATION_COLOR_READ_TYPE) === gl.FLOAT;
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.readbackPBO);
+    gl.readPixels(0, 0, this.parentTextureWidth, this.parentTextureHeight, red ? gl.RED : gl.RGBA, gl.FLOAT, 0);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const sync = gl.fenceSync(gl.SYNC_GPU_COMMANDS_COMPLETE, 0);
+    if (!sync) throw new Error('PMPatches: failed to create readback fence');
+    gl.flush();
+
+    this.pendingRead = {
+      sync,
+      channels: red ? 1 : 4,
+      parent: { gridSize: [...parent.gridSize], slicesPerRow: parent.slicesPerRow, bounds: { min: [...parent.bounds.min], max: [...parent.bounds.max] } },
+      region: [...region],
+      periodic
+    };
+  }
+
+  /**
+   * Place the patches from a pending mass grid read once its fence has passed
+   * @returns {boolean} whether new regions were placed
+   */
+  _placePending() {
+    const pending = this.pendingRead;
+    if (!pending) return false;
+
+    const gl = this.gl;
+    const status = gl.clientWaitSync(pending.sync, 0, 0);
+    if (status === gl.TIMEOUT_EXPIRED) return false;
+
+    gl.deleteSync(pending.sync);
+    this.pendingRead = null;
+    if (status === gl.WAIT_FAILED) throw new Error('PMPatches: readback fence failed');
+
+    const count = this.parentTextureWidth * this.parentTextureHeight * pending.channels;
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, this.readbackPBO);
+    gl.getBufferSubData(gl.PIXEL_PACK_BUFFER, 0, this.readbackBuffer, 0, count);
+    gl.bindBuffer(gl.PIXEL_PACK_BUFFER, null);
+
+    const { parent, region, periodic } = pending;
+    const { regions, meanMass } = findPatchRegions({
+      mass: this.readbackBuffer,
+      channels: pending.channels,
+      textureWidth: this.parentTextureWidth,
+      gridSize: parent.gridSize,
+      slicesPerRow: parent.slicesPerRow,
+      region,
+      threshold: this.threshold,
+      margin: this.margin,
+      patchGridSize: this.gridSize,
+      maxPatches: this.maxPatches
+    });
+
+    const { min, max } = parent.bounds;
+    const cell = [0, 1, 2].map(axis => (max[axis] - min[axis]) / parent.gridSize[axis]);
+    this.backgroundDensity = periodic ? meanMass / (cell[0] * cell[1] * cell[2]) : 0;
+    this.regions = regions.map(({ lo, side }) => {
+      const patchMin = /** @type {[number, number, number]} */ (lo.map((node, axis) => min[axis] + node * cell[axis]));
+      const patchMax = /** @type {[number, number, number]} */ (patchMin.map((start, axis) => start + side * cell[axis]));
+      return { lo, side, bounds: { min: patchMin, max: patchMax } };
+    });
+    return true;
+  }
+
+  /**
+   * Solve every patch and swap its force into the particles it covers.
+   * The incoming force texture is handed to the samplers; the returned one replaces it.
+   * @param {{
+   *   inPosition: WebGLTexture,
+   *   force: WebGLTexture,
+   *   parent: ParentGrid,
+   *   gravitationalConstant: number
+   * }} _
+   * @returns {WebGLTexture}
+   */
+  refine({ inPosition, force, parent, gravitationalConstant }) {
+    if (!this.parentPotential) throw new Error('PMPatches: missing parentPotential texture');
+
+    this._placePending();
+
+    for (let i = 0; i < this.regions.length; i++) {
+      const region = this.regions[i];
+      const slot = this.slots[i];
+      const { deposit, relax, sample } = slot;
+
+      deposit.inPosition = inPosition;
+      deposit.worldBounds = region.bounds;
+      deposit.run();
+
+      relax.inMassGrid = deposit.outMassGrid;
+      relax.inParentPotential = this.parentPotential;
+      relax.patchBounds = region.bounds;
+      const cell = relax.cellSize;
+      relax.parentGridSize = parent.gridSize;
+      relax.parentSlicesPerRow = parent.slicesPerRow;
+      relax.parentBounds = parent.bounds;
+      relax.gravitationalConstant = gravitationalConstant;
+      relax.massToDensity = 1 / (cell[0] * cell[1] * cell[2]);
+      relax.backgroundDensity = this.backgroundDensity;
+
+      // Start from the parent potential, then sweep with the spare grid as ping-pong partner
+      relax.inPotential = null;
+      relax.run();
+      for (let sweep = 0; sweep < this.iterations; sweep++) {
+        relax.inPotential = relax.outPotential;
+        relax.outPotential = slot.spare;
+        relax.run();
+        slot.spare = relax.inPotential;
+      }
+      relax.inPotential = null;
+
+      // Refined force replaces the incoming one; the sampler keeps the old texture as next target
+      sample.inPosition = inPosition;
+      sample.inForce = force;
+      sample.inPotential = relax.outPotential;
+      sample.patchBounds = region.bounds;
+      sample.run();
+      const refined = /** @type {WebGLTexture} */ (sample.outForce);
+      sample.outForce = force;
+      force = refined;
+
+      // Release borrowed textures
+      deposit.inPosition = null;
+      relax.inMassGrid = null;
+      relax.inParentPotential = null;
+      sample.inPosition = null;
+      sample.inForce = null;
+      sample.inPotential = null;
+    }
+
+    return force;
+  }
+
+  /**
+   * Capture complete computational state for debugging and testing
+   * @param {{pixels?: boolean}} [options] - Capture options
+   */
+  valueOf(options) {
+    const value = {
+      gridSize: this.gridSize,
+      maxPatches: this.maxPatches,
+      threshold: this.threshold,
+      margin: this.margin,
+      iterations: this.iterations,
+      interval: this.interval,
+      backgroundDensity: this.backgroundDensity,
+      pendingRead: !!this.pendingRead,
+      regions: this.regions.map(({ lo, side, bounds }) => ({
+        lo: [...lo], side, bounds: { min: [...bounds.min], max: [...bounds.max] }
+      })),
+      relax: this.regions.map((_, i) => this.slots[i].relax.valueOf(options))
+    };
+
+    value.toString = () =>
+      `PMPatches(${this.regions.length}/${this.maxPatches} patches of ${this.gridSize}³) threshold=${this.threshold}× margin=${this.margin} sweeps=${this.iterations} every ${this.interval} frames${this.pendingRead ? ' (readback pending)' : ''}
+${value.regions.map(({ lo, side, bounds }) => `  parent nodes [${lo}] +${side}: [${bounds.min}]→[${bounds.max}]`).join('\n')}`;
+
+    return value;
+  }
+
+  /**
+   * Get human-readable string representation
+   * @returns {string} Compact summary
+   */
+  toString() {
+    return this.valueOf().toString();
+  }
+
+  dispose() {
+    const gl = this.gl;
+
+    for (const slot of this.slots) {
+      slot.deposit.dispose();
+      slot.relax.dispose();
+      slot.sample.dispose();
+      if (slot.spare) gl.deleteTexture(slot.spare);
+      slot.spare = null;
+    }
+    this.slots = [];
+
+    if (this.parentPotential) gl.deleteTexture(this.parentPotential);
+    if (this.scratchSpectrum) gl.deleteTexture(this.scratchSpectrum);
+    if (this.readbackFBO) gl.deleteFramebuffer(this.readbackFBO);
+    if (this.readbackPBO) gl.deleteBuffer(this.readbackPBO);
+    if (this.pendingRead) gl.deleteSync(this.pendingRead.sync);
+    this.parentPotential = null;
+    this.scratchSpectrum = null;
+    this.readbackFBO = null;
+    this.readbackPBO = null;
+    this.pendingRead = null;
+  }
+}
+
+/**
+ * Overdense regions of a packed mass grid, boxed into cubic patches of parent nodes.
+ * Nodes above threshold × mean mass are grouped into face-connected clusters; the heaviest
+ * clusters get a patch around them, `margin` nodes wider on each side. A patch never leaves
+ * the particle region, overlaps another one, or spans more than half the patch grid
+ * (it would refine less than twice).
+ *
+ * @param {{
+ *   mass: Float32Array,
+ *   channels?: number,
+ *   textureWidth: number,
+ *   gridSize: [number, number, number],
+ *   slicesPerRow: number,
+ *   region: [number, number, number],
+ *   threshold: number,
+ *   margin: number,
+ *   patchGridSize: number,
+ *   maxPatches: number
+ * }} _ - mass: readback with mass in R, `channels` floats per texel (default 4, RGBA); gridSize: packed layout; region: nodes searched
+ * @returns {{ regions: PatchRegion[], meanMass: number }}
+ */
+export function findPatchRegions({ mass, channels = 4, textureWidth, gridSize, slicesPerRow, region, threshold, margin, patchGridSize, maxPatches }) {
+  const [Px, Py] = gridSize;
+  const [Nx, Ny, Nz] = region;
+
+  /** @param {number} x @param {number} y @param {number} z */
+  const massAt = (x, y, z) => {
+    const texelX = (z % slicesPerRow) * Px + x;
+    const texelY = Math.floor(z / slicesPerRow) * Py + y;
+    return mass[(texelY * textureWidth + texelX) * channels];
+  };
+
+  let total = 0;
+  for (let z = 0; z < Nz; z++)
+    for (let y = 0; y < Ny; y++)
+      for (let x = 0; x < Nx; x++)
+        total += massAt(x, y, z);
+  const meanMass = total / (Nx * Ny * Nz);
+  if (!(meanMass > 0)) return { regions: [], meanMass: 0 };
+
+  // Face-connected clusters of overdense nodes, with their bounding boxes
+  const cut = threshold * meanMass;
+  const visited = new Uint8Array(Nx * Ny * Nz);
+  /** @type {{ lo: number[], hi: number[], mass: number }[]} */
+  const clusters = [];
+  for (let z = 0; z < Nz; z++) {
+    for (let y = 0; y < Ny; y++) {
+      for (let x = 0; x < Nx; x++) {
+        const start = (z * Ny + y) * Nx + x;
+        if (visited[start] || !(massAt(x, y, z) > cut)) continue;
+
+        const cluster = { lo: [x, y, z], hi: [x, y, z], mass: 0 };
+        const stack = [start];
+        visited[start] = 1;
+        while (stack.length) {
+          const index = /** @type {number} */ (stack.pop());
+          const node = [index % Nx, Math.floor(index / Nx) % Ny, Math.floor(index / (Nx * Ny))];
+          cluster.mass += massAt(node[0], node[1], node[2]);
+          for (let axis = 0; axis < 3; axis++) {
+            cluster.lo[axis] = Math.min(cluster.lo[axis], node[axis]);
+            cluster.hi[axis] = Math.max(cluster.hi[axis], node[axis]);
+          }
+
+          for (const [dx, dy, dz] of [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]) {
+            const nx = node[0] + dx, ny = node[1] + dy, nz = node[2] + dz;
+            if (nx < 0 || ny < 0 || nz < 0 || nx >= Nx || ny >= Ny || nz >= Nz) continue;
+            const next = (nz * Ny + ny) * Nx + nx;
+            if (visited[next] || !(massAt(nx, ny, nz) > cut)) continue;
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+        clusters.push(cluster);
+      }
+    }
+  }
+  clusters.sort((a, b) => b.mass - a.mass);
+
+  /** @type {PatchRegion[]} */
+  const regions = [];
+  const maxSide = Math.min(Math.floor(patchGridSize / 2), Nx - 1, Ny - 1, Nz - 1);
+  for (const cluster of clusters) {
+    if (regions.length >= maxPatches) break;
+
+    const side = Math.max(...cluster.hi.map((hi, axis) => hi - cluster.lo[axis] + 1)) + 2 * margin;
+    if (side > maxSide) continue;
+
+    // Centre the cube on the cluster, inside the nodes the parent potential is valid on
+    const lo = /** @type {[number, number, number]} */ (cluster.lo.map((low, axis) => {
+      const centre = (low + cluster.hi[axis] + 1) / 2;
+      return Math.min(Math.max(Math.round(centre - side / 2), 0), region[axis] - 1 - side);
+    }));
+
+    const overlaps = regions.some(other =>
+      lo.every((start, axis) => start < other.lo[axis] + other.side && other.lo[axis] < start + side));
+    if (overlaps) continue;
+
+    regions.push({ lo, side });
+  }
+
+  return { regions, meanMass };
+}
+
+/**
+ * Helper: Create an uninitialised float texture
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {number} internalFormat
+ * @param {number} format
+ */
+function createTexture(gl, width, height, internalFormat, format) {
+  const texture = gl.createTexture();
+  if (!texture) throw new Error('Failed to create texture');
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, gl.FLOAT, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+  return texture;
+}
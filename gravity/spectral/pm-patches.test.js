@@ -0,0 +1,116 @@
+// @ts-check
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { findPatchRegions } from './pm-patches.js';
+
+/**
+ * Helper: packed RGBA mass readback for an N³ grid with `background` in every node
+ * and extra mass at the given nodes
+ * @param {number} N
+ * @param {number} slicesPerRow
+ * @param {number} background
+ * @param {[number, number, number, number][]} lumps - x, y, z, mass
+ */
+function massGrid(N, slicesPerRow, background, lumps) {
+  const textureWidth = N * slicesPerRow;
+  const textureHeight = N * Math.ceil(N / slicesPerRow);
+  const mass = new Float32Array(textureWidth * textureHeight * 4);
+  const index = (/** @type {number} */ x, /** @type {number} */ y, /** @type {number} */ z) =>
+    (((Math.floor(z / slicesPerRow) * N + y) * textureWidth) + (z % slicesPerRow) * N + x) * 4;
+  for (let z = 0; z < N; z++)
+    for (let y = 0; y < N; y++)
+      for (let x = 0; x < N; x++)
+        mass[index(x, y, z)] = background;
+  for (const [x, y, z, m] of lumps) mass[index(x, y, z)] += m;
+  return {
+    mass,
+    textureWidth,
+    gridSize: /** @type {[number, number, number]} */ ([N, N, N]),
+    slicesPerRow,
+    region: /** @type {[number, number, number]} */ ([N, N, N])
+  };
+}
+
+/**
+ * Test 1: A compact lump gets one cube, margin wide on each side and centred on it
+ */
+test('findPatchRegions: lump boxed with margin', () => {
+  const grid = massGrid(16, 4, 0.01, [[7, 8, 9, 5], [8, 8, 9, 5]]);
+  const { regions, meanMass } = findPatchRegions({ ...grid, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+
+  assert.ok(Math.abs(meanMass - (0.01 + 10 / 4096)) < 1e-6, `meanMass ${meanMass}`);
+  assert.strictEqual(regions.length, 1);
+  // Cluster spans x 7..8 (extent 2), y and z extent 1: side = 2 + 2·2
+  assert.strictEqual(regions[0].side, 6);
+  assert.deepStrictEqual(regions[0].lo, [5, 6, 7]);
+});
+
+/**
+ * Test 2: Patches stay inside the nodes the parent potential covers
+ */
+test('findPatchRegions: patch clamped to the region', () => {
+  const grid = massGrid(16, 4, 0.01, [[0, 15, 1, 10]]);
+  const { regions } = findPatchRegions({ ...grid, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+
+  assert.strictEqual(regions.length, 1);
+  const { lo, side } = regions[0];
+  assert.strictEqual(side, 5);
+  assert.deepStrictEqual(lo, [0, 10, 0]);
+  for (let axis = 0; axis < 3; axis++)
+    assert.ok(lo[axis] >= 0 && lo[axis] + side <= 15, `axis ${axis}: ${lo[axis]}..${lo[axis] + side}`);
+});
+
+/**
+ * Test 3: Nothing overdense, or a cluster too wide to refine, gives no patch
+ */
+test('findPatchRegions: uniform grid and oversized cluster', () => {
+  const uniform = massGrid(8, 3, 1, []);
+  assert.strictEqual(findPatchRegions({ ...uniform, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 }).regions.length, 0);
+
+  const empty = massGrid(8, 3, 0, []);
+  const none = findPatchRegions({ ...empty, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+  assert.strictEqual(none.regions.length, 0);
+  assert.strictEqual(none.meanMass, 0);
+
+  // A filament 10 nodes long needs side 14 > 16 / 2
+  /** @type {[number, number, number, number][]} */
+  const filament = [];
+  for (let x = 3; x < 13; x++) filament.push([x, 8, 8, 10]);
+  const wide = massGrid(32, 6, 0.01, filament);
+  assert.strictEqual(findPatchRegions({ ...wide, threshold: 8, margin: 2, patchGridSize: 16, maxPatches: 2 }).regions.length, 0);
+  assert.strictEqual(findPatchRegions({ ...wide, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 }).regions.length, 1);
+});
+
+/**
+ * Test 4: Heaviest clusters first, at most maxPatches, and no overlapping patches
+ */
+test('findPatchRegions: ordering, maxPatches and overlap', () => {
+  const grid = massGrid(32, 6, 0.01, [
+    [5, 5, 5, 10],
+    [20, 20, 20, 30],
+    [9, 5, 5, 20],       // its patch would overlap the first one
+    [26, 5, 26, 15]
+  ]);
+
+  const two = findPatchRegions({ ...grid, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+  assert.deepStrictEqual(two.regions.map(r => r.lo), [[18, 18, 18], [7, 3, 3]]);
+
+  const all = findPatchRegions({ ...grid, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 8 });
+  assert.deepStrictEqual(all.regions.map(r => r.lo), [[18, 18, 18], [7, 3, 3], [24, 3, 24]]);
+});
+
+/**
+ * Test 5: A single-channel (R) readback finds the same patches as the RGBA one
+ */
+test('findPatchRegions: R-only readback', () => {
+  const grid = massGrid(16, 4, 0.01, [[7, 8, 9, 5], [8, 8, 9, 5]]);
+  const red = new Float32Array(grid.mass.length / 4);
+  for (let i = 0; i < red.length; i++) red[i] = grid.mass[i * 4];
+
+  const rgba = findPatchRegions({ ...grid, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+  const single = findPatchRegions({ ...grid, mass: red, channels: 1, threshold: 8, margin: 2, patchGridSize: 32, maxPatches: 2 });
+  assert.deepStrictEqual(single.regions, rgba.regions);
+  assert.strictEqual(single.meanMass, rgba.meanMass);
+});
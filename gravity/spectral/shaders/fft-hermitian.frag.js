@@ -0,0 +1,109 @@
+// @ts-check
+
+/**
+ * Real-input FFT shader generator: the passes around the complex X transform of a
+ * half spectrum
+ *
+ * A real grid of Nx nodes per line is packed two reals per complex value,
+ * z[n] = f[2n] + i·f[2n+1], so the X transform runs at length M = Nx/2. Its result
+ * untangles into the Nx/2+1 non-negative X frequencies; the rest follow from
+ * F(-k) = conj F(k) and are never stored. With E, O the transforms of the even and
+ * odd samples and W = exp(-2πi/Nx):
+ *
+ *   E[k] = (Z[k] + conj Z[M-k]) / 2,   O[k] = (Z[k] - conj Z[M-k]) / 2i
+ *   F[k] = E[k] + W^k·O[k]                                   k = 0..M
+ *
+ * The inverse rebuilds Z[k] = E[k] + i·O[k] from F before the inverse X transform.
+ *
+ * Stages:
+ * - 'pack': real grid → packed complex (scaled by u_massToDensity)
+ * - 'untangle': packed X spectrum → half spectrum (forward, before the Y and Z passes)
+ * - 'tangle': half spectrum → packed X spectrum (inverse, after the Y and Z passes)
+ * - 'unpack': packed complex → real grid
+ *
+ * The complex side is laid out over [Nx/2+1, Ny, Nz] nodes in the packed Z-slice
+ * layout; packed values use its first Nx/2 columns.
+ *
+ * @param {{ stage: 'pack' | 'untangle' | 'tangle' | 'unpack' }} options
+ * @returns {string} GLSL shader source
+ */
+export default function fftHermitianShader({ stage }) {
+  return /* glsl */ `#version 300 es
+precision highp float;
+precision highp int;
+
+out vec4 outColor;
+
+uniform sampler2D u_input;
+uniform ivec3 u_gridSize;        // real grid (Nx even)
+uniform int u_slicesPerRow;
+uniform float u_massToDensity;   // pack only
+
+const float TWO_PI = 6.28318530718;
+
+// Packed Z-slice layout of a grid with 'width' nodes along X
+ivec2 voxelToTexel(ivec3 voxel, int width) {
+  return ivec2((voxel.z % u_slicesPerRow) * width + voxel.x, (voxel.z / u_slicesPerRow) * u_gridSize.y + voxel.y);
+}
+
+vec2 complexMul(vec2 a, vec2 b) {
+  return vec2(a.x * b.x - a.y * b.y, a.x * b.y + a.y * b.x);
+}
+
+vec2 conjugate(vec2 a) {
+  return vec2(a.x, -a.y);
+}
+
+void main() {
+  int M = u_gridSize.x / 2;
+  int spectrumWidth = M + 1;
+  // Output nodes along X: the real grid for 'unpack', the half spectrum otherwise
+  int width = ${stage === 'unpack' ? 'u_gridSize.x' : 'spectrumWidth'};
+
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int iz = (texel.y / u_gridSize.y) * u_slicesPerRow + texel.x / width;
+  if (iz >= u_gridSize.z) {
+    outColor = vec4(0.0);
+    return;
+  }
+  ivec3 voxel = ivec3(texel.x % width, texel.y % u_gridSize.y, iz);
+  int k = voxel.x;
+${stage === 'pack' ? `
+  // Two neighbouring reals per complex value; column M is unused until the untangle
+  if (k >= M) {
+    outColor = vec4(0.0);
+    return;
+  }
+  float even = texelFetch(u_input, voxelToTexel(ivec3(2 * k, voxel.yz), u_gridSize.x), 0).r;
+  float odd = texelFetch(u_input, voxelToTexel(ivec3(2 * k + 1, voxel.yz), u_gridSize.x), 0).r;
+  outColor = vec4(vec2(even, odd) * u_massToDensity, 0.0, 0.0);
+` : stage === 'untangle' ? `
+  vec2 z = texelFetch(u_input, voxelToTexel(ivec3(k % M, voxel.yz), spectrumWidth), 0).rg;
+  vec2 zMirror = conjugate(texelFetch(u_input, voxelToTexel(ivec3((M - k) % M, voxel.yz), spectrumWidth), 0).rg);
+
+  vec2 evenPart = 0.5 * (z + zMirror);
+  vec2 difference = 0.5 * (z - zMirror);
+  vec2 oddPart = vec2(difference.y, -difference.x);  // divided by i
+
+  float angle = -TWO_PI * float(k) / float(u_gridSize.x);
+  outColor = vec4(evenPart + complexMul(vec2(cos(angle), sin(angle)), oddPart), 0.0, 0.0);
+` : stage === 'tangle' ? `
+  if (k >= M) {
+    outColor = vec4(0.0);
+    return;
+  }
+  vec2 f = texelFetch(u_input, voxelToTexel(voxel, spectrumWidth), 0).rg;
+  vec2 fMirror = conjugate(texelFetch(u_input, voxelToTexel(ivec3(M - k, voxel.yz), spectrumWidth), 0).rg);
+
+  vec2 evenPart = 0.5 * (f + fMirror);
+  float angle = TWO_PI * float(k) / float(u_gridSize.x);
+  vec2 oddPart = complexMul(0.5 * (f - fMirror), vec2(cos(angle), sin(angle)));
+
+  outColor = vec4(evenPart + vec2(-oddPart.y, oddPart.x), 0.0, 0.0);  // E + i·O
+` : `
+  // Even nodes from the real part, odd nodes from the imaginary part
+  vec2 z = texelFetch(u_input, voxelToTexel(ivec3(k / 2, voxel.yz), spectrumWidth), 0).rg;
+  outColor = vec4((k % 2 == 0) ? z.x : z.y, 0.0, 0.0, 0.0);
+`}}
+`;
+}
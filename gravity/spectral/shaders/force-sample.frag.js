@@ -4,9 +4,13 @@
  * Force Sampling Fragment Shader
  * 
  * Samples force field from PM grid at particle positions
- * Uses trilinear interpolation for smooth force field
+ * Uses trilinear interpolation for smooth force field (NGP, CIC),
+ * or the deposit's own TSC/PCS window so self-forces cancel;
+ * optionally the potential grid the same way into w, less the particle's own well
  */
 
+import { assignmentGlsl } from '../../assignment.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -18,24 +22,28 @@ out vec4 outForce;
 uniform sampler2D u_forceGridX;  // X-component of force field
 uniform sampler2D u_forceGridY;  // Y-component
 uniform sampler2D u_forceGridZ;  // Z-component
+uniform sampler2D u_potentialGrid; // Real-space potential φ
+uniform bool u_potential;        // Sample φ into w
+uniform float u_selfPotential;   // Own-cloud well per unit mass, added back as u_selfPotential·m
 
-uniform float u_gridSize;        // Grid resolution (N)
+uniform vec3 u_gridSize;         // Grid resolution per axis (Nx, Ny, Nz)
 uniform float u_slicesPerRow;    // Z-slices per row
 uniform vec3 u_worldMin;         // World bounds
 uniform vec3 u_worldMax;
 uniform vec2 u_textureSize; // packed 3D grid texture size (width, height)
 uniform vec2 u_particleTextureSize; // particle sheet size (width, height)
-
+uniform int u_order;             // 1 = NGP, 2 = CIC, 3 = TSC, 4 = PCS
+${assignmentGlsl}
 /**
  * Convert 3D voxel coordinates to 2D texture coordinates
  */
-vec2 voxelToTexCoord(vec3 voxel, float gridSize, float slicesPerRow) {
+vec2 voxelToTexCoord(vec3 voxel, vec3 gridSize, float slicesPerRow) {
   int iz = int(voxel.z);
   int sliceRow = iz / int(slicesPerRow);
   int sliceCol = iz - sliceRow * int(slicesPerRow);
   
-  float texX = float(sliceCol * int(gridSize)) + voxel.x + 0.5;
-  float texY = float(sliceRow * int(gridSize)) + voxel.y + 0.5;
+  float texX = float(sliceCol) * gridSize.x + voxel.x + 0.5;
+  float texY = float(sliceRow) * gridSize.y + voxel.y + 0.5;
   
   // Normalize by the actual 2D texture width/height
   return vec2(texX / u_textureSize.x, texY / u_textureSize.y);
@@ -45,7 +53,7 @@ vec2 voxelToTexCoord(vec3 voxel, float gridSize, float slicesPerRow) {
  * Trilinear interpolation
  * Sample value from 3D grid stored as 2D texture
  */
-float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float slicesPerRow) {
+float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, vec3 gridSize, float slicesPerRow) {
   // Get integer cell coordinates (floor)
   vec3 cell = floor(gridPos);
   
@@ -94,21 +102,58 @@ float sampleGrid3D(sampler2D gridTexture, vec3 gridPos, float gridSize, float sl
   return mix(c0, c1, frac.z);
 }
 
+/**
+ * Higher-order interpolation with the TSC (3×3×3) or PCS (4×4×4) stencil
+ */
+float sampleGridStencil(sampler2D gridTexture, vec3 gridPos, vec3 gridSize, float slicesPerRow) {
+  vec3 base = assignmentBase(gridPos, u_order);
+  vec3 t = gridPos - base;
+  int hi = u_order == 3 ? 1 : 2;
+
+  float sum = 0.0;
+  for (int dz = -1; dz <= 2; dz++) {
+    if (dz > hi) continue;
+    for (int dy = -1; dy <= 2; dy++) {
+      if (dy > hi) continue;
+      for (int dx = -1; dx <= 2; dx++) {
+        if (dx > hi) continue;
+        ivec3 offset = ivec3(dx, dy, dz);
+        vec3 node = clamp(base + vec3(offset), vec3(0.0), vec3(gridSize - 1.0));
+        vec2 uv = voxelToTexCoord(node, gridSize, slicesPerRow);
+        sum += assignmentWeight(t, offset, u_order) * texture(gridTexture, uv).r;
+      }
+    }
+  }
+  return sum;
+}
+
 void main() {
-  // Convert world position to grid coordinates [0, N]
+  // Convert world position to grid coordinates [0, N] per axis
   vec3 worldSize = u_worldMax - u_worldMin;
   vec3 gridPos = (v_particlePosition - u_worldMin) / worldSize * u_gridSize;
   
   // Clamp to valid range
   gridPos = clamp(gridPos, vec3(0.0), vec3(u_gridSize - 1.0));
   
-  // Sample force components using trilinear interpolation
-  float fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
-  float fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
-  float fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+  // Sample force components: trilinear, or the deposit's TSC/PCS stencil
+  float fx, fy, fz;
+  float phi = 0.0;
+  if (u_order >= 3) {
+    fx = sampleGridStencil(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGridStencil(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGridStencil(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+    if (u_potential) phi = sampleGridStencil(u_potentialGrid, gridPos, u_gridSize, u_slicesPerRow);
+  } else {
+    fx = sampleGrid3D(u_forceGridX, gridPos, u_gridSize, u_slicesPerRow);
+    fy = sampleGrid3D(u_forceGridY, gridPos, u_gridSize, u_slicesPerRow);
+    fz = sampleGrid3D(u_forceGridZ, gridPos, u_gridSize, u_slicesPerRow);
+    if (u_potential) phi = sampleGrid3D(u_potentialGrid, gridPos, u_gridSize, u_slicesPerRow);
+  }
   
-  // Output force (will be added to particle velocity)
-  // Store in RGB, mass in A for reference
-  outForce = vec4(fx, fy, fz, v_particleMass);
+  // The grid potential includes my own smoothed cloud: fill its well back in
+  if (u_potential) phi += u_selfPotential * v_particleMass;
+
+  // Output force (will be added to particle velocity) in RGB, potential per unit mass in A
+  outForce = vec4(fx, fy, fz, phi);
 }
 `;
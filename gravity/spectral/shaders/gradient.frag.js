@@ -9,7 +9,8 @@
  * In Fourier space: F(k) = -i·k·φ(k)
  * Where i·k multiplication gives the gradient operator
  * 
- * This shader computes gradient for ONE axis at a time
+ * This shader computes gradient for ONE axis at a time, on a full spectrum or on the
+ * Nx/2+1 non-negative X frequencies of a half spectrum (KFFT halfSpectrum)
  */
 
 export default /* glsl */`#version 300 es
@@ -21,6 +22,7 @@ out vec4 outColor;
 uniform sampler2D u_potentialSpectrum;
 uniform int u_axis;  // 0=X, 1=Y, 2=Z
 uniform ivec3 u_gridSize;
+uniform int u_spectrumWidth;  // nodes along X in the layout: Nx, or Nx/2+1 for a half spectrum
 uniform float u_slicesPerRow;
 uniform vec2 u_textureSize;
 uniform vec3 u_worldSize;
@@ -32,10 +34,10 @@ const float TWO_PI = 6.28318530718;
 ivec3 texCoordToVoxel(vec2 uv, ivec3 gridSize, float slicesPerRow) {
   // Map uv -> texel coordinates using actual texture dimensions, then subtract 0.5
   vec2 texel = uv * u_textureSize - 0.5;
-  int ix = int(mod(texel.x, float(gridSize.x)));
+  int ix = int(mod(texel.x, float(u_spectrumWidth)));
   int iy = int(mod(texel.y, float(gridSize.y)));
   int sliceRow = int(texel.y / float(gridSize.y));
-  int iz = sliceRow * int(slicesPerRow) + int(texel.x / float(gridSize.x));
+  int iz = sliceRow * int(slicesPerRow) + int(texel.x / float(u_spectrumWidth));
   return ivec3(ix, iy, iz);
 }
 
@@ -62,15 +64,20 @@ void main() {
   
   // Select component for this axis
   float k_component = (u_axis == 0) ? k_phys.x : ((u_axis == 1) ? k_phys.y : k_phys.z);
+
+  // The Nyquist mode k = N/2 is its own mirror image, so -i·k·φ there cannot be
+  // Hermitian: drop it, or a real-input inverse would fold it into the force
+  int k_index = (u_axis == 0) ? voxel.x : ((u_axis == 1) ? voxel.y : voxel.z);
+  int N_axis = (u_axis == 0) ? N.x : ((u_axis == 1) ? N.y : N.z);
+  if (2 * k_index == N_axis) k_component = 0.0;
   
   // Compute gradient: F(k) = -i·k·φ(k)
   // For attractive gravity: F = -∇φ
   // In Fourier space: ∇φ(k) = i·k·φ(k), so F(k) = -i·k·φ(k)
   // Multiply complex φ(k) by -i·k:
-  // φ(k) * (-i*k) where -i*k is purely imaginary: (0, -k)
-  // (a + bi) * (0 - ki) = -aki + bk + aki² = -aki - bk = -bk - aki
-  // So: F_k.re = -phi_im * k, F_k.im = -phi_re * k
-  vec2 F_k = vec2(-phi_k.y * k_component, -phi_k.x * k_component);
+  // (a + bi) * (-i*k) = -aki - bki² = bk - aki
+  // So: F_k.re = phi_im * k, F_k.im = -phi_re * k
+  vec2 F_k = vec2(phi_k.y * k_component, -phi_k.x * k_component);
   
   // NOTE: Do NOT apply additional per-axis scaling here.
   // k_phys already includes the world-size normalization (k_phys = 2π·k_grid / Laxis).
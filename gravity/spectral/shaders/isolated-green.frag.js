@@ -0,0 +1,46 @@
+// @ts-check
+
+/**
+ * Real-space Green's function for the isolated (zero-padded) Poisson solve
+ *
+ * Writes G(r) = -G / sqrt(r² + ε²) on the doubled grid, where r is the
+ * minimum-image offset of each node from the origin: the cyclic convolution
+ * on 2N nodes then equals the open-boundary sum over the physical N nodes.
+ *
+ * Output: R32F grid in the packed Z-slice layout
+ */
+
+export default /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+out vec4 outColor;
+
+uniform ivec3 u_gridSize;      // padded grid (2N per axis)
+uniform int u_slicesPerRow;
+uniform vec3 u_cellSize;       // physical node spacing per axis
+uniform float u_gravityStrength;
+uniform float u_softening;
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  ivec3 N = u_gridSize;
+
+  int iz = (texel.y / N.y) * u_slicesPerRow + texel.x / N.x;
+  if (iz >= N.z) {
+    outColor = vec4(0.0);
+    return;
+  }
+  ivec3 voxel = ivec3(texel.x % N.x, texel.y % N.y, iz);
+
+  // Minimum image: nodes past the middle are negative offsets
+  vec3 offset = vec3(
+    voxel.x <= N.x / 2 ? voxel.x : voxel.x - N.x,
+    voxel.y <= N.y / 2 ? voxel.y : voxel.y - N.y,
+    voxel.z <= N.z / 2 ? voxel.z : voxel.z - N.z);
+  vec3 r = offset * u_cellSize;
+
+  float green = -u_gravityStrength / sqrt(dot(r, r) + u_softening * u_softening);
+  outColor = vec4(green, 0.0, 0.0, 0.0);
+}
+`;
@@ -0,0 +1,69 @@
+// @ts-check
+
+/**
+ * Refinement patch force sampling
+ *
+ * Particles inside the patch take -∇φ of the patch potential: central differences
+ * at the 8 surrounding nodes, blended with CIC weights. Particles too close to the
+ * patch edge for the full stencil (or outside it) keep the incoming force.
+ *
+ * Output: RGBA32F per-particle force sheet (xyz = force, w passed through)
+ */
+
+export default /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+out vec4 outColor;
+
+uniform sampler2D u_positions;  // particle positions (xyz) and mass (w)
+uniform sampler2D u_force;      // force from the coarser grid
+uniform sampler2D u_potential;  // patch potential (R32F)
+
+uniform int u_gridSize;         // patch nodes per axis
+uniform int u_slicesPerRow;
+uniform vec3 u_patchMin;        // world position of node (0, 0, 0)
+uniform vec3 u_cellSize;        // patch node spacing per axis
+
+float potentialAt(ivec3 voxel) {
+  int n = u_gridSize;
+  ivec2 texel = ivec2((voxel.z % u_slicesPerRow) * n + voxel.x, (voxel.z / u_slicesPerRow) * n + voxel.y);
+  return texelFetch(u_potential, texel, 0).r;
+}
+
+vec3 gradientAt(ivec3 voxel) {
+  return vec3(
+    potentialAt(voxel + ivec3(1, 0, 0)) - potentialAt(voxel - ivec3(1, 0, 0)),
+    potentialAt(voxel + ivec3(0, 1, 0)) - potentialAt(voxel - ivec3(0, 1, 0)),
+    potentialAt(voxel + ivec3(0, 0, 1)) - potentialAt(voxel - ivec3(0, 0, 1))) / (2.0 * u_cellSize);
+}
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  vec4 force = texelFetch(u_force, texel, 0);
+  vec3 position = texelFetch(u_positions, texel, 0).xyz;
+
+  // Base node in [1, n - 3]: all 8 nodes have both neighbours inside the patch
+  vec3 g = (position - u_patchMin) / u_cellSize;
+  if (any(lessThan(g, vec3(1.0))) || any(greaterThanEqual(g, vec3(float(u_gridSize) - 2.0)))) {
+    outColor = force;
+    return;
+  }
+
+  vec3 base = floor(g);
+  vec3 t = g - base;
+  ivec3 b = ivec3(base);
+
+  vec3 gradient = vec3(0.0);
+  for (int dz = 0; dz <= 1; dz++) {
+    for (int dy = 0; dy <= 1; dy++) {
+      for (int dx = 0; dx <= 1; dx++) {
+        vec3 w = mix(1.0 - t, t, vec3(dx, dy, dz));
+        gradient += w.x * w.y * w.z * gradientAt(b + ivec3(dx, dy, dz));
+      }
+    }
+  }
+
+  outColor = vec4(-gradient, force.w);
+}
+`;
@@ -0,0 +1,100 @@
+// @ts-check
+
+/**
+ * One damped Jacobi sweep of ∇²φ = 4πG(ρ - ρ̄) on a refinement patch
+ *
+ * Boundary nodes are Dirichlet: they take the parent PM potential, trilinearly
+ * interpolated at the node's world position. Interior nodes relax towards the
+ * 7-point discrete Laplacian solution (per-axis spacing). With u_init set every
+ * node takes the parent potential, the starting guess of the sweeps.
+ *
+ * Output: R32F patch potential in the packed Z-slice layout
+ */
+
+export default /* glsl */`#version 300 es
+precision highp float;
+precision highp int;
+
+out vec4 outColor;
+
+uniform sampler2D u_massGrid;         // patch mass per node (R32F)
+uniform sampler2D u_potential;        // previous sweep (R32F)
+uniform sampler2D u_parentPotential;  // parent PM potential (R32F)
+
+uniform int u_gridSize;               // patch nodes per axis
+uniform int u_slicesPerRow;
+uniform vec3 u_patchMin;              // world position of node (0, 0, 0)
+uniform vec3 u_cellSize;              // patch node spacing per axis
+
+uniform ivec3 u_parentGridSize;
+uniform int u_parentSlicesPerRow;
+uniform vec3 u_parentMin;
+uniform vec3 u_parentCellSize;
+
+uniform float u_gravitationalConstant; // 4πG
+uniform float u_massToDensity;         // 1 / patch cell volume
+uniform float u_backgroundDensity;     // mean density removed by a periodic parent, else 0
+uniform float u_omega;                 // Jacobi damping
+uniform int u_init;                    // 1 = write the parent potential everywhere
+
+ivec2 patchTexel(ivec3 voxel) {
+  int n = u_gridSize;
+  return ivec2((voxel.z % u_slicesPerRow) * n + voxel.x, (voxel.z / u_slicesPerRow) * n + voxel.y);
+}
+
+float parentNode(ivec3 node) {
+  ivec3 N = u_parentGridSize;
+  ivec3 c = clamp(node, ivec3(0), N - 1);
+  ivec2 texel = ivec2((c.z % u_parentSlicesPerRow) * N.x + c.x, (c.z / u_parentSlicesPerRow) * N.y + c.y);
+  return texelFetch(u_parentPotential, texel, 0).r;
+}
+
+// Trilinear parent potential: node i sits at u_parentMin + i * u_parentCellSize
+float sampleParent(vec3 worldPos) {
+  vec3 g = (worldPos - u_parentMin) / u_parentCellSize;
+  vec3 base = floor(g);
+  vec3 t = g - base;
+  ivec3 b = ivec3(base);
+
+  float c00 = mix(parentNode(b), parentNode(b + ivec3(1, 0, 0)), t.x);
+  float c01 = mix(parentNode(b + ivec3(0, 1, 0)), parentNode(b + ivec3(1, 1, 0)), t.x);
+  float c10 = mix(parentNode(b + ivec3(0, 0, 1)), parentNode(b + ivec3(1, 0, 1)), t.x);
+  float c11 = mix(parentNode(b + ivec3(0, 1, 1)), parentNode(b + ivec3(1, 1, 1)), t.x);
+  return mix(mix(c00, c01, t.y), mix(c10, c11, t.y), t.z);
+}
+
+float potentialAt(ivec3 voxel) {
+  return texelFetch(u_potential, patchTexel(voxel), 0).r;
+}
+
+void main() {
+  ivec2 texel = ivec2(gl_FragCoord.xy);
+  int n = u_gridSize;
+
+  int iz = (texel.y / n) * u_slicesPerRow + texel.x / n;
+  if (iz >= n) {
+    outColor = vec4(0.0);
+    return;
+  }
+  ivec3 voxel = ivec3(texel.x % n, texel.y % n, iz);
+  vec3 worldPos = u_patchMin + vec3(voxel) * u_cellSize;
+
+  bool boundary = any(equal(voxel, ivec3(0))) || any(equal(voxel, ivec3(n - 1)));
+  if (u_init == 1 || boundary) {
+    outColor = vec4(sampleParent(worldPos), 0.0, 0.0, 0.0);
+    return;
+  }
+
+  vec3 invH2 = 1.0 / (u_cellSize * u_cellSize);
+  float neighbours =
+    (potentialAt(voxel + ivec3(1, 0, 0)) + potentialAt(voxel - ivec3(1, 0, 0))) * invH2.x +
+    (potentialAt(voxel + ivec3(0, 1, 0)) + potentialAt(voxel - ivec3(0, 1, 0))) * invH2.y +
+    (potentialAt(voxel + ivec3(0, 0, 1)) + potentialAt(voxel - ivec3(0, 0, 1))) * invH2.z;
+
+  float density = texelFetch(u_massGrid, texel, 0).r * u_massToDensity - u_backgroundDensity;
+  float jacobi = (neighbours - u_gravitationalConstant * density) / (2.0 * (invH2.x + invH2.y + invH2.z));
+
+  float phi = potentialAt(voxel);
+  outColor = vec4(mix(phi, jacobi, u_omega), 0.0, 0.0, 0.0);
+}
+`;
@@ -5,9 +5,11 @@
  * 
  * Deposits particle mass onto PM grid using point sprites.
  * Each particle is rendered as a point, and the fragment shader
- * distributes mass to nearby grid cells (CIC or NGP scheme).
+ * distributes mass to nearby grid cells (NGP, CIC, TSC or PCS scheme).
  */
 
+import { assignmentGlsl } from '../../assignment.js';
+
 export default /* glsl */`#version 300 es
 precision highp float;
 
@@ -16,20 +18,21 @@ uniform sampler2D u_positions;
 uniform vec2 u_particleTextureSize;
 
 // Grid parameters
-uniform float u_gridSize;        // Grid resolution (N)
-uniform float u_slicesPerRow;    // Z-slices per row
+uniform ivec3 u_gridSize;        // Grid resolution per axis (Nx, Ny, Nz)
+uniform int u_slicesPerRow;      // Z-slices per row
 uniform vec3 u_worldMin;         // World space bounds
 uniform vec3 u_worldMax;
 uniform float u_particleSize;    // Point size for deposition kernel
-uniform int u_assignment;        // 0 = NGP, 1 = CIC
-uniform vec3 u_cellOffset;       // Offset applied for CIC (0 or 1 per axis)
+uniform int u_order;             // 1 = NGP, 2 = CIC, 3 = TSC, 4 = PCS
+uniform vec3 u_cellOffset;       // Stencil node offset from the base node
 uniform vec2 u_textureSize;      // 2D packed texture size (width, height)
+uniform int u_clip;              // 1 = skip particles outside the grid region (refinement patches)
 
 // Outputs to fragment shader
 out float v_mass;
-out vec3 v_gridPos;  // Position in grid space [0, N]
-out float v_weight;  // CIC weight per offset
-
+out vec3 v_gridPos;  // Position in grid space [0, N) per axis
+out float v_weight;  // Stencil weight per offset
+${assignmentGlsl}
 void main() {
   // Get particle index from gl_VertexID
   int particleIndex = gl_VertexID;
@@ -47,40 +50,33 @@ void main() {
   
   v_mass = mass;
   
-  // Convert world position to grid coordinates [0, N]
-  vec3 gridPos = (worldPos - u_worldMin) / (u_worldMax - u_worldMin) * u_gridSize;
+  // Convert world position to grid coordinates [0, N) per axis
+  vec3 gridPos = (worldPos - u_worldMin) / (u_worldMax - u_worldMin) * vec3(u_gridSize);
   v_gridPos = gridPos;
-  
-  vec3 baseVoxelF = floor(gridPos);
-  ivec3 baseVoxel = ivec3(baseVoxelF);
-  vec3 frac = gridPos - baseVoxelF;
-
-  // If CIC, apply offset and compute weight; otherwise use base cell
-  ivec3 voxel = baseVoxel;
-  float weight = 1.0;
-  if (u_assignment == 1) {
-    // CIC uses offsets 0 or 1 on each axis
-    vec3 offset = u_cellOffset;
-    voxel += ivec3(offset);
 
-    // clamp inside grid
-    voxel = clamp(voxel, ivec3(0), ivec3(int(u_gridSize) - 1));
-
-    vec3 w = mix(1.0 - frac, frac, offset);
-    weight = w.x * w.y * w.z;
-  } else {
-    voxel = clamp(voxel, ivec3(0), ivec3(int(u_gridSize) - 1));
+  // Clipped deposit: a particle outside the region adds nothing, instead of piling onto the edge
+  if (u_clip == 1 && (any(lessThan(gridPos, vec3(0.0))) || any(greaterThanEqual(gridPos, vec3(u_gridSize))))) {
+    v_weight = 0.0;
+    gl_Position = vec4(2.0, 2.0, 0.0, 1.0);
+    gl_PointSize = 1.0;
+    return;
   }
-  v_weight = weight;
+  
+  vec3 baseVoxelF = assignmentBase(gridPos, u_order);
+  ivec3 offset = ivec3(u_cellOffset);
+
+  // Stencil node for this pass, clamped inside grid
+  ivec3 voxel = clamp(ivec3(baseVoxelF) + offset, ivec3(0), u_gridSize - 1);
+  v_weight = assignmentWeight(gridPos - baseVoxelF, offset, u_order);
   
   // Convert voxel to 2D texture coordinates
-  int sliceRow = voxel.z / int(u_slicesPerRow);
-  int sliceCol = voxel.z % int(u_slicesPerRow);
+  int sliceRow = voxel.z / u_slicesPerRow;
+  int sliceCol = voxel.z % u_slicesPerRow;
 
   
   vec2 texel = vec2(
-    float(sliceCol * int(u_gridSize) + voxel.x) + 0.5,
-    float(sliceRow * int(u_gridSize) + voxel.y) + 0.5
+    float(sliceCol * u_gridSize.x + voxel.x) + 0.5,
+    float(sliceRow * u_gridSize.y + voxel.y) + 0.5
   );
   
   // Convert to NDC [-1, 1]
@@ -6,8 +6,14 @@
  * Solves: ∇²φ = 4πGρ
  * In Fourier space: φ(k) = -4πGρ(k) / k²
  * 
+ * Isolated boundaries: φ(k) = ρ(k)·G(k), with G(k) the transformed real-space
+ * Green's function of the zero-padded grid (k = 0 included)
+ *
  * Input: Mass density spectrum ρ(k) (complex RG)
  * Output: Potential spectrum φ(k) (complex RG)
+ *
+ * Either full spectra or half spectra (the Nx/2+1 non-negative X frequencies of
+ * KFFT halfSpectrum): the X wave index of a half spectrum is its column, never wrapped
  */
 
 export default /* glsl */`#version 300 es
@@ -18,16 +24,18 @@ out vec4 outColor;
 
 uniform sampler2D u_densitySpectrum;
 uniform ivec3 u_gridSize;
+uniform int u_spectrumWidth;           // nodes along X in the layout: Nx, or Nx/2+1 for a half spectrum
 uniform float u_slicesPerRow;
 uniform vec2 u_textureSize;
 uniform float u_gravitationalConstant;  // 4πG
-uniform float u_worldVolume;            // Physical volume of simulation box
 uniform vec3 u_worldSize;              // Physical size per axis of simulation box
 uniform int u_splitMode;               // 0 = none, 1 = hard cutoff, 2 = Gaussian
 uniform float u_kCut;                  // Cutoff wavenumber (rad / unit length)
 uniform float u_gaussianSigma;         // Sigma for Gaussian split (length)
-uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC
+uniform int u_deconvolveOrder;         // 0 = none, 1 = NGP, 2 = CIC, 3 = TSC, 4 = PCS
 uniform int u_useDiscrete;             // 1 = use discrete Laplacian eigenvalue
+uniform int u_isolated;                // 1 = multiply by u_greenSpectrum instead of -4πG/k²
+uniform sampler2D u_greenSpectrum;     // transformed Green's function (isolated only)
 
 const float PI = 3.14159265359;
 const float TWO_PI = 6.28318530718;
@@ -36,9 +44,9 @@ const float TWO_PI = 6.28318530718;
 ivec3 texCoordToVoxel(vec2 uv, ivec3 gridSize, float slicesPerRow) {
   // Map uv -> texel coordinates using actual texture dimensions, then subtract 0.5
   vec2 texel = uv * u_textureSize - 0.5;
-  int sliceIndex = int(texel.y / float(gridSize.y)) * int(slicesPerRow) + int(texel.x / float(gridSize.x));
+  int sliceIndex = int(texel.y / float(gridSize.y)) * int(slicesPerRow) + int(texel.x / float(u_spectrumWidth));
   int iz = sliceIndex;
-  int ix = int(mod(texel.x, float(gridSize.x)));
+  int ix = int(mod(texel.x, float(u_spectrumWidth)));
   int iy = int(mod(texel.y, float(gridSize.y)));
   return ivec3(ix, iy, iz);
 }
@@ -112,11 +120,15 @@ void main() {
   }
 
   vec2 phi_k = vec2(0.0);
-  if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
-    // The mass spectrum needs to be converted to a density spectrum.
-    // The N^3 from the density conversion and 1/N^3 from IFFT cancel.
-    // The remaining factor is 1/worldVolume.
-    float green = -u_gravitationalConstant / (k2 * u_worldVolume);
+  if (u_isolated == 1) {
+    // Cyclic convolution with the padded Green's function: complex product,
+    // including k = 0 (open boundaries have no mean-field ambiguity)
+    vec2 green_k = texture(u_greenSpectrum, v_uv).rg;
+    phi_k = vec2(rho_k.x * green_k.x - rho_k.y * green_k.y, rho_k.x * green_k.y + rho_k.y * green_k.x);
+  } else if (k2 >= 1e-10) { // Avoid division by zero at DC (k=0)
+    // The spectrum is already of density (KFFT's massToDensity) and the inverse
+    // FFT carries the 1/N^3, so the continuum Green's function applies as is.
+    float green = -u_gravitationalConstant / k2;
     phi_k = rho_k * green;
   } else {
     // DC mode (k=0): set to zero (mean field should be zero in periodic box)
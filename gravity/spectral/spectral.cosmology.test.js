@@ -0,0 +1,85 @@
+// @ts-check
+
+/**
+ * Comoving mode for the spectral system: the scale factor follows the Friedmann
+ * expansion, and peculiar velocities of an unperturbed lattice decay as a⁻².
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, readTexture, resetGL } from '../test-utils.js';
+import { zeldovich } from '../cosmology.js';
+import { GravitySpectral } from './gravity-spectral.js';
+
+const worldBounds = /** @type {{ min: [number, number, number], max: [number, number, number] }} */ ({ min: [-4, -4, -4], max: [4, 4, 4] });
+const G = 0.01;
+
+/**
+ * Test 1: a uniform lattice feels no force, only the Hubble drag
+ */
+test('spectral.cosmology: lattice velocities decay as a^-2', async () => {
+  const gl = getGL();
+
+  const cosmology = { hubble: 0.5, scaleFactor: 0.2 };
+  const particles = zeldovich({ gridSize: 4, worldBounds, powerSpectrum: () => 0, cosmology, gravityStrength: G });
+  const width = 8;
+  const height = 8;
+
+  const system = new GravitySpectral({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    worldBounds,
+    dt: 0.05,
+    gravityStrength: G,
+    maxSpeed: 10,
+    gridSize: 8,
+    cosmology
+  });
+
+  const positions = new Float32Array(width * height * 4);
+  const velocities = new Float32Array(width * height * 4);
+  particles.forEach((p, i) => {
+    positions.set([p.x, p.y, p.z, p.mass], i * 4);
+    velocities.set([0.1, -0.05, 0, 0], i * 4);
+  });
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, positions);
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, velocities);
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  for (let i = 0; i < 20; i++) system.step();
+
+  // Einstein-de Sitter: a = (t / t0)^(2/3), t0 = 2 / (3·H0)
+  const t0 = 2 / (3 * 0.5);
+  const expectedA = Math.pow((t0 * Math.pow(0.2, 1.5) + 20 * 0.05) / t0, 2 / 3);
+  assert.ok(Math.abs(system.scaleFactor - expectedA) < 1e-4 * expectedA, `a=${system.scaleFactor} vs ${expectedA}`);
+
+  const decay = (0.2 / system.scaleFactor) ** 2;
+  const result = readTexture(gl, /** @type {WebGLTexture} */(system.velocityColorTexture), width, height);
+  const summary = system.toString();
+  for (let i = 0; i < particles.length; i++) {
+    const vx = result[i * 4 + 0];
+    const vy = result[i * 4 + 1];
+    assert.ok(Math.abs(vx - 0.1 * decay) < 0.03 * 0.1 * decay, `Particle ${i} vx=${vx} vs ${0.1 * decay}\n\n${summary}`);
+    assert.ok(Math.abs(vy + 0.05 * decay) < 0.03 * 0.05 * decay, `Particle ${i} vy=${vy} vs ${-0.05 * decay}`);
+  }
+
+  system.dispose();
+  resetGL();
+});
+
+/**
+ * Test 2: comoving runs need the periodic grid
+ */
+test('spectral.cosmology: rejects isolated boundaries', async () => {
+  const gl = getGL();
+
+  assert.throws(() => new GravitySpectral({
+    gl, textureWidth: 2, textureHeight: 1, gridSize: 8, isolated: true, cosmology: { hubble: 0.5 }
+  }), /periodic grid/);
+
+  resetGL();
+});
@@ -0,0 +1,72 @@
+// @ts-check
+
+/**
+ * Isolated boundaries for the spectral system: two bodies near opposite faces of the
+ * box attract each other across it, instead of through the periodic image a cell away.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { getGL, resetGL } from '../test-utils.js';
+import { GravityDirect } from '../direct/gravity-direct.js';
+import { relativeForceError } from '../direct/force-error.js';
+import { GravitySpectral } from './gravity-spectral.js';
+
+const width = 2;
+const height = 1;
+const G = 0.01;
+const softening = 0.05;
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {boolean} isolated
+ */
+function measure(gl, isolated) {
+  const system = new GravitySpectral({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    // Walls keep worldBounds fixed, so the bodies stay 7 apart inside an 8-wide box
+    worldBounds: { min: [-4, -4, -4], max: [4, 4, 4] },
+    walls: { x: 'reflect', y: 'reflect', z: 'reflect' },
+    gravityStrength: G,
+    softening,
+    gridSize: 16,
+    isolated
+  });
+  const reference = new GravityDirect({ gl, textureWidth: width, textureHeight: height, gravityStrength: G, softening });
+
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.positionMassTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT,
+    new Float32Array([-3.5, 0.1, 0.2, 1.0, 3.5, -0.1, 0.3, 1.0]));
+  gl.bindTexture(gl.TEXTURE_2D, /** @type {WebGLTexture} */(system.velocityColorTexture));
+  gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, new Float32Array(width * height * 4));
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  const report = relativeForceError({ system, reference });
+  const summary = system.toString();
+
+  system.dispose();
+  reference.dispose();
+  return { report, summary };
+}
+
+test('spectral.isolated: bodies across the box attract directly', async () => {
+  const gl = getGL();
+
+  const { report, summary } = measure(gl, true);
+  for (const e of report.errors) assert.ok(Number.isFinite(e), `Every particle has a finite error, got ${e}\n\n${summary}`);
+  assert.ok(report.max < 0.2, `Max relative error ${report.max.toExponential(3)} with isolated boundaries\n\n${summary}`);
+
+  resetGL();
+});
+
+test('spectral.isolated: periodic box pulls them apart through the image', async () => {
+  const gl = getGL();
+
+  const { report } = measure(gl, false);
+  assert.ok(report.median > 1, `Median relative error ${report.median.toExponential(3)}: the nearer image wins`);
+
+  resetGL();
+});
@@ -0,0 +1,96 @@
+// @ts-check
+
+/**
+ * Wall modes for the integration kernels
+ *
+ * Each axis of worldBounds can be open ('none') or walled:
+ * - 'reflect': mirror the overshoot back inside, reverse and scale the normal velocity by restitution
+ * - 'absorb': set mass to 0 and park the particle on the wall (skipped by every kernel afterwards)
+ * - 'wrap': re-enter through the opposite face (periodic)
+ */
+
+/** @typedef {'none' | 'reflect' | 'absorb' | 'wrap'} WallMode */
+/** @typedef {{ x?: WallMode, y?: WallMode, z?: WallMode }} Walls */
+
+const WALL_CODES = { none: 0, reflect: 1, absorb: 2, wrap: 3 };
+
+/**
+ * Resolve per-axis wall modes. A 'periodic' boundary wraps every axis
+ * and cannot be combined with other wall modes.
+ * @param {Walls | undefined} walls
+ * @param {'open' | 'periodic'} [boundary]
+ * @returns {{ x: WallMode, y: WallMode, z: WallMode }}
+ */
+export function resolveWalls(walls, boundary) {
+  /** @type {WallMode} */
+  const fallback = boundary === 'periodic' ? 'wrap' : 'none';
+  const resolved = {
+    x: (walls && walls.x) || fallback,
+    y: (walls && walls.y) || fallback,
+    z: (walls && walls.z) || fallback
+  };
+
+  for (const axis of /** @type {const} */ (['x', 'y', 'z'])) {
+    if (!(resolved[axis] in WALL_CODES))
+      throw new Error(`Unknown wall mode '${resolved[axis]}' for axis ${axis}`);
+    if (boundary === 'periodic' && resolved[axis] !== 'wrap')
+      throw new Error(`Periodic boundary requires 'wrap' walls, got '${resolved[axis]}' for axis ${axis}`);
+  }
+
+  return resolved;
+}
+
+/**
+ * True when any axis has a wall: worldBounds then define the walls and must stay fixed
+ * @param {{ x: WallMode, y: WallMode, z: WallMode }} walls
+ */
+export function hasWalls(walls) {
+  return walls.x !== 'none' || walls.y !== 'none' || walls.z !== 'none';
+}
+
+/**
+ * Integer codes for the u_walls uniform
+ * @param {{ x: WallMode, y: WallMode, z: WallMode }} walls
+ * @returns {[number, number, number]}
+ */
+export function wallCodes(walls) {
+  return [WALL_CODES[walls.x], WALL_CODES[walls.y], WALL_CODES[walls.z]];
+}
+
+/**
+ * GLSL declarations and applyWalls(), spliced into integration shaders after the precision line
+ */
+export const wallsGlsl = /* glsl */`
+uniform ivec3 u_walls;          // per axis: 0 none, 1 reflect, 2 absorb, 3 wrap
+uniform float u_restitution;
+uniform vec3 u_worldMin;
+uniform vec3 u_worldMax;
+
+void applyWalls(inout vec3 pos, inout vec3 vel, inout float mass) {
+  vec3 extent = max(u_worldMax - u_worldMin, vec3(1e-6));
+  for (int axis = 0; axis < 3; axis++) {
+    int mode = u_walls[axis];
+    float lo = u_worldMin[axis];
+    float hi = u_worldMax[axis];
+    float p = pos[axis];
+    if (mode == 0 || (p >= lo && p <= hi)) continue;
+
+    if (mode == 1) {
+      // Reflect: mirror the overshoot (never past the opposite wall), reverse normal velocity
+      float overshoot = min((p < lo ? lo - p : p - hi) * u_restitution, extent[axis]);
+      pos[axis] = p < lo ? lo + overshoot : hi - overshoot;
+      vel[axis] = -vel[axis] * u_restitution;
+    } else if (mode == 2) {
+      // Absorb: massless particles are skipped everywhere; park on the wall so bounds stay put
+      mass = 0.0;
+      vel = vec3(0.0);
+      pos = clamp(pos, u_worldMin, u_worldMax);
+      return;
+    } else {
+      // Wrap: re-enter through the opposite face
+      float norm = (p - lo) / extent[axis];
+      pos[axis] = lo + (norm - floor(norm)) * extent[axis];
+    }
+  }
+}
+`;
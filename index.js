@@ -2,5 +2,9 @@
 
 export { massSpotMesh } from './mass-spot-mesh.js';
 export { particleSystem } from './gravity/gravity.js';
+export { relativeForceError } from './gravity/direct/force-error.js';
+export { zeldovich } from './gravity/cosmology.js';
+export { ParticleSystem } from './particle-system.js';
 export { GraphLaplacian } from './graph/laplacian/graph-laplacian.js';
+export { GraphRepulsion } from './graph/repulsion/graph-repulsion.js';
 export const version = '2.0.14';
@@ -1,49 +1,251 @@
 // @ts-check
 
 /**
+ * ParticleSystem - orchestrator for pluggable force modules
+ *
+ * Owns the position/velocity ping-pong textures and a shared force texture,
+ * and runs a fixed frame graph (docs/12-lean-api.md):
+ * clear force → each module accumulates → integrate → swap.
+ *
+ * Any object with accumulate(ctx) is a force module: GraphLaplacian, GraphRepulsion, and each
+ * Gravity* class (GravityMonopole, GravityQuadrupole, GravityMesh, GravitySpectral, GravityDirect).
+ * Without EXT_float_blend only GraphLaplacian and GravityDirect can be added: the octree,
+ * mesh and spectral methods and GraphRepulsion scatter with additive blending.
+ */
+
+import { KIntegrateEuler } from './gravity/multipole/k-integrate-euler.js';
+
+/**
+ * @typedef {{
+ *   positionTexture: WebGLTexture,
+ *   velocityTexture: WebGLTexture,
+ *   targetForceTexture: WebGLTexture,
+ *   targetForceFramebuffer: WebGLFramebuffer,
+ *   dt: number
+ * }} ForceContext
+ */
+
+/**
+ * Force module contract: add this frame's per-particle acceleration into
+ * ctx.targetForceTexture (additively, the target is shared by all modules).
+ * Without EXT_float_blend the target cannot be blended into: the system then
+ * calls useBlendFallback() once when adopting the module, and rejects modules
+ * that have none. Only a module none of whose passes blend implements it, and it
+ * reports the switch through disableFloatBlend; a module that cannot switch throws.
  * @typedef {{
- *  positionMassTexture: WebGLTexture,
- *  velocityColorTexture: WebGLTexture,
- *  step(): void
- * }} ForceComputation
+ *   accumulate(ctx: ForceContext): void,
+ *   useBlendFallback?(): void,
+ *   disableFloatBlend?: boolean
+ * }} ForceModule
  */
 
 export class ParticleSystem {
   /**
    * @param {{
    *  gl: WebGL2RenderingContext,
-   *  forces: ForceComputation[],
+   *  forces?: ForceModule[],
+   *  textureWidth: number,
+   *  textureHeight: number,
    *  positionMassTexture?: WebGLTexture,
-   *  velocityColorTexture?: WebGLTexture
+   *  velocityColorTexture?: WebGLTexture,
+   *  dt?: number,
+   *  damping?: number,
+   *  maxSpeed?: number,
+   *  maxAccel?: number
    * }} _
    */
   constructor({
     gl,
-    forces
+    forces,
+    textureWidth,
+    textureHeight,
+    positionMassTexture,
+    velocityColorTexture,
+    dt,
+    damping,
+    maxSpeed,
+    maxAccel
   }) {
+    this.gl = gl;
+
+    if (!(this.gl instanceof WebGL2RenderingContext))
+      throw new Error('ParticleSystem requires WebGL2RenderingContext');
+
+    if (!textureWidth || !textureHeight)
+      throw new Error('ParticleSystem requires textureWidth and textureHeight');
+
+    this.textureWidth = textureWidth;
+    this.textureHeight = textureHeight;
+    this.actualTextureSize = textureWidth * textureHeight;
+
+    this.dt = dt !== undefined ? dt : 1 / 60;
+    this.damping = damping !== undefined ? damping : 0.0;
+    this.maxSpeed = maxSpeed !== undefined ? maxSpeed : 2.0;
+    this.maxAccel = maxAccel !== undefined ? maxAccel : 1.0;
+
+    this.frameCount = 0;
+
+    const colorBufferFloat = this.gl.getExtension('EXT_color_buffer_float');
+    if (!colorBufferFloat)
+      throw new Error('EXT_color_buffer_float extension not supported');
+
+    // Without float blending every module must fall back to read-modify-write
+    const floatBlend = this.gl.getExtension('EXT_float_blend');
+    this.disableFloatBlend = !floatBlend;
+
+    /** @type {ForceModule[]} */
+    this.forces = [];
+    for (const force of forces || []) this.addForce(force);
+
+    // The integrator allocates the ping-pong textures and the shared force
+    // texture unless they are passed in; the system adopts them.
+    this.integrateEulerKernel = new KIntegrateEuler({
+      gl: this.gl,
+      inPosition: positionMassTexture,
+      inVelocity: velocityColorTexture,
+      // inForce omitted - kernel will create the shared force target
+      width: this.textureWidth,
+      height: this.textureHeight,
+      dt: this.dt,
+      damping: this.damping,
+      maxSpeed: this.maxSpeed,
+      maxAccel: this.maxAccel
+    });
+
+    this.positionMassTexture = this.integrateEulerKernel.inPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.inVelocity;
+    this.forceTexture = this.integrateEulerKernel.inForce;
+
+    this.forceFramebuffer = this.gl.createFramebuffer();
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.forceFramebuffer);
+    this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.forceTexture, 0);
+    const status = this.gl.checkFramebufferStatus(this.gl.FRAMEBUFFER);
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    if (status !== this.gl.FRAMEBUFFER_COMPLETE)
+      throw new Error(`ParticleSystem: force framebuffer incomplete (status=${status})`);
+  }
+
+  /**
+   * Add a force module; takes effect from the next step()
+   * @param {ForceModule} force
+   */
+  addForce(force) {
+    if (this.forces.includes(force)) return;
+    if (this.disableFloatBlend) {
+      if (!force.useBlendFallback)
+        throw new Error('ParticleSystem: EXT_float_blend not supported and the force module has no blend-free fallback');
+      force.useBlendFallback();
+      if (force.disableFloatBlend !== true)
+        throw new Error('ParticleSystem: force module did not report disableFloatBlend after useBlendFallback()');
+    }
+    this.forces.push(force);
   }
 
+  /**
+   * Remove a force module; the module is not disposed
+   * @param {ForceModule} force
+   */
+  removeForce(force) {
+    const index = this.forces.indexOf(force);
+    if (index >= 0) this.forces.splice(index, 1);
+  }
+
+  /**
+   * Step the simulation forward one frame
+   */
   step() {
-    // TODO: possibly trigger world bounds update
-    // TODO: kick each force computation
-    // TODO: integrate positions and velocities
-    // TODO: swap buffers for next frame
+    if (!this.positionMassTexture || !this.velocityColorTexture || !this.forceTexture || !this.forceFramebuffer)
+      throw new Error('ParticleSystem: textures missing');
+
+    // 1. Clear shared force target
+    this._clearForces();
+
+    // 2. Kick each force module: all read the same positions, all add into the same target
+    /** @type {ForceContext} */
+    const ctx = {
+      positionTexture: this.positionMassTexture,
+      velocityTexture: this.velocityColorTexture,
+      targetForceTexture: this.forceTexture,
+      targetForceFramebuffer: this.forceFramebuffer,
+      dt: this.dt
+    };
+    for (const force of this.forces) {
+      force.accumulate(ctx);
+    }
+
+    // 3. Integrate positions and velocities
+    this._integratePhysics();
+
+    this.frameCount++;
   }
 
+  _clearForces() {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.forceFramebuffer);
+    gl.viewport(0, 0, this.textureWidth, this.textureHeight);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  _integratePhysics() {
+    // keep integrator parameters in sync with system properties
+    this.integrateEulerKernel.dt = this.dt;
+    this.integrateEulerKernel.damping = this.damping;
+    this.integrateEulerKernel.maxSpeed = this.maxSpeed;
+    this.integrateEulerKernel.maxAccel = this.maxAccel;
+
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+    this.integrateEulerKernel.inForce = this.forceTexture;
+    this.integrateEulerKernel.run();
+
+    // 4. Swap buffers for next frame
+    this.positionMassTexture = this.integrateEulerKernel.outPosition;
+    this.velocityColorTexture = this.integrateEulerKernel.outVelocity;
+
+    this.integrateEulerKernel.outPosition = this.integrateEulerKernel.inPosition;
+    this.integrateEulerKernel.outVelocity = this.integrateEulerKernel.inVelocity;
+    this.integrateEulerKernel.inPosition = this.positionMassTexture;
+    this.integrateEulerKernel.inVelocity = this.velocityColorTexture;
+  }
+
+  /**
+   * Release the ping-pong and force textures. Force modules are owned by the
+   * caller and are not disposed here.
+   */
   dispose() {
+    if (this.integrateEulerKernel) this.integrateEulerKernel.dispose();
+    if (this.forceFramebuffer) this.gl.deleteFramebuffer(this.forceFramebuffer);
+    this.forceFramebuffer = null;
+    this.forces = [];
   }
 }
 
 /**
+ * Per-texel record passed to get/set mappers of writeTextureRgba/readTextureRgba:
+ * index is the texel slot, x/y/z/w are the RGBA channels.
+ * @typedef {{ index: number, x: number, y: number, z: number, w: number }} TexelRgba
+ */
+
+/**
+ * Upload a subrange of particles into an RGBA32F texture without touching other texels.
+ *
+ * Slots are either the contiguous range starting at textureIndex (particles[k] → textureIndex + k),
+ * or an explicit list (particles[k] → indices[k]). Contiguous slots are grouped into row spans,
+ * each uploaded with one texSubImage2D; a contiguous range costs at most three uploads.
+ *
  * @param {{
  *   gl: WebGL2RenderingContext,
  *   particles: any[],
- *   get: (particle: any, out: any) => void,
+ *   get: (particle: any, out: TexelRgba) => void,
  *   texture: WebGLTexture,
  *   textureWidth: number,
  *   textureHeight: number,
- *   textureIndex: number
+ *   textureIndex?: number,
+ *   indices?: ArrayLike<number>
  * }} _
+ * @returns {number} Number of texels written
  */
 export function writeTextureRgba({
   gl,
@@ -51,21 +253,59 @@ export function writeTextureRgba({
   get,
   texture,
   textureWidth, textureHeight,
-  textureIndex
+  textureIndex,
+  indices
 }) {
-  // TODO: write particles array data into RGBA texture
+  const count = particles.length;
+  if (!count) return 0;
+
+  const slots = resolveSlots({ count, textureWidth, textureHeight, textureIndex, indices });
+  const staging = getStagingBuffer(count * 4);
+
+  const dummy = { index: 0, x: 0, y: 0, z: 0, w: 0 };
+
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+
+  forEachSpan(slots, textureWidth, (start, end, x, y, width, height) => {
+    for (let k = start; k < end; k++) {
+      const particle = particles[slots.order ? slots.order[k] : k];
+      dummy.index = slots.at(k);
+      dummy.x = dummy.y = dummy.z = dummy.w = 0;
+      get(particle, dummy);
+
+      const base = (k - start) * 4;
+      staging[base + 0] = dummy.x;
+      staging[base + 1] = dummy.y;
+      staging[base + 2] = dummy.z;
+      staging[base + 3] = dummy.w;
+    }
+
+    gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, width, height, gl.RGBA, gl.FLOAT,
+      staging.subarray(0, (end - start) * 4));
+  });
+
+  gl.bindTexture(gl.TEXTURE_2D, null);
+
+  return count;
 }
 
 /**
+ * Read back a subrange of an RGBA32F texture into particles.
+ *
+ * Slot addressing matches writeTextureRgba: contiguous from textureIndex, or an explicit indices list.
+ * Each row span is fetched with one readPixels through a framebuffer pooled per context.
+ *
  * @param {{
  *   gl: WebGL2RenderingContext,
  *   particles: any[],
- *   set: (particle: any, data: any) => void,
+ *   set: (particle: any, data: TexelRgba) => void,
  *   texture: WebGLTexture,
  *   textureWidth: number,
  *   textureHeight: number,
- *   textureIndex: number
+ *   textureIndex?: number,
+ *   indices?: ArrayLike<number>
  * }} _
+ * @returns {number} Number of texels read
  */
 export function readTextureRgba({
   gl,
@@ -73,7 +313,140 @@ export function readTextureRgba({
   set,
   texture,
   textureWidth, textureHeight,
-  textureIndex
+  textureIndex,
+  indices
 }) {
-  // TODO: read back RGBA texture data into particles array
-}
\ No newline at end of file
+  const count = particles.length;
+  if (!count) return 0;
+
+  const slots = resolveSlots({ count, textureWidth, textureHeight, textureIndex, indices });
+  const staging = getStagingBuffer(count * 4);
+
+  const dummy = { index: 0, x: 0, y: 0, z: 0, w: 0 };
+
+  const previousFramebuffer = gl.getParameter(gl.FRAMEBUFFER_BINDING);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, getReadFramebuffer(gl));
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+  try {
+    forEachSpan(slots, textureWidth, (start, end, x, y, width, height) => {
+      const data = staging.subarray(0, (end - start) * 4);
+      gl.readPixels(x, y, width, height, gl.RGBA, gl.FLOAT, data);
+
+      for (let k = start; k < end; k++) {
+        const base = (k - start) * 4;
+        dummy.index = slots.at(k);
+        dummy.x = data[base + 0];
+        dummy.y = data[base + 1];
+        dummy.z = data[base + 2];
+        dummy.w = data[base + 3];
+        set(particles[slots.order ? slots.order[k] : k], dummy);
+      }
+    });
+  } finally {
+    // Detach so the pooled framebuffer never keeps a caller texture alive
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, null, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, previousFramebuffer);
+  }
+
+  return count;
+}
+
+/**
+ * Resolve texel slots for a transfer, validated against texture capacity.
+ * For index lists, order is the permutation that sorts particles by slot, so spans can be grouped.
+ * @param {{
+ *   count: number,
+ *   textureWidth: number,
+ *   textureHeight: number,
+ *   textureIndex?: number,
+ *   indices?: ArrayLike<number>
+ * }} _
+ * @returns {{ count: number, at: (k: number) => number, order: Uint32Array | null }}
+ */
+function resolveSlots({ count, textureWidth, textureHeight, textureIndex, indices }) {
+  const capacity = textureWidth * textureHeight;
+
+  if (indices) {
+    if (indices.length !== count)
+      throw new Error(`indices length ${indices.length} does not match particles length ${count}`);
+
+    const order = new Uint32Array(count);
+    for (let k = 0; k < count; k++) {
+      const slot = indices[k];
+      if (!(slot >= 0 && slot < capacity) || slot !== Math.floor(slot))
+        throw new Error(`texel index ${slot} outside texture capacity ${capacity}`);
+      order[k] = k;
+    }
+    order.sort((a, b) => indices[a] - indices[b]);
+
+    return { count, at: (k) => indices[order[k]], order };
+  }
+
+  const first = textureIndex || 0;
+  if (first < 0 || first + count > capacity)
+    throw new Error(`texel range [${first}, ${first + count}) outside texture capacity ${capacity}`);
+
+  return { count, at: (k) => first + k, order: null };
+}
+
+/**
+ * Walk sorted slots as rectangles of consecutive texels: a partial row, or a block of full rows.
+ * @param {{ count: number, at: (k: number) => number }} slots
+ * @param {number} textureWidth
+ * @param {(start: number, end: number, x: number, y: number, width: number, height: number) => void} callback
+ *   Receives the [start, end) range into slots and the texel rectangle it covers.
+ */
+function forEachSpan(slots, textureWidth, callback) {
+  let k = 0;
+  while (k < slots.count) {
+    const first = slots.at(k);
+    const x = first % textureWidth;
+    const y = (first / textureWidth) | 0;
+
+    // extend while slots stay consecutive
+    let end = k + 1;
+    while (end < slots.count && slots.at(end) === first + (end - k)) end++;
+    let length = end - k;
+
+    if (x === 0 && length >= textureWidth) {
+      // block of full rows
+      const rows = (length / textureWidth) | 0;
+      callback(k, k + rows * textureWidth, 0, y, textureWidth, rows);
+      k += rows * textureWidth;
+    } else {
+      // partial row, clipped at the row end
+      length = Math.min(length, textureWidth - x);
+      callback(k, k + length, x, y, length, 1);
+      k += length;
+    }
+  }
+}
+
+/** @type {WeakMap<WebGL2RenderingContext, WebGLFramebuffer>} */
+const readFramebuffers = new WeakMap();
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ */
+function getReadFramebuffer(gl) {
+  let framebuffer = readFramebuffers.get(gl);
+  if (!framebuffer) {
+    framebuffer = gl.createFramebuffer();
+    if (!framebuffer) throw new Error('Failed to allocate framebuffer for texture readback');
+    readFramebuffers.set(gl, framebuffer);
+  }
+  return framebuffer;
+}
+
+let stagingBuffer = new Float32Array(0);
+
+/**
+ * Shared grow-only staging buffer, so per-frame patches do not allocate
+ * @param {number} length
+ */
+function getStagingBuffer(length) {
+  if (stagingBuffer.length < length)
+    stagingBuffer = new Float32Array(Math.max(length, stagingBuffer.length * 2));
+  return stagingBuffer;
+}
@@ -0,0 +1,370 @@
+// @ts-check
+
+/**
+ * Tests for ParticleSystem orchestrator: force modules accumulate into
+ * a shared target that drives one integration step.
+ */
+
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+import { GraphLaplacian } from './graph/laplacian/graph-laplacian.js';
+import { GravityDirect } from './gravity/direct/gravity-direct.js';
+import { GravityMonopole } from './gravity/multipole/gravity-monopole.js';
+import { assertAllFinite, assertClose, createTestTexture, getGL, readTexture, resetGL } from './gravity/test-utils.js';
+import { ParticleSystem, readTextureRgba, writeTextureRgba } from './particle-system.js';
+
+/**
+ * @param {WebGL2RenderingContext} gl
+ * @param {Array<[number, number, number, number]>} values
+ * @param {number} width
+ * @param {number} height
+ */
+function createVecTexture(gl, values, width, height) {
+  const data = new Float32Array(width * height * 4);
+  for (let i = 0; i < values.length; i++) {
+    data.set(values[i], i * 4);
+  }
+  return createTestTexture(gl, width, height, data);
+}
+
+/**
+ * Constant force module used to observe the frame graph.
+ * @param {WebGL2RenderingContext} gl
+ * @param {number} width
+ * @param {number} height
+ * @param {[number, number, number]} force
+ */
+function createConstantForce(gl, width, height, force) {
+  let calls = 0;
+  return {
+    get calls() { return calls; },
+    /** @param {import('./particle-system.js').ForceContext} ctx */
+    accumulate(ctx) {
+      calls++;
+      // read back the shared target and add on the CPU (test-only, keeps blending out of the picture)
+      gl.bindFramebuffer(gl.FRAMEBUFFER, ctx.targetForceFramebuffer);
+      const current = new Float32Array(width * height * 4);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, current);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      for (let i = 0; i < width * height; i++) {
+        current[i * 4 + 0] += force[0];
+        current[i * 4 + 1] += force[1];
+        current[i * 4 + 2] += force[2];
+      }
+      gl.bindTexture(gl.TEXTURE_2D, ctx.targetForceTexture);
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.FLOAT, current);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+  };
+}
+
+test('ParticleSystem: force modules add into one target before integration', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const positions = createVecTexture(gl, [[0, 0, 0, 1], [1, 0, 0, 1]], width, height);
+  const velocities = createVecTexture(gl, [[0, 0, 0, 0], [0, 0, 0, 0]], width, height);
+
+  const forceA = createConstantForce(gl, width, height, [0.5, 0, 0]);
+  const forceB = createConstantForce(gl, width, height, [0, -0.25, 0]);
+
+  const system = new ParticleSystem({
+    gl,
+    forces: [forceA, forceB],
+    textureWidth: width,
+    textureHeight: height,
+    positionMassTexture: positions,
+    velocityColorTexture: velocities,
+    dt: 0.1,
+    maxSpeed: 100,
+    maxAccel: 100
+  });
+
+  system.step();
+  system.step();
+
+  assert.strictEqual(forceA.calls, 2, 'first module kicked every frame');
+  assert.strictEqual(forceB.calls, 2, 'second module kicked every frame');
+
+  // Force target is cleared per frame: velocity grows linearly, not quadratically
+  const vel = readTexture(gl, system.velocityColorTexture, width, height);
+  assertAllFinite(vel, 'Velocity must be finite');
+  for (let i = 0; i < width * height; i++) {
+    assertClose(vel[i * 4 + 0], 2 * 0.1 * 0.5, 1e-5, `vx[${i}]`);
+    assertClose(vel[i * 4 + 1], 2 * 0.1 * -0.25, 1e-5, `vy[${i}]`);
+    assertClose(vel[i * 4 + 2], 0, 1e-5, `vz[${i}]`);
+  }
+
+  system.dispose();
+  resetGL();
+});
+
+test('ParticleSystem: without float blend modules switch to their fallback or are rejected', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const positions = createVecTexture(gl, [[0, 0, 0, 1], [1, 0, 0, 1]], width, height);
+  const velocities = createVecTexture(gl, [[0, 0, 0, 0], [0, 0, 0, 0]], width, height);
+
+  const system = new ParticleSystem({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    positionMassTexture: positions,
+    velocityColorTexture: velocities,
+    dt: 0.1,
+    maxSpeed: 100,
+    maxAccel: 100
+  });
+  // Simulate a context without EXT_float_blend
+  system.disableFloatBlend = true;
+
+  assert.throws(
+    () => system.addForce(createConstantForce(gl, width, height, [1, 0, 0])),
+    /blend-free fallback/,
+    'module without useBlendFallback is rejected');
+
+  const unswitched = createConstantForce(gl, width, height, [1, 0, 0]);
+  assert.throws(
+    () => system.addForce({ accumulate: unswitched.accumulate, useBlendFallback() { } }),
+    /did not report disableFloatBlend/,
+    'module whose fallback does not report the switch is rejected');
+  assert.strictEqual(system.forces.length, 0, 'rejected modules not added');
+
+  // The constant module adds on the CPU, so its fallback only has to report the switch
+  const constant = createConstantForce(gl, width, height, [0.5, 0, 0]);
+  const switching = {
+    accumulate: constant.accumulate,
+    disableFloatBlend: false,
+    useBlendFallback() { this.disableFloatBlend = true; }
+  };
+  system.addForce(switching);
+  assert.strictEqual(switching.disableFloatBlend, true, 'module switched to its fallback');
+
+  system.step();
+
+  const vel = readTexture(gl, system.velocityColorTexture, width, height);
+  assertAllFinite(vel, 'Velocity must be finite');
+  for (let i = 0; i < width * height; i++)
+    assertClose(vel[i * 4 + 0], 0.1 * 0.5, 1e-5, `vx[${i}]`);
+
+  system.dispose();
+  resetGL();
+});
+
+test('ParticleSystem: without float blend GraphLaplacian switches to read-modify-write', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const positions = createVecTexture(gl, [[0, 0, 0, 1], [1, 0, 0, 1]], width, height);
+  const velocities = createVecTexture(gl, [[0, 0, 0, 0], [0, 0, 0, 0]], width, height);
+
+  const system = new ParticleSystem({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    positionMassTexture: positions,
+    velocityColorTexture: velocities,
+    dt: 0.1
+  });
+  // Simulate a context without EXT_float_blend
+  system.disableFloatBlend = true;
+
+  const laplacian = new GraphLaplacian({
+    gl,
+    particleCount: 2,
+    textureWidth: width,
+    textureHeight: height,
+    edges: [{ from: 0, to: 1, strength: 1 }, { from: 1, to: 0, strength: 1 }],
+    k: 1
+  });
+  system.addForce(laplacian);
+  assert.strictEqual(laplacian.disableFloatBlend, true, 'Laplacian switched to read-modify-write');
+
+  system.step();
+
+  // Spring pulls the pair together through the blit fallback
+  const vel = readTexture(gl, system.velocityColorTexture, width, height);
+  assertAllFinite(vel, 'Velocity must be finite');
+  assert.ok(vel[0] > 0, `node 0 pulled towards node 1, vx=${vel[0]}`);
+  assert.ok(vel[4] < 0, `node 1 pulled towards node 0, vx=${vel[4]}`);
+
+  laplacian.dispose();
+  system.dispose();
+  resetGL();
+});
+
+test('ParticleSystem: direct gravity and springs through blend-free fallbacks match blending', async () => {
+  const gl = getGL();
+  const width = 4, height = 1;
+  /** @type {Array<[number, number, number, number]>} */
+  const particles = [[-1, 0, 0, 1], [1, 0.5, 0, 2], [0, -1, 0.5, 1], [0.5, 1, -0.5, 0.5]];
+  const edges = [{ from: 0, to: 1, strength: 1 }, { from: 1, to: 0, strength: 1 }, { from: 2, to: 3, strength: 0.5 }];
+
+  /** @param {boolean} disableFloatBlend */
+  const run = (disableFloatBlend) => {
+    const system = new ParticleSystem({
+      gl,
+      textureWidth: width,
+      textureHeight: height,
+      positionMassTexture: createVecTexture(gl, particles, width, height),
+      velocityColorTexture: createVecTexture(gl, particles.map(() => [0, 0, 0, 0]), width, height),
+      dt: 0.01,
+      maxSpeed: 100,
+      maxAccel: 100
+    });
+    system.disableFloatBlend = disableFloatBlend;
+
+    // One source per range: four ranges per target band
+    const gravity = new GravityDirect({
+      gl, textureWidth: width, textureHeight: height, gravityStrength: 0.05, softening: 0.1, pairsPerDraw: 4
+    });
+    const laplacian = new GraphLaplacian({
+      gl, edges, particleCount: 4, textureWidth: width, textureHeight: height, k: 0.5
+    });
+    system.addForce(gravity);
+    system.addForce(laplacian);
+    if (disableFloatBlend) assert.strictEqual(gravity.disableFloatBlend, true, 'gravity switched to read-modify-write');
+    system.step();
+
+    const vel = readTexture(gl, system.velocityColorTexture, width, height);
+    assertAllFinite(vel, 'Velocity must be finite');
+    system.dispose();
+    gravity.dispose();
+    laplacian.dispose();
+    return vel;
+  };
+
+  const blended = run(false);
+  const fallback = run(true);
+  for (let i = 0; i < width * height; i++) {
+    for (let axis = 0; axis < 3; axis++)
+      assertClose(fallback[i * 4 + axis], blended[i * 4 + axis], 1e-5, `particle ${i} axis ${axis}`);
+  }
+  assert.ok(Math.abs(blended[0]) > 1e-4, `forces moved particle 0, vx=${blended[0]}`);
+
+  // Tree gravity scatters into its octree with blending: no fallback to switch to
+  const system = new ParticleSystem({ gl, textureWidth: width, textureHeight: height, dt: 0.01 });
+  system.disableFloatBlend = true;
+  const monopole = new GravityMonopole({
+    gl, textureWidth: width, textureHeight: height, particleCount: 4,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] }
+  });
+  assert.throws(() => system.addForce(monopole), /blend-free fallback/);
+
+  monopole.dispose();
+  system.dispose();
+  resetGL();
+});
+
+test('ParticleSystem: gravity combined with graph Laplacian', async () => {
+  const gl = getGL();
+  const width = 2, height = 1;
+
+  const system = new ParticleSystem({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    positionMassTexture: createVecTexture(gl, [[-1, 0, 0, 1], [1, 0, 0, 1]], width, height),
+    velocityColorTexture: createVecTexture(gl, [[0, 0, 0, 0], [0, 0, 0, 0]], width, height),
+    dt: 0.01,
+    maxSpeed: 100,
+    maxAccel: 100
+  });
+
+  const gravity = new GravityMonopole({
+    gl,
+    textureWidth: width,
+    textureHeight: height,
+    particleCount: 2,
+    worldBounds: { min: [-2, -2, -2], max: [2, 2, 2] },
+    gravityStrength: 0.001,
+    softening: 0.1
+  });
+
+  const laplacian = new GraphLaplacian({
+    gl,
+    edges: [{ from: 0, to: 1, strength: 1 }, { from: 1, to: 0, strength: 1 }],
+    particleCount: 2,
+    textureWidth: width,
+    textureHeight: height,
+    k: 0.5
+  });
+
+  system.addForce(gravity);
+  system.addForce(laplacian);
+  system.step();
+
+  // Both modules pull the pair together along x; the spring dominates
+  const vel = readTexture(gl, system.velocityColorTexture, width, height);
+  assertAllFinite(vel, 'Velocity must be finite');
+  assert.ok(vel[0] > 0, `particle 0 pulled towards +x, vx=${vel[0]}`);
+  assert.ok(vel[4] < 0, `particle 1 pulled towards -x, vx=${vel[4]}`);
+  assertClose(vel[0], -vel[4], 1e-4, 'Momentum conserved across modules');
+
+  system.removeForce(gravity);
+  assert.strictEqual(system.forces.length, 1, 'removeForce detaches module');
+
+  system.dispose();
+  gravity.dispose();
+  laplacian.dispose();
+  resetGL();
+});
+
+test('writeTextureRgba/readTextureRgba: partial range and index list leave other texels intact', async () => {
+  const gl = getGL();
+  const width = 4, height = 3;
+
+  const initial = new Float32Array(width * height * 4).fill(-1);
+  const texture = createTestTexture(gl, width, height, initial);
+
+  // Range spanning a partial row, a full row and a partial row: slots 2..9
+  const ranged = Array.from({ length: 8 }, (_, i) => ({ mass: i + 1 }));
+  const written = writeTextureRgba({
+    gl, particles: ranged, texture, textureWidth: width, textureHeight: height, textureIndex: 2,
+    get: (particle, out) => { out.x = out.index; out.w = particle.mass; }
+  });
+  assert.strictEqual(written, 8, 'range write count');
+
+  // Unordered index list, including a slot inside the range just written
+  const listed = [{ tag: 11 }, { tag: 0 }, { tag: 5 }];
+  writeTextureRgba({
+    gl, particles: listed, texture, textureWidth: width, textureHeight: height, indices: [11, 0, 5],
+    get: (particle, out) => { out.x = particle.tag; out.y = 42; }
+  });
+
+  const pixels = readTexture(gl, texture, width, height);
+  for (let slot = 0; slot < width * height; slot++) {
+    const base = slot * 4;
+    if (slot === 0 || slot === 5 || slot === 11) {
+      assertClose(pixels[base + 0], slot, 1e-6, `listed slot ${slot} x`);
+      assertClose(pixels[base + 1], 42, 1e-6, `listed slot ${slot} y`);
+    } else if (slot >= 2 && slot < 10) {
+      assertClose(pixels[base + 0], slot, 1e-6, `ranged slot ${slot} x`);
+      assertClose(pixels[base + 3], slot - 1, 1e-6, `ranged slot ${slot} w`);
+    } else {
+      assertClose(pixels[base + 0], -1, 1e-6, `untouched slot ${slot}`);
+    }
+  }
+
+  /** @type {Array<{index?: number, x?: number, w?: number}>} */
+  const readBack = [{}, {}, {}];
+  readTextureRgba({
+    gl, particles: readBack, texture, textureWidth: width, textureHeight: height, indices: [9, 3, 10],
+    set: (particle, data) => { particle.index = data.index; particle.x = data.x; particle.w = data.w; }
+  });
+  assert.deepStrictEqual(readBack, [
+    { index: 9, x: 9, w: 8 },
+    { index: 3, x: 3, w: 2 },
+    { index: 10, x: -1, w: -1 }
+  ]);
+
+  assert.throws(() => readTextureRgba({
+    gl, particles: [{}], texture, textureWidth: width, textureHeight: height, textureIndex: 12,
+    set: () => { }
+  }), /outside texture capacity/);
+
+  gl.deleteTexture(texture);
+  resetGL();
+});